@@ -17,6 +17,10 @@ export const SERVER = {
   PORT: process.env.PORT || 3001,
   HOST: '0.0.0.0',
   CACHE_BACKUP_PATH: path.join(__dirname, 'cache-backup.json'),
+  CACHE_SQLITE_PATH: process.env.CACHE_SQLITE_PATH || path.join(__dirname, 'cache.sqlite'),
+  PLAN_STORE_PATH: process.env.PLAN_STORE_PATH || path.join(__dirname, 'plan-store.json'),
+  PRICE_STORE_PATH: process.env.PRICE_STORE_PATH || path.join(__dirname, 'price-history.json'),
+  HISTORY_STORE_DIR: process.env.HISTORY_STORE_DIR || path.join(__dirname, 'history-archive'),
 };
 
 // ============================================================================
@@ -35,17 +39,44 @@ export const GEMINI = {
   API_URL: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent',
 };
 
+// AI insight providers (see services/llmProviders.js)
+export const AI = {
+  // 'gemini', 'openai' (any OpenAI-compatible server) or 'rules' (offline, deterministic).
+  // Defaults to Gemini when a key is set, otherwise the rule-based provider.
+  PROVIDER: process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'rules'),
+  MAX_ATTEMPTS: 3,   // Tries per request before falling back to rule-based insights
+  OPENAI: {
+    BASE_URL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',   // Ollama's default
+    API_KEY: process.env.LLM_API_KEY || '',
+    MODEL: process.env.LLM_MODEL || '',
+    JSON_MODE: process.env.LLM_JSON_MODE !== 'false',   // Some servers reject response_format
+    TIMEOUT: 120 * 1000
+  },
+  CHAT: {
+    MAX_TOOL_ROUNDS: 3,    // Tool requests per question before the model must answer
+    MAX_MESSAGES: 40,      // Most recent conversation messages sent to the model
+    MAX_ATTEMPTS: 2,       // Provider calls per chat request before the rule-based fallback
+    RATE_LIMIT: {
+      WINDOW_MS: 60 * 1000,
+      MAX_REQUESTS: 20     // Chat requests per IP per window (a question takes up to MAX_TOOL_ROUNDS + 1)
+    }
+  }
+};
+
 /**
  * Get GitHub CSV URLs for current gameweek context
  * @param {number} currentGW - Current gameweek number
  * @param {boolean} isFinished - Whether current GW is finished
- * @returns {Object} URLs for season stats, current GW, and next GW
+ * @returns {Object} URLs for season stats, team stats, current GW, and next GW
  */
 export function getGithubUrls(currentGW, isFinished) {
   return {
     // Season stats (always available)
     seasonStats: `${GITHUB_BASE_URL}/playerstats.csv`,
 
+    // Team strengths and Elo ratings (custom fixture difficulty)
+    teamStats: `${GITHUB_BASE_URL}/teams.csv`,
+
     // Current GW stats (only if GW finished)
     currentGWStats: isFinished ?
       `${GITHUB_BASE_URL}/By Gameweek/GW${currentGW}/player_gameweek_stats.csv` :
@@ -56,6 +87,23 @@ export function getGithubUrls(currentGW, isFinished) {
   };
 }
 
+// ============================================================================
+// OUTBOUND REQUEST SCHEDULER CONFIGURATION
+// ============================================================================
+
+export const REQUEST_SCHEDULER = {
+  // Per-host limits - hosts not listed use DEFAULT
+  HOSTS: {
+    'fantasy.premierleague.com': { CONCURRENCY: 6, RATE_PER_SEC: 8, BURST: 16 },
+    'raw.githubusercontent.com': { CONCURRENCY: 3, RATE_PER_SEC: 5, BURST: 5 }
+  },
+  DEFAULT: { CONCURRENCY: 4, RATE_PER_SEC: 5, BURST: 10 },
+  MAX_QUEUE: 500,                 // Queued requests per host before new ones are rejected
+  TIMEOUT_MS: 10000,              // Default request timeout
+  BREAKER_THRESHOLD: 5,           // Consecutive 5xx/maintenance responses before the circuit opens
+  BREAKER_COOLDOWN_MS: 60 * 1000  // How long the circuit stays open before a trial request
+};
+
 // ============================================================================
 // CACHE TTL CONFIGURATION
 // ============================================================================
@@ -68,6 +116,81 @@ export const TTL = {
   GITHUB_CHECK_INTERVAL: 5 * 60 * 1000 // Check GitHub era every 5 min
 };
 
+// ============================================================================
+// CACHE STORE CONFIGURATION
+// ============================================================================
+
+export const CACHE_STORE = {
+  TYPE: process.env.CACHE_STORE || 'memory',   // 'memory' (JSON backup on shutdown) or 'sqlite'
+  SNAPSHOT_TTL: 24 * 60 * 60 * 1000,          // Bootstrap, fixtures and GitHub data older than this are not restored
+  PRUNE_INTERVAL_MS: 5 * 60 * 1000            // Drop expired entries from memory and the store
+};
+
+// ============================================================================
+// LIVE LEAGUE CONFIGURATION
+// ============================================================================
+
+export const LIVE_LEAGUE = {
+  MAX_PAGES: 2,    // Standings pages to re-rank (50 entries per page)
+  CONCURRENCY: 5   // Parallel picks requests to the FPL API
+};
+
+// ============================================================================
+// COHORT CONFIGURATION
+// ============================================================================
+
+export const COHORTS = {
+  OVERALL_LEAGUE_ID: 314,          // FPL's overall classic league
+  BUCKETS: [
+    { key: 'top10k', maxRank: 10000 },
+    { key: 'top50k', maxRank: 50000 },
+    { key: 'top100k', maxRank: 100000 }
+  ],
+  PAGE_SIZE: 50,                   // Entries per standings page
+  SAMPLE_PAGES: 5,                 // Standings pages sampled per bucket, spread evenly over its ranks
+  ENTRIES_PER_PAGE: 10,            // Entries taken from each sampled page
+  MINI_LEAGUE_MAX_PAGES: 2,        // Mini-league cohorts use every entry on up to this many pages
+  CONCURRENCY: 5,                  // Parallel picks requests to the FPL API
+  TTL: 6 * 60 * 60 * 1000,         // Cohort aggregates are recomputed after 6 hours
+  MAX_ENTRIES: 30                  // Cached cohort results (gameweek x league)
+};
+
+// ============================================================================
+// LIVE STREAM CONFIGURATION
+// ============================================================================
+
+export const LIVE_STREAM = {
+  POLL_INTERVAL_MS: 60 * 1000,   // Diff live data and fixtures every minute while clients are connected
+  HEARTBEAT_MS: 25 * 1000,       // Comment line to keep proxies from closing idle streams
+  RETRY_MS: 10 * 1000,           // Client reconnect delay sent with the stream
+  MAX_CLIENTS: 500               // Open streams across all tabs
+};
+
+// ============================================================================
+// PRICE PREDICTION CONFIGURATION
+// ============================================================================
+
+export const PRICES = {
+  SNAPSHOT_INTERVAL_MS: 3 * 60 * 60 * 1000, // Snapshot net transfers every 3 hours
+  MAX_SNAPSHOTS: 24,        // Keep 3 days of snapshots for transfer rates
+  RATE_WINDOW_HOURS: 24,    // Window for net transfers per hour
+  RISE_RATIO: 0.08,         // Net transfers in (as share of owners) needed for a rise
+  FALL_RATIO: 0.05,         // Net transfers out (as share of owners) needed for a fall
+  MIN_THRESHOLD: 10000,     // Floor for low-ownership players
+  UPDATE_HOUR_UTC: 1,       // FPL price changes run daily around 01:30 UTC
+  UPDATE_MINUTE_UTC: 30
+};
+
+// ============================================================================
+// HISTORY ARCHIVE CONFIGURATION
+// ============================================================================
+
+export const HISTORY = {
+  ARCHIVE_CHECK_INTERVAL_MS: 30 * 60 * 1000, // Check for a newly finished GW every 30 minutes
+  ARCHIVE_CACHE_SIZE: 4,    // Parsed gameweek archives kept in memory (each holds a full bootstrap)
+  MAX_QUERY_FIELDS: 20      // Max fields per player/team history query
+};
+
 // ============================================================================
 // CORS CONFIGURATION
 // ============================================================================
@@ -4,6 +4,11 @@
 // ============================================================================
 
 import express from 'express';
+import {
+  listArchivedGameweeks,
+  aggregatePlayerHistory,
+  getAggregationStatus
+} from '../services/historyStore.js';
 import logger from '../logger.js';
 
 const router = express.Router();
@@ -32,24 +37,33 @@ router.get('/api/admin/backfill/status', (req, res) => {
 
 /**
  * POST /api/admin/aggregate-player-history
- * Player history aggregation endpoint (deprecated - MongoDB/S3 removed)
+ * Rolls the local gameweek archive up into a per-player history file.
+ * Runs in the background - poll the status endpoint for progress.
  */
 router.post('/api/admin/aggregate-player-history', (req, res) => {
-  res.status(410).json({
-    error: 'Feature removed',
-    message: 'Player history aggregation feature has been removed. Historical data is now fetched directly from FPL API.'
-  });
+  if (listArchivedGameweeks().length === 0) {
+    return res.status(409).json({
+      error: 'No archived gameweeks',
+      message: 'The history archive is empty. Gameweeks are archived automatically once they finish.'
+    });
+  }
+
+  if (getAggregationStatus().status === 'running') {
+    return res.status(202).json(getAggregationStatus());
+  }
+
+  logger.log('📥 Player history aggregation requested');
+  aggregatePlayerHistory();
+
+  res.status(202).json(getAggregationStatus());
 });
 
 /**
  * GET /api/admin/aggregate-player-history/status
- * Aggregation status endpoint (deprecated)
+ * Status of the last player history aggregation
  */
 router.get('/api/admin/aggregate-player-history/status', (req, res) => {
-  res.status(410).json({
-    error: 'Feature removed',
-    message: 'Player history aggregation feature has been removed.'
-  });
+  res.json(getAggregationStatus());
 });
 
 export default router;
@@ -1,11 +1,13 @@
 // ============================================================================
 // AI ROUTES
-// Handles AI insights endpoints using Gemini API
+// Handles AI insights and chat endpoints (provider chosen by AI_PROVIDER)
 // ============================================================================
 
 import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { AI } from '../config.js';
 import { generateAIInsights } from '../services/aiService.js';
-import { GEMINI } from '../config.js';
+import { generateChatTurn } from '../services/chatService.js';
 import logger from '../logger.js';
 
 const router = express.Router();
@@ -16,7 +18,8 @@ const router = express.Router();
 
 /**
  * POST /api/ai-insights
- * Generate AI insights using Gemini API
+ * Generate AI insights with the configured LLM provider. Falls back to
+ * rule-based insights when the provider is unconfigured or unavailable.
  * Request body:
  *   - page: string (data-analysis, my-team, etc)
  *   - tab: string (overview, differentials, etc)
@@ -39,15 +42,6 @@ router.post('/api/ai-insights', async (req, res) => {
     });
   }
 
-  // Check if Gemini API key is configured
-  if (!GEMINI.API_KEY) {
-    logger.error('❌ Gemini API key not configured');
-    return res.status(500).json({
-      error: 'AI service not configured',
-      message: 'Gemini API key is missing. Please configure GEMINI_API_KEY environment variable.'
-    });
-  }
-
   try {
     const insights = await generateAIInsights(page, tab, position, gameweek, data);
 
@@ -67,4 +61,61 @@ router.post('/api/ai-insights', async (req, res) => {
   }
 });
 
+// ============================================================================
+// AI CHAT ENDPOINT
+// ============================================================================
+
+// Each chat request can make several provider calls, and a question takes
+// several requests, so chat is limited separately from the rest of the API
+const chatLimiter = rateLimit({
+  windowMs: AI.CHAT.RATE_LIMIT.WINDOW_MS,
+  max: AI.CHAT.RATE_LIMIT.MAX_REQUESTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`⚠️ Chat rate limit exceeded: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Too many chat messages, please wait a minute and try again'
+    });
+  }
+});
+
+/**
+ * POST /api/ai-chat
+ * Next assistant turn: a reply, or tool calls for the frontend to run and
+ * send back as tool messages. Falls back to the rule-based assistant when the
+ * provider is unconfigured or unavailable.
+ * Request body:
+ *   - messages: array (conversation, see services/chatService.js)
+ *   - managerSnapshot: object|null (squad, budget and chips)
+ *   - gameweek: number
+ */
+router.post('/api/ai-chat', chatLimiter, async (req, res) => {
+  const { messages, managerSnapshot, gameweek } = req.body;
+
+  logger.log(`📥 POST /api/ai-chat [${Array.isArray(messages) ? messages.length : 0} messages]`);
+
+  if (!Array.isArray(messages) || messages.length === 0 || !gameweek) {
+    logger.warn('⚠️ Missing required fields');
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'messages and gameweek are required'
+    });
+  }
+
+  try {
+    const turn = await generateChatTurn({ messages, managerSnapshot: managerSnapshot || null, gameweek });
+    res.json(turn);
+  } catch (error) {
+    logger.error('❌ Error generating chat reply:', error.message);
+
+    const isProduction = process.env.NODE_ENV === 'production';
+    res.status(500).json({
+      error: 'Failed to generate reply',
+      message: isProduction ? 'AI service temporarily unavailable' : error.message
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,80 @@
+// ============================================================================
+// COHORT ROUTES
+// Ownership, captaincy and effective ownership for top-rank and mini-league
+// cohorts, plus planner metric distributions
+// ============================================================================
+
+import express from 'express';
+import { fetchBootstrap, fetchFixtures } from '../services/fplService.js';
+import { cache, shouldRefreshBootstrap, shouldRefreshFixtures } from '../services/cacheManager.js';
+import { getCurrentGameweek, getGameweekStatus, GW_STATUS } from '../services/gameweekUtils.js';
+import { getCohortMetrics } from '../services/cohortService.js';
+import { isValidGameweek, isValidLeagueId } from '../config.js';
+import logger from '../logger.js';
+
+const router = express.Router();
+
+// ============================================================================
+// COHORT ENDPOINT
+// ============================================================================
+
+/**
+ * GET /api/planner/cohorts
+ * Returns cohort aggregates for a gameweek (cached for 6 hours)
+ * Query params:
+ *   - gw: Gameweek whose picks are sampled (default: current gameweek)
+ *   - league: Mini-league ID - samples that league instead of the top 10k/50k/100k
+ */
+router.get('/api/planner/cohorts', async (req, res) => {
+  const { league } = req.query;
+
+  logger.log(`📥 GET /api/planner/cohorts (gw ${req.query.gw || 'current'}${league ? `, league ${league}` : ''})`);
+
+  if (req.query.gw !== undefined && !isValidGameweek(req.query.gw)) {
+    return res.status(400).json({
+      error: 'Invalid gameweek',
+      message: 'Gameweek must be a number between 1 and 38'
+    });
+  }
+
+  if (league !== undefined && !isValidLeagueId(league)) {
+    return res.status(400).json({
+      error: 'Invalid league ID',
+      message: 'League ID must be a number between 1 and 10 digits'
+    });
+  }
+
+  try {
+    await Promise.all([
+      !cache.bootstrap.data || shouldRefreshBootstrap() ? fetchBootstrap() : null,
+      !cache.fixtures.data || shouldRefreshFixtures() ? fetchFixtures() : null
+    ]);
+
+    const gameweek = req.query.gw !== undefined ? parseInt(req.query.gw, 10) : getCurrentGameweek();
+    if (!gameweek) {
+      return res.status(404).json({
+        error: 'No current gameweek',
+        message: 'The season has not started yet'
+      });
+    }
+
+    // Picks stay private until the deadline
+    if (getGameweekStatus(gameweek) === GW_STATUS.UPCOMING) {
+      return res.status(409).json({
+        error: 'Gameweek not started',
+        message: `Picks for GW${gameweek} are not public until the deadline`
+      });
+    }
+
+    const cohorts = await getCohortMetrics(gameweek, { leagueId: league ? parseInt(league, 10) : null });
+    res.json(cohorts);
+  } catch (err) {
+    logger.error('❌ Error building cohorts:', err.message);
+    res.status(500).json({
+      error: 'Failed to build cohorts',
+      message: err.message
+    });
+  }
+});
+
+export default router;
@@ -28,7 +28,10 @@ import {
   getCurrentGameweek,
   GW_STATUS
 } from '../services/gameweekUtils.js';
+import { getSchedulerStats } from '../services/requestScheduler.js';
+import { getLLMProvider } from '../services/llmProviders.js';
 import { GEMINI } from '../config.js';
+import { calculateProvisionalBonus } from '../../shared/liveScoring.js';
 import logger from '../logger.js';
 
 const router = express.Router();
@@ -46,7 +49,8 @@ router.get('/health', (req, res) => {
     res.json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      gemini_api_configured: !!GEMINI.API_KEY && GEMINI.API_KEY !== 'your_gemini_api_key_here'
+      gemini_api_configured: !!GEMINI.API_KEY && GEMINI.API_KEY !== 'your_gemini_api_key_here',
+      ai_provider: getLLMProvider().name
     });
   } catch (error) {
     // Fallback: return 200 even if JSON serialization fails
@@ -251,7 +255,8 @@ router.get('/api/bootstrap/enriched', async (req, res) => {
         });
 
         // Calculate provisional bonus from BPS rankings per fixture
-        const provisionalBonus = calculateProvisionalBonus(liveData.elements, cache.fixtures.data);
+        const elementTeams = new Map(bootstrapData.elements.map(p => [p.id, p.team]));
+        const provisionalBonus = calculateProvisionalBonus(liveData.elements, cache.fixtures.data, elementTeams, currentGW);
 
         // Build new elements array, only spreading elements that have live stats
         elements = bootstrapData.elements.map(element => {
@@ -301,88 +306,6 @@ router.get('/api/bootstrap/enriched', async (req, res) => {
   }
 });
 
-/**
- * Calculate provisional bonus points from BPS rankings per fixture
- * Top 3 BPS in each fixture get 3/2/1 bonus points
- * @param {Array} liveElements - Live data elements with stats
- * @param {Array} fixtures - Fixtures data
- * @returns {Map} Map of playerId -> provisional bonus
- */
-function calculateProvisionalBonus(liveElements, fixtures) {
-  const bonusMap = new Map();
-
-  if (!fixtures || !liveElements) return bonusMap;
-
-  // Group players by fixture (using their team and the current GW fixture)
-  const fixturePlayerMap = new Map(); // fixtureId -> [{ id, bps }]
-
-  // Find current/live fixtures
-  const liveFixtures = fixtures.filter(f => f.started && !f.finished);
-  const finishedFixtures = fixtures.filter(f => f.finished);
-  const relevantFixtures = [...liveFixtures, ...finishedFixtures];
-
-  // Build team to fixture mapping
-  const teamToFixture = new Map();
-  relevantFixtures.forEach(fixture => {
-    teamToFixture.set(fixture.team_h, fixture.id);
-    teamToFixture.set(fixture.team_a, fixture.id);
-  });
-
-  // Build element-to-team lookup once (O(n)) instead of .find() per element (O(n²))
-  const elementTeamMap = new Map();
-  if (cache.bootstrap?.data?.elements) {
-    cache.bootstrap.data.elements.forEach(p => elementTeamMap.set(p.id, p.team));
-  }
-
-  // Group players by fixture based on their team
-  liveElements.forEach(el => {
-    const team = elementTeamMap.get(el.id);
-    if (!team) return;
-
-    const fixtureId = teamToFixture.get(team);
-    if (!fixtureId) return;
-
-    if (!fixturePlayerMap.has(fixtureId)) {
-      fixturePlayerMap.set(fixtureId, []);
-    }
-    fixturePlayerMap.get(fixtureId).push({
-      id: el.id,
-      bps: el.stats.bps || 0
-    });
-  });
-
-  // Calculate bonus for each fixture
-  fixturePlayerMap.forEach((players, fixtureId) => {
-    // Sort by BPS descending
-    players.sort((a, b) => b.bps - a.bps);
-
-    // Assign bonus points (handle ties)
-    let bonusPoints = 3;
-    let lastBps = null;
-    let sameRankCount = 0;
-
-    for (let i = 0; i < players.length && bonusPoints > 0; i++) {
-      const player = players[i];
-
-      if (player.bps === lastBps) {
-        // Same BPS as previous player - same bonus
-        bonusMap.set(player.id, bonusMap.get(players[i - 1].id));
-        sameRankCount++;
-      } else {
-        // Different BPS - assign current bonus level
-        bonusMap.set(player.id, bonusPoints);
-        lastBps = player.bps;
-
-        // Reduce bonus points, accounting for ties
-        bonusPoints -= (1 + sameRankCount);
-        sameRankCount = 0;
-      }
-    }
-  });
-
-  return bonusMap;
-}
-
 // ============================================================================
 // PLAYER ELEMENT SUMMARY ENDPOINT
 // ============================================================================
@@ -490,6 +413,7 @@ router.get('/api/stats', (req, res) => {
         current_era: stats.currentEra,
         current_gw: cache.github.currentGW,
         season_stats: cache.github.data?.seasonStats?.length || 0,
+        team_stats: cache.github.data?.teamStats?.length || 0,
         current_gw_stats: cache.github.data?.currentGWStats?.length || 0,
         next_gw_stats: cache.github.data?.nextGWStats?.length || 0
       }
@@ -500,6 +424,7 @@ router.get('/api/stats', (req, res) => {
       cacheMisses: cache.stats.cacheMisses,
       hitRate: stats.hitRate
     },
+    requests: getSchedulerStats(),
     memory: {
       used_mb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
       total_mb: Math.round(process.memoryUsage().heapTotal / 1024 / 1024)
@@ -4,12 +4,43 @@
 // ============================================================================
 
 import express from 'express';
-import { isValidGameweek } from '../config.js';
+import { HISTORY, isValidGameweek } from '../config.js';
 import { fetchElementSummary } from '../services/fplService.js';
+import {
+  listArchivedGameweeks,
+  readArchivedGameweek,
+  getPlayerFieldHistory,
+  getTeamFieldHistory
+} from '../services/historyStore.js';
 import logger from '../logger.js';
 
 const router = express.Router();
 
+/**
+ * Parse shared archive query params (?fields=a,b&from=1&to=38)
+ * @param {Object} query - req.query
+ * @returns {Object} { fields, range } or { error }
+ */
+function parseArchiveQuery(query) {
+  const fields = String(query.fields || '')
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  if (fields.length === 0 || fields.length > HISTORY.MAX_QUERY_FIELDS) {
+    return { error: `fields must list between 1 and ${HISTORY.MAX_QUERY_FIELDS} comma-separated field names` };
+  }
+
+  const from = query.from !== undefined ? parseInt(query.from, 10) : 1;
+  const to = query.to !== undefined ? parseInt(query.to, 10) : 38;
+
+  if (!isValidGameweek(from) || !isValidGameweek(to) || from > to) {
+    return { error: 'from and to must be gameweeks between 1 and 38, with from <= to' };
+  }
+
+  return { fields, range: { from, to } };
+}
+
 /**
  * GET /api/history/player/:playerId/ownership
  * Returns player history (points, form, price, ownership) across all gameweeks
@@ -88,4 +119,105 @@ router.get('/api/history/player/:playerId/ownership', async (req, res) => {
   }
 });
 
+// ============================================================================
+// GAMEWEEK ARCHIVE
+// Local snapshots of bootstrap, fixtures and Elo-Insights stats per finished GW
+// ============================================================================
+
+/**
+ * GET /api/history/archive
+ * Lists archived gameweeks
+ */
+router.get('/api/history/archive', (req, res) => {
+  const gameweeks = listArchivedGameweeks();
+  res.json({ count: gameweeks.length, gameweeks });
+});
+
+/**
+ * GET /api/history/archive/gameweek/:gw
+ * Returns a full archived gameweek ({ elements, teams, github } are { fields, rows } tables)
+ */
+router.get('/api/history/archive/gameweek/:gw', async (req, res) => {
+  const gameweek = parseInt(req.params.gw, 10);
+
+  if (!isValidGameweek(gameweek)) {
+    return res.status(400).json({
+      error: 'Invalid gameweek',
+      message: 'Gameweek must be between 1 and 38'
+    });
+  }
+
+  const archive = await readArchivedGameweek(gameweek);
+  if (!archive) {
+    return res.status(404).json({
+      error: 'Not archived',
+      message: `GW${gameweek} has not been archived`
+    });
+  }
+
+  res.json(archive);
+});
+
+/**
+ * GET /api/history/archive/player/:playerId?fields=now_cost,selected_by_percent&from=1&to=38
+ * Returns any bootstrap element (or Elo-Insights GW stat) field across archived gameweeks
+ */
+router.get('/api/history/archive/player/:playerId', async (req, res) => {
+  const playerId = parseInt(req.params.playerId, 10);
+
+  if (isNaN(playerId) || playerId < 1) {
+    return res.status(400).json({
+      error: 'Invalid player ID',
+      message: 'Player ID must be a positive number'
+    });
+  }
+
+  const { fields, range, error } = parseArchiveQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid query', message: error });
+  }
+
+  try {
+    const gameweeks = await getPlayerFieldHistory(playerId, fields, range);
+    res.json({ playerId, fields, gameweeks, source: 'archive' });
+  } catch (err) {
+    logger.error(`❌ Failed to query archive for player ${playerId}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to query archive',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/archive/team/:teamId?fields=strength,position&from=1&to=38
+ * Returns any bootstrap team field across archived gameweeks
+ */
+router.get('/api/history/archive/team/:teamId', async (req, res) => {
+  const teamId = parseInt(req.params.teamId, 10);
+
+  if (isNaN(teamId) || teamId < 1 || teamId > 20) {
+    return res.status(400).json({
+      error: 'Invalid team ID',
+      message: 'Team ID must be between 1 and 20'
+    });
+  }
+
+  const { fields, range, error } = parseArchiveQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid query', message: error });
+  }
+
+  try {
+    const gameweeks = await getTeamFieldHistory(teamId, fields, range);
+    res.json({ teamId, fields, gameweeks, source: 'archive' });
+  } catch (err) {
+    logger.error(`❌ Failed to query archive for team ${teamId}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to query archive',
+      message: err.message
+    });
+  }
+});
+
 export default router;
@@ -4,7 +4,10 @@
 // ============================================================================
 
 import express from 'express';
-import { fetchLeagueStandings } from '../services/fplService.js';
+import { fetchBootstrap, fetchLeagueStandings } from '../services/fplService.js';
+import { cache, shouldRefreshBootstrap } from '../services/cacheManager.js';
+import { getCurrentGameweek } from '../services/gameweekUtils.js';
+import { buildLiveLeagueTable } from '../services/liveLeagueService.js';
 import { isValidLeagueId } from '../config.js';
 import logger from '../logger.js';
 
@@ -73,4 +76,57 @@ router.get('/api/leagues/:leagueId', async (req, res) => {
   }
 });
 
+// ============================================================================
+// LIVE LEAGUE TABLE ENDPOINT
+// ============================================================================
+
+/**
+ * GET /api/leagues/:leagueId/live
+ * Returns the league re-ranked by live points for the current gameweek
+ * (captain, chip in play, players left to play, projected auto-subs per entry)
+ */
+router.get('/api/leagues/:leagueId/live', async (req, res) => {
+  const { leagueId } = req.params;
+
+  logger.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  logger.log(`📥 GET /api/leagues/${leagueId}/live`);
+
+  if (!isValidLeagueId(leagueId)) {
+    logger.warn(`⚠️ Invalid league ID format: ${leagueId}`);
+    return res.status(400).json({
+      error: 'Invalid league ID',
+      message: 'League ID must be a number between 1 and 10 digits'
+    });
+  }
+
+  try {
+    if (!cache.bootstrap.data || shouldRefreshBootstrap()) {
+      await fetchBootstrap();
+    }
+
+    const gameweek = getCurrentGameweek();
+    if (!gameweek) {
+      return res.status(404).json({
+        error: 'No current gameweek',
+        message: 'The season has not started yet'
+      });
+    }
+
+    const table = await buildLiveLeagueTable(parseInt(leagueId), gameweek);
+
+    logger.log(`✅ Live league table ready (GW${gameweek}, ${table.entries.length} entries, ${table.failed} fallbacks)`);
+    logger.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    res.json(table);
+  } catch (err) {
+    logger.error(`❌ Error building live table for league ${leagueId}:`, err.message);
+
+    const isProduction = process.env.NODE_ENV === 'production';
+    res.status(err.message.includes('unavailable') ? 404 : 500).json({
+      error: 'Failed to build live league table',
+      message: isProduction ? 'League not found or unavailable' : err.message
+    });
+  }
+});
+
 export default router;
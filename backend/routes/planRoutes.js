@@ -0,0 +1,271 @@
+// ============================================================================
+// PLAN ROUTES
+// Team builder plan storage (per team ID) and read-only share links
+// Every team endpoint needs the owner key (X-Plan-Key header) issued when the
+// team's first plan was saved; share links are the only keyless read.
+// ============================================================================
+
+import express from 'express';
+import { isValidTeamId } from '../config.js';
+import {
+  listPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  createShareToken,
+  getSharedPlan,
+  validatePlan,
+  hasOwner,
+  registerOwner,
+  verifyOwner
+} from '../services/planStore.js';
+import logger from '../logger.js';
+
+const router = express.Router();
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Reject requests with an invalid team ID
+ * @returns {boolean} True if a 400 response was sent
+ */
+function rejectInvalidTeamId(teamId, res) {
+  if (isValidTeamId(teamId)) return false;
+
+  logger.warn(`⚠️ Invalid team ID format: ${teamId}`);
+  res.status(400).json({
+    error: 'Invalid team ID',
+    message: 'Team ID must be a number between 1 and 10 digits'
+  });
+  return true;
+}
+
+/**
+ * Reject requests without the team's owner key
+ * @returns {boolean} True if a 401/403 response was sent
+ */
+function rejectNonOwner(teamId, req, res) {
+  const key = req.get('X-Plan-Key');
+  if (verifyOwner(teamId, key)) return false;
+
+  if (!key) {
+    res.status(401).json({
+      error: 'Owner key required',
+      message: 'Send the sync key issued when this team\'s first plan was saved'
+    });
+  } else {
+    logger.warn(`⚠️ Rejected plan request for team ${teamId}: wrong owner key`);
+    res.status(403).json({
+      error: 'Invalid owner key',
+      message: 'This sync key does not match the team\'s plans'
+    });
+  }
+  return true;
+}
+
+/**
+ * Parse a version number from body or query
+ * @returns {number|null} Version or null if missing/invalid
+ */
+function parseVersion(value) {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Send a failed store result (404 / 409 conflict include the current version)
+ */
+function sendStoreError(res, result) {
+  const body = { error: result.error };
+  if (result.status === 409 && result.record) {
+    body.current = {
+      version: result.record.version,
+      plan: result.record.plan,
+      updatedAt: result.record.updatedAt
+    };
+  }
+  res.status(result.status || 500).json(body);
+}
+
+function toResponse(record) {
+  return {
+    id: record.id,
+    version: record.version,
+    plan: record.plan,
+    shareToken: record.shareToken,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+// ============================================================================
+// PLAN ENDPOINTS
+// ============================================================================
+
+/**
+ * GET /api/team/:teamId/plans
+ * Returns plan summaries for a team (add ?full=true for plan bodies), or an
+ * empty list if the team has no owner yet
+ */
+router.get('/api/team/:teamId/plans', (req, res) => {
+  const { teamId } = req.params;
+  if (rejectInvalidTeamId(teamId, res)) return;
+
+  // Nobody has claimed the team yet, so there is nothing to show
+  if (!hasOwner(teamId)) {
+    return res.json({ teamId: parseInt(teamId, 10), count: 0, plans: [] });
+  }
+  if (rejectNonOwner(teamId, req, res)) return;
+
+  const summaries = listPlans(teamId);
+  const plans = req.query.full === 'true'
+    ? summaries.map(summary => toResponse(getPlan(teamId, summary.id)))
+    : summaries;
+
+  res.json({ teamId: parseInt(teamId, 10), count: plans.length, plans });
+});
+
+/**
+ * POST /api/team/:teamId/plans
+ * Body: { plan }
+ * Creates a plan at version 1. The team's first plan needs no key and the
+ * response carries the new owner key (ownerKey); later ones need the key.
+ */
+router.post('/api/team/:teamId/plans', async (req, res) => {
+  const { teamId } = req.params;
+  if (rejectInvalidTeamId(teamId, res)) return;
+
+  const isFirstPlan = !hasOwner(teamId);
+  if (!isFirstPlan && rejectNonOwner(teamId, req, res)) return;
+
+  const plan = req.body?.plan;
+  const validationError = validatePlan(plan);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid plan', message: validationError });
+  }
+
+  let ownerKey;
+  if (isFirstPlan) {
+    const owner = await registerOwner(teamId);
+    if (!owner.success) {
+      return sendStoreError(res, owner);
+    }
+    ownerKey = owner.key;
+  }
+
+  const result = await createPlan(teamId, plan);
+  if (!result.success) {
+    return sendStoreError(res, result);
+  }
+
+  res.status(201).json(ownerKey ? { ...toResponse(result.record), ownerKey } : toResponse(result.record));
+});
+
+/**
+ * GET /api/team/:teamId/plans/:planId
+ * Returns a single plan with its version
+ */
+router.get('/api/team/:teamId/plans/:planId', (req, res) => {
+  const { teamId, planId } = req.params;
+  if (rejectInvalidTeamId(teamId, res)) return;
+  if (rejectNonOwner(teamId, req, res)) return;
+
+  const record = getPlan(teamId, planId);
+  if (!record) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+
+  res.json(toResponse(record));
+});
+
+/**
+ * PUT /api/team/:teamId/plans/:planId
+ * Body: { plan, version }
+ * Updates a plan; responds 409 with the current copy if version is stale
+ */
+router.put('/api/team/:teamId/plans/:planId', async (req, res) => {
+  const { teamId, planId } = req.params;
+  if (rejectInvalidTeamId(teamId, res)) return;
+  if (rejectNonOwner(teamId, req, res)) return;
+
+  const version = parseVersion(req.body?.version);
+  if (version === null) {
+    return res.status(400).json({ error: 'Invalid version', message: 'version must be a positive integer' });
+  }
+
+  const plan = req.body?.plan;
+  const validationError = validatePlan(plan);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid plan', message: validationError });
+  }
+
+  const result = await updatePlan(teamId, planId, plan, version);
+  if (!result.success) {
+    if (result.status === 409) {
+      logger.warn(`⚠️ Version conflict on plan ${planId}: ${result.error}`);
+    }
+    return sendStoreError(res, result);
+  }
+
+  res.json(toResponse(result.record));
+});
+
+/**
+ * DELETE /api/team/:teamId/plans/:planId?version=N
+ * Deletes a plan; version is optional but checked when provided
+ */
+router.delete('/api/team/:teamId/plans/:planId', async (req, res) => {
+  const { teamId, planId } = req.params;
+  if (rejectInvalidTeamId(teamId, res)) return;
+  if (rejectNonOwner(teamId, req, res)) return;
+
+  const version = req.query.version !== undefined ? parseVersion(req.query.version) : null;
+  const result = await deletePlan(teamId, planId, version);
+  if (!result.success) {
+    return sendStoreError(res, result);
+  }
+
+  res.status(204).end();
+});
+
+// ============================================================================
+// SHARING ENDPOINTS
+// ============================================================================
+
+/**
+ * POST /api/team/:teamId/plans/:planId/share
+ * Returns a read-only share token (reuses the existing token if any)
+ */
+router.post('/api/team/:teamId/plans/:planId/share', async (req, res) => {
+  const { teamId, planId } = req.params;
+  if (rejectInvalidTeamId(teamId, res)) return;
+  if (rejectNonOwner(teamId, req, res)) return;
+
+  const result = await createShareToken(teamId, planId);
+  if (!result.success) {
+    return sendStoreError(res, result);
+  }
+
+  res.json({ token: result.token });
+});
+
+/**
+ * GET /api/plans/shared/:token
+ * Returns a shared plan (read-only)
+ */
+router.get('/api/plans/shared/:token', (req, res) => {
+  const shared = getSharedPlan(req.params.token);
+  if (!shared) {
+    return res.status(404).json({
+      error: 'Shared plan not found',
+      message: 'This link is invalid or the plan has been deleted'
+    });
+  }
+
+  res.json(shared);
+});
+
+export default router;
@@ -0,0 +1,62 @@
+// ============================================================================
+// PRICE ROUTES
+// Player price change predictions
+// ============================================================================
+
+import express from 'express';
+import { fetchBootstrap } from '../services/fplService.js';
+import { cache, shouldRefreshBootstrap } from '../services/cacheManager.js';
+import { getPricePredictions } from '../services/priceService.js';
+import logger from '../logger.js';
+
+const router = express.Router();
+
+// ============================================================================
+// PRICE PREDICTION ENDPOINT
+// ============================================================================
+
+/**
+ * GET /api/prices/predictions
+ * Returns each player's progress toward a price rise/fall and the probability
+ * of a change at the next price update
+ * Query params:
+ *   - min: Only include players with rise or fall probability >= min (0-1)
+ */
+router.get('/api/prices/predictions', async (req, res) => {
+  const min = req.query.min !== undefined ? parseFloat(req.query.min) : 0;
+
+  logger.log(`📥 GET /api/prices/predictions${req.query.min !== undefined ? ` (min ${min})` : ''}`);
+
+  if (isNaN(min) || min < 0 || min > 1) {
+    return res.status(400).json({
+      error: 'Invalid min',
+      message: 'min must be a probability between 0 and 1'
+    });
+  }
+
+  try {
+    if (!cache.bootstrap.data || shouldRefreshBootstrap()) {
+      await fetchBootstrap();
+    }
+
+    const result = getPricePredictions(cache.bootstrap.data);
+    const predictions = min > 0
+      ? result.predictions.filter(p => Math.max(p.riseProbability, p.fallProbability) >= min)
+      : result.predictions;
+
+    res.json({
+      ...result,
+      count: predictions.length,
+      predictions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    logger.error('❌ Error building price predictions:', err.message);
+    res.status(500).json({
+      error: 'Failed to build price predictions',
+      message: err.message
+    });
+  }
+});
+
+export default router;
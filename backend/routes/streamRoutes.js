@@ -0,0 +1,30 @@
+// ============================================================================
+// STREAM ROUTES
+// Server-Sent Events for live gameweek updates
+// ============================================================================
+
+import express from 'express';
+import { addLiveStreamClient } from '../services/liveEventService.js';
+import logger from '../logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/stream/live
+ * Streams live gameweek changes as Server-Sent Events:
+ *   - ready:  { gameweek, isLive } on connect
+ *   - status: { gameweek, isLive } when the gameweek goes live or finishes
+ *   - update: { gameweek, events, elements, fixtures } after each poll with changes
+ */
+router.get('/api/stream/live', (req, res) => {
+  logger.log('📥 GET /api/stream/live');
+
+  if (!addLiveStreamClient(req, res)) {
+    return res.status(503).json({
+      error: 'Stream unavailable',
+      message: 'Too many open live streams, falling back to polling'
+    });
+  }
+});
+
+export default router;
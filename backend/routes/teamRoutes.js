@@ -8,13 +8,14 @@ import {
   fetchBootstrap,
   fetchTeamData,
   fetchTeamPicks,
-  fetchLiveGameweekData,
   fetchTeamHistory
 } from '../services/fplService.js';
 import {
   cache,
   shouldRefreshBootstrap
 } from '../services/cacheManager.js';
+import { getLiveScoringContext, scoreTeamPicks } from '../services/liveScoreService.js';
+import { PRIORITY } from '../services/requestScheduler.js';
 import {
   getGameweekStatus,
   GW_STATUS
@@ -24,73 +25,18 @@ import logger from '../logger.js';
 
 const router = express.Router();
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Calculate total team points from live stats
- * Handles captain multiplier and automatic subs
- * @param {Array} picks - Team picks array with live_stats
- * @param {Array} automaticSubs - Automatic substitutions array
- * @returns {number} Total calculated points
- */
-function calculateLiveTeamPoints(picks, automaticSubs = []) {
-  if (!picks || picks.length === 0) {
-    return 0;
-  }
-
-  // Create a map of automatic subs for quick lookup
-  const subMap = new Map();
-  automaticSubs.forEach(sub => {
-    subMap.set(sub.element_in, sub.element_out);
-  });
-
-  let totalPoints = 0;
-  const starting11 = picks.filter(p => p.position <= 11).sort((a, b) => a.position - b.position);
-
-  starting11.forEach(pick => {
-    // Check if this player was subbed out
-    const wasSubbedOut = Array.from(subMap.values()).includes(pick.element);
-    if (wasSubbedOut) {
-      // Player was subbed out, don't count their points
-      return;
-    }
-
-    // Get points from live_stats
-    const livePoints = pick.live_stats?.total_points ?? 0;
-
-    // Apply captain multiplier
-    if (pick.is_captain) {
-      totalPoints += livePoints * 2;
-    } else {
-      totalPoints += livePoints;
-    }
-  });
-
-  // Add points from players who were subbed in
-  automaticSubs.forEach(sub => {
-    const subbedInPick = picks.find(p => p.element === sub.element_in);
-    if (subbedInPick && subbedInPick.live_stats) {
-      const livePoints = subbedInPick.live_stats.total_points ?? 0;
-      // Subs don't get captain multiplier (captain must be in starting 11)
-      totalPoints += livePoints;
-    }
-  });
-
-  return totalPoints;
-}
-
 // ============================================================================
 // TEAM DATA ENDPOINT
 // ============================================================================
 
 /**
- * GET /api/team/:teamId
+ * GET /api/team/:teamId?priority=background
  * Returns user's team data for current gameweek
+ * `priority=background` queues the FPL calls behind user-facing loads (league sweeps)
  */
 router.get('/api/team/:teamId', async (req, res) => {
   const { teamId } = req.params;
+  const priority = req.query.priority === 'background' ? PRIORITY.BACKGROUND : PRIORITY.USER;
 
   logger.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   logger.log(`📥 GET /api/team/${teamId}`);
@@ -118,9 +64,9 @@ router.get('/api/team/:teamId', async (req, res) => {
 
     // Fetch team info, picks, and history in parallel
     const [teamInfo, teamPicks, teamHistory] = await Promise.all([
-      fetchTeamData(teamId),
-      fetchTeamPicks(teamId, currentGW),
-      fetchTeamHistory(teamId).catch(err => {
+      fetchTeamData(teamId, { priority }),
+      fetchTeamPicks(teamId, currentGW, { priority }),
+      fetchTeamHistory(teamId, { priority }).catch(err => {
         // History is optional, continue without it if fetch fails
         logger.warn(`⚠️ Failed to fetch team history: ${err.message}`);
         return null;
@@ -132,31 +78,28 @@ router.get('/api/team/:teamId', async (req, res) => {
     let liveData = null;
     let enrichedPicks = teamPicks;
     let calculatedLivePoints = null;
+    let liveScore = null;
 
     if (gwStatus === GW_STATUS.LIVE) {
       try {
-        liveData = await fetchLiveGameweekData(currentGW);
-
-        // Create lookup map for live stats
-        const liveStatsMap = new Map();
-        for (const element of liveData.elements) {
-          liveStatsMap.set(element.id, element.stats);
-        }
+        const context = await getLiveScoringContext(currentGW);
+        liveData = context.liveData;
 
         // Enrich each pick with live stats
         enrichedPicks = {
           ...teamPicks,
           picks: teamPicks.picks.map(pick => ({
             ...pick,
-            live_stats: liveStatsMap.get(pick.element) || null
+            live_stats: context.liveStats.get(pick.element) || null
           }))
         };
 
-        // Calculate total team points from live stats
-        calculatedLivePoints = calculateLiveTeamPoints(enrichedPicks.picks, enrichedPicks.automatic_subs);
+        // Calculate total team points (projected auto-subs, captaincy, chips, provisional bonus)
+        liveScore = scoreTeamPicks(teamPicks, context);
+        calculatedLivePoints = liveScore.totalPoints;
 
         logger.log(`   ⚡ Enriched with live data (${liveData.elements.length} players)`);
-        logger.log(`   📊 Calculated live points: ${calculatedLivePoints}`);
+        logger.log(`   📊 Calculated live points: ${calculatedLivePoints} (${liveScore.autoSubs.length} projected auto-subs)`);
       } catch (err) {
         logger.warn(`⚠️ Failed to fetch live data: ${err.message}`);
         // Continue without live data
@@ -213,6 +156,14 @@ router.get('/api/team/:teamId', async (req, res) => {
       gameweek: currentGW,
       gwStatus: gwStatus,
       isLive: gwStatus === GW_STATUS.LIVE,
+      // Projected auto-subs and effective captain while the GW is live
+      liveScore: liveScore ? {
+        totalPoints: liveScore.totalPoints,
+        benchPoints: liveScore.benchPoints,
+        captainId: liveScore.captainId,
+        captainMultiplier: liveScore.captainMultiplier,
+        autoSubs: liveScore.autoSubs
+      } : null,
       liveTimestamp: liveData ? new Date().toISOString() : null,
       timestamp: new Date().toISOString(),
       // Add team history for GW-by-GW chart
@@ -25,6 +25,9 @@ import {
 } from './services/cacheManager.js';
 import { fetchBootstrap, fetchFixtures } from './services/fplService.js';
 import { fetchGithubCSV } from './services/githubService.js';
+import { loadPlanStore } from './services/planStore.js';
+import { loadPriceStore, initializePriceTracking } from './services/priceService.js';
+import { loadHistoryStore, initializeHistoryArchiving } from './services/historyStore.js';
 
 // Route Modules
 import fplRoutes from './routes/fplRoutes.js';
@@ -33,6 +36,10 @@ import leagueRoutes from './routes/leagueRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import historyRoutes from './routes/historyRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import planRoutes from './routes/planRoutes.js';
+import priceRoutes from './routes/priceRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import cohortRoutes from './routes/cohortRoutes.js';
 
 // Logger
 import logger from './logger.js';
@@ -149,7 +156,7 @@ app.use('/', teamRoutes);
 // League Routes (/api/leagues/:leagueId)
 app.use('/', leagueRoutes);
 
-// AI Routes (/api/ai-insights)
+// AI Routes (/api/ai-insights, /api/ai-chat)
 app.use('/', aiRoutes);
 
 // History Routes (/api/history/*)
@@ -158,6 +165,18 @@ app.use('/', historyRoutes);
 // Admin Routes (/api/admin/*)
 app.use('/', adminRoutes);
 
+// Plan Routes (/api/team/:teamId/plans, /api/plans/shared/:token)
+app.use('/', planRoutes);
+
+// Price Routes (/api/prices/predictions)
+app.use('/', priceRoutes);
+
+// Stream Routes (/api/stream/live)
+app.use('/', streamRoutes);
+
+// Cohort Routes (/api/planner/cohorts)
+app.use('/', cohortRoutes);
+
 // ============================================================================
 // SERVE FRONTEND IN PRODUCTION
 // ============================================================================
@@ -243,6 +262,17 @@ function enforceRenderPortBinding() {
   // Initialize cache persistence (auto-save and graceful shutdown)
   initializeCachePersistence();
 
+  // Load saved team builder plans
+  loadPlanStore();
+
+  // Load price history and start snapshotting net transfers
+  loadPriceStore();
+  initializePriceTracking();
+
+  // Load the gameweek archive and start archiving finished gameweeks
+  loadHistoryStore();
+  initializeHistoryArchiving();
+
   // Kick off cache warmup asynchronously
   warmCachesOnStartup()
     .catch(err => {
@@ -263,8 +293,14 @@ function enforceRenderPortBinding() {
     logger.log(`  GET  /api/fpl-data?refresh=true - Force refresh`);
     logger.log(`  GET  /api/team/:teamId   - User team data`);
     logger.log(`  POST /api/ai-insights    - AI insights (Gemini)`);
+    logger.log(`  POST /api/ai-chat        - AI assistant chat turn`);
     logger.log(`  GET  /api/leagues/:leagueId - League standings`);
-    logger.log(`  GET  /api/stats          - Cache statistics`);
+    logger.log(`  GET  /api/team/:teamId/plans - Saved team builder plans`);
+    logger.log(`  GET  /api/plans/shared/:token - Shared plan (read-only)`);
+    logger.log(`  GET  /api/prices/predictions - Price change predictions`);
+    logger.log(`  GET  /api/history/archive - Archived gameweek snapshots`);
+    logger.log(`  GET  /api/stream/live    - Live gameweek events (SSE)`);
+    logger.log(`  GET  /api/stats          - Cache and request queue statistics`);
     logger.log(`  GET  /health             - Health check`);
     logger.log('');
   });
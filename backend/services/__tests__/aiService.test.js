@@ -0,0 +1,302 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('axios', () => ({
+  default: { post: vi.fn() }
+}));
+
+import axios from 'axios';
+import { generateAIInsights, buildAIPrompt } from '../aiService.js';
+import { indexContextData, validateInsight } from '../insightSchema.js';
+import {
+  createOpenAICompatibleProvider,
+  createGeminiProvider,
+  createRuleBasedProvider
+} from '../llmProviders.js';
+
+const MARKET_CATEGORIES = ['Overview', 'Hidden Gems', 'Differentials', 'Transfer Targets', 'Team Analysis'];
+const SQUAD_CATEGORIES = ['Current GW', 'Squad Health', 'Transfer Priorities', 'Captain Pick', 'Chip Strategy'];
+
+const marketData = {
+  overview: {
+    topPerformers: [
+      { id: 10, name: 'Salah', position: 'MID', points: 120, form: 6.2, ppm: 9.2, ownership: 45.1, price: 13.0 },
+      { id: 11, name: 'Haaland', position: 'FWD', points: 110, form: 8.4, ppm: 7.6, ownership: 60.3, price: 14.5 },
+      { id: 12, name: 'Palmer', position: 'MID', points: 90, form: 2.1, ppm: 8.2, ownership: 30.0, price: 11.0 }
+    ]
+  },
+  hiddenGems: [
+    { id: 13, name: 'Mbeumo', position: 'MID', ownership: 3.2, form: 6.5, ppm: 11.1, price: 7.5 },
+    { id: 14, name: 'Wissa', position: 'FWD', ownership: 1.1, form: 4.2, ppm: 10.0, price: 6.0 }
+  ],
+  differentials: [
+    { id: 15, name: 'Eze', position: 'MID', ownership: 8.0, form: 5.5, ppm: 9.0, price: 7.0, transfersIn: 90000, transfersOut: 1000 },
+    { id: 16, name: 'Semenyo', position: 'FWD', ownership: 6.0, form: 4.5, ppm: 9.5, price: 6.5, transfersIn: 50000, transfersOut: 10000 }
+  ],
+  transferTargets: [
+    { id: 17, name: 'Gabriel', position: 'DEF', ppm: 14.0, form: 5.0, ownership: 35.0, price: 6.0, points: 84 }
+  ],
+  teamAnalysis: {
+    bestFixtures: [{ teamId: 1, name: 'Arsenal', avgDifficulty: 2.2 }, { teamId: 7, name: 'Chelsea', avgDifficulty: 2.6 }],
+    worstFixtures: [{ teamId: 3, name: 'Burnley', avgDifficulty: 4.4 }]
+  }
+};
+
+const squadData = {
+  squad: [
+    { name: 'Raya', id: 1, position: 'GKP', priceMillions: 5.5, form: 4.0, ownershipPercent: 30, isStarter: true, isCaptain: false, minutesPlayed: 900, ppm: 12, nextFixtures: [{ fixtureId: 110, opponent: 'BUR', difficulty: 2, gw: 11 }] },
+    { name: 'Salah', id: 2, position: 'MID', priceMillions: 13.0, form: 6.2, ownershipPercent: 45, isStarter: true, isCaptain: true, minutesPlayed: 880, ppm: 9.2, nextFixtures: [{ fixtureId: 100, opponent: 'MCI', difficulty: 5, gw: 10 }, { fixtureId: 111, opponent: 'BRE', difficulty: 2, gw: 11 }] },
+    { name: 'Eze', id: 3, position: 'MID', priceMillions: 7.0, form: 5.5, ownershipPercent: 8, isStarter: true, isCaptain: false, minutesPlayed: 300, ppm: 9.0, nextFixtures: [{ fixtureId: 112, opponent: 'WOL', difficulty: 2, gw: 11 }] },
+    { name: 'Injured Def', id: 4, position: 'DEF', priceMillions: 5.0, form: 1.0, ownershipPercent: 5, isStarter: false, minutesPlayed: 400, ppm: 4.0, problemFlags: ['injury: Knee injury'], nextFixtures: [] }
+  ],
+  dropCandidates: [
+    { id: 4, name: 'Injured Def', position: 'DEF', form: 1.0, ppm: 4.0, priceMillions: 5.0, flags: ['injury: Knee injury'], nextFixtures: [] }
+  ],
+  chipsAvailable: ['wildcard', 'bboost'],
+  currentGWData: {
+    gameweek: 10,
+    isLive: false,
+    players: [
+      { id: 1, name: 'Raya', isStarter: true, isCaptain: false, currentGWPoints: 0, opponents: [{ fixtureId: 101, name: 'LIV', difficulty: 4, isHome: false }] },
+      { id: 2, name: 'Salah', isStarter: true, isCaptain: true, currentGWPoints: 0, opponents: [{ fixtureId: 100, name: 'MCI', difficulty: 5, isHome: true }] },
+      { id: 3, name: 'Eze', isStarter: true, isCaptain: false, currentGWPoints: 0, opponents: [] }
+    ]
+  },
+  managerSnapshot: { budget: { bankMillions: 1.5, squadValueMillions: 101.2 } }
+};
+
+function expectThreeInsights(categories, names) {
+  expect(Object.keys(categories)).toEqual(names);
+  Object.values(categories).forEach(insights => {
+    expect(insights).toHaveLength(3);
+    insights.forEach(insight => {
+      expect(typeof insight.text).toBe('string');
+      expect(insight).toHaveProperty('type');
+      expect(insight).toHaveProperty('severity');
+    });
+  });
+}
+
+/** Valid insight quoting a player's form */
+function formInsight(player) {
+  return {
+    text: `${player.name} is on ${player.form.toFixed(1)} form.`,
+    type: 'form',
+    severity: 'low',
+    playerIds: [player.id],
+    fixtureIds: [],
+    metrics: [{ playerId: player.id, field: 'form', value: player.form }],
+    action: null
+  };
+}
+
+function completeMarketResponse() {
+  const [salah, haaland, palmer] = marketData.overview.topPerformers;
+  return Object.fromEntries(MARKET_CATEGORIES.map(name => [name, [formInsight(salah), formInsight(haaland), formInsight(palmer)]]));
+}
+
+function openAIResponse(content) {
+  return { data: { choices: [{ message: { content: typeof content === 'string' ? content : JSON.stringify(content) } }] } };
+}
+
+describe('rule-based insights', () => {
+  it('builds market categories from the data analysis context', async () => {
+    const insights = await generateAIInsights('data-analysis', 'greatest-hits', 'all', 10, marketData, createRuleBasedProvider());
+    const { categories } = insights;
+
+    expect(insights.provider).toBe('rules');
+    expect(insights.error).toBeUndefined();
+    expect(insights.rejected).toBe(0);
+    expectThreeInsights(categories, MARKET_CATEGORIES);
+    expect(categories.Overview[0]).toMatchObject({
+      text: expect.stringContaining('Salah'),
+      playerIds: [10],
+      metrics: [{ playerId: 10, field: 'price', value: 13 }, { playerId: 10, field: 'ownership', value: 45.1 }]
+    });
+    expect(categories.Overview[1].action).toEqual({ type: 'buy', label: 'Buy Haaland', playerId: 11 });
+    expect(categories.Overview[2]).toMatchObject({ type: 'risk', playerIds: [12] });
+    expect(categories['Hidden Gems'][0].text).toContain('Mbeumo');
+    expect(categories.Differentials[1].text).toContain('Semenyo has 50,000 transfers in');
+    expect(categories['Team Analysis'][2].metrics).toEqual([
+      { playerId: null, field: 'avgDifficulty', value: 2.2 },
+      { playerId: null, field: 'avgDifficulty', value: 4.4 }
+    ]);
+  });
+
+  it('builds squad categories from the my team context', async () => {
+    const insights = await generateAIInsights('my-team', 'overview', 'all', 10, squadData, createRuleBasedProvider());
+    const { categories } = insights;
+
+    expectThreeInsights(categories, SQUAD_CATEGORIES);
+    expect(categories['Current GW'][0]).toMatchObject({
+      text: 'Captain Salah faces MCI (H), FDR 5.',
+      type: 'captain',
+      playerIds: [2],
+      fixtureIds: [100]
+    });
+    expect(categories['Current GW'][1]).toMatchObject({ severity: 'high', action: { type: 'bench', playerId: 3 } });
+    expect(categories['Squad Health'][0].text).toContain('Injured Def (injury: Knee injury)');
+    expect(categories['Transfer Priorities'][0].action).toEqual({ type: 'sell', label: 'Replace Injured Def', playerId: 4 });
+    expect(categories['Transfer Priorities'][1].metrics).toEqual([
+      { playerId: null, field: 'bankMillions', value: 1.5 },
+      { playerId: 4, field: 'priceMillions', value: 5 }
+    ]);
+    // Next gameweek's fixtures decide the captain - Salah's GW10 trip to City doesn't count
+    expect(categories['Captain Pick'][0]).toMatchObject({
+      text: expect.stringContaining('Captain Salah next'),
+      fixtureIds: [111],
+      action: { type: 'captain', playerId: 2 }
+    });
+    expect(categories['Captain Pick'][1].text).toContain('Eze (8.0% owned');
+    expect(categories['Chip Strategy'][0].text).toBe('Chips left: Wildcard, Bench Boost.');
+  });
+
+  it('pads categories when the context is empty', async () => {
+    const insights = await generateAIInsights('planner', 'overview', 'all', 10, {}, createRuleBasedProvider());
+    expectThreeInsights(insights.categories, ['Planner']);
+  });
+});
+
+describe('insight validation', () => {
+  const index = indexContextData(squadData);
+  const salah = squadData.squad[1];
+
+  it('accepts insights whose references and numbers match the data', () => {
+    const { insight, errors } = validateInsight({
+      ...formInsight(salah),
+      text: 'Salah (£13.0m, 45% owned) is on 6.2 form; his flag reads injury: Knee injury.',
+      metrics: [
+        { playerId: 2, field: 'form', value: 6.2 },
+        { playerId: 2, field: 'priceMillions', value: 13 },
+        { playerId: 2, field: 'ownershipPercent', value: 45 }
+      ],
+      fixtureIds: [111],
+      action: { type: 'transfer', label: 'Swap Injured Def for Eze', outId: 4, inId: 3 }
+    }, index);
+
+    expect(errors).toEqual([]);
+    expect(insight.fixtureIds).toEqual([111]);
+  });
+
+  it('rejects unknown ids, mismatched numbers and unsourced quotes', () => {
+    const result = validateInsight({
+      ...formInsight(salah),
+      text: 'Salah is on 7.5 form with 15 goals at £12.0m.',
+      playerIds: [2, 999],
+      fixtureIds: [555],
+      metrics: [{ playerId: 2, field: 'form', value: 7.5 }],
+      action: { type: 'sell', label: 'Sell Salah' }
+    }, index);
+
+    expect(result.insight).toBeNull();
+    expect(result.errors).toEqual([
+      'player 999 is not in the data',
+      'fixture 555 is not in the data',
+      'form for player 2 is 6.2, not 7.5',
+      '12 is quoted in the text but not listed in metrics',
+      'sell actions need a playerId'
+    ]);
+  });
+
+  it('checks non-player metrics against any matching field in the data', () => {
+    const quote = value => validateInsight({
+      text: `£${value}m in the bank.`,
+      type: 'value',
+      severity: 'low',
+      metrics: [{ playerId: null, field: 'bankMillions', value }]
+    }, index);
+
+    expect(quote(1.5).errors).toEqual([]);
+    expect(quote(2.5).errors).toEqual(['no "bankMillions" of 2.5 in the data']);
+  });
+});
+
+describe('prompts', () => {
+  it('shows every schema item as an insight object, not a string', () => {
+    ['planner', 'my-team', 'data-analysis'].forEach(page => {
+      const prompt = buildAIPrompt(page, 'overview', 'all', 10, {});
+      const schema = prompt.slice(prompt.indexOf('OUTPUT JSON SCHEMA'));
+
+      expect(schema).toContain('{ "text": ');
+      expect(schema).not.toMatch(/^\s*"[^"]*",?$/m);
+    });
+  });
+});
+
+describe('LLM providers', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+  });
+
+  it('calls an OpenAI-compatible server and parses its JSON content', async () => {
+    axios.post.mockResolvedValue(openAIResponse('```json\n' + JSON.stringify(completeMarketResponse()) + '\n```'));
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1/', model: 'llama3', apiKey: '' });
+
+    const insights = await generateAIInsights('data-analysis', 'overview', 'all', 10, marketData, provider);
+
+    expect(insights.provider).toBe('openai');
+    expect(insights.rejected).toBe(0);
+    expect(insights.categories.Overview.map(insight => insight.playerIds)).toEqual([[10], [11], [12]]);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(body).toMatchObject({ model: 'llama3', response_format: { type: 'json_object' } });
+    expect(body.messages[0].content).toContain('Gameweek: 10');
+    expect(body.messages[0].content).toContain('INSIGHT OBJECT');
+    expect(options.headers.Authorization).toBeUndefined();
+  });
+
+  it('retries with the validation errors when a response is rejected', async () => {
+    const bad = completeMarketResponse();
+    bad.Overview[0] = { ...bad.Overview[0], metrics: [{ playerId: 10, field: 'form', value: 9.9 }], text: 'Salah is on 9.9 form.' };
+    axios.post
+      .mockResolvedValueOnce(openAIResponse(bad))
+      .mockResolvedValueOnce(openAIResponse(completeMarketResponse()));
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', model: 'llama3' });
+
+    const insights = await generateAIInsights('data-analysis', 'overview', 'all', 10, marketData, provider);
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    const retryPrompt = axios.post.mock.calls[1][1].messages[0].content;
+    expect(retryPrompt).toContain('YOUR PREVIOUS RESPONSE WAS REJECTED');
+    expect(retryPrompt).toContain('form for player 10 is 6.2, not 9.9');
+    expect(insights.provider).toBe('openai');
+    expect(insights.categories.Overview[0].text).toBe('Salah is on 6.2 form.');
+  });
+
+  it('keeps the valid insights of the best attempt when retries run out', async () => {
+    const partial = completeMarketResponse();
+    partial.Overview[2] = { ...partial.Overview[2], playerIds: [999] };
+    axios.post.mockResolvedValue(openAIResponse(partial));
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', model: 'llama3' });
+
+    const insights = await generateAIInsights('data-analysis', 'overview', 'all', 10, marketData, provider);
+
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(insights.provider).toBe('openai');
+    expect(insights.rejected).toBe(1);
+    expect(insights.categories.Overview).toHaveLength(2);
+  });
+
+  it('falls back to rule-based insights when a provider is unconfigured', async () => {
+    const insights = await generateAIInsights('data-analysis', 'overview', 'all', 10, marketData, createGeminiProvider({ apiKey: '' }));
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(insights.provider).toBe('rules');
+    expect(insights.categories.Overview[0].text).toContain('Salah');
+  });
+
+  it('falls back to rule-based insights when a provider fails or returns junk', async () => {
+    const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1', model: 'llama3' });
+
+    axios.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    const failed = await generateAIInsights('my-team', 'overview', 'all', 10, squadData, provider);
+    expect(failed.provider).toBe('rules');
+    expectThreeInsights(failed.categories, SQUAD_CATEGORIES);
+
+    axios.post.mockResolvedValue(openAIResponse('I cannot help with that.'));
+    const junk = await generateAIInsights('my-team', 'overview', 'all', 10, squadData, provider);
+    expect(axios.post).toHaveBeenCalledTimes(4);
+    expect(junk.provider).toBe('rules');
+    expect(junk.error).toBeUndefined();
+  });
+});
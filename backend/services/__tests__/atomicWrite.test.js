@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAtomicWriter } from '../atomicWrite.js';
+
+describe('createAtomicWriter', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-write-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes overlapping saves in order and leaves no tmp file', async () => {
+    const writeAtomic = createAtomicWriter();
+    const filePath = path.join(tmpDir, 'nested', 'store.json');
+
+    const results = await Promise.all([
+      writeAtomic(filePath, '{"version":1}'),
+      writeAtomic(filePath, '{"version":2}')
+    ]);
+
+    expect(results).toEqual([true, true]);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ version: 2 });
+    expect(fs.existsSync(filePath + '.tmp')).toBe(false);
+  });
+
+  it('resolves false and keeps the queue going after a failed write', async () => {
+    const writeAtomic = createAtomicWriter();
+    const blocker = path.join(tmpDir, 'blocker');
+    fs.writeFileSync(blocker, '');
+
+    expect(await writeAtomic(path.join(blocker, 'store.json'), '{}', 'test store')).toBe(false);
+    expect(await writeAtomic(path.join(tmpDir, 'store.json'), '{}')).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSqliteCacheStore } from '../sqliteCacheStore.js';
+import {
+  cache,
+  loadCacheFromDisk,
+  updateBootstrapCache,
+  updateTeamCache,
+  updateLiveCache,
+  getCachedTeamData,
+  clearTeamCaches
+} from '../cacheManager.js';
+
+describe('sqlite cache store', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+    dbPath = path.join(tmpDir, 'cache.sqlite');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('restores entries written before a restart', async () => {
+    const store = createSqliteCacheStore(dbPath);
+    store.setEntry('bootstrap', '', { data: { events: [] }, timestamp: Date.now() }, 60000);
+    store.setEntry('teams', 123, { data: { name: 'Team A' }, timestamp: Date.now() }, 60000);
+    store.setEntry('live', 7, { data: { elements: [] }, timestamp: Date.now() }, 60000);
+    // No save() or close() - simulates a crash
+    const reopened = createSqliteCacheStore(dbPath);
+    const snapshot = await reopened.load();
+
+    expect(snapshot.bootstrap.data).toEqual({ events: [] });
+    expect(snapshot.teams).toEqual([['123', expect.objectContaining({ data: { name: 'Team A' } })]]);
+    expect(snapshot.live[0][0]).toBe(7);
+    store.close();
+    reopened.close();
+  });
+
+  it('drops expired entries on load', async () => {
+    const store = createSqliteCacheStore(dbPath);
+    store.setEntry('teams', 1, { data: {}, timestamp: Date.now() - 120000 }, 60000);
+    store.setEntry('teams', 2, { data: {}, timestamp: Date.now() }, 60000);
+
+    const snapshot = await store.load();
+
+    expect(snapshot.teams.map(([key]) => key)).toEqual(['2']);
+    store.close();
+  });
+
+  it('moves an unreadable database aside and starts fresh', async () => {
+    fs.writeFileSync(dbPath, 'not a sqlite database');
+
+    const store = createSqliteCacheStore(dbPath);
+    const snapshot = await store.load();
+
+    expect(snapshot.teams).toEqual([]);
+    expect(fs.readdirSync(tmpDir).some(file => file.startsWith('cache.sqlite.corrupt-'))).toBe(true);
+    store.close();
+  });
+});
+
+describe('cacheManager with the sqlite store', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-manager-'));
+    dbPath = path.join(tmpDir, 'cache.sqlite');
+  });
+
+  afterEach(async () => {
+    // Switch back to a memory store so other tests don't write to the tmp dir
+    await loadCacheFromDisk({ type: 'memory', filePath: path.join(tmpDir, 'missing.json') });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes cache updates through and restores them on the next start', async () => {
+    await loadCacheFromDisk({ type: 'sqlite', filePath: dbPath });
+    updateBootstrapCache({ events: [{ id: 1, is_current: true, finished: true }] });
+    updateTeamCache(42, { name: 'Restored FC' });
+    updateLiveCache(1, { elements: [] });
+
+    cache.teams.entries = new Map();
+    cache.live.entries = new Map();
+    await loadCacheFromDisk({ type: 'sqlite', filePath: dbPath });
+
+    expect(getCachedTeamData(42)).toEqual({ name: 'Restored FC' });
+    expect(cache.live.entries.has(1)).toBe(true);
+
+    clearTeamCaches();
+    await loadCacheFromDisk({ type: 'sqlite', filePath: dbPath });
+    expect(getCachedTeamData(42)).toBeNull();
+  });
+});
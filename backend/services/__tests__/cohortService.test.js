@@ -1,7 +1,13 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { cache } from '../cacheManager.js';
+import { fetchTeamPicks } from '../fplService.js';
 import * as cohortService from '../cohortService.js';
 
+vi.mock('../requestScheduler.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  scheduleRequest: vi.fn(async () => ({ data: { picks: [{ element: 1, multiplier: 1 }] } }))
+}));
+
 describe('cohortService caching', () => {
 beforeEach(() => {
   cache.cohorts.entries.clear();
@@ -52,3 +58,47 @@ beforeEach(() => {
   });
 });
 
+
+describe('cohortService aggregation', () => {
+  beforeEach(() => {
+    cache.bootstrap.data = {
+      teams: [],
+      elements: [
+        { id: 1, team: 1, element_type: 3, now_cost: 100, total_points: 50, minutes: 450 },
+        { id: 2, team: 2, element_type: 4, now_cost: 80, total_points: 40, minutes: 450 }
+      ]
+    };
+    cache.fixtures.data = [];
+  });
+
+  it('weights effective ownership by multiplier', () => {
+    const bucket = cohortService.__internal.aggregateBucket([
+      [{ element: 1, multiplier: 2, is_captain: true }, { element: 2, multiplier: 1 }],
+      [{ element: 1, multiplier: 3, is_captain: true }],
+      [{ element: 2, multiplier: 0 }],
+      null
+    ], 5);
+
+    expect(bucket.sampleSize).toBe(3);
+    expect(bucket.failed).toBe(1);
+    expect(bucket.players.find(p => p.id === 1)).toEqual({ id: 1, ownership: 66.7, captaincy: 66.7, eo: 166.7 });
+    expect(bucket.players.find(p => p.id === 2)).toEqual({ id: 2, ownership: 66.7, captaincy: 0, eo: 33.3 });
+    expect(bucket.distributions.avgPPM).toHaveLength(3);
+  });
+});
+
+describe('cohortService picks sampling', () => {
+  afterEach(() => {
+    cache.teams.picks.clear();
+  });
+
+  it('leaves sampled picks out of the shared picks cache', async () => {
+    const data = await fetchTeamPicks(123, 5, { cacheResponse: false });
+
+    expect(data.picks).toHaveLength(1);
+    expect(cache.teams.picks.has('123-5')).toBe(false);
+
+    await fetchTeamPicks(123, 5);
+    expect(cache.teams.picks.has('123-5')).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as historyStore from '../historyStore.js';
+
+function makeBootstrap(gameweek, { cost = 60, ownership = '10.0', strength = 4 } = {}) {
+  return {
+    events: [
+      { id: gameweek, finished: true, data_checked: true },
+      { id: gameweek + 1, finished: false, data_checked: false }
+    ],
+    elements: [
+      { id: 1, web_name: 'Saka', team: 1, now_cost: cost, selected_by_percent: ownership, event_points: 8, total_points: 40 },
+      { id: 2, web_name: 'Haaland', team: 2, now_cost: 150, selected_by_percent: '60.0', event_points: 2, total_points: 70 }
+    ],
+    teams: [
+      { id: 1, short_name: 'ARS', strength },
+      { id: 2, short_name: 'MCI', strength: 5 }
+    ]
+  };
+}
+
+const fixtures = [
+  { id: 10, event: 7, team_h: 1, team_a: 2 },
+  { id: 11, event: 8, team_h: 2, team_a: 1 }
+];
+
+describe('historyStore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+    historyStore.loadHistoryStore(tmpDir);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('archives the latest checked gameweek once', async () => {
+    const entry = await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(7), fixtures });
+
+    expect(entry).toMatchObject({ gameweek: 7, players: 2, teams: 2, fixtures: 1, hasGithub: false });
+    expect(await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(7), fixtures })).toBe(null);
+
+    const archive = await historyStore.readArchivedGameweek(7);
+    expect(archive.elements.fields).toContain('now_cost');
+    expect(archive.elements.rows).toHaveLength(2);
+    expect(archive.fixtures.map(f => f.id)).toEqual([10]);
+  });
+
+  it('tops up an archived gameweek when Elo-Insights stats appear', async () => {
+    await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(7), fixtures });
+
+    const github = { currentGW: 7, currentGWStats: [{ id: 1, expected_goals: 0.7 }] };
+    const entry = await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(7), fixtures, github });
+
+    expect(entry.hasGithub).toBe(true);
+
+    const history = await historyStore.getPlayerFieldHistory(1, ['now_cost', 'expected_goals']);
+    expect(history).toEqual([{ gameweek: 7, now_cost: 60, expected_goals: 0.7 }]);
+  });
+
+  it('queries player and team fields across gameweeks', async () => {
+    await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(7), fixtures });
+    await historyStore.archiveFinishedGameweek({
+      bootstrap: makeBootstrap(8, { cost: 61, ownership: '12.5', strength: 5 }),
+      fixtures
+    });
+
+    const players = await historyStore.getPlayerFieldHistory(1, ['now_cost', 'selected_by_percent']);
+    expect(players).toEqual([
+      { gameweek: 7, now_cost: 60, selected_by_percent: '10.0' },
+      { gameweek: 8, now_cost: 61, selected_by_percent: '12.5' }
+    ]);
+
+    const teams = await historyStore.getTeamFieldHistory(1, ['strength'], { from: 8, to: 38 });
+    expect(teams).toEqual([{ gameweek: 8, strength: 5 }]);
+  });
+
+  it('reloads the index and aggregates player history to disk', async () => {
+    await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(7), fixtures });
+    await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(8, { cost: 61 }), fixtures });
+
+    historyStore.loadHistoryStore(tmpDir);
+    expect(historyStore.listArchivedGameweeks().map(e => e.gameweek)).toEqual([7, 8]);
+
+    const status = await historyStore.aggregatePlayerHistory();
+    expect(status).toMatchObject({ status: 'complete', gameweeks: 2, players: 2 });
+
+    const output = JSON.parse(fs.readFileSync(path.join(tmpDir, 'player-history.json'), 'utf8'));
+    const saka = output.players.find(p => p.id === 1);
+    expect(saka.history.map(h => h.now_cost)).toEqual([60, 61]);
+  });
+
+  it('keeps only the most recently read gameweeks in memory', async () => {
+    for (let gameweek = 7; gameweek <= 12; gameweek++) {
+      await historyStore.archiveFinishedGameweek({ bootstrap: makeBootstrap(gameweek), fixtures });
+    }
+
+    // Archiving doesn't populate the cache
+    const readFile = vi.spyOn(fs.promises, 'readFile');
+    const all = await historyStore.getPlayerFieldHistory(1, ['now_cost']);
+    expect(all).toHaveLength(6);
+    expect(readFile).toHaveBeenCalledTimes(6);
+
+    // Only the last HISTORY.ARCHIVE_CACHE_SIZE (4) stay cached
+    readFile.mockClear();
+    await historyStore.getTeamFieldHistory(2, ['strength'], { from: 9, to: 12 });
+    expect(readFile).not.toHaveBeenCalled();
+    await historyStore.getTeamFieldHistory(2, ['strength'], { from: 7, to: 7 });
+    expect(readFile).toHaveBeenCalledTimes(1);
+
+    // Aggregation reads the uncached GW8 and GW9 past the cache without evicting anything
+    readFile.mockClear();
+    await historyStore.aggregatePlayerHistory();
+    expect(readFile).toHaveBeenCalledTimes(2);
+    await historyStore.getPlayerFieldHistory(1, ['now_cost'], { from: 10, to: 12 });
+    expect(readFile).toHaveBeenCalledTimes(2);
+  });
+});
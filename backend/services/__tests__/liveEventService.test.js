@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../fplService.js', () => ({
+  fetchBootstrap: vi.fn(),
+  fetchLiveGameweekData: vi.fn(),
+  fetchFixtures: vi.fn()
+}));
+
+import { buildLiveState, diffLiveState } from '../liveEventService.js';
+
+function stats(overrides = {}) {
+  return {
+    minutes: 60,
+    goals_scored: 0,
+    assists: 0,
+    yellow_cards: 0,
+    red_cards: 0,
+    bonus: 0,
+    bps: 10,
+    total_points: 2,
+    ...overrides
+  };
+}
+
+function fixture(overrides = {}) {
+  return {
+    id: 100,
+    event: 7,
+    started: true,
+    finished: false,
+    finished_provisional: false,
+    minutes: 60,
+    team_h_score: 0,
+    team_a_score: 0,
+    kickoff_time: '2025-10-04T14:00:00Z',
+    ...overrides
+  };
+}
+
+describe('diffLiveState()', () => {
+  it('emits goal, assist, card and bonus events with updated live stats', () => {
+    const prev = buildLiveState(
+      [{ id: 1, stats: stats() }, { id: 2, stats: stats() }, { id: 3, stats: stats() }],
+      [fixture()],
+      new Map([[1, 1]]),
+      7
+    );
+    const next = buildLiveState(
+      [
+        { id: 1, stats: stats({ goals_scored: 1, total_points: 6, bps: 30 }) },
+        { id: 2, stats: stats({ assists: 1, yellow_cards: 1, total_points: 4 }) },
+        { id: 3, stats: stats() }
+      ],
+      [fixture({ minutes: 65, team_h_score: 1 })],
+      new Map([[1, 3]]),
+      7
+    );
+
+    const { events, elements, fixtures } = diffLiveState(prev, next);
+
+    expect(events).toEqual([
+      { type: 'goal', element: 1, count: 1 },
+      { type: 'bonus', element: 1, from: 1, to: 3 },
+      { type: 'assist', element: 2, count: 1 },
+      { type: 'card', element: 2, card: 'yellow' }
+    ]);
+    // Player 3 is unchanged and not resent
+    expect(elements.map(e => e.id)).toEqual([1, 2]);
+    expect(elements[0].live_stats).toMatchObject({ goals_scored: 1, provisional_bonus: 3 });
+    expect(fixtures).toEqual([expect.objectContaining({ id: 100, minutes: 65, team_h_score: 1 })]);
+    expect(fixtures[0]).not.toHaveProperty('kickoff_time');
+  });
+
+  it('emits fixture started and finished events once', () => {
+    const prev = buildLiveState([], [fixture({ id: 1, started: false, minutes: 0 }), fixture({ id: 2 })], new Map(), 7);
+    const next = buildLiveState([], [fixture({ id: 1 }), fixture({ id: 2, finished_provisional: true, minutes: 90 })], new Map(), 7);
+    const later = buildLiveState([], [fixture({ id: 1 }), fixture({ id: 2, finished_provisional: true, finished: true, minutes: 90 })], new Map(), 7);
+
+    expect(diffLiveState(prev, next).events).toEqual([
+      { type: 'fixture_started', fixture: 1 },
+      { type: 'fixture_finished', fixture: 2 }
+    ]);
+    expect(diffLiveState(next, later).events).toEqual([]);
+    expect(diffLiveState(next, later).fixtures.map(f => f.id)).toEqual([2]);
+  });
+
+  it('returns nothing when the state has not changed', () => {
+    const state = buildLiveState([{ id: 1, stats: stats() }], [fixture()], new Map([[1, 2]]), 7);
+    const same = buildLiveState([{ id: 1, stats: stats() }], [fixture()], new Map([[1, 2]]), 7);
+
+    expect(diffLiveState(state, same)).toEqual({ events: [], elements: [], fixtures: [] });
+  });
+});
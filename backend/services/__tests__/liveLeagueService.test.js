@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../fplService.js', () => ({
+  fetchLeagueStandings: vi.fn(),
+  fetchTeamPicks: vi.fn(),
+  fetchLiveGameweekData: vi.fn(),
+  fetchFixtures: vi.fn()
+}));
+
+import { cache } from '../cacheManager.js';
+import { fetchLeagueStandings, fetchTeamPicks, fetchLiveGameweekData } from '../fplService.js';
+import { buildLiveLeagueTable } from '../liveLeagueService.js';
+
+// 15 players: 1 GK, 4 DEF, 4 MID, 2 FWD starting; bench GK, DEF, MID, FWD
+const TYPES = [1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 1, 2, 3, 4];
+
+function picksFor(captain, { chip = null, total = 100, points = 0, cost = 0 } = {}) {
+  return {
+    active_chip: chip,
+    entry_history: { points, total_points: total, event_transfers_cost: cost },
+    picks: TYPES.map((type, index) => ({
+      element: index + 1,
+      position: index + 1,
+      is_captain: index + 1 === captain,
+      is_vice_captain: index + 1 === (captain === 2 ? 3 : 2)
+    }))
+  };
+}
+
+describe('buildLiveLeagueTable()', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cache.leagues.live.clear();
+    cache.live.entries.clear();
+    cache.bootstrap.data = {
+      events: [{ id: 10, is_current: true, finished: false, deadline_time: new Date(Date.now() - 3600000).toISOString() }],
+      elements: TYPES.map((type, index) => ({ id: index + 1, team: index + 1, element_type: type, web_name: `P${index + 1}` }))
+    };
+    cache.fixtures.data = TYPES.map((type, index) => ({
+      id: index + 1, event: 10, team_h: index + 1, team_a: 100 + index, started: true, finished: index !== 5
+    }));
+    cache.fixtures.timestamp = Date.now();
+
+    fetchLiveGameweekData.mockResolvedValue({
+      elements: TYPES.map((type, index) => ({
+        id: index + 1,
+        stats: { minutes: 90, total_points: index + 1 === 6 ? 10 : 2, bonus: 0, bps: 0 }
+      }))
+    });
+    fetchLeagueStandings.mockResolvedValue({
+      league: { id: 5, name: 'Test League' },
+      standings: {
+        has_next: false,
+        results: [
+          { entry: 1, entry_name: 'Leader', player_name: 'A', rank: 1, last_rank: 1, total: 110, event_total: 0 },
+          { entry: 2, entry_name: 'Chaser', player_name: 'B', rank: 2, last_rank: 2, total: 105, event_total: 0 }
+        ]
+      }
+    });
+  });
+
+  it('re-ranks entries by live total with captain and players left', async () => {
+    fetchTeamPicks.mockImplementation(async (entryId) =>
+      entryId === 1 ? picksFor(2, { total: 110 }) : picksFor(6, { total: 105, chip: '3xc' })
+    );
+
+    const table = await buildLiveLeagueTable(5, 10);
+
+    expect(table.entries.map(row => row.entry)).toEqual([2, 1]);
+    const [chaser, leader] = table.entries;
+    // Each player tops the BPS in their own fixture (+3 provisional bonus)
+    // Chaser: captain P6 (10 + 3) x 3 (TC) + 10 others x 5 = 89
+    expect(chaser.gw_points).toBe(89);
+    expect(chaser.total).toBe(194);
+    expect(chaser.live_rank).toBe(1);
+    expect(chaser.rank_change).toBe(1);
+    expect(chaser.captain).toEqual({ id: 6, name: 'P6', multiplier: 3 });
+    expect(chaser.active_chip).toBe('3xc');
+    expect(chaser.players_left).toBe(1);
+    // Leader: captain P2 5 x 2 + P6 13 + 9 others x 5 = 68
+    expect(leader.gw_points).toBe(68);
+    expect(leader.rank_change).toBe(-1);
+  });
+
+  it('falls back to official points when picks are unavailable', async () => {
+    fetchTeamPicks.mockImplementation(async (entryId) => {
+      if (entryId === 2) throw new Error('Picks unavailable');
+      return picksFor(2, { total: 110 });
+    });
+
+    const table = await buildLiveLeagueTable(5, 10);
+    const chaser = table.entries.find(row => row.entry === 2);
+
+    expect(table.failed).toBe(1);
+    expect(chaser.is_live).toBe(false);
+    expect(chaser.total).toBe(105);
+  });
+
+  it('serves repeated requests from cache', async () => {
+    fetchTeamPicks.mockResolvedValue(picksFor(2));
+
+    await buildLiveLeagueTable(5, 10);
+    await buildLiveLeagueTable(5, 10);
+
+    expect(fetchLeagueStandings).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as planStore from '../planStore.js';
+
+const TEAM_ID = 123456;
+
+function makePlan(name = 'Plan A') {
+  return {
+    id: `plan_${name.replace(/\s/g, '')}`,
+    name,
+    startGW: 10,
+    currentTeamSnapshot: { picks: [], bank: 0 },
+    gameweekPlans: { 10: { transfers: [], chipUsed: null } }
+  };
+}
+
+describe('planStore', () => {
+  let tmpDir;
+  let storePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-store-'));
+    storePath = path.join(tmpDir, 'plan-store.json');
+    planStore.loadPlanStore(storePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('creates plans at version 1 and lists them per team', async () => {
+    const result = await planStore.createPlan(TEAM_ID, makePlan());
+
+    expect(result.success).toBe(true);
+    expect(result.record.version).toBe(1);
+    expect(planStore.listPlans(TEAM_ID)).toHaveLength(1);
+    expect(planStore.listPlans(999)).toHaveLength(0);
+  });
+
+  it('bumps the version on update and rejects stale versions', async () => {
+    const { record } = await planStore.createPlan(TEAM_ID, makePlan());
+
+    const first = await planStore.updatePlan(TEAM_ID, record.id, { ...record.plan, name: 'Renamed' }, 1);
+    expect(first.success).toBe(true);
+    expect(first.record.version).toBe(2);
+
+    const stale = await planStore.updatePlan(TEAM_ID, record.id, record.plan, 1);
+    expect(stale.success).toBe(false);
+    expect(stale.status).toBe(409);
+    expect(stale.record.plan.name).toBe('Renamed');
+  });
+
+  it('does not expose plans to other teams', async () => {
+    const { record } = await planStore.createPlan(TEAM_ID, makePlan());
+
+    expect(planStore.getPlan(999, record.id)).toBeNull();
+    const result = await planStore.deletePlan(999, record.id);
+    expect(result.status).toBe(404);
+  });
+
+  it('persists plans and share tokens to disk', async () => {
+    const { record } = await planStore.createPlan(TEAM_ID, makePlan());
+    const { token } = await planStore.createShareToken(TEAM_ID, record.id);
+
+    planStore.loadPlanStore(storePath);
+
+    expect(planStore.getPlan(TEAM_ID, record.id).version).toBe(1);
+    expect(planStore.getSharedPlan(token).plan.name).toBe('Plan A');
+  });
+
+  it('reuses share tokens and revokes them on delete', async () => {
+    const { record } = await planStore.createPlan(TEAM_ID, makePlan());
+    const first = await planStore.createShareToken(TEAM_ID, record.id);
+    const second = await planStore.createShareToken(TEAM_ID, record.id);
+
+    expect(second.token).toBe(first.token);
+
+    await planStore.deletePlan(TEAM_ID, record.id, 1);
+    expect(planStore.getSharedPlan(first.token)).toBeNull();
+  });
+
+  it('issues one owner key per team and verifies it', async () => {
+    const { key } = await planStore.registerOwner(TEAM_ID);
+
+    expect(planStore.hasOwner(TEAM_ID)).toBe(true);
+    expect(planStore.verifyOwner(TEAM_ID, key)).toBe(true);
+    expect(planStore.verifyOwner(TEAM_ID, 'guessed-key')).toBe(false);
+    expect(planStore.verifyOwner(TEAM_ID, undefined)).toBe(false);
+    expect(planStore.verifyOwner(999, key)).toBe(false);
+    expect((await planStore.registerOwner(TEAM_ID)).status).toBe(409);
+
+    // Only the hash is written to disk
+    expect(fs.readFileSync(storePath, 'utf8')).not.toContain(key);
+    planStore.loadPlanStore(storePath);
+    expect(planStore.verifyOwner(TEAM_ID, key)).toBe(true);
+  });
+
+  it('validates plan payloads', () => {
+    expect(planStore.validatePlan(null)).toMatch(/object/);
+    expect(planStore.validatePlan({ gameweekPlans: {} })).toMatch(/picks/);
+    expect(planStore.validatePlan(makePlan())).toBeNull();
+  });
+});
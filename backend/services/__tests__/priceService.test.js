@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as priceService from '../priceService.js';
+
+const HOUR = 60 * 60 * 1000;
+// 10:00 UTC - 15.5 hours before the 01:30 UTC price update
+const NOW = Date.UTC(2025, 9, 1, 10, 0);
+
+function makeBootstrap(players, gameweek = 7) {
+  return {
+    total_players: 10000000,
+    events: [{ id: gameweek, is_current: true }],
+    elements: players.map(({ id, net, cost = 60, ownership = '10.0' }) => ({
+      id,
+      now_cost: cost,
+      selected_by_percent: ownership,
+      transfers_in_event: Math.max(net, 0),
+      transfers_out_event: Math.max(-net, 0)
+    }))
+  };
+}
+
+function findPrediction(result, id) {
+  return result.predictions.find(p => p.id === id);
+}
+
+describe('priceService', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-store-'));
+    priceService.loadPriceStore(path.join(tmpDir, 'price-history.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('projects a rise from progress and recent net transfer rate', async () => {
+    // 1M owners: rise threshold 80k net transfers in
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 1, net: 40000 }]), NOW - 6 * HOUR);
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 1, net: 64000 }]), NOW);
+
+    const prediction = findPrediction(priceService.getPricePredictions(makeBootstrap([{ id: 1, net: 64000 }]), NOW), 1);
+
+    expect(prediction.progress).toBe(0.8);
+    expect(prediction.netPerHour).toBe(4000);
+    expect(prediction.prediction).toBe('rise');
+    expect(prediction.riseProbability).toBe(0.99);
+    expect(prediction.fallProbability).toBe(0);
+  });
+
+  it('restarts progress after a price change and blocks a second change that day', async () => {
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 1, net: 90000 }]), NOW - 10 * HOUR);
+    // Price rose at 01:30 UTC
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 1, net: 95000, cost: 61 }]), NOW - 2 * HOUR);
+
+    const prediction = findPrediction(
+      priceService.getPricePredictions(makeBootstrap([{ id: 1, net: 95000, cost: 61 }]), NOW),
+      1
+    );
+
+    expect(prediction.netSinceChange).toBe(0);
+    expect(prediction.prediction).toBe(null);
+    expect(prediction.riseProbability).toBe(0);
+  });
+
+  it('carries progress across gameweek resets and predicts falls', async () => {
+    // 1M owners: fall threshold 50k net transfers out
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 2, net: -30000 }], 7), NOW - 6 * HOUR);
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 2, net: -25000 }], 8), NOW);
+
+    const prediction = findPrediction(
+      priceService.getPricePredictions(makeBootstrap([{ id: 2, net: -25000 }], 8), NOW),
+      2
+    );
+
+    expect(prediction.netSinceChange).toBe(-55000);
+    expect(prediction.progress).toBe(-1.1);
+    expect(prediction.prediction).toBe('fall');
+  });
+
+  it('persists snapshots to disk', async () => {
+    const storePath = path.join(tmpDir, 'price-history.json');
+    await priceService.recordPriceSnapshot(makeBootstrap([{ id: 1, net: 1000 }]), NOW);
+
+    priceService.loadPriceStore(storePath);
+    const result = priceService.getPricePredictions(makeBootstrap([{ id: 1, net: 1000 }]), NOW);
+
+    expect(result.snapshots).toBe(1);
+    expect(result.nextUpdate).toBe('2025-10-02T01:30:00.000Z');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('axios', () => ({
+  default: { get: vi.fn() }
+}));
+
+vi.mock('axios-retry', () => ({
+  default: Object.assign(vi.fn(), {
+    exponentialDelay: vi.fn(() => 0),
+    isNetworkOrIdempotentRequestError: vi.fn(() => false)
+  })
+}));
+
+import axios from 'axios';
+import { scheduleRequest, getSchedulerStats, PRIORITY } from '../requestScheduler.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('requestScheduler', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  it('shares one request between concurrent callers for the same URL', async () => {
+    axios.get.mockResolvedValue({ data: { ok: true }, headers: {} });
+
+    const [first, second] = await Promise.all([
+      scheduleRequest('https://dedupe.test/entry/1/'),
+      scheduleRequest('https://dedupe.test/entry/1/')
+    ]);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(getSchedulerStats().deduped).toBeGreaterThanOrEqual(1);
+  });
+
+  it('starts user requests before queued background requests', async () => {
+    const pending = [];
+    axios.get.mockImplementation((url) => {
+      const call = deferred();
+      pending.push({ url, call });
+      return call.promise;
+    });
+
+    // Fill the default concurrency (4) so later requests queue
+    const blockers = [1, 2, 3, 4].map(id => scheduleRequest(`https://priority.test/block/${id}/`));
+    const background = scheduleRequest('https://priority.test/league-sweep/', { priority: PRIORITY.BACKGROUND });
+    const user = scheduleRequest('https://priority.test/my-team/', { priority: PRIORITY.USER });
+
+    expect(getSchedulerStats().hosts['priority.test'].queued).toEqual({ user: 1, default: 0, background: 1 });
+
+    pending[0].call.resolve({ data: {}, headers: {} });
+    await flush();
+
+    expect(pending[4].url).toBe('https://priority.test/my-team/');
+
+    pending.slice(1).forEach(({ call }) => call.resolve({ data: {}, headers: {} }));
+    await flush();
+    pending.slice(5).forEach(({ call }) => call.resolve({ data: {}, headers: {} }));
+    await Promise.all([...blockers, background, user]);
+  });
+
+  it('opens the circuit after repeated 5xx responses and fails fast', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { response: { status: 503 } }));
+
+    for (let i = 0; i < 5; i++) {
+      await expect(scheduleRequest(`https://breaker.test/entry/${i}/`)).rejects.toThrow('Service Unavailable');
+    }
+
+    await expect(scheduleRequest('https://breaker.test/entry/99/')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(axios.get).toHaveBeenCalledTimes(5);
+    expect(getSchedulerStats().hosts['breaker.test'].circuit).toBe('open');
+  });
+
+  it('treats FPL maintenance pages as failures', async () => {
+    axios.get.mockResolvedValue({
+      data: '<html><body>The game is being updated.</body></html>',
+      headers: { 'content-type': 'text/html; charset=utf-8' }
+    });
+
+    await expect(scheduleRequest('https://maintenance.test/bootstrap-static/')).rejects.toMatchObject({ code: 'MAINTENANCE' });
+    expect(getSchedulerStats().hosts['maintenance.test'].consecutive_failures).toBe(1);
+  });
+});
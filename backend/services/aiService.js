@@ -1,12 +1,20 @@
 // ============================================================================
 // AI SERVICE
-// Handles Gemini AI integration for generating FPL insights
+// Builds prompts and validates AI insights; the model itself sits behind an
+// LLM provider (Gemini, OpenAI-compatible or rule-based)
 // ============================================================================
 
-import axios from 'axios';
 import { jsonrepair } from 'jsonrepair';
-import { GEMINI } from '../config.js';
+import { AI } from '../config.js';
 import logger from '../logger.js';
+import { getLLMProvider, createRuleBasedProvider } from './llmProviders.js';
+import {
+  INSIGHT_TYPES,
+  INSIGHT_SEVERITIES,
+  ACTION_TYPES,
+  indexContextData,
+  validateInsightCategories
+} from './insightSchema.js';
 
 // ============================================================================
 // PROMPT BUILDING
@@ -38,6 +46,42 @@ ${JSON.stringify(managerSnapshot, null, 2)}
 `;
 }
 
+const INSIGHT_FORMAT_BLOCK = `
+INSIGHT OBJECT (every array item below must be one of these, not a string):
+{
+  "text": "The insight itself (the guidance below describes what each should cover)",
+  "type": one of ${INSIGHT_TYPES.map(t => `"${t}"`).join(', ')},
+  "severity": one of ${INSIGHT_SEVERITIES.map(s => `"${s}"`).join(', ')},
+  "playerIds": [ids of every player mentioned, from their "id" in the data],
+  "fixtureIds": [ids of fixtures mentioned, from their "fixtureId" in the data],
+  "metrics": [{ "playerId": id or null, "field": "exact key from the data", "value": number }],
+  "action": { "type": one of ${ACTION_TYPES.map(a => `"${a}"`).join(', ')}, "label": "short imperative", "playerId": id, "outId": id, "inId": id } or null
+}
+- Every decimal, price (£) or percentage in "text" must be listed in "metrics" with the exact value from the data.
+- Use "playerId": null in a metric for values that don't belong to a player (team fixture difficulty, bank).
+- Actions: "transfer" needs outId (and inId if the target is in the data); "sell", "buy", "captain" and "bench" need playerId.
+- Insights with unknown ids or numbers that don't match the data are discarded.
+`;
+
+/**
+ * Output schema block for a page: each category's items are insight objects,
+ * with the guidance for each one in its "text" field
+ * @param {Object<string, string[]>} categories - Category -> what each insight should cover
+ * @returns {string} Schema block for the prompt
+ */
+function formatOutputSchema(categories) {
+  const body = Object.entries(categories)
+    .map(([category, guidance]) => {
+      const items = guidance
+        .map(text => `    { "text": "${text}", "type": "...", "severity": "...", "playerIds": [...], "fixtureIds": [...], "metrics": [...], "action": {...} or null }`)
+        .join(',\n');
+      return `  "${category}": [\n${items}\n  ]`;
+    })
+    .join(',\n');
+
+  return `OUTPUT JSON SCHEMA (every item is an INSIGHT OBJECT):\n{\n${body}\n}`;
+}
+
 /**
  * Build AI prompt based on page context
  * @param {string} page - Page name (e.g., 'data-analysis')
@@ -80,14 +124,14 @@ INSTRUCTIONS:
 - Never repeat the same player or recommendation twice.
 - If a manager snapshot is provided, tie each insight directly to that squad's gaps, budget, and chips. Do not recommend buying players already owned unless you are discussing captaincy or bench usage.
 
-OUTPUT JSON SCHEMA:
-{
-  "Planner": [
-    "Insight #1 (concise, actionable, references supplied data)",
-    "Insight #2 (concise, actionable, references supplied data)",
-    "Insight #3 (concise, actionable, references supplied data)"
+${INSIGHT_FORMAT_BLOCK}
+${formatOutputSchema({
+  Planner: [
+    'Insight #1 (concise, actionable, references supplied data)',
+    'Insight #2 (concise, actionable, references supplied data)',
+    'Insight #3 (concise, actionable, references supplied data)'
   ]
-}
+})}
 
 Return only valid JSON that matches the schema.`;
   }
@@ -112,34 +156,34 @@ INSTRUCTIONS:
 - If transfer or league data is provided, factor in recent moves (don't re-recommend), budget constraints, and competitive urgency.
 - For the "Current GW" category: if currentGWData.isLive is true, review how the squad is performing (who returned points, who blanked, captain result, auto-sub implications). If isLive is false, preview opponents and difficulty for the upcoming deadline — suggest last-minute bench order or transfer targets.
 
-OUTPUT JSON SCHEMA:
-{
-  "Current GW": [
-    "Captain performance or opponent preview for current gameweek",
-    "Key starter result or bench decision review",
-    "Auto-sub implication or points projection"
+${INSIGHT_FORMAT_BLOCK}
+${formatOutputSchema({
+  'Current GW': [
+    'Captain performance or opponent preview for current gameweek',
+    'Key starter result or bench decision review',
+    'Auto-sub implication or points projection'
   ],
-  "Squad Health": [
-    "Insight about injury/suspension risks or bench cover gaps",
-    "Insight about rotation-prone or low-minutes players in starting XI",
-    "Insight about deadwood or players not returning value for price"
+  'Squad Health': [
+    'Insight about injury/suspension risks or bench cover gaps',
+    'Insight about rotation-prone or low-minutes players in starting XI',
+    'Insight about deadwood or players not returning value for price'
   ],
-  "Transfer Priorities": [
-    "Highest-priority player to sell/drop with specific reasoning",
-    "Best replacement target given budget and position needs",
-    "Second transfer priority or hold recommendation with justification"
+  'Transfer Priorities': [
+    'Highest-priority player to sell/drop with specific reasoning',
+    'Best replacement target given budget and position needs',
+    'Second transfer priority or hold recommendation with justification'
   ],
-  "Captain Pick": [
-    "Best captain choice for NEXT GW with form + fixture reasoning",
-    "Differential captain option for next GW",
-    "Vice-captain recommendation for next GW"
+  'Captain Pick': [
+    'Best captain choice for NEXT GW with form + fixture reasoning',
+    'Differential captain option for next GW',
+    'Vice-captain recommendation for next GW'
   ],
-  "Chip Strategy": [
-    "Recommended chip timing based on fixture swings and DGW calendar",
-    "Current squad readiness for bench boost or free hit",
-    "Wildcard trigger conditions based on squad problems"
+  'Chip Strategy': [
+    'Recommended chip timing based on fixture swings and DGW calendar',
+    'Current squad readiness for bench boost or free hit',
+    'Wildcard trigger conditions based on squad problems'
   ]
-}
+})}
 
 Return only valid JSON that matches the schema.`;
   }
@@ -161,34 +205,34 @@ INSTRUCTIONS:
 - Avoid generic phrasing such as "monitor" or "keep an eye"—be decisive.
 - When a manager snapshot is available, highlight where that squad lacks coverage, carries redundant assets, or needs chip planning before offering broad market commentary.
 
-OUTPUT JSON SCHEMA:
-{
-  "Overview": [
-    "Insight about macro FPL trends, captaincy, or premium debates",
-    "Insight about form players or fixture swings that affect most squads",
-    "Insight highlighting risk factors (injuries, rotation, blank threats)"
+${INSIGHT_FORMAT_BLOCK}
+${formatOutputSchema({
+  Overview: [
+    'Insight about macro FPL trends, captaincy, or premium debates',
+    'Insight about form players or fixture swings that affect most squads',
+    'Insight highlighting risk factors (injuries, rotation, blank threats)'
   ],
-  "Hidden Gems": [
-    "Insight about undervalued players with strong underlying stats",
-    "Insight about budget enablers under ~5% ownership",
-    "Insight about players poised to break out"
+  'Hidden Gems': [
+    'Insight about undervalued players with strong underlying stats',
+    'Insight about budget enablers under ~5% ownership',
+    'Insight about players poised to break out'
   ],
-  "Differentials": [
-    "Insight covering <15% owned players with upside",
-    "Insight covering transfer momentum or price changes",
-    "Insight covering fixture-based differentials"
+  Differentials: [
+    'Insight covering <15% owned players with upside',
+    'Insight covering transfer momentum or price changes',
+    'Insight covering fixture-based differentials'
   ],
-  "Transfer Targets": [
-    "Premium or mid-price players worth buying",
-    "Players to sell or avoid with justification",
-    "Chip or captaincy angles tied to player moves"
+  'Transfer Targets': [
+    'Premium or mid-price players worth buying',
+    'Players to sell or avoid with justification',
+    'Chip or captaincy angles tied to player moves'
   ],
-  "Team Analysis": [
-    "Team(s) with best fixtures next 4–5 GWs",
-    "Team(s) entering poor runs or rotation risk",
-    "Notable fixture or doubles/blank inflection points"
+  'Team Analysis': [
+    'Team(s) with best fixtures next 4–5 GWs',
+    'Team(s) entering poor runs or rotation risk',
+    'Notable fixture or doubles/blank inflection points'
   ]
-}
+})}
 
 Respond with JSON that strictly matches this schema—no commentary.`;
   }
@@ -203,7 +247,8 @@ ${managerSnapshotBlock}
 DATA SNAPSHOT:
 ${dataSnapshot}
 
-Produce valid JSON with the following keys: "Overview", "Hidden Gems", "Differentials", "Transfer Targets", "Team Analysis". Each key must contain an array of exactly three concise, data-backed insights sourced from the snapshot. If a manager snapshot is present, personalize every recommendation to that squad's needs and avoid duplicating players they already own unless the advice is about captaincy or benching.`;
+${INSIGHT_FORMAT_BLOCK}
+Produce valid JSON with the following keys: "Overview", "Hidden Gems", "Differentials", "Transfer Targets", "Team Analysis". Each key must contain an array of exactly three concise, data-backed insight objects sourced from the snapshot. If a manager snapshot is present, personalize every recommendation to that squad's needs and avoid duplicating players they already own unless the advice is about captaincy or benching.`;
 }
 
 // ============================================================================
@@ -211,20 +256,18 @@ Produce valid JSON with the following keys: "Overview", "Hidden Gems", "Differen
 // ============================================================================
 
 /**
- * Parse Gemini API response into insights structure
- * @param {Object} geminiData - Raw Gemini API response
- * @param {number} gameweek - Current gameweek number
- * @returns {Object} Parsed insights with categories
+ * Extract the JSON object from model output
+ * @param {string|Object} output - JSON text (possibly wrapped in prose or a code block) or a parsed object
+ * @returns {Object} Parsed object
  */
-function parseCategoriesFromParts(parts) {
-  const jsonPart = parts.find(part => part.jsonValue);
-  if (jsonPart && typeof jsonPart.jsonValue === 'object') {
-    return jsonPart.jsonValue;
+export function parseModelJson(output) {
+  if (output && typeof output === 'object') {
+    return output;
   }
 
-  const text = parts.find(part => part.text)?.text || '';
+  const text = typeof output === 'string' ? output : '';
   if (!text) {
-    throw new Error('No text content in Gemini response');
+    throw new Error('No text content in AI response');
   }
 
   // Try to extract JSON from response (handles markdown code blocks)
@@ -263,130 +306,66 @@ function safeParseJson(text) {
   }
 }
 
-export function parseGeminiResponse(geminiData, gameweek, page) {
-  try {
-    const parts = geminiData.candidates?.[0]?.content?.parts || [];
-
-    // Log raw response sample for debugging
-    const rawText = parts.find(part => part.text)?.text || '';
-    if (rawText) {
-      const sample = rawText.substring(0, 500);
-      logger.log(`📄 Raw JSON sample (first 500 chars): ${sample}...`);
-    }
-
-    const categories = parseCategoriesFromParts(parts);
+/**
+ * Prompt for another attempt, listing what was wrong with the last response
+ * @param {string} prompt - Original prompt
+ * @param {string[]} problems - Validation errors
+ * @returns {string}
+ */
+function buildRetryPrompt(prompt, problems) {
+  return `${prompt}
 
-    // Validate structure - should be an object with category keys
-    if (typeof categories !== 'object' || Array.isArray(categories)) {
-      throw new Error('Parsed response is not an object');
-    }
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${problems.slice(0, 20).map(problem => `- ${problem}`).join('\n')}
 
-    // Determine expected categories based on page
-    let expectedCategories;
-    if (page === 'planner') {
-      expectedCategories = ['Planner'];
-    } else if (page === 'my-team') {
-      expectedCategories = ['Current GW', 'Squad Health', 'Transfer Priorities', 'Captain Pick', 'Chip Strategy'];
-    } else {
-      expectedCategories = ['Overview', 'Hidden Gems', 'Differentials', 'Transfer Targets', 'Team Analysis'];
-    }
+Fix these problems and return the complete JSON again.`;
+}
 
-    // Log diagnostic info about what categories were received
-    const receivedCategories = Object.keys(categories);
-    const missingCategories = expectedCategories.filter(cat => !categories[cat] || !Array.isArray(categories[cat]));
-    const presentCategories = expectedCategories.filter(cat => categories[cat] && Array.isArray(categories[cat]));
-
-    logger.log(`📊 Category diagnostics:`);
-    logger.log(`   Expected: ${expectedCategories.join(', ')}`);
-    logger.log(`   Received keys: ${receivedCategories.join(', ')}`);
-    logger.log(`   ✅ Present (${presentCategories.length}): ${presentCategories.join(', ')}`);
-    if (missingCategories.length > 0) {
-      logger.warn(`   ❌ Missing (${missingCategories.length}): ${missingCategories.join(', ')}`);
-      missingCategories.forEach(cat => {
-        const value = categories[cat];
-        logger.warn(`      - "${cat}": ${value ? `found but invalid (type: ${typeof value}, isArray: ${Array.isArray(value)})` : 'not found'}`);
-      });
-    }
+/**
+ * Ask a provider for insights until they pass validation
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Built prompt
+ * @param {Object} context - Insights request ({ page, tab, position, gameweek, data })
+ * @param {Object} index - Context data index (see indexContextData)
+ * @param {number} [attempts=AI.MAX_ATTEMPTS] - Tries before giving up
+ * @returns {Promise<{categories: Object, rejected: number}|null>} Best usable result, or null
+ */
+async function generateValidatedInsights(provider, prompt, context, index, attempts = AI.MAX_ATTEMPTS) {
+  let attemptPrompt = prompt;
+  let best = null;
 
-    // Validate and sanitize each category
-    const validatedCategories = {};
-    for (const category of expectedCategories) {
-      if (categories[category] && Array.isArray(categories[category])) {
-        const insightCount = categories[category].length;
-        if (insightCount < 3) {
-          logger.warn(`   ⚠️ "${category}": Only ${insightCount} insights (expected 3)`);
-        }
-        // Ensure each insight is a string and trim to reasonable length
-        // Handle both object format { insight: "..." } and direct string format
-        validatedCategories[category] = categories[category]
-          .slice(0, 3)  // Take first 3 insights
-          .map(insight => {
-            // If insight is an object with an 'insight' property, extract it
-            if (typeof insight === 'object' && insight !== null && insight.insight) {
-              return String(insight.insight || '').substring(0, 300);
-            }
-            // Otherwise, treat as string
-            return String(insight || '').substring(0, 300);
-          });
-      } else {
-        // Fallback if category missing
-        logger.warn(`   ⚠️ "${category}": Using fallback messages (category missing or invalid)`);
-        validatedCategories[category] = [
-          'Analysis pending for this category',
-          'Please refresh for updated insights',
-          'Check back at next era refresh (5am/5pm UTC)'
-        ];
-      }
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let output;
+    try {
+      output = await provider.generate(attemptPrompt, context);
+    } catch (error) {
+      logger.error(`❌ AI provider "${provider.name}" failed:`, error.message);
+      break;
     }
 
-    return {
-      gameweek: gameweek,
-      categories: validatedCategories,
-      timestamp: Date.now()
-    };
-
-  } catch (error) {
-    logger.error('❌ Failed to parse Gemini response:', error.message);
-    logger.error('❌ Full error:', error.stack);
-
-    // Try to log what we received before the error
+    let problems;
     try {
-      const parts = geminiData?.candidates?.[0]?.content?.parts || [];
-      const rawText = parts.find(part => part.text)?.text || '';
-      if (rawText) {
-        logger.error(`❌ Raw response length: ${rawText.length} chars`);
-        logger.error(`❌ Raw response sample: ${rawText.substring(0, 1000)}`);
+      if (typeof output === 'string') {
+        logger.log(`📄 Raw JSON sample (first 500 chars): ${output.substring(0, 500)}...`);
       }
-    } catch (logError) {
-      logger.error('❌ Could not extract raw response for logging:', logError.message);
-    }
-
-    // Return fallback insights in case of parsing error
-    // Provide generic fallback for both planner and stats pages
-    const fallbackCategories = {};
-    const fallbackKeys = page === 'planner'
-      ? ['Planner']
-      : page === 'my-team'
-        ? ['Current GW', 'Squad Health', 'Transfer Priorities', 'Captain Pick', 'Chip Strategy']
-        : ['Overview', 'Hidden Gems', 'Differentials', 'Transfer Targets', 'Team Analysis'];
-
-    for (const category of fallbackKeys) {
-      fallbackCategories[category] = [
-        'AI insights temporarily unavailable',
-        'Please try refreshing the page',
-        'Check back at next update (5am/5pm UTC)'
-      ];
+      const validation = validateInsightCategories(parseModelJson(output), context.page, index);
+      if (validation.complete) {
+        return { categories: validation.categories, rejected: validation.rejected };
+      }
+      if (validation.usable) {
+        best = { categories: validation.categories, rejected: validation.rejected };
+      }
+      problems = validation.errors;
+    } catch (error) {
+      problems = [`Response was not valid JSON: ${error.message}`];
     }
 
-    return {
-      gameweek: gameweek,
-      categories: fallbackCategories,
-      timestamp: Date.now(),
-      parseError: true,
-      error: true,
-      message: 'Failed to generate AI insights. Please try refreshing or check back later.'
-    };
+    logger.warn(`⚠️ "${provider.name}" attempt ${attempt}/${attempts} failed validation (${problems.length} problems)`);
+    problems.slice(0, 5).forEach(problem => logger.warn(`   - ${problem}`));
+    attemptPrompt = buildRetryPrompt(prompt, problems);
   }
+
+  return best;
 }
 
 // ============================================================================
@@ -394,21 +373,20 @@ export function parseGeminiResponse(geminiData, gameweek, page) {
 // ============================================================================
 
 /**
- * Generate AI insights using Gemini API
+ * Generate AI insights with the configured LLM provider
+ * Responses are validated against the page's schema and the supplied data,
+ * with retries on bad output. When the provider is unconfigured or never
+ * produces usable insights, rule-based insights are returned instead.
  * @param {string} page - Page name
  * @param {string} tab - Tab name
  * @param {string} position - Position filter
  * @param {number} gameweek - Current gameweek
  * @param {Object} data - Player data context
- * @returns {Promise<Object>} AI insights
+ * @param {Object} [provider=getLLMProvider()] - LLM provider
+ * @returns {Promise<Object>} { gameweek, categories: { name: insight[] }, timestamp, provider, rejected }
  */
-export async function generateAIInsights(page, tab, position, gameweek, data) {
-  // Check if Gemini API key is configured
-  if (!GEMINI.API_KEY || GEMINI.API_KEY === '') {
-    throw new Error('Gemini API key not configured');
-  }
-
-  logger.log(`🤖 Generating AI insights for ${page}/${tab}/${position}...`);
+export async function generateAIInsights(page, tab, position, gameweek, data, provider = getLLMProvider()) {
+  logger.log(`🤖 Generating AI insights for ${page}/${tab}/${position} (${provider.name})...`);
   if (data?.managerSnapshot) {
     const ownedPlayers = Array.isArray(data.managerSnapshot.squad)
       ? data.managerSnapshot.squad.length
@@ -419,57 +397,50 @@ export async function generateAIInsights(page, tab, position, gameweek, data) {
 
   // Build prompt
   const prompt = buildAIPrompt(page, tab, position, gameweek, data);
+  const context = { page, tab, position, gameweek, data };
+  const index = indexContextData(data);
+
+  let result = null;
+  let providerName = provider.name;
+  if (provider.name !== 'rules') {
+    if (provider.isConfigured()) {
+      result = await generateValidatedInsights(provider, prompt, context, index);
+    } else {
+      logger.warn(`⚠️ AI provider "${provider.name}" is not configured`);
+    }
+  }
 
-  // Call Gemini API
-  const geminiResponse = await axios.post(
-    `${GEMINI.API_URL}?key=${GEMINI.API_KEY}`,
-    {
-      contents: [{
-        parts: [{ text: prompt }]
-      }],
-      // TODO: Re-enable Google Search grounding once we confirm it works
-      // tools: [{
-      //   googleSearchRetrieval: {
-      //     dynamicRetrievalConfig: {
-      //       mode: "MODE_DYNAMIC",
-      //       dynamicThreshold: 0.3
-      //     }
-      //   }
-      // }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 8192,
-        topP: 0.8,
-        topK: 40,
-        responseMimeType: 'application/json'
-      }
-    },
-    {
-      timeout: 45000,
-      headers: {
-        'Content-Type': 'application/json'
-      }
+  if (!result) {
+    const rules = provider.name === 'rules' ? provider : createRuleBasedProvider();
+    if (provider.name !== 'rules') {
+      logger.warn('⚠️ Using rule-based insights');
     }
-  );
-
-  // Parse response
-  const insights = parseGeminiResponse(geminiResponse.data, gameweek, page);
-
-  const categoryCount = Object.keys(insights.categories || {}).length;
-  const validCategories = Object.entries(insights.categories || {})
-    .filter(([_, insights]) => Array.isArray(insights) && insights.length > 0 && !insights[0].includes('pending'))
-    .map(([name]) => name);
-  const fallbackCategories = Object.entries(insights.categories || {})
-    .filter(([_, insights]) => insights && insights[0] && insights[0].includes('pending'))
-    .map(([name]) => name);
-
-  logger.log(`✅ AI Insights generated (${categoryCount} categories)`);
-  if (validCategories.length > 0) {
-    logger.log(`   ✅ Valid: ${validCategories.join(', ')}`);
+    result = await generateValidatedInsights(rules, prompt, context, index, 1);
+    providerName = rules.name;
   }
-  if (fallbackCategories.length > 0) {
-    logger.warn(`   ⚠️ Fallbacks: ${fallbackCategories.join(', ')}`);
+
+  if (!result) {
+    logger.error('❌ No valid AI insights could be generated');
+    return {
+      gameweek,
+      categories: {},
+      timestamp: Date.now(),
+      error: true,
+      message: 'Failed to generate AI insights. Please try refreshing or check back later.'
+    };
   }
 
-  return insights;
+  const counts = Object.entries(result.categories).map(([name, insights]) => `${name} (${insights.length})`);
+  logger.log(`✅ AI Insights generated by ${providerName}: ${counts.join(', ')}`);
+  if (result.rejected > 0) {
+    logger.warn(`   ⚠️ ${result.rejected} insights rejected`);
+  }
+
+  return {
+    gameweek,
+    categories: result.categories,
+    timestamp: Date.now(),
+    provider: providerName,
+    rejected: result.rejected
+  };
 }
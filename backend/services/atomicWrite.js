@@ -0,0 +1,40 @@
+// ============================================================================
+// ATOMIC WRITES
+// JSON stores (plans, price history, history archive) write to a tmp file and
+// rename it over the real one, so a crash never leaves a partial file. Each
+// store gets its own queue so its overlapping saves never interleave.
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+
+/**
+ * Create a serialized atomic file writer
+ * @returns {Function} (filePath, contents, label?) => Promise<boolean>, true if written
+ * @example
+ * const writeAtomic = createAtomicWriter();
+ * await writeAtomic(storePath, JSON.stringify(store), 'plan store');
+ */
+export function createAtomicWriter() {
+  let queue = Promise.resolve();
+
+  return function writeAtomic(filePath, contents, label = path.basename(filePath)) {
+    const tmpPath = filePath + '.tmp';
+    let written = false;
+
+    queue = queue.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, contents);
+        await fs.promises.rename(tmpPath, filePath);
+        written = true;
+      } catch (err) {
+        logger.error(`❌ Failed to save ${label}:`, err.message);
+        try { await fs.promises.unlink(tmpPath); } catch { /* ignore */ }
+      }
+    });
+
+    return queue.then(() => written);
+  };
+}
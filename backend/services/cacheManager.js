@@ -1,11 +1,12 @@
 // ============================================================================
 // CACHE MANAGER SERVICE
-// Manages in-memory cache with smart refresh logic and disk persistence
+// Manages in-memory cache with smart refresh logic and persistence through a
+// pluggable cache store (memory + JSON backup by default, or SQLite)
 // ============================================================================
 
-import fs from 'fs';
-import { SERVER, TTL } from '../config.js';
+import { TTL, CACHE_STORE, COHORTS } from '../config.js';
 import logger from '../logger.js';
+import { createCacheStore } from './cacheStore.js';
 
 // ============================================================================
 // CACHE STATE
@@ -35,6 +36,14 @@ export let cache = {
     // Map of `${teamId}-${gw}` -> { data, timestamp }
     picks: new Map()
   },
+  leagues: {
+    // Map of `${leagueId}-${gw}` -> { data, timestamp } (live re-ranked tables)
+    live: new Map()
+  },
+  cohorts: {
+    // Map of gw (overall cohorts) or `${gw}-${leagueId}` -> { data, timestamp }
+    entries: new Map()
+  },
   stats: {
     totalFetches: 0,
     cacheHits: 0,
@@ -50,9 +59,13 @@ export const LIVE_CACHE_TTL = 2 * 60 * 1000;  // 2 minutes
 export const TEAM_CACHE_TTL_LIVE = 2 * 60 * 1000;      // 2 minutes during live GW
 export const TEAM_CACHE_TTL_FINISHED = 12 * 60 * 60 * 1000;  // 12 hours when GW finished
 
+// Storage backend - set by loadCacheFromDisk(), writes are skipped until then
+let store = null;
+
 // Max entries for team caches to prevent unbounded memory growth
 const MAX_TEAM_ENTRIES = 200;
 const MAX_TEAM_PICKS_ENTRIES = 400;
+const MAX_LIVE_LEAGUE_ENTRIES = 50;
 
 /**
  * Get appropriate team cache TTL based on current GW status
@@ -238,6 +251,24 @@ export function shouldRefreshGithub() {
   return needsRefresh;
 }
 
+// ============================================================================
+// STORE WRITES
+// ============================================================================
+
+/**
+ * Run a write against the cache store
+ * Store failures are logged and never fail the request that updated the cache.
+ * @param {Function} write - Receives the store
+ */
+function persist(write) {
+  if (!store) return;
+  try {
+    write(store);
+  } catch (err) {
+    logger.warn(`⚠️ Cache store write failed (${store.name}): ${err.message}`);
+  }
+}
+
 // ============================================================================
 // CACHE UPDATES
 // ============================================================================
@@ -252,6 +283,7 @@ export function updateBootstrapCache(data) {
     timestamp: Date.now()
   };
   cache.stats.lastFetch = Date.now();
+  persist(cacheStore => cacheStore.setEntry('bootstrap', '', cache.bootstrap, CACHE_STORE.SNAPSHOT_TTL));
 }
 
 /**
@@ -263,18 +295,22 @@ export function updateFixturesCache(data) {
     data,
     timestamp: Date.now()
   };
+  persist(cacheStore => cacheStore.setEntry('fixtures', '', cache.fixtures, CACHE_STORE.SNAPSHOT_TTL));
 }
 
 /**
  * Update GitHub cache
- * @param {Object} data - GitHub CSV data
+ * @param {Object} data - GitHub CSV data ({ currentGW, nextGWStatus, ... })
  */
 export function updateGithubCache(data) {
   cache.github = {
     data,
     timestamp: Date.now(),
-    era: getCurrentEra()
+    era: getCurrentEra(),
+    currentGW: data.currentGW,
+    nextGWStatus: data.nextGWStatus
   };
+  persist(cacheStore => cacheStore.setEntry('github', '', cache.github, CACHE_STORE.SNAPSHOT_TTL));
 }
 
 // ============================================================================
@@ -295,6 +331,7 @@ export function getCachedTeamData(teamId) {
 
   if (age > ttl) {
     cache.teams.entries.delete(String(teamId));
+    persist(cacheStore => cacheStore.deleteEntry('teams', teamId));
     return null;
   }
 
@@ -311,11 +348,15 @@ export function updateTeamCache(teamId, data) {
   if (cache.teams.entries.size >= MAX_TEAM_ENTRIES && !cache.teams.entries.has(String(teamId))) {
     const oldest = cache.teams.entries.keys().next().value;
     cache.teams.entries.delete(oldest);
+    persist(cacheStore => cacheStore.deleteEntry('teams', oldest));
   }
-  cache.teams.entries.set(String(teamId), {
+  const entry = {
     data,
     timestamp: Date.now()
-  });
+  };
+  cache.teams.entries.set(String(teamId), entry);
+  // Stored with the longest team TTL - reads still apply the GW-dependent TTL
+  persist(cacheStore => cacheStore.setEntry('teams', teamId, entry, TEAM_CACHE_TTL_FINISHED));
 }
 
 /**
@@ -334,6 +375,7 @@ export function getCachedTeamPicks(teamId, gameweek) {
 
   if (age > ttl) {
     cache.teams.picks.delete(key);
+    persist(cacheStore => cacheStore.deleteEntry('picks', key));
     return null;
   }
 
@@ -352,11 +394,14 @@ export function updateTeamPicksCache(teamId, gameweek, data) {
   if (cache.teams.picks.size >= MAX_TEAM_PICKS_ENTRIES && !cache.teams.picks.has(key)) {
     const oldest = cache.teams.picks.keys().next().value;
     cache.teams.picks.delete(oldest);
+    persist(cacheStore => cacheStore.deleteEntry('picks', oldest));
   }
-  cache.teams.picks.set(key, {
+  const entry = {
     data,
     timestamp: Date.now()
-  });
+  };
+  cache.teams.picks.set(key, entry);
+  persist(cacheStore => cacheStore.setEntry('picks', key, entry, TEAM_CACHE_TTL_FINISHED));
 }
 
 /**
@@ -365,6 +410,10 @@ export function updateTeamPicksCache(teamId, gameweek, data) {
 export function clearTeamCaches() {
   cache.teams.entries.clear();
   cache.teams.picks.clear();
+  persist(cacheStore => {
+    cacheStore.clearSection('teams');
+    cacheStore.clearSection('picks');
+  });
   logger.log('🗑️ Team caches cleared');
 }
 
@@ -395,6 +444,20 @@ export function pruneExpiredCaches() {
       pruned++;
     }
   }
+  for (const [key, entry] of cache.leagues.live) {
+    if (now - entry.timestamp > LIVE_CACHE_TTL) {
+      cache.leagues.live.delete(key);
+      pruned++;
+    }
+  }
+  for (const [key, entry] of cache.cohorts.entries) {
+    if (now - entry.timestamp > COHORTS.TTL) {
+      cache.cohorts.entries.delete(key);
+      pruned++;
+    }
+  }
+
+  persist(cacheStore => cacheStore.prune());
 
   if (pruned > 0) {
     logger.log(`🧹 Pruned ${pruned} expired cache entries (teams: ${cache.teams.entries.size}, picks: ${cache.teams.picks.size}, live: ${cache.live.entries.size})`);
@@ -417,6 +480,7 @@ export function getCachedLiveData(gameweek) {
   const age = Date.now() - cached.timestamp;
   if (age > LIVE_CACHE_TTL) {
     cache.live.entries.delete(gameweek);
+    persist(cacheStore => cacheStore.deleteEntry('live', gameweek));
     return null;
   }
 
@@ -429,10 +493,12 @@ export function getCachedLiveData(gameweek) {
  * @param {Object} data - Live data from FPL API
  */
 export function updateLiveCache(gameweek, data) {
-  cache.live.entries.set(gameweek, {
+  const entry = {
     data,
     timestamp: Date.now()
-  });
+  };
+  cache.live.entries.set(gameweek, entry);
+  persist(cacheStore => cacheStore.setEntry('live', gameweek, entry, LIVE_CACHE_TTL));
 }
 
 /**
@@ -451,9 +517,87 @@ export function getLiveCacheAge(gameweek) {
  */
 export function clearLiveCaches() {
   cache.live.entries.clear();
+  cache.leagues.live.clear();
+  persist(cacheStore => cacheStore.clearSection('live'));
   logger.log('🗑️ Live data caches cleared');
 }
 
+/**
+ * Get cached live league table if fresh
+ * @param {number} leagueId - League ID
+ * @param {number} gameweek - Gameweek number
+ * @returns {Object|null} Cached table or null if stale/missing
+ */
+export function getCachedLiveLeague(leagueId, gameweek) {
+  const key = `${leagueId}-${gameweek}`;
+  const cached = cache.leagues.live.get(key);
+  if (!cached) return null;
+
+  if (Date.now() - cached.timestamp > LIVE_CACHE_TTL) {
+    cache.leagues.live.delete(key);
+    return null;
+  }
+
+  return cached.data;
+}
+
+/**
+ * Update live league table cache
+ * @param {number} leagueId - League ID
+ * @param {number} gameweek - Gameweek number
+ * @param {Object} data - Live league table
+ */
+export function updateLiveLeagueCache(leagueId, gameweek, data) {
+  const key = `${leagueId}-${gameweek}`;
+  // Evict oldest entry if at capacity
+  if (cache.leagues.live.size >= MAX_LIVE_LEAGUE_ENTRIES && !cache.leagues.live.has(key)) {
+    const oldest = cache.leagues.live.keys().next().value;
+    cache.leagues.live.delete(oldest);
+  }
+  cache.leagues.live.set(key, {
+    data,
+    timestamp: Date.now()
+  });
+}
+
+// ============================================================================
+// COHORT CACHE
+// ============================================================================
+
+/**
+ * Get cached cohort aggregates if fresh
+ * @param {string} key - Cohort cache key (see cohortService)
+ * @returns {Object|null} Cached cohorts or null if stale/missing
+ */
+export function getCachedCohorts(key) {
+  const cached = cache.cohorts.entries.get(key);
+  if (!cached) return null;
+
+  if (Date.now() - cached.timestamp > COHORTS.TTL) {
+    cache.cohorts.entries.delete(key);
+    return null;
+  }
+
+  return cached.data;
+}
+
+/**
+ * Update cohort cache
+ * @param {string} key - Cohort cache key
+ * @param {Object} data - Cohort aggregates
+ */
+export function updateCohortCache(key, data) {
+  // Evict oldest entry if at capacity
+  if (cache.cohorts.entries.size >= COHORTS.MAX_ENTRIES && !cache.cohorts.entries.has(key)) {
+    const oldest = cache.cohorts.entries.keys().next().value;
+    cache.cohorts.entries.delete(oldest);
+  }
+  cache.cohorts.entries.set(key, {
+    data,
+    timestamp: Date.now()
+  });
+}
+
 /**
  * Record cache hit
  */
@@ -498,7 +642,10 @@ export function getCacheStats() {
       : null,
     githubEra: cache.github.era,
     currentEra: getCurrentEra(),
-    liveCacheEntries: cache.live.entries.size
+    store: store?.name || null,
+    liveCacheEntries: cache.live.entries.size,
+    liveLeagueEntries: cache.leagues.live.size,
+    cohortEntries: cache.cohorts.entries.size
   };
 }
 
@@ -507,65 +654,43 @@ export function getCacheStats() {
 // ============================================================================
 
 /**
- * Load cache from disk backup (async)
+ * Open the configured cache store and restore the cache from it (async)
+ * @param {Object} [options]
+ * @param {string} [options.type=CACHE_STORE.TYPE] - 'memory' or 'sqlite'
+ * @param {string} [options.filePath] - Override the store's file path
  */
-export async function loadCacheFromDisk() {
-  let backup = null;
-  let source = null;
+export async function loadCacheFromDisk({ type = CACHE_STORE.TYPE, filePath } = {}) {
+  store?.close();
+  store = await createCacheStore(type, filePath);
 
-  // Try local file backup
-  if (fs.existsSync(SERVER.CACHE_BACKUP_PATH)) {
-    try {
-      backup = JSON.parse(fs.readFileSync(SERVER.CACHE_BACKUP_PATH, 'utf8'));
-      source = 'local file';
-    } catch (err) {
-      logger.error('❌ Failed to load cache from local file:', err.message);
-    }
+  let snapshot = null;
+  try {
+    snapshot = await store.load();
+  } catch (err) {
+    logger.error(`❌ Failed to load cache from ${store.name} store:`, err.message);
   }
 
   // No backup found anywhere
-  if (!backup) {
+  if (!snapshot) {
     logger.log('ℹ️ No cache backup found, starting fresh');
     return;
   }
 
-  // Validate backup age
-  const backupAge = Date.now() - (backup.bootstrap?.timestamp || 0);
-  if (backupAge >= 24 * 60 * 60 * 1000) {
-    logger.log('⚠️ Cache backup too old (>24h), starting fresh');
-    return;
-  }
-
   // Restore cache from backup
   try {
-    cache.bootstrap = backup.bootstrap || { data: null, timestamp: null };
-    cache.fixtures = backup.fixtures || { data: null, timestamp: null };
-    cache.github = backup.github || { data: null, timestamp: null, era: null };
-    cache.stats = backup.stats || { totalFetches: 0, cacheHits: 0, cacheMisses: 0, lastFetch: null };
-
-    // Restore team caches from arrays back to Maps (if present in old backups)
-    // Note: New backups don't include teams/live to save memory
-    if (backup.teams) {
-      cache.teams.entries = new Map(backup.teams.entries || []);
-      cache.teams.picks = new Map(backup.teams.picks || []);
-    } else {
-      // Initialize empty if not in backup (new format)
-      cache.teams.entries = new Map();
-      cache.teams.picks = new Map();
-    }
-
-    // Restore live cache from arrays back to Map (if present in old backups)
-    if (backup.live) {
-      cache.live.entries = new Map(backup.live.entries || []);
-    } else {
-      cache.live.entries = new Map();
-    }
-
-    logger.log(`✅ Cache restored from ${source}`);
+    cache.bootstrap = snapshot.bootstrap || { data: null, timestamp: null };
+    cache.fixtures = snapshot.fixtures || { data: null, timestamp: null };
+    cache.github = snapshot.github || { data: null, timestamp: null, era: null };
+    cache.stats = snapshot.stats || { totalFetches: 0, cacheHits: 0, cacheMisses: 0, lastFetch: null };
+    cache.teams.entries = new Map(snapshot.teams || []);
+    cache.teams.picks = new Map(snapshot.picks || []);
+    cache.live.entries = new Map(snapshot.live || []);
+
+    logger.log(`✅ Cache restored from ${store.name} store`);
     logger.log(`   Bootstrap: ${cache.bootstrap.data ? 'loaded' : 'empty'}`);
     logger.log(`   Fixtures: ${cache.fixtures.data ? 'loaded' : 'empty'}`);
     logger.log(`   GitHub: ${cache.github.data ? 'loaded' : 'empty'}`);
-    logger.log(`   Teams: ${cache.teams.entries.size} entries, ${cache.teams.picks.size} picks (transient, not saved)`);
+    logger.log(`   Teams: ${cache.teams.entries.size} entries, ${cache.teams.picks.size} picks, live: ${cache.live.entries.size} gameweeks`);
   } catch (err) {
     logger.error('❌ Failed to restore cache:', err.message);
     logger.log('   Starting with empty cache');
@@ -573,81 +698,47 @@ export async function loadCacheFromDisk() {
 }
 
 /**
- * Save cache to disk (async) by streaming JSON to avoid large in-memory string copies.
- * Only saves essential data — excludes large transient caches (teams, live).
- * Includes memory guard — skips save if heap usage is too high to avoid OOM.
+ * Save cache through the store (async)
+ * The memory store writes its JSON backup here; SQLite has already written
+ * every entry and only saves the stats counters.
  */
 export async function saveCacheToDisk() {
-  // Memory guard — JSON.stringify creates large temporary strings (~3MB+)
-  // Skip save if heap is already above 280MB to avoid triggering OOM on 512MB instances
-  const heapUsed = process.memoryUsage().heapUsed;
-  const heapLimitMB = 280;
-  if (heapUsed > heapLimitMB * 1024 * 1024) {
-    logger.warn(`⚠️ Skipping cache save — heap usage ${Math.round(heapUsed / 1024 / 1024)}MB exceeds ${heapLimitMB}MB safety limit`);
-    return;
-  }
-
-  const tmpPath = SERVER.CACHE_BACKUP_PATH + '.tmp';
-
+  if (!store) return;
   try {
-    // Stream each section to disk individually to avoid building one giant string
-    const ws = fs.createWriteStream(tmpPath);
-    const write = (str) => new Promise((resolve, reject) => {
-      if (!ws.write(str)) {
-        ws.once('drain', resolve);
-      } else {
-        resolve();
-      }
-    });
-
-    await write('{\n');
-    await write(`"bootstrap":${JSON.stringify(cache.bootstrap)},\n`);
-    await write(`"fixtures":${JSON.stringify(cache.fixtures)},\n`);
-    await write(`"github":${JSON.stringify(cache.github)},\n`);
-    await write(`"stats":${JSON.stringify(cache.stats)}\n`);
-    await write('}\n');
-
-    await new Promise((resolve, reject) => {
-      ws.end(() => resolve());
-      ws.on('error', reject);
-    });
-
-    // Atomically rename tmp file to actual path
-    fs.renameSync(tmpPath, SERVER.CACHE_BACKUP_PATH);
-    logger.log('💾 Cache backed up to local disk');
+    await store.save(cache);
   } catch (err) {
-    logger.error('❌ Failed to backup cache:', err.message);
-    if (err.message.includes('memory') || err.message.includes('allocation')) {
-      logger.error('💥 Memory error during cache backup - consider reducing cache size');
-    }
-    // Clean up tmp file if it exists
-    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+    logger.error(`❌ Failed to save cache (${store.name}):`, err.message);
   }
 }
 
 /**
- * Initialize cache persistence (auto-save and graceful shutdown)
+ * Save the cache and release the store (graceful shutdown)
+ */
+async function shutdownCacheStore() {
+  await saveCacheToDisk();
+  store?.close();
+  process.exit(0);
+}
+
+/**
+ * Initialize cache persistence (pruning and graceful shutdown)
  */
 export function initializeCachePersistence() {
   // Prune expired cache entries every 5 minutes
-  setInterval(pruneExpiredCaches, 5 * 60 * 1000);
+  setInterval(pruneExpiredCaches, CACHE_STORE.PRUNE_INTERVAL_MS);
 
-  // NOTE: Periodic disk save disabled — it triggered OOM on 512MB Render instances.
+  // NOTE: There is no periodic full save — it triggered OOM on 512MB Render instances.
   // JSON.stringify on bootstrap (~1.8MB) + fixtures (~685KB) + github creates ~3MB+
-  // of temporary strings that push heap past the limit.
-  // Cache is still saved on graceful shutdown (SIGTERM/SIGINT) with a memory guard.
-  // On cold start, warmCachesOnStartup() re-fetches all data anyway.
+  // of temporary strings that push heap past the limit. The SQLite store writes each
+  // entry as it is cached instead; the memory store only saves on shutdown.
 
-  // Save cache on graceful shutdown (await to ensure completion)
   process.on('SIGTERM', async () => {
     logger.log('🛑 SIGTERM received, saving cache...');
-    await saveCacheToDisk();
-    process.exit(0);
+    await shutdownCacheStore();
   });
 
   process.on('SIGINT', async () => {
     logger.log('🛑 SIGINT received, saving cache...');
-    await saveCacheToDisk();
-    process.exit(0);
+    await shutdownCacheStore();
   });
 }
@@ -0,0 +1,164 @@
+// ============================================================================
+// CACHE STORE
+// Storage backends behind the cache manager. The in-memory `cache` object is
+// always what requests read from; a store persists it across restarts.
+//
+// Every store implements:
+//   name                                  - Backend name (logs, /api/stats)
+//   load()                                - Persisted snapshot or null
+//   setEntry(section, key, entry, ttlMs)  - Persist one entry ({ data, timestamp, ... })
+//   deleteEntry(section, key)             - Forget one entry
+//   clearSection(section)                 - Forget every entry in a section
+//   prune()                               - Drop expired entries
+//   save(cache)                           - Persist the whole cache (shutdown)
+//   close()                               - Release file handles
+//
+// Sections: bootstrap, fixtures, github (single entry, key ''), teams, picks,
+// live (keyed like the matching cache Maps) and stats.
+//
+// A snapshot is { bootstrap, fixtures, github, stats, teams, picks, live }
+// where the keyed sections are arrays of [key, entry] pairs.
+// ============================================================================
+
+import fs from 'fs';
+import { SERVER, CACHE_STORE } from '../config.js';
+import logger from '../logger.js';
+
+export const CACHE_SECTIONS = ['bootstrap', 'fixtures', 'github', 'teams', 'picks', 'live', 'stats'];
+
+// ============================================================================
+// MEMORY STORE (DEFAULT)
+// ============================================================================
+
+/**
+ * Memory store - entries only live in the process; a JSON backup of the
+ * shared data (bootstrap, fixtures, GitHub, stats) is written on shutdown.
+ * Team and live caches are not persisted.
+ * @param {string} [filePath=SERVER.CACHE_BACKUP_PATH] - Backup file path
+ * @returns {Object} Cache store
+ */
+export function createMemoryCacheStore(filePath = SERVER.CACHE_BACKUP_PATH) {
+  return {
+    name: 'memory',
+
+    async load() {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      let backup;
+      try {
+        backup = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (err) {
+        logger.error('❌ Failed to load cache from local file:', err.message);
+        return null;
+      }
+
+      const backupAge = Date.now() - (backup.bootstrap?.timestamp || 0);
+      if (backupAge >= CACHE_STORE.SNAPSHOT_TTL) {
+        logger.log('⚠️ Cache backup too old (>24h), starting fresh');
+        return null;
+      }
+
+      return {
+        bootstrap: backup.bootstrap,
+        fixtures: backup.fixtures,
+        github: backup.github,
+        stats: backup.stats,
+        // Old backups included team/live caches - new ones don't to save memory
+        teams: backup.teams?.entries || [],
+        picks: backup.teams?.picks || [],
+        live: backup.live?.entries || []
+      };
+    },
+
+    // Entries are persisted in bulk on shutdown
+    setEntry() {},
+    deleteEntry() {},
+    clearSection() {},
+    prune() {},
+
+    /**
+     * Stream the shared data to disk to avoid large in-memory string copies.
+     * Includes a memory guard — skips the save if heap usage is too high to avoid OOM.
+     */
+    async save(cache) {
+      // JSON.stringify creates large temporary strings (~3MB+)
+      // Skip save if heap is already above 280MB to avoid triggering OOM on 512MB instances
+      const heapUsed = process.memoryUsage().heapUsed;
+      const heapLimitMB = 280;
+      if (heapUsed > heapLimitMB * 1024 * 1024) {
+        logger.warn(`⚠️ Skipping cache save — heap usage ${Math.round(heapUsed / 1024 / 1024)}MB exceeds ${heapLimitMB}MB safety limit`);
+        return;
+      }
+
+      const tmpPath = filePath + '.tmp';
+
+      try {
+        // Stream each section to disk individually to avoid building one giant string
+        const ws = fs.createWriteStream(tmpPath);
+        const write = (str) => new Promise((resolve) => {
+          if (!ws.write(str)) {
+            ws.once('drain', resolve);
+          } else {
+            resolve();
+          }
+        });
+
+        await write('{\n');
+        await write(`"bootstrap":${JSON.stringify(cache.bootstrap)},\n`);
+        await write(`"fixtures":${JSON.stringify(cache.fixtures)},\n`);
+        await write(`"github":${JSON.stringify(cache.github)},\n`);
+        await write(`"stats":${JSON.stringify(cache.stats)}\n`);
+        await write('}\n');
+
+        await new Promise((resolve, reject) => {
+          ws.end(() => resolve());
+          ws.on('error', reject);
+        });
+
+        // Atomically rename tmp file to actual path
+        fs.renameSync(tmpPath, filePath);
+        logger.log('💾 Cache backed up to local disk');
+      } catch (err) {
+        logger.error('❌ Failed to backup cache:', err.message);
+        if (err.message.includes('memory') || err.message.includes('allocation')) {
+          logger.error('💥 Memory error during cache backup - consider reducing cache size');
+        }
+        // Clean up tmp file if it exists
+        try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+      }
+    },
+
+    close() {}
+  };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create the configured cache store
+ * Falls back to the memory store if SQLite can't be opened (e.g. the native
+ * module failed to build) so the server still starts.
+ * @param {string} [type=CACHE_STORE.TYPE] - 'memory' or 'sqlite'
+ * @param {string} [filePath] - Override the store's file path
+ * @returns {Promise<Object>} Cache store
+ */
+export async function createCacheStore(type = CACHE_STORE.TYPE, filePath) {
+  if (type === 'sqlite') {
+    try {
+      const { createSqliteCacheStore } = await import('./sqliteCacheStore.js');
+      return createSqliteCacheStore(filePath);
+    } catch (err) {
+      logger.error(`❌ SQLite cache store unavailable (${err.message}), falling back to memory store`);
+      return createMemoryCacheStore();
+    }
+  }
+
+  if (type !== 'memory') {
+    logger.warn(`⚠️ Unknown CACHE_STORE "${type}", using memory store`);
+  }
+  return createMemoryCacheStore(filePath);
+}
@@ -0,0 +1,325 @@
+// ============================================================================
+// AI CHAT SERVICE
+// Conversational assistant grounded in the manager snapshot. The model can't
+// see FPL data directly - it asks for tools, the frontend runs them against
+// its loaded data and sends the results back with the conversation:
+//
+//   { role: 'user' | 'assistant', content: string }
+//   { role: 'assistant', toolCalls: [{ id, name, arguments }] }
+//   { role: 'tool', toolCallId, name, content: object }   - Tool result
+//
+// Each turn returns either { type: 'reply', reply } or
+// { type: 'tool_calls', toolCalls } for the frontend to run.
+// ============================================================================
+
+import { AI } from '../config.js';
+import logger from '../logger.js';
+import { getLLMProvider, createRuleBasedProvider } from './llmProviders.js';
+import { parseModelJson } from './aiService.js';
+
+/** Tools the frontend runs for the model (see frontend/src/assistant/tools.js) */
+export const CHAT_TOOLS = [
+  {
+    name: 'lookup_player',
+    description: 'Find players by name or id: team, position, price (£m), form, total points, ownership, availability and projected points for the next 5 gameweeks',
+    parameters: { name: 'string - part of a player name', playerId: 'number' },
+    validate: args => (typeof args.name === 'string' && args.name.trim()) || Number.isInteger(args.playerId)
+      ? null
+      : 'needs a name or playerId'
+  },
+  {
+    name: 'lookup_fixtures',
+    description: "A player's or team's next fixtures with difficulty (1 easiest - 5 hardest)",
+    parameters: { playerId: 'number', team: 'string - team name or short name', count: 'number (default 5)' },
+    validate: args => Number.isInteger(args.playerId) || (typeof args.team === 'string' && args.team.trim())
+      ? null
+      : 'needs a playerId or team'
+  },
+  {
+    name: 'projected_points',
+    description: 'Projected points for players in one gameweek, or summed over the next `horizon` gameweeks',
+    parameters: { playerIds: 'number[]', gameweek: 'number', horizon: 'number (default 5)' },
+    validate: args => Array.isArray(args.playerIds) && args.playerIds.length > 0 && args.playerIds.every(Number.isInteger)
+      ? null
+      : 'needs playerIds (an array of player ids)'
+  },
+  {
+    name: 'find_replacements',
+    description: "Top 5 replacements for a squad player: same position, not already owned, affordable with the player's sale price plus `bank` (£m, defaults to the manager's bank). Each has priceDiff (£m) and projected points for the next 5 gameweeks",
+    parameters: { playerId: 'number - squad player to sell', bank: 'number (£m)', gameweek: 'number' },
+    validate: args => Number.isInteger(args.playerId) ? null : 'needs the playerId of a squad player'
+  }
+];
+
+/** Most tool calls the model may request in one turn */
+const MAX_TOOL_CALLS_PER_TURN = 5;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_TOOL_RESULT_LENGTH = 4000;
+
+// ============================================================================
+// CONVERSATION
+// ============================================================================
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Keep well-formed messages, newest AI.CHAT.MAX_MESSAGES, starting at a user message
+ * @param {Array} messages - Conversation from the frontend
+ * @returns {Object[]}
+ */
+export function normalizeMessages(messages) {
+  const valid = (Array.isArray(messages) ? messages : []).filter(message => {
+    if (!isObject(message)) return false;
+    if (message.role === 'tool') {
+      return typeof message.name === 'string' && message.content !== undefined;
+    }
+    if (message.role === 'assistant' && Array.isArray(message.toolCalls)) {
+      return message.toolCalls.every(call => isObject(call) && typeof call.name === 'string');
+    }
+    return ['user', 'assistant'].includes(message.role) && typeof message.content === 'string' && message.content.trim() !== '';
+  });
+
+  const recent = valid.slice(-AI.CHAT.MAX_MESSAGES);
+  const firstUser = recent.findIndex(message => message.role === 'user');
+  return firstUser === -1 ? [] : recent.slice(firstUser);
+}
+
+/**
+ * Messages since the manager's latest question
+ * @param {Object[]} messages - Normalized conversation
+ * @returns {Object[]}
+ */
+export function getCurrentTurn(messages) {
+  let lastUser = -1;
+  messages.forEach((message, index) => {
+    if (message.role === 'user') lastUser = index;
+  });
+  return lastUser === -1 ? [] : messages.slice(lastUser);
+}
+
+/**
+ * Tool requests the model has made since the latest question
+ * @param {Object[]} messages - Normalized conversation
+ * @returns {number}
+ */
+function countToolRounds(messages) {
+  return getCurrentTurn(messages).filter(message => Array.isArray(message.toolCalls)).length;
+}
+
+// ============================================================================
+// PROMPT BUILDING
+// ============================================================================
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}... (truncated)` : text;
+}
+
+function formatMessage(message) {
+  if (message.role === 'tool') {
+    return `TOOL RESULT ${message.name}: ${truncate(JSON.stringify(message.content), MAX_TOOL_RESULT_LENGTH)}`;
+  }
+  if (Array.isArray(message.toolCalls)) {
+    return message.toolCalls
+      .map(call => `ASSISTANT (tool call): ${call.name}(${JSON.stringify(call.arguments || {})})`)
+      .join('\n');
+  }
+  const speaker = message.role === 'user' ? 'MANAGER' : 'ASSISTANT';
+  return `${speaker}: ${truncate(message.content.trim(), MAX_MESSAGE_LENGTH)}`;
+}
+
+/**
+ * Build the chat prompt
+ * @param {Object[]} messages - Normalized conversation
+ * @param {Object|null} managerSnapshot - From buildManagerSnapshot (frontend)
+ * @param {number} gameweek - Current gameweek
+ * @returns {string}
+ */
+export function buildChatPrompt(messages, managerSnapshot, gameweek) {
+  const roundsLeft = AI.CHAT.MAX_TOOL_ROUNDS - countToolRounds(messages);
+  const tools = CHAT_TOOLS.map(tool =>
+    `- ${tool.name}(${Object.entries(tool.parameters).map(([name, type]) => `${name}: ${type}`).join(', ')})\n  ${tool.description}`
+  ).join('\n');
+
+  const snapshotBlock = managerSnapshot
+    ? `MANAGER SNAPSHOT (their squad, budget and chips; player "id" values work with the tools):
+${JSON.stringify(managerSnapshot, null, 2)}`
+    : 'NO TEAM LOADED: answer generally, and suggest loading a team for squad-specific advice.';
+
+  return `You are the assistant inside FPLanner, helping one Fantasy Premier League manager with their squad.
+Current Gameweek: ${gameweek}
+
+${snapshotBlock}
+
+TOOLS (they run against FPLanner's live FPL data):
+${tools}
+
+RULES:
+- Get every player, price, fixture and projection fact from the snapshot or a tool - never from memory.
+- Look players up with lookup_player to get their id before using the other tools.
+- Transfers: the incoming player's price must be covered by the outgoing player's sale price plus the bank; a squad holds at most 3 players per club.
+- For several transfers, the price differences together must fit the budget.
+- Be decisive and brief (under 150 words): name the players, prices and gameweeks.
+- ${roundsLeft > 0
+    ? `You may request tools ${roundsLeft} more time${roundsLeft === 1 ? '' : 's'} before answering. Request up to ${MAX_TOOL_CALLS_PER_TURN} calls at once.`
+    : 'No more tool requests - answer now from the results above.'}
+
+CONVERSATION:
+${messages.map(formatMessage).join('\n')}
+
+RESPOND WITH JSON ONLY, either
+{"tool_calls": [{"name": "tool_name", "arguments": { ... }}]}
+or
+{"reply": "your answer to the manager"}`;
+}
+
+// ============================================================================
+// RESPONSE VALIDATION
+// ============================================================================
+
+/**
+ * Validate a model's chat turn
+ * @param {*} output - Parsed model output
+ * @param {number} roundsLeft - Tool requests still allowed
+ * @param {number} round - Tool round this turn would be (for call ids)
+ * @returns {{turn: Object|null, errors: string[]}}
+ */
+export function validateChatTurn(output, roundsLeft, round) {
+  if (!isObject(output)) {
+    return { turn: null, errors: ['response must be a JSON object'] };
+  }
+
+  if (typeof output.reply === 'string' && output.reply.trim()) {
+    return { turn: { type: 'reply', reply: output.reply.trim() }, errors: [] };
+  }
+
+  const calls = output.tool_calls;
+  if (!Array.isArray(calls) || calls.length === 0) {
+    return { turn: null, errors: ['response needs a "reply" string or a non-empty "tool_calls" array'] };
+  }
+  if (roundsLeft <= 0) {
+    return { turn: null, errors: ['no more tool requests are allowed - respond with {"reply": ...}'] };
+  }
+  if (calls.length > MAX_TOOL_CALLS_PER_TURN) {
+    return { turn: null, errors: [`at most ${MAX_TOOL_CALLS_PER_TURN} tool calls per response`] };
+  }
+
+  const errors = [];
+  const toolCalls = calls.map((call, index) => {
+    const tool = CHAT_TOOLS.find(candidate => candidate.name === call?.name);
+    if (!tool) {
+      errors.push(`tool_calls[${index}]: unknown tool "${call?.name}" (use ${CHAT_TOOLS.map(t => t.name).join(', ')})`);
+      return null;
+    }
+    const args = isObject(call.arguments) ? call.arguments : {};
+    const problem = tool.validate(args);
+    if (problem) {
+      errors.push(`tool_calls[${index}]: ${tool.name} ${problem}`);
+      return null;
+    }
+    return { id: `call_${round}_${index + 1}`, name: tool.name, arguments: args };
+  });
+
+  if (errors.length > 0) {
+    return { turn: null, errors };
+  }
+  return { turn: { type: 'tool_calls', toolCalls }, errors: [] };
+}
+
+// ============================================================================
+// CHAT
+// ============================================================================
+
+/**
+ * Ask a provider for the next turn until it is valid
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Built prompt
+ * @param {Object} context - Chat request ({ page: 'assistant', messages, managerSnapshot, gameweek })
+ * @param {number} attempts - Tries before giving up
+ * @returns {Promise<Object|null>} Valid turn, or null
+ */
+async function requestChatTurn(provider, prompt, context, attempts) {
+  const rounds = countToolRounds(context.messages);
+  let attemptPrompt = prompt;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let output;
+    try {
+      output = await provider.generate(attemptPrompt, context);
+    } catch (error) {
+      logger.error(`❌ Chat provider "${provider.name}" failed:`, error.message);
+      return null;
+    }
+
+    let errors;
+    try {
+      const result = validateChatTurn(parseModelJson(output), AI.CHAT.MAX_TOOL_ROUNDS - rounds, rounds + 1);
+      if (result.turn) {
+        return result.turn;
+      }
+      errors = result.errors;
+    } catch (error) {
+      errors = [`Response was not valid JSON: ${error.message}`];
+    }
+
+    logger.warn(`⚠️ "${provider.name}" chat attempt ${attempt}/${attempts} rejected: ${errors.join('; ')}`);
+    attemptPrompt = `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${errors.map(error => `- ${error}`).join('\n')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Answer the manager's latest message, or ask the frontend to run tools first
+ * Unconfigured or failing providers fall back to the rule-based assistant.
+ * @param {Object} request
+ * @param {Array} request.messages - Conversation (see header)
+ * @param {Object|null} [request.managerSnapshot] - From buildManagerSnapshot
+ * @param {number} request.gameweek - Current gameweek
+ * @param {Object} [provider=getLLMProvider()] - LLM provider
+ * @returns {Promise<Object>} { type: 'reply', reply } or { type: 'tool_calls', toolCalls }, with the provider
+ */
+export async function generateChatTurn({ messages, managerSnapshot = null, gameweek }, provider = getLLMProvider()) {
+  const conversation = normalizeMessages(messages);
+  if (conversation.length === 0) {
+    return { type: 'reply', reply: 'Ask me about your squad, transfers, captaincy or fixtures.', provider: 'rules' };
+  }
+
+  const context = { page: 'assistant', messages: conversation, managerSnapshot, gameweek };
+  const prompt = buildChatPrompt(conversation, managerSnapshot, gameweek);
+  logger.log(`💬 Chat turn (${conversation.length} messages, ${countToolRounds(conversation)} tool rounds, ${provider.name})`);
+
+  let turn = null;
+  let providerName = provider.name;
+  if (provider.name !== 'rules') {
+    if (provider.isConfigured()) {
+      turn = await requestChatTurn(provider, prompt, context, AI.CHAT.MAX_ATTEMPTS);
+    } else {
+      logger.warn(`⚠️ AI provider "${provider.name}" is not configured`);
+    }
+  }
+
+  if (!turn) {
+    const rules = provider.name === 'rules' ? provider : createRuleBasedProvider();
+    turn = await requestChatTurn(rules, prompt, context, 1);
+    providerName = rules.name;
+  }
+
+  if (!turn) {
+    return {
+      type: 'reply',
+      reply: 'Sorry, I could not answer that right now. Please try again.',
+      provider: providerName,
+      error: true
+    };
+  }
+
+  if (turn.type === 'tool_calls') {
+    logger.log(`🔧 Requesting tools: ${turn.toolCalls.map(call => call.name).join(', ')}`);
+  }
+  return { ...turn, provider: providerName };
+}
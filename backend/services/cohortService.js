@@ -0,0 +1,247 @@
+// ============================================================================
+// COHORT SERVICE
+// Samples entries from the overall league (top 10k / 50k / 100k) or a
+// mini-league and aggregates per-player ownership, captaincy and effective
+// ownership plus planner metric distributions for each cohort
+// ============================================================================
+
+import { fetchLeagueStandings, fetchTeamPicks } from './fplService.js';
+import { getCachedCohorts, updateCohortCache } from './cacheManager.js';
+import { calculateTeamMetricsFromPicks, metricKeys } from './teamMetrics.js';
+import { PRIORITY } from './requestScheduler.js';
+import { mapWithConcurrency } from './asyncUtils.js';
+import { COHORTS } from '../config.js';
+import logger from '../logger.js';
+
+// In-flight computations, so concurrent requests share one sweep
+const pending = new Map();
+
+// ============================================================================
+// SAMPLING
+// ============================================================================
+
+/**
+ * Standings pages to sample for an overall-league bucket, spread evenly from
+ * page 1 to the bucket's last page
+ * @param {{key: string, maxRank: number}} bucket - Cohort bucket
+ * @returns {number[]} Page numbers (ascending, unique)
+ */
+function getSamplePagesForBucket(bucket) {
+  const totalPages = Math.max(1, Math.ceil(bucket.maxRank / COHORTS.PAGE_SIZE));
+  const sampleCount = Math.min(COHORTS.SAMPLE_PAGES, totalPages);
+
+  if (sampleCount === 1) {
+    return [1];
+  }
+
+  const pages = new Set();
+  for (let i = 0; i < sampleCount; i++) {
+    pages.add(Math.round(1 + (i * (totalPages - 1)) / (sampleCount - 1)));
+  }
+  return [...pages];
+}
+
+/**
+ * Pick `count` entries spread evenly through a standings page
+ * @param {Array} results - Standings results
+ * @param {number} count - Entries to take
+ * @returns {Array} Sampled entries
+ */
+function sampleEntries(results, count) {
+  if (results.length <= count) {
+    return results;
+  }
+  const step = results.length / count;
+  return Array.from({ length: count }, (_, i) => results[Math.floor(i * step)]);
+}
+
+/**
+ * Entries that make up a bucket
+ * Overall buckets sample a few entries from evenly spaced pages; mini-league
+ * buckets take every entry on the first MINI_LEAGUE_MAX_PAGES pages.
+ * @param {Object} bucket - Cohort bucket ({ key, leagueId, maxRank? })
+ * @returns {Promise<Array>} Standings entries
+ */
+async function getBucketEntries(bucket) {
+  if (!bucket.maxRank) {
+    const entries = [];
+    let page = 0;
+    let hasNext = true;
+    while (hasNext && page < COHORTS.MINI_LEAGUE_MAX_PAGES) {
+      page++;
+      const data = await fetchLeagueStandings(bucket.leagueId, page, { priority: PRIORITY.BACKGROUND });
+      entries.push(...data.standings.results);
+      hasNext = data.standings.has_next;
+    }
+    return entries;
+  }
+
+  const entries = [];
+  for (const page of getSamplePagesForBucket(bucket)) {
+    try {
+      const data = await fetchLeagueStandings(bucket.leagueId, page, { priority: PRIORITY.BACKGROUND });
+      entries.push(...sampleEntries(data.standings.results, COHORTS.ENTRIES_PER_PAGE));
+    } catch (err) {
+      logger.warn(`⚠️ Cohort ${bucket.key}: skipping standings page ${page} (${err.message})`);
+    }
+  }
+  return entries;
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+function roundTo(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Aggregate a cohort's picks
+ * Effective ownership sums each entry's multiplier, so 100% = every entry
+ * starts the player and 200% = every entry captains them.
+ * @param {Array<Array|null>} picksList - Picks array per sampled entry (null = failed)
+ * @param {number} gameweek - Gameweek the picks belong to
+ * @returns {Object} { sampleSize, failed, averages, distributions, players }
+ */
+function aggregateBucket(picksList, gameweek) {
+  const teams = picksList.filter(picks => Array.isArray(picks) && picks.length > 0);
+  const sampleSize = teams.length;
+
+  const counts = new Map();
+  const distributions = {};
+  metricKeys.forEach(key => {
+    distributions[key] = [];
+  });
+
+  teams.forEach(picks => {
+    picks.forEach(pick => {
+      const entry = counts.get(pick.element) || { owned: 0, captained: 0, multiplierSum: 0 };
+      entry.owned++;
+      if (pick.is_captain) entry.captained++;
+      entry.multiplierSum += pick.multiplier ?? 1;
+      counts.set(pick.element, entry);
+    });
+
+    const metrics = calculateTeamMetricsFromPicks(picks, gameweek);
+    metricKeys.forEach(key => {
+      if (Number.isFinite(metrics[key])) {
+        distributions[key].push(metrics[key]);
+      }
+    });
+  });
+
+  const averages = {};
+  metricKeys.forEach(key => {
+    const values = distributions[key];
+    averages[key] = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  });
+
+  const players = sampleSize === 0 ? [] : [...counts.entries()]
+    .map(([id, entry]) => ({
+      id,
+      ownership: roundTo((entry.owned / sampleSize) * 100),
+      captaincy: roundTo((entry.captained / sampleSize) * 100),
+      eo: roundTo((entry.multiplierSum / sampleSize) * 100)
+    }))
+    .sort((a, b) => b.eo - a.eo);
+
+  return {
+    sampleSize,
+    failed: picksList.length - sampleSize,
+    averages,
+    distributions,
+    players
+  };
+}
+
+/**
+ * Compute every bucket of a cohort request from fresh picks
+ * Requires bootstrap and fixtures in cache (for the planner metrics).
+ * @param {number} gameweek - Gameweek whose picks are sampled
+ * @param {Object} [options]
+ * @param {number|null} [options.leagueId=null] - Mini-league to use instead of the overall buckets
+ * @returns {Promise<Object>} { gameweek, leagueId, timestamp, buckets }
+ */
+async function computeCohorts(gameweek, { leagueId = null } = {}) {
+  const startTime = Date.now();
+  const buckets = leagueId
+    ? [{ key: 'league', leagueId }]
+    : COHORTS.BUCKETS.map(bucket => ({ ...bucket, leagueId: COHORTS.OVERALL_LEAGUE_ID }));
+
+  const result = {
+    gameweek,
+    leagueId: leagueId || COHORTS.OVERALL_LEAGUE_ID,
+    timestamp: Date.now(),
+    buckets: {}
+  };
+
+  for (const bucket of buckets) {
+    const entries = await getBucketEntries(bucket);
+    const picksList = await mapWithConcurrency(entries, COHORTS.CONCURRENCY, async entry => {
+      try {
+        // Queued behind user-facing requests and kept out of the picks cache -
+        // a sweep can need hundreds of picks calls
+        const data = await fetchTeamPicks(entry.entry, gameweek, { priority: PRIORITY.BACKGROUND, cacheResponse: false });
+        return data.picks || null;
+      } catch (err) {
+        logger.warn(`⚠️ Cohort ${bucket.key}: no picks for entry ${entry.entry} (${err.message})`);
+        return null;
+      }
+    });
+
+    result.buckets[bucket.key] = aggregateBucket(picksList, gameweek);
+  }
+
+  logger.log(`✅ Cohorts for GW${gameweek} (league ${result.leagueId}) computed in ${Date.now() - startTime}ms`);
+  return result;
+}
+
+// Exposed as an object so tests can stub the network-heavy sweep
+export const executors = {
+  computeCohorts
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+function getCacheKey(gameweek, leagueId) {
+  return leagueId ? `${gameweek}-${leagueId}` : String(gameweek);
+}
+
+/**
+ * Cohort aggregates for a gameweek (cached for COHORTS.TTL)
+ * @param {number} gameweek - Gameweek whose picks are sampled
+ * @param {Object} [options]
+ * @param {number|null} [options.leagueId=null] - Mini-league cohort instead of top 10k/50k/100k
+ * @returns {Promise<Object>} { gameweek, leagueId, timestamp, buckets: { [key]: { sampleSize, averages, distributions, players } } }
+ */
+export async function getCohortMetrics(gameweek, { leagueId = null } = {}) {
+  const key = getCacheKey(gameweek, leagueId);
+
+  const cached = getCachedCohorts(key);
+  if (cached) {
+    logger.log(`✅ Cohorts ${key} served from cache`);
+    return cached;
+  }
+
+  if (!pending.has(key)) {
+    const computation = executors.computeCohorts(gameweek, { leagueId })
+      .then(data => {
+        updateCohortCache(key, data);
+        return data;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, computation);
+  }
+
+  return pending.get(key);
+}
+
+export const __internal = {
+  getSamplePagesForBucket,
+  sampleEntries,
+  aggregateBucket
+};
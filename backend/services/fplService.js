@@ -3,8 +3,6 @@
 // Handles all FPL Official API data fetching
 // ============================================================================
 
-import axios from 'axios';
-import axiosRetry from 'axios-retry';
 import { FPL_BASE_URL } from '../config.js';
 import {
   cache,
@@ -17,30 +15,9 @@ import {
   updateTeamPicksCache,
   recordCacheHit
 } from './cacheManager.js';
+import { scheduleRequest, PRIORITY } from './requestScheduler.js';
 import logger from '../logger.js';
 
-// ============================================================================
-// AXIOS RETRY CONFIGURATION
-// ============================================================================
-
-// Configure retry with exponential backoff
-axiosRetry(axios, {
-  retries: 3,
-  retryDelay: (retryCount) => {
-    const delay = axiosRetry.exponentialDelay(retryCount);
-    logger.log(`⏳ Retry attempt ${retryCount}, waiting ${delay}ms...`);
-    return delay;
-  },
-  retryCondition: (error) => {
-    // Retry on network errors or 5xx server errors
-    return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
-           (error.response && error.response.status >= 500);
-  },
-  onRetry: (retryCount, error, requestConfig) => {
-    logger.log(`🔄 Retrying request to ${requestConfig.url} (attempt ${retryCount})`);
-  }
-});
-
 // ============================================================================
 // BOOTSTRAP DATA
 // ============================================================================
@@ -62,12 +39,7 @@ export function fetchBootstrap() {
     logger.log('📡 Fetching FPL Bootstrap...');
 
     try {
-      const response = await axios.get(`${FPL_BASE_URL}/bootstrap-static/`, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'FPLanner/1.0'
-        }
-      });
+      const response = await scheduleRequest(`${FPL_BASE_URL}/bootstrap-static/`, { priority: PRIORITY.DEFAULT });
 
       logger.log(`✅ Bootstrap fetched (${Math.round(JSON.stringify(response.data).length / 1024)}KB)`);
 
@@ -105,12 +77,7 @@ export async function fetchFixtures() {
   logger.log('📡 Fetching FPL Fixtures...');
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/fixtures/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/fixtures/`, { priority: PRIORITY.DEFAULT });
 
     logger.log(`✅ Fixtures fetched (${Math.round(JSON.stringify(response.data).length / 1024)}KB)`);
 
@@ -144,12 +111,7 @@ export async function fetchLiveGameweekData(gameweek) {
   logger.log(`📡 Fetching live data for GW${gameweek}...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/event/${gameweek}/live/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/event/${gameweek}/live/`, { priority: PRIORITY.DEFAULT });
 
     logger.log(`✅ Live GW${gameweek} data fetched (${response.data.elements.length} players)`);
     recordFetch();
@@ -168,9 +130,11 @@ export async function fetchLiveGameweekData(gameweek) {
 /**
  * Fetch team data by ID (with caching)
  * @param {string|number} teamId - FPL team ID
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.USER] - Request priority (PRIORITY.BACKGROUND for sweeps)
  * @returns {Promise<Object>} Team data
  */
-export async function fetchTeamData(teamId) {
+export async function fetchTeamData(teamId, { priority = PRIORITY.USER } = {}) {
   // Check cache first
   const cached = getCachedTeamData(teamId);
   if (cached) {
@@ -182,12 +146,7 @@ export async function fetchTeamData(teamId) {
   logger.log(`📡 Fetching team ${teamId}...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/entry/${teamId}/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/entry/${teamId}/`, { priority });
 
     logger.log(`✅ Team ${teamId} fetched`);
     updateTeamCache(teamId, response.data);
@@ -214,9 +173,13 @@ export async function fetchTeamData(teamId) {
  * Fetch team picks for a specific gameweek (with caching)
  * @param {string|number} teamId - FPL team ID
  * @param {number} gameweek - Gameweek number
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.USER] - Request priority (PRIORITY.BACKGROUND for sweeps)
+ * @param {boolean} [options.cacheResponse=true] - Store the response in the picks cache. Sweeps pass
+ *   false so hundreds of sampled entries don't evict users' cached picks (cache hits are still served).
  * @returns {Promise<Object>} Team picks data
  */
-export async function fetchTeamPicks(teamId, gameweek) {
+export async function fetchTeamPicks(teamId, gameweek, { priority = PRIORITY.USER, cacheResponse = true } = {}) {
   // Check cache first
   const cached = getCachedTeamPicks(teamId, gameweek);
   if (cached) {
@@ -228,15 +191,12 @@ export async function fetchTeamPicks(teamId, gameweek) {
   logger.log(`📡 Fetching picks for team ${teamId}, GW${gameweek}...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/entry/${teamId}/event/${gameweek}/picks/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/entry/${teamId}/event/${gameweek}/picks/`, { priority });
 
     logger.log(`✅ Picks fetched for team ${teamId}, GW${gameweek}`);
-    updateTeamPicksCache(teamId, gameweek, response.data);
+    if (cacheResponse) {
+      updateTeamPicksCache(teamId, gameweek, response.data);
+    }
     recordFetch();
     return response.data;
   } catch (err) {
@@ -264,18 +224,15 @@ export async function fetchTeamPicks(teamId, gameweek) {
 /**
  * Fetch player element summary (history and fixtures)
  * @param {string|number} playerId - Player element ID
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.USER] - Request priority (PRIORITY.BACKGROUND for sweeps)
  * @returns {Promise<Object>} Player summary with history and fixtures
  */
-export async function fetchElementSummary(playerId) {
+export async function fetchElementSummary(playerId, { priority = PRIORITY.USER } = {}) {
   logger.log(`📡 Fetching element summary for player ${playerId}...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/element-summary/${playerId}/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/element-summary/${playerId}/`, { priority });
 
     logger.log(`✅ Element summary fetched for player ${playerId}`);
     return response.data;
@@ -292,18 +249,15 @@ export async function fetchElementSummary(playerId) {
 /**
  * Fetch transfer history for a team
  * @param {string|number} teamId - FPL team ID
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.USER] - Request priority (PRIORITY.BACKGROUND for sweeps)
  * @returns {Promise<Array>} Array of transfers
  */
-export async function fetchTransferHistory(teamId) {
+export async function fetchTransferHistory(teamId, { priority = PRIORITY.USER } = {}) {
   logger.log(`📡 Fetching transfer history for team ${teamId}...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/entry/${teamId}/transfers/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/entry/${teamId}/transfers/`, { priority });
 
     logger.log(`✅ Transfer history fetched for team ${teamId} (${response.data.length} transfers)`);
     recordFetch();
@@ -317,18 +271,15 @@ export async function fetchTransferHistory(teamId) {
 /**
  * Fetch team history (chips, current season gameweeks, past seasons)
  * @param {string|number} teamId - FPL team ID
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.USER] - Request priority (PRIORITY.BACKGROUND for sweeps)
  * @returns {Promise<Object>} Team history data with chips, current, and past
  */
-export async function fetchTeamHistory(teamId) {
+export async function fetchTeamHistory(teamId, { priority = PRIORITY.USER } = {}) {
   logger.log(`📡 Fetching team history for team ${teamId}...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/entry/${teamId}/history/`, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
-    });
+    const response = await scheduleRequest(`${FPL_BASE_URL}/entry/${teamId}/history/`, { priority });
 
     logger.log(`✅ Team history fetched for team ${teamId}`);
     recordFetch();
@@ -347,18 +298,17 @@ export async function fetchTeamHistory(teamId) {
  * Fetch league standings
  * @param {string|number} leagueId - League ID
  * @param {number} page - Page number (default: 1)
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.USER] - Request priority (PRIORITY.BACKGROUND for sweeps)
  * @returns {Promise<Object>} League standings data
  */
-export async function fetchLeagueStandings(leagueId, page = 1) {
+export async function fetchLeagueStandings(leagueId, page = 1, { priority = PRIORITY.USER } = {}) {
   logger.log(`📡 Fetching league ${leagueId} standings (page ${page})...`);
 
   try {
-    const response = await axios.get(`${FPL_BASE_URL}/leagues-classic/${leagueId}/standings/`, {
-      timeout: 10000,
+    const response = await scheduleRequest(`${FPL_BASE_URL}/leagues-classic/${leagueId}/standings/`, {
       params: { page_standings: page },
-      headers: {
-        'User-Agent': 'FPLanner/1.0'
-      }
+      priority
     });
 
     logger.log(`✅ League ${leagueId} standings fetched (${response.data.standings.results.length} entries)`);
@@ -3,16 +3,15 @@
 // Handles GitHub CSV data fetching (FPL-Elo-Insights)
 // ============================================================================
 
-import axios from 'axios';
 import Papa from 'papaparse';
 import { getGithubUrls } from '../config.js';
 import {
   cache,
-  getCurrentEra,
   updateGithubCache,
   recordFetch
 } from './cacheManager.js';
 import { fetchBootstrap } from './fplService.js';
+import { scheduleRequest, PRIORITY } from './requestScheduler.js';
 import logger from '../logger.js';
 
 const NEXT_GW_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
@@ -31,8 +30,9 @@ function shouldSkipNextGWFetch(targetGW) {
 // ============================================================================
 
 /**
- * Fetch GitHub CSV data (3-source strategy)
+ * Fetch GitHub CSV data (4-source strategy)
  * - Season stats (always)
+ * - Team stats with Elo ratings (always)
  * - Current GW stats (if finished)
  * - Next GW stats (for transfers)
  * @returns {Promise<Object>} Parsed GitHub data
@@ -71,10 +71,7 @@ export async function fetchGithubCSV() {
     // 1. Season stats (always fetch)
     logger.log(`📡 Fetching season stats...`);
     fetchPromises.push(
-      axios.get(urls.seasonStats, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'FPLanner/1.0' }
-      })
+      scheduleRequest(urls.seasonStats, { timeout: 15000, priority: PRIORITY.BACKGROUND })
         .then(res => ({ type: 'season', data: res.data }))
         .catch(err => {
           logger.error(`❌ Failed to fetch season stats:`, err.message);
@@ -82,14 +79,21 @@ export async function fetchGithubCSV() {
         })
     );
 
-    // 2. Current GW stats (if finished)
+    // 2. Team stats (Elo ratings for the custom fixture difficulty model)
+    fetchPromises.push(
+      scheduleRequest(urls.teamStats, { timeout: 15000, priority: PRIORITY.BACKGROUND })
+        .then(res => ({ type: 'teams', data: res.data }))
+        .catch(err => {
+          logger.warn(`⚠️ Team stats not available:`, err.message);
+          return null;
+        })
+    );
+
+    // 3. Current GW stats (if finished)
     if (urls.currentGWStats) {
       logger.log(`📡 Fetching GW${currentGW} stats...`);
       fetchPromises.push(
-        axios.get(urls.currentGWStats, {
-          timeout: 15000,
-          headers: { 'User-Agent': 'FPLanner/1.0' }
-        })
+        scheduleRequest(urls.currentGWStats, { timeout: 15000, priority: PRIORITY.BACKGROUND })
           .then(res => ({ type: 'currentGW', data: res.data }))
           .catch(err => {
             logger.warn(`⚠️ GW${currentGW} stats not available yet:`, err.message);
@@ -98,7 +102,7 @@ export async function fetchGithubCSV() {
       );
     }
 
-    // 3. Next GW stats (for transfers)
+    // 4. Next GW stats (for transfers)
     if (shouldSkipNextGWFetch(nextGWTarget)) {
       logger.log(`⏭️ Skipping GW${nextGWTarget} stats fetch (recent 404)`);
       nextGWStatus = {
@@ -110,10 +114,7 @@ export async function fetchGithubCSV() {
     } else {
       logger.log(`📡 Fetching GW${nextGWTarget} stats for transfers...`);
       fetchPromises.push(
-        axios.get(urls.nextGWStats, {
-          timeout: 15000,
-          headers: { 'User-Agent': 'FPLanner/1.0' }
-        })
+        scheduleRequest(urls.nextGWStats, { timeout: 15000, priority: PRIORITY.BACKGROUND })
           .then(res => {
             nextGWStatus = {
               gw: nextGWTarget,
@@ -156,7 +157,7 @@ export async function fetchGithubCSV() {
       }
 
       parsedData[result.type] = parsed.data;
-      logger.log(`✅ Parsed ${result.type}: ${parsed.data.length} players`);
+      logger.log(`✅ Parsed ${result.type}: ${parsed.data.length} ${result.type === 'teams' ? 'teams' : 'players'}`);
     }
 
     // Build cache data
@@ -164,21 +165,19 @@ export async function fetchGithubCSV() {
       currentGW: currentGW,
       isFinished: isFinished,
       seasonStats: parsedData.season || [],
+      teamStats: parsedData.teams || [],
       currentGWStats: parsedData.currentGW || [],
       nextGWStats: parsedData.nextGW || [],
       nextGWStatus
     };
 
-    // Update cache with additional metadata
-    cache.github.data = githubData;
-    cache.github.timestamp = Date.now();
-    cache.github.era = getCurrentEra();
-    cache.github.currentGW = currentGW;
-    cache.github.nextGWStatus = nextGWStatus;
+    // Update cache (era, currentGW and nextGWStatus metadata included)
+    updateGithubCache(githubData);
     recordFetch();
 
     logger.log(`✅ GitHub data loaded:`);
     logger.log(`   Season stats: ${parsedData.season?.length || 0} players`);
+    logger.log(`   Team stats: ${parsedData.teams?.length || 0} teams`);
     logger.log(`   GW${currentGW} stats: ${parsedData.currentGW?.length || 0} players`);
     logger.log(`   GW${currentGW + 1} stats: ${parsedData.nextGW?.length || 0} players`);
 
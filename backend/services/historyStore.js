@@ -0,0 +1,466 @@
+// ============================================================================
+// HISTORY STORE SERVICE
+// Archives each finished gameweek's bootstrap state, fixtures and
+// FPL-Elo-Insights GW stats into a local directory (one file per gameweek)
+// so over-time analysis no longer needs an element-summary call per player.
+//
+// Tables are stored column-oriented ({ fields, rows }) - field names are
+// written once per table instead of once per player.
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { SERVER, HISTORY } from '../config.js';
+import { cache } from './cacheManager.js';
+import logger from '../logger.js';
+import { createAtomicWriter } from './atomicWrite.js';
+
+// ============================================================================
+// STORE STATE
+// ============================================================================
+
+// Player-history fields rolled up by aggregatePlayerHistory()
+export const AGGREGATE_FIELDS = [
+  'now_cost',
+  'selected_by_percent',
+  'event_points',
+  'total_points',
+  'form',
+  'minutes',
+  'transfers_in_event',
+  'transfers_out_event'
+];
+
+let storeDir = SERVER.HISTORY_STORE_DIR;
+
+// gameweek -> { gameweek, archivedAt, players, teams, fixtures, hasGithub }
+let index = new Map();
+
+// gameweek -> Promise of the parsed archive, least recently used first.
+// Capped at HISTORY.ARCHIVE_CACHE_SIZE - each archive holds a full bootstrap.
+let archiveCache = new Map();
+
+// columnar table -> Map of id -> row, built on the first lookup
+const rowIndexes = new WeakMap();
+
+let aggregation = createIdleAggregation();
+
+const writeAtomic = createAtomicWriter();
+
+function createIdleAggregation() {
+  return {
+    status: 'idle',
+    startedAt: null,
+    completedAt: null,
+    gameweeks: 0,
+    players: 0,
+    error: null
+  };
+}
+
+function getIndexPath() {
+  return path.join(storeDir, 'index.json');
+}
+
+function getGameweekPath(gameweek) {
+  return path.join(storeDir, `gw-${String(gameweek).padStart(2, '0')}.json`);
+}
+
+function getAggregatePath() {
+  return path.join(storeDir, 'player-history.json');
+}
+
+// ============================================================================
+// DISK PERSISTENCE
+// ============================================================================
+
+/**
+ * Load the archive index from disk
+ * @param {string} dirPath - Optional override for the archive directory
+ */
+export function loadHistoryStore(dirPath = SERVER.HISTORY_STORE_DIR) {
+  storeDir = dirPath;
+  index = new Map();
+  archiveCache = new Map();
+  aggregation = createIdleAggregation();
+
+  if (!fs.existsSync(getIndexPath())) {
+    logger.log('ℹ️ No history archive found, starting fresh');
+    return;
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(getIndexPath(), 'utf8'));
+    (saved.gameweeks || []).forEach(entry => index.set(entry.gameweek, entry));
+    logger.log(`✅ History archive loaded (${index.size} gameweeks)`);
+  } catch (err) {
+    logger.error('❌ Failed to load history archive:', err.message);
+  }
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} filePath - Destination
+ * @param {Object} data - JSON-serializable data
+ * @returns {Promise<boolean>} True if written
+ */
+function writeJson(filePath, data) {
+  return writeAtomic(filePath, JSON.stringify(data));
+}
+
+function saveIndex() {
+  const gameweeks = Array.from(index.values()).sort((a, b) => a.gameweek - b.gameweek);
+  return writeJson(getIndexPath(), { gameweeks });
+}
+
+function readArchiveFile(gameweek) {
+  return fs.promises.readFile(getGameweekPath(gameweek), 'utf8')
+    .then(JSON.parse)
+    .catch(err => {
+      logger.error(`❌ Failed to read archived GW${gameweek}:`, err.message);
+      return null;
+    });
+}
+
+/**
+ * Read an archived gameweek
+ * Recently read gameweeks are served from a small in-memory LRU, and
+ * concurrent reads of the same gameweek share one disk read. The returned
+ * object may be shared - callers must not mutate it.
+ * @param {number} gameweek - Gameweek number
+ * @param {Object} [options]
+ * @param {boolean} [options.cached=true] - Use the LRU (false for full-season sweeps)
+ * @returns {Promise<Object|null>} Archived gameweek or null if not archived
+ */
+export function readArchivedGameweek(gameweek, { cached = true } = {}) {
+  if (!index.has(gameweek)) return Promise.resolve(null);
+
+  const pending = archiveCache.get(gameweek);
+  if (pending) {
+    if (cached) {
+      // Move to the most recently used end
+      archiveCache.delete(gameweek);
+      archiveCache.set(gameweek, pending);
+    }
+    return pending;
+  }
+
+  if (!cached) return readArchiveFile(gameweek);
+
+  const read = readArchiveFile(gameweek).then(archive => {
+    // Don't cache a failure - the next query retries
+    if (!archive && archiveCache.get(gameweek) === read) {
+      archiveCache.delete(gameweek);
+    }
+    return archive;
+  });
+
+  if (archiveCache.size >= HISTORY.ARCHIVE_CACHE_SIZE) {
+    archiveCache.delete(archiveCache.keys().next().value);
+  }
+  archiveCache.set(gameweek, read);
+  return read;
+}
+
+// ============================================================================
+// COLUMNAR TABLES
+// ============================================================================
+
+/**
+ * Convert an array of objects into { fields, rows }
+ * @param {Array<Object>} records - Records (e.g. bootstrap elements)
+ * @returns {Object} { fields, rows }
+ */
+export function toColumns(records = []) {
+  const fields = [];
+  const seen = new Set();
+
+  records.forEach(record => {
+    Object.keys(record).forEach(field => {
+      if (!seen.has(field)) {
+        seen.add(field);
+        fields.push(field);
+      }
+    });
+  });
+
+  return {
+    fields,
+    rows: records.map(record => fields.map(field => record[field] ?? null))
+  };
+}
+
+function getRowIndex(table) {
+  if (!rowIndexes.has(table)) {
+    const idIndex = table.fields.indexOf('id');
+    rowIndexes.set(table, new Map(idIndex === -1 ? [] : table.rows.map(row => [row[idIndex], row])));
+  }
+  return rowIndexes.get(table);
+}
+
+/**
+ * Find a row by ID in a columnar table
+ * @param {Object} table - { fields, rows }
+ * @param {number} id - Value of the table's `id` field
+ * @param {Array<string>} fields - Fields to pick
+ * @returns {Object|null} { field: value } for the requested fields that exist
+ */
+function pickRow(table, id, fields) {
+  if (!table?.fields) return null;
+
+  const row = getRowIndex(table).get(id);
+  if (!row) return null;
+
+  const picked = {};
+  fields.forEach(field => {
+    const fieldIndex = table.fields.indexOf(field);
+    if (fieldIndex !== -1) picked[field] = row[fieldIndex];
+  });
+  return picked;
+}
+
+// ============================================================================
+// ARCHIVING
+// ============================================================================
+
+/**
+ * Latest gameweek that has finished and had its data checked (bonus confirmed)
+ * @param {Object} bootstrap - FPL bootstrap data
+ * @returns {number|null} Gameweek number
+ */
+export function getLatestCheckedGameweek(bootstrap) {
+  const checked = (bootstrap?.events || []).filter(e => e.finished && e.data_checked);
+  return checked.length > 0 ? Math.max(...checked.map(e => e.id)) : null;
+}
+
+/**
+ * Archive the latest finished gameweek
+ * Bootstrap only holds the current state, so a gameweek can only be captured
+ * while it is the latest finished one. Elo-Insights GW stats are often
+ * published later - an archived gameweek without them is topped up once
+ * they appear.
+ * @param {Object} sources - { bootstrap, fixtures, github }
+ * @returns {Promise<Object|null>} Index entry for the archived gameweek, or null if nothing to do
+ */
+export async function archiveFinishedGameweek({ bootstrap, fixtures, github }) {
+  const gameweek = getLatestCheckedGameweek(bootstrap);
+  if (!gameweek) return null;
+
+  const githubStats = github?.currentGW === gameweek && github.currentGWStats?.length > 0
+    ? github.currentGWStats
+    : null;
+  const existing = index.get(gameweek);
+
+  if (existing && (existing.hasGithub || !githubStats)) {
+    return null;
+  }
+
+  let archive;
+  if (existing) {
+    const archived = await readArchivedGameweek(gameweek);
+    if (!archived) return null;
+    archive = { ...archived, github: toColumns(githubStats) };
+  } else {
+    archive = {
+      gameweek,
+      archivedAt: new Date().toISOString(),
+      elements: toColumns(bootstrap.elements),
+      teams: toColumns(bootstrap.teams),
+      fixtures: (fixtures || []).filter(f => f.event === gameweek),
+      github: githubStats ? toColumns(githubStats) : null
+    };
+  }
+
+  if (!(await writeJson(getGameweekPath(gameweek), archive))) {
+    return null;
+  }
+  // Only reads populate the cache - drop the superseded copy, if any
+  archiveCache.delete(gameweek);
+
+  const entry = {
+    gameweek,
+    archivedAt: archive.archivedAt,
+    players: archive.elements.rows.length,
+    teams: archive.teams.rows.length,
+    fixtures: archive.fixtures.length,
+    hasGithub: Boolean(archive.github)
+  };
+  index.set(gameweek, entry);
+  await saveIndex();
+
+  logger.log(`🗄️ GW${gameweek} ${existing ? 'topped up with Elo-Insights stats' : 'archived'} (${entry.players} players)`);
+  return entry;
+}
+
+/**
+ * Check cached data for a newly finished gameweek every
+ * HISTORY.ARCHIVE_CHECK_INTERVAL_MS. Uses whatever bootstrap, fixtures and
+ * GitHub data the cache already holds - no extra upstream requests.
+ */
+export function initializeHistoryArchiving() {
+  const tick = () => {
+    if (!cache.bootstrap.data) return;
+
+    archiveFinishedGameweek({
+      bootstrap: cache.bootstrap.data,
+      fixtures: cache.fixtures.data,
+      github: cache.github.data
+    }).catch(err => {
+      logger.warn(`⚠️ Gameweek archive failed: ${err.message}`);
+    });
+  };
+
+  setInterval(tick, HISTORY.ARCHIVE_CHECK_INTERVAL_MS);
+  tick();
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * List archived gameweeks
+ * @returns {Array} Index entries, oldest first
+ */
+export function listArchivedGameweeks() {
+  return Array.from(index.values()).sort((a, b) => a.gameweek - b.gameweek);
+}
+
+function getGameweeksInRange(from = 1, to = 38) {
+  return listArchivedGameweeks()
+    .map(entry => entry.gameweek)
+    .filter(gw => gw >= from && gw <= to);
+}
+
+/**
+ * Get a player's archived fields across gameweeks
+ * Bootstrap element fields are used first; fields only present in the
+ * Elo-Insights GW stats are read from there.
+ * @param {number} playerId - FPL element ID
+ * @param {Array<string>} fields - Field names (e.g. ['now_cost', 'selected_by_percent'])
+ * @param {Object} range - { from, to } gameweek range
+ * @returns {Promise<Array>} [{ gameweek, ...values }], oldest first; gameweeks the player is missing from are skipped
+ */
+export async function getPlayerFieldHistory(playerId, fields, { from, to } = {}) {
+  const history = [];
+
+  for (const gameweek of getGameweeksInRange(from, to)) {
+    const archive = await readArchivedGameweek(gameweek);
+    const element = pickRow(archive?.elements, playerId, fields);
+    if (!element) continue;
+
+    const missing = fields.filter(field => !(field in element));
+    const githubValues = missing.length > 0 ? pickRow(archive.github, playerId, missing) : null;
+
+    history.push({ gameweek, ...element, ...githubValues });
+  }
+
+  return history;
+}
+
+/**
+ * Get a team's archived fields across gameweeks
+ * @param {number} teamId - FPL team ID
+ * @param {Array<string>} fields - Field names (e.g. ['strength_attack_home', 'position'])
+ * @param {Object} range - { from, to } gameweek range
+ * @returns {Promise<Array>} [{ gameweek, ...values }], oldest first
+ */
+export async function getTeamFieldHistory(teamId, fields, { from, to } = {}) {
+  const history = [];
+
+  for (const gameweek of getGameweeksInRange(from, to)) {
+    const archive = await readArchivedGameweek(gameweek);
+    const team = pickRow(archive?.teams, teamId, fields);
+    if (team) history.push({ gameweek, ...team });
+  }
+
+  return history;
+}
+
+// ============================================================================
+// PLAYER HISTORY AGGREGATION
+// ============================================================================
+
+/**
+ * Roll every archived gameweek up into a single per-player history file
+ * (player-history.json in the archive directory)
+ * @returns {Promise<Object>} Aggregation status
+ */
+export async function aggregatePlayerHistory() {
+  if (aggregation.status === 'running') {
+    return aggregation;
+  }
+
+  aggregation = {
+    ...createIdleAggregation(),
+    status: 'running',
+    startedAt: new Date().toISOString()
+  };
+
+  try {
+    const gameweeks = getGameweeksInRange();
+    const players = {};
+
+    for (const gameweek of gameweeks) {
+      // Read past the cache so one run doesn't cycle the whole season through it
+      const archive = await readArchivedGameweek(gameweek, { cached: false });
+      if (!archive) continue;
+
+      const { fields, rows } = archive.elements;
+      const idIndex = fields.indexOf('id');
+      const nameIndex = fields.indexOf('web_name');
+      const fieldIndexes = AGGREGATE_FIELDS.map(field => [field, fields.indexOf(field)]);
+
+      rows.forEach(row => {
+        const id = row[idIndex];
+        if (!players[id]) {
+          players[id] = { id, web_name: row[nameIndex], history: [] };
+        }
+
+        const entry = { gameweek };
+        fieldIndexes.forEach(([field, i]) => {
+          entry[field] = i === -1 ? null : row[i];
+        });
+        players[id].history.push(entry);
+      });
+    }
+
+    const written = await writeJson(getAggregatePath(), {
+      generatedAt: new Date().toISOString(),
+      gameweeks,
+      fields: AGGREGATE_FIELDS,
+      players: Object.values(players)
+    });
+
+    if (!written) {
+      throw new Error('Failed to write player history');
+    }
+
+    aggregation = {
+      ...aggregation,
+      status: 'complete',
+      completedAt: new Date().toISOString(),
+      gameweeks: gameweeks.length,
+      players: Object.keys(players).length
+    };
+    logger.log(`✅ Player history aggregated (${aggregation.players} players, ${gameweeks.length} gameweeks)`);
+  } catch (err) {
+    logger.error('❌ Player history aggregation failed:', err.message);
+    aggregation = {
+      ...aggregation,
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: err.message
+    };
+  }
+
+  return aggregation;
+}
+
+/**
+ * Get the status of the last player history aggregation
+ * @returns {Object} { status, startedAt, completedAt, gameweeks, players, error }
+ */
+export function getAggregationStatus() {
+  return aggregation;
+}
@@ -0,0 +1,312 @@
+// ============================================================================
+// INSIGHT SCHEMA
+// Structured AI insights and their validation against the context data the
+// frontend supplied. An insight is:
+//
+//   {
+//     text: string,                       - One or two sentences
+//     type: INSIGHT_TYPES,
+//     severity: 'low' | 'medium' | 'high',
+//     playerIds: number[],                - Players referred to (ids from the data)
+//     fixtureIds: number[],               - Fixtures referred to (fixtureId values)
+//     metrics: [{ playerId, field, value }], - Numbers quoted; playerId null for
+//                                           non-player values (teams, budget)
+//     action: { type: ACTION_TYPES, label, playerId?, outId?, inId?, chip? } | null
+//   }
+//
+// Insights that reference unknown players or fixtures, or quote numbers that
+// don't match the data, are rejected. Text copied from the data verbatim (risk
+// flags such as "injury: 50% fit") may carry its own numbers.
+// ============================================================================
+
+export const INSIGHT_TYPES = ['transfer', 'captain', 'fixture', 'risk', 'value', 'form', 'chip', 'general'];
+export const INSIGHT_SEVERITIES = ['low', 'medium', 'high'];
+export const ACTION_TYPES = ['transfer', 'sell', 'buy', 'captain', 'bench', 'chip', 'hold'];
+
+export const INSIGHTS_PER_CATEGORY = 3;
+const MAX_TEXT_LENGTH = 300;
+
+/** Quoted values may be rounded to one decimal place */
+const VALUE_TOLERANCE = 0.051;
+
+/**
+ * Categories each page's prompt asks for
+ * @param {string} page - Page name
+ * @returns {string[]}
+ */
+export function getExpectedCategories(page) {
+  if (page === 'planner') {
+    return ['Planner'];
+  }
+  if (page === 'my-team') {
+    return ['Current GW', 'Squad Health', 'Transfer Priorities', 'Captain Pick', 'Chip Strategy'];
+  }
+  return ['Overview', 'Hidden Gems', 'Differentials', 'Transfer Targets', 'Team Analysis'];
+}
+
+// ============================================================================
+// CONTEXT INDEX
+// ============================================================================
+
+function isNumeric(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Index the players, fixtures and numbers in a request's context data
+ * Players are objects with a numeric `id` (the same player may appear in
+ * several lists - their fields are merged); fixtures are objects with a
+ * numeric `fixtureId`. Numbers on any other object are indexed by field name.
+ * @param {Object} data - Context data
+ * @returns {{players: Map<number, Object>, fixtureIds: Set<number>, values: Map<string, number[]>, strings: Set<string>}}
+ */
+export function indexContextData(data) {
+  const players = new Map();
+  const fixtureIds = new Set();
+  const values = new Map();
+  const strings = new Set();
+
+  const visit = (node) => {
+    if (typeof node === 'string') {
+      if (/\d/.test(node) && /[a-z]/i.test(node)) strings.add(node);
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (isNumeric(node.fixtureId)) {
+      fixtureIds.add(node.fixtureId);
+    }
+
+    const isPlayer = isNumeric(node.id);
+    const record = isPlayer ? (players.get(node.id) || {}) : null;
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (typeof value === 'string') {
+        visit(value);
+      }
+      if (value && typeof value === 'object') {
+        visit(value);
+      } else if (isPlayer) {
+        if (!(key in record)) record[key] = value;
+      } else if (isNumeric(value)) {
+        if (!values.has(key)) values.set(key, []);
+        values.get(key).push(value);
+      }
+    });
+
+    if (isPlayer) {
+      players.set(node.id, record);
+    }
+  };
+
+  visit(data);
+  return { players, fixtureIds, values, strings };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function valuesMatch(quoted, actual) {
+  const number = typeof actual === 'string' ? parseFloat(actual) : actual;
+  return isNumeric(number) && Math.abs(quoted - number) <= VALUE_TOLERANCE;
+}
+
+/**
+ * Numbers in the text that must be backed by a metric: decimals, prices and
+ * percentages. Whole counts ("3 fixtures", "GW12") are left alone.
+ * @param {string} text - Insight text
+ * @returns {number[]}
+ */
+export function getQuotedNumbers(text) {
+  const quoted = [];
+  const pattern = /(£)?(\d+(?:,\d{3})*(?:\.\d+)?)(%)?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, pound, digits, percent] = match;
+    if (pound || percent || digits.includes('.')) {
+      quoted.push(parseFloat(digits.replace(/,/g, '')));
+    }
+  }
+  return quoted;
+}
+
+function isIdList(value) {
+  return Array.isArray(value) && value.every(id => Number.isInteger(id));
+}
+
+function validateAction(action, index) {
+  if (action === null || action === undefined) return [];
+  if (typeof action !== 'object' || Array.isArray(action)) return ['action must be an object or null'];
+
+  const errors = [];
+  if (!ACTION_TYPES.includes(action.type)) {
+    errors.push(`action.type must be one of ${ACTION_TYPES.join(', ')}`);
+  }
+  if (typeof action.label !== 'string' || !action.label.trim()) {
+    errors.push('action.label is required');
+  }
+  ['playerId', 'outId', 'inId'].forEach(key => {
+    if (action[key] !== undefined && action[key] !== null && !index.players.has(action[key])) {
+      errors.push(`action.${key} ${action[key]} is not a player in the data`);
+    }
+  });
+  if (action.type === 'transfer' && !Number.isInteger(action.outId)) {
+    errors.push('transfer actions need an outId');
+  }
+  if (['sell', 'buy', 'captain', 'bench'].includes(action.type) && !Number.isInteger(action.playerId)) {
+    errors.push(`${action.type} actions need a playerId`);
+  }
+  return errors;
+}
+
+/**
+ * Validate one insight against the schema and the context data
+ * @param {*} insight - Candidate insight
+ * @param {Object} index - From indexContextData
+ * @returns {{insight: Object|null, errors: string[]}} Normalized insight when valid
+ */
+export function validateInsight(insight, index) {
+  if (!insight || typeof insight !== 'object' || Array.isArray(insight)) {
+    return { insight: null, errors: ['insight must be an object'] };
+  }
+
+  const errors = [];
+  const { text, type, severity, playerIds = [], fixtureIds = [], metrics = [], action = null } = insight;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    errors.push('text is required');
+  } else if (text.length > MAX_TEXT_LENGTH) {
+    errors.push(`text is longer than ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (!INSIGHT_TYPES.includes(type)) {
+    errors.push(`type must be one of ${INSIGHT_TYPES.join(', ')}`);
+  }
+  if (!INSIGHT_SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of ${INSIGHT_SEVERITIES.join(', ')}`);
+  }
+
+  if (!isIdList(playerIds)) {
+    errors.push('playerIds must be an array of integers');
+  } else {
+    playerIds.filter(id => !index.players.has(id))
+      .forEach(id => errors.push(`player ${id} is not in the data`));
+  }
+  if (!isIdList(fixtureIds)) {
+    errors.push('fixtureIds must be an array of integers');
+  } else {
+    fixtureIds.filter(id => !index.fixtureIds.has(id))
+      .forEach(id => errors.push(`fixture ${id} is not in the data`));
+  }
+
+  if (!Array.isArray(metrics)) {
+    errors.push('metrics must be an array');
+  } else {
+    metrics.forEach(metric => {
+      if (!metric || typeof metric.field !== 'string' || !isNumeric(metric.value)) {
+        errors.push('each metric needs a field and a numeric value');
+        return;
+      }
+      const { playerId = null, field, value } = metric;
+      if (playerId !== null) {
+        const player = index.players.get(playerId);
+        if (!player) {
+          errors.push(`metric ${field} refers to player ${playerId}, who is not in the data`);
+        } else if (!(field in player)) {
+          errors.push(`player ${playerId} has no "${field}" in the data`);
+        } else if (!valuesMatch(value, player[field])) {
+          errors.push(`${field} for player ${playerId} is ${player[field]}, not ${value}`);
+        }
+      } else if (!(index.values.get(field) || []).some(actual => valuesMatch(value, actual))) {
+        errors.push(`no "${field}" of ${value} in the data`);
+      }
+    });
+
+    if (typeof text === 'string') {
+      const ownText = [...index.strings].reduce((remaining, copied) => remaining.split(copied).join(' '), text);
+      getQuotedNumbers(ownText)
+        .filter(quoted => !metrics.some(metric => isNumeric(metric?.value) && valuesMatch(quoted, metric.value)))
+        .forEach(quoted => errors.push(`${quoted} is quoted in the text but not listed in metrics`));
+    }
+  }
+
+  errors.push(...validateAction(action, index));
+
+  if (errors.length > 0) {
+    return { insight: null, errors };
+  }
+
+  return {
+    insight: {
+      text: text.trim(),
+      type,
+      severity,
+      playerIds,
+      fixtureIds,
+      metrics: metrics.map(({ playerId = null, field, value }) => ({ playerId, field, value })),
+      action: action ? { ...action, label: action.label.trim() } : null
+    },
+    errors: []
+  };
+}
+
+/**
+ * Validate a response's categories for a page
+ * Invalid insights are dropped and reported; each category keeps at most
+ * INSIGHTS_PER_CATEGORY valid insights.
+ * @param {Object} categories - Parsed model output
+ * @param {string} page - Page name
+ * @param {Object} index - From indexContextData
+ * @returns {{categories: Object<string, Object[]>, errors: string[], complete: boolean, usable: boolean, rejected: number}}
+ *   complete - every category has a full set of valid insights
+ *   usable - every category has at least one
+ */
+export function validateInsightCategories(categories, page, index) {
+  if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+    return { categories: {}, errors: ['response must be a JSON object keyed by category'], complete: false, usable: false, rejected: 0 };
+  }
+
+  const errors = [];
+  const validated = {};
+  let rejected = 0;
+
+  getExpectedCategories(page).forEach(category => {
+    const items = categories[category];
+    if (!Array.isArray(items)) {
+      errors.push(`"${category}" must be an array of insight objects`);
+      validated[category] = [];
+      return;
+    }
+
+    validated[category] = [];
+    items.forEach((item, idx) => {
+      const result = validateInsight(item, index);
+      if (result.insight) {
+        validated[category].push(result.insight);
+      } else {
+        rejected++;
+        errors.push(`"${category}"[${idx}]: ${result.errors.join('; ')}`);
+      }
+    });
+
+    validated[category] = validated[category].slice(0, INSIGHTS_PER_CATEGORY);
+    if (validated[category].length < INSIGHTS_PER_CATEGORY) {
+      errors.push(`"${category}" has ${validated[category].length} valid insights (expected ${INSIGHTS_PER_CATEGORY})`);
+    }
+  });
+
+  const counts = Object.values(validated).map(list => list.length);
+  return {
+    categories: validated,
+    errors,
+    complete: counts.every(count => count === INSIGHTS_PER_CATEGORY),
+    usable: counts.every(count => count > 0),
+    rejected
+  };
+}
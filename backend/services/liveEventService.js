@@ -0,0 +1,308 @@
+// ============================================================================
+// LIVE EVENT SERVICE
+// A single poller diffs /event/{gw}/live and fixture status during a live
+// gameweek and pushes the changes to every connected client over
+// Server-Sent Events, so open tabs no longer poll the full payload.
+// ============================================================================
+
+import { LIVE_STREAM } from '../config.js';
+import {
+  fetchBootstrap,
+  fetchLiveGameweekData
+} from './fplService.js';
+import { cache, shouldRefreshBootstrap, updateLiveCache } from './cacheManager.js';
+import { getCurrentGameweek, getGameweekStatus, GW_STATUS } from './gameweekUtils.js';
+import { getLiveScoringContext } from './liveScoreService.js';
+import logger from '../logger.js';
+
+// ============================================================================
+// STREAM STATE
+// ============================================================================
+
+// Fixture fields sent to clients (merged into fplFixtures)
+const FIXTURE_FIELDS = [
+  'id',
+  'event',
+  'started',
+  'finished',
+  'finished_provisional',
+  'minutes',
+  'team_h_score',
+  'team_a_score'
+];
+
+const clients = new Set();
+
+let pollTimer = null;
+let heartbeatTimer = null;
+
+// Last polled state - null until the first poll of a live gameweek
+let lastState = null;
+let lastIsLive = null;
+let lastEventId = 0;
+
+// ============================================================================
+// DIFFING
+// ============================================================================
+
+/**
+ * Snapshot the parts of live data the stream diffs against
+ * @param {Array} liveElements - Live data elements ({ id, stats })
+ * @param {Array} fixtures - Fixtures for the gameweek
+ * @param {Map<number, number>} provisionalBonus - Player ID -> provisional bonus
+ * @param {number} gameweek - Gameweek number
+ * @returns {Object} { gameweek, stats, bonus, fixtures }
+ */
+export function buildLiveState(liveElements, fixtures, provisionalBonus, gameweek) {
+  const fixtureMap = new Map();
+  (fixtures || []).forEach(fixture => {
+    const picked = {};
+    FIXTURE_FIELDS.forEach(field => { picked[field] = fixture[field] ?? null; });
+    fixtureMap.set(fixture.id, picked);
+  });
+
+  return {
+    gameweek,
+    stats: new Map((liveElements || []).map(el => [el.id, el.stats])),
+    bonus: new Map(provisionalBonus || []),
+    fixtures: fixtureMap
+  };
+}
+
+function countIncrease(prev, next, field) {
+  return Math.max(0, (next[field] || 0) - (prev[field] || 0));
+}
+
+function getBonus(state, id) {
+  const stats = state.stats.get(id);
+  // Official bonus replaces provisional once FPL confirms it
+  return stats?.bonus || state.bonus.get(id) || 0;
+}
+
+function isFixtureFinished(fixture) {
+  return Boolean(fixture.finished || fixture.finished_provisional);
+}
+
+/**
+ * Diff two live states into stream events
+ * Element events: goal, assist, card, bonus. Fixture events: fixture_started,
+ * fixture_finished. Every changed player and fixture is also returned in full
+ * so clients can apply the update without refetching.
+ * @param {Object} prev - Previous state from buildLiveState()
+ * @param {Object} next - Current state from buildLiveState()
+ * @returns {Object} { events, elements: [{ id, live_stats }], fixtures }
+ */
+export function diffLiveState(prev, next) {
+  const events = [];
+  const elements = [];
+  const fixtures = [];
+
+  next.stats.forEach((stats, id) => {
+    const prevStats = prev.stats.get(id);
+    const prevBonus = getBonus(prev, id);
+    const bonus = getBonus(next, id);
+
+    if (prevStats) {
+      const goals = countIncrease(prevStats, stats, 'goals_scored');
+      const assists = countIncrease(prevStats, stats, 'assists');
+
+      if (goals > 0) events.push({ type: 'goal', element: id, count: goals });
+      if (assists > 0) events.push({ type: 'assist', element: id, count: assists });
+      if (countIncrease(prevStats, stats, 'yellow_cards') > 0) events.push({ type: 'card', element: id, card: 'yellow' });
+      if (countIncrease(prevStats, stats, 'red_cards') > 0) events.push({ type: 'card', element: id, card: 'red' });
+      if (bonus !== prevBonus) events.push({ type: 'bonus', element: id, from: prevBonus, to: bonus });
+    }
+
+    const changed = !prevStats ||
+      bonus !== prevBonus ||
+      Object.keys(stats).some(key => stats[key] !== prevStats[key]);
+
+    if (changed) {
+      elements.push({
+        id,
+        live_stats: { ...stats, provisional_bonus: next.bonus.get(id) || 0 }
+      });
+    }
+  });
+
+  next.fixtures.forEach((fixture, id) => {
+    const prevFixture = prev.fixtures.get(id);
+
+    if (fixture.started && !prevFixture?.started) {
+      events.push({ type: 'fixture_started', fixture: id });
+    }
+    if (isFixtureFinished(fixture) && !(prevFixture && isFixtureFinished(prevFixture))) {
+      events.push({ type: 'fixture_finished', fixture: id });
+    }
+
+    if (!prevFixture || FIXTURE_FIELDS.some(field => fixture[field] !== prevFixture[field])) {
+      fixtures.push(fixture);
+    }
+  });
+
+  return { events, elements, fixtures };
+}
+
+// ============================================================================
+// BROADCASTING
+// ============================================================================
+
+/**
+ * Write an SSE message to a client
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - Payload
+ * @param {number} id - Optional event ID
+ */
+function send(res, event, data, id = null) {
+  if (id !== null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers responses - push each message out immediately
+  res.flush?.();
+}
+
+function broadcast(event, data) {
+  lastEventId++;
+  clients.forEach(res => send(res, event, data, lastEventId));
+}
+
+// ============================================================================
+// POLLER
+// ============================================================================
+
+/**
+ * Poll live data once and broadcast any changes
+ * The first poll of a gameweek only records a baseline - clients already
+ * hold that state from /api/bootstrap/enriched.
+ * @returns {Promise<void>}
+ */
+export async function pollLiveEvents() {
+  if (!cache.bootstrap.data || shouldRefreshBootstrap()) {
+    await fetchBootstrap();
+  }
+
+  const gameweek = getCurrentGameweek();
+  const isLive = gameweek !== null && getGameweekStatus(gameweek) === GW_STATUS.LIVE;
+
+  if (isLive !== lastIsLive) {
+    lastIsLive = isLive;
+    broadcast('status', { gameweek, isLive, timestamp: new Date().toISOString() });
+  }
+
+  if (!isLive) {
+    lastState = null;
+    return;
+  }
+
+  // Fetch fresh (the poller is the only caller during a live GW) and share via the cache
+  const liveData = await fetchLiveGameweekData(gameweek);
+  updateLiveCache(gameweek, liveData);
+
+  const context = await getLiveScoringContext(gameweek, liveData);
+  const state = buildLiveState(liveData.elements, context.fixtures, context.provisionalBonus, gameweek);
+
+  if (!lastState || lastState.gameweek !== gameweek) {
+    lastState = state;
+    return;
+  }
+
+  const { events, elements, fixtures } = diffLiveState(lastState, state);
+  lastState = state;
+
+  if (events.length === 0 && elements.length === 0 && fixtures.length === 0) {
+    return;
+  }
+
+  logger.log(`📡 Live GW${gameweek}: ${events.length} events, ${elements.length} players, ${fixtures.length} fixtures → ${clients.size} clients`);
+  broadcast('update', {
+    gameweek,
+    events,
+    elements,
+    fixtures,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function startPoller() {
+  if (pollTimer) return;
+
+  const tick = () => {
+    pollLiveEvents().catch(err => {
+      logger.warn(`⚠️ Live event poll failed: ${err.message}`);
+    });
+  };
+
+  pollTimer = setInterval(tick, LIVE_STREAM.POLL_INTERVAL_MS);
+  heartbeatTimer = setInterval(() => {
+    clients.forEach(res => {
+      res.write(': heartbeat\n\n');
+      res.flush?.();
+    });
+  }, LIVE_STREAM.HEARTBEAT_MS);
+  tick();
+
+  logger.log('📡 Live event poller started');
+}
+
+function stopPoller() {
+  clearInterval(pollTimer);
+  clearInterval(heartbeatTimer);
+  pollTimer = null;
+  heartbeatTimer = null;
+  lastState = null;
+  lastIsLive = null;
+
+  logger.log('⏹️ Live event poller stopped (no clients)');
+}
+
+// ============================================================================
+// CLIENTS
+// ============================================================================
+
+/**
+ * Register an SSE client; the poller runs while at least one is connected
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} False if the stream is at capacity
+ */
+export function addLiveStreamClient(req, res) {
+  if (clients.size >= LIVE_STREAM.MAX_CLIENTS) {
+    return false;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${LIVE_STREAM.RETRY_MS}\n\n`);
+
+  const gameweek = cache.bootstrap.data ? getCurrentGameweek() : null;
+  send(res, 'ready', {
+    gameweek,
+    isLive: lastIsLive ?? (gameweek !== null && getGameweekStatus(gameweek) === GW_STATUS.LIVE),
+    timestamp: new Date().toISOString()
+  });
+
+  clients.add(res);
+  startPoller();
+
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0) {
+      stopPoller();
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Get the number of connected stream clients
+ * @returns {number} Client count
+ */
+export function getLiveStreamClientCount() {
+  return clients.size;
+}
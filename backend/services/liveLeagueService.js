@@ -0,0 +1,150 @@
+// ============================================================================
+// LIVE LEAGUE SERVICE
+// Re-ranks a classic league from live points: fetches every entry's picks,
+// scores them with the shared live scoring engine and sorts by live total
+// ============================================================================
+
+import { fetchLeagueStandings, fetchTeamPicks } from './fplService.js';
+import { cache, getCachedLiveLeague, updateLiveLeagueCache } from './cacheManager.js';
+import { getLiveScoringContext, scoreTeamPicks } from './liveScoreService.js';
+import { getGameweekStatus, GW_STATUS } from './gameweekUtils.js';
+import { PRIORITY } from './requestScheduler.js';
+import { mapWithConcurrency } from './asyncUtils.js';
+import { LIVE_LEAGUE } from '../config.js';
+import logger from '../logger.js';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Fetch standings pages up to LIVE_LEAGUE.MAX_PAGES
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Object>} { league, results, hasMore }
+ */
+async function fetchStandingsPages(leagueId) {
+  const first = await fetchLeagueStandings(leagueId, 1);
+  const results = [...first.standings.results];
+  let hasNext = first.standings.has_next;
+  let page = 1;
+
+  while (hasNext && page < LIVE_LEAGUE.MAX_PAGES) {
+    page++;
+    const data = await fetchLeagueStandings(leagueId, page);
+    results.push(...data.standings.results);
+    hasNext = data.standings.has_next;
+  }
+
+  return { league: first.league, results, hasMore: Boolean(hasNext) };
+}
+
+/**
+ * Build a live table row for one standings entry
+ * Falls back to the official snapshot when picks cannot be fetched.
+ * @param {Object} entry - Standings entry
+ * @param {Object} context - Live scoring context
+ * @returns {Promise<Object>} Row
+ */
+async function buildEntryRow(entry, context) {
+  const row = {
+    entry: entry.entry,
+    entry_name: entry.entry_name,
+    player_name: entry.player_name,
+    official_rank: entry.rank,
+    last_rank: entry.last_rank,
+    gw_points: entry.event_total || 0,
+    total: entry.total,
+    transfer_cost: 0,
+    captain: null,
+    active_chip: null,
+    players_left: null,
+    auto_subs: [],
+    is_live: false
+  };
+
+  let teamPicks;
+  try {
+    // Queued behind user-facing team loads - a table can need 100 picks calls
+    teamPicks = await fetchTeamPicks(entry.entry, context.gameweek, { priority: PRIORITY.BACKGROUND });
+  } catch (err) {
+    logger.warn(`⚠️ Live league: using official points for entry ${entry.entry} (${err.message})`);
+    return row;
+  }
+
+  const score = scoreTeamPicks(teamPicks, context);
+  const history = teamPicks.entry_history || {};
+  const transferCost = history.event_transfers_cost || 0;
+  const captain = cache.bootstrap.data?.elements?.find(p => p.id === score.captainId);
+
+  // total_points already includes this GW's official points (net of hits)
+  const baseTotal = history.total_points !== undefined
+    ? history.total_points - (history.points || 0)
+    : entry.total - (entry.event_total || 0) - transferCost;
+
+  return {
+    ...row,
+    gw_points: score.totalPoints - transferCost,
+    total: baseTotal + score.totalPoints,
+    transfer_cost: transferCost,
+    captain: score.captainId ? {
+      id: score.captainId,
+      name: captain?.web_name || `Player ${score.captainId}`,
+      multiplier: score.captainMultiplier
+    } : null,
+    active_chip: teamPicks.active_chip || null,
+    players_left: score.playersLeft,
+    auto_subs: score.autoSubs,
+    is_live: true
+  };
+}
+
+// ============================================================================
+// LIVE TABLE
+// ============================================================================
+
+/**
+ * Build the live league table for the current gameweek (cached for LIVE_CACHE_TTL)
+ * Requires bootstrap data in cache.
+ * @param {number} leagueId - League ID
+ * @param {number} gameweek - Current gameweek
+ * @returns {Promise<Object>} { league, gameweek, isLive, entries, hasMore, failed, timestamp }
+ */
+export async function buildLiveLeagueTable(leagueId, gameweek) {
+  const cached = getCachedLiveLeague(leagueId, gameweek);
+  if (cached) {
+    logger.log(`✅ Live table for league ${leagueId}, GW${gameweek} served from cache`);
+    return cached;
+  }
+
+  const startTime = Date.now();
+  const [{ league, results, hasMore }, context] = await Promise.all([
+    fetchStandingsPages(leagueId),
+    getLiveScoringContext(gameweek)
+  ]);
+
+  const rows = await mapWithConcurrency(results, LIVE_LEAGUE.CONCURRENCY, entry => buildEntryRow(entry, context));
+
+  // Re-rank by live total; ties keep the official order
+  rows.sort((a, b) => b.total - a.total || a.official_rank - b.official_rank);
+  rows.forEach((row, index) => {
+    row.live_rank = index > 0 && rows[index - 1].total === row.total
+      ? rows[index - 1].live_rank
+      : index + 1;
+    row.rank_change = (row.last_rank || row.live_rank) - row.live_rank;
+  });
+
+  const table = {
+    league,
+    gameweek,
+    isLive: getGameweekStatus(gameweek) === GW_STATUS.LIVE,
+    entries: rows,
+    hasMore,
+    failed: rows.filter(row => !row.is_live).length,
+    timestamp: new Date().toISOString()
+  };
+
+  updateLiveLeagueCache(leagueId, gameweek, table);
+  logger.log(`✅ Live table for league ${leagueId} built (${rows.length} entries, ${Date.now() - startTime}ms)`);
+
+  return table;
+}
@@ -0,0 +1,79 @@
+// ============================================================================
+// LIVE SCORE SERVICE
+// Builds the inputs for the shared live scoring engine once per gameweek
+// (live stats, fixtures, provisional bonus) and scores team picks against it
+// ============================================================================
+
+import { fetchFixtures, fetchLiveGameweekData } from './fplService.js';
+import {
+  cache,
+  shouldRefreshFixtures,
+  getCachedLiveData,
+  updateLiveCache
+} from './cacheManager.js';
+import { calculateLiveScore, calculateProvisionalBonus } from '../../shared/liveScoring.js';
+import logger from '../logger.js';
+
+/**
+ * Get live gameweek data (from cache or fetch)
+ * @param {number} gameweek - Gameweek number
+ * @returns {Promise<Object>} Live gameweek data
+ */
+export async function getLiveGameweekData(gameweek) {
+  let liveData = getCachedLiveData(gameweek);
+  if (!liveData) {
+    liveData = await fetchLiveGameweekData(gameweek);
+    updateLiveCache(gameweek, liveData);
+  }
+  return liveData;
+}
+
+/**
+ * Build the live scoring context for a gameweek
+ * Requires bootstrap data in cache (player teams and positions).
+ * @param {number} gameweek - Gameweek number
+ * @param {Object} liveData - Optional live data (fetched when omitted)
+ * @returns {Promise<Object>} { gameweek, liveData, liveStats, players, fixtures, provisionalBonus }
+ */
+export async function getLiveScoringContext(gameweek, liveData = null) {
+  const data = liveData || await getLiveGameweekData(gameweek);
+
+  if (!cache.fixtures.data || shouldRefreshFixtures()) {
+    await fetchFixtures().catch(err => {
+      logger.warn(`⚠️ Failed to refresh fixtures for live scoring: ${err.message}`);
+    });
+  }
+
+  const fixtures = (cache.fixtures.data || []).filter(f => f.event === gameweek);
+  const elements = cache.bootstrap.data?.elements || [];
+  const players = new Map(elements.map(p => [p.id, { team: p.team, element_type: p.element_type }]));
+  const elementTeams = new Map(elements.map(p => [p.id, p.team]));
+  const liveStats = new Map(data.elements.map(el => [el.id, el.stats]));
+
+  return {
+    gameweek,
+    liveData: data,
+    liveStats,
+    players,
+    fixtures,
+    provisionalBonus: calculateProvisionalBonus(data.elements, fixtures, elementTeams, gameweek)
+  };
+}
+
+/**
+ * Score a team's picks with the shared live scoring engine
+ * Projects pending auto-subs, vice-captain promotion, chip multipliers and provisional bonus
+ * @param {Object} teamPicks - Team picks response (picks, active_chip)
+ * @param {Object} context - Context from getLiveScoringContext()
+ * @returns {Object} Live score result from calculateLiveScore
+ */
+export function scoreTeamPicks(teamPicks, context) {
+  return calculateLiveScore({
+    picks: teamPicks.picks,
+    activeChip: teamPicks.active_chip,
+    liveStats: context.liveStats,
+    players: context.players,
+    fixtures: context.fixtures,
+    provisionalBonus: context.provisionalBonus
+  });
+}
@@ -0,0 +1,203 @@
+// ============================================================================
+// LLM PROVIDERS
+// Backends behind AI insight generation. The AI service builds the prompt and
+// validates the result; a provider only turns a prompt into model output.
+//
+// Every provider implements:
+//   name                       - Provider name (logs, insight responses)
+//   isConfigured()             - Whether it has what it needs (key, model, ...)
+//   generate(prompt, context)  - Model output: JSON text, or an already-parsed
+//                                object of insight categories
+//
+// context is the insights request: { page, tab, position, gameweek, data },
+// or for the chat assistant { page: 'assistant', messages, managerSnapshot, gameweek }.
+// ============================================================================
+
+import axios from 'axios';
+import { GEMINI, AI } from '../config.js';
+import logger from '../logger.js';
+import { generateRuleBasedInsights } from './ruleBasedInsights.js';
+import { generateRuleBasedChatTurn } from './ruleBasedChat.js';
+
+// ============================================================================
+// GEMINI
+// ============================================================================
+
+/**
+ * Google Gemini (generateContent API)
+ * @param {Object} [options]
+ * @param {string} [options.apiKey=GEMINI.API_KEY] - API key
+ * @param {string} [options.apiUrl=GEMINI.API_URL] - Model endpoint
+ * @returns {Object} LLM provider
+ */
+export function createGeminiProvider({ apiKey = GEMINI.API_KEY, apiUrl = GEMINI.API_URL } = {}) {
+  return {
+    name: 'gemini',
+
+    isConfigured() {
+      return Boolean(apiKey) && apiKey !== 'your_gemini_api_key_here';
+    },
+
+    async generate(prompt) {
+      const response = await axios.post(
+        `${apiUrl}?key=${apiKey}`,
+        {
+          contents: [{
+            parts: [{ text: prompt }]
+          }],
+          // TODO: Re-enable Google Search grounding once we confirm it works
+          // tools: [{
+          //   googleSearchRetrieval: {
+          //     dynamicRetrievalConfig: {
+          //       mode: "MODE_DYNAMIC",
+          //       dynamicThreshold: 0.3
+          //     }
+          //   }
+          // }],
+          generationConfig: {
+            temperature: 0.7,
+            maxOutputTokens: 8192,
+            topP: 0.8,
+            topK: 40,
+            responseMimeType: 'application/json'
+          }
+        },
+        {
+          timeout: 45000,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const parts = response.data?.candidates?.[0]?.content?.parts || [];
+      const jsonPart = parts.find(part => part.jsonValue);
+      if (jsonPart && typeof jsonPart.jsonValue === 'object') {
+        return jsonPart.jsonValue;
+      }
+
+      const text = parts.find(part => part.text)?.text || '';
+      if (!text) {
+        throw new Error('No text content in Gemini response');
+      }
+      return text;
+    }
+  };
+}
+
+// ============================================================================
+// OPENAI-COMPATIBLE
+// ============================================================================
+
+/**
+ * Any server speaking the OpenAI chat completions API - OpenAI itself, or a
+ * local model server such as Ollama, llama.cpp, vLLM or LM Studio
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl=AI.OPENAI.BASE_URL] - API root (e.g. http://localhost:11434/v1)
+ * @param {string} [options.apiKey=AI.OPENAI.API_KEY] - Bearer token (local servers usually need none)
+ * @param {string} [options.model=AI.OPENAI.MODEL] - Model name
+ * @param {boolean} [options.jsonMode=AI.OPENAI.JSON_MODE] - Request a JSON object response
+ * @param {number} [options.timeout=AI.OPENAI.TIMEOUT] - Request timeout (ms)
+ * @returns {Object} LLM provider
+ */
+export function createOpenAICompatibleProvider({
+  baseUrl = AI.OPENAI.BASE_URL,
+  apiKey = AI.OPENAI.API_KEY,
+  model = AI.OPENAI.MODEL,
+  jsonMode = AI.OPENAI.JSON_MODE,
+  timeout = AI.OPENAI.TIMEOUT
+} = {}) {
+  return {
+    name: 'openai',
+
+    isConfigured() {
+      return Boolean(baseUrl) && Boolean(model);
+    },
+
+    async generate(prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.7,
+          ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+        },
+        { timeout, headers }
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content || '';
+      if (!text) {
+        throw new Error(`No content in ${model} response`);
+      }
+      return text;
+    }
+  };
+}
+
+// ============================================================================
+// RULE-BASED
+// ============================================================================
+
+/**
+ * Deterministic insights built from the request's context data - no network,
+ * so insight banners always render and tests run offline
+ * @returns {Object} LLM provider
+ */
+export function createRuleBasedProvider() {
+  return {
+    name: 'rules',
+
+    isConfigured() {
+      return true;
+    },
+
+    async generate(prompt, context) {
+      if (context?.page === 'assistant') {
+        return generateRuleBasedChatTurn(context);
+      }
+      return generateRuleBasedInsights(context);
+    }
+  };
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+/**
+ * Create a provider by name
+ * @param {string} [type=AI.PROVIDER] - 'gemini', 'openai' or 'rules'
+ * @returns {Object} LLM provider (rule-based for unknown names)
+ */
+export function createLLMProvider(type = AI.PROVIDER) {
+  switch (type) {
+    case 'gemini':
+      return createGeminiProvider();
+    case 'openai':
+      return createOpenAICompatibleProvider();
+    case 'rules':
+      return createRuleBasedProvider();
+    default:
+      logger.warn(`⚠️ Unknown AI provider "${type}", using rule-based insights`);
+      return createRuleBasedProvider();
+  }
+}
+
+let provider = null;
+
+/**
+ * Provider configured for this process (created on first use)
+ * @returns {Object} LLM provider
+ */
+export function getLLMProvider() {
+  if (!provider) {
+    provider = createLLMProvider();
+  }
+  return provider;
+}
@@ -0,0 +1,347 @@
+// ============================================================================
+// PLAN STORE SERVICE
+// Team builder plans keyed by team ID, persisted to a local JSON file
+// alongside cache-backup.json. Every write bumps a version number so clients
+// can detect edits made on another device (optimistic concurrency).
+// A team's plans belong to whoever saved the first one: that client gets an
+// owner key, and only requests carrying it can read or change the plans.
+// ============================================================================
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { SERVER } from '../config.js';
+import logger from '../logger.js';
+import { createAtomicWriter } from './atomicWrite.js';
+
+// ============================================================================
+// STORE STATE
+// ============================================================================
+
+// Max plans stored per team to prevent unbounded growth
+export const MAX_PLANS_PER_TEAM = 20;
+
+// Max serialized size of a single plan (bytes)
+export const MAX_PLAN_SIZE = 256 * 1024;
+
+let storePath = SERVER.PLAN_STORE_PATH;
+
+let store = {
+  // Map of planId -> { id, teamId, version, plan, shareToken, createdAt, updatedAt }
+  plans: new Map(),
+  // Map of shareToken -> planId
+  shareTokens: new Map(),
+  // Map of teamId -> SHA-256 hash of the team's owner key
+  owners: new Map()
+};
+
+const writeAtomic = createAtomicWriter();
+
+// ============================================================================
+// DISK PERSISTENCE
+// ============================================================================
+
+/**
+ * Load plan store from disk
+ * @param {string} filePath - Optional override for the store location
+ */
+export function loadPlanStore(filePath = SERVER.PLAN_STORE_PATH) {
+  storePath = filePath;
+  store = { plans: new Map(), shareTokens: new Map(), owners: new Map() };
+
+  if (!fs.existsSync(storePath)) {
+    logger.log('ℹ️ No plan store found, starting fresh');
+    return;
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    (saved.plans || []).forEach(record => {
+      store.plans.set(record.id, record);
+      if (record.shareToken) {
+        store.shareTokens.set(record.shareToken, record.id);
+      }
+    });
+    (saved.owners || []).forEach(owner => {
+      store.owners.set(owner.teamId, owner.keyHash);
+    });
+    logger.log(`✅ Plan store loaded (${store.plans.size} plans)`);
+  } catch (err) {
+    logger.error('❌ Failed to load plan store:', err.message);
+  }
+}
+
+/**
+ * Save plan store to disk
+ * @returns {Promise<boolean>} True if written
+ */
+function savePlanStore() {
+  const snapshot = JSON.stringify({
+    plans: Array.from(store.plans.values()),
+    owners: Array.from(store.owners, ([teamId, keyHash]) => ({ teamId, keyHash }))
+  });
+  return writeAtomic(storePath, snapshot, 'plan store');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function toSummary(record) {
+  return {
+    id: record.id,
+    version: record.version,
+    name: record.plan?.name || 'Untitled plan',
+    shared: Boolean(record.shareToken),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+function getTeamRecord(teamId, planId) {
+  const record = store.plans.get(planId);
+  if (!record || record.teamId !== String(teamId)) return null;
+  return record;
+}
+
+/**
+ * Validate an incoming plan payload
+ * @param {Object} plan - Plan object from the client
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePlan(plan) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return 'Plan must be an object';
+  }
+  if (!plan.gameweekPlans || typeof plan.gameweekPlans !== 'object') {
+    return 'Plan is missing gameweekPlans';
+  }
+  if (!Array.isArray(plan.currentTeamSnapshot?.picks)) {
+    return 'Plan is missing currentTeamSnapshot.picks';
+  }
+  if (JSON.stringify(plan).length > MAX_PLAN_SIZE) {
+    return `Plan exceeds ${MAX_PLAN_SIZE / 1024}KB`;
+  }
+  return null;
+}
+
+function hashOwnerKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// ============================================================================
+// OWNERSHIP
+// ============================================================================
+
+/**
+ * Check whether a team's plans have been claimed by an owner
+ * @param {string|number} teamId - FPL team ID
+ * @returns {boolean}
+ */
+export function hasOwner(teamId) {
+  return store.owners.has(String(teamId));
+}
+
+/**
+ * Claim a team's plans and issue its owner key (only the hash is stored)
+ * @param {string|number} teamId - FPL team ID
+ * @returns {Promise<Object>} { success, key?, status?, error? }
+ */
+export async function registerOwner(teamId) {
+  if (hasOwner(teamId)) {
+    return { success: false, status: 409, error: 'Plans for this team already have an owner' };
+  }
+
+  const key = crypto.randomBytes(24).toString('base64url');
+  store.owners.set(String(teamId), hashOwnerKey(key).toString('hex'));
+  await savePlanStore();
+
+  logger.log(`🔑 Plan owner registered for team ${teamId}`);
+  return { success: true, key };
+}
+
+/**
+ * Check an owner key against the team's stored hash
+ * @param {string|number} teamId - FPL team ID
+ * @param {string|undefined} key - Key sent by the client
+ * @returns {boolean} True if the key belongs to the team's owner
+ */
+export function verifyOwner(teamId, key) {
+  const storedHash = store.owners.get(String(teamId));
+  if (!storedHash || typeof key !== 'string' || !key) return false;
+
+  return crypto.timingSafeEqual(hashOwnerKey(key), Buffer.from(storedHash, 'hex'));
+}
+
+// ============================================================================
+// CRUD
+// ============================================================================
+
+/**
+ * List plans stored for a team
+ * @param {string|number} teamId - FPL team ID
+ * @returns {Array} Plan summaries, most recently updated first
+ */
+export function listPlans(teamId) {
+  return Array.from(store.plans.values())
+    .filter(record => record.teamId === String(teamId))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .map(toSummary);
+}
+
+/**
+ * Get a stored plan
+ * @param {string|number} teamId - FPL team ID
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} { id, version, plan, shareToken, createdAt, updatedAt } or null
+ */
+export function getPlan(teamId, planId) {
+  return getTeamRecord(teamId, planId);
+}
+
+/**
+ * Create a plan (the client's plan ID is kept so local and server copies line up)
+ * @param {string|number} teamId - FPL team ID
+ * @param {Object} plan - Plan object
+ * @returns {Promise<Object>} { success, record?, status?, error? }
+ */
+export async function createPlan(teamId, plan) {
+  const teamPlans = listPlans(teamId);
+  if (teamPlans.length >= MAX_PLANS_PER_TEAM) {
+    return { success: false, status: 400, error: `A team can store at most ${MAX_PLANS_PER_TEAM} plans` };
+  }
+
+  const id = typeof plan.id === 'string' && plan.id ? plan.id : `plan_${crypto.randomUUID()}`;
+  if (store.plans.has(id)) {
+    return { success: false, status: 409, error: 'Plan already exists', record: store.plans.get(id) };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    teamId: String(teamId),
+    version: 1,
+    plan: { ...plan, id },
+    shareToken: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.plans.set(id, record);
+  await savePlanStore();
+
+  logger.log(`💾 Plan ${id} created for team ${teamId}`);
+  return { success: true, record };
+}
+
+/**
+ * Update a plan if the client's version matches the stored version
+ * @param {string|number} teamId - FPL team ID
+ * @param {string} planId - Plan ID
+ * @param {Object} plan - Updated plan object
+ * @param {number} expectedVersion - Version the client last saw
+ * @returns {Promise<Object>} { success, record?, status?, error? }
+ */
+export async function updatePlan(teamId, planId, plan, expectedVersion) {
+  const record = getTeamRecord(teamId, planId);
+  if (!record) {
+    return { success: false, status: 404, error: 'Plan not found' };
+  }
+
+  if (record.version !== expectedVersion) {
+    return {
+      success: false,
+      status: 409,
+      error: `Plan was modified elsewhere (version ${record.version}, expected ${expectedVersion})`,
+      record
+    };
+  }
+
+  const updated = {
+    ...record,
+    version: record.version + 1,
+    plan: { ...plan, id: planId },
+    updatedAt: new Date().toISOString()
+  };
+
+  store.plans.set(planId, updated);
+  await savePlanStore();
+
+  return { success: true, record: updated };
+}
+
+/**
+ * Delete a plan if the client's version matches (version is optional)
+ * @param {string|number} teamId - FPL team ID
+ * @param {string} planId - Plan ID
+ * @param {number|null} expectedVersion - Version the client last saw
+ * @returns {Promise<Object>} { success, status?, error? }
+ */
+export async function deletePlan(teamId, planId, expectedVersion = null) {
+  const record = getTeamRecord(teamId, planId);
+  if (!record) {
+    return { success: false, status: 404, error: 'Plan not found' };
+  }
+
+  if (expectedVersion !== null && record.version !== expectedVersion) {
+    return {
+      success: false,
+      status: 409,
+      error: `Plan was modified elsewhere (version ${record.version}, expected ${expectedVersion})`,
+      record
+    };
+  }
+
+  store.plans.delete(planId);
+  if (record.shareToken) {
+    store.shareTokens.delete(record.shareToken);
+  }
+  await savePlanStore();
+
+  logger.log(`🗑️ Plan ${planId} deleted for team ${teamId}`);
+  return { success: true };
+}
+
+// ============================================================================
+// SHARING
+// ============================================================================
+
+/**
+ * Get or create a read-only share token for a plan
+ * @param {string|number} teamId - FPL team ID
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object>} { success, token?, status?, error? }
+ */
+export async function createShareToken(teamId, planId) {
+  const record = getTeamRecord(teamId, planId);
+  if (!record) {
+    return { success: false, status: 404, error: 'Plan not found' };
+  }
+
+  if (record.shareToken) {
+    return { success: true, token: record.shareToken };
+  }
+
+  const token = crypto.randomBytes(12).toString('base64url');
+  store.plans.set(planId, { ...record, shareToken: token });
+  store.shareTokens.set(token, planId);
+  await savePlanStore();
+
+  return { success: true, token };
+}
+
+/**
+ * Get a plan by share token (read-only view, no team ID required)
+ * @param {string} token - Share token
+ * @returns {Object|null} { plan, version, updatedAt } or null
+ */
+export function getSharedPlan(token) {
+  const planId = store.shareTokens.get(token);
+  const record = planId ? store.plans.get(planId) : null;
+  if (!record) return null;
+
+  return {
+    plan: record.plan,
+    version: record.version,
+    updatedAt: record.updatedAt
+  };
+}
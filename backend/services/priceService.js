@@ -0,0 +1,290 @@
+// ============================================================================
+// PRICE PREDICTION SERVICE
+// Snapshots net transfers from bootstrap several times a day into a local
+// time-series file and estimates each player's progress toward a price rise
+// or fall at the next overnight price update.
+//
+// FPL does not publish its thresholds - the model assumes a player rises once
+// net transfers in since their last change reach PRICES.RISE_RATIO of their
+// owners (PRICES.FALL_RATIO for falls), with PRICES.MIN_THRESHOLD as a floor.
+// ============================================================================
+
+import fs from 'fs';
+import { SERVER, PRICES } from '../config.js';
+import { fetchBootstrap } from './fplService.js';
+import logger from '../logger.js';
+import { createAtomicWriter } from './atomicWrite.js';
+
+// ============================================================================
+// STORE STATE
+// ============================================================================
+
+// How sharply probability climbs around 100% progress
+const PROBABILITY_STEEPNESS = 8;
+
+// How often the tracker checks whether a snapshot is due
+const SNAPSHOT_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+let storePath = SERVER.PRICE_STORE_PATH;
+
+let store = createEmptyStore();
+
+const writeAtomic = createAtomicWriter();
+
+function createEmptyStore() {
+  return {
+    lastGameweek: null,
+    // playerId -> { cost, sinceChange, lastEventNet, cumulativeNet, lastChangeAt }
+    players: {},
+    // [{ timestamp, gameweek, net: { playerId: cumulativeNet } }], oldest first
+    snapshots: []
+  };
+}
+
+// ============================================================================
+// DISK PERSISTENCE
+// ============================================================================
+
+/**
+ * Load price history from disk
+ * @param {string} filePath - Optional override for the store location
+ */
+export function loadPriceStore(filePath = SERVER.PRICE_STORE_PATH) {
+  storePath = filePath;
+  store = createEmptyStore();
+
+  if (!fs.existsSync(storePath)) {
+    logger.log('ℹ️ No price history found, starting fresh');
+    return;
+  }
+
+  try {
+    store = { ...createEmptyStore(), ...JSON.parse(fs.readFileSync(storePath, 'utf8')) };
+    logger.log(`✅ Price history loaded (${store.snapshots.length} snapshots)`);
+  } catch (err) {
+    logger.error('❌ Failed to load price history:', err.message);
+  }
+}
+
+/**
+ * Save price history to disk
+ * @returns {Promise<boolean>} True if written
+ */
+function savePriceStore() {
+  return writeAtomic(storePath, JSON.stringify(store), 'price history');
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Record a snapshot of net transfers from bootstrap data
+ * transfers_in_event / transfers_out_event reset every gameweek, so each
+ * snapshot adds the change since the previous one to a running total.
+ * A changed now_cost means the player's price moved: progress restarts.
+ * @param {Object} bootstrap - FPL bootstrap data (events, elements)
+ * @param {number} now - Snapshot time (ms)
+ * @returns {Promise<Object>} { timestamp, gameweek, players }
+ */
+export async function recordPriceSnapshot(bootstrap, now = Date.now()) {
+  const gameweek = bootstrap.events?.find(e => e.is_current)?.id ?? null;
+  const newGameweek = store.lastGameweek !== null && gameweek !== store.lastGameweek;
+  const net = {};
+
+  bootstrap.elements.forEach(player => {
+    const eventNet = (player.transfers_in_event || 0) - (player.transfers_out_event || 0);
+    const state = store.players[player.id];
+
+    if (!state) {
+      store.players[player.id] = {
+        cost: player.now_cost,
+        sinceChange: eventNet,
+        lastEventNet: eventNet,
+        cumulativeNet: eventNet,
+        lastChangeAt: null
+      };
+      net[player.id] = eventNet;
+      return;
+    }
+
+    // Counters restart from zero at each gameweek deadline
+    const delta = newGameweek ? eventNet : eventNet - state.lastEventNet;
+
+    if (player.now_cost !== state.cost) {
+      state.cost = player.now_cost;
+      state.sinceChange = 0;
+      state.lastChangeAt = now;
+    } else {
+      state.sinceChange += delta;
+    }
+
+    state.lastEventNet = eventNet;
+    state.cumulativeNet += delta;
+    net[player.id] = state.cumulativeNet;
+  });
+
+  store.lastGameweek = gameweek;
+  store.snapshots.push({ timestamp: now, gameweek, net });
+  if (store.snapshots.length > PRICES.MAX_SNAPSHOTS) {
+    store.snapshots = store.snapshots.slice(-PRICES.MAX_SNAPSHOTS);
+  }
+
+  await savePriceStore();
+
+  logger.log(`📈 Price snapshot recorded (${bootstrap.elements.length} players, GW${gameweek})`);
+  return { timestamp: now, gameweek, players: bootstrap.elements.length };
+}
+
+/**
+ * Fetch fresh bootstrap data and record a snapshot
+ * @returns {Promise<void>}
+ */
+async function takeScheduledSnapshot() {
+  try {
+    const bootstrap = await fetchBootstrap();
+    await recordPriceSnapshot(bootstrap);
+  } catch (err) {
+    logger.warn(`⚠️ Price snapshot failed: ${err.message}`);
+  }
+}
+
+/**
+ * Start snapshotting net transfers every PRICES.SNAPSHOT_INTERVAL_MS
+ * Checks on a short interval so a restart picks up where the last snapshot left off.
+ */
+export function initializePriceTracking() {
+  const tick = () => {
+    const last = store.snapshots[store.snapshots.length - 1];
+    if (!last || Date.now() - last.timestamp >= PRICES.SNAPSHOT_INTERVAL_MS) {
+      takeScheduledSnapshot();
+    }
+  };
+
+  setInterval(tick, SNAPSHOT_CHECK_INTERVAL_MS);
+  tick();
+}
+
+// ============================================================================
+// PREDICTIONS
+// ============================================================================
+
+/**
+ * Get the time of the most recent daily price update
+ * @param {number} now - Current time (ms)
+ * @returns {number} Timestamp (ms)
+ */
+export function getLastPriceUpdate(now = Date.now()) {
+  const update = new Date(now);
+  update.setUTCHours(PRICES.UPDATE_HOUR_UTC, PRICES.UPDATE_MINUTE_UTC, 0, 0);
+  if (update.getTime() > now) {
+    update.setUTCDate(update.getUTCDate() - 1);
+  }
+  return update.getTime();
+}
+
+/**
+ * Get the time of the next daily price update
+ * @param {number} now - Current time (ms)
+ * @returns {number} Timestamp (ms)
+ */
+export function getNextPriceUpdate(now = Date.now()) {
+  return getLastPriceUpdate(now) + 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Net transfers per hour over the rate window
+ * @param {number} playerId - Player ID
+ * @param {number} now - Current time (ms)
+ * @returns {number} Net transfers per hour (0 without enough history)
+ */
+function getNetTransferRate(playerId, now) {
+  const latest = store.snapshots[store.snapshots.length - 1];
+  const windowStart = now - PRICES.RATE_WINDOW_HOURS * 60 * 60 * 1000;
+  const oldest = store.snapshots.find(s => s.timestamp >= windowStart);
+  if (!latest || !oldest || oldest === latest) return 0;
+
+  const hours = (latest.timestamp - oldest.timestamp) / (60 * 60 * 1000);
+  const from = oldest.net[playerId];
+  const to = latest.net[playerId];
+  if (hours <= 0 || from === undefined || to === undefined) return 0;
+
+  return (to - from) / hours;
+}
+
+function toProbability(progress) {
+  if (progress <= 0) return 0;
+  return 1 / (1 + Math.exp(-PROBABILITY_STEEPNESS * (progress - 1)));
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Predict a single player's price change at the next update
+ * @param {Object} player - Bootstrap element
+ * @param {number} totalPlayers - Total FPL managers
+ * @param {number} now - Current time (ms)
+ * @returns {Object} Prediction
+ */
+function predictPlayer(player, totalPlayers, now) {
+  const state = store.players[player.id];
+  const owners = (parseFloat(player.selected_by_percent) || 0) / 100 * totalPlayers;
+  const riseThreshold = Math.max(PRICES.MIN_THRESHOLD, owners * PRICES.RISE_RATIO);
+  const fallThreshold = Math.max(PRICES.MIN_THRESHOLD, owners * PRICES.FALL_RATIO);
+
+  // Without history, this gameweek's net transfers are the best estimate
+  const sinceChange = state && state.cost === player.now_cost
+    ? state.sinceChange
+    : (player.transfers_in_event || 0) - (player.transfers_out_event || 0);
+  const rate = getNetTransferRate(player.id, now);
+  const hoursToUpdate = (getNextPriceUpdate(now) - now) / (60 * 60 * 1000);
+  const projected = sinceChange + rate * hoursToUpdate;
+
+  // A player changes price at most once per update
+  const changedToday = Boolean(state?.lastChangeAt && state.lastChangeAt >= getLastPriceUpdate(now));
+
+  const riseProbability = changedToday ? 0 : toProbability(projected / riseThreshold);
+  const fallProbability = changedToday ? 0 : toProbability(-projected / fallThreshold);
+
+  let prediction = null;
+  if (riseProbability >= 0.5) prediction = 'rise';
+  else if (fallProbability >= 0.5) prediction = 'fall';
+
+  return {
+    id: player.id,
+    progress: round(sinceChange >= 0 ? sinceChange / riseThreshold : sinceChange / fallThreshold),
+    netSinceChange: sinceChange,
+    netPerHour: Math.round(rate),
+    riseProbability: round(riseProbability),
+    fallProbability: round(fallProbability),
+    prediction
+  };
+}
+
+/**
+ * Get price change predictions for every player
+ * @param {Object} bootstrap - FPL bootstrap data (elements, total_players)
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { nextUpdate, snapshots, lastSnapshot, predictions }
+ */
+export function getPricePredictions(bootstrap, now = Date.now()) {
+  const totalPlayers = bootstrap.total_players || 0;
+  const last = store.snapshots[store.snapshots.length - 1];
+
+  const predictions = bootstrap.elements
+    .map(player => predictPlayer(player, totalPlayers, now))
+    .sort((a, b) =>
+      Math.max(b.riseProbability, b.fallProbability) - Math.max(a.riseProbability, a.fallProbability) ||
+      Math.abs(b.progress) - Math.abs(a.progress)
+    );
+
+  return {
+    nextUpdate: new Date(getNextPriceUpdate(now)).toISOString(),
+    snapshots: store.snapshots.length,
+    lastSnapshot: last ? new Date(last.timestamp).toISOString() : null,
+    predictions
+  };
+}
@@ -0,0 +1,56 @@
+// ============================================================================
+// PROJECTION SERVICE
+// Runs the shared xPts engine (shared/projections.js) against the cached
+// bootstrap and fixtures
+// ============================================================================
+
+import { cache } from './cacheManager.js';
+import {
+  createProjectionContext,
+  projectPlayer as projectContextPlayer,
+  DEFAULT_PROJECTION_HORIZON
+} from '../../shared/projections.js';
+
+export { DEFAULT_PROJECTION_HORIZON };
+
+/**
+ * Fixture lookup for the shared engine
+ * @param {Array} fixtures - FPL fixtures
+ * @returns {function(number, number): Array<{opponentId: number, isHome: boolean}>} (teamId, gameweek) => fixtures
+ */
+function createFixtureLookup(fixtures) {
+  return (teamId, gameweek) => fixtures
+    .filter(f => f.event === gameweek && (f.team_h === teamId || f.team_a === teamId))
+    .map(f => {
+      const isHome = f.team_h === teamId;
+      return { opponentId: isHome ? f.team_a : f.team_h, isHome };
+    });
+}
+
+/**
+ * Project a player's expected points per gameweek
+ * @param {Object} player - Bootstrap element
+ * @param {number} gameweek - Latest completed gameweek (projection starts at gameweek + 1)
+ * @param {number} horizon - Number of gameweeks to project
+ * @returns {{total: number, gameweeks: Array<{gameweek: number, xPts: number}>}} Projection
+ */
+export function projectPlayer(player, gameweek, horizon = DEFAULT_PROJECTION_HORIZON) {
+  const fixtures = cache.fixtures?.data || [];
+  if (!player || !fixtures.length) {
+    return { total: 0, gameweeks: [] };
+  }
+
+  const context = createProjectionContext(cache.bootstrap?.data?.teams || [], gameweek);
+  return projectContextPlayer(context, player, createFixtureLookup(fixtures), (gameweek || 0) + 1, horizon);
+}
+
+/**
+ * Total projected points for a player over a horizon
+ * @param {Object} player - Bootstrap element
+ * @param {number} gameweek - Latest completed gameweek
+ * @param {number} horizon - Number of gameweeks
+ * @returns {number} Sum of xPts
+ */
+export function getProjectedPoints(player, gameweek, horizon = DEFAULT_PROJECTION_HORIZON) {
+  return projectPlayer(player, gameweek, horizon).total;
+}
@@ -0,0 +1,369 @@
+// ============================================================================
+// REQUEST SCHEDULER
+// Central queue for outbound API calls: per-host concurrency limits,
+// token-bucket rate limiting, in-flight deduplication by URL, priority
+// classes and a circuit breaker for 5xx/maintenance responses
+// ============================================================================
+
+import axios from 'axios';
+import axiosRetry from 'axios-retry';
+import { REQUEST_SCHEDULER } from '../config.js';
+import logger from '../logger.js';
+
+// ============================================================================
+// AXIOS RETRY CONFIGURATION
+// ============================================================================
+
+// Configure retry with exponential backoff (a scheduled request counts once
+// towards the circuit breaker, after its retries are exhausted)
+axiosRetry(axios, {
+  retries: 3,
+  retryDelay: (retryCount) => {
+    const delay = axiosRetry.exponentialDelay(retryCount);
+    logger.log(`⏳ Retry attempt ${retryCount}, waiting ${delay}ms...`);
+    return delay;
+  },
+  retryCondition: (error) => {
+    // Retry on network errors or 5xx server errors
+    return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
+           (error.response && error.response.status >= 500);
+  },
+  onRetry: (retryCount, error, requestConfig) => {
+    logger.log(`🔄 Retrying request to ${requestConfig.url} (attempt ${retryCount})`);
+  }
+});
+
+// ============================================================================
+// PRIORITIES
+// ============================================================================
+
+/**
+ * Priority classes, highest first
+ * USER: a person is waiting on the response (team page, league table)
+ * DEFAULT: shared data refreshes (bootstrap, fixtures, live data)
+ * BACKGROUND: sweeps and scheduled jobs (league comparisons, GitHub CSVs)
+ */
+export const PRIORITY = {
+  USER: 'user',
+  DEFAULT: 'default',
+  BACKGROUND: 'background'
+};
+
+const PRIORITY_ORDER = [PRIORITY.USER, PRIORITY.DEFAULT, PRIORITY.BACKGROUND];
+
+const CIRCUIT = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/** Host -> scheduler state */
+const hosts = new Map();
+
+/** Dedup key -> { promise, job } for requests queued or running */
+const inFlight = new Map();
+
+const totals = {
+  scheduled: 0,
+  completed: 0,
+  failed: 0,
+  deduped: 0,
+  rejected: 0
+};
+
+// ============================================================================
+// HOST STATE
+// ============================================================================
+
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    const limits = REQUEST_SCHEDULER.HOSTS[host] || REQUEST_SCHEDULER.DEFAULT;
+    hosts.set(host, {
+      limits,
+      active: 0,
+      queues: { user: [], default: [], background: [] },
+      tokens: limits.BURST,
+      lastRefill: Date.now(),
+      refillTimer: null,
+      breaker: { state: CIRCUIT.CLOSED, failures: 0, openedAt: null, trialInFlight: false },
+      completed: 0,
+      failed: 0,
+      totalWaitMs: 0
+    });
+  }
+  return hosts.get(host);
+}
+
+function getQueuedCount(state) {
+  return PRIORITY_ORDER.reduce((sum, priority) => sum + state.queues[priority].length, 0);
+}
+
+function refillTokens(state) {
+  const now = Date.now();
+  const elapsedSec = (now - state.lastRefill) / 1000;
+  state.tokens = Math.min(state.limits.BURST, state.tokens + elapsedSec * state.limits.RATE_PER_SEC);
+  state.lastRefill = now;
+}
+
+function createSchedulerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 503;
+  return error;
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+/**
+ * Check whether the host's circuit is open, moving it to half-open once the
+ * cooldown has passed
+ * @returns {boolean} True if requests should be rejected
+ */
+function isCircuitOpen(state) {
+  const { breaker } = state;
+  if (breaker.state !== CIRCUIT.OPEN) return false;
+
+  if (Date.now() - breaker.openedAt >= REQUEST_SCHEDULER.BREAKER_COOLDOWN_MS) {
+    breaker.state = CIRCUIT.HALF_OPEN;
+    return false;
+  }
+  return true;
+}
+
+function recordHostSuccess(state, host) {
+  const { breaker } = state;
+  if (breaker.state !== CIRCUIT.CLOSED) {
+    logger.log(`✅ Circuit closed for ${host}`);
+  }
+  breaker.state = CIRCUIT.CLOSED;
+  breaker.failures = 0;
+}
+
+function recordHostFailure(state, host) {
+  const { breaker } = state;
+  breaker.failures++;
+
+  if (breaker.state === CIRCUIT.HALF_OPEN || breaker.failures >= REQUEST_SCHEDULER.BREAKER_THRESHOLD) {
+    if (breaker.state !== CIRCUIT.OPEN) {
+      logger.error(`❌ Circuit open for ${host} after ${breaker.failures} failures - pausing requests for ${REQUEST_SCHEDULER.BREAKER_COOLDOWN_MS / 1000}s`);
+    }
+    breaker.state = CIRCUIT.OPEN;
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * FPL serves an HTML "The game is being updated" page during maintenance
+ * @param {Object} response - Axios response
+ * @returns {boolean} True if the response is a maintenance page
+ */
+function isMaintenanceResponse(response) {
+  const contentType = response.headers?.['content-type'] || '';
+  return contentType.includes('text/html') &&
+    typeof response.data === 'string' &&
+    /game is being updated|maintenance/i.test(response.data);
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+function rejectQueued(state, host) {
+  const error = createSchedulerError(`Circuit open for ${host}`, 'CIRCUIT_OPEN');
+  PRIORITY_ORDER.forEach(priority => {
+    const queue = state.queues[priority];
+    totals.rejected += queue.length;
+    queue.splice(0).forEach(job => job.reject(error));
+  });
+}
+
+/**
+ * Start as many queued requests as the host's limits allow
+ * @param {string} host - Host name
+ */
+function drain(host) {
+  const state = getHostState(host);
+
+  while (state.active < state.limits.CONCURRENCY && getQueuedCount(state) > 0) {
+    if (isCircuitOpen(state)) {
+      rejectQueued(state, host);
+      return;
+    }
+
+    // Half-open: a single trial request decides whether the circuit closes
+    const { breaker } = state;
+    if (breaker.state === CIRCUIT.HALF_OPEN && breaker.trialInFlight) {
+      return;
+    }
+
+    refillTokens(state);
+    if (state.tokens < 1) {
+      if (!state.refillTimer) {
+        const waitMs = Math.ceil(((1 - state.tokens) / state.limits.RATE_PER_SEC) * 1000);
+        state.refillTimer = setTimeout(() => {
+          state.refillTimer = null;
+          drain(host);
+        }, waitMs);
+      }
+      return;
+    }
+
+    state.tokens -= 1;
+    const priority = PRIORITY_ORDER.find(p => state.queues[p].length > 0);
+    const job = state.queues[priority].shift();
+    if (breaker.state === CIRCUIT.HALF_OPEN) {
+      breaker.trialInFlight = true;
+      job.trial = true;
+    }
+    runJob(host, state, job);
+  }
+}
+
+async function runJob(host, state, job) {
+  state.active++;
+  job.started = true;
+  state.totalWaitMs += Date.now() - job.queuedAt;
+
+  try {
+    const response = await axios.get(job.url, {
+      timeout: job.timeout,
+      params: job.params,
+      headers: {
+        'User-Agent': 'FPLanner/1.0'
+      }
+    });
+
+    if (isMaintenanceResponse(response)) {
+      throw createSchedulerError('FPL API is being updated', 'MAINTENANCE');
+    }
+
+    recordHostSuccess(state, host);
+    state.completed++;
+    totals.completed++;
+    job.resolve(response);
+  } catch (err) {
+    const status = err.status || err.response?.status;
+    // 4xx means the host is up - only 5xx, maintenance and network errors count
+    if (status && status < 500) {
+      recordHostSuccess(state, host);
+    } else {
+      recordHostFailure(state, host);
+    }
+    state.failed++;
+    totals.failed++;
+    job.reject(err);
+  } finally {
+    state.active--;
+    if (job.trial) {
+      state.breaker.trialInFlight = false;
+    }
+    drain(host);
+  }
+}
+
+function promoteJob(job, priority) {
+  if (job.started || PRIORITY_ORDER.indexOf(priority) >= PRIORITY_ORDER.indexOf(job.priority)) {
+    return;
+  }
+  const queues = getHostState(job.host).queues;
+  queues[job.priority] = queues[job.priority].filter(queued => queued !== job);
+  queues[priority].push(job);
+  job.priority = priority;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Queue a GET request
+ * Requests for a URL already queued or running share that request (and bump
+ * its priority if the new caller's is higher).
+ * @param {string} url - Absolute URL
+ * @param {Object} [options]
+ * @param {string} [options.priority=PRIORITY.DEFAULT] - Priority class
+ * @param {Object} [options.params] - Query params
+ * @param {number} [options.timeout=REQUEST_SCHEDULER.TIMEOUT_MS] - Request timeout
+ * @returns {Promise<Object>} Axios response
+ * @throws {Error} Request errors, or a 503 error with code CIRCUIT_OPEN / QUEUE_FULL
+ */
+export function scheduleRequest(url, options = {}) {
+  const {
+    params,
+    timeout = REQUEST_SCHEDULER.TIMEOUT_MS
+  } = options;
+  const priority = PRIORITY_ORDER.includes(options.priority) ? options.priority : PRIORITY.DEFAULT;
+  const key = params ? `${url}?${new URLSearchParams(params)}` : url;
+
+  const existing = inFlight.get(key);
+  if (existing) {
+    totals.deduped++;
+    promoteJob(existing.job, priority);
+    return existing.promise;
+  }
+
+  const host = new URL(url).host;
+  const state = getHostState(host);
+
+  if (isCircuitOpen(state)) {
+    totals.rejected++;
+    return Promise.reject(createSchedulerError(`Circuit open for ${host}`, 'CIRCUIT_OPEN'));
+  }
+
+  if (getQueuedCount(state) >= REQUEST_SCHEDULER.MAX_QUEUE) {
+    totals.rejected++;
+    logger.warn(`⚠️ Request queue full for ${host}, rejecting ${url}`);
+    return Promise.reject(createSchedulerError(`Request queue full for ${host}`, 'QUEUE_FULL'));
+  }
+
+  let job;
+  const promise = new Promise((resolve, reject) => {
+    job = { url, params, timeout, priority, host, queuedAt: Date.now(), started: false, resolve, reject };
+  });
+  const cleanup = () => inFlight.delete(key);
+  promise.then(cleanup, cleanup);
+
+  inFlight.set(key, { promise, job });
+  state.queues[priority].push(job);
+  totals.scheduled++;
+
+  drain(host);
+  return promise;
+}
+
+/**
+ * Get queue metrics for /api/stats
+ * @returns {Object} Totals and per-host queue, rate limit and circuit state
+ */
+export function getSchedulerStats() {
+  const hostStats = {};
+
+  for (const [host, state] of hosts) {
+    refillTokens(state);
+    const finished = state.completed + state.failed;
+    hostStats[host] = {
+      active: state.active,
+      queued: {
+        user: state.queues.user.length,
+        default: state.queues.default.length,
+        background: state.queues.background.length
+      },
+      tokens: Math.floor(state.tokens),
+      concurrency: state.limits.CONCURRENCY,
+      rate_per_sec: state.limits.RATE_PER_SEC,
+      circuit: state.breaker.state,
+      consecutive_failures: state.breaker.failures,
+      completed: state.completed,
+      failed: state.failed,
+      avg_wait_ms: finished > 0 ? Math.round(state.totalWaitMs / finished) : 0
+    };
+  }
+
+  return {
+    ...totals,
+    in_flight: inFlight.size,
+    hosts: hostStats
+  };
+}
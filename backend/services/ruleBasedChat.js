@@ -0,0 +1,233 @@
+// ============================================================================
+// RULE-BASED CHAT
+// Deterministic assistant turns for the chat panel when no model is
+// available: picks tools from keywords in the manager's question, then
+// answers from the tool results (same JSON turns as the chat prompt asks for).
+// ============================================================================
+
+const TRANSFER_PATTERN = /\b(transfers?|replace|sell|swap|upgrade|moves?|bring in)\b/i;
+const CAPTAIN_PATTERN = /\b(captain|captaincy|armband)\b/i;
+const FIXTURE_PATTERN = /\b(fixtures?|schedule|run|opponents?|play(?:ing)? next)\b/i;
+
+const NUMBER_WORDS = { one: 1, single: 1, two: 2, double: 2, three: 3 };
+const MAX_TRANSFERS = 3;
+
+const HELP_REPLY = 'I can look up players and fixtures, compare projected points, pick a captain and find transfers for your squad - e.g. "best 2-transfer move under £1.5m for GW12" or "who should I captain?".';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function fmt(value, digits = 1) {
+  const number = parseFloat(value);
+  return (Number.isFinite(number) ? number : 0).toFixed(digits);
+}
+
+/** Budget in £m ("under £1.5m", "with 2.0m") */
+function parseBudget(text) {
+  const match = text.match(/£\s*(\d+(?:\.\d+)?)\s*m?/i) || text.match(/\b(\d+(?:\.\d+)?)\s*m\b/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function parseGameweek(text) {
+  const match = text.match(/\b(?:gw|gameweek)\s*(\d{1,2})\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function parseTransferCount(text) {
+  const match = text.match(/\b(\d|one|single|two|double|three)[\s-]*(?:transfers?|moves?|players?)\b/i);
+  if (!match) return 1;
+  const count = NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10);
+  return Math.min(Math.max(count, 1), MAX_TRANSFERS);
+}
+
+function getMentionedPlayers(text, squad) {
+  const lower = text.toLowerCase();
+  return squad.filter(player => player.name && lower.includes(player.name.toLowerCase()));
+}
+
+function toolCall(name, args) {
+  return { name, arguments: Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null && value !== undefined)) };
+}
+
+// ============================================================================
+// CHOOSING TOOLS
+// ============================================================================
+
+/**
+ * Squad players to sell first: flagged players, then the worst form
+ */
+function getSellCandidates(snapshot, count) {
+  const squad = asArray(snapshot?.squad);
+  const flagged = asArray(snapshot?.problemPlayers).map(problem => squad.find(p => p.id === problem.id)).filter(Boolean);
+  const byForm = [...squad].sort((a, b) => (a.form ?? 0) - (b.form ?? 0));
+  return [...new Set([...flagged, ...byForm])].slice(0, count);
+}
+
+function chooseTools(question, snapshot) {
+  const squad = asArray(snapshot?.squad);
+  const gameweek = parseGameweek(question);
+  const mentioned = getMentionedPlayers(question, squad);
+
+  if (TRANSFER_PATTERN.test(question) && squad.length > 0) {
+    const sells = mentioned.length > 0 ? mentioned.slice(0, MAX_TRANSFERS) : getSellCandidates(snapshot, parseTransferCount(question));
+    const bank = parseBudget(question);
+    return sells.map(player => toolCall('find_replacements', { playerId: player.id, bank, gameweek }));
+  }
+
+  if (CAPTAIN_PATTERN.test(question) && squad.length > 0) {
+    const starters = squad.filter(player => player.isStarter);
+    return [toolCall('projected_points', {
+      playerIds: (starters.length > 0 ? starters : squad).map(player => player.id),
+      gameweek,
+      horizon: gameweek ? null : 1
+    })];
+  }
+
+  if (FIXTURE_PATTERN.test(question) && mentioned.length > 0) {
+    return mentioned.slice(0, 5).map(player => toolCall('lookup_fixtures', { playerId: player.id }));
+  }
+
+  return mentioned.slice(0, 5).map(player => toolCall('lookup_player', { playerId: player.id }));
+}
+
+// ============================================================================
+// ANSWERING FROM TOOL RESULTS
+// ============================================================================
+
+/**
+ * Best set of one replacement per sold player whose price differences fit
+ * the bank, by projected points gained
+ */
+function findBestCombination(options, bank) {
+  let best = null;
+
+  const search = (index, picked, spent, gain) => {
+    if (index === options.length) {
+      if (!best || gain > best.gain) {
+        best = { moves: [...picked], spent, gain };
+      }
+      return;
+    }
+    const { player, replacements } = options[index];
+    replacements.forEach(replacement => {
+      if (picked.some(move => move.in.id === replacement.id)) return;
+      const cost = spent + replacement.priceDiff;
+      if (cost > bank + 1e-9) return;
+      picked.push({ out: player, in: replacement });
+      search(index + 1, picked, cost, gain + replacement.projectedPoints - (player.projectedPoints || 0));
+      picked.pop();
+    });
+  };
+
+  search(0, [], 0, 0);
+  return best;
+}
+
+function describeTransfers(results) {
+  const options = results.filter(result => result.player && asArray(result.replacements).length > 0);
+  if (options.length === 0) {
+    return 'I could not find affordable replacements for those players - try a bigger budget or different players.';
+  }
+
+  const bank = options[0].bank ?? 0;
+  const best = findBestCombination(options, bank);
+  if (!best) {
+    return `No combination of ${options.length} transfers fits £${fmt(bank)}m - try fewer transfers or a bigger budget.`;
+  }
+
+  const moves = best.moves.map(({ out, in: incoming }) =>
+    `${out.name} (£${fmt(out.price)}m) → ${incoming.name} (£${fmt(incoming.price)}m, ${fmt(incoming.projectedPoints)} xPts)`
+  );
+  const heading = best.moves.length === 1 ? 'Best move' : `Best ${best.moves.length}-transfer move`;
+  const alternatives = options.length === 1
+    ? options[0].replacements.slice(1, 3).map(r => `${r.name} (£${fmt(r.price)}m)`)
+    : [];
+
+  return [
+    `${heading} with £${fmt(bank)}m in the bank: ${moves.join('; ')}.`,
+    `Projected gain: ${best.gain >= 0 ? '+' : ''}${fmt(best.gain)} pts over the next 5 gameweeks, leaving £${fmt(bank - best.spent)}m.`,
+    alternatives.length > 0 ? `Also consider ${alternatives.join(' or ')}.` : ''
+  ].filter(Boolean).join(' ');
+}
+
+function describeProjections(result) {
+  const players = [...asArray(result.players)].sort((a, b) => b.xPts - a.xPts);
+  if (players.length === 0) return 'No projections available for those players.';
+  const [captain, vice, ...rest] = players;
+  const window = result.gameweek ? `GW${result.gameweek}` : 'the next gameweek';
+  const lines = [`Captain ${captain.name} (${fmt(captain.xPts)} xPts for ${window})`];
+  if (vice) lines.push(`vice ${vice.name} (${fmt(vice.xPts)})`);
+  if (rest[0]) lines.push(`then ${rest[0].name} (${fmt(rest[0].xPts)})`);
+  return `${lines.join(', ')}.`;
+}
+
+function describeFixtures(result) {
+  const fixtures = asArray(result.fixtures)
+    .map(f => `GW${f.gameweek} ${f.opponent} (FDR ${f.difficulty})`);
+  return `${result.player || result.team}: ${fixtures.length > 0 ? fixtures.join(', ') : 'no upcoming fixtures'}.`;
+}
+
+function describePlayers(result) {
+  return asArray(result.players).slice(0, 3).map(p =>
+    `${p.name} (${p.team} ${p.position}, £${fmt(p.price)}m): ${fmt(p.form)} form, ${p.totalPoints} pts, ${fmt(p.ownership)}% owned, ${fmt(p.projectedPoints)} xPts over 5 GWs.${p.news ? ` ${p.news}` : ''}`
+  ).join('\n');
+}
+
+function answerFromResults(results) {
+  const errors = results.filter(result => result.content?.error).map(result => result.content.error);
+  const contents = results.filter(result => !result.content?.error);
+  const byName = name => contents.filter(result => result.name === name).map(result => result.content);
+
+  const paragraphs = [];
+  const transfers = byName('find_replacements');
+  if (transfers.length > 0) paragraphs.push(describeTransfers(transfers));
+  byName('projected_points').forEach(result => paragraphs.push(describeProjections(result)));
+  byName('lookup_fixtures').forEach(result => paragraphs.push(describeFixtures(result)));
+  byName('lookup_player').forEach(result => paragraphs.push(describePlayers(result) || 'No players matched that name.'));
+  if (errors.length > 0) paragraphs.push(`Some lookups failed: ${errors.join('; ')}.`);
+
+  return paragraphs.join('\n\n') || HELP_REPLY;
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Next assistant turn without a model
+ * @param {Object} context - Chat request
+ * @param {Object[]} context.messages - Normalized conversation (see chatService.js)
+ * @param {Object|null} context.managerSnapshot - Manager snapshot
+ * @returns {Object} {"reply": ...} or {"tool_calls": [...]}
+ */
+export function generateRuleBasedChatTurn({ messages = [], managerSnapshot = null } = {}) {
+  let lastUser = -1;
+  messages.forEach((message, index) => {
+    if (message.role === 'user') lastUser = index;
+  });
+  if (lastUser === -1) {
+    return { reply: HELP_REPLY };
+  }
+
+  const turn = messages.slice(lastUser + 1);
+  const results = turn.filter(message => message.role === 'tool');
+  if (results.length > 0) {
+    return { reply: answerFromResults(results) };
+  }
+
+  const calls = chooseTools(messages[lastUser].content, managerSnapshot);
+  if (calls.length > 0) {
+    return { tool_calls: calls };
+  }
+
+  return {
+    reply: managerSnapshot
+      ? HELP_REPLY
+      : `${HELP_REPLY} Load your team first for advice on your own squad.`
+  };
+}
@@ -0,0 +1,590 @@
+// ============================================================================
+// RULE-BASED INSIGHTS
+// Deterministic insight categories built straight from the context data the
+// frontend sends for AI insights (risks, fixtures, form, ownership, value).
+// Produces the same structured insights as the LLM prompts (see
+// insightSchema.js) so banners render the same way with or without a model.
+// ============================================================================
+
+/** Ownership below which a player counts as a differential captain */
+const DIFFERENTIAL_OWNERSHIP = 15;
+
+/** Drop candidates at which a wildcard beats free transfers */
+const WILDCARD_DROP_CANDIDATES = 4;
+
+/** Bench form below which a Bench Boost needs work first */
+const BENCH_BOOST_FORM = 4;
+
+const CHIP_NAMES = {
+  wildcard: 'Wildcard',
+  freehit: 'Free Hit',
+  bboost: 'Bench Boost',
+  '3xc': 'Triple Captain'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function fmt(value, digits = 1) {
+  return toNumber(value).toFixed(digits);
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Build a structured insight
+ * @param {string} text - Insight text
+ * @param {Object} [options]
+ * @param {string} [options.type='general'] - Insight type
+ * @param {string} [options.severity='low'] - low, medium or high
+ * @param {Array<Object>} [options.players=[]] - Players mentioned (with ids)
+ * @param {Array<Object>} [options.fixtures=[]] - Fixtures mentioned (with fixtureIds)
+ * @param {Array<Object>} [options.metrics=[]] - Quoted values (see metric())
+ * @param {Object|null} [options.action=null] - Suggested action
+ * @returns {Object} Insight
+ */
+function insight(text, { type = 'general', severity = 'low', players = [], fixtures = [], metrics = [], action = null } = {}) {
+  return {
+    text,
+    type,
+    severity,
+    playerIds: [...new Set(players.map(p => p?.id).filter(Number.isInteger))],
+    fixtureIds: [...new Set(fixtures.map(f => f?.fixtureId).filter(Number.isInteger))],
+    metrics,
+    action
+  };
+}
+
+/**
+ * Quote a value from the data - a player's field, or a non-player value
+ * (team, budget) when the source has no id
+ */
+function metric(source, field) {
+  return {
+    playerId: Number.isInteger(source?.id) ? source.id : null,
+    field,
+    value: toNumber(source?.[field])
+  };
+}
+
+/**
+ * Best item by score that hasn't been mentioned yet (keeps insights from
+ * repeating a player)
+ * @param {Array} items - Candidates
+ * @param {Function} score - Higher is better
+ * @param {Set} used - Names already mentioned (updated)
+ * @returns {Object|null}
+ */
+function pickBest(items, score, used) {
+  const best = [...items]
+    .filter(item => item?.name && !used.has(item.name))
+    .sort((a, b) => score(b) - score(a))[0];
+  if (best) {
+    used.add(best.name);
+  }
+  return best || null;
+}
+
+function describeFixture(fixture) {
+  if (!fixture) return 'no fixture';
+  const venue = fixture.isHome === undefined ? '' : fixture.isHome ? ' (H)' : ' (A)';
+  return `${fixture.opponent || fixture.name}${venue}, FDR ${fixture.difficulty}`;
+}
+
+/**
+ * Pad a category to exactly three insights
+ * @param {Array<Object|null>} insights - Generated insights (nulls skipped)
+ * @param {string} subject - What the category covers, for filler lines
+ * @returns {Object[]}
+ */
+function toCategory(insights, subject) {
+  const lines = insights.filter(Boolean).slice(0, 3);
+  const fillers = [
+    `No further ${subject} signals in the current data.`,
+    `Re-check ${subject} after the next data refresh.`,
+    `Nothing else stands out for ${subject} this gameweek.`
+  ];
+  while (lines.length < 3) {
+    lines.push(insight(fillers[lines.length]));
+  }
+  return lines;
+}
+
+// ============================================================================
+// DATA ANALYSIS
+// ============================================================================
+
+function buildMarketInsights(data) {
+  const used = new Set();
+  const topPerformers = asArray(data.overview?.topPerformers);
+  const hiddenGems = asArray(data.hiddenGems);
+  const differentials = asArray(data.differentials);
+  const transferTargets = asArray(data.transferTargets);
+  const bestFixtures = asArray(data.teamAnalysis?.bestFixtures);
+  const worstFixtures = asArray(data.teamAnalysis?.worstFixtures);
+  const problemPlayers = asArray(data.managerSnapshot?.problemPlayers);
+
+  const overview = [];
+  const leader = pickBest(topPerformers, p => toNumber(p.points), used);
+  if (leader) {
+    overview.push(insight(
+      `${leader.name} leads with ${leader.points} pts at £${fmt(leader.price)}m (${fmt(leader.ownership)}% owned) - the benchmark every squad is measured against.`,
+      { type: 'form', players: [leader], metrics: [metric(leader, 'price'), metric(leader, 'ownership')] }
+    ));
+  }
+  const formLeader = pickBest(topPerformers, p => toNumber(p.form), used);
+  if (formLeader) {
+    overview.push(insight(
+      `${formLeader.name} is the in-form top scorer at ${fmt(formLeader.form)} pts per game - buy before the price moves.`,
+      {
+        type: 'form',
+        players: [formLeader],
+        metrics: [metric(formLeader, 'form')],
+        action: { type: 'buy', label: `Buy ${formLeader.name}`, playerId: formLeader.id }
+      }
+    ));
+  }
+  const weakTemplate = pickBest(
+    topPerformers.filter(p => toNumber(p.ownership) >= 20),
+    p => -toNumber(p.form),
+    used
+  );
+  if (weakTemplate) {
+    overview.push(insight(
+      `${weakTemplate.name} is ${fmt(weakTemplate.ownership)}% owned but on ${fmt(weakTemplate.form)} form - the template's weakest link.`,
+      { type: 'risk', severity: 'medium', players: [weakTemplate], metrics: [metric(weakTemplate, 'ownership'), metric(weakTemplate, 'form')] }
+    ));
+  }
+
+  const gems = [];
+  const gemForm = pickBest(hiddenGems, p => toNumber(p.form), used);
+  if (gemForm) {
+    gems.push(insight(
+      `${gemForm.name} (${gemForm.position}) is on ${fmt(gemForm.form)} form at only ${fmt(gemForm.ownership)}% owned.`,
+      {
+        type: 'form',
+        players: [gemForm],
+        metrics: [metric(gemForm, 'form'), metric(gemForm, 'ownership')],
+        action: { type: 'buy', label: `Buy ${gemForm.name}`, playerId: gemForm.id }
+      }
+    ));
+  }
+  const gemBudget = pickBest(hiddenGems, p => -toNumber(p.price), used);
+  if (gemBudget) {
+    gems.push(insight(
+      `${gemBudget.name} is a £${fmt(gemBudget.price)}m enabler on ${fmt(gemBudget.form)} form - frees funds for a premium.`,
+      { type: 'value', players: [gemBudget], metrics: [metric(gemBudget, 'price'), metric(gemBudget, 'form')] }
+    ));
+  }
+  const gemValue = pickBest(hiddenGems, p => toNumber(p.ppm), used);
+  if (gemValue) {
+    gems.push(insight(
+      `${gemValue.name} returns ${fmt(gemValue.ppm)} pts/£m at ${fmt(gemValue.ownership)}% owned - value the market hasn't priced in.`,
+      { type: 'value', players: [gemValue], metrics: [metric(gemValue, 'ppm'), metric(gemValue, 'ownership')] }
+    ));
+  }
+
+  const diffs = [];
+  const diffForm = pickBest(differentials, p => toNumber(p.form), used);
+  if (diffForm) {
+    diffs.push(insight(
+      `${diffForm.name} (${fmt(diffForm.ownership)}% owned) is on ${fmt(diffForm.form)} form - a rank-climbing differential.`,
+      { type: 'form', players: [diffForm], metrics: [metric(diffForm, 'ownership'), metric(diffForm, 'form')] }
+    ));
+  }
+  const diffMomentum = pickBest(differentials, p => toNumber(p.transfersIn) - toNumber(p.transfersOut), used);
+  if (diffMomentum && toNumber(diffMomentum.transfersIn) > toNumber(diffMomentum.transfersOut)) {
+    diffs.push(insight(
+      `${diffMomentum.name} has ${toNumber(diffMomentum.transfersIn).toLocaleString('en-GB')} transfers in against ${toNumber(diffMomentum.transfersOut).toLocaleString('en-GB')} out this gameweek - get in before a price rise.`,
+      { type: 'transfer', players: [diffMomentum], metrics: [metric(diffMomentum, 'transfersIn'), metric(diffMomentum, 'transfersOut')] }
+    ));
+  }
+  const diffValue = pickBest(differentials, p => toNumber(p.ppm), used);
+  if (diffValue) {
+    diffs.push(insight(
+      `${diffValue.name} offers ${fmt(diffValue.ppm)} pts/£m at £${fmt(diffValue.price)}m and ${fmt(diffValue.ownership)}% owned.`,
+      { type: 'value', players: [diffValue], metrics: [metric(diffValue, 'ppm'), metric(diffValue, 'price'), metric(diffValue, 'ownership')] }
+    ));
+  }
+
+  const targets = [];
+  const targetValue = pickBest(transferTargets, p => toNumber(p.ppm), used);
+  if (targetValue) {
+    targets.push(insight(
+      `Buy ${targetValue.name} (${targetValue.position}, £${fmt(targetValue.price)}m): ${fmt(targetValue.ppm)} pts/£m, the best value among nailed starters.`,
+      {
+        type: 'transfer',
+        players: [targetValue],
+        metrics: [metric(targetValue, 'price'), metric(targetValue, 'ppm')],
+        action: { type: 'buy', label: `Buy ${targetValue.name}`, playerId: targetValue.id }
+      }
+    ));
+  }
+  const targetForm = pickBest(transferTargets, p => toNumber(p.form), used);
+  if (targetForm) {
+    targets.push(insight(
+      `${targetForm.name} combines ${fmt(targetForm.form)} form with ${targetForm.points} pts - a safe transfer target.`,
+      { type: 'transfer', players: [targetForm], metrics: [metric(targetForm, 'form')] }
+    ));
+  }
+  const sell = problemPlayers[0];
+  if (sell) {
+    targets.push(insight(
+      `Sell ${sell.name} (${sell.position}): ${asArray(sell.flags).join('; ')}.`,
+      {
+        type: 'risk',
+        severity: 'high',
+        players: [sell],
+        action: Number.isInteger(sell.id) ? { type: 'sell', label: `Replace ${sell.name}`, playerId: sell.id } : null
+      }
+    ));
+  } else {
+    const targetPoints = pickBest(transferTargets, p => toNumber(p.points), used);
+    if (targetPoints) {
+      targets.push(insight(
+        `${targetPoints.name} has ${targetPoints.points} pts at £${fmt(targetPoints.price)}m - a proven returner worth the funds.`,
+        { type: 'transfer', players: [targetPoints], metrics: [metric(targetPoints, 'price')] }
+      ));
+    }
+  }
+
+  const teams = [];
+  const teamLabel = entry => `${entry.name} (${fmt(entry.avgDifficulty)})`;
+  const difficultyMetrics = entries => entries.map(entry => metric(entry, 'avgDifficulty'));
+  if (bestFixtures.length > 0) {
+    const best = bestFixtures.slice(0, 3);
+    teams.push(insight(
+      `Best fixture runs: ${best.map(teamLabel).join(', ')} - target their assets.`,
+      { type: 'fixture', metrics: difficultyMetrics(best) }
+    ));
+  }
+  if (worstFixtures.length > 0) {
+    const worst = worstFixtures.slice(0, 2);
+    teams.push(insight(
+      `Toughest runs: ${worst.map(teamLabel).join(', ')} - avoid or sell their players.`,
+      { type: 'fixture', severity: 'medium', metrics: difficultyMetrics(worst) }
+    ));
+  }
+  if (bestFixtures.length > 0 && worstFixtures.length > 0) {
+    const [best] = bestFixtures;
+    const [worst] = worstFixtures;
+    teams.push(insight(
+      `The biggest fixture swing is ${teamLabel(best)} against ${teamLabel(worst)} - plan transfers around it.`,
+      { type: 'fixture', metrics: difficultyMetrics([best, worst]) }
+    ));
+  }
+
+  return {
+    'Overview': toCategory(overview, 'market'),
+    'Hidden Gems': toCategory(gems, 'hidden gem'),
+    'Differentials': toCategory(diffs, 'differential'),
+    'Transfer Targets': toCategory(targets, 'transfer'),
+    'Team Analysis': toCategory(teams, 'fixture')
+  };
+}
+
+// ============================================================================
+// MY TEAM
+// ============================================================================
+
+/**
+ * Score a player as next gameweek's captain: form scaled by fixture ease
+ */
+function getCaptainScore(player, afterGameweek) {
+  const fixture = asArray(player.nextFixtures).find(f => !afterGameweek || f.gw > afterGameweek);
+  if (!fixture) return 0;
+  return toNumber(player.form) * (6 - toNumber(fixture.difficulty));
+}
+
+function buildSquadInsights(data) {
+  const squad = asArray(data.squad);
+  const starters = squad.filter(p => p.isStarter);
+  const bench = squad.filter(p => !p.isStarter);
+  const dropCandidates = asArray(data.dropCandidates);
+  const gwData = data.currentGWData || {};
+  const gwPlayers = asArray(gwData.players);
+  const budget = data.managerSnapshot?.budget;
+
+  const currentGW = [];
+  const captain = gwPlayers.find(p => p.isCaptain);
+  const gwStarters = gwPlayers.filter(p => p.isStarter);
+  if (gwData.isLive) {
+    if (captain) {
+      currentGW.push(insight(
+        `Captain ${captain.name} has ${captain.currentGWPoints} pts so far (${captain.currentGWPoints * 2} with the armband).`,
+        { type: 'captain', players: [captain] }
+      ));
+    }
+    const topStarter = [...gwStarters].sort((a, b) => b.currentGWPoints - a.currentGWPoints)[0];
+    if (topStarter && topStarter !== captain) {
+      currentGW.push(insight(
+        `${topStarter.name} leads your starters on ${topStarter.currentGWPoints} pts this gameweek.`,
+        { type: 'form', players: [topStarter] }
+      ));
+    }
+    const benchPlayers = gwPlayers.filter(p => !p.isStarter);
+    const benchPoints = benchPlayers.reduce((sum, p) => sum + (p.currentGWPoints || 0), 0);
+    currentGW.push(insight(
+      `Your bench has ${benchPoints} pts - they only count through auto-subs.`,
+      { players: benchPlayers }
+    ));
+  } else {
+    if (captain) {
+      const opponents = asArray(captain.opponents);
+      currentGW.push(opponents.length > 0
+        ? insight(`Captain ${captain.name} faces ${opponents.map(describeFixture).join(' and ')}.`, { type: 'captain', players: [captain], fixtures: opponents })
+        : insight(`Captain ${captain.name} has no fixture this gameweek - the armband passes to the vice.`, { type: 'captain', severity: 'high', players: [captain] }));
+    }
+    const blanks = gwStarters.filter(p => asArray(p.opponents).length === 0);
+    if (blanks.length > 0) {
+      currentGW.push(insight(
+        `${blanks.map(p => p.name).join(', ')} ${blanks.length === 1 ? 'has' : 'have'} no fixture - bench or transfer before the deadline.`,
+        {
+          type: 'fixture',
+          severity: 'high',
+          players: blanks,
+          action: { type: 'bench', label: `Bench ${blanks[0].name}`, playerId: blanks[0].id }
+        }
+      ));
+    }
+    const hardest = [...gwStarters]
+      .filter(p => asArray(p.opponents).length > 0)
+      .sort((a, b) => Math.max(...b.opponents.map(o => o.difficulty)) - Math.max(...a.opponents.map(o => o.difficulty)))[0];
+    if (hardest && hardest !== captain) {
+      currentGW.push(insight(
+        `${hardest.name} has the toughest fixture (${describeFixture(hardest.opponents[0])}) - first to bench if you have cover.`,
+        { type: 'fixture', severity: 'medium', players: [hardest], fixtures: hardest.opponents.slice(0, 1) }
+      ));
+    }
+  }
+
+  const health = [];
+  const flagged = squad.filter(p => asArray(p.problemFlags).length > 0);
+  if (flagged.length > 0) {
+    health.push(insight(
+      `${flagged.map(p => `${p.name} (${p.problemFlags.join('; ')})`).join(', ')} - check cover before the deadline.`,
+      { type: 'risk', severity: 'high', players: flagged }
+    ));
+  } else if (squad.length > 0) {
+    health.push(insight('No injury or suspension flags in your squad.', { type: 'risk' }));
+  }
+  const fewestMinutes = [...starters].sort((a, b) => (a.minutesPlayed || 0) - (b.minutesPlayed || 0))[0];
+  if (fewestMinutes) {
+    health.push(insight(
+      `${fewestMinutes.name} has only ${fewestMinutes.minutesPlayed || 0} minutes this season - the biggest rotation risk in your XI.`,
+      { type: 'risk', severity: 'medium', players: [fewestMinutes] }
+    ));
+  }
+  const worstValue = [...squad]
+    .filter(p => p.ppm !== null && p.ppm !== undefined && p !== fewestMinutes)
+    .sort((a, b) => a.ppm - b.ppm)[0];
+  if (worstValue) {
+    health.push(insight(
+      `${worstValue.name} returns ${fmt(worstValue.ppm)} pts/£m at £${fmt(worstValue.priceMillions)}m - not earning the price.`,
+      { type: 'value', severity: 'medium', players: [worstValue], metrics: [metric(worstValue, 'ppm'), metric(worstValue, 'priceMillions')] }
+    ));
+  }
+
+  const transfers = [];
+  const sorted = [...dropCandidates].sort((a, b) =>
+    asArray(b.flags).length - asArray(a.flags).length || toNumber(a.form) - toNumber(b.form)
+  );
+  const [firstDrop, secondDrop] = sorted;
+  if (firstDrop) {
+    const hasFlags = asArray(firstDrop.flags).length > 0;
+    const reasons = hasFlags
+      ? firstDrop.flags.join('; ')
+      : `${fmt(firstDrop.form)} form, ${fmt(firstDrop.ppm)} pts/£m`;
+    const sellAction = Number.isInteger(firstDrop.id)
+      ? { type: 'sell', label: `Replace ${firstDrop.name}`, playerId: firstDrop.id }
+      : null;
+    transfers.push(insight(
+      `Sell ${firstDrop.name} first: ${reasons}.`,
+      {
+        type: 'transfer',
+        severity: hasFlags ? 'high' : 'medium',
+        players: [firstDrop],
+        metrics: hasFlags ? [] : [metric(firstDrop, 'form'), metric(firstDrop, 'ppm')],
+        action: sellAction
+      }
+    ));
+    if (budget) {
+      transfers.push(insight(
+        `£${fmt(budget.bankMillions)}m in the bank plus ${firstDrop.name}'s £${fmt(firstDrop.priceMillions)}m funds a ${firstDrop.position} replacement.`,
+        {
+          type: 'transfer',
+          players: [firstDrop],
+          metrics: [metric(budget, 'bankMillions'), metric(firstDrop, 'priceMillions')],
+          action: sellAction
+        }
+      ));
+    }
+  }
+  if (secondDrop) {
+    const fixtures = asArray(secondDrop.nextFixtures);
+    const next = fixtures.map(describeFixture).join(', ');
+    transfers.push(insight(
+      `${secondDrop.name} is next in line (${fmt(secondDrop.form)} form${next ? `; next: ${next}` : ''}).`,
+      { type: 'transfer', severity: 'medium', players: [secondDrop], fixtures, metrics: [metric(secondDrop, 'form')] }
+    ));
+  } else if (starters.length > 0) {
+    const weakest = [...starters].sort((a, b) => toNumber(a.form) - toNumber(b.form))[0];
+    transfers.push(insight(
+      `Hold the rest: even your weakest starter, ${weakest.name}, is on ${fmt(weakest.form)} form.`,
+      { type: 'transfer', players: [weakest], metrics: [metric(weakest, 'form')], action: { type: 'hold', label: 'Roll the transfer' } }
+    ));
+  }
+
+  const captaincy = [];
+  const used = new Set();
+  const afterGW = gwData.gameweek;
+  const nextFixture = p => asArray(p.nextFixtures).find(f => !afterGW || f.gw > afterGW);
+  const captainInsight = (text, player, extraMetrics = []) => {
+    const fixture = nextFixture(player);
+    return insight(text, {
+      type: 'captain',
+      players: [player],
+      fixtures: fixture ? [fixture] : [],
+      metrics: [metric(player, 'form'), ...extraMetrics],
+      action: { type: 'captain', label: `Captain ${player.name}`, playerId: player.id }
+    });
+  };
+  const bestCaptain = pickBest(starters, p => getCaptainScore(p, afterGW), used);
+  if (bestCaptain) {
+    captaincy.push(captainInsight(
+      `Captain ${bestCaptain.name} next: ${fmt(bestCaptain.form)} form vs ${describeFixture(nextFixture(bestCaptain))}.`,
+      bestCaptain
+    ));
+  }
+  const differential = pickBest(
+    starters.filter(p => toNumber(p.ownershipPercent) < DIFFERENTIAL_OWNERSHIP),
+    p => getCaptainScore(p, afterGW),
+    used
+  );
+  if (differential) {
+    captaincy.push(captainInsight(
+      `Differential armband: ${differential.name} (${fmt(differential.ownershipPercent)}% owned, ${fmt(differential.form)} form) vs ${describeFixture(nextFixture(differential))}.`,
+      differential,
+      [metric(differential, 'ownershipPercent')]
+    ));
+  }
+  const vice = pickBest(starters, p => getCaptainScore(p, afterGW), used);
+  if (vice) {
+    captaincy.push(captainInsight(
+      `Vice-captain ${vice.name} (${fmt(vice.form)} form vs ${describeFixture(nextFixture(vice))}).`,
+      vice
+    ));
+  }
+
+  const chips = [];
+  const available = asArray(data.chipsAvailable);
+  chips.push(available.length > 0
+    ? insight(`Chips left: ${available.map(chip => CHIP_NAMES[chip] || chip).join(', ')}.`, { type: 'chip' })
+    : insight('All chips used - every gameweek rides on free transfers.', { type: 'chip' }));
+  if (bench.length > 0) {
+    const weakestBench = [...bench].sort((a, b) => toNumber(a.form) - toNumber(b.form))[0];
+    const ready = toNumber(weakestBench.form) >= BENCH_BOOST_FORM;
+    chips.push(insight(
+      `Your weakest bench player, ${weakestBench.name}, is on ${fmt(weakestBench.form)} form - ${ready ? 'ready for a Bench Boost' : 'strengthen the bench before a Bench Boost'}.`,
+      {
+        type: 'chip',
+        players: [weakestBench],
+        metrics: [metric(weakestBench, 'form')],
+        action: ready && available.includes('bboost') ? { type: 'chip', label: 'Play Bench Boost', chip: 'bboost' } : null
+      }
+    ));
+  }
+  const wildcard = dropCandidates.length >= WILDCARD_DROP_CANDIDATES;
+  chips.push(insight(
+    wildcard
+      ? `${dropCandidates.length} drop candidates - enough problems to justify a Wildcard.`
+      : `${dropCandidates.length} drop candidate${dropCandidates.length === 1 ? '' : 's'} - fix with free transfers and save the Wildcard.`,
+    {
+      type: 'chip',
+      severity: wildcard ? 'medium' : 'low',
+      players: dropCandidates,
+      action: wildcard && available.includes('wildcard') ? { type: 'chip', label: 'Play Wildcard', chip: 'wildcard' } : null
+    }
+  ));
+
+  return {
+    'Current GW': toCategory(currentGW, 'gameweek'),
+    'Squad Health': toCategory(health, 'squad health'),
+    'Transfer Priorities': toCategory(transfers, 'transfer'),
+    'Captain Pick': toCategory(captaincy, 'captaincy'),
+    'Chip Strategy': toCategory(chips, 'chip')
+  };
+}
+
+// ============================================================================
+// PLANNER
+// ============================================================================
+
+function buildPlannerInsights(data) {
+  const snapshot = data.managerSnapshot || {};
+  const insights = [];
+
+  const problems = asArray(snapshot.problemPlayers);
+  if (problems.length > 0) {
+    const first = problems[0];
+    insights.push(insight(
+      `Plan around ${first.name} (${first.position}) first: ${asArray(first.flags).join('; ')}.`,
+      {
+        type: 'risk',
+        severity: 'high',
+        players: [first],
+        action: Number.isInteger(first.id) ? { type: 'sell', label: `Replace ${first.name}`, playerId: first.id } : null
+      }
+    ));
+  }
+  if (snapshot.budget) {
+    insights.push(insight(
+      `£${fmt(snapshot.budget.bankMillions)}m in the bank with a £${fmt(snapshot.budget.squadValueMillions)}m squad.`,
+      { type: 'value', metrics: [metric(snapshot.budget, 'bankMillions'), metric(snapshot.budget, 'squadValueMillions')] }
+    ));
+  }
+  if (snapshot.chips) {
+    const used = asArray(snapshot.chips.used).map(chip => CHIP_NAMES[chip.name] || chip.name);
+    insights.push(insight(
+      snapshot.chips.active
+        ? `${CHIP_NAMES[snapshot.chips.active] || snapshot.chips.active} is active this gameweek.`
+        : `Chips used so far: ${used.length > 0 ? used.join(', ') : 'none'}.`,
+      { type: 'chip' }
+    ));
+  }
+
+  return {
+    'Planner': toCategory(insights, 'planning')
+  };
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Generate insight categories for an AI insights request without a model
+ * @param {Object} context - Insights request
+ * @param {string} context.page - Page name (planner, my-team, data-analysis, ...)
+ * @param {Object} context.data - Page context data
+ * @returns {Object<string, Object[]>} Category name -> three structured insights
+ */
+export function generateRuleBasedInsights({ page, data } = {}) {
+  const payload = data && typeof data === 'object' ? data : {};
+
+  if (page === 'planner') {
+    return buildPlannerInsights(payload);
+  }
+  if (page === 'my-team') {
+    return buildSquadInsights(payload);
+  }
+  return buildMarketInsights(payload);
+}
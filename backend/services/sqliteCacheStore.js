@@ -0,0 +1,169 @@
+// ============================================================================
+// SQLITE CACHE STORE
+// Persists cache entries to SQLite as they are written, each with its own
+// expiry. WAL journaling keeps the file consistent if the process dies
+// mid-write, so team, picks and live caches survive restarts and crashes.
+// ============================================================================
+
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { SERVER } from '../config.js';
+import logger from '../logger.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cache_entries (
+    section TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    expires_at INTEGER,
+    PRIMARY KEY (section, key)
+  );
+  CREATE INDEX IF NOT EXISTS cache_entries_expires ON cache_entries (expires_at);
+`;
+
+/** Sections holding a single entry rather than a keyed Map */
+const SINGLE_SECTIONS = new Set(['bootstrap', 'fixtures', 'github', 'stats']);
+
+/**
+ * Open the database, moving a corrupt file aside and starting fresh
+ * @param {string} filePath - Database path
+ * @returns {Database} Open database with the schema applied
+ */
+function openDatabase(filePath) {
+  let db = null;
+  try {
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    const [check] = db.pragma('quick_check');
+    if (check?.quick_check !== 'ok') {
+      throw new Error(`integrity check failed: ${check?.quick_check}`);
+    }
+
+    db.exec(SCHEMA);
+    return db;
+  } catch (err) {
+    if (db?.open) db.close();
+    if (!fs.existsSync(filePath)) {
+      throw err;
+    }
+
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    logger.error(`❌ Cache database unreadable (${err.message}), moving it to ${corruptPath}`);
+    fs.renameSync(filePath, corruptPath);
+    for (const suffix of ['-wal', '-shm']) {
+      try { fs.unlinkSync(filePath + suffix); } catch { /* ignore */ }
+    }
+
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(SCHEMA);
+    return db;
+  }
+}
+
+/**
+ * SQLite store - every cache write is an upsert of that one entry, so there is
+ * no bulk serialization of the whole cache.
+ * @param {string} [filePath=SERVER.CACHE_SQLITE_PATH] - Database path
+ * @returns {Object} Cache store (see cacheStore.js)
+ */
+export function createSqliteCacheStore(filePath = SERVER.CACHE_SQLITE_PATH) {
+  const db = openDatabase(filePath);
+
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO cache_entries (section, key, value, updated_at, expires_at)
+      VALUES (@section, @key, @value, @updatedAt, @expiresAt)
+      ON CONFLICT (section, key) DO UPDATE SET
+        value = excluded.value,
+        updated_at = excluded.updated_at,
+        expires_at = excluded.expires_at
+    `),
+    delete: db.prepare('DELETE FROM cache_entries WHERE section = ? AND key = ?'),
+    clearSection: db.prepare('DELETE FROM cache_entries WHERE section = ?'),
+    prune: db.prepare('DELETE FROM cache_entries WHERE expires_at IS NOT NULL AND expires_at <= ?'),
+    all: db.prepare('SELECT section, key, value FROM cache_entries')
+  };
+
+  logger.log(`🗄️ SQLite cache store opened at ${filePath}`);
+
+  return {
+    name: 'sqlite',
+
+    async load() {
+      const pruned = statements.prune.run(Date.now()).changes;
+      if (pruned > 0) {
+        logger.log(`🧹 Dropped ${pruned} expired cache entries from SQLite`);
+      }
+
+      const snapshot = { teams: [], picks: [], live: [] };
+      const corrupt = [];
+
+      for (const row of statements.all.all()) {
+        let entry;
+        try {
+          entry = JSON.parse(row.value);
+        } catch {
+          // A row that can't be parsed is dropped rather than failing the restore
+          corrupt.push(row);
+          continue;
+        }
+
+        if (SINGLE_SECTIONS.has(row.section)) {
+          snapshot[row.section] = entry;
+        } else if (snapshot[row.section]) {
+          // Live data is keyed by gameweek number
+          const key = row.section === 'live' ? Number(row.key) : row.key;
+          snapshot[row.section].push([key, entry]);
+        }
+      }
+
+      if (corrupt.length > 0) {
+        corrupt.forEach(row => statements.delete.run(row.section, row.key));
+        logger.warn(`⚠️ Dropped ${corrupt.length} unreadable cache entries`);
+      }
+
+      return snapshot;
+    },
+
+    setEntry(section, key, entry, ttlMs = null) {
+      const now = Date.now();
+      statements.upsert.run({
+        section,
+        key: String(key),
+        value: JSON.stringify(entry),
+        updatedAt: now,
+        expiresAt: ttlMs ? (entry.timestamp || now) + ttlMs : null
+      });
+    },
+
+    deleteEntry(section, key) {
+      statements.delete.run(section, String(key));
+    },
+
+    clearSection(section) {
+      statements.clearSection.run(section);
+    },
+
+    prune() {
+      return statements.prune.run(Date.now()).changes;
+    },
+
+    // Entries are already on disk - only the hit/miss counters are left
+    async save(cache) {
+      this.setEntry('stats', '', cache.stats);
+      db.pragma('wal_checkpoint(TRUNCATE)');
+      logger.log('💾 Cache stats saved to SQLite');
+    },
+
+    close() {
+      if (db.open) {
+        db.close();
+      }
+    }
+  };
+}
@@ -4,6 +4,7 @@
 // ============================================================================
 
 import { cache } from './cacheManager.js';
+import { getProjectedPoints } from './projectionService.js';
 
 const DEFAULT_FIXTURE_DIFFICULTY = 3;
 const METRIC_KEYS = ['avgPPM', 'avgFDR', 'avgForm', 'expectedPoints', 'avgOwnership', 'avgXGI'];
@@ -30,10 +31,7 @@ export function calculateTeamMetricsFromPicks(picks, gameweek) {
   const squadStats = calculateSquadAverages(players, gameweek);
   const avgForm = calculateAverage(players, player => parseFloat(player.form) || 0);
   const avgXGI = calculateAverage(players, player => parseFloat(player.expected_goal_involvements_per_90) || 0);
-  const expectedPoints = players.reduce((sum, player) => {
-    const epNext = parseFloat(player.ep_next) || 0;
-    return sum + (epNext * 5);
-  }, 0);
+  const expectedPoints = players.reduce((sum, player) => sum + getProjectedPoints(player, gameweek, 5), 0);
 
   return {
     avgPPM: squadStats.avgPPM,
@@ -0,0 +1,38 @@
+// ============================================================================
+// PWA ICON GENERATOR
+// Renders the app icon SVG to the PNG sizes listed in manifest.webmanifest.
+// Run with `npm run generate-icons` after changing the artwork and commit the
+// PNGs - the build only copies them.
+// ============================================================================
+
+import sharp from 'sharp';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ICONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const SIZES = [192, 512];
+
+// Full-bleed background so the same image works as a maskable icon; the "F"
+// stays inside the central 80% safe zone.
+const ICON_SVG = `
+<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <rect width="512" height="512" fill="#37003c"/>
+  <rect x="176" y="136" width="56" height="200" rx="8" fill="#ffffff"/>
+  <rect x="176" y="136" width="168" height="52" rx="8" fill="#ffffff"/>
+  <rect x="176" y="230" width="128" height="48" rx="8" fill="#ffffff"/>
+  <rect x="176" y="356" width="168" height="20" rx="10" fill="#00ff87"/>
+</svg>`;
+
+async function generateIcons() {
+    for (const size of SIZES) {
+        const file = path.join(ICONS_DIR, `icon-${size}.png`);
+        await sharp(Buffer.from(ICON_SVG)).resize(size, size).png().toFile(file);
+        console.log(`✓ ${path.basename(file)}`);
+    }
+}
+
+generateIcons().catch(error => {
+    console.error('Failed to generate icons:', error.message);
+    process.exit(1);
+});
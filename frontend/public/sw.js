@@ -0,0 +1,167 @@
+// ============================================================================
+// SERVICE WORKER
+// Caches the app shell so FPLanner opens without a connection, and serves
+// bootstrap, fixtures and team data stale-while-revalidate. The page mirrors
+// the same payloads in IndexedDB (src/offline/offlineStore.js) as a second
+// line of defence.
+// ============================================================================
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `fplanner-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `fplanner-data-${CACHE_VERSION}`;
+
+/** Files cached on install - hashed build assets are cached as they load */
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest'];
+
+/** Set on cached API responses served because the network failed */
+const OFFLINE_HEADER = 'X-FPLanner-Offline';
+
+/** API endpoints served stale-while-revalidate */
+const SWR_API_PATTERNS = [
+    /^\/api\/fpl-data$/,
+    /^\/api\/bootstrap\/enriched$/,
+    /^\/api\/team\/\d+$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('fplanner-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Cache key for an API request - query params like ?refresh=true share the
+ * plain endpoint's entry
+ */
+function dataCacheKey(url) {
+    return `${url.origin}${url.pathname}`;
+}
+
+async function fetchAndCache(request, cacheKey) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(DATA_CACHE);
+        await cache.put(cacheKey, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Copy of a cached response flagged as an offline fallback, so the page
+ * reports it the same way as its own IndexedDB mirror
+ */
+function markOffline(response) {
+    const headers = new Headers(response.headers);
+    headers.set(OFFLINE_HEADER, '1');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Tell the page that the cached copy it was just given could not be refreshed
+ */
+async function notifyOffline(clientId, url) {
+    const client = clientId ? await self.clients.get(clientId) : null;
+    if (client) {
+        client.postMessage({ type: 'api-offline', path: url.pathname });
+    }
+}
+
+/**
+ * Stale-while-revalidate: answer from cache and refresh it in the background.
+ * Explicit refreshes (?refresh=true or fetch(..., { cache: 'no-cache' })) go to
+ * the network first and only fall back to the cache when it is unreachable.
+ * Either way the page hears when it is looking at a copy the network could
+ * not refresh.
+ */
+async function staleWhileRevalidate(event, url) {
+    const cacheKey = dataCacheKey(url);
+    const cached = await caches.match(cacheKey);
+    const forceNetwork = url.searchParams.has('refresh') || event.request.cache === 'no-cache';
+
+    const network = fetchAndCache(event.request, cacheKey);
+
+    if (cached && !forceNetwork) {
+        event.waitUntil(network.catch(() => notifyOffline(event.clientId, url)));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (err) {
+        if (cached) return markOffline(cached);
+        throw err;
+    }
+}
+
+/**
+ * Navigations go to the network first so deploys show up straight away,
+ * falling back to the cached shell offline
+ */
+async function networkFirstShell(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match('/index.html');
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Static assets are content-hashed by Vite, so a cached copy never goes stale
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        // Everything else (live stream, leagues, plans, ...) bypasses the worker
+        if (SWR_API_PATTERNS.some(pattern => pattern.test(url.pathname))) {
+            event.respondWith(staleWhileRevalidate(event, url));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstShell(request));
+        return;
+    }
+
+    if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname) || url.pathname.startsWith('/icons/')) {
+        event.respondWith(cacheFirst(request));
+    }
+});
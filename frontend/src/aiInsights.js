@@ -1,6 +1,6 @@
 // ============================================================================
 // AI INSIGHTS SERVICE
-// Handles Gemini API integration with smart caching
+// Fetches insights from the backend AI provider with smart caching
 // Aligns with GitHub data refresh (era-based: morning/evening)
 // ============================================================================
 
@@ -68,7 +68,7 @@ export class AIInsightsService {
     }
 
     /**
-     * Fetch insights from backend Gemini API
+     * Fetch insights from the backend AI insights endpoint
      * @param {Object} context - Context data
      * @returns {Promise<Object>} AI insights
      */
@@ -57,6 +57,7 @@ export function buildManagerSnapshot(teamData = sharedState.myTeamData) {
     const problemPlayers = squad
         .filter(player => Array.isArray(player.problemFlags))
         .map(player => ({
+            id: player.id,
             name: player.name,
             position: player.position,
             club: player.club,
@@ -117,6 +118,7 @@ export function buildMyTeamInsightsContext(teamData) {
         // Get next 3 fixtures for this player's club
         const nextFixtures = fullPlayer
             ? getFixtures(fullPlayer.team, 3, false).map(f => ({
+                fixtureId: f.fixtureId,
                 opponent: f.opponent,
                 difficulty: f.difficulty,
                 gw: f.event
@@ -150,6 +152,7 @@ export function buildMyTeamInsightsContext(teamData) {
             return hasRisks || lowForm || lowPPM;
         })
         .map(p => ({
+            id: p.id,
             name: p.name,
             position: p.position,
             club: p.club,
@@ -205,13 +208,15 @@ export function buildMyTeamInsightsContext(teamData) {
             const fullPlayer = getPlayerById(p.id);
             const opponents = getGWOpponents(fullPlayer?.team, activeGW);
             return {
+                id: p.id,
                 name: p.name,
                 position: p.position,
                 isStarter: p.isStarter,
                 isCaptain: p.isCaptain,
                 currentGWPoints: fullPlayer?.event_points || 0,
-                opponents: opponents.map(o => ({
-                    name: o.name, difficulty: o.difficulty, isHome: o.isHome
+                // The TBD placeholder for a blank gameweek has no fixture
+                opponents: opponents.filter(o => o.fixture).map(o => ({
+                    fixtureId: o.fixture.id, name: o.name, difficulty: o.difficulty, isHome: o.isHome
                 }))
             };
         })
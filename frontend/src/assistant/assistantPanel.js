@@ -0,0 +1,244 @@
+// ============================================================================
+// ASSISTANT PANEL
+// Floating chat panel for the AI assistant, available on every page. The
+// conversation belongs to the loaded team and is restored when reopened.
+// ============================================================================
+
+import { escapeHtml } from '../utils.js';
+import { sharedState } from '../sharedState.js';
+import { getConversation, clearConversation } from './store.js';
+import { askAssistant, getAssistantTeamId } from './chat.js';
+import { describeToolCall } from './tools.js';
+
+const SUGGESTIONS = [
+    'Best 2-transfer move under £1.5m?',
+    'Who should I captain?',
+    'Which of my players have the best fixtures?'
+];
+
+let initialized = false;
+let isOpen = false;
+let pendingStatus = null;
+
+function renderMessage(message) {
+    if (message.role === 'tool') {
+        return '';
+    }
+
+    if (Array.isArray(message.toolCalls)) {
+        return message.toolCalls.map(call => `
+            <div style="font-size: 0.7rem; color: var(--text-secondary); margin: 0.25rem 0; padding-left: 0.25rem;">
+                <i class="fas fa-wrench" style="opacity: 0.6;"></i> ${escapeHtml(describeToolCall(call))}
+            </div>
+        `).join('');
+    }
+
+    const isUser = message.role === 'user';
+    return `
+        <div style="display: flex; justify-content: ${isUser ? 'flex-end' : 'flex-start'}; margin: 0.4rem 0;">
+            <div style="
+                max-width: 85%;
+                padding: 0.5rem 0.75rem;
+                border-radius: ${isUser ? '12px 12px 2px 12px' : '12px 12px 12px 2px'};
+                background: ${isUser ? 'var(--primary-color)' : 'var(--bg-secondary)'};
+                color: ${isUser ? 'white' : message.error ? '#fb923c' : 'var(--text-primary)'};
+                font-size: 0.8rem;
+                line-height: 1.5;
+                white-space: pre-wrap;
+                word-break: break-word;
+            ">${escapeHtml(message.content)}</div>
+        </div>
+    `;
+}
+
+function renderMessages(messages) {
+    if (messages.length === 0) {
+        const hasTeam = Boolean(sharedState.myTeamData);
+        return `
+            <div style="color: var(--text-secondary); font-size: 0.8rem; text-align: center; padding: 1rem 0.5rem;">
+                ${hasTeam
+                    ? 'Ask about transfers, captaincy or fixtures - answers come from your squad and live FPL data.'
+                    : 'Load your team for advice on your own squad, or ask about any player.'}
+            </div>
+            <div style="display: flex; flex-direction: column; gap: 0.4rem; padding: 0 0.5rem;">
+                ${SUGGESTIONS.map(suggestion => `
+                    <button class="assistant-suggestion" data-question="${escapeHtml(suggestion)}" style="
+                        padding: 0.4rem 0.75rem; background: transparent; color: var(--primary-color);
+                        border: 1px solid var(--border-color); border-radius: 999px; cursor: pointer; font-size: 0.75rem;
+                    ">${escapeHtml(suggestion)}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    return messages.map(renderMessage).join('') + (pendingStatus ? `
+        <div style="font-size: 0.75rem; color: var(--text-secondary); margin: 0.4rem 0;">
+            <i class="fas fa-spinner fa-spin"></i> ${escapeHtml(pendingStatus)}
+        </div>
+    ` : '');
+}
+
+function renderToggle() {
+    let toggle = document.getElementById('assistant-toggle');
+    if (!toggle) {
+        toggle = document.createElement('button');
+        toggle.id = 'assistant-toggle';
+        toggle.setAttribute('aria-label', 'Open FPL assistant');
+        toggle.innerHTML = '<i class="fas fa-comments"></i>';
+        toggle.addEventListener('click', () => {
+            isOpen = !isOpen;
+            renderPanel();
+        });
+        document.body.appendChild(toggle);
+    }
+
+    toggle.setAttribute('style', `
+        position: fixed;
+        right: 1rem;
+        bottom: calc(8rem + env(safe-area-inset-bottom));
+        z-index: 1500;
+        width: 48px;
+        height: 48px;
+        border-radius: 50%;
+        border: none;
+        background: var(--primary-color);
+        color: white;
+        font-size: 1.1rem;
+        cursor: pointer;
+        box-shadow: 0 4px 16px var(--shadow);
+        display: ${isOpen ? 'none' : 'flex'};
+        align-items: center;
+        justify-content: center;
+    `);
+}
+
+function renderPanel() {
+    renderToggle();
+
+    let panel = document.getElementById('assistant-panel');
+    if (!isOpen) {
+        panel?.remove();
+        return;
+    }
+
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'assistant-panel';
+        document.body.appendChild(panel);
+    }
+
+    panel.setAttribute('style', `
+        position: fixed;
+        right: 1rem;
+        bottom: calc(4.5rem + env(safe-area-inset-bottom));
+        z-index: 1600;
+        width: min(380px, calc(100vw - 2rem));
+        height: min(520px, calc(100vh - 8rem));
+        display: flex;
+        flex-direction: column;
+        background: var(--bg-primary);
+        border: 1px solid var(--border-color);
+        border-radius: 12px;
+        box-shadow: 0 8px 24px var(--shadow);
+        overflow: hidden;
+    `);
+
+    const teamName = sharedState.myTeamData?.team?.name;
+    panel.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 0.5rem; padding: 0.6rem 0.75rem; border-bottom: 1px solid var(--border-color);">
+            <div style="flex: 1; min-width: 0;">
+                <div style="font-weight: 700; font-size: 0.9rem; color: var(--text-primary);">🤖 FPL Assistant</div>
+                <div style="font-size: 0.7rem; color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                    ${teamName ? escapeHtml(teamName) : 'No team loaded'}
+                </div>
+            </div>
+            <button id="assistant-clear" title="Clear conversation" style="background: none; border: none; color: var(--text-secondary); cursor: pointer;">
+                <i class="fas fa-trash-alt"></i>
+            </button>
+            <button id="assistant-close" title="Close" style="background: none; border: none; color: var(--text-secondary); cursor: pointer; font-size: 1rem;">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        <div id="assistant-messages" style="flex: 1; overflow-y: auto; padding: 0.5rem 0.75rem;">
+            ${renderMessages(getConversation(getAssistantTeamId()))}
+        </div>
+        <form id="assistant-form" style="display: flex; gap: 0.5rem; padding: 0.6rem 0.75rem; border-top: 1px solid var(--border-color);">
+            <input
+                id="assistant-input"
+                type="text"
+                autocomplete="off"
+                maxlength="500"
+                placeholder="Ask about your team..."
+                ${pendingStatus ? 'disabled' : ''}
+                style="flex: 1; padding: 0.5rem 0.75rem; border: 1px solid var(--border-color); border-radius: 999px; background: var(--bg-secondary); color: var(--text-primary); font-size: 0.8rem;"
+            />
+            <button type="submit" ${pendingStatus ? 'disabled' : ''} aria-label="Send" style="
+                padding: 0.5rem 0.85rem; background: var(--primary-color); color: white; border: none;
+                border-radius: 999px; cursor: pointer; opacity: ${pendingStatus ? '0.6' : '1'};
+            "><i class="fas fa-paper-plane"></i></button>
+        </form>
+    `;
+
+    const messagesEl = document.getElementById('assistant-messages');
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    attachPanelListeners();
+}
+
+function attachPanelListeners() {
+    document.getElementById('assistant-close')?.addEventListener('click', () => {
+        isOpen = false;
+        renderPanel();
+    });
+
+    document.getElementById('assistant-clear')?.addEventListener('click', () => {
+        if (pendingStatus) return;
+        if (confirm('Clear this conversation?')) {
+            clearConversation(getAssistantTeamId());
+        }
+    });
+
+    document.querySelectorAll('.assistant-suggestion').forEach(btn => {
+        btn.addEventListener('click', () => submitQuestion(btn.dataset.question));
+    });
+
+    document.getElementById('assistant-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitQuestion(document.getElementById('assistant-input')?.value || '');
+    });
+
+    if (!pendingStatus) {
+        document.getElementById('assistant-input')?.focus();
+    }
+}
+
+async function submitQuestion(question) {
+    if (!question.trim() || pendingStatus) return;
+
+    pendingStatus = 'Thinking...';
+    try {
+        await askAssistant(question, {
+            onToolCalls: (calls) => {
+                pendingStatus = `${calls.map(describeToolCall).join(', ')}...`;
+                renderPanel();
+            }
+        });
+    } finally {
+        pendingStatus = null;
+        renderPanel();
+    }
+}
+
+/**
+ * Add the assistant toggle button and keep the panel in sync with the
+ * conversation store
+ */
+export function initAssistantPanel() {
+    if (initialized || typeof document === 'undefined') return;
+    initialized = true;
+
+    window.addEventListener('assistant-updated', () => {
+        if (isOpen) renderPanel();
+    });
+
+    renderPanel();
+}
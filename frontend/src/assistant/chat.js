@@ -0,0 +1,92 @@
+// ============================================================================
+// ASSISTANT CHAT
+// Runs one question through the backend assistant: sends the conversation and
+// manager snapshot, runs any tools it asks for locally and sends the results
+// back until it replies
+// ============================================================================
+
+import { getActiveGW, currentGW } from '../data.js';
+import { sharedState } from '../sharedState.js';
+import { buildManagerSnapshot } from '../aiManagerSnapshot.js';
+import { getConversation, appendMessages } from './store.js';
+import { runAssistantTool } from './tools.js';
+
+/** Tool rounds per question before giving up (the backend allows 3) */
+const MAX_TOOL_ROUNDS = 4;
+
+/**
+ * Conversation key for the loaded team
+ * @returns {number|null} Team ID, or null for the guest conversation
+ */
+export function getAssistantTeamId() {
+    return sharedState.teamId ?? sharedState.myTeamData?.team?.id ?? null;
+}
+
+/**
+ * Fetch the next assistant turn from the backend
+ * @param {Object} body - { messages, managerSnapshot, gameweek }
+ * @returns {Promise<Object>} { type: 'reply', reply } or { type: 'tool_calls', toolCalls }
+ */
+async function fetchChatTurn(body) {
+    const response = await fetch('/api/ai-chat', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || `HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Ask the assistant a question about the loaded team
+ * The question, tool calls, tool results and reply are all saved to the
+ * team's conversation as they happen.
+ * @param {string} question - Manager's message
+ * @param {Object} [options]
+ * @param {number|null} [options.teamId=getAssistantTeamId()] - Conversation to use
+ * @param {Function} [options.onToolCalls] - Called with each batch of tool calls before they run
+ * @returns {Promise<string>} Assistant reply
+ */
+export async function askAssistant(question, { teamId = getAssistantTeamId(), onToolCalls } = {}) {
+    appendMessages(teamId, [{ role: 'user', content: question.trim(), timestamp: Date.now() }]);
+
+    try {
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+            const turn = await fetchChatTurn({
+                messages: getConversation(teamId),
+                managerSnapshot: buildManagerSnapshot(),
+                gameweek: getActiveGW() || currentGW
+            });
+
+            if (turn.type !== 'tool_calls') {
+                appendMessages(teamId, [{ role: 'assistant', content: turn.reply, provider: turn.provider, timestamp: Date.now() }]);
+                return turn.reply;
+            }
+
+            onToolCalls?.(turn.toolCalls);
+            const results = turn.toolCalls.map(call => ({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: runAssistantTool(call.name, call.arguments)
+            }));
+            appendMessages(teamId, [{ role: 'assistant', toolCalls: turn.toolCalls }, ...results]);
+        }
+    } catch (error) {
+        console.error('❌ Assistant request failed:', error);
+        const reply = 'Sorry, I could not reach the assistant. Please try again.';
+        appendMessages(teamId, [{ role: 'assistant', content: reply, error: true, timestamp: Date.now() }]);
+        return reply;
+    }
+
+    const reply = 'That took too many lookups - try a more specific question.';
+    appendMessages(teamId, [{ role: 'assistant', content: reply, error: true, timestamp: Date.now() }]);
+    return reply;
+}
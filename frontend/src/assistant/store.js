@@ -0,0 +1,101 @@
+// ============================================================================
+// ASSISTANT STORE
+// Chat conversations with the AI assistant, one per team, kept in
+// localStorage so a conversation survives reloads and team switches
+// ============================================================================
+
+const STORAGE_PREFIX = 'fplanner_assistant_';
+
+/** Conversation key when no team is loaded */
+export const GUEST_CONVERSATION = 'guest';
+
+/** Max messages kept per team (tool calls and results count) */
+const MAX_STORED_MESSAGES = 60;
+
+const conversations = new Map();
+
+function getStorageKey(teamId) {
+    return `${STORAGE_PREFIX}${teamId ?? GUEST_CONVERSATION}`;
+}
+
+function loadFromStorage(teamId) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return [];
+    }
+    try {
+        const raw = window.localStorage.getItem(getStorageKey(teamId));
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) return [];
+        return parsed.filter(message => typeof message === 'object' && message !== null && typeof message.role === 'string');
+    } catch (err) {
+        console.warn('Failed to parse assistant conversation', err);
+        return [];
+    }
+}
+
+function persist(teamId) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(getStorageKey(teamId), JSON.stringify(conversations.get(getStorageKey(teamId))));
+    } catch (err) {
+        console.warn('Failed to persist assistant conversation', err);
+    }
+}
+
+function emitChange(teamId) {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent('assistant-updated', {
+        detail: { teamId: teamId ?? GUEST_CONVERSATION }
+    }));
+}
+
+function getMessages(teamId) {
+    const key = getStorageKey(teamId);
+    if (!conversations.has(key)) {
+        conversations.set(key, loadFromStorage(teamId));
+    }
+    return conversations.get(key);
+}
+
+/**
+ * Conversation with the assistant for a team
+ * @param {number|null} teamId - Team ID (null for the guest conversation)
+ * @returns {Object[]} Messages, oldest first (see backend/services/chatService.js)
+ */
+export function getConversation(teamId) {
+    return [...getMessages(teamId)];
+}
+
+/**
+ * Add messages to a team's conversation
+ * Older messages are dropped past MAX_STORED_MESSAGES, never leaving a tool
+ * result without the question that asked for it.
+ * @param {number|null} teamId - Team ID
+ * @param {Object[]} messages - Messages to append
+ */
+export function appendMessages(teamId, messages) {
+    let updated = [...getMessages(teamId), ...messages];
+    if (updated.length > MAX_STORED_MESSAGES) {
+        updated = updated.slice(-MAX_STORED_MESSAGES);
+        const firstUser = updated.findIndex(message => message.role === 'user');
+        updated = firstUser === -1 ? [] : updated.slice(firstUser);
+    }
+    conversations.set(getStorageKey(teamId), updated);
+    persist(teamId);
+    emitChange(teamId);
+}
+
+/**
+ * Start a team's conversation over
+ * @param {number|null} teamId - Team ID
+ */
+export function clearConversation(teamId) {
+    conversations.set(getStorageKey(teamId), []);
+    if (typeof window !== 'undefined' && window.localStorage) {
+        window.localStorage.removeItem(getStorageKey(teamId));
+    }
+    emitChange(teamId);
+}
@@ -0,0 +1,214 @@
+// ============================================================================
+// ASSISTANT TOOLS
+// Local tools the AI assistant can call (player lookup, fixtures, projected
+// points, replacements). They run against the FPL data already loaded in the
+// browser; results go back to the backend as tool messages. Tool names and
+// arguments match CHAT_TOOLS in backend/services/chatService.js.
+// ============================================================================
+
+import { getAllPlayers, getPlayerById, fplBootstrap, currentGW } from '../data.js';
+import { getPositionShort, getTeamShortName, getTeamName } from '../utils.js';
+import { getFixtures } from '../fixtures.js';
+import { getProjectedPoints, getProjectedPointsForGameweek, DEFAULT_PROJECTION_HORIZON } from '../projections.js';
+import { findReplacements } from '../transferHelpers.js';
+import { sharedState } from '../sharedState.js';
+
+const MAX_PLAYER_MATCHES = 5;
+const MAX_FIXTURES = 8;
+
+/** Letters NFD doesn't split into a base letter and an accent */
+const LETTER_FOLDS = { ø: 'o', æ: 'ae', ß: 'ss', ł: 'l', đ: 'd' };
+
+function round1(value) {
+    return Math.round((Number(value) || 0) * 10) / 10;
+}
+
+function normalizeName(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[øæßłđ]/g, letter => LETTER_FOLDS[letter])
+        .trim();
+}
+
+/**
+ * Compact player summary for the model
+ * @param {Object} player - Player object
+ * @returns {Object}
+ */
+function summarizePlayer(player) {
+    return {
+        id: player.id,
+        name: player.web_name,
+        team: getTeamShortName(player.team),
+        position: getPositionShort(player),
+        price: player.now_cost / 10,
+        form: parseFloat(player.form) || 0,
+        totalPoints: player.total_points,
+        ownership: parseFloat(player.selected_by_percent) || 0,
+        status: player.status,
+        news: player.news || '',
+        projectedPoints: round1(getProjectedPoints(player, DEFAULT_PROJECTION_HORIZON))
+    };
+}
+
+/**
+ * Players matching a name: exact web names first, then by total points
+ * @param {string} name - Full or partial name
+ * @returns {Object[]} Player objects
+ */
+function findPlayersByName(name) {
+    const query = normalizeName(name);
+    if (!query) return [];
+
+    return getAllPlayers()
+        .map(player => {
+            const webName = normalizeName(player.web_name);
+            const fullName = normalizeName(`${player.first_name} ${player.second_name}`);
+            const rank = webName === query ? 0 : webName.includes(query) ? 1 : fullName.includes(query) ? 2 : null;
+            return { player, rank };
+        })
+        .filter(match => match.rank !== null)
+        .sort((a, b) => a.rank - b.rank || b.player.total_points - a.player.total_points)
+        .slice(0, MAX_PLAYER_MATCHES)
+        .map(match => match.player);
+}
+
+function findTeam(name) {
+    const query = normalizeName(name);
+    return (fplBootstrap?.teams || []).find(team =>
+        normalizeName(team.short_name) === query || normalizeName(team.name) === query
+    ) || (fplBootstrap?.teams || []).find(team => normalizeName(team.name).includes(query)) || null;
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+function lookupPlayer({ name, playerId }) {
+    const players = Number.isInteger(playerId)
+        ? [getPlayerById(playerId)].filter(Boolean)
+        : findPlayersByName(name);
+    return { players: players.map(summarizePlayer) };
+}
+
+function lookupFixtures({ playerId, team, count = 5 }) {
+    const player = Number.isInteger(playerId) ? getPlayerById(playerId) : null;
+    if (Number.isInteger(playerId) && !player) {
+        return { error: `No player with id ${playerId}` };
+    }
+    const teamId = player ? player.team : findTeam(team)?.id;
+    if (!teamId) {
+        return { error: `No team called "${team}"` };
+    }
+
+    const fixtures = getFixtures(teamId, Math.min(Math.max(parseInt(count, 10) || 5, 1), MAX_FIXTURES));
+    return {
+        player: player?.web_name,
+        team: getTeamName(teamId),
+        fixtures: fixtures.map(f => ({
+            fixtureId: f.fixtureId,
+            gameweek: f.event,
+            opponent: f.opponent,
+            difficulty: f.difficulty
+        }))
+    };
+}
+
+function projectedPoints({ playerIds, gameweek, horizon }) {
+    const players = playerIds.map(id => getPlayerById(id)).filter(Boolean);
+    const span = Number.isInteger(horizon) && horizon > 0 ? horizon : DEFAULT_PROJECTION_HORIZON;
+    return {
+        gameweek: Number.isInteger(gameweek) ? gameweek : null,
+        horizon: Number.isInteger(gameweek) ? 1 : span,
+        players: players.map(player => ({
+            id: player.id,
+            name: player.web_name,
+            xPts: round1(Number.isInteger(gameweek)
+                ? getProjectedPointsForGameweek(player, gameweek)
+                : getProjectedPoints(player, span))
+        }))
+    };
+}
+
+function replacementsFor({ playerId, bank, gameweek }) {
+    const picks = sharedState.myTeamData?.picks;
+    if (!picks?.picks) {
+        return { error: 'Load a team to search for replacements' };
+    }
+    if (!picks.picks.some(pick => pick.element === playerId)) {
+        return { error: `Player ${playerId} is not in the squad` };
+    }
+    const player = getPlayerById(playerId);
+    if (!player) {
+        return { error: `No player with id ${playerId}` };
+    }
+
+    // findReplacements budgets with the sale price plus entry_history.bank (tenths)
+    const bankTenths = typeof bank === 'number' && bank >= 0
+        ? Math.round(bank * 10)
+        : picks.entry_history?.bank || 0;
+    const budgetPicks = { ...picks, entry_history: { ...picks.entry_history, bank: bankTenths } };
+
+    return {
+        player: summarizePlayer(player),
+        bank: bankTenths / 10,
+        replacements: findReplacements(player, budgetPicks, gameweek || currentGW).map(({ player: candidate, score, priceDiff }) => ({
+            ...summarizePlayer(candidate),
+            priceDiff: priceDiff / 10,
+            score: Math.round(score)
+        }))
+    };
+}
+
+const TOOLS = {
+    lookup_player: lookupPlayer,
+    lookup_fixtures: lookupFixtures,
+    projected_points: projectedPoints,
+    find_replacements: replacementsFor
+};
+
+/**
+ * Run a tool the assistant asked for
+ * @param {string} name - Tool name
+ * @param {Object} [args={}] - Tool arguments
+ * @returns {Object} Tool result ({ error } when the tool can't run)
+ */
+export function runAssistantTool(name, args = {}) {
+    const tool = TOOLS[name];
+    if (!tool) {
+        return { error: `Unknown tool "${name}"` };
+    }
+    if (!fplBootstrap) {
+        return { error: 'FPL data is still loading' };
+    }
+
+    try {
+        return tool(args || {});
+    } catch (err) {
+        console.error(`Assistant tool ${name} failed:`, err);
+        return { error: `${name} failed: ${err.message}` };
+    }
+}
+
+/**
+ * Short description of a tool call for the chat panel
+ * @param {Object} call - { name, arguments }
+ * @returns {string}
+ */
+export function describeToolCall({ name, arguments: args = {} }) {
+    const playerName = id => getPlayerById(id)?.web_name || `#${id}`;
+    switch (name) {
+        case 'lookup_player':
+            return `Looked up ${args.name || playerName(args.playerId)}`;
+        case 'lookup_fixtures':
+            return `Checked fixtures for ${args.team || playerName(args.playerId)}`;
+        case 'projected_points':
+            return `Projected points for ${(args.playerIds || []).length} players${args.gameweek ? ` in GW${args.gameweek}` : ''}`;
+        case 'find_replacements':
+            return `Searched replacements for ${playerName(args.playerId)}${typeof args.bank === 'number' ? ` with £${args.bank.toFixed(1)}m` : ''}`;
+        default:
+            return `Ran ${name}`;
+    }
+}
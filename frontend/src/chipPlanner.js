@@ -0,0 +1,438 @@
+// ============================================================================
+// CHIP PLANNER MODULE
+// Evaluates every remaining gameweek for each unused chip and recommends
+// a season chip schedule
+// ============================================================================
+
+import { getAllPlayers, currentGW } from './data.js';
+import { getBlankGameweeks, getDoubleGameweeks } from './fixtures.js';
+import { getProjectedPoints, getProjectedPointsForGameweek } from './projections.js';
+import { selectStartingXI } from './transferOptimizer.js';
+import { calculateProjectedSquad, setChip, MAX_PLAYERS_PER_TEAM } from './teamBuilderHelpers.js';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} ChipGameweekEvaluation
+ * @property {number} gameweek - Gameweek number
+ * @property {number} squadXPts - Projected points for the squad's best XI plus captain
+ * @property {number} doublePlayers - Squad players with a double gameweek
+ * @property {number} blankPlayers - Squad players with a blank gameweek
+ * @property {Object<string, {gain: number, detail: string}>} chips - Expected gain per chip
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const CHIP_NAMES = {
+    wildcard: 'Wildcard',
+    freehit: 'Free Hit',
+    benchboost: 'Bench Boost',
+    triplecaptain: 'Triple Captain'
+};
+
+// Squad composition for Free Hit / Wildcard squads (GKP, DEF, MID, FWD)
+const SQUAD_POSITIONS = { 1: 2, 2: 5, 3: 5, 4: 3 };
+const XI_MAX = { 1: 1, 2: 5, 3: 5, 4: 3 };
+const XI_MIN = { 1: 1, 2: 3, 3: 2, 4: 1 };
+const STARTING_XI_SIZE = 11;
+
+// Candidates per position considered when building a Free Hit / Wildcard XI
+const CANDIDATES_PER_POSITION = 40;
+
+// Non-squad players per position projected for the calendar (ranked by
+// their default-horizon projection)
+const CALENDAR_POOL_PER_POSITION = 40;
+
+// FPL returns are heavy-tailed: variance is roughly this multiple of the mean
+const POINTS_VARIANCE_FACTOR = 5;
+// z-score for an 80th percentile "ceiling"
+const CEILING_Z = 0.84;
+
+// Gameweeks a Wildcard squad is built for
+const WILDCARD_HORIZON = 5;
+
+// ============================================================================
+// SQUAD SCORING
+// ============================================================================
+
+/**
+ * Score a squad for one gameweek
+ * @param {Array<Object>} players - Squad player objects
+ * @param {number} gameweek - Gameweek
+ * @param {function(Object, number): number} [xPtsOf=getProjectedPointsForGameweek] - Player xPts in a gameweek
+ * @returns {{xi: number, bench: number, captain: Object|null, captainXPts: number}} Breakdown
+ */
+function scoreSquad(players, gameweek, xPtsOf = getProjectedPointsForGameweek) {
+    const entries = players.map(player => ({
+        player,
+        position: player.element_type,
+        xPts: xPtsOf(player, gameweek)
+    }));
+
+    const { starters, bench } = selectStartingXI(entries);
+    const captain = starters.reduce((best, e) => (!best || e.xPts > best.xPts ? e : best), null);
+
+    return {
+        xi: starters.reduce((sum, e) => sum + e.xPts, 0),
+        bench: bench.reduce((sum, e) => sum + e.xPts, 0),
+        captain: captain?.player || null,
+        captainXPts: captain?.xPts || 0
+    };
+}
+
+/**
+ * Approximate upside for a captain (80th percentile of returns)
+ * @param {number} xPts - Expected points
+ * @returns {number} Ceiling points
+ */
+function getCeiling(xPts) {
+    return xPts + CEILING_Z * Math.sqrt(POINTS_VARIANCE_FACTOR * Math.max(0, xPts));
+}
+
+/**
+ * Build the best XI affordable within a budget (greedy, then budget repair)
+ * Starts from the highest projected XI that fits formation and club limits,
+ * then makes the swaps that lose the fewest points per £ saved until it fits.
+ * Four cheapest bench players are reserved from the budget first.
+ * @param {function(Object): number} valueOf - Projected value of a player
+ * @param {number} budget - Total budget (tenths) for the full 15-man squad
+ * @param {Array<Object>|null} [pool=null] - Players to pick from (defaults to every available player)
+ * @returns {{players: Array<Object>, cost: number}} XI and its cost
+ */
+export function buildBestXI(valueOf, budget, pool = null) {
+    const available = getAvailablePlayers();
+    const candidatesByPosition = {};
+    Object.keys(SQUAD_POSITIONS).forEach(pos => {
+        candidatesByPosition[pos] = (pool || available)
+            .filter(p => p.element_type === Number(pos))
+            .map(p => ({ player: p, value: valueOf(p) }))
+            .sort((a, b) => b.value - a.value)
+            .slice(0, CANDIDATES_PER_POSITION);
+    });
+
+    // Reserve the cheapest bench: 1 GKP + 3 outfield
+    const cheapest = (filter, n) => available
+        .filter(filter)
+        .map(p => p.now_cost)
+        .sort((a, b) => a - b)
+        .slice(0, n)
+        .reduce((sum, c) => sum + c, 0);
+    const benchReserve = cheapest(p => p.element_type === 1, 1) + cheapest(p => p.element_type !== 1, 3);
+    const xiBudget = budget - benchReserve;
+
+    // Greedy XI by value, respecting formation and club limits
+    const xi = [];
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0 };
+    const clubs = {};
+    const canAdd = (c) => counts[c.player.element_type] < XI_MAX[c.player.element_type] &&
+        (clubs[c.player.team] || 0) < MAX_PLAYERS_PER_TEAM;
+    const add = (c) => {
+        xi.push(c);
+        counts[c.player.element_type]++;
+        clubs[c.player.team] = (clubs[c.player.team] || 0) + 1;
+    };
+
+    Object.entries(XI_MIN).forEach(([pos, min]) => {
+        candidatesByPosition[pos].forEach(c => {
+            if (counts[pos] < min && canAdd(c)) add(c);
+        });
+    });
+    Object.values(candidatesByPosition)
+        .flat()
+        .sort((a, b) => b.value - a.value)
+        .forEach(c => {
+            if (xi.length < STARTING_XI_SIZE && !xi.includes(c) && canAdd(c)) add(c);
+        });
+
+    // Budget repair
+    let cost = xi.reduce((sum, c) => sum + c.player.now_cost, 0);
+    let guard = 50;
+    while (cost > xiBudget && guard-- > 0) {
+        let bestSwap = null;
+
+        xi.forEach((current, idx) => {
+            candidatesByPosition[current.player.element_type].forEach(c => {
+                if (xi.includes(c) || c.player.now_cost >= current.player.now_cost) return;
+                const clubCount = (clubs[c.player.team] || 0) - (c.player.team === current.player.team ? 1 : 0);
+                if (clubCount >= MAX_PLAYERS_PER_TEAM) return;
+
+                const saved = current.player.now_cost - c.player.now_cost;
+                const ratio = (current.value - c.value) / saved;
+                if (!bestSwap || ratio < bestSwap.ratio) {
+                    bestSwap = { idx, candidate: c, ratio, saved };
+                }
+            });
+        });
+
+        if (!bestSwap) break;
+
+        const removed = xi[bestSwap.idx];
+        clubs[removed.player.team]--;
+        clubs[bestSwap.candidate.player.team] = (clubs[bestSwap.candidate.player.team] || 0) + 1;
+        xi[bestSwap.idx] = bestSwap.candidate;
+        cost -= bestSwap.saved;
+    }
+
+    return { players: xi.map(c => c.player), cost };
+}
+
+/**
+ * Players who can be picked for a Free Hit / Wildcard squad
+ * @returns {Array<Object>} Players not unavailable or ruled out
+ */
+function getAvailablePlayers() {
+    return getAllPlayers().filter(p => p.status !== 'u' && p.chance_of_playing_next_round !== 0);
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Squad player objects for a gameweek (plan squad if a plan is given)
+ * @param {Object} plan - Transfer plan
+ * @param {number} gameweek - Gameweek
+ * @param {Map<number, Object>} playersById - All players by ID
+ * @returns {{players: Array<Object>, budget: number}} Squad and total budget
+ */
+function getSquadForGameweek(plan, gameweek, playersById) {
+    const lastPlannedGW = plan.startGW + plan.planningHorizon - 1;
+    const { squad, bank, value } = calculateProjectedSquad(plan, Math.min(gameweek, lastPlannedGW));
+    const players = squad
+        .map(pick => playersById.get(pick.element))
+        .filter(Boolean);
+
+    return { players, budget: value + bank };
+}
+
+/**
+ * Players the calendar projects: every squad player plus the best
+ * CALENDAR_POOL_PER_POSITION available players per position
+ * @param {Array<Array<Object>>} squads - Squad players for each gameweek
+ * @returns {Array<Object>} Candidate pool
+ */
+function getCalendarPool(squads) {
+    const pool = new Map();
+    squads.flat().forEach(player => pool.set(player.id, player));
+
+    const ranked = getAvailablePlayers()
+        .map(player => ({ player, xPts: getProjectedPoints(player) }))
+        .sort((a, b) => b.xPts - a.xPts);
+    Object.keys(SQUAD_POSITIONS).forEach(pos => {
+        ranked
+            .filter(r => r.player.element_type === Number(pos))
+            .slice(0, CALENDAR_POOL_PER_POSITION)
+            .forEach(r => pool.set(r.player.id, r.player));
+    });
+
+    return Array.from(pool.values());
+}
+
+/**
+ * Project each player once per gameweek
+ * @param {Array<Object>} players - Players to project
+ * @param {number} firstGW - First gameweek
+ * @param {number} lastGW - Last gameweek
+ * @returns {function(Object, number): number} Player xPts in a gameweek
+ */
+function createProjectionLookup(players, firstGW, lastGW) {
+    const table = new Map();
+    players.forEach(player => {
+        const byGameweek = {};
+        for (let gw = firstGW; gw <= lastGW; gw++) {
+            byGameweek[gw] = getProjectedPointsForGameweek(player, gw);
+        }
+        table.set(player.id, byGameweek);
+    });
+
+    return (player, gameweek) => table.get(player.id)?.[gameweek] ?? getProjectedPointsForGameweek(player, gameweek);
+}
+
+/**
+ * Count squad players with doubles/blanks in each gameweek
+ * @param {Array<Object>} players - Squad players
+ * @param {number} lookAhead - Gameweeks to scan
+ * @returns {{doubles: Object<number, number>, blanks: Object<number, number>}} Counts keyed by gameweek
+ */
+function countSquadDoublesAndBlanks(players, lookAhead) {
+    const doubles = {};
+    const blanks = {};
+
+    players.forEach(player => {
+        getDoubleGameweeks(player.team, lookAhead).forEach(d => {
+            doubles[d.gameweek] = (doubles[d.gameweek] || 0) + 1;
+        });
+        getBlankGameweeks(player.team, lookAhead).forEach(gw => {
+            blanks[gw] = (blanks[gw] || 0) + 1;
+        });
+    });
+
+    return { doubles, blanks };
+}
+
+/**
+ * Evaluate each chip in each remaining gameweek
+ * @param {Object} plan - Transfer plan (squad evolves through the plan's transfers)
+ * @param {string[]} chips - Unused chip names
+ * @param {number} [lastGW=38] - Last gameweek to evaluate
+ * @returns {ChipGameweekEvaluation[]} One entry per gameweek
+ */
+export function evaluateChipCalendar(plan, chips, lastGW = 38) {
+    const firstGW = plan.startGW || currentGW + 1;
+    if (firstGW > lastGW) return [];
+
+    const lookAhead = lastGW - currentGW;
+    const lastProjectedGW = Math.min(38, lastGW + WILDCARD_HORIZON - 1);
+
+    const playersById = new Map(getAllPlayers().map(p => [p.id, p]));
+    const squads = new Map();
+    for (let gw = firstGW; gw <= lastProjectedGW; gw++) {
+        squads.set(gw, getSquadForGameweek(plan, gw, playersById));
+    }
+
+    const pool = getCalendarPool(Array.from(squads.values(), squad => squad.players));
+    const xPtsOf = createProjectionLookup(pool, firstGW, lastProjectedGW);
+    const squadTotal = (players, gw) => {
+        const score = scoreSquad(players, gw, xPtsOf);
+        return score.xi + score.captainXPts;
+    };
+
+    const { doubles, blanks } = countSquadDoublesAndBlanks(squads.get(firstGW).players, lookAhead);
+    const calendar = [];
+
+    for (let gw = firstGW; gw <= lastGW; gw++) {
+        const { players, budget } = squads.get(gw);
+        const base = scoreSquad(players, gw, xPtsOf);
+        const baseTotal = base.xi + base.captainXPts;
+        const evaluation = {
+            gameweek: gw,
+            squadXPts: baseTotal,
+            doublePlayers: doubles[gw] || 0,
+            blankPlayers: blanks[gw] || 0,
+            chips: {}
+        };
+
+        if (chips.includes('benchboost')) {
+            evaluation.chips.benchboost = {
+                gain: base.bench,
+                detail: `Bench projects ${base.bench.toFixed(1)} pts`
+            };
+        }
+
+        if (chips.includes('triplecaptain')) {
+            evaluation.chips.triplecaptain = {
+                gain: base.captainXPts,
+                ceiling: getCeiling(base.captainXPts),
+                detail: base.captain
+                    ? `${base.captain.web_name} ${base.captainXPts.toFixed(1)} xPts (ceiling ${getCeiling(base.captainXPts).toFixed(0)})`
+                    : 'No captain projected'
+            };
+        }
+
+        if (chips.includes('freehit')) {
+            const best = buildBestXI(p => xPtsOf(p, gw), budget, pool);
+            const freeHitTotal = squadTotal(best.players, gw);
+            evaluation.chips.freehit = {
+                gain: Math.max(0, freeHitTotal - baseTotal),
+                detail: `Best XI ${freeHitTotal.toFixed(1)} vs ${baseTotal.toFixed(1)}`
+            };
+        }
+
+        if (chips.includes('wildcard')) {
+            const window = [];
+            for (let w = gw; w < gw + WILDCARD_HORIZON && w <= 38; w++) window.push(w);
+
+            const best = buildBestXI(p => window.reduce((sum, w) => sum + xPtsOf(p, w), 0), budget, pool);
+            const wildcardTotal = window.reduce((sum, w) => sum + squadTotal(best.players, w), 0);
+            const currentTotal = window.reduce((sum, w) => sum + squadTotal(squads.get(w).players, w), 0);
+
+            evaluation.chips.wildcard = {
+                gain: Math.max(0, wildcardTotal - currentTotal),
+                detail: `Next ${window.length} GWs: ${wildcardTotal.toFixed(1)} vs ${currentTotal.toFixed(1)}`
+            };
+        }
+
+        calendar.push(evaluation);
+    }
+
+    return calendar;
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Recommend one gameweek per chip, maximising total expected gain
+ * Exhaustive over each chip's best few weeks, so no two chips share a week.
+ * @param {ChipGameweekEvaluation[]} calendar - Output of evaluateChipCalendar
+ * @param {string[]} chips - Unused chip names
+ * @param {number} [optionsPerChip=6] - Top gameweeks considered per chip
+ * @returns {{schedule: Object<string, number>, totalGain: number}} Chip -> gameweek
+ */
+export function recommendChipSchedule(calendar, chips, optionsPerChip = 6) {
+    const options = chips.map(chip => calendar
+        .filter(e => e.chips[chip])
+        .map(e => ({ gameweek: e.gameweek, gain: e.chips[chip].gain }))
+        .sort((a, b) => b.gain - a.gain)
+        .slice(0, optionsPerChip));
+
+    let best = { schedule: {}, totalGain: 0 };
+
+    const search = (index, used, schedule, total) => {
+        if (index === chips.length) {
+            if (total > best.totalGain) best = { schedule: { ...schedule }, totalGain: total };
+            return;
+        }
+
+        // Leaving a chip unscheduled is allowed if every good week is taken
+        search(index + 1, used, schedule, total);
+
+        options[index].forEach(option => {
+            if (used.has(option.gameweek)) return;
+            used.add(option.gameweek);
+            schedule[chips[index]] = option.gameweek;
+            search(index + 1, used, schedule, total + option.gain);
+            delete schedule[chips[index]];
+            used.delete(option.gameweek);
+        });
+    };
+
+    search(0, new Set(), {}, 0);
+    return best;
+}
+
+/**
+ * Save a chip schedule into a plan
+ * Chips inside the plan horizon are set on their gameweek; the full schedule is
+ * kept on plan.chipSchedule so later gameweeks pick it up when the horizon grows.
+ * @param {Object} plan - Transfer plan
+ * @param {Object<string, number>} schedule - Chip -> gameweek
+ * @param {Array} usedChips - Chips already used this season
+ * @returns {Object} { success: boolean, error?: string, updatedPlan?: Object }
+ */
+export function applyChipSchedule(plan, schedule, usedChips = []) {
+    let updatedPlan = {
+        ...plan,
+        gameweekPlans: Object.fromEntries(
+            Object.entries(plan.gameweekPlans).map(([gw, gwPlan]) => [gw, { ...gwPlan, chipUsed: null }])
+        )
+    };
+
+    for (const [chip, gameweek] of Object.entries(schedule)) {
+        if (!updatedPlan.gameweekPlans[gameweek]) continue;
+
+        const result = setChip(updatedPlan, gameweek, chip, usedChips);
+        if (!result.success) return result;
+        updatedPlan = result.updatedPlan;
+    }
+
+    updatedPlan.chipSchedule = { ...schedule };
+    updatedPlan.modified = new Date().toISOString();
+
+    return { success: true, updatedPlan };
+}
@@ -0,0 +1,143 @@
+// ============================================================================
+// COMPARE BUTTONS & TRAY
+// "Add to comparison" toggle for player rows (search, data analysis, planner)
+// and a floating tray linking to the comparison page
+// ============================================================================
+
+import { getPlayerById } from '../data.js';
+import { escapeHtml } from '../utils.js';
+import {
+    MAX_COMPARE_PLAYERS,
+    getCompareIds,
+    isInComparison,
+    toggleComparePlayer,
+    clearComparison,
+    getCompareHash
+} from './store.js';
+
+let initialized = false;
+
+function getButtonStyle(active) {
+    return `
+        background: ${active ? 'var(--primary-color)' : 'transparent'};
+        color: ${active ? 'white' : 'var(--text-secondary)'};
+        border: 1px solid ${active ? 'var(--primary-color)' : 'var(--border-color)'};
+        border-radius: 4px;
+        padding: 0.05rem 0.3rem;
+        font-size: 0.6rem;
+        cursor: pointer;
+        line-height: 1.4;
+    `;
+}
+
+/**
+ * Small toggle that adds a player to (or removes them from) the comparison
+ * Clicks are handled by initCompareControls, so rows need no extra wiring.
+ * @param {number} playerId - Player ID
+ * @returns {string} HTML for the button
+ */
+export function renderCompareButton(playerId) {
+    const active = isInComparison(playerId);
+    return `
+        <button
+            class="add-to-compare-btn"
+            data-compare-id="${playerId}"
+            title="${active ? 'Remove from comparison' : 'Add to comparison'}"
+            style="${getButtonStyle(active)}"
+        ><i class="fas fa-columns"></i></button>
+    `;
+}
+
+function syncButtons() {
+    document.querySelectorAll('.add-to-compare-btn').forEach(btn => {
+        const active = isInComparison(parseInt(btn.dataset.compareId, 10));
+        btn.setAttribute('style', getButtonStyle(active));
+        btn.title = active ? 'Remove from comparison' : 'Add to comparison';
+    });
+}
+
+function renderTray() {
+    let tray = document.getElementById('compare-tray');
+    const ids = getCompareIds();
+    const onComparePage = window.location.hash.startsWith('#compare');
+
+    if (ids.length === 0 || onComparePage) {
+        tray?.remove();
+        return;
+    }
+
+    if (!tray) {
+        tray = document.createElement('div');
+        tray.id = 'compare-tray';
+        document.body.appendChild(tray);
+    }
+
+    tray.setAttribute('style', `
+        position: fixed;
+        left: 50%;
+        bottom: calc(4.5rem + env(safe-area-inset-bottom));
+        transform: translateX(-50%);
+        z-index: 1500;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.5rem 0.75rem;
+        background: var(--bg-primary);
+        border: 1px solid var(--border-color);
+        border-radius: 999px;
+        box-shadow: 0 4px 16px var(--shadow);
+        font-size: 0.75rem;
+        max-width: calc(100vw - 1rem);
+    `);
+
+    const names = ids.map(id => getPlayerById(id)?.web_name || `#${id}`);
+    tray.innerHTML = `
+        <span style="color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+            ${escapeHtml(names.join(', '))} (${ids.length}/${MAX_COMPARE_PLAYERS})
+        </span>
+        <button id="compare-tray-open" style="
+            padding: 0.3rem 0.75rem; background: var(--primary-color); color: white; border: none;
+            border-radius: 999px; font-weight: 600; cursor: pointer; white-space: nowrap;
+        ">Compare</button>
+        <button id="compare-tray-clear" title="Clear comparison" style="
+            background: none; border: none; color: var(--text-secondary); cursor: pointer;
+        "><i class="fas fa-times"></i></button>
+    `;
+
+    document.getElementById('compare-tray-open')?.addEventListener('click', () => {
+        window.location.hash = getCompareHash();
+    });
+    document.getElementById('compare-tray-clear')?.addEventListener('click', clearComparison);
+}
+
+/**
+ * Handle compare buttons anywhere on the page and keep the tray in sync
+ * Uses a capture listener so the click doesn't also open the row's player modal.
+ */
+export function initCompareControls() {
+    if (initialized || typeof document === 'undefined') return;
+    initialized = true;
+
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest?.('.add-to-compare-btn');
+        if (!btn) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const playerId = parseInt(btn.dataset.compareId, 10);
+        if (!isInComparison(playerId) && getCompareIds().length >= MAX_COMPARE_PLAYERS) {
+            alert(`You can compare up to ${MAX_COMPARE_PLAYERS} players - remove one first`);
+            return;
+        }
+        toggleComparePlayer(playerId);
+    }, true);
+
+    window.addEventListener('compare-updated', () => {
+        syncButtons();
+        renderTray();
+    });
+    window.addEventListener('hashchange', renderTray);
+
+    renderTray();
+}
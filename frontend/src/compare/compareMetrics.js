@@ -0,0 +1,141 @@
+// ============================================================================
+// COMPARISON METRICS
+// Per-90 stats for the season and the last N appearances, radar scaling and
+// price trajectory for the comparison workspace
+// ============================================================================
+
+import { calculatePPM, calculateMinutesPercentage } from '../utils.js';
+
+/** Appearances used for the "last N" per-90 stats */
+export const RECENT_APPEARANCES = 5;
+
+/** Minimum season minutes for a player to set the radar's scale */
+const RADAR_POOL_MIN_MINUTES = 450;
+
+/**
+ * Counting stats shown per 90 (keys match both bootstrap totals and element-summary history rows)
+ */
+export const PER_90_STATS = [
+    { key: 'total_points', label: 'Points' },
+    { key: 'goals_scored', label: 'Goals' },
+    { key: 'assists', label: 'Assists' },
+    { key: 'expected_goals', label: 'xG' },
+    { key: 'expected_assists', label: 'xA' },
+    { key: 'expected_goal_involvements', label: 'xGI' },
+    { key: 'clean_sheets', label: 'Clean sheets' },
+    { key: 'goals_conceded', label: 'Goals conceded' },
+    { key: 'saves', label: 'Saves' },
+    { key: 'bonus', label: 'Bonus' },
+    { key: 'bps', label: 'BPS' },
+    { key: 'defensive_contribution', label: 'Def. contributions' }
+];
+
+function toNumber(value) {
+    return parseFloat(value) || 0;
+}
+
+function per90(total, minutes) {
+    return minutes > 0 ? (total / minutes) * 90 : 0;
+}
+
+/**
+ * Season stats per 90 minutes
+ * Defensive contributions fall back to the GitHub season data when the
+ * bootstrap doesn't carry them.
+ * @param {Object} player - Enriched player
+ * @returns {{minutes: number, stats: Object<string, number>}}
+ */
+export function getSeasonPer90(player) {
+    const minutes = player.minutes || 0;
+    const stats = {};
+    PER_90_STATS.forEach(({ key }) => {
+        const total = player[key] ?? player.github_season?.[key];
+        stats[key] = per90(toNumber(total), minutes);
+    });
+    return { minutes, stats };
+}
+
+/**
+ * Per-90 stats over the player's last N gameweeks with minutes
+ * @param {Array} history - Element-summary history rows (any order)
+ * @param {number} [count=RECENT_APPEARANCES] - Appearances to include
+ * @returns {{minutes: number, appearances: number, stats: Object<string, number>}}
+ */
+export function getRecentPer90(history, count = RECENT_APPEARANCES) {
+    const recent = [...(history || [])]
+        .filter(row => (row.minutes || 0) > 0)
+        .sort((a, b) => (b.round || 0) - (a.round || 0) || (b.fixture || 0) - (a.fixture || 0))
+        .slice(0, count);
+
+    const minutes = recent.reduce((sum, row) => sum + row.minutes, 0);
+    const stats = {};
+    PER_90_STATS.forEach(({ key }) => {
+        stats[key] = per90(recent.reduce((sum, row) => sum + toNumber(row[key]), 0), minutes);
+    });
+    return { minutes, appearances: recent.length, stats };
+}
+
+// ============================================================================
+// RADAR
+// ============================================================================
+
+export const RADAR_METRICS = [
+    { label: 'Pts/90', get: p => getSeasonPer90(p).stats.total_points },
+    { label: 'xG/90', get: p => toNumber(p.expected_goals_per_90) },
+    { label: 'xA/90', get: p => toNumber(p.expected_assists_per_90) },
+    { label: 'Bonus/90', get: p => getSeasonPer90(p).stats.bonus },
+    { label: 'DefCon/90', get: p => getSeasonPer90(p).stats.defensive_contribution },
+    { label: 'Mins %', get: p => Math.min(100, calculateMinutesPercentage(p)) },
+    { label: 'Form', get: p => toNumber(p.form) },
+    { label: 'PPM', get: p => calculatePPM(p) }
+];
+
+/**
+ * Radar axes and values for the compared players
+ * Each axis runs to the best value among regular starters (or the compared
+ * players, if higher), so shapes are comparable across any selection.
+ * @param {Array} players - Compared players
+ * @param {Array} pool - All players
+ * @returns {{indicators: Array<{name: string, max: number}>, series: Array<{player: Object, values: number[]}>}}
+ */
+export function buildRadarData(players, pool) {
+    const regulars = (pool || []).filter(p => (p.minutes || 0) >= RADAR_POOL_MIN_MINUTES);
+
+    const indicators = RADAR_METRICS.map(metric => {
+        const values = [...regulars, ...players].map(metric.get);
+        const max = Math.max(...values, 0);
+        return { name: metric.label, max: max > 0 ? Math.round(max * 100) / 100 : 1 };
+    });
+
+    const series = players.map(player => ({
+        player,
+        values: RADAR_METRICS.map(metric => Math.round(metric.get(player) * 100) / 100)
+    }));
+
+    return { indicators, series };
+}
+
+// ============================================================================
+// PRICE
+// ============================================================================
+
+/**
+ * Price path from per-gameweek history
+ * @param {Array|null} gameweeks - Rows from /api/history/player/:id/ownership
+ * @param {number} currentPrice - Current price (tenths)
+ * @returns {{points: Array<{gameweek: number, price: number}>, start: number|null, change: number}}
+ *   Prices in £m; change is current minus the first recorded price
+ */
+export function getPriceTrajectory(gameweeks, currentPrice) {
+    const points = (gameweeks || [])
+        .filter(row => row.price)
+        .map(row => ({ gameweek: row.gameweek, price: row.price / 10 }));
+
+    const start = points.length > 0 ? points[0].price : null;
+    const current = currentPrice / 10;
+    return {
+        points,
+        start,
+        change: start === null ? 0 : Math.round((current - start) * 10) / 10
+    };
+}
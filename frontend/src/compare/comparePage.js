@@ -0,0 +1,431 @@
+// ============================================================================
+// COMPARISON PAGE
+// #compare/{id1,id2,...}: up to four players side by side - season and
+// last-N per-90 stats, radar, points history, price trajectory, upcoming
+// fixtures and risk flags
+// ============================================================================
+
+import { getAllPlayers, getPlayerById } from '../data.js';
+import {
+    escapeHtml,
+    formatCurrency,
+    getPositionShort,
+    getTeamShortName,
+    getDifficultyClass
+} from '../utils.js';
+import { getFixtures, calculateFixtureDifficulty } from '../fixtures.js';
+import { getFDRPerspective } from '../fdr/model.js';
+import { analyzePlayerRisks } from '../risk.js';
+import { createChartCard, setupChartExport, loadECharts, commonChartOptions } from '../charts/chartHelpers.js';
+import { fetchPlayerHistory, fetchPlayerGameweekHistory } from '../myTeam/compact/playerModal.js';
+import {
+    MAX_COMPARE_PLAYERS,
+    getCompareIds,
+    setCompareIds,
+    parseCompareSegment,
+    getCompareHash
+} from './store.js';
+import {
+    PER_90_STATS,
+    RECENT_APPEARANCES,
+    getSeasonPer90,
+    getRecentPer90,
+    buildRadarData,
+    getPriceTrajectory
+} from './compareMetrics.js';
+
+const PLAYER_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#f59e0b'];
+const FIXTURE_COUNT = 5;
+
+const pageState = {
+    ids: [],
+    summaries: new Map(), // playerId -> element summary ({ history, fixtures })
+    gameweeks: new Map(), // playerId -> ownership history rows (or null)
+    charts: []
+};
+
+// ============================================================================
+// RENDER
+// ============================================================================
+
+/**
+ * Render the comparison page
+ * @param {string} [segment=''] - Route segment with comma-separated player IDs
+ * @returns {string} HTML string
+ */
+export function renderComparePage(segment = '') {
+    const routeIds = parseCompareSegment(segment);
+    const ids = (routeIds.length > 0 ? routeIds : getCompareIds()).filter(id => getPlayerById(id));
+    pageState.ids = ids;
+
+    const players = ids.map(id => getPlayerById(id));
+
+    return `
+        <div style="padding: 1rem; max-width: 1400px; margin: 0 auto;">
+            <h1 style="font-size: 1.5rem; font-weight: 700; color: var(--primary-color); margin-bottom: 0.25rem;">
+                <i class="fas fa-columns"></i> Compare Players
+            </h1>
+            <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 1rem;">
+                Up to ${MAX_COMPARE_PLAYERS} players. Add more from the <i class="fas fa-columns"></i> button on Search, Data Analysis and Planner rows, or below.
+            </p>
+            ${renderPlayerHeader(players)}
+            ${players.length === 0 ? '' : `
+                <div id="compare-stats">${renderStatsTable(players)}</div>
+                ${createChartCard({
+                    title: 'Profile',
+                    icon: '🕸️',
+                    description: 'Each axis runs to the best value among regular starters',
+                    chartId: 'compare-radar-chart',
+                    exportId: 'compare-radar-export',
+                    height: 420,
+                    minHeight: 320
+                })}
+                ${createChartCard({
+                    title: 'Points History',
+                    icon: '📈',
+                    description: 'Points per gameweek this season',
+                    chartId: 'compare-points-chart',
+                    exportId: 'compare-points-export',
+                    height: 360,
+                    minHeight: 280
+                })}
+                <div id="compare-price-summary"></div>
+                ${createChartCard({
+                    title: 'Price Trajectory',
+                    icon: '💷',
+                    description: 'Price by gameweek (£m)',
+                    chartId: 'compare-price-chart',
+                    exportId: 'compare-price-export',
+                    height: 320,
+                    minHeight: 260
+                })}
+                ${renderFixturesAndRisks(players)}
+            `}
+        </div>
+    `;
+}
+
+function renderPlayerHeader(players) {
+    const options = getAllPlayers()
+        .filter(p => !pageState.ids.includes(p.id))
+        .sort((a, b) => (b.total_points || 0) - (a.total_points || 0))
+        .map(p => `<option value="${escapeHtml(`${p.web_name} (${getTeamShortName(p.team)})`)}" data-id="${p.id}"></option>`)
+        .join('');
+
+    return `
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 0.75rem; margin-bottom: 1rem;">
+            ${players.map((player, idx) => `
+                <div style="background: var(--bg-secondary); border-top: 4px solid ${PLAYER_COLORS[idx]}; border-radius: 8px; padding: 0.75rem; position: relative;">
+                    <button class="compare-remove-btn" data-player-id="${player.id}" title="Remove" style="
+                        position: absolute; top: 0.4rem; right: 0.4rem; background: none; border: none;
+                        color: var(--text-secondary); cursor: pointer;
+                    "><i class="fas fa-times"></i></button>
+                    <div style="font-weight: 700; color: var(--text-primary);">${escapeHtml(player.web_name)}</div>
+                    <div style="font-size: 0.75rem; color: var(--text-secondary);">
+                        ${getPositionShort(player)} • ${getTeamShortName(player.team)} • ${formatCurrency(player.now_cost)}
+                    </div>
+                    <div style="font-size: 0.75rem; color: var(--text-secondary);">
+                        ${player.total_points || 0} pts • ${(parseFloat(player.selected_by_percent) || 0).toFixed(1)}% owned
+                    </div>
+                </div>
+            `).join('')}
+            ${players.length < MAX_COMPARE_PLAYERS ? `
+                <div style="background: var(--bg-secondary); border: 2px dashed var(--border-color); border-radius: 8px; padding: 0.75rem; display: flex; flex-direction: column; justify-content: center; gap: 0.4rem;">
+                    <label for="compare-add-input" style="font-size: 0.75rem; color: var(--text-secondary);">Add a player</label>
+                    <input id="compare-add-input" list="compare-player-options" placeholder="Type a name..." autocomplete="off" style="
+                        width: 100%; padding: 0.4rem; border: 1px solid var(--border-color); border-radius: 4px;
+                        background: var(--bg-primary); color: var(--text-primary);
+                    ">
+                    <datalist id="compare-player-options">${options}</datalist>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function formatStat(value) {
+    return value >= 10 ? value.toFixed(1) : value.toFixed(2);
+}
+
+/**
+ * Per-90 table: season and last-N columns per player, best value highlighted
+ */
+function renderStatsTable(players) {
+    const season = players.map(getSeasonPer90);
+    const recent = players.map(player => {
+        const summary = pageState.summaries.get(player.id);
+        return summary ? getRecentPer90(summary.history) : null;
+    });
+
+    // Values alternate season / last N - the best of each is highlighted
+    const getBest = (values, parity) => {
+        const numeric = values.filter((v, idx) => idx % 2 === parity && Number.isFinite(v));
+        return numeric.length > 1 ? Math.max(...numeric) : null;
+    };
+
+    const renderRow = (label, values, format = formatStat) => {
+        const best = [getBest(values, 0), getBest(values, 1)];
+        return `
+            <tr style="border-top: 1px solid var(--border-color);">
+                <td style="padding: 0.4rem 0.5rem; color: var(--text-secondary); white-space: nowrap;">${label}</td>
+                ${values.map((value, idx) => `
+                    <td style="padding: 0.4rem 0.5rem; text-align: center; ${value === best[idx % 2] && value > 0 ? 'font-weight: 700; color: var(--primary-color);' : ''}">
+                        ${Number.isFinite(value) ? format(value) : '<span style="color: var(--text-secondary);">…</span>'}
+                    </td>
+                `).join('')}
+            </tr>
+        `;
+    };
+
+    const rowValues = (key) => players.flatMap((_, idx) => [season[idx].stats[key], recent[idx]?.stats[key] ?? null]);
+
+    return `
+        <div style="overflow-x: auto; background: var(--bg-secondary); border-radius: 12px; padding: 0.75rem; margin-bottom: 1.5rem;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.8rem;">
+                <thead>
+                    <tr>
+                        <th style="padding: 0.4rem 0.5rem; text-align: left; color: var(--text-secondary);">Per 90</th>
+                        ${players.map((player, idx) => `
+                            <th colspan="2" style="padding: 0.4rem 0.5rem; text-align: center; color: ${PLAYER_COLORS[idx]};">${escapeHtml(player.web_name)}</th>
+                        `).join('')}
+                    </tr>
+                    <tr style="font-size: 0.7rem; color: var(--text-secondary);">
+                        <th></th>
+                        ${players.map(() => `
+                            <th style="padding: 0.2rem; font-weight: 500;">Season</th>
+                            <th style="padding: 0.2rem; font-weight: 500;">Last ${RECENT_APPEARANCES}</th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${renderRow('Minutes', players.flatMap((_, idx) => [season[idx].minutes, recent[idx]?.minutes ?? null]), v => String(Math.round(v)))}
+                    ${PER_90_STATS.map(({ key, label }) => renderRow(label, rowValues(key))).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderPriceSummary(players) {
+    return `
+        <div style="display: flex; gap: 1rem; flex-wrap: wrap; font-size: 0.8rem; margin-bottom: 0.5rem;">
+            ${players.map((player, idx) => {
+                const { start, change } = getPriceTrajectory(pageState.gameweeks.get(player.id), player.now_cost);
+                if (start === null) return '';
+                const color = change > 0 ? '#22c55e' : change < 0 ? '#ef4444' : 'var(--text-secondary)';
+                return `
+                    <span>
+                        <strong style="color: ${PLAYER_COLORS[idx]};">${escapeHtml(player.web_name)}</strong>
+                        £${start.toFixed(1)}m → ${formatCurrency(player.now_cost)}
+                        <span style="color: ${color}; font-weight: 600;">(${change > 0 ? '+' : ''}${change.toFixed(1)})</span>
+                    </span>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+function renderFixturesAndRisks(players) {
+    return `
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 0.75rem; margin-bottom: 2rem;">
+            ${players.map((player, idx) => {
+                const perspective = getFDRPerspective(player.element_type);
+                const fixtures = getFixtures(player.team, FIXTURE_COUNT, false, perspective);
+                const avgFDR = calculateFixtureDifficulty(player.team, FIXTURE_COUNT, perspective);
+                const risks = analyzePlayerRisks(player);
+
+                return `
+                    <div style="background: var(--bg-secondary); border-left: 4px solid ${PLAYER_COLORS[idx]}; border-radius: 8px; padding: 0.75rem;">
+                        <div style="font-weight: 700; color: var(--text-primary); margin-bottom: 0.5rem;">${escapeHtml(player.web_name)}</div>
+                        <div style="font-size: 0.7rem; color: var(--text-secondary); margin-bottom: 0.25rem;">
+                            Next ${FIXTURE_COUNT} • avg FDR ${avgFDR.toFixed(1)}
+                        </div>
+                        <div style="display: flex; gap: 0.25rem; flex-wrap: wrap; margin-bottom: 0.75rem;">
+                            ${fixtures.map(fixture => `
+                                <span class="${getDifficultyClass(fixture.difficulty)}" title="GW${fixture.event}" style="padding: 0.2rem 0.4rem; border-radius: 0.25rem; font-size: 0.65rem; font-weight: 600;">
+                                    ${escapeHtml(fixture.opponent)}
+                                </span>
+                            `).join('')}
+                        </div>
+                        <div style="font-size: 0.7rem; color: var(--text-secondary); margin-bottom: 0.25rem;">Risk flags</div>
+                        ${risks.length === 0
+                            ? '<div style="font-size: 0.75rem; color: #22c55e;">None</div>'
+                            : risks.map(risk => `
+                                <div style="font-size: 0.75rem; color: var(--text-primary); margin-bottom: 0.2rem;" title="${escapeHtml(risk.details)}">
+                                    ${risk.icon} ${escapeHtml(risk.message)}
+                                </div>
+                            `).join('')}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// ============================================================================
+// CHARTS
+// ============================================================================
+
+function disposeCharts() {
+    pageState.charts.forEach(chart => chart.dispose());
+    pageState.charts = [];
+}
+
+function initChart(echarts, chartId, exportId, option) {
+    const container = document.getElementById(chartId);
+    if (!container) return;
+    const chart = echarts.init(container);
+    chart.setOption(option);
+    setupChartExport(chart, exportId);
+    pageState.charts.push(chart);
+}
+
+function getThemeColors() {
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    return {
+        textColor: isDark ? '#e5e7eb' : '#374151',
+        gridColor: isDark ? '#374151' : '#e5e7eb'
+    };
+}
+
+function getLineOption(players, getPoints, yName, { textColor, gridColor }) {
+    return {
+        grid: commonChartOptions.grid,
+        tooltip: { ...commonChartOptions.tooltip, trigger: 'axis' },
+        legend: { data: players.map(p => p.web_name), textStyle: { color: textColor } },
+        xAxis: {
+            type: 'value',
+            name: 'GW',
+            minInterval: 1,
+            axisLabel: { color: textColor },
+            splitLine: { lineStyle: { color: gridColor } }
+        },
+        yAxis: {
+            type: 'value',
+            name: yName,
+            scale: true,
+            axisLabel: { color: textColor },
+            splitLine: { lineStyle: { color: gridColor } }
+        },
+        series: players.map((player, idx) => ({
+            name: player.web_name,
+            type: 'line',
+            showSymbol: false,
+            data: getPoints(player),
+            itemStyle: { color: PLAYER_COLORS[idx] },
+            lineStyle: { color: PLAYER_COLORS[idx] }
+        }))
+    };
+}
+
+async function renderCharts(players) {
+    const echarts = await loadECharts();
+    disposeCharts();
+    if (!echarts || players.length === 0) return;
+
+    const theme = getThemeColors();
+    const { indicators, series } = buildRadarData(players, getAllPlayers());
+
+    initChart(echarts, 'compare-radar-chart', 'compare-radar-export', {
+        tooltip: { ...commonChartOptions.tooltip },
+        legend: { data: players.map(p => p.web_name), textStyle: { color: theme.textColor }, bottom: 0 },
+        radar: {
+            indicator: indicators,
+            axisName: { color: theme.textColor },
+            splitLine: { lineStyle: { color: theme.gridColor } }
+        },
+        series: [{
+            type: 'radar',
+            data: series.map((entry, idx) => ({
+                name: entry.player.web_name,
+                value: entry.values,
+                itemStyle: { color: PLAYER_COLORS[idx] },
+                areaStyle: { opacity: 0.15 }
+            }))
+        }]
+    });
+
+    initChart(echarts, 'compare-points-chart', 'compare-points-export', getLineOption(
+        players,
+        player => (pageState.gameweeks.get(player.id) || []).map(row => [row.gameweek, row.gw_points]),
+        'Pts',
+        theme
+    ));
+
+    initChart(echarts, 'compare-price-chart', 'compare-price-export', getLineOption(
+        players,
+        player => getPriceTrajectory(pageState.gameweeks.get(player.id), player.now_cost).points.map(p => [p.gameweek, p.price]),
+        '£m',
+        theme
+    ));
+}
+
+// ============================================================================
+// LISTENERS
+// ============================================================================
+
+function navigateToIds(ids) {
+    // Update the store first - an empty #compare/ route falls back to it
+    setCompareIds(ids);
+    window.location.hash = getCompareHash(ids);
+}
+
+/**
+ * Load histories for the compared players and refresh the dependent sections
+ */
+async function loadPlayerData(players) {
+    await Promise.all(players.map(async player => {
+        const [summary, gameweeks] = await Promise.all([
+            pageState.summaries.has(player.id) ? pageState.summaries.get(player.id) : fetchPlayerHistory(player.id),
+            pageState.gameweeks.has(player.id) ? pageState.gameweeks.get(player.id) : fetchPlayerGameweekHistory(player.id)
+        ]);
+        pageState.summaries.set(player.id, summary);
+        pageState.gameweeks.set(player.id, gameweeks);
+    }));
+
+    // The page may have changed while loading
+    if (players.some(player => !pageState.ids.includes(player.id))) return;
+
+    const stats = document.getElementById('compare-stats');
+    if (stats) {
+        stats.innerHTML = renderStatsTable(players);
+    }
+    const priceSummary = document.getElementById('compare-price-summary');
+    if (priceSummary) {
+        priceSummary.innerHTML = renderPriceSummary(players);
+    }
+    renderCharts(players);
+}
+
+/**
+ * Attach comparison page listeners and load player histories
+ */
+export function attachComparePageListeners() {
+    const ids = pageState.ids;
+    const players = ids.map(id => getPlayerById(id));
+    setCompareIds(ids);
+
+    document.querySelectorAll('.compare-remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            navigateToIds(ids.filter(id => id !== parseInt(btn.dataset.playerId, 10)));
+        });
+    });
+
+    const addInput = document.getElementById('compare-add-input');
+    if (addInput) {
+        addInput.addEventListener('change', () => {
+            const option = [...document.querySelectorAll('#compare-player-options option')]
+                .find(opt => opt.value === addInput.value);
+            if (option) {
+                navigateToIds([...ids, parseInt(option.dataset.id, 10)]);
+            }
+        });
+    }
+
+    if (players.length > 0) {
+        renderCharts(players);
+        loadPlayerData(players);
+    } else {
+        disposeCharts();
+    }
+}
@@ -0,0 +1,112 @@
+// ============================================================================
+// COMPARISON STORE
+// Players queued for the comparison workspace (#compare/{id1,id2,...}),
+// kept in localStorage so the selection survives navigation
+// ============================================================================
+
+const STORAGE_KEY = 'fplanner_compare';
+export const MAX_COMPARE_PLAYERS = 4;
+
+let compareIds = loadFromStorage();
+
+function loadFromStorage() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return [];
+    }
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) return [];
+        return parsed.filter(id => Number.isInteger(id)).slice(0, MAX_COMPARE_PLAYERS);
+    } catch (err) {
+        console.warn('Failed to parse comparison storage', err);
+        return [];
+    }
+}
+
+function persist() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(compareIds));
+    } catch (err) {
+        console.warn('Failed to persist comparison', err);
+    }
+}
+
+function emitChange() {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent('compare-updated', {
+        detail: { ids: [...compareIds] }
+    }));
+}
+
+/**
+ * Player IDs in the comparison, in the order they were added
+ * @returns {number[]}
+ */
+export function getCompareIds() {
+    return [...compareIds];
+}
+
+export function isInComparison(playerId) {
+    return compareIds.includes(playerId);
+}
+
+/**
+ * Add or remove a player
+ * @param {number} playerId - Player ID
+ * @returns {boolean} Whether the player is now in the comparison (false when it was full)
+ */
+export function toggleComparePlayer(playerId) {
+    if (compareIds.includes(playerId)) {
+        compareIds = compareIds.filter(id => id !== playerId);
+    } else if (compareIds.length < MAX_COMPARE_PLAYERS) {
+        compareIds = [...compareIds, playerId];
+    } else {
+        return false;
+    }
+    persist();
+    emitChange();
+    return compareIds.includes(playerId);
+}
+
+/**
+ * Replace the comparison (e.g. from a #compare link)
+ * @param {number[]} ids - Player IDs (extra IDs beyond the limit are dropped)
+ */
+export function setCompareIds(ids) {
+    compareIds = [...new Set(ids.filter(id => Number.isInteger(id)))].slice(0, MAX_COMPARE_PLAYERS);
+    persist();
+    emitChange();
+}
+
+export function clearComparison() {
+    compareIds = [];
+    persist();
+    emitChange();
+}
+
+/**
+ * Parse the ID list of a #compare/{ids} route
+ * @param {string} segment - Comma-separated player IDs
+ * @returns {number[]} Valid, unique IDs (at most MAX_COMPARE_PLAYERS)
+ */
+export function parseCompareSegment(segment) {
+    const ids = String(segment || '')
+        .split(',')
+        .map(id => parseInt(id, 10))
+        .filter(id => Number.isInteger(id) && id > 0);
+    return [...new Set(ids)].slice(0, MAX_COMPARE_PLAYERS);
+}
+
+/**
+ * Hash for the comparison page
+ * @param {number[]} [ids] - Defaults to the current comparison
+ * @returns {string} e.g. '#compare/1,2,3'
+ */
+export function getCompareHash(ids = compareIds) {
+    return `#compare/${ids.join(',')}`;
+}
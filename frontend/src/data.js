@@ -4,6 +4,7 @@
 // ============================================================================
 
 import { memoizeWithDependency } from './utils/memoize.js';
+import { OFFLINE_KEYS, saveOfflineData, loadOfflineData, recordDataSource } from './offline/offlineStore.js';
 
 /**
  * @typedef {Object} FPLDataResponse
@@ -43,6 +44,15 @@ export let currentGW = null;
 /** @type {number|null} Auto-refresh interval ID */
 let autoRefreshInterval = null;
 
+/** @type {EventSource|null} Live gameweek event stream */
+let liveStream = null;
+
+/** @type {number} Stream connections that failed in a row */
+let liveStreamFailures = 0;
+
+/** @type {number|null} Timeout ID for the next stream reconnect */
+let liveStreamRetryTimeout = null;
+
 /** @type {Function|null} Callback for when data is refreshed */
 let onDataRefreshCallback = null;
 
@@ -52,6 +62,9 @@ let cachedEnrichedPlayers = null;
 /** @type{number|null} Cache key based on data timestamps */
 let playersCacheKey = null;
 
+/** Price change predictions (playerId -> prediction) */
+const pricePredictions = new Map();
+
 /** Team data cache (teamId -> { data, timestamp }) */
 const teamCache = new Map();
 const TEAM_CACHE_TTL = 2 * 60 * 1000; // 2 minutes
@@ -59,6 +72,13 @@ const TEAM_CACHE_TTL = 2 * 60 * 1000; // 2 minutes
 /** Auto-refresh interval in milliseconds (2 minutes) */
 const AUTO_REFRESH_INTERVAL = 2 * 60 * 1000;
 
+/** Live stream reconnects: first retry after 2s, doubling; poll after 3 failures in a row */
+const LIVE_STREAM_RETRY_BASE_DELAY = 2000;
+const LIVE_STREAM_MAX_FAILURES = 3;
+
+/** While polling, try the live stream again every 5 minutes */
+const LIVE_STREAM_RECOVERY_INTERVAL = 5 * 60 * 1000;
+
 /** @type {boolean} Flag to prevent concurrent refresh calls */
 let isRefreshing = false;
 
@@ -197,6 +217,36 @@ export function getGameweekEvent(gameweek) {
 // API FUNCTIONS
 // ============================================================================
 
+/**
+ * Fetch an endpoint whose last good payload is mirrored in IndexedDB
+ * Falls back to the mirror only when the request fails outright (offline or
+ * backend unreachable) - HTTP error responses are left to the caller.
+ * `offline` is also set when the service worker answered from its cache
+ * because the network failed (see public/sw.js).
+ * @param {string} url - Request URL
+ * @param {string} mirrorKey - Offline mirror key (see OFFLINE_KEYS)
+ * @param {Object|null} [options=null] - fetch() options
+ * @returns {Promise<{response: Response|null, mirrored: Object|null, offline: boolean}>} Network response, or the mirrored payload
+ * @throws {Error} The network error if nothing has been mirrored yet
+ */
+async function fetchWithOfflineFallback(url, mirrorKey, options = null) {
+    try {
+        const response = options ? await fetch(url, options) : await fetch(url);
+        const offline = response.headers?.get('X-FPLanner-Offline') === '1';
+        if (offline) {
+            console.warn(`⚠️ Network unavailable, using cached copy of ${mirrorKey}`);
+        }
+        return { response, mirrored: null, offline };
+    } catch (err) {
+        const saved = await loadOfflineData(mirrorKey);
+        if (!saved) {
+            throw err;
+        }
+        console.warn(`⚠️ Network unavailable, using offline copy of ${mirrorKey}`);
+        return { response: null, mirrored: saved.data, offline: true };
+    }
+}
+
 /**
  * Load all FPL data from backend (bootstrap, fixtures, GitHub enrichments)
  * Updates module-level variables: fplBootstrap, fplFixtures, githubData, currentGW
@@ -211,15 +261,15 @@ export async function loadFPLData(queryParams = '') {
     console.log('🔄 Loading FPL data from backend...');
     
     try {
-        const response = await fetch(`${API_BASE}/fpl-data${queryParams}`);
+        const { response, mirrored, offline } = await fetchWithOfflineFallback(`${API_BASE}/fpl-data${queryParams}`, OFFLINE_KEYS.FPL_DATA);
         
-        if (!response.ok) {
+        if (response && !response.ok) {
             throw new Error(`API returned ${response.status}`);
         }
         
-        const data = await response.json();
+        const data = mirrored || await response.json();
         
-        console.log('✅ FPL data loaded from backend');
+        console.log(`✅ FPL data loaded from ${offline ? 'offline copy' : 'backend'}`);
         console.log(`   Bootstrap: ${data.bootstrap ? 'loaded' : 'missing'}`);
         console.log(`   Fixtures: ${data.fixtures ? 'loaded' : 'missing'}`);
         console.log(`   GitHub: ${data.github ? 'loaded' : 'missing'}`);
@@ -235,6 +285,11 @@ export async function loadFPLData(queryParams = '') {
         
         // Detect current gameweek
         detectCurrentGW();
+
+        if (!offline) {
+            saveOfflineData(OFFLINE_KEYS.FPL_DATA, data);
+        }
+        recordDataSource(data.meta.timestamp, offline);
         
         return data;
     } catch (err) {
@@ -288,18 +343,23 @@ export async function loadEnrichedBootstrap(force = false) {
     console.log('🔄 Loading enriched bootstrap data...');
 
     try {
-        const response = await fetch(`${API_BASE}/bootstrap/enriched`);
-
-        if (!response.ok) {
+        // Forced loads skip the service worker's cached copy
+        const { response, mirrored, offline } = await fetchWithOfflineFallback(
+            `${API_BASE}/bootstrap/enriched`,
+            OFFLINE_KEYS.ENRICHED_BOOTSTRAP,
+            force ? { cache: 'no-cache' } : null
+        );
+
+        if (response && !response.ok) {
             if (response.status === 429) {
                 throw new Error('429 Too many requests. Please wait before refreshing.');
             }
             throw new Error(`Failed to load enriched bootstrap (${response.status})`);
         }
 
-        const data = await response.json();
+        const data = mirrored || await response.json();
 
-        console.log('✅ Enriched bootstrap loaded');
+        console.log(`✅ Enriched bootstrap loaded${offline ? ' from offline copy' : ''}`);
         console.log(`   GW${data.meta.gameweek}: ${data.meta.gwStatus}`);
         console.log(`   Live: ${data.meta.isLive}`);
         if (data.meta.liveDataAge !== null) {
@@ -314,6 +374,11 @@ export async function loadEnrichedBootstrap(force = false) {
         
         detectCurrentGW();
 
+        if (!offline) {
+            saveOfflineData(OFFLINE_KEYS.ENRICHED_BOOTSTRAP, data);
+        }
+        recordDataSource(data.meta.timestamp, offline);
+
         return data;
     } catch (err) {
         console.error('❌ Failed to load enriched bootstrap:', err);
@@ -363,8 +428,10 @@ export async function loadLiveData(gameweek) {
 // ============================================================================
 
 /**
- * Start auto-refresh polling during live GW
- * Automatically refreshes enriched bootstrap data every 2 minutes
+ * Start auto-refresh during live GW
+ * Prefers the server's live event stream, reconnecting with backoff if it
+ * drops. After repeated failures it polls enriched bootstrap data every
+ * 2 minutes, and keeps trying the stream until it is back.
  * @param {Function} [onRefresh] - Callback when data is refreshed
  * @example
  * startAutoRefresh(() => {
@@ -373,7 +440,7 @@ export async function loadLiveData(gameweek) {
  * });
  */
 export function startAutoRefresh(onRefresh = null) {
-    // Stop any existing interval
+    // Stop any existing stream or interval
     stopAutoRefresh();
 
     onDataRefreshCallback = onRefresh;
@@ -387,7 +454,16 @@ export function startAutoRefresh(onRefresh = null) {
         return;
     }
 
-    console.log(`🔄 Starting auto-refresh for live GW${activeGW} (every ${AUTO_REFRESH_INTERVAL / 1000}s)`);
+    if (!startLiveStream()) {
+        startPolling();
+    }
+}
+
+/**
+ * Poll enriched bootstrap and fixtures every 2 minutes (stream fallback)
+ */
+function startPolling() {
+    console.log(`🔄 Starting auto-refresh polling for live GW${getActiveGW()} (every ${AUTO_REFRESH_INTERVAL / 1000}s)`);
 
     // Track last refresh time to prevent rapid-fire requests
     let lastRefreshTime = 0;
@@ -429,6 +505,8 @@ export function startAutoRefresh(onRefresh = null) {
                 }
             }
 
+            emitLiveDataUpdated();
+
             if (onDataRefreshCallback) {
                 onDataRefreshCallback();
             }
@@ -447,10 +525,147 @@ export function startAutoRefresh(onRefresh = null) {
     }, AUTO_REFRESH_INTERVAL);
 }
 
+// ============================================================================
+// LIVE EVENT STREAM
+// ============================================================================
+
+/**
+ * Apply a live stream update to fplBootstrap and fplFixtures in place
+ * @param {Object} update - { gameweek, events, elements: [{ id, live_stats }], fixtures }
+ */
+export function applyLiveUpdate(update) {
+    if (fplBootstrap?.elements) {
+        const elementsById = new Map(fplBootstrap.elements.map(p => [p.id, p]));
+        update.elements.forEach(({ id, live_stats }) => {
+            const element = elementsById.get(id);
+            if (element) {
+                element.live_stats = live_stats;
+            }
+        });
+    }
+
+    if (fplFixtures) {
+        const fixturesById = new Map(fplFixtures.map(f => [f.id, f]));
+        update.fixtures.forEach(fixture => {
+            const existing = fixturesById.get(fixture.id);
+            if (existing) {
+                Object.assign(existing, fixture);
+            }
+        });
+    }
+}
+
 /**
- * Stop auto-refresh polling
+ * Subscribe to live gameweek events from the backend (Server-Sent Events)
+ * Updates are applied incrementally. A dropped stream is retried with
+ * backoff; see handleLiveStreamError.
+ * @returns {boolean} True if the stream was opened
+ */
+function startLiveStream() {
+    if (typeof EventSource === 'undefined') {
+        return false;
+    }
+
+    console.log(`📡 Connecting to live event stream for GW${getActiveGW()}...`);
+    liveStream = new EventSource(`${API_BASE}/stream/live`);
+
+    liveStream.addEventListener('ready', () => {
+        console.log('✅ Live event stream connected');
+        liveStreamFailures = 0;
+
+        // Stream recovered: polling is no longer needed
+        if (autoRefreshInterval) {
+            clearInterval(autoRefreshInterval);
+            autoRefreshInterval = null;
+            console.log('⏹️ Polling stopped, back on the live event stream');
+        }
+    });
+
+    liveStream.addEventListener('update', (event) => {
+        const update = JSON.parse(event.data);
+        applyLiveUpdate(update);
+        console.log(`📡 Live update: ${update.events.length} events, ${update.elements.length} players, ${update.fixtures.length} fixtures`);
+        emitLiveDataUpdated();
+
+        if (onDataRefreshCallback) {
+            onDataRefreshCallback(update);
+        }
+    });
+
+    liveStream.addEventListener('status', async (event) => {
+        const { isLive } = JSON.parse(event.data);
+        if (isLive) return;
+
+        console.log('ℹ️ GW no longer live, stopping live event stream');
+        stopAutoRefresh();
+
+        // Pick up final bonus and GW status flags
+        try {
+            await loadEnrichedBootstrap(true);
+            if (onDataRefreshCallback) {
+                onDataRefreshCallback();
+            }
+        } catch (err) {
+            console.error('❌ Failed to refresh after GW finished:', err);
+        }
+    });
+
+    liveStream.onerror = handleLiveStreamError;
+
+    return true;
+}
+
+/**
+ * Reconnect a dropped stream with exponential backoff
+ * After LIVE_STREAM_MAX_FAILURES failures in a row, polling takes over and
+ * the stream is retried every LIVE_STREAM_RECOVERY_INTERVAL until it
+ * connects again (the 'ready' handler then stops polling).
+ */
+function handleLiveStreamError() {
+    closeLiveStream();
+    liveStreamFailures++;
+
+    const usePolling = liveStreamFailures >= LIVE_STREAM_MAX_FAILURES;
+    if (usePolling && !autoRefreshInterval) {
+        console.warn(`⚠️ Live event stream failed ${liveStreamFailures} times, falling back to polling`);
+        startPolling();
+    }
+
+    const delay = usePolling
+        ? LIVE_STREAM_RECOVERY_INTERVAL
+        : LIVE_STREAM_RETRY_BASE_DELAY * 2 ** (liveStreamFailures - 1);
+    console.warn(`⚠️ Live event stream dropped, reconnecting in ${delay / 1000}s`);
+
+    clearTimeout(liveStreamRetryTimeout);
+    liveStreamRetryTimeout = setTimeout(() => {
+        liveStreamRetryTimeout = null;
+        startLiveStream();
+    }, delay);
+}
+
+/**
+ * Notify listeners (e.g. the live feed) that live stats or fixtures changed
+ */
+function emitLiveDataUpdated() {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent('live-data-updated'));
+}
+
+function closeLiveStream() {
+    if (liveStream) {
+        liveStream.close();
+        liveStream = null;
+    }
+}
+
+/**
+ * Stop auto-refresh (live event stream, stream retries and polling)
  */
 export function stopAutoRefresh() {
+    closeLiveStream();
+    clearTimeout(liveStreamRetryTimeout);
+    liveStreamRetryTimeout = null;
+    liveStreamFailures = 0;
     if (autoRefreshInterval) {
         clearInterval(autoRefreshInterval);
         autoRefreshInterval = null;
@@ -463,7 +678,7 @@ export function stopAutoRefresh() {
  * @returns {boolean} True if auto-refresh is running
  */
 export function isAutoRefreshActive() {
-    return autoRefreshInterval !== null;
+    return liveStream !== null || liveStreamRetryTimeout !== null || autoRefreshInterval !== null;
 }
 
 /**
@@ -486,6 +701,9 @@ export async function getPlayerLiveStats(playerId, gameweek) {
 /**
  * Load user's team data from FPL API
  * @param {number} teamId - FPL team ID (1-10 digits)
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Skip the in-memory and service worker caches
+ * @param {boolean} [options.background=false] - Queue behind user-facing loads on the backend (league sweeps)
  * @returns {Promise<TeamData>} Team data with picks and entry history
  * @throws {Error} If team ID is invalid or API request fails
  * @example
@@ -529,7 +747,7 @@ export function invalidateTeamCache(teamId) {
 
 
 export async function loadMyTeam(teamId, options = {}) {
-    const { forceRefresh = false } = options;
+    const { forceRefresh = false, background = false } = options;
     console.log(`🔄 Loading team ${teamId}...`);
 
     if (!forceRefresh) {
@@ -541,9 +759,13 @@ export async function loadMyTeam(teamId, options = {}) {
     }
 
     try {
-        const response = await fetch(`${API_BASE}/team/${teamId}`);
+        const { response, mirrored, offline } = await fetchWithOfflineFallback(
+            `${API_BASE}/team/${teamId}${background ? '?priority=background' : ''}`,
+            OFFLINE_KEYS.team(teamId),
+            forceRefresh ? { cache: 'no-cache' } : null
+        );
 
-        if (!response.ok) {
+        if (response && !response.ok) {
             // Try to parse error response for user-friendly message
             let errorMessage = `Failed to load team ${teamId}`;
             let errorData = null;
@@ -568,14 +790,19 @@ export async function loadMyTeam(teamId, options = {}) {
             throw error;
         }
 
-        const data = await response.json();
+        const data = mirrored || await response.json();
 
-        console.log(`✅ Team ${teamId} loaded`);
+        console.log(`✅ Team ${teamId} loaded${offline ? ' from offline copy' : ''}`);
         console.log(`   Manager: ${data.team.player_first_name} ${data.team.player_last_name}`);
         console.log(`   Team: ${data.team.name}`);
         console.log(`   GW${data.gameweek}: ${data.picks.entry_history.total_points} pts`);
 
-        setTeamCacheEntry(teamId, data);
+        if (offline) {
+            recordDataSource(data.timestamp, true);
+        } else {
+            setTeamCacheEntry(teamId, data);
+            saveOfflineData(OFFLINE_KEYS.team(teamId), data);
+        }
 
         return data;
     } catch (err) {
@@ -618,6 +845,94 @@ export async function loadLeagueStandings(leagueId, page = 1) {
     }
 }
 
+/**
+ * Load live league table (re-ranked by live points for the current gameweek)
+ * @param {string|number} leagueId - League ID
+ * @returns {Promise<Object>} { league, gameweek, isLive, entries, hasMore, failed, timestamp }
+ */
+export async function loadLiveLeagueTable(leagueId) {
+    console.log(`🔄 Loading live table for league ${leagueId}...`);
+
+    try {
+        const response = await fetch(`${API_BASE}/leagues/${leagueId}/live`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load live table for league ${leagueId}`);
+        }
+
+        const data = await response.json();
+
+        console.log(`✅ Live table for league ${leagueId} loaded (${data.entries.length} entries)`);
+
+        return data;
+    } catch (err) {
+        console.error(`❌ Failed to load live league table:`, err);
+        throw err;
+    }
+}
+
+/**
+ * Load cohort ownership aggregates (top 10k/50k/100k, or one mini-league)
+ * @param {number} gameweek - Gameweek whose picks are sampled
+ * @param {string|number|null} [leagueId=null] - Mini-league ID instead of the overall cohorts
+ * @returns {Promise<Object>} { gameweek, leagueId, timestamp, buckets: { [key]: { sampleSize, averages, distributions, players } } }
+ */
+export async function loadCohortMetrics(gameweek, leagueId = null) {
+    console.log(`🔄 Loading cohorts for GW${gameweek}${leagueId ? ` (league ${leagueId})` : ''}...`);
+
+    try {
+        const params = new URLSearchParams({ gw: gameweek });
+        if (leagueId) {
+            params.set('league', leagueId);
+        }
+
+        const response = await fetch(`${API_BASE}/planner/cohorts?${params}`);
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.message || `Failed to load cohorts for GW${gameweek}`);
+        }
+
+        const data = await response.json();
+
+        console.log(`✅ Cohorts for GW${gameweek} loaded (${Object.keys(data.buckets).join(', ')})`);
+
+        return data;
+    } catch (err) {
+        console.error('❌ Failed to load cohorts:', err);
+        throw err;
+    }
+}
+
+/**
+ * Load price change predictions for every player
+ * Stored for lookup with getPricePrediction()
+ * @returns {Promise<Object>} { nextUpdate, snapshots, lastSnapshot, predictions }
+ */
+export async function loadPricePredictions() {
+    console.log('🔄 Loading price predictions...');
+
+    try {
+        const response = await fetch(`${API_BASE}/prices/predictions`);
+
+        if (!response.ok) {
+            throw new Error('Failed to load price predictions');
+        }
+
+        const data = await response.json();
+
+        pricePredictions.clear();
+        data.predictions.forEach(prediction => pricePredictions.set(prediction.id, prediction));
+
+        console.log(`✅ Price predictions loaded (${data.predictions.filter(p => p.prediction).length} changes expected)`);
+
+        return data;
+    } catch (err) {
+        console.error('❌ Failed to load price predictions:', err);
+        throw err;
+    }
+}
+
 /**
  * Load transfer history for a team
  * @param {string|number} teamId - Team ID
@@ -644,6 +959,153 @@ export async function loadTransferHistory(teamId) {
     }
 }
 
+/**
+ * Build an Error from a failed plan API response
+ * 409 conflicts carry the server's current copy in error.current; 401/403
+ * mean the team's owner key is missing or wrong (error.isUnauthorized)
+ * @private
+ */
+async function createPlanApiError(response, fallbackMessage) {
+    let errorData = null;
+    try {
+        errorData = await response.json();
+    } catch (parseErr) {
+        // Non-JSON error body, use fallback message
+    }
+
+    const error = new Error(errorData?.message || errorData?.error || fallbackMessage);
+    error.status = response.status;
+    error.isConflict = response.status === 409;
+    error.isUnauthorized = response.status === 401 || response.status === 403;
+    error.current = errorData?.current || null;
+    return error;
+}
+
+/**
+ * Headers for plan API requests (the owner key is sent when known)
+ * @private
+ */
+function planHeaders(ownerKey, headers = {}) {
+    return ownerKey ? { ...headers, 'X-Plan-Key': ownerKey } : headers;
+}
+
+/**
+ * Load team builder plans saved on the server for a team
+ * @param {string|number} teamId - Team ID
+ * @param {string|null} ownerKey - Team's owner key
+ * @returns {Promise<Array>} Array of {id, version, plan, shareToken, createdAt, updatedAt}
+ */
+export async function loadServerPlans(teamId, ownerKey = null) {
+    console.log(`🔄 Loading saved plans for team ${teamId}...`);
+
+    try {
+        const response = await fetch(`${API_BASE}/team/${teamId}/plans?full=true`, {
+            headers: planHeaders(ownerKey)
+        });
+
+        if (!response.ok) {
+            throw await createPlanApiError(response, `Failed to load plans for team ${teamId}`);
+        }
+
+        const data = await response.json();
+
+        console.log(`✅ Saved plans loaded (${data.count} plans)`);
+
+        return data.plans || [];
+    } catch (err) {
+        console.error(`❌ Failed to load saved plans:`, err);
+        throw err;
+    }
+}
+
+/**
+ * Save a team builder plan to the server
+ * Creates the plan when version is null, otherwise updates it if the server
+ * still has that version (throws with isConflict = true if not).
+ * @param {string|number} teamId - Team ID
+ * @param {Object} plan - Plan object
+ * @param {number|null} version - Version last received from the server
+ * @param {string|null} ownerKey - Team's owner key (none for the team's first plan)
+ * @returns {Promise<Object>} Saved record {id, version, plan, shareToken, ...}, plus
+ *   ownerKey when the save claimed the team
+ */
+export async function saveServerPlan(teamId, plan, version = null, ownerKey = null) {
+    const isNew = version === null;
+    const url = isNew
+        ? `${API_BASE}/team/${teamId}/plans`
+        : `${API_BASE}/team/${teamId}/plans/${encodeURIComponent(plan.id)}`;
+
+    const response = await fetch(url, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: planHeaders(ownerKey, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify(isNew ? { plan } : { plan, version })
+    });
+
+    if (!response.ok) {
+        throw await createPlanApiError(response, `Failed to save plan ${plan.id}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Delete a team builder plan from the server
+ * @param {string|number} teamId - Team ID
+ * @param {string} planId - Plan ID
+ * @param {number|null} version - Version last received from the server
+ * @param {string|null} ownerKey - Team's owner key
+ * @returns {Promise<void>}
+ */
+export async function deleteServerPlan(teamId, planId, version = null, ownerKey = null) {
+    const query = version !== null ? `?version=${version}` : '';
+    const response = await fetch(`${API_BASE}/team/${teamId}/plans/${encodeURIComponent(planId)}${query}`, {
+        method: 'DELETE',
+        headers: planHeaders(ownerKey)
+    });
+
+    if (!response.ok && response.status !== 404) {
+        throw await createPlanApiError(response, `Failed to delete plan ${planId}`);
+    }
+}
+
+/**
+ * Get a read-only share token for a saved plan
+ * @param {string|number} teamId - Team ID
+ * @param {string} planId - Plan ID
+ * @param {string|null} ownerKey - Team's owner key
+ * @returns {Promise<string>} Share token
+ */
+export async function createPlanShareToken(teamId, planId, ownerKey = null) {
+    const response = await fetch(`${API_BASE}/team/${teamId}/plans/${encodeURIComponent(planId)}/share`, {
+        method: 'POST',
+        headers: planHeaders(ownerKey)
+    });
+
+    if (!response.ok) {
+        throw await createPlanApiError(response, `Failed to share plan ${planId}`);
+    }
+
+    const data = await response.json();
+    return data.token;
+}
+
+/**
+ * Load a shared plan by token (read-only)
+ * @param {string} token - Share token
+ * @returns {Promise<Object>} {plan, version, updatedAt}
+ */
+export async function loadSharedPlan(token) {
+    console.log(`🔄 Loading shared plan ${token}...`);
+
+    const response = await fetch(`${API_BASE}/plans/shared/${encodeURIComponent(token)}`);
+
+    if (!response.ok) {
+        throw await createPlanApiError(response, 'Shared plan not found');
+    }
+
+    return response.json();
+}
+
 /**
  * Detect current gameweek from bootstrap data
  * Sets the module-level currentGW variable to latest finished gameweek
@@ -808,6 +1270,15 @@ export function getPlayerById(playerId) {
     return fplBootstrap.elements.find(p => p.id === playerId);
 }
 
+/**
+ * Get price change prediction for a player
+ * @param {number} playerId - Player ID from FPL API
+ * @returns {Object|null} { progress, riseProbability, fallProbability, prediction, ... } or null if not loaded
+ */
+export function getPricePrediction(playerId) {
+    return pricePredictions.get(playerId) || null;
+}
+
 /**
  * Get team by ID
  * @param {number} teamId - Team ID from FPL API
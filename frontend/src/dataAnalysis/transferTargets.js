@@ -3,10 +3,17 @@
 // Shows rising stars, sell candidates, and fixture turnarounds
 // ============================================================================
 
-import { getAllPlayers } from '../data.js';
-import { getCurrentGW, calculateMinutesPercentage } from '../utils.js';
+import { getAllPlayers, getPricePrediction } from '../data.js';
+import {
+    getCurrentGW,
+    calculateMinutesPercentage,
+    getTeamShortName,
+    formatCurrency,
+    escapeHtml
+} from '../utils.js';
 import { calculateFixtureDifficulty } from '../fixtures.js';
 import { isMobileDevice } from '../renderMyTeamMobile.js';
+import { renderPriceChangeIndicator } from '../renderHelpers.js';
 
 function getTransferMomentum(player) {
     if (player?.github_transfers) {
@@ -18,6 +25,60 @@ function getTransferMomentum(player) {
     return null;
 }
 
+function getPriceChangeProbability(prediction) {
+    return prediction.prediction === 'rise' ? prediction.riseProbability : prediction.fallProbability;
+}
+
+/**
+ * Render players predicted to change price at the next update
+ * @param {Array} players - Players with a rise/fall prediction
+ * @param {boolean} isMobile - Use compact padding
+ * @returns {string} HTML table
+ */
+function renderPriceChangeTable(players, isMobile) {
+    const cellPadding = isMobile ? '0.5rem' : '0.75rem 1rem';
+
+    const rowsHtml = players.map(player => {
+        const prediction = getPricePrediction(player.id);
+        const progress = Math.round(Math.abs(prediction.progress) * 100);
+        const net = prediction.netSinceChange;
+
+        return `
+            <tr style="border-bottom: 1px solid var(--border-color);">
+                <td style="padding: ${cellPadding}; white-space: nowrap;">
+                    <strong>${escapeHtml(player.web_name)}</strong>
+                    ${renderPriceChangeIndicator(player.id)}
+                </td>
+                <td style="padding: ${cellPadding};">${getTeamShortName(player.team)}</td>
+                <td style="padding: ${cellPadding}; text-align: center;">${formatCurrency(player.now_cost)}</td>
+                <td style="padding: ${cellPadding}; text-align: center; color: ${net >= 0 ? '#22c55e' : '#ef4444'};">
+                    ${net > 0 ? '+' : ''}${net.toLocaleString()}
+                </td>
+                <td style="padding: ${cellPadding}; text-align: center; font-weight: 600;">${progress}%</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div style="overflow-x: auto; -webkit-overflow-scrolling: touch;">
+            <table style="width: 100%; font-size: ${isMobile ? '0.75rem' : '0.875rem'}; border-collapse: collapse;">
+                <thead style="background: var(--primary-color); color: white;">
+                    <tr>
+                        <th style="text-align: left; padding: ${cellPadding};">Player</th>
+                        <th style="text-align: left; padding: ${cellPadding};">Team</th>
+                        <th style="text-align: center; padding: ${cellPadding};">Price</th>
+                        <th style="text-align: center; padding: ${cellPadding};" title="Net transfers since last price change">Net</th>
+                        <th style="text-align: center; padding: ${cellPadding};" title="Progress toward the estimated threshold">Progress</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rowsHtml}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 /**
  * Render Transfer Targets tab
  * @param {string} position - Position filter ('all', 'GKP', 'DEF', 'MID', 'FWD')
@@ -103,8 +164,22 @@ export function renderTransferTargets(
         return aFDR - bFDR;
     }).slice(0, 20);
 
+    // Predicted price changes at the next update (needs loadPricePredictions())
+    const priceChanges = players
+        .filter(p => getPricePrediction(p.id)?.prediction)
+        .sort((a, b) => getPriceChangeProbability(getPricePrediction(b.id)) - getPriceChangeProbability(getPricePrediction(a.id)))
+        .slice(0, 20);
+
     return `
         <div>
+            ${priceChanges.length > 0 ? `
+                <!-- Price Changes Tonight -->
+                <div style="margin-bottom: 3rem;">
+                    ${renderSectionHeader('💰', 'Price Changes Tonight', 'Predicted rises and falls at the next price update, based on net transfers since each player\'s last change')}
+                    ${renderPriceChangeTable(priceChanges, isMobile)}
+                </div>
+            ` : ''}
+
             <!-- Section 1: Rising Stars -->
             <div style="margin-bottom: 3rem;">
                 ${renderSectionHeader('⭐', 'Rising Stars', 'High form + good fixtures + positive transfer momentum')}
@@ -0,0 +1,67 @@
+// ============================================================================
+// FDR MODE TOGGLE
+// Official / Custom switch shown wherever fixture difficulty drives a view
+// ============================================================================
+
+import { FDR_MODES, getFDRMode, setFDRMode } from './store.js';
+
+const MODE_LABELS = {
+    [FDR_MODES.OFFICIAL]: { label: 'Official', title: 'FPL fixture difficulty (1-5)' },
+    [FDR_MODES.CUSTOM]: { label: 'Custom', title: 'Team strength + Elo model, rated separately for attackers and defenders' }
+};
+
+/**
+ * Render the FDR mode switch
+ * @returns {string} HTML string
+ */
+export function renderFDRModeToggle() {
+    const active = getFDRMode();
+
+    return `
+        <div class="fdr-mode-toggle" style="
+            display: inline-flex;
+            align-items: center;
+            gap: 0.25rem;
+            font-size: 0.65rem;
+        ">
+            <span style="color: var(--text-secondary); font-weight: 600;">FDR</span>
+            <div style="display: inline-flex; background: var(--bg-tertiary); border-radius: 999px; padding: 0.125rem;">
+                ${Object.values(FDR_MODES).map(mode => `
+                    <button
+                        type="button"
+                        class="fdr-mode-btn"
+                        data-fdr-mode="${mode}"
+                        title="${MODE_LABELS[mode].title}"
+                        style="
+                            border: none;
+                            cursor: pointer;
+                            border-radius: 999px;
+                            padding: 0.15rem 0.5rem;
+                            font-size: 0.65rem;
+                            font-weight: 600;
+                            background: ${mode === active ? 'var(--primary-color)' : 'transparent'};
+                            color: ${mode === active ? 'white' : 'var(--text-secondary)'};
+                        "
+                    >${MODE_LABELS[mode].label}</button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Attach click handlers to rendered FDR toggles
+ * @param {Function} [onChange] - Called after the mode changes (e.g. re-render the view)
+ * @param {ParentNode} [root=document] - Element containing the toggle
+ */
+export function attachFDRModeToggleListeners(onChange = null, root = document) {
+    root.querySelectorAll('.fdr-mode-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const mode = button.dataset.fdrMode;
+            if (mode === getFDRMode()) return;
+            setFDRMode(mode);
+            if (onChange) onChange(mode);
+        });
+    });
+}
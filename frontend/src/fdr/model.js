@@ -0,0 +1,204 @@
+// ============================================================================
+// FIXTURE DIFFICULTY MODEL
+// Continuous attacking and defensive difficulty per fixture, built from the
+// bootstrap strength_attack/defence_home/away ratings blended with club Elo
+// from FPL-Elo-Insights (githubData.teamStats)
+// ============================================================================
+
+import { fplBootstrap, githubData } from '../data.js';
+
+/** Share of an opponent's rating taken from Elo when Elo is available */
+const ELO_WEIGHT = 0.4;
+
+/** Difficulty points per standard deviation of opponent rating */
+const DIFFICULTY_SPREAD = 1.25;
+
+const NEUTRAL_DIFFICULTY = 3;
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 5;
+
+const STRENGTH_FIELDS = {
+    attack_home: 'strength_attack_home',
+    attack_away: 'strength_attack_away',
+    defence_home: 'strength_defence_home',
+    defence_away: 'strength_defence_away'
+};
+
+/**
+ * Which side of a fixture matters for a player
+ * ATTACK: how hard it is to score (opponent defence)
+ * DEFENCE: how hard it is to keep a clean sheet (opponent attack)
+ * OVERALL: mean of the two
+ */
+export const FDR_PERSPECTIVES = {
+    ATTACK: 'attack',
+    DEFENCE: 'defence',
+    OVERALL: 'overall'
+};
+
+let ratingsCache = { teams: null, eloRows: null, ratings: new Map(), version: 0 };
+
+// ============================================================================
+// RATINGS
+// ============================================================================
+
+/**
+ * Convert values to z-scores (missing values score 0, i.e. league average)
+ * @param {Array<number|null>} values - Raw values
+ * @returns {Array<number>} Z-scores
+ */
+function standardize(values) {
+    const known = values.filter(Number.isFinite);
+    if (known.length < 2) {
+        return values.map(() => 0);
+    }
+
+    const mean = known.reduce((sum, v) => sum + v, 0) / known.length;
+    const variance = known.reduce((sum, v) => sum + (v - mean) ** 2, 0) / known.length;
+    const sd = Math.sqrt(variance);
+
+    return values.map(v => (Number.isFinite(v) && sd > 0 ? (v - mean) / sd : 0));
+}
+
+function toNumber(value) {
+    const num = parseFloat(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Build standardized ratings for every team
+ * @param {Array} teams - Bootstrap teams
+ * @param {Array} [eloRows=[]] - FPL-Elo-Insights team rows ({ id, code, elo })
+ * @returns {Map<number, Object>} Team ID -> { attack_home, attack_away, defence_home, defence_away, elo }
+ *   as z-scores (elo is null when no Elo data is available). Empty when the
+ *   bootstrap has no strength ratings.
+ */
+export function buildTeamRatings(teams, eloRows = []) {
+    const ratings = new Map();
+    if (!Array.isArray(teams) || teams.length === 0) {
+        return ratings;
+    }
+
+    const hasStrengths = teams.some(team => toNumber(team[STRENGTH_FIELDS.attack_home]) !== null);
+    if (!hasStrengths) {
+        return ratings;
+    }
+
+    const rows = Array.isArray(eloRows) ? eloRows : [];
+    const eloValues = teams.map(team => {
+        const row = rows.find(r => r.id === team.id) || rows.find(r => r.code === team.code);
+        return row ? toNumber(row.elo) : null;
+    });
+    const hasElo = eloValues.filter(v => v !== null).length >= 2;
+    const eloZ = hasElo ? standardize(eloValues) : null;
+
+    // Home and away values are standardized together so venue advantage is kept
+    const strengthZ = {};
+    ['attack', 'defence'].forEach(side => {
+        const home = teams.map(team => toNumber(team[STRENGTH_FIELDS[`${side}_home`]]));
+        const away = teams.map(team => toNumber(team[STRENGTH_FIELDS[`${side}_away`]]));
+        const z = standardize([...home, ...away]);
+        strengthZ[`${side}_home`] = z.slice(0, teams.length);
+        strengthZ[`${side}_away`] = z.slice(teams.length);
+    });
+
+    teams.forEach((team, i) => {
+        ratings.set(team.id, {
+            attack_home: strengthZ.attack_home[i],
+            attack_away: strengthZ.attack_away[i],
+            defence_home: strengthZ.defence_home[i],
+            defence_away: strengthZ.defence_away[i],
+            elo: eloZ && eloValues[i] !== null ? eloZ[i] : null
+        });
+    });
+
+    return ratings;
+}
+
+function toDifficulty(strengthZ, eloZ) {
+    const z = eloZ === null ? strengthZ : (1 - ELO_WEIGHT) * strengthZ + ELO_WEIGHT * eloZ;
+    const difficulty = NEUTRAL_DIFFICULTY + z * DIFFICULTY_SPREAD;
+    const clamped = Math.min(MAX_DIFFICULTY, Math.max(MIN_DIFFICULTY, difficulty));
+    return Math.round(clamped * 100) / 100;
+}
+
+/**
+ * Rate one fixture from a team's point of view
+ * Attacking difficulty uses the opponent's defence at their venue, defensive
+ * difficulty the opponent's attack.
+ * @param {Map<number, Object>} ratings - Output of buildTeamRatings
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - True if the team is at home
+ * @returns {{attack: number, defence: number, overall: number}|null} Difficulty on a 1-5 scale, or null if the opponent is unrated
+ */
+export function rateFixture(ratings, opponentId, isHome) {
+    const opponent = ratings.get(opponentId);
+    if (!opponent) {
+        return null;
+    }
+
+    const venue = isHome ? 'away' : 'home';
+    const attack = toDifficulty(opponent[`defence_${venue}`], opponent.elo);
+    const defence = toDifficulty(opponent[`attack_${venue}`], opponent.elo);
+
+    return {
+        attack,
+        defence,
+        overall: Math.round(((attack + defence) / 2) * 100) / 100
+    };
+}
+
+// ============================================================================
+// CURRENT DATA
+// ============================================================================
+
+/**
+ * Ratings for the loaded bootstrap and GitHub data
+ * Rebuilt whenever either is replaced.
+ * @returns {Map<number, Object>} Team ratings (see buildTeamRatings)
+ */
+export function getTeamRatings() {
+    const teams = fplBootstrap?.teams || null;
+    const eloRows = githubData?.teamStats || null;
+
+    if (teams !== ratingsCache.teams || eloRows !== ratingsCache.eloRows) {
+        ratingsCache = {
+            teams,
+            eloRows,
+            ratings: buildTeamRatings(teams, eloRows || []),
+            version: ratingsCache.version + 1
+        };
+    }
+
+    return ratingsCache.ratings;
+}
+
+/**
+ * Changes whenever the ratings are rebuilt (for memoization keys)
+ * @returns {number} Ratings version
+ */
+export function getTeamRatingsVersion() {
+    getTeamRatings();
+    return ratingsCache.version;
+}
+
+/**
+ * Model difficulty for a fixture using the loaded data
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - True if the team is at home
+ * @returns {{attack: number, defence: number, overall: number}|null} Difficulty, or null if unavailable
+ */
+export function getModelDifficulty(opponentId, isHome) {
+    return rateFixture(getTeamRatings(), opponentId, isHome);
+}
+
+/**
+ * Perspective that matters for a position
+ * @param {number} elementType - 1=GKP, 2=DEF, 3=MID, 4=FWD
+ * @returns {string} FDR_PERSPECTIVES value
+ */
+export function getFDRPerspective(elementType) {
+    if (elementType === 1 || elementType === 2) return FDR_PERSPECTIVES.DEFENCE;
+    if (elementType === 3 || elementType === 4) return FDR_PERSPECTIVES.ATTACK;
+    return FDR_PERSPECTIVES.OVERALL;
+}
@@ -0,0 +1,70 @@
+// ============================================================================
+// FDR MODE STORE
+// Which fixture difficulty the app shows and scores with - the official FPL
+// rating or the strength/Elo model - persisted to localStorage
+// ============================================================================
+
+const STORAGE_KEY = 'fplanner_fdr_mode';
+
+export const FDR_MODES = {
+    OFFICIAL: 'official',
+    CUSTOM: 'custom'
+};
+
+let mode = loadFromStorage();
+
+function loadFromStorage() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return FDR_MODES.OFFICIAL;
+    }
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        return Object.values(FDR_MODES).includes(saved) ? saved : FDR_MODES.OFFICIAL;
+    } catch (err) {
+        console.warn('Failed to read FDR mode', err);
+        return FDR_MODES.OFFICIAL;
+    }
+}
+
+function persist() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(STORAGE_KEY, mode);
+    } catch (err) {
+        console.warn('Failed to persist FDR mode', err);
+    }
+}
+
+/**
+ * Get the active FDR mode
+ * @returns {'official'|'custom'} Active mode
+ */
+export function getFDRMode() {
+    return mode;
+}
+
+/**
+ * @returns {boolean} True when the strength/Elo model is active
+ */
+export function isCustomFDR() {
+    return mode === FDR_MODES.CUSTOM;
+}
+
+/**
+ * Switch FDR mode
+ * Dispatches 'fdr-mode-updated' so open views can re-render.
+ * @param {'official'|'custom'} nextMode - Mode to switch to
+ */
+export function setFDRMode(nextMode) {
+    if (!Object.values(FDR_MODES).includes(nextMode) || nextMode === mode) {
+        return;
+    }
+    mode = nextMode;
+    persist();
+
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('fdr-mode-updated', { detail: { mode } }));
+    }
+}
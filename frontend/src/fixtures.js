@@ -6,6 +6,8 @@
 import { fplFixtures, fplBootstrap, currentGW, getActiveGW } from './data.js';
 import { getTeamByCode } from './utils.js';
 import { memoizeWithDependency } from './utils/memoize.js';
+import { FDR_PERSPECTIVES, getModelDifficulty, getTeamRatingsVersion } from './fdr/model.js';
+import { getFDRMode, isCustomFDR } from './fdr/store.js';
 
 // ============================================================================
 // TYPE DEFINITIONS
@@ -14,7 +16,8 @@ import { memoizeWithDependency } from './utils/memoize.js';
 /**
  * @typedef {Object} Fixture
  * @property {string} opponent - Opponent short name with venue (e.g., 'ARS (H)', 'LIV (A)')
- * @property {number} difficulty - FPL fixture difficulty rating (1=easiest, 5=hardest)
+ * @property {number} difficulty - Difficulty in the active FDR mode (1=easiest, 5=hardest; continuous for custom FDR)
+ * @property {number} officialDifficulty - FPL fixture difficulty rating (1-5)
  * @property {number} event - Gameweek number
  */
 
@@ -34,6 +37,47 @@ import { memoizeWithDependency } from './utils/memoize.js';
  * @property {boolean} worsening - True if fixtures getting harder (swing > 0.5)
  */
 
+// ============================================================================
+// FDR MODE
+// ============================================================================
+
+/**
+ * Resolve a fixture's difficulty for the active FDR mode
+ * Falls back to the official rating when the custom model has no data.
+ * @param {number} officialDifficulty - FPL team_h/team_a_difficulty
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - True if the team is at home
+ * @param {string} [perspective='overall'] - FDR_PERSPECTIVES value (custom mode only)
+ * @returns {number} Difficulty (1-5)
+ */
+function resolveDifficulty(officialDifficulty, opponentId, isHome, perspective = FDR_PERSPECTIVES.OVERALL) {
+    if (!isCustomFDR()) {
+        return officialDifficulty;
+    }
+    const model = getModelDifficulty(opponentId, isHome);
+    return model ? model[perspective] ?? model.overall : officialDifficulty;
+}
+
+/**
+ * Official and model difficulty for one side of a fixture
+ * @param {Object} fixture - FPL fixture
+ * @param {number} teamId - Team ID (home or away side)
+ * @returns {{official: number, attack: number|null, defence: number|null, overall: number|null}} Difficulty breakdown
+ */
+export function getFixtureDifficultyBreakdown(fixture, teamId) {
+    const isHome = fixture.team_h === teamId;
+    const opponentId = isHome ? fixture.team_a : fixture.team_h;
+    const official = (isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty) || 3;
+    const model = getModelDifficulty(opponentId, isHome);
+
+    return {
+        official,
+        attack: model?.attack ?? null,
+        defence: model?.defence ?? null,
+        overall: model?.overall ?? null
+    };
+}
+
 // ============================================================================
 // FIXTURE RETRIEVAL
 // ============================================================================
@@ -43,12 +87,13 @@ import { memoizeWithDependency } from './utils/memoize.js';
  * @param {number} teamId - Team ID
  * @param {number} [count=3] - Number of fixtures to return
  * @param {boolean} [isPast=false] - Get past fixtures (true) or future (false)
+ * @param {string} [perspective='overall'] - Custom FDR side to rate (FDR_PERSPECTIVES)
  * @returns {Fixture[]} Array of fixture objects with opponent and difficulty
  * @example
  * getFixtures(1, 3, false) // Next 3 fixtures for team 1
  * getFixtures(5, 5, true)  // Last 5 fixtures for team 5
  */
-export function getFixtures(teamId, count = 3, isPast = false) {
+export function getFixtures(teamId, count = 3, isPast = false, perspective = FDR_PERSPECTIVES.OVERALL) {
     // Return real fixtures if we have the data
     if (fplFixtures && fplFixtures.length > 0 && fplBootstrap && currentGW) {
         const fixtures = [];
@@ -81,8 +126,10 @@ export function getFixtures(teamId, count = 3, isPast = false) {
                 'TBD';
             
             fixtures.push({
+                fixtureId: f.id,
                 opponent: opponentName,
-                difficulty: difficulty || 3,
+                difficulty: resolveDifficulty(difficulty || 3, opponentId, isHome, perspective),
+                officialDifficulty: difficulty || 3,
                 event: f.event
             });
         });
@@ -139,7 +186,7 @@ export function getGWOpponent(teamId, gameweek) {
 
     return {
         name: opponent ? opponent.short_name : 'TBD',
-        difficulty: difficulty || 3,
+        difficulty: resolveDifficulty(difficulty || 3, opponentId, isHome),
         isHome: isHome,
         fixture: fixture // Include fixture object for status checks
     };
@@ -172,13 +219,36 @@ export function getGWOpponents(teamId, gameweek) {
 
         return {
             name: opponent ? opponent.short_name : 'TBD',
-            difficulty: difficulty || 3,
+            difficulty: resolveDifficulty(difficulty || 3, opponentId, isHome),
             isHome: isHome,
             fixture: fixture
         };
     });
 }
 
+/**
+ * Get raw fixtures a team plays in a gameweek
+ * Unlike getGWOpponents, a blank gameweek returns an empty array instead of a TBD placeholder
+ * @param {number} teamId - Team ID
+ * @param {number} gameweek - Gameweek number
+ * @returns {Array<{opponentId: number, isHome: boolean, difficulty: number, fixture: Object}>} 0 for blank, 2+ for DGW
+ */
+export function getTeamGameweekFixtures(teamId, gameweek) {
+    if (!fplFixtures || !teamId || !gameweek) return [];
+
+    return fplFixtures
+        .filter(f => f.event === gameweek && (f.team_h === teamId || f.team_a === teamId))
+        .map(fixture => {
+            const isHome = fixture.team_h === teamId;
+            return {
+                opponentId: isHome ? fixture.team_a : fixture.team_h,
+                isHome,
+                difficulty: (isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty) || 3,
+                fixture
+            };
+        });
+}
+
 /**
  * Check if the given gameweek is a DGW (any team has multiple fixtures)
  * @param {number} gameweek - Gameweek number
@@ -379,14 +449,17 @@ export function getMatchStatus(teamId, gameweek, player) {
 
 /**
  * Calculate average fixture difficulty over next N gameweeks
+ * Uses the active FDR mode; the perspective only applies to custom FDR.
  * @param {number} teamId - Team ID
  * @param {number} [count=5] - Number of gameweeks to analyze
+ * @param {string} [perspective='overall'] - FDR_PERSPECTIVES value (see getFDRPerspective)
  * @returns {number} Average difficulty rating (1-5, defaults to 3 if no fixtures)
  * @example
  * calculateFixtureDifficulty(1, 5) // 2.4 (good fixtures)
+ * calculateFixtureDifficulty(1, 5, 'attack') // 2.13 (custom FDR: weak defences ahead)
  */
-function _calculateFixtureDifficulty(teamId, count = 5) {
-    const fixtures = getFixtures(teamId, count, false);
+function _calculateFixtureDifficulty(teamId, count = 5, perspective = FDR_PERSPECTIVES.OVERALL) {
+    const fixtures = getFixtures(teamId, count, false, perspective);
 
     if (fixtures.length === 0) return 3;
 
@@ -394,13 +467,15 @@ function _calculateFixtureDifficulty(teamId, count = 5) {
     return totalDifficulty / fixtures.length;
 }
 
-// Memoized version - auto-invalidates when gameweek changes
-// Cache key includes teamId, count, and currentGW (via dependency)
+// Memoized version - auto-invalidates when gameweek, FDR mode or team ratings change
+// Cache key includes teamId, count, perspective, and currentGW (via dependency)
 export const calculateFixtureDifficulty = memoizeWithDependency(
     _calculateFixtureDifficulty,
-    () => currentGW || 0, // Dependency: invalidate when gameweek changes
+    () => isCustomFDR()
+        ? `${currentGW || 0}-${getFDRMode()}-${getTeamRatingsVersion()}`
+        : `${currentGW || 0}-${getFDRMode()}`,
     {
-        keyGenerator: (teamId, count) => `${teamId}-${count}`
+        keyGenerator: (teamId, count = 5, perspective = FDR_PERSPECTIVES.OVERALL) => `${teamId}-${count}-${perspective}`
     }
 );
 
@@ -635,6 +710,7 @@ export function getFixtureHTML(fixture) {
 }
 
 function getDifficultyClass(difficulty) {
+    difficulty = Math.round(difficulty);
     if (difficulty === 1) return 'fixture-diff-1';
     if (difficulty === 2) return 'fixture-diff-2';
     if (difficulty === 3) return 'fixture-diff-3';
@@ -0,0 +1,273 @@
+// ============================================================================
+// LIVE FEED
+// Diffs live stats for watched players (squad, wishlist, followed rivals)
+// after every live data update and turns the changes into feed events and
+// browser notifications
+// ============================================================================
+
+import { getActiveGW, getPlayerById, fplFixtures } from '../data.js';
+import { getTeamShortName } from '../utils.js';
+import { calculateLiveScore } from '../../../shared/liveScoring.js';
+import { sharedState } from '../sharedState.js';
+import { getWishlistEntries } from '../wishlist/store.js';
+import {
+    FEED_EVENT_TYPES,
+    addFeedEvents,
+    getFeedSettings,
+    getFollowedRivals,
+    isPlayerMuted
+} from './store.js';
+
+/** Player ID -> last seen live state (reset each gameweek) */
+let previousStates = new Map();
+let previousGameweek = null;
+let initialized = false;
+
+// ============================================================================
+// WATCH LIST
+// ============================================================================
+
+/**
+ * Build the set of players the feed follows and why
+ * @returns {Map<number, Object>} Player ID -> { squad, starter, wishlist, rivals: string[] }
+ */
+export function getWatchedPlayers() {
+    const watched = new Map();
+    const getEntry = (id) => {
+        if (!watched.has(id)) {
+            watched.set(id, { squad: false, starter: false, wishlist: false, rivals: [] });
+        }
+        return watched.get(id);
+    };
+
+    (sharedState.myTeamData?.picks?.picks || []).forEach(pick => {
+        const entry = getEntry(pick.element);
+        entry.squad = true;
+        entry.starter = pick.position <= 11;
+    });
+
+    getWishlistEntries().forEach(({ id }) => {
+        getEntry(id).wishlist = true;
+    });
+
+    getFollowedRivals().forEach(rival => {
+        rival.playerIds.forEach(id => getEntry(id).rivals.push(rival.name));
+    });
+
+    return watched;
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Auto-subs the live scoring engine makes for the loaded squad
+ * @param {number} gameweek - Gameweek number
+ * @returns {Map<number, number>} Starter subbed out -> bench player coming on
+ */
+export function getSquadAutoSubs(gameweek) {
+    const picksData = sharedState.myTeamData?.picks;
+    const picks = picksData?.picks || [];
+
+    const liveStats = new Map();
+    const players = new Map();
+    const provisionalBonus = new Map();
+    picks.forEach(pick => {
+        const player = getPlayerById(pick.element);
+        if (!player) return;
+        if (player.live_stats) {
+            liveStats.set(pick.element, player.live_stats);
+        }
+        players.set(pick.element, { team: player.team, element_type: player.element_type });
+        provisionalBonus.set(pick.element, player.live_stats?.provisional_bonus || 0);
+    });
+
+    const { autoSubs } = calculateLiveScore({
+        picks,
+        activeChip: picksData?.active_chip || null,
+        liveStats,
+        players,
+        fixtures: (fplFixtures || []).filter(f => f.event === gameweek),
+        provisionalBonus
+    });
+
+    return new Map(autoSubs.map(sub => [sub.element_out, sub.element_in]));
+}
+
+/**
+ * Capture the live state the feed diffs against
+ * @param {Object} player - Player with live_stats
+ * @param {number|null} [subbedOutFor=null] - Bench player auto-subbed on for this player
+ * @returns {Object} { minutes, goals, assists, goalsConceded, redCards, bonus, subbedOutFor }
+ */
+export function buildPlayerLiveState(player, subbedOutFor = null) {
+    const stats = player.live_stats || {};
+
+    return {
+        minutes: stats.minutes || 0,
+        goals: stats.goals_scored || 0,
+        assists: stats.assists || 0,
+        goalsConceded: stats.goals_conceded || 0,
+        redCards: stats.red_cards || 0,
+        // Official bonus replaces provisional once confirmed
+        bonus: stats.bonus || stats.provisional_bonus || 0,
+        subbedOutFor
+    };
+}
+
+/**
+ * Diff two live states for a player into feed events
+ * @param {Object} prev - Previous state from buildPlayerLiveState()
+ * @param {Object} next - Current state from buildPlayerLiveState()
+ * @param {Object} player - Player object (id, element_type)
+ * @param {number} gameweek - Gameweek number
+ * @returns {Array} Feed event stubs ({ id, type, playerId, detail })
+ */
+export function diffPlayerLiveState(prev, next, player, gameweek) {
+    const events = [];
+    const add = (type, key, detail) => events.push({
+        id: `${gameweek}-${type}-${player.id}-${key}`,
+        type,
+        playerId: player.id,
+        detail
+    });
+
+    for (let goal = prev.goals + 1; goal <= next.goals; goal++) {
+        add('goal', goal, goal > 1 ? `Goal #${goal}` : 'Goal');
+    }
+    for (let assist = prev.assists + 1; assist <= next.assists; assist++) {
+        add('assist', assist, assist > 1 ? `Assist #${assist}` : 'Assist');
+    }
+
+    // Clean sheet points only apply to GKP, DEF and MID. A player subbed off
+    // after 60 minutes keeps theirs, so only flag it while they're still
+    // playing or haven't reached 60 yet.
+    const stillPlaying = next.minutes > prev.minutes || next.minutes < 60;
+    if (player.element_type <= 3 && prev.goalsConceded === 0 && next.goalsConceded > 0 && stillPlaying) {
+        add('clean_sheet_lost', next.goalsConceded, 'Clean sheet lost');
+    }
+
+    if (next.bonus !== prev.bonus) {
+        add('bonus', Date.now(), `Bonus ${prev.bonus} → ${next.bonus}`);
+    }
+
+    if (next.redCards > prev.redCards) {
+        add('red_card', next.redCards, 'Sent off');
+    }
+
+    if (next.subbedOutFor && next.subbedOutFor !== prev.subbedOutFor) {
+        const replacement = getPlayerById(next.subbedOutFor)?.web_name;
+        add('auto_sub', next.subbedOutFor, replacement ? `Did not play - auto-subbed for ${replacement}` : 'Did not play - auto-subbed');
+    }
+
+    return events;
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Ask for browser notification permission
+ * @returns {Promise<boolean>} True if notifications are allowed
+ */
+export async function requestNotificationPermission() {
+    if (typeof window === 'undefined' || !('Notification' in window)) {
+        return false;
+    }
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+
+    return (await Notification.requestPermission()) === 'granted';
+}
+
+/**
+ * Show browser notifications for events the user has opted into
+ * @param {Array} events - Feed events
+ */
+function notifyFeedEvents(events) {
+    const settings = getFeedSettings();
+    if (!settings.notificationsEnabled) return;
+    if (typeof window === 'undefined' || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    events
+        .filter(event => settings.types[event.type] && !isPlayerMuted(event.playerId))
+        .forEach(event => {
+            const { icon } = FEED_EVENT_TYPES[event.type];
+            new Notification(`${icon} ${event.playerName} (${event.teamShort})`, {
+                body: `${event.detail}${event.sources.length > 0 ? ` • ${event.sources.join(', ')}` : ''}`,
+                tag: event.id
+            });
+        });
+}
+
+// ============================================================================
+// PROCESSING
+// ============================================================================
+
+function describeSources(watch) {
+    const sources = [];
+    if (watch.squad) sources.push('Your squad');
+    if (watch.wishlist) sources.push('Wishlist');
+    watch.rivals.forEach(name => sources.push(name));
+    return sources;
+}
+
+/**
+ * Diff the latest live data for watched players and record new events
+ * The first pass of a gameweek only records a baseline.
+ * @returns {Array} Newly added feed events
+ */
+export function processLiveUpdate() {
+    const gameweek = getActiveGW();
+    if (!gameweek) return [];
+
+    if (gameweek !== previousGameweek) {
+        previousStates = new Map();
+        previousGameweek = gameweek;
+    }
+
+    const events = [];
+    const autoSubs = getSquadAutoSubs(gameweek);
+
+    getWatchedPlayers().forEach((watch, playerId) => {
+        const player = getPlayerById(playerId);
+        if (!player?.live_stats) return;
+
+        const state = buildPlayerLiveState(player, watch.squad ? autoSubs.get(playerId) ?? null : null);
+        const prev = previousStates.get(playerId);
+        previousStates.set(playerId, state);
+        if (!prev) return;
+
+        diffPlayerLiveState(prev, state, player, gameweek).forEach(event => {
+            events.push({
+                ...event,
+                playerName: player.web_name,
+                teamShort: getTeamShortName(player.team),
+                sources: describeSources(watch),
+                timestamp: Date.now()
+            });
+        });
+    });
+
+    const added = addFeedEvents(gameweek, events);
+    if (added.length > 0) {
+        console.log(`📣 Live feed: ${added.length} new events`);
+        notifyFeedEvents(added);
+    }
+    return added;
+}
+
+/**
+ * Start listening for live data updates (call once bootstrap is loaded)
+ */
+export function initializeLiveFeed() {
+    if (initialized || typeof window === 'undefined') return;
+    initialized = true;
+
+    window.addEventListener('live-data-updated', processLiveUpdate);
+
+    // Record a baseline from the data already loaded
+    processLiveUpdate();
+}
@@ -0,0 +1,178 @@
+// ============================================================================
+// LIVE FEED PANEL
+// Chronological feed of live events for squad, wishlist and followed rival
+// players, with notification settings per event type and per player
+// ============================================================================
+
+import { getActiveGW, isGameweekLive } from '../data.js';
+import { escapeHtml } from '../utils.js';
+import {
+    FEED_EVENT_TYPES,
+    getFeedEvents,
+    getFeedSettings,
+    updateFeedSettings,
+    isPlayerMuted,
+    togglePlayerMuted,
+    clearFeed,
+    getFollowedRivals
+} from './store.js';
+import { requestNotificationPermission } from './feed.js';
+
+let settingsOpen = false;
+let listenerAttached = false;
+
+function formatEventTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit' });
+}
+
+function renderFeedEvent(event) {
+    const { icon } = FEED_EVENT_TYPES[event.type];
+    const muted = isPlayerMuted(event.playerId);
+
+    return `
+        <div style="display: flex; align-items: center; gap: 0.5rem; padding: 0.5rem 0; border-bottom: 1px solid var(--border-color);">
+            <span style="font-size: 0.7rem; color: var(--text-secondary); min-width: 2.75rem;">${formatEventTime(event.timestamp)}</span>
+            <span style="font-size: 1rem;">${icon}</span>
+            <div style="flex: 1; min-width: 0;">
+                <div style="font-size: 0.8rem; font-weight: 600; color: var(--text-primary);">
+                    ${escapeHtml(event.playerName)} <span style="color: var(--text-secondary); font-weight: 400;">(${escapeHtml(event.teamShort)})</span>
+                    • ${escapeHtml(event.detail)}
+                </div>
+                <div style="font-size: 0.65rem; color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                    ${event.sources.map(source => escapeHtml(source)).join(' • ')}
+                </div>
+            </div>
+            <button
+                class="live-feed-mute-btn"
+                data-player-id="${event.playerId}"
+                title="${muted ? 'Unmute notifications for this player' : 'Mute notifications for this player'}"
+                style="background: none; border: none; cursor: pointer; color: ${muted ? '#ef4444' : 'var(--text-secondary)'}; font-size: 0.8rem; padding: 0.25rem;"
+            >
+                <i class="fas ${muted ? 'fa-bell-slash' : 'fa-bell'}"></i>
+            </button>
+        </div>
+    `;
+}
+
+function renderFeedSettings() {
+    const settings = getFeedSettings();
+    const supported = typeof window !== 'undefined' && 'Notification' in window;
+    const denied = supported && Notification.permission === 'denied';
+    const rivals = getFollowedRivals();
+
+    return `
+        <div style="padding: 0.75rem; margin-bottom: 0.75rem; background: var(--bg-primary); border-radius: 8px; border: 1px solid var(--border-color); font-size: 0.8rem;">
+            <label style="display: flex; align-items: center; gap: 0.5rem; font-weight: 600; margin-bottom: 0.5rem; cursor: pointer;">
+                <input type="checkbox" id="live-feed-notifications-toggle" ${settings.notificationsEnabled ? 'checked' : ''} ${!supported || denied ? 'disabled' : ''}>
+                Browser notifications
+            </label>
+            ${!supported ? '<div style="color: var(--text-secondary); margin-bottom: 0.5rem;">Notifications are not supported in this browser.</div>' : ''}
+            ${denied ? '<div style="color: #ef4444; margin-bottom: 0.5rem;">Notifications are blocked - allow them in your browser settings.</div>' : ''}
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem 1rem;">
+                ${Object.entries(FEED_EVENT_TYPES).map(([type, { label, icon }]) => `
+                    <label style="display: flex; align-items: center; gap: 0.35rem; cursor: pointer; color: var(--text-secondary);">
+                        <input type="checkbox" class="live-feed-type-toggle" data-type="${type}" ${settings.types[type] ? 'checked' : ''}>
+                        ${icon} ${label}
+                    </label>
+                `).join('')}
+            </div>
+            <div style="margin-top: 0.5rem; color: var(--text-secondary); font-size: 0.7rem;">
+                Following ${rivals.length > 0 ? rivals.map(r => escapeHtml(r.name)).join(', ') : 'no rivals'} • Follow rivals from their team page.
+                ${settings.mutedPlayers.length > 0 ? ` ${settings.mutedPlayers.length} muted ${settings.mutedPlayers.length === 1 ? 'player' : 'players'}.` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render the live feed panel
+ * Hidden outside live gameweeks unless the feed already has events.
+ * @returns {string} HTML (empty when there is nothing to show)
+ */
+export function renderLiveFeedPanel() {
+    const gameweek = getActiveGW();
+    const events = getFeedEvents(gameweek);
+    const isLive = isGameweekLive(gameweek);
+
+    if (!isLive && events.length === 0) {
+        return '<div id="live-feed-panel"></div>';
+    }
+
+    return `
+        <div id="live-feed-panel" style="background: var(--bg-secondary); padding: 1rem; border-radius: 12px; box-shadow: 0 2px 8px var(--shadow); margin-bottom: 1.5rem;">
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 0.75rem;">
+                <h4 style="font-size: 1rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                    📣 Live Feed <span style="font-size: 0.75rem; color: var(--text-secondary); font-weight: 400;">GW${gameweek}</span>
+                </h4>
+                <div style="display: flex; gap: 0.25rem;">
+                    ${events.length > 0 ? `
+                        <button id="live-feed-clear-btn" title="Clear feed" style="background: none; border: none; cursor: pointer; color: var(--text-secondary); padding: 0.25rem 0.5rem;">
+                            <i class="fas fa-trash-alt"></i>
+                        </button>
+                    ` : ''}
+                    <button id="live-feed-settings-btn" title="Notification settings" style="background: none; border: none; cursor: pointer; color: ${settingsOpen ? 'var(--primary-color)' : 'var(--text-secondary)'}; padding: 0.25rem 0.5rem;">
+                        <i class="fas fa-cog"></i>
+                    </button>
+                </div>
+            </div>
+
+            ${settingsOpen ? renderFeedSettings() : ''}
+
+            <div style="max-height: 320px; overflow-y: auto;">
+                ${events.length > 0 ? events.map(renderFeedEvent).join('') : `
+                    <div style="text-align: center; padding: 1rem; font-size: 0.8rem; color: var(--text-secondary);">
+                        Goals, assists, clean sheets, bonus and auto-subs for your squad, wishlist and followed rivals will appear here.
+                    </div>
+                `}
+            </div>
+        </div>
+    `;
+}
+
+function rerenderPanel() {
+    const panel = document.getElementById('live-feed-panel');
+    if (!panel) return;
+    panel.outerHTML = renderLiveFeedPanel();
+    attachPanelControls();
+}
+
+function attachPanelControls() {
+    document.getElementById('live-feed-settings-btn')?.addEventListener('click', () => {
+        settingsOpen = !settingsOpen;
+        rerenderPanel();
+    });
+
+    document.getElementById('live-feed-clear-btn')?.addEventListener('click', () => {
+        clearFeed();
+    });
+
+    document.getElementById('live-feed-notifications-toggle')?.addEventListener('change', async (e) => {
+        const enabled = e.target.checked && await requestNotificationPermission();
+        updateFeedSettings({ notificationsEnabled: enabled });
+    });
+
+    document.querySelectorAll('.live-feed-type-toggle').forEach(input => {
+        input.addEventListener('change', () => {
+            updateFeedSettings({ types: { [input.dataset.type]: input.checked } });
+        });
+    });
+
+    document.querySelectorAll('.live-feed-mute-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            togglePlayerMuted(parseInt(button.dataset.playerId, 10));
+        });
+    });
+}
+
+/**
+ * Attach live feed listeners after the panel is rendered
+ * The panel re-renders itself whenever the feed or its settings change.
+ */
+export function attachLiveFeedListeners() {
+    attachPanelControls();
+
+    if (!listenerAttached) {
+        listenerAttached = true;
+        window.addEventListener('live-feed-updated', rerenderPanel);
+    }
+}
@@ -0,0 +1,219 @@
+// ============================================================================
+// LIVE FEED STORE
+// Feed events for the current gameweek, notification settings and followed
+// rivals, persisted to localStorage
+// ============================================================================
+
+const FEED_STORAGE_KEY = 'fplanner_live_feed';
+const SETTINGS_STORAGE_KEY = 'fplanner_live_feed_settings';
+const RIVALS_STORAGE_KEY = 'fplanner_followed_rivals';
+
+/** Max events kept per gameweek */
+const MAX_FEED_EVENTS = 100;
+
+/** Max rivals followed at once */
+export const MAX_FOLLOWED_RIVALS = 10;
+
+/** Event types, in the order shown in settings */
+export const FEED_EVENT_TYPES = {
+    goal: { label: 'Goals', icon: '⚽' },
+    assist: { label: 'Assists', icon: '🅰️' },
+    clean_sheet_lost: { label: 'Clean sheet lost', icon: '🧤' },
+    bonus: { label: 'Bonus changes', icon: '⭐' },
+    red_card: { label: 'Red cards', icon: '🟥' },
+    auto_sub: { label: 'Auto-sub triggers', icon: '🔄' }
+};
+
+const DEFAULT_SETTINGS = {
+    notificationsEnabled: false,
+    types: {
+        goal: true,
+        assist: true,
+        clean_sheet_lost: true,
+        bonus: false,
+        red_card: true,
+        auto_sub: true
+    },
+    mutedPlayers: []
+};
+
+let feed = loadJson(FEED_STORAGE_KEY, { gameweek: null, events: [] });
+let settings = normalizeSettings(loadJson(SETTINGS_STORAGE_KEY, {}));
+let followedRivals = loadJson(RIVALS_STORAGE_KEY, []);
+let eventScheduled = false;
+
+function loadJson(key, fallback) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return fallback;
+    }
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (err) {
+        console.warn(`Failed to parse ${key}`, err);
+        return fallback;
+    }
+}
+
+function saveJson(key, value) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.warn(`Failed to persist ${key}`, err);
+    }
+}
+
+function normalizeSettings(saved) {
+    return {
+        ...DEFAULT_SETTINGS,
+        ...saved,
+        types: { ...DEFAULT_SETTINGS.types, ...saved?.types },
+        mutedPlayers: Array.isArray(saved?.mutedPlayers) ? saved.mutedPlayers : []
+    };
+}
+
+function emitChange() {
+    if (typeof window === 'undefined') return;
+    // Batch DOM events so several events from one update trigger a single render
+    if (eventScheduled) return;
+    eventScheduled = true;
+    window.requestAnimationFrame(() => {
+        window.dispatchEvent(new CustomEvent('live-feed-updated'));
+        eventScheduled = false;
+    });
+}
+
+// ============================================================================
+// FEED
+// ============================================================================
+
+/**
+ * Get feed events for a gameweek, newest first
+ * @param {number} gameweek - Gameweek number
+ * @returns {Array} Feed events
+ */
+export function getFeedEvents(gameweek) {
+    return feed.gameweek === gameweek ? [...feed.events] : [];
+}
+
+/**
+ * Add events to the feed (events from a previous gameweek are dropped)
+ * @param {number} gameweek - Gameweek number
+ * @param {Array} events - New events ({ id, type, playerId, ... })
+ * @returns {Array} Events that were not already in the feed
+ */
+export function addFeedEvents(gameweek, events) {
+    if (feed.gameweek !== gameweek) {
+        feed = { gameweek, events: [] };
+    }
+
+    const existingIds = new Set(feed.events.map(e => e.id));
+    const added = events.filter(e => !existingIds.has(e.id));
+    if (added.length === 0) return added;
+
+    feed.events = [...[...added].reverse(), ...feed.events].slice(0, MAX_FEED_EVENTS);
+    saveJson(FEED_STORAGE_KEY, feed);
+    emitChange();
+    return added;
+}
+
+export function clearFeed() {
+    feed = { gameweek: feed.gameweek, events: [] };
+    saveJson(FEED_STORAGE_KEY, feed);
+    emitChange();
+}
+
+// ============================================================================
+// NOTIFICATION SETTINGS
+// ============================================================================
+
+export function getFeedSettings() {
+    return { ...settings, types: { ...settings.types }, mutedPlayers: [...settings.mutedPlayers] };
+}
+
+/**
+ * Update notification settings
+ * @param {Object} changes - Partial settings ({ notificationsEnabled, types })
+ */
+export function updateFeedSettings(changes) {
+    settings = normalizeSettings({
+        ...settings,
+        ...changes,
+        types: { ...settings.types, ...changes.types }
+    });
+    saveJson(SETTINGS_STORAGE_KEY, settings);
+    emitChange();
+}
+
+export function isPlayerMuted(playerId) {
+    return settings.mutedPlayers.includes(playerId);
+}
+
+export function togglePlayerMuted(playerId) {
+    const muted = isPlayerMuted(playerId);
+    settings.mutedPlayers = muted
+        ? settings.mutedPlayers.filter(id => id !== playerId)
+        : [...settings.mutedPlayers, playerId];
+    saveJson(SETTINGS_STORAGE_KEY, settings);
+    emitChange();
+    return !muted;
+}
+
+// ============================================================================
+// FOLLOWED RIVALS
+// ============================================================================
+
+/**
+ * Get followed rivals
+ * @returns {Array} [{ entry, name, playerIds, gameweek }]
+ */
+export function getFollowedRivals() {
+    return [...followedRivals];
+}
+
+export function isRivalFollowed(entryId) {
+    return followedRivals.some(rival => rival.entry === entryId);
+}
+
+/**
+ * Follow or unfollow a rival; following stores their current picks
+ * @param {Object} teamData - Rival team data ({ team, picks, gameweek })
+ * @returns {boolean|null} True if now followed, false if unfollowed, null if the limit was reached
+ */
+export function toggleFollowedRival(teamData) {
+    const entryId = teamData.team.id;
+
+    if (isRivalFollowed(entryId)) {
+        followedRivals = followedRivals.filter(rival => rival.entry !== entryId);
+    } else {
+        if (followedRivals.length >= MAX_FOLLOWED_RIVALS) {
+            return null;
+        }
+        followedRivals.push({
+            entry: entryId,
+            name: teamData.team.name,
+            playerIds: teamData.picks.picks.map(pick => pick.element),
+            gameweek: teamData.gameweek
+        });
+    }
+
+    saveJson(RIVALS_STORAGE_KEY, followedRivals);
+    emitChange();
+    return isRivalFollowed(entryId);
+}
+
+/**
+ * Refresh a followed rival's stored picks (e.g. after they make transfers)
+ * @param {Object} teamData - Rival team data ({ team, picks, gameweek })
+ */
+export function updateFollowedRivalPicks(teamData) {
+    const rival = followedRivals.find(r => r.entry === teamData.team.id);
+    if (!rival || rival.gameweek === teamData.gameweek) return;
+
+    rival.playerIds = teamData.picks.picks.map(pick => pick.element);
+    rival.gameweek = teamData.gameweek;
+    saveJson(RIVALS_STORAGE_KEY, followedRivals);
+}
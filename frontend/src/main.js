@@ -4,7 +4,7 @@
 // ============================================================================
 
 import './styles.css';
-import { loadFPLData, loadMyTeam, refreshData, currentGW, loadEnrichedBootstrap, getGameweekEvent, getActiveGW } from './data.js';
+import { loadFPLData, loadMyTeam, refreshData, currentGW, loadEnrichedBootstrap, getGameweekEvent, getActiveGW, loadPricePredictions } from './data.js';
 import { escapeHtml, formatRank } from './utils.js';
 import {
     updateOwnershipThreshold as updateAnalysisOwnership,
@@ -16,6 +16,10 @@ import { initMobileNav, updateMobileNav } from './mobileNav.js';
 import { calculateRankIndicator, calculateGWIndicator } from './myTeam/compact/compactStyleHelpers.js';
 import { sharedState } from './sharedState.js';
 import { showManagerModal } from './myTeam/managerModal.js';
+import { initializeLiveFeed } from './liveFeed/feed.js';
+import { initCompareControls } from './compare/compareButton.js';
+import { initAssistantPanel } from './assistant/assistantPanel.js';
+import { initializeOfflineStatus, getOfflineStatus, formatDataAge } from './offline/offlineStore.js';
 
 // ============================================================================
 // STATE MANAGEMENT
@@ -130,10 +134,18 @@ function renderPage() {
         case 'search':
             renderSearch();
             break;
+        case 'compare':
+            // Sub-tab carries the comma-separated player IDs (#compare/1,2,3)
+            renderComparePage(currentSubTab === 'overview' ? '' : currentSubTab);
+            break;
         case 'planner':
             // Check if it's a replacement page
             if (currentSubTab === 'replace' && position) {
                 renderPlayerReplacementPage(parseInt(position));
+            } else if (currentSubTab === 'ticker') {
+                renderFixtureTickerPage();
+            } else if (currentSubTab === 'threats') {
+                renderCohortThreatsPage();
             } else {
                 renderPlannerPage();
             }
@@ -172,9 +184,21 @@ async function renderCharts() {
     render();
 }
 
-async function renderSearch() {
+async function renderSearch(expression = null) {
     const { renderSearch: render } = await import('./renderSearch.js');
-    render();
+    render(expression);
+}
+
+async function renderSharedScreenPage(segment) {
+    const { decodeScreenQuery } = await import('./search/screenStore.js');
+    renderSearch(decodeScreenQuery(segment));
+}
+
+async function renderComparePage(segment) {
+    const { renderComparePage: render, attachComparePageListeners } = await import('./compare/comparePage.js');
+    const container = document.getElementById('app-container');
+    container.innerHTML = render(segment);
+    attachComparePageListeners();
 }
 
 async function renderPlannerPage() {
@@ -182,6 +206,25 @@ async function renderPlannerPage() {
     renderPlanner();
 }
 
+async function renderSharedPlanPage(token) {
+    const { renderSharedPlan } = await import('./teamBuilder/sharedPlanView.js');
+    renderSharedPlan(token);
+}
+
+async function renderCohortThreatsPage() {
+    const { renderCohortThreatsPage: render, attachCohortThreatsPageListeners } = await import('./planner/cohortThreatsPage.js');
+    const container = document.getElementById('app-container');
+    container.innerHTML = render();
+    attachCohortThreatsPageListeners();
+}
+
+async function renderFixtureTickerPage() {
+    const { renderFixtureTickerPage: render, attachFixtureTickerPageListeners } = await import('./planner/fixtureTickerPage.js');
+    const container = document.getElementById('app-container');
+    container.innerHTML = render();
+    attachFixtureTickerPageListeners();
+}
+
 async function renderPlayerReplacementPage(playerId) {
     const { renderPlayerReplacementPage } = await import('./planner/replacementPage.js');
     const container = document.getElementById('app-container');
@@ -314,6 +357,9 @@ function updateCountdown() {
                 else freshnessEl.textContent = `• ${Math.floor(ageMins / 60)}h ago`;
             }
         }
+
+        // Keep the offline banner's data age current
+        updateOfflineBanner();
     });
 }
 
@@ -327,6 +373,40 @@ function loadTheme() {
     console.log('🎨 Theme loaded: dark (forced)');
 }
 
+// ============================================================================
+// OFFLINE SUPPORT
+// ============================================================================
+
+/**
+ * Show or hide the offline banner
+ * The data age comes from the `meta` timestamp of the data on screen.
+ */
+function updateOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+
+    const { offline, timestamp } = getOfflineStatus();
+    if (!offline) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    const age = timestamp ? `data from ${formatDataAge(timestamp)}` : 'showing saved data';
+    banner.innerHTML = `<i class="fas fa-wifi" style="margin-right: 0.5rem; opacity: 0.6;"></i>Offline, ${age}`;
+    banner.style.display = 'block';
+}
+
+/**
+ * Register the service worker (production builds only - it would cache dev modules)
+ */
+function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js')
+        .then(() => console.log('📦 Service worker registered'))
+        .catch(err => console.warn('⚠️ Service worker registration failed:', err.message));
+}
+
 // ============================================================================
 // APP INITIALIZATION
 // ============================================================================
@@ -346,6 +426,11 @@ async function initializeApp() {
         // Setup navigation
         setupNavigation();
 
+        // Offline shell and data status
+        initializeOfflineStatus();
+        window.addEventListener('offline-status-changed', updateOfflineBanner);
+        registerServiceWorker();
+
         // Initialize mobile navigation
         initMobileNav(navigate);
 
@@ -362,6 +447,20 @@ async function initializeApp() {
             console.warn('⚠️ Could not load enriched data:', err.message);
         }
 
+        // Start diffing live data for the live feed (baseline from the data just loaded)
+        initializeLiveFeed();
+
+        // "Add to comparison" buttons on player rows and the comparison tray
+        initCompareControls();
+
+        // AI assistant chat panel (conversation per team)
+        initAssistantPanel();
+
+        // Price predictions are optional - load in background
+        loadPricePredictions().catch(err => {
+            console.warn('⚠️ Could not load price predictions:', err.message);
+        });
+
         startCountdown();
 
         // Expose updateNavTeamWidget globally
@@ -401,11 +500,23 @@ async function initializeApp() {
                 currentSubTab = subTab;
                 updateNavLinks();
                 renderPlayerReplacementPage(parseInt(position));
+            } else if (page === 'team-builder' && subTab === 'plan' && position) {
+                // Handle team-builder/plan/{token} shared plan route
+                currentPage = page;
+                currentSubTab = subTab;
+                updateNavLinks();
+                renderSharedPlanPage(position);
             } else if (page === 'data-analysis' && position) {
                 currentPage = page;
                 currentSubTab = subTab || 'overview';
                 updateNavLinks();
                 renderDataAnalysis(subTab || 'overview', position);
+            } else if (page === 'search' && subTab === 'q' && position) {
+                // Handle search/q/{expression} shared screen route
+                currentPage = page;
+                currentSubTab = subTab;
+                updateNavLinks();
+                renderSharedScreenPage(position);
             } else {
                 navigate(page, subTab || 'overview');
             }
@@ -824,8 +935,12 @@ window.addEventListener('hashchange', () => {
         updateNavLinks();
         if (page === 'planner' && subTab === 'replace' && position) {
             renderPlayerReplacementPage(parseInt(position));
+        } else if (page === 'team-builder' && subTab === 'plan' && position) {
+            renderSharedPlanPage(position);
         } else if (page === 'data-analysis' && position) {
             renderDataAnalysis(subTab || 'overview', position);
+        } else if (page === 'search' && subTab === 'q' && position) {
+            renderSharedScreenPage(position);
         } else {
             renderPage();
         }
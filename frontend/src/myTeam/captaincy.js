@@ -0,0 +1,211 @@
+// ============================================================================
+// CAPTAINCY MODULE
+// Ranks the starting XI as captain options by projected points, haul and
+// blank probability, with mini-league effective ownership and rank swing
+// ============================================================================
+
+import { getPlayerById } from '../data.js';
+import { isDoubleGameweek } from '../fixtures.js';
+import { projectPlayer, getPointsDistribution } from '../projections.js';
+import { calculateLeagueOwnership } from './compact/playerModal.js';
+
+/** Points (before the armband) that count as a haul */
+export const HAUL_POINTS = 10;
+
+/** Points (before the armband) at or below which a captain has blanked */
+export const BLANK_POINTS = 2;
+
+const CAPTAIN_MULTIPLIER = 2;
+const FLOOR_PERCENTILE = 0.1;
+const CEILING_PERCENTILE = 0.9;
+
+export const CAPTAIN_SORTS = {
+    PROJECTED: 'projected',
+    HAUL: 'haul',
+    SAFE: 'safe'
+};
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+function sumFrom(pmf, start, end = pmf.length - 1) {
+    let total = 0;
+    for (let k = Math.max(0, start); k <= Math.min(end, pmf.length - 1); k++) {
+        total += pmf[k];
+    }
+    return total;
+}
+
+function percentile(pmf, target) {
+    let cumulative = 0;
+    for (let k = 0; k < pmf.length; k++) {
+        cumulative += pmf[k];
+        if (cumulative >= target) return k;
+    }
+    return pmf.length - 1;
+}
+
+/**
+ * Summarise a points distribution for captaincy
+ * @param {number[]} pmf - Probability indexed by points
+ * @returns {{haulProb: number, blankProb: number, floor: number, ceiling: number}}
+ *   Floor and ceiling are the 10th/90th percentile points before the armband
+ */
+export function summarizeDistribution(pmf) {
+    return {
+        haulProb: sumFrom(pmf, HAUL_POINTS),
+        blankProb: sumFrom(pmf, 0, BLANK_POINTS),
+        floor: percentile(pmf, FLOOR_PERCENTILE),
+        ceiling: percentile(pmf, CEILING_PERCENTILE)
+    };
+}
+
+/**
+ * Build captain options for the starting XI
+ * @param {Array} picks - Squad picks ({ element, position })
+ * @param {number} gameweek - Gameweek the armband is for
+ * @returns {Array<Object>} Options sorted by projected points, each with player,
+ *   xPts, haulProb, blankProb, floor, ceiling, fixtureCount and isDouble
+ */
+export function buildCaptainOptions(picks, gameweek) {
+    const doubleGameweek = isDoubleGameweek(gameweek);
+
+    const options = (picks || [])
+        .filter(pick => pick.position <= 11)
+        .map(pick => {
+            const player = getPlayerById(pick.element);
+            if (!player) return null;
+
+            const projection = projectPlayer(player, 1, gameweek).gameweeks[0];
+            const fixtureCount = projection?.fixtures.length || 0;
+
+            return {
+                player,
+                xPts: projection?.xPts || 0,
+                fixtureCount,
+                isDouble: doubleGameweek && fixtureCount > 1,
+                ...summarizeDistribution(getPointsDistribution(player, gameweek))
+            };
+        })
+        .filter(Boolean);
+
+    return sortCaptainOptions(options);
+}
+
+/**
+ * Sort captain options
+ * @param {Array} options - Options from buildCaptainOptions
+ * @param {string} [sortBy='projected'] - CAPTAIN_SORTS value
+ * @returns {Array} New sorted array
+ */
+export function sortCaptainOptions(options, sortBy = CAPTAIN_SORTS.PROJECTED) {
+    const sorted = [...options];
+    if (sortBy === CAPTAIN_SORTS.HAUL) {
+        return sorted.sort((a, b) => b.haulProb - a.haulProb || b.xPts - a.xPts);
+    }
+    if (sortBy === CAPTAIN_SORTS.SAFE) {
+        return sorted.sort((a, b) => a.blankProb - b.blankProb || b.xPts - a.xPts);
+    }
+    return sorted.sort((a, b) => b.xPts - a.xPts || b.haulProb - a.haulProb);
+}
+
+// ============================================================================
+// LEAGUE RISK
+// ============================================================================
+
+/**
+ * Captaincy effective ownership of a player in a mini-league
+ * Counts each rival's multiplier, so a captain counts twice and a benched
+ * player not at all (100% = every rival starts the player, 200% = every rival captains them).
+ * @param {number} playerId - Player ID
+ * @param {Object} leagueState - State for calculateLeagueOwnership, limited to the league's rivals
+ * @returns {{eo: number, owners: number, captains: number, total: number}|null} Null without rival data
+ */
+export function getLeagueCaptaincyEO(playerId, leagueState) {
+    const ownership = calculateLeagueOwnership(playerId, leagueState);
+    if (!ownership || ownership.total === 0) return null;
+
+    const weighted = ownership.owners.reduce((sum, owner) => sum + owner.multiplier, 0);
+    return {
+        eo: (weighted / ownership.total) * 100,
+        owners: ownership.owners.length,
+        captains: ownership.owners.filter(owner => owner.multiplier >= CAPTAIN_MULTIPLIER).length,
+        total: ownership.total
+    };
+}
+
+/**
+ * Most captained player among the league's rivals
+ * @param {Map} rivalTeamCache - Entry ID -> team data, limited to the league
+ * @returns {{playerId: number, count: number}|null} Template captain
+ */
+export function getTemplateCaptain(rivalTeamCache) {
+    const counts = new Map();
+    rivalTeamCache?.forEach(rivalData => {
+        const captain = rivalData?.picks?.picks?.find(pick => pick.is_captain);
+        if (captain) {
+            counts.set(captain.element, (counts.get(captain.element) || 0) + 1);
+        }
+    });
+
+    let template = null;
+    counts.forEach((count, playerId) => {
+        if (!template || count > template.count) {
+            template = { playerId, count };
+        }
+    });
+    return template;
+}
+
+/**
+ * League rank after a captain scores a given number of points
+ * Everything else is assumed to score as projected, so each rival moves by the
+ * difference between our armband and their exposure to the captain.
+ * @param {Array<{gap: number, multiplier: number}>} rivals - Points gap (positive = ahead of us)
+ *   and the rival's multiplier on the captain
+ * @param {number} points - Captain's points before the armband
+ * @param {number} xPts - Captain's projected points
+ * @returns {number} League rank (1 = top)
+ */
+export function getRankAfterCaptainScore(rivals, points, xPts) {
+    const surprise = points - xPts;
+    return 1 + rivals.filter(rival => rival.gap - (CAPTAIN_MULTIPLIER - rival.multiplier) * surprise > 0).length;
+}
+
+/**
+ * Rank gained or lost if a captain hauls (ceiling) or blanks (floor)
+ * Rivals whose picks are not loaded are assumed to follow the league template,
+ * i.e. carry the league's average exposure to the player.
+ * @param {Object} option - Captain option from buildCaptainOptions
+ * @param {Object} league - League context
+ * @param {Array} league.standings - League standings results
+ * @param {number} league.myEntryId - User's entry ID
+ * @param {Map} league.rivalTeamCache - Entry ID -> team data, limited to the league
+ * @param {number|null} eo - League captaincy EO (%) from getLeagueCaptaincyEO
+ * @returns {{currentRank: number, haulChange: number, blankChange: number}|null}
+ *   Positive change = places gained; null without standings
+ */
+export function getCaptainRankSwing(option, { standings, myEntryId, rivalTeamCache }, eo) {
+    const me = standings?.find(s => parseInt(s.entry, 10) === parseInt(myEntryId, 10));
+    if (!me) return null;
+
+    const templateMultiplier = (eo || 0) / 100;
+    const rivals = standings
+        .filter(s => s !== me)
+        .map(s => {
+            const picks = rivalTeamCache?.get(s.entry)?.picks?.picks;
+            const pick = picks?.find(p => p.element === option.player.id);
+            return {
+                gap: (s.total || 0) - (me.total || 0),
+                multiplier: picks ? (pick?.multiplier ?? 0) : templateMultiplier
+            };
+        });
+
+    const currentRank = 1 + rivals.filter(rival => rival.gap > 0).length;
+    return {
+        currentRank,
+        haulChange: currentRank - getRankAfterCaptainScore(rivals, option.ceiling, option.xPts),
+        blankChange: currentRank - getRankAfterCaptainScore(rivals, option.floor, option.xPts)
+    };
+}
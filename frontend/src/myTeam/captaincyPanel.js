@@ -0,0 +1,270 @@
+// ============================================================================
+// CAPTAINCY PANEL
+// Captain picker for My Team: projected points, haul/blank odds, ceiling and
+// floor, plus effective ownership and rank swing in the selected mini-league
+// ============================================================================
+
+import { loadLeagueStandings, loadMyTeam } from '../data.js';
+import { sharedState } from '../sharedState.js';
+import { getProjectionStartGW } from '../projections.js';
+import { getPreferredLeagueId } from '../planner/leagueComparison.js';
+import { escapeHtml, getPositionShort, getTeamShortName } from '../utils.js';
+import {
+    CAPTAIN_SORTS,
+    HAUL_POINTS,
+    BLANK_POINTS,
+    buildCaptainOptions,
+    sortCaptainOptions,
+    getLeagueCaptaincyEO,
+    getTemplateCaptain,
+    getCaptainRankSwing
+} from './captaincy.js';
+
+const MAX_LEAGUE_ENTRIES = 50;
+
+const SORT_LABELS = {
+    [CAPTAIN_SORTS.PROJECTED]: 'xPts',
+    [CAPTAIN_SORTS.HAUL]: 'Haul %',
+    [CAPTAIN_SORTS.SAFE]: 'Safest'
+};
+
+let panelState = {
+    sortBy: CAPTAIN_SORTS.PROJECTED,
+    loadingLeague: false,
+    teamData: null
+};
+
+function getCachedStandings(leagueId) {
+    const cache = sharedState.leagueStandingsCache;
+    return cache.get(leagueId) || cache.get(String(leagueId)) || null;
+}
+
+/**
+ * League context for the selected mini-league, limited to rivals whose
+ * picks are already cached
+ * @param {number} teamId - User's entry ID
+ * @returns {Object|null} Context with leagueId, name, standings and league-only state
+ */
+function getLeagueContext(teamId) {
+    const leagueId = getPreferredLeagueId(teamId);
+    const leagueData = leagueId ? getCachedStandings(leagueId) : null;
+    if (!leagueData) {
+        return leagueId ? { leagueId, standings: null } : null;
+    }
+
+    const standings = leagueData.standings?.results || [];
+    const rivalTeamCache = new Map();
+    standings.forEach(s => {
+        if (parseInt(s.entry, 10) === parseInt(teamId, 10)) return;
+        const rivalData = sharedState.rivalTeamCache.get(s.entry);
+        if (rivalData) rivalTeamCache.set(s.entry, rivalData);
+    });
+
+    return {
+        leagueId,
+        name: leagueData.league?.name || 'Mini-league',
+        standings,
+        myEntryId: teamId,
+        rivalTeamCache,
+        leagueState: {
+            teamId,
+            activeLeagueTab: leagueId,
+            leagueStandingsCache: sharedState.leagueStandingsCache,
+            rivalTeamCache
+        }
+    };
+}
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+function renderRankChange(change) {
+    if (change === null || change === undefined) {
+        return '<span style="color: var(--text-secondary);">—</span>';
+    }
+    if (change === 0) {
+        return '<span style="color: var(--text-secondary);">±0</span>';
+    }
+    const color = change > 0 ? '#22c55e' : '#ef4444';
+    return `<span style="color: ${color}; font-weight: 600;">${change > 0 ? '▲' : '▼'}${Math.abs(change)}</span>`;
+}
+
+function renderOptionRow(option, league, template, index) {
+    const { player } = option;
+    const eo = league?.leagueState ? getLeagueCaptaincyEO(player.id, league.leagueState) : null;
+    const swing = league?.standings ? getCaptainRankSwing(option, league, eo?.eo ?? null) : null;
+    const isTemplate = template && template.playerId === player.id;
+
+    return `
+        <tr style="border-bottom: 1px solid var(--border-color); ${index === 0 ? 'background: rgba(34, 197, 94, 0.08);' : ''}">
+            <td style="padding: 0.5rem; white-space: nowrap;">
+                <div style="font-weight: 600; color: var(--text-primary);">
+                    ${index === 0 ? '<i class="fas fa-copyright" style="color: #22c55e;" title="Top pick"></i> ' : ''}${escapeHtml(player.web_name)}
+                    ${option.isDouble ? '<span style="background: rgba(147, 51, 234, 0.15); color: #a855f6; font-weight: 700; font-size: 0.65rem; padding: 0.1rem 0.35rem; border-radius: 4px;">DGW</span>' : ''}
+                    ${option.fixtureCount === 0 ? '<span style="background: rgba(239, 68, 68, 0.15); color: #ef4444; font-weight: 700; font-size: 0.65rem; padding: 0.1rem 0.35rem; border-radius: 4px;">BLANK</span>' : ''}
+                    ${isTemplate ? '<span style="background: rgba(59, 130, 246, 0.15); color: #3b82f6; font-weight: 700; font-size: 0.65rem; padding: 0.1rem 0.35rem; border-radius: 4px;" title="Most captained in the league">TEMPLATE</span>' : ''}
+                </div>
+                <div style="font-size: 0.7rem; color: var(--text-secondary);">${getPositionShort(player)} • ${getTeamShortName(player.team)}</div>
+            </td>
+            <td style="padding: 0.5rem; text-align: center; font-weight: 700;">${(option.xPts * 2).toFixed(1)}</td>
+            <td style="padding: 0.5rem; text-align: center;">${formatPercent(option.haulProb)}</td>
+            <td style="padding: 0.5rem; text-align: center;">${formatPercent(option.blankProb)}</td>
+            <td style="padding: 0.5rem; text-align: center; white-space: nowrap;">${option.floor * 2}–${option.ceiling * 2}</td>
+            <td style="padding: 0.5rem; text-align: center;" title="${eo ? `${eo.owners}/${eo.total} own, ${eo.captains} captain` : 'No league picks loaded'}">
+                ${eo ? `${Math.round(eo.eo)}%` : '—'}
+            </td>
+            <td style="padding: 0.5rem; text-align: center;">${renderRankChange(swing?.haulChange)}</td>
+            <td style="padding: 0.5rem; text-align: center;">${renderRankChange(swing?.blankChange)}</td>
+        </tr>
+    `;
+}
+
+function renderLeagueStatus(league) {
+    if (!league) {
+        return 'Select a mini-league on the My Leagues tab to see league EO and rank swing.';
+    }
+    if (!league.standings) {
+        return panelState.loadingLeague ? '<i class="fas fa-spinner fa-spin"></i> Loading league picks...' : 'League picks not loaded yet.';
+    }
+
+    const loaded = league.rivalTeamCache.size;
+    const rivals = Math.max(0, league.standings.length - 1);
+    return `
+        ${escapeHtml(league.name)} • picks loaded for ${loaded}/${rivals} rivals${loaded < rivals ? ' (the rest are assumed to follow the template)' : ''}
+        ${panelState.loadingLeague ? ' <i class="fas fa-spinner fa-spin"></i>' : ''}
+    `;
+}
+
+/**
+ * Render the captaincy panel
+ * @param {Object} teamData - Team data with team and picks
+ * @returns {string} HTML
+ */
+export function renderCaptaincyPanel(teamData) {
+    panelState.teamData = teamData;
+    const gameweek = getProjectionStartGW();
+    const options = sortCaptainOptions(buildCaptainOptions(teamData?.picks?.picks, gameweek), panelState.sortBy);
+
+    if (options.length === 0) {
+        return '<div id="captaincy-panel"></div>';
+    }
+
+    const league = getLeagueContext(teamData.team?.id);
+    const template = league?.rivalTeamCache ? getTemplateCaptain(league.rivalTeamCache) : null;
+    const canLoadLeague = league && !panelState.loadingLeague &&
+        (!league.standings || league.rivalTeamCache.size < Math.min(MAX_LEAGUE_ENTRIES, league.standings.length) - 1);
+
+    return `
+        <div id="captaincy-panel" style="background: var(--bg-secondary); padding: 1rem; border-radius: 12px; box-shadow: 0 2px 8px var(--shadow); margin-bottom: 1.5rem;">
+            <div style="display: flex; align-items: center; justify-content: space-between; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 0.5rem;">
+                <h4 style="font-size: 1rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                    🎖️ Captaincy <span style="font-size: 0.75rem; color: var(--text-secondary); font-weight: 400;">GW${gameweek}</span>
+                </h4>
+                <div style="display: flex; gap: 0.25rem;">
+                    ${Object.values(CAPTAIN_SORTS).map(sort => `
+                        <button class="captaincy-sort-btn" data-sort="${sort}" style="
+                            padding: 0.25rem 0.6rem; font-size: 0.7rem; font-weight: 600; border-radius: 6px; cursor: pointer;
+                            border: 1px solid var(--border-color);
+                            background: ${panelState.sortBy === sort ? 'var(--primary-color)' : 'transparent'};
+                            color: ${panelState.sortBy === sort ? 'white' : 'var(--text-secondary)'};
+                        ">${SORT_LABELS[sort]}</button>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div style="font-size: 0.7rem; color: var(--text-secondary); margin-bottom: 0.75rem; display: flex; align-items: center; justify-content: space-between; gap: 0.5rem;">
+                <span>${renderLeagueStatus(league)}</span>
+                ${canLoadLeague ? `
+                    <button id="captaincy-load-league-btn" style="padding: 0.25rem 0.6rem; font-size: 0.7rem; font-weight: 600; border-radius: 6px; cursor: pointer; border: none; background: var(--primary-color); color: white; white-space: nowrap;">
+                        <i class="fas fa-download"></i> Load league picks
+                    </button>
+                ` : ''}
+            </div>
+
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.8rem;">
+                    <thead>
+                        <tr style="color: var(--text-secondary); font-size: 0.7rem; text-align: center;">
+                            <th style="padding: 0.5rem; text-align: left;">Player</th>
+                            <th style="padding: 0.5rem;" title="Projected points with the armband">xPts (C)</th>
+                            <th style="padding: 0.5rem;" title="Chance of ${HAUL_POINTS}+ points before the armband">Haul</th>
+                            <th style="padding: 0.5rem;" title="Chance of ${BLANK_POINTS} points or fewer before the armband">Blank</th>
+                            <th style="padding: 0.5rem;" title="10th-90th percentile points with the armband">Floor–Ceiling</th>
+                            <th style="padding: 0.5rem;" title="Captaincy effective ownership in the league (200% = every rival captains this player)">League EO</th>
+                            <th style="padding: 0.5rem;" title="League places gained or lost if the captain hits the ceiling">If hauls</th>
+                            <th style="padding: 0.5rem;" title="League places gained or lost if the captain hits the floor">If blanks</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${options.map((option, index) => renderOptionRow(option, league, template, index)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+function rerenderPanel() {
+    const panel = document.getElementById('captaincy-panel');
+    if (!panel || !panelState.teamData) return;
+    panel.outerHTML = renderCaptaincyPanel(panelState.teamData);
+    attachCaptaincyListeners();
+}
+
+/**
+ * Load standings and rival picks for the selected league into the shared caches
+ * @param {number} leagueId - League ID
+ * @param {number} teamId - User's entry ID
+ */
+async function loadLeaguePicks(leagueId, teamId) {
+    let leagueData = getCachedStandings(leagueId);
+    if (!leagueData) {
+        leagueData = await loadLeagueStandings(leagueId);
+        leagueData._timestamp = Date.now();
+        sharedState.leagueStandingsCache.set(leagueId, leagueData);
+        rerenderPanel();
+    }
+
+    const entries = (leagueData?.standings?.results || [])
+        .slice(0, MAX_LEAGUE_ENTRIES)
+        .filter(s => parseInt(s.entry, 10) !== parseInt(teamId, 10) && !sharedState.rivalTeamCache.has(s.entry));
+
+    for (const entry of entries) {
+        try {
+            const teamData = await loadMyTeam(entry.entry, { background: true });
+            sharedState.rivalTeamCache.set(entry.entry, teamData);
+        } catch (err) {
+            console.warn('Failed to load rival team for captaincy:', err);
+        }
+    }
+}
+
+/**
+ * Attach captaincy panel listeners after the panel is rendered
+ */
+export function attachCaptaincyListeners() {
+    document.querySelectorAll('.captaincy-sort-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            panelState.sortBy = button.dataset.sort;
+            rerenderPanel();
+        });
+    });
+
+    document.getElementById('captaincy-load-league-btn')?.addEventListener('click', async () => {
+        const teamId = panelState.teamData?.team?.id;
+        const leagueId = getPreferredLeagueId(teamId);
+        if (!leagueId) return;
+
+        panelState.loadingLeague = true;
+        rerenderPanel();
+        try {
+            await loadLeaguePicks(leagueId, teamId);
+        } catch (err) {
+            console.error('Failed to load league picks for captaincy:', err);
+        } finally {
+            panelState.loadingLeague = false;
+            rerenderPanel();
+        }
+    });
+}
@@ -15,7 +15,9 @@ import {
 import { renderFixturePlayerStats } from '../fixturesTab.js';
 import { escapeHtml, getDifficultyClass } from '../../utils.js';
 import { getGlassmorphism, getShadow, getMobileBorderRadius } from '../../styles/mobileDesignSystem.js';
-import { getMatchStatus, isDoubleGameweek } from '../../fixtures.js';
+import { getMatchStatus, isDoubleGameweek, getFixtureDifficultyBreakdown } from '../../fixtures.js';
+import { isCustomFDR } from '../../fdr/store.js';
+import { renderFDRModeToggle, attachFDRModeToggleListeners } from '../../fdr/fdrModeToggle.js';
 import { renderTeamLogo } from '../../utils/teamLogos.js';
 
 /**
@@ -387,6 +389,51 @@ export function renderFixturesTicker() {
     }
 }
 
+/**
+ * Render a difficulty badge (integer for official FDR, one decimal for custom)
+ * @param {number} value - Difficulty (1-5)
+ * @param {string} [label] - Optional prefix (e.g. 'ATK')
+ * @returns {string} HTML string
+ */
+function renderDifficultyBadge(value, label = '') {
+    const text = Number.isInteger(value) ? value : value.toFixed(1);
+    return `
+        <span class="${getDifficultyClass(value)}" style="
+            display: inline-block;
+            min-width: 2rem;
+            height: 2rem;
+            padding: 0 0.35rem;
+            border-radius: 0.25rem;
+            text-align: center;
+            line-height: 2rem;
+            font-weight: 700;
+            font-size: 0.875rem;
+        ">${label ? `<span style="font-size: 0.6rem; font-weight: 600; opacity: 0.8; margin-right: 0.2rem;">${label}</span>` : ''}${text}</span>
+    `;
+}
+
+/**
+ * Render a team's difficulty for the active FDR mode
+ * Custom FDR shows attacking and defensive difficulty separately.
+ * @param {Object} fixture - FPL fixture
+ * @param {number} teamId - Team ID (home or away side)
+ * @returns {string} HTML string
+ */
+function renderFixtureDifficulty(fixture, teamId) {
+    const breakdown = getFixtureDifficultyBreakdown(fixture, teamId);
+
+    if (!isCustomFDR() || breakdown.attack === null) {
+        return renderDifficultyBadge(breakdown.official);
+    }
+
+    return `
+        <div style="display: flex; gap: 0.25rem;">
+            ${renderDifficultyBadge(breakdown.attack, 'ATK')}
+            ${renderDifficultyBadge(breakdown.defence, 'DEF')}
+        </div>
+    `;
+}
+
 /**
  * Show fixture modal (basic structure)
  * @param {number} fixtureId - Fixture ID
@@ -598,9 +645,6 @@ export function showFixtureModal(fixtureId) {
             hour12: false
         });
 
-        const homeDifficulty = fixture.team_h_difficulty || 3;
-        const awayDifficulty = fixture.team_a_difficulty || 3;
-        
         const homeLogo = renderTeamLogo(homeTeam, { size: 40 });
         const awayLogo = renderTeamLogo(awayTeam, { size: 40 });
 
@@ -628,8 +672,11 @@ export function showFixtureModal(fixtureId) {
 
         mainContent = `
             <div style="background: var(--bg-secondary); border-radius: 0.5rem; padding: 1rem;">
-                <div style="font-size: 0.75rem; font-weight: 700; color: var(--text-secondary); margin-bottom: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em;">
-                    Fixture Difficulty
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
+                    <div style="font-size: 0.75rem; font-weight: 700; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em;">
+                        Fixture Difficulty
+                    </div>
+                    ${renderFDRModeToggle()}
                 </div>
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem; padding: 0.5rem 0;">
                     <div style="display: flex; align-items: center; gap: 0.5rem;">
@@ -637,16 +684,7 @@ export function showFixtureModal(fixtureId) {
                         <span style="color: var(--text-primary); font-size: 0.875rem; font-weight: 600;">${escapeHtml(homeTeam.name)}</span>
                         <span style="color: var(--text-secondary); font-size: 0.75rem;">(H)</span>
                     </div>
-                    <span class="${getDifficultyClass(homeDifficulty)}" style="
-                        display: inline-block;
-                        width: 2rem;
-                        height: 2rem;
-                        border-radius: 0.25rem;
-                        text-align: center;
-                        line-height: 2rem;
-                        font-weight: 700;
-                        font-size: 0.875rem;
-                    ">${homeDifficulty}</span>
+                    ${renderFixtureDifficulty(fixture, fixture.team_h)}
                 </div>
                 <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0;">
                     <div style="display: flex; align-items: center; gap: 0.5rem;">
@@ -654,16 +692,7 @@ export function showFixtureModal(fixtureId) {
                         <span style="color: var(--text-primary); font-size: 0.875rem; font-weight: 600;">${escapeHtml(awayTeam.name)}</span>
                         <span style="color: var(--text-secondary); font-size: 0.75rem;">(A)</span>
                     </div>
-                    <span class="${getDifficultyClass(awayDifficulty)}" style="
-                        display: inline-block;
-                        width: 2rem;
-                        height: 2rem;
-                        border-radius: 0.25rem;
-                        text-align: center;
-                        line-height: 2rem;
-                        font-weight: 700;
-                        font-size: 0.875rem;
-                    ">${awayDifficulty}</span>
+                    ${renderFixtureDifficulty(fixture, fixture.team_a)}
                 </div>
             </div>
         `;
@@ -762,6 +791,7 @@ export function showFixtureModal(fixtureId) {
     if (overlay) overlay.addEventListener('click', (e) => {
         if (e.target === overlay) closeModal();
     });
+    attachFDRModeToggleListeners(() => showFixtureModal(fixtureId), modal);
     } catch (error) {
         console.error('Error in showFixtureModal:', error);
     }
@@ -80,7 +80,7 @@ function getFixtureDifficulty(teamId, opponentId, gwNumber, isHome) {
  * @param {Object} myTeamState - State object with rivalTeamCache
  * @returns {Object|null} Ownership stats with owner details
  */
-function calculateLeagueOwnership(playerId, myTeamState) {
+export function calculateLeagueOwnership(playerId, myTeamState) {
     if (!myTeamState || !myTeamState.rivalTeamCache || myTeamState.rivalTeamCache.size === 0) {
         return null;
     }
@@ -106,8 +106,8 @@ function calculateLeagueOwnership(playerId, myTeamState) {
 
     myTeamState.rivalTeamCache.forEach((rivalData, entryId) => {
         if (rivalData && rivalData.picks && rivalData.picks.picks) {
-            const hasPlayer = rivalData.picks.picks.some(pick => pick.element === playerId);
-            if (hasPlayer) {
+            const pick = rivalData.picks.picks.find(p => p.element === playerId);
+            if (pick) {
                 // Find this entry in standings - try both number and string comparison
                 const standingEntry = standings.find(s =>
                     s.entry === entryId ||
@@ -123,7 +123,8 @@ function calculateLeagueOwnership(playerId, myTeamState) {
                     name: teamName,
                     rank: standingEntry?.rank || 0,
                     points: ownerPoints,
-                    gap: pointsGap
+                    gap: pointsGap,
+                    multiplier: pick.multiplier ?? 1 // 0 = benched, 2 = captain, 3 = triple captain
                 });
             }
         }
@@ -237,7 +238,7 @@ function setPlayerHistoryCache(playerId, data) {
  * @param {number} playerId - Player ID
  * @returns {Promise<Object>} Player history data
  */
-async function fetchPlayerHistory(playerId) {
+export async function fetchPlayerHistory(playerId) {
     const cached = getCachedPlayerSummary(playerId);
     if (cached) {
         return cached;
@@ -275,6 +276,53 @@ async function fetchPlayerHistory(playerId) {
     return await requestPromise;
 }
 
+/**
+ * Fetch per-gameweek points, form, price and ownership history
+ * Cached for PLAYER_HISTORY_TTL, with request deduplication
+ * @param {number} playerId - Player ID
+ * @returns {Promise<Array|null>} Gameweek rows ({ gameweek, gw_points, total_points, form, price, ownership }) or null
+ */
+export async function fetchPlayerGameweekHistory(playerId) {
+    const cachedHistory = getCachedPlayerHistory(playerId);
+    if (cachedHistory) {
+        return cachedHistory;
+    }
+
+    // Check if request is already in flight
+    const requestKey = `history-${playerId}`;
+    if (inFlightRequests.has(requestKey)) {
+        // Wait for existing request to complete
+        return await inFlightRequests.get(requestKey);
+    }
+
+    // Create new request promise
+    const requestPromise = (async () => {
+        try {
+            const response = await fetch(`/api/history/player/${playerId}/ownership`);
+            if (response.ok) {
+                const data = await response.json();
+                const gameweeks = data.gameweeks || [];
+                // Cache the historical data
+                setPlayerHistoryCache(playerId, gameweeks);
+                return gameweeks;
+            }
+            return null;
+        } catch (err) {
+            console.error('Failed to fetch historical data:', err);
+            // Try to return stale cache if available
+            const staleCache = playerHistoryCache.get(playerId)?.data;
+            return staleCache || null;
+        } finally {
+            // Remove from in-flight requests
+            inFlightRequests.delete(requestKey);
+        }
+    })();
+
+    // Store promise for deduplication
+    inFlightRequests.set(requestKey, requestPromise);
+    return await requestPromise;
+}
+
 /**
  * Calculate points breakdown from live_stats or github_gw data
  * @param {Object} player - Player object
@@ -531,46 +579,8 @@ export async function showPlayerModal(playerId, myTeamState = null, options = {}
     // Fetch player history
     const playerSummary = await fetchPlayerHistory(playerId);
 
-    // Fetch historical data for charts (form and price) - with caching and deduplication
-    let historicalData = null;
-    const cachedHistory = getCachedPlayerHistory(playerId);
-    if (cachedHistory) {
-        historicalData = cachedHistory;
-    } else {
-        // Check if request is already in flight
-        const requestKey = `history-${playerId}`;
-        if (inFlightRequests.has(requestKey)) {
-            // Wait for existing request to complete
-            historicalData = await inFlightRequests.get(requestKey);
-        } else {
-            // Create new request promise
-            const requestPromise = (async () => {
-                try {
-                    const response = await fetch(`/api/history/player/${playerId}/ownership`);
-                    if (response.ok) {
-                        const data = await response.json();
-                        const gameweeks = data.gameweeks || [];
-                        // Cache the historical data
-                        setPlayerHistoryCache(playerId, gameweeks);
-                        return gameweeks;
-                    }
-                    return null;
-                } catch (err) {
-                    console.error('Failed to fetch historical data:', err);
-                    // Try to return stale cache if available
-                    const staleCache = playerHistoryCache.get(playerId)?.data;
-                    return staleCache || null;
-                } finally {
-                    // Remove from in-flight requests
-                    inFlightRequests.delete(requestKey);
-                }
-            })();
-
-            // Store promise for deduplication
-            inFlightRequests.set(requestKey, requestPromise);
-            historicalData = await requestPromise;
-        }
-    }
+    // Fetch historical data for charts (form and price)
+    const historicalData = await fetchPlayerGameweekHistory(playerId);
 
     // Get live stats from enriched bootstrap (available on all players during live GW)
     const liveStats = player.live_stats;
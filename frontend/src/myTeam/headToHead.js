@@ -0,0 +1,167 @@
+// ============================================================================
+// HEAD-TO-HEAD MODULE
+// Live points gap against a rival, players left on each side, the projected
+// final gap (captaincy and chips applied) and the remaining differentials
+// that swing it most
+// ============================================================================
+
+import { getPlayerById, fplFixtures } from '../data.js';
+import { getProjectedPointsForGameweek } from '../projections.js';
+import { calculateLiveScore } from '../../../shared/liveScoring.js';
+import { getReturnPoints } from '../planner/cohortThreats.js';
+
+const MATCH_MINUTES = 90;
+
+function roundTo(value, decimals = 1) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function isFixtureDone(fixture) {
+    return Boolean(fixture.finished || fixture.finished_provisional);
+}
+
+/**
+ * Share of a team's gameweek still to be played, in fixtures
+ * A fixture in progress counts by the share of its 90 minutes left, so a
+ * double gameweek with one match finished and the other at half time is 0.5.
+ * @param {Array} teamFixtures - The team's fixtures this gameweek
+ * @returns {number} Fixtures left (0 = done or blank)
+ */
+export function getRemainingFixtureShare(teamFixtures) {
+    return (teamFixtures || [])
+        .filter(fixture => !isFixtureDone(fixture))
+        .reduce((sum, fixture) => {
+            const elapsed = fixture.started ? Math.min(1, (fixture.minutes || 0) / MATCH_MINUTES) : 0;
+            return sum + (1 - elapsed);
+        }, 0);
+}
+
+/**
+ * Score one side of the head-to-head
+ * Live stats come from the bootstrap (kept fresh by the live stream) and fall
+ * back to the stats on the picks. Without any live stats the GW has not
+ * started or has finished, so the official GW points are used. Either way
+ * the GW's transfer hits are taken off, as in the live league table.
+ * @param {Object} teamData - Team data ({ picks: { picks, active_chip, entry_history } })
+ * @param {number} gameweek - Gameweek being played
+ * @returns {Object} { livePoints, transferCost, playersLeft, remainingXPts, projectedPoints, chip,
+ *   players: Map<playerId, { multiplier, remainingXPts }> }
+ */
+export function scoreHeadToHeadSide(teamData, gameweek) {
+    const picks = teamData?.picks?.picks || [];
+    const fixtures = (fplFixtures || []).filter(f => f.event === gameweek);
+
+    const liveStats = new Map();
+    const players = new Map();
+    const provisionalBonus = new Map();
+
+    picks.forEach(pick => {
+        const player = getPlayerById(pick.element);
+        const stats = player?.live_stats || pick.live_stats;
+        if (stats) {
+            liveStats.set(pick.element, stats);
+        }
+        if (player) {
+            players.set(pick.element, { team: player.team, element_type: player.element_type });
+            provisionalBonus.set(pick.element, player.live_stats?.provisional_bonus || 0);
+        }
+    });
+
+    const score = calculateLiveScore({
+        picks,
+        activeChip: teamData?.picks?.active_chip || null,
+        liveStats,
+        players,
+        fixtures,
+        provisionalBonus
+    });
+
+    const sidePlayers = new Map();
+    let remainingXPts = 0;
+
+    score.players.forEach(entry => {
+        const player = getPlayerById(entry.element);
+        let playerRemaining = 0;
+
+        if (player && entry.multiplier > 0) {
+            const teamFixtures = fixtures.filter(f => f.team_h === player.team || f.team_a === player.team);
+            const share = getRemainingFixtureShare(teamFixtures);
+            if (share > 0) {
+                const xPts = getProjectedPointsForGameweek(player, gameweek);
+                playerRemaining = teamFixtures.length > 0 ? (xPts / teamFixtures.length) * share : 0;
+            }
+        }
+
+        remainingXPts += playerRemaining * entry.multiplier;
+        sidePlayers.set(entry.element, { multiplier: entry.multiplier, remainingXPts: playerRemaining });
+    });
+
+    const history = teamData?.picks?.entry_history || {};
+    const transferCost = history.event_transfers_cost || 0;
+    const livePoints = (liveStats.size > 0 ? score.totalPoints : (history.points || 0)) - transferCost;
+
+    return {
+        livePoints,
+        transferCost,
+        playersLeft: score.playersLeft,
+        remainingXPts: roundTo(remainingXPts),
+        projectedPoints: roundTo(livePoints + remainingXPts),
+        chip: teamData?.picks?.active_chip || null,
+        players: sidePlayers
+    };
+}
+
+/**
+ * Head-to-head projection between the user and a rival for a gameweek
+ * Players with the same multiplier on both sides cancel out, so only the
+ * multiplier difference on each remaining player moves the gap:
+ * projected gap = live gap + sum of swings.
+ * @param {Object} myTeamData - User's team data
+ * @param {Object} rivalTeamData - Rival's team data
+ * @param {number} gameweek - Gameweek being played
+ * @returns {Object} { me, rival, liveGap, projectedGap, swings } - gaps are positive when
+ *   the user is ahead; swings are sorted by impact, each with player, myMultiplier,
+ *   rivalMultiplier, netMultiplier, remainingXPts, swing and perGoal
+ */
+export function buildHeadToHead(myTeamData, rivalTeamData, gameweek) {
+    const me = scoreHeadToHeadSide(myTeamData, gameweek);
+    const rival = scoreHeadToHeadSide(rivalTeamData, gameweek);
+
+    const playerIds = new Set([...me.players.keys(), ...rival.players.keys()]);
+    const swings = [...playerIds]
+        .map(id => {
+            const player = getPlayerById(id);
+            if (!player) return null;
+
+            const mine = me.players.get(id);
+            const theirs = rival.players.get(id);
+            const myMultiplier = mine?.multiplier || 0;
+            const rivalMultiplier = theirs?.multiplier || 0;
+            const netMultiplier = myMultiplier - rivalMultiplier;
+            const remainingXPts = mine?.remainingXPts || theirs?.remainingXPts || 0;
+            if (netMultiplier === 0 || remainingXPts === 0) return null;
+
+            return {
+                player,
+                myMultiplier,
+                rivalMultiplier,
+                netMultiplier,
+                remainingXPts: roundTo(remainingXPts),
+                swing: roundTo(netMultiplier * remainingXPts),
+                perGoal: netMultiplier * getReturnPoints(player.element_type)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Math.abs(b.swing) - Math.abs(a.swing));
+
+    const liveGap = me.livePoints - rival.livePoints;
+
+    return {
+        me,
+        rival,
+        liveGap,
+        projectedGap: roundTo(me.projectedPoints - rival.projectedPoints),
+        swings
+    };
+}
@@ -0,0 +1,154 @@
+// ============================================================================
+// HEAD-TO-HEAD PANEL
+// Live gap, players left, projected final gap and the differentials still to
+// play against one rival. Re-renders itself when live data refreshes.
+// ============================================================================
+
+import { getActiveGW, isGameweekLive } from '../data.js';
+import { escapeHtml, getPositionShort, getTeamShortName } from '../utils.js';
+import { buildHeadToHead } from './headToHead.js';
+
+const MAX_SWING_ROWS = 10;
+
+const CHIP_LABELS = {
+    bboost: 'Bench Boost',
+    '3xc': 'Triple Captain',
+    freehit: 'Free Hit',
+    wildcard: 'Wildcard'
+};
+
+// Teams currently shown, so live refreshes can re-render the open panel
+let panelTeams = null;
+let listenerAttached = false;
+
+function formatGap(value) {
+    if (value === 0) return 'Level';
+    return `${value > 0 ? '+' : ''}${Number.isInteger(value) ? value : value.toFixed(1)}`;
+}
+
+function gapColor(value) {
+    if (value > 0) return '#22c55e';
+    if (value < 0) return '#ef4444';
+    return 'var(--text-primary)';
+}
+
+function formatMultiplier(multiplier) {
+    if (multiplier === 0) return '—';
+    return multiplier === 1 ? '✓' : `${multiplier}x`;
+}
+
+function renderStat(label, value, color = 'var(--text-primary)', detail = '') {
+    return `
+        <div style="background: var(--bg-primary); padding: 0.6rem; border-radius: 8px; text-align: center;">
+            <div style="font-size: 0.65rem; color: var(--text-secondary); text-transform: uppercase;">${label}</div>
+            <div style="font-size: 1.2rem; font-weight: 700; color: ${color};">${value}</div>
+            ${detail ? `<div style="font-size: 0.65rem; color: var(--text-secondary);">${detail}</div>` : ''}
+        </div>
+    `;
+}
+
+function renderSwingTable(swings) {
+    if (swings.length === 0) {
+        return `
+            <div style="text-align: center; padding: 0.75rem; font-size: 0.75rem; color: var(--text-secondary);">
+                No differentials left to play - the gap is settled.
+            </div>
+        `;
+    }
+
+    return `
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.75rem;">
+            <thead>
+                <tr style="color: var(--text-secondary); font-size: 0.65rem; text-align: center;">
+                    <th style="padding: 0.35rem; text-align: left;">Player</th>
+                    <th style="padding: 0.35rem;" title="Your multiplier (2x = captain)">You</th>
+                    <th style="padding: 0.35rem;" title="Rival's multiplier (2x = captain)">Rival</th>
+                    <th style="padding: 0.35rem;" title="Projected points still to come, before multipliers">xPts left</th>
+                    <th style="padding: 0.35rem;" title="Expected change to the gap from the rest of the player's gameweek">Swing</th>
+                    <th style="padding: 0.35rem;" title="Change to the gap if the player scores">Per goal</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${swings.slice(0, MAX_SWING_ROWS).map(row => `
+                    <tr style="border-top: 1px solid var(--border-color);">
+                        <td style="padding: 0.35rem;">
+                            <div style="font-weight: 600; color: var(--text-primary);">${escapeHtml(row.player.web_name)}</div>
+                            <div style="font-size: 0.65rem; color: var(--text-secondary);">${getPositionShort(row.player)} • ${getTeamShortName(row.player.team)}</div>
+                        </td>
+                        <td style="padding: 0.35rem; text-align: center;">${formatMultiplier(row.myMultiplier)}</td>
+                        <td style="padding: 0.35rem; text-align: center;">${formatMultiplier(row.rivalMultiplier)}</td>
+                        <td style="padding: 0.35rem; text-align: center;">${row.remainingXPts.toFixed(1)}</td>
+                        <td style="padding: 0.35rem; text-align: center; font-weight: 700; color: ${gapColor(row.swing)};">
+                            ${row.swing > 0 ? '+' : ''}${row.swing.toFixed(1)}
+                        </td>
+                        <td style="padding: 0.35rem; text-align: center; color: ${gapColor(row.perGoal)};">
+                            ${row.perGoal > 0 ? '+' : ''}${row.perGoal}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render the head-to-head panel for the user against a rival
+ * @param {Object} myTeamData - User's team data
+ * @param {Object} rivalTeamData - Rival's team data
+ * @returns {string} HTML for the panel
+ */
+export function renderHeadToHeadPanel(myTeamData, rivalTeamData) {
+    if (!myTeamData?.picks?.picks || !rivalTeamData?.picks?.picks) return '';
+
+    const gameweek = myTeamData.gameweek || getActiveGW();
+    const h2h = buildHeadToHead(myTeamData, rivalTeamData, gameweek);
+    const isLive = isGameweekLive(gameweek);
+
+    const chips = [
+        h2h.me.chip ? `You: ${CHIP_LABELS[h2h.me.chip] || h2h.me.chip}` : null,
+        h2h.rival.chip ? `Rival: ${CHIP_LABELS[h2h.rival.chip] || h2h.rival.chip}` : null
+    ].filter(Boolean);
+
+    return `
+        <div id="h2h-panel" style="background: var(--bg-secondary); border-radius: 12px; padding: 0.75rem; margin-bottom: 1rem;">
+            <div style="display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 0.5rem;">
+                <h3 style="font-size: 0.95rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                    <i class="fas fa-balance-scale"></i> Head-to-Head GW${gameweek}
+                </h3>
+                <span style="font-size: 0.65rem; color: var(--text-secondary);">
+                    ${isLive ? '<i class="fas fa-circle" style="color: #ef4444; font-size: 0.5rem;"></i> Live' : ''}
+                    ${chips.length > 0 ? ` • ${escapeHtml(chips.join(' • '))}` : ''}
+                </span>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 0.5rem; margin-bottom: 0.75rem;">
+                ${renderStat('Live gap', formatGap(h2h.liveGap), gapColor(h2h.liveGap), `${h2h.me.livePoints} v ${h2h.rival.livePoints}`)}
+                ${renderStat('Players left', `${h2h.me.playersLeft} v ${h2h.rival.playersLeft}`)}
+                ${renderStat('Projected gap', formatGap(h2h.projectedGap), gapColor(h2h.projectedGap), `${h2h.me.projectedPoints.toFixed(1)} v ${h2h.rival.projectedPoints.toFixed(1)}`)}
+            </div>
+            <div style="font-size: 0.7rem; color: var(--text-secondary); margin-bottom: 0.35rem;">
+                Differentials still to play, by expected swing (positive = gains you ground)
+            </div>
+            ${renderSwingTable(h2h.swings)}
+        </div>
+    `;
+}
+
+function rerenderPanel() {
+    const panel = document.getElementById('h2h-panel');
+    if (!panel || !panelTeams) return;
+    panel.outerHTML = renderHeadToHeadPanel(panelTeams.myTeamData, panelTeams.rivalTeamData);
+}
+
+/**
+ * Track the teams shown in the panel and keep it in step with live data
+ * @param {Object} myTeamData - User's team data
+ * @param {Object} rivalTeamData - Rival's team data
+ */
+export function attachHeadToHeadListeners(myTeamData, rivalTeamData) {
+    panelTeams = { myTeamData, rivalTeamData };
+
+    if (!listenerAttached) {
+        listenerAttached = true;
+        window.addEventListener('live-data-updated', rerenderPanel);
+    }
+}
@@ -3,68 +3,74 @@
 // Handles league standings rendering and team comparison
 // ============================================================================
 
-import { loadLeagueStandings, loadMyTeam, getPlayerById, getActiveGW, isGameweekLive, getGameweekStatus, getGameweekEvent, GW_STATUS } from '../data.js';
+import { loadLeagueStandings, loadLiveLeagueTable, loadMyTeam, getPlayerById, getActiveGW, isGameweekLive, getGameweekStatus, getGameweekEvent, GW_STATUS, fplFixtures } from '../data.js';
 import { escapeHtml, formatDecimal, getPtsHeatmap, getFormHeatmap, getHeatmapStyle, calculatePPM } from '../utils.js';
 import { renderTeamComparison } from './teamComparison.js';
 import { shouldUseMobileLayout } from '../renderMyTeamMobile.js';
 import { getGWOpponents, getMatchStatuses, calculateFixtureDifficulty } from '../fixtures.js';
 import { renderOpponentBadges, renderStatusBadges, calculateStatusColor, calculatePlayerBgColor } from './compact/compactStyleHelpers.js';
 import { getGlassmorphism, getShadow, getMobileBorderRadius } from '../styles/mobileDesignSystem.js';
+import { calculateLiveScore } from '../../../shared/liveScoring.js';
+import { renderLiveLeagueTable } from './liveLeagueTable.js';
+import { renderHeadToHeadPanel, attachHeadToHeadListeners } from './headToHeadPanel.js';
 
 /**
  * Calculate live team points from cached team data
- * NOTE: This function is no longer used for league standings - points now come directly from API
- * to maintain consistency with other pages. Kept for potential future use.
+ * Uses the shared live scoring engine (same rules as the My Team page):
+ * projected auto-subs, vice-captain promotion, chip multipliers and provisional bonus
  * @param {Object} teamData - Team data with picks and live_stats
- * @returns {number} Total calculated points
+ * @param {number} gameweek - Live gameweek
+ * @returns {number|null} Total calculated points, or null without live data
  */
-function calculateLiveTeamPoints(teamData) {
-    if (!teamData || !teamData.picks || !teamData.picks.picks) {
+function calculateLiveTeamPoints(teamData, gameweek) {
+    const picks = teamData?.picks?.picks;
+    if (!picks || !picks.some(pick => pick.live_stats)) {
         return null;
     }
 
-    const picks = teamData.picks.picks;
-    const automaticSubs = teamData.picks.automatic_subs || [];
+    const liveStats = new Map();
+    const players = new Map();
+    const provisionalBonus = new Map();
 
-    // Create a map of automatic subs for quick lookup
-    const subMap = new Map();
-    automaticSubs.forEach(sub => {
-        subMap.set(sub.element_in, sub.element_out);
-    });
-
-    let totalPoints = 0;
-    const starting11 = picks.filter(p => p.position <= 11).sort((a, b) => a.position - b.position);
-
-    starting11.forEach(pick => {
-        // Check if this player was subbed out
-        const wasSubbedOut = Array.from(subMap.values()).includes(pick.element);
-        if (wasSubbedOut) {
-            // Player was subbed out, don't count their points
-            return;
+    picks.forEach(pick => {
+        const player = getPlayerById(pick.element);
+        if (pick.live_stats) {
+            liveStats.set(pick.element, pick.live_stats);
         }
-
-        // Get points from live_stats
-        const livePoints = pick.live_stats?.total_points ?? 0;
-
-        // Apply captain multiplier
-        if (pick.is_captain) {
-            totalPoints += livePoints * 2;
-        } else {
-            totalPoints += livePoints;
+        if (player) {
+            players.set(pick.element, { team: player.team, element_type: player.element_type });
+            provisionalBonus.set(pick.element, player.live_stats?.provisional_bonus || 0);
         }
     });
 
-    // Add points from players who were subbed in
-    automaticSubs.forEach(sub => {
-        const subbedInPick = picks.find(p => p.element === sub.element_in);
-        if (subbedInPick && subbedInPick.live_stats) {
-            const livePoints = subbedInPick.live_stats.total_points ?? 0;
-            // Subs don't get captain multiplier (captain must be in starting 11)
-            totalPoints += livePoints;
-        }
-    });
+    return calculateLiveScore({
+        picks,
+        activeChip: teamData.picks.active_chip,
+        liveStats,
+        players,
+        fixtures: (fplFixtures || []).filter(f => f.event === gameweek),
+        provisionalBonus
+    }).totalPoints;
+}
+
+/**
+ * Get GW and season points for a standings entry
+ * While the GW is live, replaces the API's GW points with the live score from cached team data
+ * @param {Object} entry - League standings entry
+ * @param {Object} cachedTeamData - Cached team data for the entry (may be undefined)
+ * @param {boolean} isLive - Whether the active GW is live
+ * @param {number} gameweek - Active gameweek
+ * @returns {{gwPoints: number, totalPoints: number}}
+ */
+function getEntryPoints(entry, cachedTeamData, isLive, gameweek) {
+    const apiGWPoints = entry.event_total || 0;
+    const livePoints = isLive ? calculateLiveTeamPoints(cachedTeamData, gameweek) : null;
+
+    if (livePoints === null) {
+        return { gwPoints: apiGWPoints, totalPoints: entry.total };
+    }
 
-    return totalPoints;
+    return { gwPoints: livePoints, totalPoints: entry.total - apiGWPoints + livePoints };
 }
 
 /**
@@ -276,6 +282,25 @@ function isCacheValid(cachedData) {
     return age < LEAGUE_CACHE_EXPIRATION;
 }
 
+/**
+ * Load league standings, plus the live re-ranked table while the GW is live
+ * The official standings are still returned if the live table fails.
+ * @param {number} leagueId - League ID
+ * @returns {Promise<Object>} League data (with liveTable when live)
+ */
+async function loadStandingsWithLiveTable(leagueId) {
+    const isLive = isGameweekLive(getActiveGW());
+    const [data, liveTable] = await Promise.all([
+        loadLeagueStandings(leagueId),
+        isLive ? loadLiveLeagueTable(leagueId).catch(() => null) : Promise.resolve(null)
+    ]);
+
+    if (liveTable) {
+        data.liveTable = liveTable;
+    }
+    return data;
+}
+
 /**
  * Load standings for a specific league tab (with caching)
  * @param {number} leagueId - League ID to load
@@ -316,7 +341,7 @@ export async function loadLeagueStandingsForTab(leagueId, myTeamState, updateLea
 
     try {
         // Fetch and cache with timestamp
-        const data = await loadLeagueStandings(leagueId);
+        const data = await loadStandingsWithLiveTable(leagueId);
         data._timestamp = Date.now();
         myTeamState.leagueStandingsCache.set(leagueId, data);
 
@@ -361,7 +386,7 @@ export async function loadMobileLeagueStandings(leagueId, myTeamState) {
 
     try {
         // Fetch and cache with timestamp
-        const leagueData = await loadLeagueStandings(leagueId);
+        const leagueData = await loadStandingsWithLiveTable(leagueId);
         leagueData._timestamp = Date.now();
         myTeamState.leagueStandingsCache.set(leagueId, leagueData);
 
@@ -400,6 +425,11 @@ export async function renderLeagueStandings(leagueData, myTeamState) {
         `;
     }
 
+    // Live GW: show the table re-ranked by live points
+    if (leagueData.liveTable) {
+        return renderLiveLeagueTable(leagueData.liveTable);
+    }
+
     // Find user's entry in standings
     const userTeamId = parseInt(localStorage.getItem('fplanner_team_id'));
     const userEntry = results.find(r => r.entry === userTeamId);
@@ -410,7 +440,9 @@ export async function renderLeagueStandings(leagueData, myTeamState) {
 
     // Calculate statistics (use live points if available)
     const leaderPoints = results[0]?.total || 0;
-    const userPoints = userEntry?.total || 0;
+    const userPoints = userEntry
+        ? getEntryPoints(userEntry, myTeamState.rivalTeamCache?.get(userEntry.entry), isLive, activeGW).totalPoints
+        : 0;
     
     // Check if mobile layout
     const useMobile = shouldUseMobileLayout();
@@ -681,10 +713,9 @@ export async function renderLeagueStandings(leagueData, myTeamState) {
             const captainName = captainNames[index];
             const isUser = entry.entry === userTeamId;
 
-            // Get GW points and total points directly from API (aligned with other pages)
-            const gwPoints = entry.event_total || 0;
-            const totalPoints = entry.total; // Season total
+            // GW and season points from API, with live GW points when available
             const cachedTeamData = myTeamState.rivalTeamCache?.get(entry.entry);
+            const { gwPoints, totalPoints } = getEntryPoints(entry, cachedTeamData, isLive, activeGW);
 
             // Calculate gap to user using API values
             let gapText = '—';
@@ -898,10 +929,9 @@ export async function renderLeagueStandings(leagueData, myTeamState) {
                             const fromLeader = entry.total - leaderPoints;
                             const fromLeaderText = fromLeader === 0 ? '—' : fromLeader.toLocaleString();
 
-                            // Get GW points and total points directly from API (aligned with other pages)
-                            const gwPoints = entry.event_total || 0;
-                            const totalPoints = entry.total; // Season total
+                            // GW and season points from API, with live GW points when available
                             const cachedTeamData = myTeamState.rivalTeamCache?.get(entry.entry);
+                            const { gwPoints, totalPoints } = getEntryPoints(entry, cachedTeamData, isLive, activeGW);
 
                             // Calculate gap to user using API values
                             let gapText = '—';
@@ -1071,6 +1101,7 @@ export async function showMobileRivalTeam(rivalId, myTeamState) {
 
         // Render rival team modal
         modal.innerHTML = renderMobileRivalModal(rivalTeamData, myTeamState);
+        attachHeadToHeadListeners(myTeamState.teamData, rivalTeamData);
 
         // Add close handler
         const closeBtn = modal.querySelector('.close-rival-modal-btn');
@@ -1336,6 +1367,13 @@ function renderMobileRivalModal(rivalTeamData, myTeamState = null) {
                         ${bench.map((pick, idx) => renderPlayerRow(pick, idx, true)).join('')}
                     ` : ''}
                 </div>
+
+                <!-- Head-to-Head -->
+                ${myTeamState?.teamData ? `
+                    <div style="margin-top: 0.75rem;">
+                        ${renderHeadToHeadPanel(myTeamState.teamData, rivalTeamData)}
+                    </div>
+                ` : ''}
             </div>
         </div>
     `;
@@ -1398,6 +1436,7 @@ export async function loadAndCompareRivalTeam(rivalId, myTeamState) {
 
         // Render comparison in modal
         modal.innerHTML = renderComparisonModal(myTeamState.teamData, rivalTeamData);
+        attachHeadToHeadListeners(myTeamState.teamData, rivalTeamData);
 
         // Add click handler to close modal when clicking overlay
         modal.addEventListener('click', (e) => {
@@ -0,0 +1,141 @@
+// ============================================================================
+// LIVE LEAGUE TABLE MODULE
+// Renders the league re-ranked by live points during a live gameweek
+// ============================================================================
+
+import { escapeHtml } from '../utils.js';
+import { shouldUseMobileLayout } from '../renderMyTeamMobile.js';
+
+const CHIP_ABBREVIATIONS = {
+    'freehit': 'FH',
+    'wildcard': 'WC',
+    'bboost': 'BB',
+    'benchboost': 'BB',
+    'triplecaptain': 'TC',
+    '3xc': 'TC'
+};
+
+/**
+ * Render rank movement since the last gameweek
+ * @param {number} rankChange - Positive = moved up
+ * @returns {string} HTML
+ */
+function renderRankChange(rankChange) {
+    const icon = rankChange > 0 ? '▲' : rankChange < 0 ? '▼' : '━';
+    const color = rankChange > 0 ? '#22c55e' : rankChange < 0 ? '#ef4444' : 'var(--text-secondary)';
+    return `
+        <span style="font-size: 0.75rem; color: ${color};">
+            ${rankChange !== 0 ? `${icon} ${Math.abs(rankChange)}` : icon}
+        </span>
+    `;
+}
+
+/**
+ * Render the live league table
+ * @param {Object} liveTable - Live table from loadLiveLeagueTable()
+ * @returns {string} HTML for live league table
+ */
+export function renderLiveLeagueTable(liveTable) {
+    const { league, gameweek, entries, hasMore, failed } = liveTable;
+    const userTeamId = parseInt(localStorage.getItem('fplanner_team_id'));
+    const userEntry = entries.find(row => row.entry === userTeamId);
+    const useMobile = shouldUseMobileLayout();
+    const rowClass = useMobile ? 'mobile-rival-team-row' : 'rival-team-row';
+    const updatedTime = new Date(liveTable.timestamp).toLocaleTimeString('en-SG', { hour: '2-digit', minute: '2-digit' });
+    const cellPadding = useMobile ? '0.5rem' : '0.75rem 0.5rem';
+
+    const rowsHtml = entries.map(row => {
+        const isUser = row.entry === userTeamId;
+        const rowBg = isUser ? 'rgba(56, 189, 248, 0.1)' : 'var(--bg-primary)';
+        const chipAbbr = CHIP_ABBREVIATIONS[row.active_chip] || '';
+
+        let gapText = '—';
+        let gapColor = 'var(--text-secondary)';
+        if (!isUser && userEntry) {
+            const gap = userEntry.total - row.total;
+            if (gap !== 0) {
+                gapText = gap > 0 ? `+${gap}` : gap.toString();
+                gapColor = gap > 0 ? '#22c55e' : '#ef4444';
+            }
+        }
+
+        return `
+            <tr
+                class="${!isUser ? rowClass : ''}"
+                data-rival-id="${row.entry}"
+                data-league-id="${league.id}"
+                style="background: ${rowBg}; border-bottom: 1px solid var(--border-color); ${isUser ? 'border-left: 4px solid var(--primary-color);' : ''} ${!isUser ? 'cursor: pointer;' : ''}"
+            >
+                <td style="padding: ${cellPadding}; text-align: center;">
+                    <div style="font-weight: 600;">${row.live_rank}</div>
+                    ${renderRankChange(row.rank_change)}
+                </td>
+                <td style="padding: ${cellPadding};">
+                    <div style="font-weight: 600; color: var(--text-primary);">
+                        ${escapeHtml(row.entry_name)}
+                        ${chipAbbr ? ` <span style="color: var(--primary-color); font-weight: 600;">(${chipAbbr})</span>` : ''}
+                    </div>
+                    <div style="font-size: 0.75rem; color: var(--text-secondary);">
+                        ${escapeHtml(row.player_name)}${isUser ? ' <span style="color: var(--primary-color); font-weight: 700;">(You)</span>' : ''}
+                    </div>
+                </td>
+                <td style="padding: ${cellPadding}; text-align: center; font-size: 0.8rem;">
+                    ${row.captain ? `${escapeHtml(row.captain.name)}${row.captain.multiplier === 3 ? ' <span style="color: #8b5cf6; font-weight: 700;">×3</span>' : ''}` : '—'}
+                </td>
+                <td style="padding: ${cellPadding}; text-align: center; font-weight: 600;" title="${row.transfer_cost ? `Includes -${row.transfer_cost} hit` : ''}">
+                    ${row.gw_points}${row.is_live ? '' : ' <i class="fas fa-exclamation-circle" style="color: var(--text-secondary); font-size: 0.7rem;" title="Official points (live data unavailable)"></i>'}
+                </td>
+                <td style="padding: ${cellPadding}; text-align: center; font-weight: 600;">${row.total.toLocaleString()}</td>
+                <td style="padding: ${cellPadding}; text-align: center; font-size: 0.8rem; font-weight: 600; color: ${gapColor};">${gapText}</td>
+                <td style="padding: ${cellPadding}; text-align: center; font-size: 0.8rem; color: var(--text-secondary);">
+                    ${row.players_left !== null ? row.players_left : '—'}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div style="background: var(--bg-secondary); padding: ${useMobile ? '0.75rem' : '1.5rem'}; border-radius: 12px; box-shadow: 0 2px 8px var(--shadow); margin-bottom: 2rem;">
+            <div style="margin-bottom: 1rem;">
+                <h4 style="font-size: 1.125rem; font-weight: 700; color: var(--text-primary); margin-bottom: 0.5rem;">
+                    <i class="fas fa-trophy"></i> ${escapeHtml(league.name)}
+                    <span style="margin-left: 0.5rem; padding: 0.125rem 0.5rem; background: #ef4444; color: white; border-radius: 4px; font-size: 0.7rem; vertical-align: middle;">
+                        <i class="fas fa-circle" style="font-size: 0.5rem;"></i> LIVE GW${gameweek}
+                    </span>
+                </h4>
+                <p style="font-size: 0.875rem; color: var(--text-secondary);">
+                    Ranked by live points incl. projected auto-subs and provisional bonus • Updated ${updatedTime}
+                </p>
+            </div>
+
+            <div style="overflow-x: auto; -webkit-overflow-scrolling: touch;">
+                <table style="width: 100%; font-size: ${useMobile ? '0.7rem' : '0.875rem'}; border-collapse: collapse;">
+                    <thead style="background: var(--primary-color); color: white;">
+                        <tr>
+                            <th style="text-align: center; padding: ${cellPadding};" title="Live rank (movement since last GW)">Rank</th>
+                            <th style="text-align: left; padding: ${cellPadding};">Team</th>
+                            <th style="text-align: center; padding: ${cellPadding};">Captain</th>
+                            <th style="text-align: center; padding: ${cellPadding};">GW</th>
+                            <th style="text-align: center; padding: ${cellPadding};">Total</th>
+                            <th style="text-align: center; padding: ${cellPadding};" title="Points gap to you">Gap</th>
+                            <th style="text-align: center; padding: ${cellPadding};" title="Players left to play">Left</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rowsHtml}
+                    </tbody>
+                </table>
+            </div>
+
+            ${hasMore || failed > 0 ? `
+                <div style="margin-top: 1rem; text-align: center;">
+                    <p style="font-size: 0.875rem; color: var(--text-secondary);">
+                        <i class="fas fa-info-circle"></i>
+                        ${hasMore ? `Live ranks cover the top ${entries.length} entries.` : ''}
+                        ${failed > 0 ? `${failed} ${failed === 1 ? 'team shows' : 'teams show'} official points (live data unavailable).` : ''}
+                    </p>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
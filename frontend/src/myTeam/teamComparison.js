@@ -15,6 +15,7 @@ import {
     compareCaptains,
     extractPlayerIds
 } from './teamComparisonHelpers.js';
+import { renderHeadToHeadPanel } from './headToHeadPanel.js';
 
 /**
  * Render team comparison view (side-by-side)
@@ -109,6 +110,8 @@ export function renderTeamComparison(myTeamData, rivalTeamData) {
             </div>
         </div>
 
+        ${renderHeadToHeadPanel(myTeamData, rivalTeamData)}
+
         <!-- Side-by-Side Teams -->
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
             ${renderComparisonTeamColumn(myPicks, 'Your Team', myPlayerIds, rivalPlayerIds, myCaptain, gameweek, '#3b82f6')}
@@ -6,6 +6,7 @@
 import { getPlayerById } from '../data.js';
 import { calculatePPM, calculateMinutesPercentage } from '../utils.js';
 import { calculateFixtureDifficulty } from '../fixtures.js';
+import { getFDRPerspective } from '../fdr/model.js';
 import { analyzePlayerRisks, hasHighRisk } from '../risk.js';
 
 /**
@@ -51,7 +52,7 @@ export function calculateSquadAverages(players, gameweek) {
             totalPPM += calculatePPM(player);
             totalOwnership += parseFloat(player.selected_by_percent) || 0;
             totalMinPercent += calculateMinutesPercentage(player, gameweek);
-            totalFDR += calculateFixtureDifficulty(player.team, 5);
+            totalFDR += calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type));
 
             const risks = analyzePlayerRisks(player);
             if (hasHighRisk(risks)) {
@@ -0,0 +1,154 @@
+// ============================================================================
+// OFFLINE STORE
+// IndexedDB mirror of the last good API payloads (bootstrap, fixtures, team
+// data) so the planner and team builder keep working without a connection,
+// plus the online/offline state shown in the nav
+// ============================================================================
+
+const DB_NAME = 'fplanner-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'payloads';
+
+/** Mirror keys */
+export const OFFLINE_KEYS = {
+    FPL_DATA: 'fpl-data',
+    ENRICHED_BOOTSTRAP: 'bootstrap-enriched',
+    team: (teamId) => `team-${teamId}`
+};
+
+let dbPromise = null;
+
+/** Timestamp of the data currently shown and whether it came from the mirror */
+let dataStatus = { timestamp: null, fromMirror: false };
+let listenersAttached = false;
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Offline store unavailable', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then(db => {
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result ?? null);
+            tx.onerror = () => reject(tx.error);
+        });
+    });
+}
+
+// ============================================================================
+// MIRROR
+// ============================================================================
+
+/**
+ * Save the last good payload for a key
+ * Failures are logged and ignored - the mirror is best effort.
+ * @param {string} key - Mirror key (see OFFLINE_KEYS)
+ * @param {Object} data - API response body
+ */
+export async function saveOfflineData(key, data) {
+    try {
+        await runTransaction('readwrite', store => store.put({ data, savedAt: Date.now() }, key));
+    } catch (err) {
+        console.warn(`Failed to mirror ${key} offline`, err);
+    }
+}
+
+/**
+ * Load the last good payload for a key
+ * @param {string} key - Mirror key (see OFFLINE_KEYS)
+ * @returns {Promise<Object|null>} { data, savedAt } or null if nothing was mirrored
+ */
+export async function loadOfflineData(key) {
+    try {
+        return await runTransaction('readonly', store => store.get(key));
+    } catch (err) {
+        console.warn(`Failed to read offline ${key}`, err);
+        return null;
+    }
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+function emitChange() {
+    if (typeof window === 'undefined') return;
+    window.dispatchEvent(new CustomEvent('offline-status-changed'));
+}
+
+/**
+ * Record where the data on screen came from
+ * @param {string|number|null} timestamp - Server timestamp from the response `meta`
+ * @param {boolean} fromMirror - True if loaded from the offline mirror or the
+ *   service worker's cache because the network was unreachable
+ */
+export function recordDataSource(timestamp, fromMirror) {
+    const time = timestamp ? new Date(timestamp).getTime() : null;
+    dataStatus = { timestamp: Number.isFinite(time) ? time : null, fromMirror };
+    emitChange();
+}
+
+/**
+ * Get the current offline state
+ * @returns {Object} { offline, timestamp, fromMirror }
+ */
+export function getOfflineStatus() {
+    const offline = dataStatus.fromMirror || (typeof navigator !== 'undefined' && navigator.onLine === false);
+    return { offline, ...dataStatus };
+}
+
+/**
+ * Format the age of a timestamp ("5m ago", "3h ago", "2d ago")
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {string} Human readable age
+ */
+export function formatDataAge(timestamp, now = Date.now()) {
+    const ageMins = Math.max(0, Math.floor((now - timestamp) / 60000));
+    if (ageMins < 1) return 'just now';
+    if (ageMins < 60) return `${ageMins}m ago`;
+    const ageHours = Math.floor(ageMins / 60);
+    if (ageHours < 48) return `${ageHours}h ago`;
+    return `${Math.floor(ageHours / 24)}d ago`;
+}
+
+/**
+ * Listen for the browser going online/offline (call once on startup)
+ */
+export function initializeOfflineStatus() {
+    if (listenersAttached || typeof window === 'undefined') return;
+    listenersAttached = true;
+
+    window.addEventListener('online', emitChange);
+    window.addEventListener('offline', emitChange);
+
+    // The service worker answers from its cache first and reports when the
+    // refresh behind that answer fails
+    if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'api-offline') {
+                dataStatus = { ...dataStatus, fromMirror: true };
+                emitChange();
+            }
+        });
+    }
+}
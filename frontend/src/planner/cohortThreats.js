@@ -0,0 +1,105 @@
+/**
+ * Cohort Threats & Differentials
+ * Compares the user's exposure to each player with a cohort's effective
+ * ownership, and converts the gap into points gained or lost per return
+ */
+
+import { getPlayerById } from '../data.js';
+
+/** Points for a goal by position - what one return is worth */
+const RETURN_POINTS = { 1: 10, 2: 6, 3: 5, 4: 4 };
+
+/** Players the user doesn't own only count as threats above this cohort EO (%) */
+const MIN_THREAT_EO = 10;
+
+export const COHORT_KEYS = {
+    TOP_10K: 'top10k',
+    TOP_50K: 'top50k',
+    TOP_100K: 'top100k',
+    LEAGUE: 'league'
+};
+
+export const COHORT_LABELS = {
+    [COHORT_KEYS.TOP_10K]: 'Top 10k',
+    [COHORT_KEYS.TOP_50K]: 'Top 50k',
+    [COHORT_KEYS.TOP_100K]: 'Top 100k',
+    [COHORT_KEYS.LEAGUE]: 'Mini-league'
+};
+
+/**
+ * Points one return (a goal) is worth for a position
+ * @param {number} elementType - 1=GKP, 2=DEF, 3=MID, 4=FWD
+ * @returns {number} Points
+ */
+export function getReturnPoints(elementType) {
+    return RETURN_POINTS[elementType] || 0;
+}
+
+/**
+ * The user's multiplier on each squad player
+ * @param {Array} picks - Squad picks ({ element, position, multiplier? })
+ * @returns {Map<number, number>} Player ID -> multiplier (0 = bench, 2 = captain, 3 = triple captain)
+ */
+export function getMyMultipliers(picks) {
+    const multipliers = new Map();
+    (picks || []).forEach(pick => {
+        multipliers.set(pick.element, pick.multiplier ?? (pick.position <= 11 ? 1 : 0));
+    });
+    return multipliers;
+}
+
+/**
+ * Split players into threats and differentials against a cohort
+ * Exposure is the user's effective ownership minus the cohort's (100 = one
+ * full multiplier), so each return swings exposure / 100 x return points.
+ * @param {Array} picks - User's squad picks
+ * @param {Object} bucket - Cohort bucket ({ players: [{ id, ownership, captaincy, eo }] })
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Rows per list
+ * @returns {{threats: Array, differentials: Array}} Rows with player, eo, ownership, captaincy,
+ *   myMultiplier, exposure, returnPoints and swing (points per return; negative = lost)
+ */
+export function buildThreatsAndDifferentials(picks, bucket, { limit = 10 } = {}) {
+    const myMultipliers = getMyMultipliers(picks);
+    const cohortPlayers = new Map((bucket?.players || []).map(p => [p.id, p]));
+
+    const candidateIds = new Set(myMultipliers.keys());
+    cohortPlayers.forEach((cohortPlayer, id) => {
+        if (cohortPlayer.eo >= MIN_THREAT_EO) candidateIds.add(id);
+    });
+
+    const rows = [...candidateIds]
+        .map(id => {
+            const player = getPlayerById(id);
+            if (!player) return null;
+
+            const cohortPlayer = cohortPlayers.get(id);
+            const eo = cohortPlayer?.eo || 0;
+            const myMultiplier = myMultipliers.get(id) || 0;
+            const exposure = myMultiplier * 100 - eo;
+            const returnPoints = getReturnPoints(player.element_type);
+
+            return {
+                player,
+                eo,
+                ownership: cohortPlayer?.ownership || 0,
+                captaincy: cohortPlayer?.captaincy || 0,
+                myMultiplier,
+                exposure,
+                returnPoints,
+                swing: Math.round((exposure / 100) * returnPoints * 10) / 10
+            };
+        })
+        .filter(Boolean);
+
+    return {
+        threats: rows
+            .filter(row => row.exposure < 0)
+            .sort((a, b) => a.swing - b.swing || b.eo - a.eo)
+            .slice(0, limit),
+        differentials: rows
+            .filter(row => row.exposure > 0)
+            .sort((a, b) => b.swing - a.swing || a.eo - b.eo)
+            .slice(0, limit)
+    };
+}
@@ -0,0 +1,307 @@
+/**
+ * Cohort Threats Page
+ * Threats and differentials against the top 10k/50k/100k or the user's
+ * mini-league: cohort effective ownership vs the user's, and the points each
+ * return gains or costs
+ */
+
+import { getActiveGW, loadCohortMetrics, loadMyTeam } from '../data.js';
+import { sharedState } from '../sharedState.js';
+import { escapeHtml, getPositionShort, getTeamShortName } from '../utils.js';
+import { calculateTeamMetrics } from './metrics.js';
+import { getPreferredLeagueId } from './leagueComparison.js';
+import {
+    COHORT_KEYS,
+    COHORT_LABELS,
+    buildThreatsAndDifferentials
+} from './cohortThreats.js';
+
+const pageState = {
+    cohort: COHORT_KEYS.TOP_10K,
+    results: new Map(), // `${gw}-overall` or `${gw}-${leagueId}` -> cohort data
+    loading: false,
+    error: null
+};
+
+function getTeamId() {
+    return sharedState.teamId || (typeof window !== 'undefined' ? window.localStorage?.getItem('fplanner_team_id') : null);
+}
+
+function getResultKey(gameweek, leagueId) {
+    return pageState.cohort === COHORT_KEYS.LEAGUE ? `${gameweek}-${leagueId}` : `${gameweek}-overall`;
+}
+
+function getBucket(gameweek, leagueId) {
+    const data = pageState.results.get(getResultKey(gameweek, leagueId));
+    return data?.buckets?.[pageState.cohort] || null;
+}
+
+/**
+ * Share of the cohort the user's value beats
+ * @param {number[]} values - Cohort distribution
+ * @param {number} value - User's value
+ * @param {boolean} higherIsBetter - Direction of the metric
+ * @returns {number|null} Percentile (0-100)
+ */
+function getPercentile(values, value, higherIsBetter) {
+    if (!values?.length || !Number.isFinite(value)) return null;
+    const beaten = values.filter(v => (higherIsBetter ? v <= value : v >= value)).length;
+    return Math.round((beaten / values.length) * 100);
+}
+
+/**
+ * Render the cohort threats page
+ * @returns {string} HTML string
+ */
+export function renderCohortThreatsPage() {
+    if (typeof window !== 'undefined' && window.scrollTo) {
+        window.scrollTo({ top: 0, behavior: 'auto' });
+    }
+
+    const gameweek = getActiveGW();
+
+    return `
+        <div style="padding: 0.5rem;">
+            ${renderHeader(gameweek)}
+            ${renderCohortSelector()}
+            <div id="cohort-threats-content">
+                ${renderContent(gameweek)}
+            </div>
+        </div>
+    `;
+}
+
+function renderHeader(gameweek) {
+    return `
+        <div style="
+            position: sticky;
+            top: calc(3.5rem + env(safe-area-inset-top));
+            background: var(--bg-primary);
+            z-index: 100;
+            padding: 0.75rem 0;
+            border-bottom: 2px solid var(--border-color);
+            margin-bottom: 0.75rem;
+        ">
+            <div style="display: flex; align-items: center; gap: 0.75rem;">
+                <button
+                    id="cohort-back-btn"
+                    style="
+                        background: none;
+                        border: none;
+                        color: var(--text-primary);
+                        font-size: 1.2rem;
+                        cursor: pointer;
+                        padding: 0.25rem;
+                    "
+                >
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+                <div>
+                    <h1 style="font-size: 1.1rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                        Threats & Differentials
+                    </h1>
+                    <p style="font-size: 0.7rem; color: var(--text-secondary); margin: 0.2rem 0 0 0;">
+                        Effective ownership from GW${gameweek} picks
+                    </p>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function renderCohortSelector() {
+    return `
+        <div style="display: flex; gap: 0.35rem; flex-wrap: wrap; margin-bottom: 0.75rem;">
+            ${Object.values(COHORT_KEYS).map(key => `
+                <button class="cohort-select-btn" data-cohort="${key}" style="
+                    padding: 0.35rem 0.75rem; font-size: 0.75rem; font-weight: 600; border-radius: 6px; cursor: pointer;
+                    border: 1px solid var(--border-color);
+                    background: ${pageState.cohort === key ? 'var(--primary-color)' : 'var(--bg-secondary)'};
+                    color: ${pageState.cohort === key ? 'white' : 'var(--text-primary)'};
+                ">${COHORT_LABELS[key]}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderMessage(html) {
+    return `
+        <div style="text-align: center; padding: 2rem 1rem; font-size: 0.8rem; color: var(--text-secondary);">
+            ${html}
+        </div>
+    `;
+}
+
+function renderContent(gameweek) {
+    const teamId = getTeamId();
+    const leagueId = getPreferredLeagueId(teamId);
+    const picks = sharedState.myTeamData?.picks?.picks;
+
+    if (!teamId) {
+        return renderMessage('Load your team on the My Team page first.');
+    }
+    if (pageState.cohort === COHORT_KEYS.LEAGUE && !leagueId) {
+        return renderMessage('Select a mini-league on the My Leagues tab first.');
+    }
+    if (pageState.error) {
+        return renderMessage(`<i class="fas fa-exclamation-triangle"></i> ${escapeHtml(pageState.error)}`);
+    }
+
+    const bucket = getBucket(gameweek, leagueId);
+    if (!bucket || !picks) {
+        return renderMessage(`
+            <i class="fas fa-spinner fa-spin" style="font-size: 1.5rem; margin-bottom: 0.5rem;"></i>
+            <div>Sampling ${COHORT_LABELS[pageState.cohort]} teams - the first load can take a minute.</div>
+        `);
+    }
+
+    const { threats, differentials } = buildThreatsAndDifferentials(picks, bucket);
+
+    return `
+        ${renderCohortSummary(bucket, picks, gameweek)}
+        ${renderPlayerTable('⚠️ Threats', 'Owned more by the cohort than by you - each return costs you ground', threats, '#ef4444')}
+        ${renderPlayerTable('🎯 Differentials', 'Owned more by you than by the cohort - each return gains you ground', differentials, '#22c55e')}
+    `;
+}
+
+function renderCohortSummary(bucket, picks, gameweek) {
+    const myMetrics = calculateTeamMetrics(picks, gameweek);
+    const stats = [
+        { label: 'Squad xPts', key: 'expectedPoints', higherIsBetter: true, format: v => v.toFixed(1) },
+        { label: 'Avg FDR', key: 'avgFDR', higherIsBetter: false, format: v => v.toFixed(2) },
+        { label: 'Avg form', key: 'avgForm', higherIsBetter: true, format: v => v.toFixed(1) }
+    ];
+
+    return `
+        <div style="background: var(--bg-secondary); border-radius: 12px; padding: 0.75rem; margin-bottom: 0.75rem;">
+            <div style="font-size: 0.7rem; color: var(--text-secondary); margin-bottom: 0.5rem;">
+                ${COHORT_LABELS[pageState.cohort]} • ${bucket.sampleSize} teams sampled
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(${stats.length}, 1fr); gap: 0.5rem; text-align: center;">
+                ${stats.map(({ label, key, higherIsBetter, format }) => {
+                    const average = bucket.averages?.[key];
+                    const percentile = getPercentile(bucket.distributions?.[key], myMetrics[key], higherIsBetter);
+                    return `
+                        <div>
+                            <div style="font-size: 0.65rem; color: var(--text-secondary);">${label}</div>
+                            <div style="font-size: 0.9rem; font-weight: 700; color: var(--text-primary);">${format(myMetrics[key] || 0)}</div>
+                            <div style="font-size: 0.65rem; color: var(--text-secondary);">
+                                avg ${Number.isFinite(average) ? format(average) : '—'}${percentile !== null ? ` • beats ${percentile}%` : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function renderPlayerTable(title, subtitle, rows, color) {
+    return `
+        <div style="background: var(--bg-secondary); border-radius: 12px; padding: 0.75rem; margin-bottom: 0.75rem;">
+            <h3 style="font-size: 0.95rem; font-weight: 700; color: ${color}; margin: 0;">${title}</h3>
+            <p style="font-size: 0.7rem; color: var(--text-secondary); margin: 0.2rem 0 0.5rem 0;">${subtitle}</p>
+            ${rows.length === 0 ? renderMessage('None') : `
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.75rem;">
+                    <thead>
+                        <tr style="color: var(--text-secondary); font-size: 0.65rem; text-align: center;">
+                            <th style="padding: 0.35rem; text-align: left;">Player</th>
+                            <th style="padding: 0.35rem;" title="Share of the cohort owning the player">Own</th>
+                            <th style="padding: 0.35rem;" title="Share of the cohort captaining the player">Capt</th>
+                            <th style="padding: 0.35rem;" title="Cohort effective ownership (captains count double)">EO</th>
+                            <th style="padding: 0.35rem;" title="Your effective ownership">You</th>
+                            <th style="padding: 0.35rem;" title="Points gained or lost against the cohort per goal">Per goal</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr style="border-top: 1px solid var(--border-color);">
+                                <td style="padding: 0.35rem;">
+                                    <div style="font-weight: 600; color: var(--text-primary);">${escapeHtml(row.player.web_name)}</div>
+                                    <div style="font-size: 0.65rem; color: var(--text-secondary);">${getPositionShort(row.player)} • ${getTeamShortName(row.player.team)}</div>
+                                </td>
+                                <td style="padding: 0.35rem; text-align: center;">${Math.round(row.ownership)}%</td>
+                                <td style="padding: 0.35rem; text-align: center;">${Math.round(row.captaincy)}%</td>
+                                <td style="padding: 0.35rem; text-align: center; font-weight: 600;">${Math.round(row.eo)}%</td>
+                                <td style="padding: 0.35rem; text-align: center;">${row.myMultiplier * 100}%</td>
+                                <td style="padding: 0.35rem; text-align: center; font-weight: 700; color: ${color};">
+                                    ${row.swing > 0 ? '+' : ''}${row.swing.toFixed(1)}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+function rerenderContent() {
+    const content = document.getElementById('cohort-threats-content');
+    if (content) {
+        content.innerHTML = renderContent(getActiveGW());
+    }
+}
+
+/**
+ * Fetch the user's team (if not shared yet) and the selected cohort, then re-render
+ */
+async function loadSelectedCohort() {
+    const teamId = getTeamId();
+    const gameweek = getActiveGW();
+    const leagueId = getPreferredLeagueId(teamId);
+    if (!teamId || (pageState.cohort === COHORT_KEYS.LEAGUE && !leagueId)) return;
+
+    const key = getResultKey(gameweek, leagueId);
+    if ((pageState.results.has(key) && sharedState.myTeamData) || pageState.loading) return;
+
+    pageState.loading = true;
+    pageState.error = null;
+    try {
+        if (!sharedState.myTeamData) {
+            sharedState.updateTeamData(await loadMyTeam(teamId));
+        }
+        if (!pageState.results.has(key)) {
+            const data = await loadCohortMetrics(gameweek, pageState.cohort === COHORT_KEYS.LEAGUE ? leagueId : null);
+            pageState.results.set(key, data);
+        }
+    } catch (err) {
+        pageState.error = err.message || 'Failed to load cohort data';
+    } finally {
+        pageState.loading = false;
+        rerenderContent();
+    }
+
+    // The selection may have changed while this cohort was loading
+    if (!pageState.error) {
+        loadSelectedCohort();
+    }
+}
+
+/**
+ * Attach cohort threats page listeners and start loading the selected cohort
+ */
+export function attachCohortThreatsPageListeners() {
+    const backBtn = document.getElementById('cohort-back-btn');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => {
+            window.location.hash = '#planner';
+        });
+    }
+
+    document.querySelectorAll('.cohort-select-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            pageState.cohort = button.dataset.cohort;
+            pageState.error = null;
+            document.querySelectorAll('.cohort-select-btn').forEach(btn => {
+                const active = btn.dataset.cohort === pageState.cohort;
+                btn.style.background = active ? 'var(--primary-color)' : 'var(--bg-secondary)';
+                btn.style.color = active ? 'white' : 'var(--text-primary)';
+            });
+            rerenderContent();
+            loadSelectedCohort();
+        });
+    });
+
+    loadSelectedCohort();
+}
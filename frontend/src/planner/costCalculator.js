@@ -6,6 +6,7 @@
 import { getAllPlayers } from '../data.js';
 import { formatCurrency } from '../utils.js';
 import { plannerState } from './state.js';
+import { getSellingPrice } from '../transferHistory.js';
 
 const POINTS_HIT_PER_TRANSFER = -4;
 
@@ -13,14 +14,17 @@ const POINTS_HIT_PER_TRANSFER = -4;
  * Calculate transfer costs for changes
  * @param {Array} changes - Array of {out: playerId, in: playerId}
  * @param {number} initialBank - Initial bank balance
+ * @param {Object|null} transferContext - Banked FTs and selling prices from buildTransferContext()
  * @returns {Object} Cost summary
  */
-export function calculateTransferCosts(changes, initialBank) {
+export function calculateTransferCosts(changes, initialBank, transferContext = null) {
+    const freeTransfersAvailable = transferContext?.freeTransfers ?? 1;
+
     if (!changes || changes.length === 0) {
         return {
             transferCount: 0,
             freeTransfersUsed: 0,
-            freeTransfersRemaining: 1,
+            freeTransfersRemaining: freeTransfersAvailable,
             pointsHit: 0,
             budgetImpact: 0,
             newBank: initialBank
@@ -28,10 +32,9 @@ export function calculateTransferCosts(changes, initialBank) {
     }
 
     const transferCount = changes.length;
-    
-    // Simple logic: first transfer is free, rest cost -4 points each
-    // In reality, this would track free transfers across gameweeks
-    const freeTransfersUsed = Math.min(1, transferCount);
+
+    // Banked free transfers first, then -4 points for each extra transfer
+    const freeTransfersUsed = Math.min(freeTransfersAvailable, transferCount);
     const extraTransfers = Math.max(0, transferCount - freeTransfersUsed);
     const pointsHit = extraTransfers * POINTS_HIT_PER_TRANSFER;
 
@@ -44,9 +47,8 @@ export function calculateTransferCosts(changes, initialBank) {
         const playerIn = allPlayers.find(p => p.id === change.in);
         
         if (playerOut && playerIn) {
-            // Selling price is what you paid (we'll use current price as approximation)
-            // Buying price is current price
-            totalCost += (playerIn.now_cost - playerOut.now_cost);
+            // Sell at selling price (50% of profit since purchase), buy at current price
+            totalCost += (playerIn.now_cost - getSellingPrice(playerOut, transferContext));
         }
     });
 
@@ -55,7 +57,7 @@ export function calculateTransferCosts(changes, initialBank) {
     return {
         transferCount,
         freeTransfersUsed,
-        freeTransfersRemaining: Math.max(0, 1 - freeTransfersUsed),
+        freeTransfersRemaining: Math.max(0, freeTransfersAvailable - freeTransfersUsed),
         pointsHit,
         budgetImpact: -totalCost,
         newBank
@@ -138,6 +140,6 @@ export function renderCostSummary(costSummary) {
 export function getCurrentCostSummary() {
     const changes = plannerState.getChanges();
     const initialBank = plannerState.getInitialBank();
-    return calculateTransferCosts(changes, initialBank);
+    return calculateTransferCosts(changes, initialBank, plannerState.getTransferContext());
 }
 
@@ -7,6 +7,8 @@ import { plannerState } from './state.js';
 import { renderPlanner } from '../renderPlanner.js';
 import { showPlayerModal, closePlayerModal } from '../myTeam/compact/playerModal.js';
 import { sharedState } from '../sharedState.js';
+import { attachFDRModeToggleListeners } from '../fdr/fdrModeToggle.js';
+import { renderPlayerReplacementPage } from './replacementPage.js';
 
 /**
  * Handle player click - navigate to replacement page
@@ -52,6 +54,66 @@ export function handleGlobalReset() {
     renderPlanner();
 }
 
+/**
+ * Handle undo - restore changes from before the last edit
+ */
+export function handleUndo() {
+    if (plannerState.undo()) {
+        renderPlanner();
+    }
+}
+
+/**
+ * Handle redo - re-apply the last undone edit
+ */
+export function handleRedo() {
+    if (plannerState.redo()) {
+        renderPlanner();
+    }
+}
+
+/**
+ * Handle save snapshot - store current changes under a name
+ */
+export function handleSaveSnapshot() {
+    const defaultName = `Snapshot ${plannerState.getSnapshots().length + 1}`;
+    const name = prompt('Enter snapshot name:', defaultName);
+    if (name === null) return;
+
+    plannerState.saveSnapshot(name.trim() || defaultName);
+    renderPlanner();
+}
+
+/**
+ * Handle snapshot load - replace current changes with the snapshot
+ * @param {string} snapshotId - Snapshot ID
+ */
+export function handleLoadSnapshot(snapshotId) {
+    if (plannerState.loadSnapshot(snapshotId)) {
+        renderPlanner();
+    }
+}
+
+/**
+ * Handle snapshot delete
+ * @param {string} snapshotId - Snapshot ID
+ */
+export function handleDeleteSnapshot(snapshotId) {
+    if (!confirm('Delete this snapshot?')) return;
+
+    plannerState.deleteSnapshot(snapshotId);
+    renderPlanner();
+}
+
+/**
+ * Handle snapshot compare toggle
+ * @param {string} snapshotId - Snapshot ID
+ */
+export function handleToggleSnapshotCompare(snapshotId) {
+    plannerState.toggleSnapshotCompare(snapshotId);
+    renderPlanner();
+}
+
 /**
  * Attach event listeners for replacement page
  */
@@ -73,6 +135,16 @@ export function attachReplacementPageListeners() {
             handleReplacementSelect(playerOutId, playerInId);
         });
     });
+
+    // FDR mode - re-score and re-render the replacements
+    const fdrToggle = document.getElementById('replacement-fdr-toggle');
+    if (fdrToggle) {
+        attachFDRModeToggleListeners(() => {
+            const container = document.getElementById('app-container');
+            container.innerHTML = renderPlayerReplacementPage(parseInt(fdrToggle.dataset.playerId));
+            attachReplacementPageListeners();
+        }, fdrToggle);
+    }
 }
 
 /**
@@ -145,5 +217,50 @@ export function attachPlannerListeners() {
             handleGlobalReset();
         });
     }
+
+    // Undo / redo buttons
+    const undoBtn = document.getElementById('planner-undo-btn');
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => handleUndo());
+    }
+
+    const redoBtn = document.getElementById('planner-redo-btn');
+    if (redoBtn) {
+        redoBtn.addEventListener('click', () => handleRedo());
+    }
+
+    // Snapshot controls
+    const saveSnapshotBtn = document.getElementById('planner-save-snapshot-btn');
+    if (saveSnapshotBtn) {
+        saveSnapshotBtn.addEventListener('click', () => handleSaveSnapshot());
+    }
+
+    document.querySelectorAll('.planner-snapshot-load').forEach(btn => {
+        btn.addEventListener('click', () => handleLoadSnapshot(btn.dataset.snapshotId));
+    });
+
+    document.querySelectorAll('.planner-snapshot-delete').forEach(btn => {
+        btn.addEventListener('click', () => handleDeleteSnapshot(btn.dataset.snapshotId));
+    });
+
+    document.querySelectorAll('.planner-snapshot-compare').forEach(checkbox => {
+        checkbox.addEventListener('change', () => handleToggleSnapshotCompare(checkbox.dataset.snapshotId));
+    });
+
+    const tickerBtn = document.getElementById('planner-ticker-btn');
+    if (tickerBtn) {
+        tickerBtn.addEventListener('click', () => {
+            window.location.hash = '#planner/ticker';
+        });
+    }
+
+    const threatsBtn = document.getElementById('planner-threats-btn');
+    if (threatsBtn) {
+        threatsBtn.addEventListener('click', () => {
+            window.location.hash = '#planner/threats';
+        });
+    }
+
+    attachFDRModeToggleListeners(() => renderPlanner());
 }
 
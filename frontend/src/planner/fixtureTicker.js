@@ -0,0 +1,236 @@
+/**
+ * Fixture Ticker Calculations
+ * Team-by-gameweek fixture grid with blank/double detection, window
+ * difficulty ranking and a rotation-pair finder for budget GKP/DEF
+ */
+
+import { fplBootstrap, getActiveGW, getAllPlayers } from '../data.js';
+import { getTeamGameweekFixtures, getFixtureDifficultyBreakdown } from '../fixtures.js';
+import { FDR_PERSPECTIVES } from '../fdr/model.js';
+import { isCustomFDR } from '../fdr/store.js';
+
+const LAST_GAMEWEEK = 38;
+
+/** A blank counts as the hardest possible fixture */
+const BLANK_DIFFICULTY = 5;
+
+/** Each extra fixture in a gameweek takes this much off its difficulty */
+const DOUBLE_GW_BONUS = 1;
+
+/** Easiest rating on the FDR scale - a discounted double never goes below it */
+const MIN_DIFFICULTY = 1;
+
+/** Gameweeks at or below this difficulty count as "easy" for rotation cover */
+const EASY_DIFFICULTY = 2.5;
+
+export const TICKER_SORTS = {
+    OVERALL: 'overall',
+    ATTACK: 'attack',
+    DEFENCE: 'defence',
+    NAME: 'name'
+};
+
+// ============================================================================
+// GRID
+// ============================================================================
+
+/**
+ * Default ticker window: the next N gameweeks after the active one
+ * @param {number} [count=6] - Gameweeks in the window
+ * @returns {{startGW: number, endGW: number}} Window bounds (inclusive)
+ */
+export function getDefaultTickerWindow(count = 6) {
+    const startGW = Math.min(LAST_GAMEWEEK, (getActiveGW() || 0) + 1);
+    return {
+        startGW,
+        endGW: Math.min(LAST_GAMEWEEK, startGW + count - 1)
+    };
+}
+
+/**
+ * Rate one fixture in the active FDR mode
+ * Official FDR has no attack/defence split, so all three match it.
+ * @param {Object} fixture - FPL fixture
+ * @param {number} teamId - Team the fixture is rated for
+ * @returns {{attack: number, defence: number, overall: number, official: number}} Difficulty
+ */
+function rateTickerFixture(fixture, teamId) {
+    const breakdown = getFixtureDifficultyBreakdown(fixture, teamId);
+
+    if (!isCustomFDR() || breakdown.attack === null) {
+        const official = breakdown.official;
+        return { attack: official, defence: official, overall: official, official };
+    }
+
+    return {
+        attack: breakdown.attack,
+        defence: breakdown.defence,
+        overall: breakdown.overall,
+        official: breakdown.official
+    };
+}
+
+/**
+ * Difficulty of a whole gameweek for a team
+ * @param {Array} fixtures - The team's rated fixtures that gameweek
+ * @param {string} perspective - FDR_PERSPECTIVES value
+ * @returns {number} Difficulty (blank = 5, doubles are discounted but never below 1)
+ */
+export function getGameweekDifficulty(fixtures, perspective) {
+    if (fixtures.length === 0) {
+        return BLANK_DIFFICULTY;
+    }
+
+    const avg = fixtures.reduce((sum, f) => sum + f[perspective], 0) / fixtures.length;
+    return Math.max(MIN_DIFFICULTY, avg - DOUBLE_GW_BONUS * (fixtures.length - 1));
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Build the team-by-gameweek fixture grid
+ * @param {Object} window - Gameweek window
+ * @param {number} window.startGW - First gameweek (inclusive)
+ * @param {number} window.endGW - Last gameweek (inclusive)
+ * @returns {{gameweeks: number[], rows: Array}} Gameweeks and one row per team with
+ *   cells ({ gameweek, fixtures, difficulty }), blanks, doubles and window averages
+ */
+export function buildFixtureTicker({ startGW, endGW }) {
+    const teams = fplBootstrap?.teams || [];
+    const gameweeks = [];
+    for (let gw = startGW; gw <= Math.min(endGW, LAST_GAMEWEEK); gw++) {
+        gameweeks.push(gw);
+    }
+
+    const rows = teams.map(team => {
+        const cells = gameweeks.map(gameweek => {
+            const fixtures = getTeamGameweekFixtures(team.id, gameweek).map(({ opponentId, isHome, fixture }) => {
+                const opponent = teams.find(t => t.id === opponentId);
+                return {
+                    opponentId,
+                    opponentName: opponent?.short_name || 'TBD',
+                    isHome,
+                    ...rateTickerFixture(fixture, team.id)
+                };
+            });
+
+            return {
+                gameweek,
+                fixtures,
+                difficulty: {
+                    attack: getGameweekDifficulty(fixtures, FDR_PERSPECTIVES.ATTACK),
+                    defence: getGameweekDifficulty(fixtures, FDR_PERSPECTIVES.DEFENCE),
+                    overall: getGameweekDifficulty(fixtures, FDR_PERSPECTIVES.OVERALL)
+                }
+            };
+        });
+
+        return {
+            team,
+            cells,
+            blanks: cells.filter(c => c.fixtures.length === 0).map(c => c.gameweek),
+            doubles: cells.filter(c => c.fixtures.length > 1).map(c => c.gameweek),
+            totals: {
+                attack: average(cells.map(c => c.difficulty.attack)),
+                defence: average(cells.map(c => c.difficulty.defence)),
+                overall: average(cells.map(c => c.difficulty.overall))
+            }
+        };
+    });
+
+    return { gameweeks, rows };
+}
+
+/**
+ * Sort ticker rows, easiest window first
+ * @param {Array} rows - Rows from buildFixtureTicker
+ * @param {string} [sortBy='overall'] - TICKER_SORTS value
+ * @returns {Array} New sorted array
+ */
+export function sortTickerRows(rows, sortBy = TICKER_SORTS.OVERALL) {
+    if (sortBy === TICKER_SORTS.NAME) {
+        return [...rows].sort((a, b) => (a.team.name || '').localeCompare(b.team.name || ''));
+    }
+
+    const key = Object.values(FDR_PERSPECTIVES).includes(sortBy) ? sortBy : TICKER_SORTS.OVERALL;
+    return [...rows].sort((a, b) => a.totals[key] - b.totals[key]);
+}
+
+// ============================================================================
+// ROTATION PAIRS
+// ============================================================================
+
+/**
+ * Pick each team's best budget option for a position
+ * Prefers players with the most minutes, then the cheapest.
+ * @returns {Map<number, Object>} Team ID -> player
+ */
+function getBudgetPlayersByTeam(elementType, maxPrice) {
+    const byTeam = new Map();
+
+    getAllPlayers()
+        .filter(p => p.element_type === elementType && p.now_cost <= maxPrice && p.status !== 'u')
+        .forEach(player => {
+            const current = byTeam.get(player.team);
+            const better = !current ||
+                (player.minutes || 0) > (current.minutes || 0) ||
+                ((player.minutes || 0) === (current.minutes || 0) && player.now_cost < current.now_cost);
+            if (better) {
+                byTeam.set(player.team, player);
+            }
+        });
+
+    return byTeam;
+}
+
+/**
+ * Find pairs of cheap goalkeepers or defenders whose fixtures complement each
+ * other - each gameweek the pair starts whichever player has the easier
+ * (defensive) fixture, and pairs are ranked by the average of those picks.
+ * @param {Object} options
+ * @param {number} options.elementType - 1 (GKP) or 2 (DEF)
+ * @param {number} options.maxPrice - Max price per player (now_cost units, e.g. 45 = £4.5m)
+ * @param {number} options.startGW - First gameweek of the window
+ * @param {number} options.endGW - Last gameweek of the window
+ * @param {number} [options.limit=5] - Pairs to return
+ * @returns {Array<{players: Object[], score: number, easyWeeks: number, totalCost: number, schedule: Array}>}
+ *   Best pairs first; schedule holds { gameweek, playerId, difficulty } per gameweek
+ */
+export function findRotationPairs({ elementType, maxPrice, startGW, endGW, limit = 5 }) {
+    const playersByTeam = getBudgetPlayersByTeam(elementType, maxPrice);
+    const { rows } = buildFixtureTicker({ startGW, endGW });
+    const candidates = rows.filter(row => playersByTeam.has(row.team.id));
+
+    const pairs = [];
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            const rowA = candidates[i];
+            const rowB = candidates[j];
+            const playerA = playersByTeam.get(rowA.team.id);
+            const playerB = playersByTeam.get(rowB.team.id);
+
+            const schedule = rowA.cells.map((cellA, idx) => {
+                const a = cellA.difficulty.defence;
+                const b = rowB.cells[idx].difficulty.defence;
+                return {
+                    gameweek: cellA.gameweek,
+                    playerId: a <= b ? playerA.id : playerB.id,
+                    difficulty: Math.min(a, b)
+                };
+            });
+
+            pairs.push({
+                players: [playerA, playerB],
+                score: Math.round(average(schedule.map(s => s.difficulty)) * 100) / 100,
+                easyWeeks: schedule.filter(s => s.difficulty <= EASY_DIFFICULTY).length,
+                totalCost: playerA.now_cost + playerB.now_cost,
+                schedule
+            });
+        }
+    }
+
+    pairs.sort((a, b) => a.score - b.score || b.easyWeeks - a.easyWeeks || a.totalCost - b.totalCost);
+    return pairs.slice(0, limit);
+}
@@ -0,0 +1,384 @@
+/**
+ * Fixture Ticker Page
+ * All 20 teams over a gameweek window, sortable by attacking or defensive
+ * difficulty, plus a rotation-pair finder for budget goalkeepers/defenders
+ */
+
+import { getTeamById } from '../data.js';
+import {
+    escapeHtml,
+    formatCurrency,
+    getDifficultyClass,
+    getPositionShort
+} from '../utils.js';
+import { renderTeamLogo } from '../utils/teamLogos.js';
+import { isCustomFDR } from '../fdr/store.js';
+import { renderFDRModeToggle, attachFDRModeToggleListeners } from '../fdr/fdrModeToggle.js';
+import {
+    TICKER_SORTS,
+    getDefaultTickerWindow,
+    buildFixtureTicker,
+    sortTickerRows,
+    findRotationPairs
+} from './fixtureTicker.js';
+
+const WINDOW_SIZES = [3, 5, 6, 8, 10];
+const ROTATION_PRICES = [40, 45, 50];
+
+const SORT_LABELS = {
+    [TICKER_SORTS.OVERALL]: 'Overall',
+    [TICKER_SORTS.ATTACK]: 'Attack',
+    [TICKER_SORTS.DEFENCE]: 'Defence',
+    [TICKER_SORTS.NAME]: 'Team'
+};
+
+const tickerState = {
+    startGW: null,
+    size: 6,
+    sortBy: TICKER_SORTS.OVERALL,
+    rotation: { elementType: 1, maxPrice: 45 }
+};
+
+function getWindow() {
+    const defaults = getDefaultTickerWindow(tickerState.size);
+    const startGW = tickerState.startGW ?? defaults.startGW;
+    return {
+        startGW,
+        endGW: Math.min(38, startGW + tickerState.size - 1),
+        firstGW: defaults.startGW
+    };
+}
+
+/**
+ * Render the fixture ticker page
+ * @returns {string} HTML string
+ */
+export function renderFixtureTickerPage() {
+    if (typeof window !== 'undefined' && window.scrollTo) {
+        window.scrollTo({ top: 0, behavior: 'auto' });
+    }
+
+    const { startGW, endGW, firstGW } = getWindow();
+    const { gameweeks, rows } = buildFixtureTicker({ startGW, endGW });
+    const sortedRows = sortTickerRows(rows, tickerState.sortBy);
+    const pairs = findRotationPairs({ ...tickerState.rotation, startGW, endGW });
+
+    return `
+        <div style="padding: 0.5rem;">
+            ${renderTickerHeader(startGW, endGW)}
+            ${renderTickerControls(startGW, firstGW)}
+            ${renderTickerGrid(gameweeks, sortedRows)}
+            ${renderRotationPairs(pairs, gameweeks)}
+        </div>
+    `;
+}
+
+function renderTickerHeader(startGW, endGW) {
+    return `
+        <div style="
+            position: sticky;
+            top: calc(3.5rem + env(safe-area-inset-top));
+            background: var(--bg-primary);
+            z-index: 100;
+            padding: 0.75rem 0;
+            border-bottom: 2px solid var(--border-color);
+            margin-bottom: 0.75rem;
+        ">
+            <div style="display: flex; align-items: center; gap: 0.75rem;">
+                <button
+                    id="ticker-back-btn"
+                    style="
+                        background: none;
+                        border: none;
+                        color: var(--text-primary);
+                        font-size: 1.2rem;
+                        cursor: pointer;
+                        padding: 0.25rem;
+                    "
+                >
+                    <i class="fas fa-arrow-left"></i>
+                </button>
+                <div>
+                    <h1 style="font-size: 1.1rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                        Fixture Ticker
+                    </h1>
+                    <p style="font-size: 0.7rem; color: var(--text-secondary); margin: 0.2rem 0 0 0;">
+                        GW ${startGW} → GW ${endGW}
+                    </p>
+                </div>
+                <div id="ticker-fdr-toggle" style="margin-left: auto;">
+                    ${renderFDRModeToggle()}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function renderSelect(id, options, selected) {
+    return `
+        <select id="${id}" style="
+            padding: 0.3rem 0.5rem;
+            background: var(--bg-primary);
+            color: var(--text-primary);
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+            font-size: 0.75rem;
+        ">
+            ${options.map(({ value, label }) => `
+                <option value="${value}" ${String(value) === String(selected) ? 'selected' : ''}>${label}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function renderTickerControls(startGW, firstGW) {
+    const startOptions = [];
+    for (let gw = firstGW; gw <= 38; gw++) {
+        startOptions.push({ value: gw, label: `From GW${gw}` });
+    }
+
+    return `
+        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 0.75rem;">
+            ${renderSelect('ticker-start-gw', startOptions, startGW)}
+            ${renderSelect('ticker-window-size', WINDOW_SIZES.map(n => ({ value: n, label: `${n} GWs` })), tickerState.size)}
+            ${renderSelect('ticker-sort', Object.values(TICKER_SORTS).map(value => ({ value, label: `Sort: ${SORT_LABELS[value]}` })), tickerState.sortBy)}
+            ${!isCustomFDR() && (tickerState.sortBy === TICKER_SORTS.ATTACK || tickerState.sortBy === TICKER_SORTS.DEFENCE) ? `
+                <span style="font-size: 0.65rem; color: var(--text-secondary);">
+                    Official FDR has no attack/defence split - switch to Custom
+                </span>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderFixtureChip(fixture, perspective) {
+    return `
+        <span class="${getDifficultyClass(fixture[perspective])}" style="
+            display: block;
+            padding: 0.2rem 0.3rem;
+            border-radius: 3px;
+            font-weight: 600;
+            font-size: 0.65rem;
+            white-space: nowrap;
+        " title="${isCustomFDR() ? `ATK ${fixture.attack.toFixed(1)} / DEF ${fixture.defence.toFixed(1)}` : `FDR ${fixture.official}`}">
+            ${escapeHtml(fixture.opponentName)} (${fixture.isHome ? 'H' : 'A'})
+        </span>
+    `;
+}
+
+function renderTickerCell(cell, perspective) {
+    if (cell.fixtures.length === 0) {
+        return `
+            <td style="text-align: center; padding: 0.3rem;">
+                <span style="
+                    display: block;
+                    padding: 0.2rem 0.3rem;
+                    border: 1px dashed var(--danger-color);
+                    border-radius: 3px;
+                    color: var(--danger-color);
+                    font-weight: 700;
+                    font-size: 0.6rem;
+                ">BLANK</span>
+            </td>
+        `;
+    }
+
+    const isDouble = cell.fixtures.length > 1;
+    return `
+        <td style="text-align: center; padding: 0.3rem; ${isDouble ? 'box-shadow: inset 0 0 0 2px var(--accent-color);' : ''}">
+            <div style="display: flex; flex-direction: column; gap: 0.15rem;">
+                ${cell.fixtures.map(f => renderFixtureChip(f, perspective)).join('')}
+            </div>
+        </td>
+    `;
+}
+
+function renderTickerGrid(gameweeks, rows) {
+    const perspective = tickerState.sortBy === TICKER_SORTS.NAME ? TICKER_SORTS.OVERALL : tickerState.sortBy;
+    const blankGWs = new Set(rows.flatMap(row => row.blanks));
+    const doubleGWs = new Set(rows.flatMap(row => row.doubles));
+
+    return `
+        <div style="
+            background: var(--bg-secondary);
+            border-radius: 8px;
+            overflow: hidden;
+            margin-bottom: 1rem;
+        ">
+            <div style="overflow-x: auto; -webkit-overflow-scrolling: touch;">
+                <table style="width: 100%; font-size: 0.75rem; border-collapse: collapse;">
+                    <thead style="background: var(--bg-tertiary);">
+                        <tr>
+                            <th style="position: sticky; left: 0; background: var(--bg-tertiary); z-index: 10; text-align: left; padding: 0.5rem; min-width: 110px;">Team</th>
+                            <th style="text-align: center; padding: 0.5rem; min-width: 50px;">Avg</th>
+                            ${gameweeks.map(gw => `
+                                <th style="text-align: center; padding: 0.5rem; min-width: 64px;">
+                                    GW${gw}
+                                    ${doubleGWs.has(gw) ? '<div style="font-size: 0.55rem; color: var(--accent-color);">DGW</div>' : ''}
+                                    ${blankGWs.has(gw) ? '<div style="font-size: 0.55rem; color: var(--danger-color);">BGW</div>' : ''}
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map((row, idx) => {
+                            const rowBg = idx % 2 === 0 ? 'var(--bg-primary)' : 'var(--bg-secondary)';
+                            const avg = row.totals[perspective];
+                            return `
+                                <tr style="background: ${rowBg};">
+                                    <td style="
+                                        position: sticky;
+                                        left: 0;
+                                        background: ${rowBg};
+                                        z-index: 5;
+                                        padding: 0.5rem;
+                                        border-right: 1px solid var(--border-color);
+                                    ">
+                                        <div style="display: flex; align-items: center; gap: 0.35rem;">
+                                            ${renderTeamLogo(row.team, { size: 18 })}
+                                            <strong style="font-size: 0.7rem;">${escapeHtml(row.team.short_name || row.team.name)}</strong>
+                                        </div>
+                                    </td>
+                                    <td style="text-align: center; padding: 0.5rem;">
+                                        <span class="${getDifficultyClass(avg)}" style="display: inline-block; padding: 0.15rem 0.35rem; border-radius: 3px; font-weight: 700; font-size: 0.65rem;">
+                                            ${avg.toFixed(1)}
+                                        </span>
+                                    </td>
+                                    ${row.cells.map(cell => renderTickerCell(cell, perspective)).join('')}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+function renderRotationPairs(pairs, gameweeks) {
+    const { elementType, maxPrice } = tickerState.rotation;
+
+    return `
+        <div style="
+            background: var(--bg-secondary);
+            border-radius: 8px;
+            padding: 0.75rem;
+        ">
+            <div style="display: flex; flex-wrap: wrap; justify-content: space-between; align-items: center; gap: 0.5rem; margin-bottom: 0.75rem;">
+                <div>
+                    <div style="font-size: 0.85rem; font-weight: 700; color: var(--text-primary);">
+                        <i class="fas fa-sync-alt" style="margin-right: 0.35rem; color: var(--accent-color);"></i>
+                        Rotation Pairs
+                    </div>
+                    <div style="font-size: 0.65rem; color: var(--text-secondary); margin-top: 0.15rem;">
+                        Start whichever has the easier defensive fixture each week
+                    </div>
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    ${renderSelect('ticker-rotation-position', [{ value: 1, label: 'Goalkeepers' }, { value: 2, label: 'Defenders' }], elementType)}
+                    ${renderSelect('ticker-rotation-price', ROTATION_PRICES.map(price => ({ value: price, label: `≤ ${formatCurrency(price)}` })), maxPrice)}
+                </div>
+            </div>
+            ${pairs.length === 0 ? `
+                <div style="text-align: center; padding: 1rem; color: var(--text-secondary); font-size: 0.75rem;">
+                    No pairs found at this price
+                </div>
+            ` : `
+                <div style="overflow-x: auto; -webkit-overflow-scrolling: touch;">
+                    <table style="width: 100%; font-size: 0.75rem; border-collapse: collapse;">
+                        <thead style="background: var(--bg-tertiary);">
+                            <tr>
+                                <th style="text-align: left; padding: 0.5rem; min-width: 160px;">Pair</th>
+                                <th style="text-align: center; padding: 0.5rem;">Avg</th>
+                                <th style="text-align: center; padding: 0.5rem;">Cost</th>
+                                ${gameweeks.map(gw => `<th style="text-align: center; padding: 0.5rem; min-width: 52px;">GW${gw}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${pairs.map((pair, idx) => renderRotationPairRow(pair, idx)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderRotationPairRow(pair, idx) {
+    const rowBg = idx % 2 === 0 ? 'var(--bg-primary)' : 'var(--bg-secondary)';
+    const [playerA, playerB] = pair.players;
+
+    return `
+        <tr style="background: ${rowBg};">
+            <td style="padding: 0.5rem;">
+                ${pair.players.map(player => `
+                    <div style="display: flex; align-items: center; gap: 0.3rem;">
+                        <span style="font-size: 0.6rem; color: var(--text-secondary);">${getPositionShort(player)}</span>
+                        <strong style="font-size: 0.7rem;">${escapeHtml(player.web_name)}</strong>
+                        <span style="font-size: 0.6rem; color: var(--text-secondary);">${escapeHtml(getTeamById(player.team)?.short_name || '')} · ${formatCurrency(player.now_cost)}</span>
+                    </div>
+                `).join('')}
+            </td>
+            <td style="text-align: center; padding: 0.5rem;">
+                <span class="${getDifficultyClass(pair.score)}" style="display: inline-block; padding: 0.15rem 0.35rem; border-radius: 3px; font-weight: 700; font-size: 0.65rem;">
+                    ${pair.score.toFixed(1)}
+                </span>
+            </td>
+            <td style="text-align: center; padding: 0.5rem; white-space: nowrap;">${formatCurrency(pair.totalCost)}</td>
+            ${pair.schedule.map(week => {
+                const starter = week.playerId === playerA.id ? playerA : playerB;
+                return `
+                    <td style="text-align: center; padding: 0.3rem;">
+                        <span class="${getDifficultyClass(week.difficulty)}" style="display: block; padding: 0.2rem 0.3rem; border-radius: 3px; font-weight: 600; font-size: 0.6rem; white-space: nowrap;">
+                            ${escapeHtml(starter.web_name)}
+                        </span>
+                    </td>
+                `;
+            }).join('')}
+        </tr>
+    `;
+}
+
+// ============================================================================
+// LISTENERS
+// ============================================================================
+
+function rerender() {
+    const container = document.getElementById('app-container');
+    if (!container) return;
+    container.innerHTML = renderFixtureTickerPage();
+    attachFixtureTickerPageListeners();
+}
+
+function bindSelect(id, onChange) {
+    const select = document.getElementById(id);
+    if (select) {
+        select.addEventListener('change', () => {
+            onChange(select.value);
+            rerender();
+        });
+    }
+}
+
+/**
+ * Attach event listeners for the fixture ticker page
+ */
+export function attachFixtureTickerPageListeners() {
+    const backBtn = document.getElementById('ticker-back-btn');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => {
+            window.location.hash = '#planner';
+        });
+    }
+
+    bindSelect('ticker-start-gw', value => { tickerState.startGW = parseInt(value, 10); });
+    bindSelect('ticker-window-size', value => { tickerState.size = parseInt(value, 10); });
+    bindSelect('ticker-sort', value => { tickerState.sortBy = value; });
+    bindSelect('ticker-rotation-position', value => { tickerState.rotation.elementType = parseInt(value, 10); });
+    bindSelect('ticker-rotation-price', value => { tickerState.rotation.maxPrice = parseInt(value, 10); });
+
+    const fdrToggle = document.getElementById('ticker-fdr-toggle');
+    if (fdrToggle) {
+        attachFDRModeToggleListeners(rerender, fdrToggle);
+    }
+}
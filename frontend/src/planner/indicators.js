@@ -4,6 +4,7 @@
  */
 
 import { formatDecimal, escapeHtml } from '../utils.js';
+import { renderFDRModeToggle } from '../fdr/fdrModeToggle.js';
 
 const METRIC_KEY_BY_TYPE = {
     ppm: 'avgPPM',
@@ -38,12 +39,21 @@ export function renderMetricIndicators(originalMetrics, currentMetrics, leagueCo
             border-radius: 8px;
         ">
             <div style="
-                font-size: 0.75rem;
-                font-weight: 600;
-                color: var(--text-secondary);
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 0.5rem;
+                flex-wrap: wrap;
                 margin-bottom: 0.75rem;
             ">
-                ${subtitle}
+                <div style="
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    color: var(--text-secondary);
+                ">
+                    ${subtitle}
+                </div>
+                ${renderFDRModeToggle()}
             </div>
             <div style="
                 display: grid;
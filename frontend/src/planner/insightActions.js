@@ -0,0 +1,105 @@
+/**
+ * Planner Insight Actions
+ * Applies suggested actions from AI insights (transfers, sells, buys) to the planner
+ */
+
+import { plannerState } from './state.js';
+import { sharedState } from '../sharedState.js';
+import { getPlayerById } from '../data.js';
+import { isWishlisted, toggleWishlist } from '../wishlist/store.js';
+import { showWarningToast } from '../pullToRefresh.js';
+
+/** Action types the planner can apply */
+const PLANNER_ACTION_TYPES = ['transfer', 'sell', 'buy'];
+
+/**
+ * Check if an insight action can be applied in the planner
+ * @param {Object|null} action - Insight action
+ * @returns {boolean} True for transfer, sell and buy actions
+ */
+export function isPlannerAction(action) {
+    return Boolean(action) && PLANNER_ACTION_TYPES.includes(action.type);
+}
+
+/**
+ * Initialize planner state from the loaded team, as renderPlanner does
+ * @returns {boolean} True if the planner has a squad to change
+ */
+function ensurePlannerState() {
+    if (plannerState.isInitialized()) {
+        return true;
+    }
+
+    const teamData = sharedState.myTeamData;
+    const picks = teamData?.picks?.picks;
+    if (!picks) {
+        return false;
+    }
+
+    const myPlayers = picks.map(pick => {
+        const player = getPlayerById(pick.element);
+        return { ...player, pick };
+    }).filter(p => p.id);
+
+    const bank = teamData.picks.entry_history?.bank || 0;
+    const value = teamData.picks.entry_history?.value || 1000;
+    plannerState.initialize(myPlayers, picks, bank, value);
+    return plannerState.isInitialized();
+}
+
+/**
+ * Check if a player is in the planned squad
+ * @param {number} playerId - Player ID
+ * @returns {boolean}
+ */
+function isInPlannedSquad(playerId) {
+    return plannerState.getCurrentSquad().some(pick => pick.element === playerId);
+}
+
+/**
+ * Apply an insight action in the planner and navigate there
+ * - transfer: swaps outId for inId, or opens outId's replacements without an inId
+ * - sell: opens the player's replacements
+ * - buy: adds the player to the wishlist shown in the planner
+ * @param {Object} action - Insight action ({ type, playerId?, outId?, inId? })
+ * Shows a warning toast when the action can't be applied.
+ * @returns {boolean} True if the action was applied
+ */
+export function applyInsightAction(action) {
+    if (!isPlannerAction(action)) {
+        return false;
+    }
+
+    if (action.type === 'buy') {
+        if (!getPlayerById(action.playerId)) {
+            showWarningToast('That player could not be found - try refreshing the player data');
+            return false;
+        }
+        if (!isWishlisted(action.playerId)) {
+            toggleWishlist(action.playerId);
+        }
+        window.location.hash = '#planner';
+        return true;
+    }
+
+    if (!ensurePlannerState()) {
+        showWarningToast('Load your team before applying insight actions in the planner');
+        return false;
+    }
+
+    const outId = action.type === 'transfer' ? action.outId : action.playerId;
+    if (!isInPlannedSquad(outId)) {
+        const name = getPlayerById(outId)?.web_name || 'That player';
+        showWarningToast(`${name} is not in your planned squad`);
+        return false;
+    }
+
+    if (action.type === 'transfer' && action.inId && getPlayerById(action.inId) && !isInPlannedSquad(action.inId)) {
+        plannerState.addChange(outId, action.inId);
+        window.location.hash = '#planner';
+        return true;
+    }
+
+    window.location.hash = `#planner/replace/${outId}`;
+    return true;
+}
@@ -5,12 +5,18 @@
 import { sharedState } from '../sharedState.js';
 import { loadLeagueStandings, loadMyTeam } from '../data.js';
 import { calculateTeamMetrics } from './metrics.js';
+import { getFDRMode } from '../fdr/store.js';
 
 const MAX_LEAGUE_ENTRIES = 50;
 const CACHE_TTL = 4 * 60 * 60 * 1000; // 4 hours
 const METRIC_KEYS = ['avgPPM', 'avgFDR', 'avgForm', 'expectedPoints', 'avgOwnership', 'avgXGI'];
 
-function getPreferredLeagueId(teamId) {
+/**
+ * League the user last selected (active My Leagues tab, then the stored choice)
+ * @param {number|string} teamId - User's entry ID
+ * @returns {number|null} League ID
+ */
+export function getPreferredLeagueId(teamId) {
     if (sharedState.activeLeagueTab) {
         return parseInt(sharedState.activeLeagueTab, 10);
     }
@@ -25,8 +31,9 @@ function getPreferredLeagueId(teamId) {
     return null;
 }
 
+// Avg FDR differs between official and custom FDR, so each mode has its own entry
 function getCacheKey(leagueId, gameweek) {
-    return `${leagueId}_gw${gameweek}`;
+    return `${leagueId}_gw${gameweek}_${getFDRMode()}`;
 }
 
 function isCacheFresh(entry) {
@@ -107,7 +114,7 @@ async function fetchLeagueMetrics(leagueId, gameweek) {
         try {
             let teamData = sharedState.rivalTeamCache.get(entry.entry);
             if (!teamData) {
-                teamData = await loadMyTeam(entry.entry);
+                teamData = await loadMyTeam(entry.entry, { background: true });
                 sharedState.rivalTeamCache.set(entry.entry, teamData);
             }
 
@@ -6,11 +6,12 @@
 import { getAllPlayers } from '../data.js';
 import { calculateSquadAverages } from '../myTeam/teamSummaryHelpers.js';
 import { currentGW } from '../data.js';
+import { getProjectedPoints, DEFAULT_PROJECTION_HORIZON } from '../projections.js';
 
 /**
  * Calculate team metrics for a given squad
  * @param {Array} picks - Team picks array
- * @param {number} gameweek - Current gameweek
+ * @param {number} gameweek - Current gameweek (expected points start from the next one)
  * @returns {Object} Team metrics
  */
 export function calculateTeamMetrics(picks, gameweek) {
@@ -30,13 +31,10 @@ export function calculateTeamMetrics(picks, gameweek) {
     // Use existing squad averages calculation
     const squadAverages = calculateSquadAverages(picks, gameweek);
 
-    // Calculate expected points (sum of ep_next for next 5 GWs)
+    // Expected points: fixture-aware projection summed over the 5 GWs after `gameweek`
     let totalExpectedPoints = 0;
     players.forEach(player => {
-        const epNext = parseFloat(player.ep_next) || 0;
-        // For simplicity, use ep_next * 5 for next 5 GWs
-        // In reality, we'd need to calculate per-GW, but ep_next is FPL's prediction
-        totalExpectedPoints += epNext * 5;
+        totalExpectedPoints += getProjectedPoints(player, DEFAULT_PROJECTION_HORIZON, gameweek + 1);
     });
 
     return {
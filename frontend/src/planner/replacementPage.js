@@ -17,8 +17,12 @@ import {
     getFormHeatmap,
     getHeatmapStyle
 } from '../utils.js';
+import { renderPriceChangeIndicator } from '../renderHelpers.js';
+import { renderCompareButton } from '../compare/compareButton.js';
 import { plannerState } from './state.js';
 import { calculateTeamMetrics, calculateProjectedTeamMetrics, calculateMetricsDelta } from './metrics.js';
+import { getFDRPerspective } from '../fdr/model.js';
+import { renderFDRModeToggle } from '../fdr/fdrModeToggle.js';
 
 /**
  * Render player replacement page
@@ -117,9 +121,12 @@ function renderReplacementHeader(player) {
                         Replace: ${escapeHtml(player.web_name)}
                     </h1>
                     <p style="font-size: 0.7rem; color: var(--text-secondary); margin: 0.2rem 0 0 0;">
-                        ${getPositionShort(player)} • ${formatCurrency(player.now_cost)}
+                        ${getPositionShort(player)} • ${formatCurrency(player.now_cost)}${renderPriceChangeIndicator(player.id)}
                     </p>
                 </div>
+                <div id="replacement-fdr-toggle" data-player-id="${player.id}" style="margin-left: auto;">
+                    ${renderFDRModeToggle()}
+                </div>
             </div>
         </div>
     `;
@@ -225,8 +232,8 @@ function renderReplacementTable(players, originalPlayer, next5GWs, originalPrice
                     </thead>
                     <tbody>
                         ${players.map((player, idx) => {
-                            const next5Fixtures = getFixtures(player.team, 5, false);
-                            const avgFDR = calculateFixtureDifficulty(player.team, 5);
+                            const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
+                            const avgFDR = calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type));
                             const formHeatmap = getFormHeatmap(player.form);
                             const formStyle = getHeatmapStyle(formHeatmap);
                             const rowBg = idx % 2 === 0 ? 'var(--bg-primary)' : 'var(--bg-secondary)';
@@ -261,6 +268,7 @@ function renderReplacementTable(players, originalPlayer, next5GWs, originalPrice
                                         <div style="display: flex; align-items: center; gap: 0.3rem;">
                                             <span style="font-size: 0.6rem; color: var(--text-secondary);">${getPositionShort(player)}</span>
                                             <strong style="font-size: 0.7rem;">${escapeHtml(player.web_name)}</strong>
+                                            ${renderCompareButton(player.id)}
                                         </div>
                                         <div style="font-size: 0.6rem; color: var(--text-secondary); margin-top: 0.1rem;">
                                             ${getTeamShortName(player.team)}
@@ -272,8 +280,8 @@ function renderReplacementTable(players, originalPlayer, next5GWs, originalPrice
                                     <td style="text-align: center; padding: 0.5rem; background: ${formStyle.background}; color: ${formStyle.color}; font-weight: 600;">
                                         ${formatDecimal(player.form)}
                                     </td>
-                                    <td style="text-align: center; padding: 0.5rem;">
-                                        ${formatCurrency(player.now_cost)}
+                                    <td style="text-align: center; padding: 0.5rem; white-space: nowrap;">
+                                        ${formatCurrency(player.now_cost)}${renderPriceChangeIndicator(player.id)}
                                     </td>
                                     <td style="text-align: center; padding: 0.5rem; color: ${diffColor}; font-weight: 600;">
                                         ${diffSign}£${Math.abs(priceDiff / 10).toFixed(1)}m
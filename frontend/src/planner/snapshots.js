@@ -0,0 +1,199 @@
+/**
+ * Planner Snapshots
+ * Named sets of sandbox changes and side-by-side metric comparison
+ */
+
+import { formatCurrency, formatDecimal, escapeHtml } from '../utils.js';
+import { plannerState } from './state.js';
+import { calculateProjectedTeamMetrics } from './metrics.js';
+import { calculateTransferCosts } from './costCalculator.js';
+
+// Rows shown in the comparison table: [label, metric key, higher is better, formatter]
+const COMPARISON_ROWS = [
+    ['Exp Pts', 'expectedPoints', true, v => formatDecimal(v)],
+    ['Points Hit', 'pointsHit', true, v => String(v)],
+    ['Net Exp Pts', 'netExpectedPoints', true, v => formatDecimal(v)],
+    ['Bank', 'newBank', true, v => formatCurrency(v)],
+    ['Avg PPM', 'avgPPM', true, v => formatDecimal(v)],
+    ['Avg FDR', 'avgFDR', false, v => formatDecimal(v)],
+    ['Avg Form', 'avgForm', true, v => formatDecimal(v)],
+    ['Avg xGI', 'avgXGI', true, v => formatDecimal(v)]
+];
+
+/**
+ * Metrics and costs for a set of changes
+ * @param {Array} changes - Array of {out, in}
+ * @param {number} gameweek - Current gameweek
+ * @returns {Object} Metrics merged with cost summary
+ */
+export function calculateSnapshotMetrics(changes, gameweek) {
+    const metrics = calculateProjectedTeamMetrics(plannerState.getInitialPicks(), changes, gameweek);
+    const costs = calculateTransferCosts(changes, plannerState.getInitialBank(), plannerState.getTransferContext());
+
+    return {
+        ...metrics,
+        ...costs,
+        netExpectedPoints: metrics.expectedPoints + costs.pointsHit
+    };
+}
+
+/**
+ * Render snapshots section: save/undo/redo controls, saved list and comparison
+ * @param {number} gameweek - Current gameweek
+ * @returns {string} HTML string
+ */
+export function renderSnapshotSection(gameweek) {
+    const snapshots = plannerState.getSnapshots();
+    const compared = plannerState.getComparedSnapshots();
+    const canUndo = plannerState.canUndo();
+    const canRedo = plannerState.canRedo();
+
+    return `
+        <div style="
+            margin-bottom: 1rem;
+            padding: 0.75rem;
+            background: var(--bg-secondary);
+            border-radius: 8px;
+        ">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; flex-wrap: wrap;">
+                <div style="font-size: 0.75rem; font-weight: 600; color: var(--text-secondary);">
+                    Snapshots
+                </div>
+                <div style="display: flex; gap: 0.4rem;">
+                    ${renderControlButton('planner-undo-btn', 'fa-undo', 'Undo', canUndo)}
+                    ${renderControlButton('planner-redo-btn', 'fa-redo', 'Redo', canRedo)}
+                    ${renderControlButton('planner-save-snapshot-btn', 'fa-camera', 'Save', true)}
+                </div>
+            </div>
+
+            ${snapshots.length === 0 ? `
+                <p style="font-size: 0.7rem; color: var(--text-secondary); margin: 0.5rem 0 0 0;">
+                    Save your current changes as a snapshot to reopen or compare them later.
+                </p>
+            ` : `
+                <div style="display: flex; flex-direction: column; gap: 0.35rem; margin-top: 0.5rem;">
+                    ${snapshots.map(snapshot => renderSnapshotRow(snapshot, compared.includes(snapshot))).join('')}
+                </div>
+            `}
+
+            ${compared.length > 0 ? renderSnapshotComparison(compared, gameweek) : ''}
+        </div>
+    `;
+}
+
+function renderControlButton(id, icon, label, enabled) {
+    return `
+        <button
+            id="${id}"
+            ${enabled ? '' : 'disabled'}
+            style="
+                padding: 0.3rem 0.6rem;
+                background: var(--bg-primary);
+                color: ${enabled ? 'var(--text-primary)' : 'var(--text-tertiary)'};
+                border: 1px solid var(--border-color);
+                border-radius: 6px;
+                cursor: ${enabled ? 'pointer' : 'default'};
+                font-size: 0.7rem;
+                font-weight: 600;
+            "
+        >
+            <i class="fas ${icon}"></i> ${label}
+        </button>
+    `;
+}
+
+function renderSnapshotRow(snapshot, isCompared) {
+    const createdAt = new Date(snapshot.createdAt).toLocaleDateString('en-SG', { month: 'short', day: 'numeric' });
+
+    return `
+        <div style="
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            padding: 0.4rem 0.5rem;
+            background: var(--bg-primary);
+            border-radius: 6px;
+            font-size: 0.7rem;
+        ">
+            <label style="display: flex; align-items: center; gap: 0.4rem; flex: 1; min-width: 0; cursor: pointer;">
+                <input
+                    type="checkbox"
+                    class="planner-snapshot-compare"
+                    data-snapshot-id="${snapshot.id}"
+                    ${isCompared ? 'checked' : ''}
+                />
+                <strong style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(snapshot.name)}</strong>
+                <span style="color: var(--text-secondary); white-space: nowrap;">
+                    ${snapshot.changes.length} ${snapshot.changes.length === 1 ? 'change' : 'changes'} • ${createdAt}
+                </span>
+            </label>
+            <button
+                class="planner-snapshot-load"
+                data-snapshot-id="${snapshot.id}"
+                style="padding: 0.2rem 0.5rem; background: var(--primary-color); color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.65rem;"
+            >
+                Open
+            </button>
+            <button
+                class="planner-snapshot-delete"
+                data-snapshot-id="${snapshot.id}"
+                style="padding: 0.2rem 0.4rem; background: transparent; color: var(--danger-color); border: none; cursor: pointer; font-size: 0.7rem;"
+                title="Delete snapshot"
+            >
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `;
+}
+
+function renderSnapshotComparison(compared, gameweek) {
+    const columns = [
+        { name: 'Current', metrics: calculateSnapshotMetrics(plannerState.getChanges(), gameweek) },
+        ...compared.map(snapshot => ({
+            name: snapshot.name,
+            metrics: calculateSnapshotMetrics(snapshot.changes, gameweek)
+        }))
+    ];
+
+    const rows = COMPARISON_ROWS.map(([label, key, higherIsBetter, format]) => {
+        const values = columns.map(col => col.metrics[key] || 0);
+        const best = higherIsBetter ? Math.max(...values) : Math.min(...values);
+        const allEqual = values.every(v => v === values[0]);
+
+        return `
+            <tr style="border-bottom: 1px solid var(--border-color);">
+                <td style="padding: 0.35rem; color: var(--text-secondary);">${label}</td>
+                ${values.map(value => `
+                    <td style="
+                        padding: 0.35rem;
+                        text-align: center;
+                        font-weight: ${!allEqual && value === best ? '700' : '400'};
+                        color: ${!allEqual && value === best ? 'var(--success-color)' : 'var(--text-primary)'};
+                    ">
+                        ${format(value)}
+                    </td>
+                `).join('')}
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div style="overflow-x: auto; margin-top: 0.75rem;">
+            <table style="width: 100%; font-size: 0.7rem; border-collapse: collapse;">
+                <thead style="background: var(--bg-tertiary);">
+                    <tr>
+                        <th style="padding: 0.35rem; text-align: left;">Metric</th>
+                        ${columns.map(col => `<th style="padding: 0.35rem; text-align: center;">${escapeHtml(col.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr style="border-bottom: 1px solid var(--border-color);">
+                        <td style="padding: 0.35rem; color: var(--text-secondary);">Transfers</td>
+                        ${columns.map(col => `<td style="padding: 0.35rem; text-align: center;">${col.metrics.transferCount}</td>`).join('')}
+                    </tr>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
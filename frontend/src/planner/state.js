@@ -1,8 +1,13 @@
 /**
  * Planner State Management
- * In-memory state for sandbox team changes (no persistence)
+ * Sandbox team changes with undo/redo history and named snapshots,
+ * persisted to localStorage per team signature
  */
 
+const STORAGE_PREFIX = 'fplanner_planner_';
+const MAX_HISTORY = 50;
+const MAX_SNAPSHOTS = 10;
+
 /**
  * Planner state object
  */
@@ -14,6 +19,11 @@ class PlannerState {
         this.initialBank = 0; // Original bank balance
         this.initialValue = 0; // Original team value
         this.teamSignature = null;
+        this.transferContext = null; // Banked FTs and selling prices
+        this.undoStack = []; // Previous changes arrays
+        this.redoStack = []; // Undone changes arrays
+        this.snapshots = []; // Array of {id, name, changes, createdAt}
+        this.comparedSnapshotIds = new Set(); // Snapshots shown side by side
     }
 
     /**
@@ -36,6 +46,83 @@ class PlannerState {
         this.initialValue = value;
         this.changes = [];
         this.teamSignature = newSignature;
+        this.transferContext = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.snapshots = [];
+        this.comparedSnapshotIds = new Set();
+
+        this.loadFromStorage();
+    }
+
+    /**
+     * localStorage key for the current team signature
+     */
+    getStorageKey() {
+        return this.teamSignature ? `${STORAGE_PREFIX}${this.teamSignature}` : null;
+    }
+
+    /**
+     * Restore changes, history and snapshots saved for this squad
+     * Changes that no longer match a player in the squad are dropped.
+     */
+    loadFromStorage() {
+        const key = this.getStorageKey();
+        if (!key || typeof window === 'undefined' || !window.localStorage) {
+            return;
+        }
+
+        try {
+            const raw = window.localStorage.getItem(key);
+            if (!raw) return;
+            const parsed = JSON.parse(raw);
+
+            const squadIds = new Set(this.initialPicks.map(p => p.element));
+            const isValidChanges = (changes) => Array.isArray(changes) &&
+                changes.every(c => c && squadIds.has(c.out) && typeof c.in === 'number');
+
+            this.changes = isValidChanges(parsed.changes) ? parsed.changes : [];
+            this.undoStack = Array.isArray(parsed.undoStack) ? parsed.undoStack.filter(isValidChanges) : [];
+            this.redoStack = Array.isArray(parsed.redoStack) ? parsed.redoStack.filter(isValidChanges) : [];
+            this.snapshots = Array.isArray(parsed.snapshots)
+                ? parsed.snapshots.filter(s => s && s.id && isValidChanges(s.changes))
+                : [];
+        } catch (err) {
+            console.warn('Failed to parse planner storage', err);
+        }
+    }
+
+    /**
+     * Save changes, history and snapshots for this squad
+     */
+    persist() {
+        const key = this.getStorageKey();
+        if (!key || typeof window === 'undefined' || !window.localStorage) {
+            return;
+        }
+
+        try {
+            window.localStorage.setItem(key, JSON.stringify({
+                changes: this.changes,
+                undoStack: this.undoStack,
+                redoStack: this.redoStack,
+                snapshots: this.snapshots
+            }));
+        } catch (err) {
+            console.warn('Failed to persist planner state', err);
+        }
+    }
+
+    /**
+     * Record the current changes on the undo stack before modifying them
+     * Any new edit clears the redo stack.
+     */
+    pushHistory() {
+        this.undoStack.push(this.changes.map(c => ({ ...c })));
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
     }
 
     /**
@@ -86,6 +173,8 @@ class PlannerState {
      * @param {number} playerInId - Player being added
      */
     addChange(playerOutId, playerInId) {
+        this.pushHistory();
+
         // Remove any existing change for this player out
         this.changes = this.changes.filter(c => c.out !== playerOutId);
         
@@ -95,6 +184,7 @@ class PlannerState {
             in: playerInId,
             timestamp: new Date().toISOString()
         });
+        this.persist();
     }
 
     /**
@@ -102,7 +192,128 @@ class PlannerState {
      * @param {number} playerOutId - Player ID to reset
      */
     removeChange(playerOutId) {
+        if (!this.isPlayerModified(playerOutId)) return;
+
+        this.pushHistory();
         this.changes = this.changes.filter(c => c.out !== playerOutId);
+        this.persist();
+    }
+
+    /**
+     * Check if there is a change to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is an undone change to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Restore the changes from before the last edit
+     * @returns {boolean} True if anything was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.changes);
+        this.changes = this.undoStack.pop();
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Re-apply the last undone edit
+     * @returns {boolean} True if anything was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.undoStack.push(this.changes);
+        this.changes = this.redoStack.pop();
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Save the current changes as a named snapshot
+     * @param {string} name - Snapshot name
+     * @returns {Object} Saved snapshot
+     */
+    saveSnapshot(name) {
+        const snapshot = {
+            id: `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name || `Snapshot ${this.snapshots.length + 1}`,
+            changes: this.changes.map(c => ({ ...c })),
+            createdAt: new Date().toISOString()
+        };
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > MAX_SNAPSHOTS) {
+            const removed = this.snapshots.shift();
+            this.comparedSnapshotIds.delete(removed.id);
+        }
+        this.persist();
+        return snapshot;
+    }
+
+    /**
+     * Get saved snapshots
+     * @returns {Array} Snapshots
+     */
+    getSnapshots() {
+        return this.snapshots;
+    }
+
+    /**
+     * Replace the current changes with a snapshot's changes (undoable)
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {boolean} True if the snapshot was found
+     */
+    loadSnapshot(snapshotId) {
+        const snapshot = this.snapshots.find(s => s.id === snapshotId);
+        if (!snapshot) return false;
+
+        this.pushHistory();
+        this.changes = snapshot.changes.map(c => ({ ...c }));
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} snapshotId - Snapshot ID
+     */
+    deleteSnapshot(snapshotId) {
+        this.snapshots = this.snapshots.filter(s => s.id !== snapshotId);
+        this.comparedSnapshotIds.delete(snapshotId);
+        this.persist();
+    }
+
+    /**
+     * Toggle a snapshot in the side-by-side comparison
+     * @param {string} snapshotId - Snapshot ID
+     */
+    toggleSnapshotCompare(snapshotId) {
+        if (this.comparedSnapshotIds.has(snapshotId)) {
+            this.comparedSnapshotIds.delete(snapshotId);
+        } else {
+            this.comparedSnapshotIds.add(snapshotId);
+        }
+    }
+
+    /**
+     * Get snapshots selected for comparison
+     * @returns {Array} Snapshots in saved order
+     */
+    getComparedSnapshots() {
+        return this.snapshots.filter(s => this.comparedSnapshotIds.has(s.id));
     }
 
     /**
@@ -151,7 +362,11 @@ class PlannerState {
      * Reset all changes
      */
     resetAll() {
+        if (this.changes.length === 0) return;
+
+        this.pushHistory();
         this.changes = [];
+        this.persist();
     }
 
     /**
@@ -163,6 +378,12 @@ class PlannerState {
         this.changes = [];
         this.initialBank = 0;
         this.initialValue = 0;
+        this.teamSignature = null;
+        this.transferContext = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.snapshots = [];
+        this.comparedSnapshotIds = new Set();
     }
 
     /**
@@ -173,6 +394,22 @@ class PlannerState {
         return this.initialBank;
     }
 
+    /**
+     * Set transfer context (banked FTs and selling prices)
+     * @param {Object|null} context - Context from buildTransferContext
+     */
+    setTransferContext(context) {
+        this.transferContext = context;
+    }
+
+    /**
+     * Get transfer context
+     * @returns {Object|null} Transfer context
+     */
+    getTransferContext() {
+        return this.transferContext;
+    }
+
     /**
      * Get initial team value
      * @returns {number} Team value
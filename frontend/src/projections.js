@@ -0,0 +1,157 @@
+// ============================================================================
+// PROJECTIONS MODULE
+// Multi-gameweek expected points (xPts) for the planner, team builder and
+// replacement scoring. The model lives in shared/projections.js (also used by
+// the backend); this module feeds it the loaded bootstrap and fixtures and
+// memoizes the results.
+// ============================================================================
+
+import { fplBootstrap, fplFixtures, currentGW, getNextGameweek } from './data.js';
+import { getTeamGameweekFixtures } from './fixtures.js';
+import { memoizeWithDependency } from './utils/memoize.js';
+import {
+    createProjectionContext,
+    getExpectedGoalsConceded as getContextGoalsConceded,
+    getMinutesProfile as getContextMinutesProfile,
+    getAvailability,
+    projectPlayer as projectContextPlayer,
+    getPointsDistribution as getContextPointsDistribution,
+    DEFAULT_PROJECTION_HORIZON
+} from '../../shared/projections.js';
+
+export { DEFAULT_PROJECTION_HORIZON };
+
+/**
+ * @typedef {import('../../shared/projections.js').PlayerProjection} PlayerProjection
+ * @typedef {import('../../shared/projections.js').GameweekProjection} GameweekProjection
+ * @typedef {import('../../shared/projections.js').FixtureProjection} FixtureProjection
+ */
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+function getProjectionDependency() {
+    return `${currentGW || 0}-${fplBootstrap?.elements?.length || 0}-${fplFixtures?.length || 0}`;
+}
+
+const getProjectionContext = memoizeWithDependency(
+    () => createProjectionContext(fplBootstrap?.teams || [], currentGW),
+    getProjectionDependency,
+    { keyGenerator: () => 'context' }
+);
+
+/**
+ * Expected goals a team concedes against an opponent
+ * @param {number} teamId - Defending team ID
+ * @param {number} opponentId - Attacking team ID
+ * @param {boolean} isHome - True if the defending team is at home
+ * @returns {number} Expected goals conceded
+ */
+export function getExpectedGoalsConceded(teamId, opponentId, isHome) {
+    return getContextGoalsConceded(getProjectionContext(), teamId, opponentId, isHome);
+}
+
+/**
+ * Clean sheet probability for a team against an opponent (Poisson P(0 conceded))
+ * @param {number} teamId - Team ID
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - True if team is at home
+ * @returns {number} Probability between 0 and 1
+ */
+export function getCleanSheetProbability(teamId, opponentId, isHome) {
+    return Math.exp(-getExpectedGoalsConceded(teamId, opponentId, isHome));
+}
+
+/**
+ * Minutes profile derived from season starts and minutes
+ * @param {Object} player - Player object
+ * @returns {{startProb: number, cameoProb: number, minutesPer90: number}} Minutes likelihood
+ */
+export function getMinutesProfile(player) {
+    return getContextMinutesProfile(player, currentGW);
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Get the first gameweek that has not kicked off yet
+ * @returns {number} Gameweek number
+ */
+export function getProjectionStartGW() {
+    return getNextGameweek() || (currentGW || 0) + 1;
+}
+
+const memoizedProjectPlayer = memoizeWithDependency(
+    (player, horizon, startGW) => projectContextPlayer(getProjectionContext(), player, getTeamGameweekFixtures, startGW, horizon),
+    getProjectionDependency,
+    {
+        maxSize: 5000,
+        keyGenerator: (player, horizon, startGW) => `${player.id}-${horizon}-${startGW}`
+    }
+);
+
+/**
+ * Project a player's expected points for each of the next N gameweeks
+ * @param {Object} player - Player object
+ * @param {number} [horizon=5] - Number of gameweeks to project
+ * @param {number} [startGW] - First gameweek (defaults to next unplayed GW)
+ * @returns {PlayerProjection} Per-gameweek projection
+ * @example
+ * projectPlayer(salah, 5).gameweeks.map(g => g.xPts) // [6.1, 5.4, 0, 11.2, 5.8]
+ */
+export function projectPlayer(player, horizon = DEFAULT_PROJECTION_HORIZON, startGW = getProjectionStartGW()) {
+    if (!player) {
+        return { playerId: null, startGW, horizon, total: 0, gameweeks: [] };
+    }
+    return memoizedProjectPlayer(player, horizon, startGW);
+}
+
+/**
+ * Total projected points for a player over a horizon
+ * @param {Object} player - Player object
+ * @param {number} [horizon=5] - Number of gameweeks
+ * @param {number} [startGW] - First gameweek
+ * @returns {number} Sum of xPts
+ */
+export function getProjectedPoints(player, horizon = DEFAULT_PROJECTION_HORIZON, startGW = getProjectionStartGW()) {
+    return projectPlayer(player, horizon, startGW).total;
+}
+
+/**
+ * Projected points for a player in a single gameweek
+ * @param {Object} player - Player object
+ * @param {number} gameweek - Gameweek number
+ * @returns {number} xPts for that gameweek (0 for a blank)
+ */
+export function getProjectedPointsForGameweek(player, gameweek) {
+    return projectPlayer(player, 1, gameweek).total;
+}
+
+// ============================================================================
+// POINTS DISTRIBUTION
+// ============================================================================
+
+/**
+ * Probability of each points total for a player in one gameweek
+ * Double gameweeks combine both fixtures; a blank is certain to score 0.
+ * @param {Object} player - Player object
+ * @param {number} gameweek - Gameweek number
+ * @returns {number[]} Probability indexed by points (before any captain multiplier)
+ * @example
+ * const pmf = getPointsDistribution(salah, 12);
+ * const haulProb = pmf.slice(10).reduce((a, b) => a + b, 0);
+ */
+export function getPointsDistribution(player, gameweek) {
+    if (!player) return [1];
+
+    const offset = Math.max(0, gameweek - getProjectionStartGW());
+    return getContextPointsDistribution(
+        getProjectionContext(),
+        player,
+        getTeamGameweekFixtures(player.team, gameweek),
+        getAvailability(player, offset)
+    );
+}
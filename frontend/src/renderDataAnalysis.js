@@ -65,6 +65,7 @@ import { renderChartsSkeleton, initializeChartsTab } from './dataAnalysis/charts
 import { renderTeamOverview as renderTeamOverviewModule, initializeTeamOverviewChart, cleanupTeamOverviewChart } from './dataAnalysis/teamOverview.js';
 import { getMyPlayerIdSet } from './utils/myPlayers.js';
 import { isWishlisted } from './wishlist/store.js';
+import { renderCompareButton } from './compare/compareButton.js';
 import { buildManagerSnapshot } from './aiManagerSnapshot.js';
 import { getSegmentedControlStyles } from './styles/mobileDesignSystem.js';
 
@@ -988,6 +989,7 @@ function renderPositionSpecificTableMobile(players, contextColumn = 'total') {
                         <div style="display: flex; align-items: center; gap: 0.3rem;">
                             <span style="font-size: 0.6rem; color: var(--text-secondary);">${getPositionShort(player)}</span>
                             <strong style="font-size: 0.7rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(player.web_name)}</strong>${playerBadges}
+                            ${renderCompareButton(player.id)}
                         </div>
                         <!-- Line 2: Team • Price • Own% • Form -->
                         <div style="font-size: 0.6rem; color: var(--text-secondary); white-space: nowrap;">
@@ -1365,6 +1367,7 @@ async function loadAIInsightsForTab(tab, position) {
     const topPerformers = sortPlayers(filteredPlayers, 'total_points', false)
         .slice(0, 15)
         .map(p => ({
+            id: p.id,
             name: p.web_name,
             position: getPositionShort(p),
             points: p.total_points,
@@ -1384,6 +1387,7 @@ async function loadAIInsightsForTab(tab, position) {
         })
         .slice(0, 15)
         .map(p => ({
+            id: p.id,
             name: p.web_name,
             position: getPositionShort(p),
             ownership: parseFloat(p.selected_by_percent) || 0,
@@ -1400,6 +1404,7 @@ async function loadAIInsightsForTab(tab, position) {
         })
         .slice(0, 15)
         .map(p => ({
+            id: p.id,
             name: p.web_name,
             position: getPositionShort(p),
             ownership: parseFloat(p.selected_by_percent) || 0,
@@ -1415,6 +1420,7 @@ async function loadAIInsightsForTab(tab, position) {
     const transferTargets = sortPlayers(bestValue, 'ppm', false)
         .slice(0, 15)
         .map(p => ({
+            id: p.id,
             name: p.web_name,
             position: getPositionShort(p),
             ppm: calculatePPM(p),
@@ -1425,8 +1431,16 @@ async function loadAIInsightsForTab(tab, position) {
         }));
 
     // 5. Team Analysis: Teams with best/worst fixtures in next 5 games
-    const teamsWithBestFixtures = getTeamsWithBestFixtures(10, 5);
-    const teamsWithWorstFixtures = getTeamsWithWorstFixtures(10, 5);
+    // Teams go in by teamId so their ids can't be mistaken for player ids
+    const toTeamEntry = ({ team, avgDifficulty, rating }) => ({
+        teamId: team.id,
+        name: team.name,
+        shortName: team.short_name,
+        avgDifficulty,
+        rating
+    });
+    const teamsWithBestFixtures = getTeamsWithBestFixtures(10, 5).map(toTeamEntry);
+    const teamsWithWorstFixtures = getTeamsWithWorstFixtures(10, 5).map(toTeamEntry);
 
     const contextData = {
         overview: {
@@ -23,6 +23,9 @@ import {
     getFixtures
 } from './fixtures.js';
 
+import { getPricePrediction } from './data.js';
+import { renderCompareButton } from './compare/compareButton.js';
+
 import {
     analyzePlayerRisks,
     renderRiskTooltip,
@@ -129,8 +132,10 @@ export function renderPlayerTable(players, fixtureMode = 'next5', myTeamPlayerId
             <tr style="background: ${hasHighSeverity ? 'rgba(220, 38, 38, 0.05)' : rowBg}; border-bottom: 1px solid var(--border-color);">
                 <td style="padding: 0.75rem 1rem; position: relative;">
                     <strong>${escapeHtml(player.web_name)}</strong>
+                    ${renderPriceChangeIndicator(player.id)}
                     ${riskTooltip ? `<span style="margin-left: 0.5rem;">${riskTooltip}</span>` : ''}
                     ${isInMyTeam ? ' <span style="color: #8b5cf6; font-size: 0.75rem;">⭐</span>' : ''}
+                    ${renderCompareButton(player.id)}
                 </td>
                 <td style="padding: 0.75rem 1rem;">${getTeamShortName(player.team)}</td>
                 <td style="padding: 0.75rem 1rem; text-align: center;">${player.minutes || 0}</td>
@@ -197,3 +202,30 @@ export function attachRiskTooltipListeners() {
         });
     }, 100);
 }
+
+// ============================================================================
+// PRICE CHANGE INDICATOR
+// ============================================================================
+
+/**
+ * Render a rise/fall-tonight indicator for a player
+ * Shows nothing unless a price change is predicted at the next update.
+ * @param {number} playerId - Player ID
+ * @returns {string} HTML string (empty if no change predicted)
+ */
+export function renderPriceChangeIndicator(playerId) {
+    const prediction = getPricePrediction(playerId);
+    if (!prediction?.prediction) return '';
+
+    const isRise = prediction.prediction === 'rise';
+    const probability = Math.round((isRise ? prediction.riseProbability : prediction.fallProbability) * 100);
+    const color = isRise ? '#22c55e' : '#ef4444';
+
+    return `
+        <span
+            class="price-change-indicator"
+            title="Predicted to ${isRise ? 'rise' : 'fall'} tonight (${probability}% • ${Math.round(Math.abs(prediction.progress) * 100)}% to threshold)"
+            style="margin-left: 0.25rem; font-size: 0.7rem; font-weight: 700; color: ${color}; white-space: nowrap;"
+        >${isRise ? '▲' : '▼'}${probability}%</span>
+    `;
+}
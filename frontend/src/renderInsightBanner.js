@@ -5,6 +5,9 @@
 
 import { aiInsights } from './aiInsights.js';
 import { escapeHtml } from './utils.js';
+import { getPlayerById } from './data.js';
+import { showPlayerModal } from './myTeam/compact/playerModal.js';
+import { isPlannerAction, applyInsightAction } from './planner/insightActions.js';
 import { getShadow, getAnimationCurve, getAnimationDuration, getMobileBorderRadius } from './styles/mobileDesignSystem.js';
 
 /**
@@ -160,9 +163,100 @@ export function renderInsightBannerError(message, contextId) {
     `;
 }
 
+/** Bullet colour per insight severity */
+const SEVERITY_COLORS = {
+    high: '#ef4444',
+    medium: '#fb923c',
+    low: 'var(--accent-color)'
+};
+
+/**
+ * Render insight text with referenced players as links to their player modal
+ * Players the text doesn't name are listed after it.
+ * @param {Object} insight - Structured insight
+ * @returns {string} HTML string
+ */
+function renderInsightText(insight) {
+    const text = escapeHtml(insight.text);
+    const players = (insight.playerIds || [])
+        .map(id => ({ id, name: getPlayerById(id)?.web_name }))
+        .filter(player => player.name);
+
+    const renderLink = (player, label) => `<a
+        href="#"
+        class="ai-insight-player-link"
+        data-player-id="${player.id}"
+        style="color: var(--accent-color); font-weight: 600; text-decoration: none; border-bottom: 1px dotted currentColor;"
+    >${label}</a>`;
+
+    const named = players.filter(player => text.includes(escapeHtml(player.name)));
+    const unnamed = players.filter(player => !named.includes(player));
+
+    let html = text;
+    if (named.length > 0) {
+        const byName = new Map(named.map(player => [escapeHtml(player.name), player]));
+        const pattern = new RegExp([...byName.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|'), 'g');
+        html = text.replace(pattern, match => renderLink(byName.get(match), match));
+    }
+
+    if (unnamed.length > 0) {
+        html += ` <span style="color: var(--text-secondary); font-size: 0.85em;">(${unnamed.map(player => renderLink(player, escapeHtml(player.name))).join(', ')})</span>`;
+    }
+
+    return html;
+}
+
+/**
+ * Render an insight's suggested action
+ * Transfers, sells and buys get a button that applies them in the planner.
+ * @param {Object|null} action - Insight action
+ * @param {boolean} isMobile - Whether viewing on mobile device
+ * @returns {string} HTML string
+ */
+function renderInsightAction(action, isMobile = false) {
+    if (!action?.label) return '';
+
+    if (!isPlannerAction(action)) {
+        return `
+            <div style="margin-top: 0.25rem; font-size: ${isMobile ? '0.7rem' : '0.8rem'}; color: var(--text-secondary);">
+                → ${escapeHtml(action.label)}
+            </div>
+        `;
+    }
+
+    const ids = ['playerId', 'outId', 'inId']
+        .filter(key => Number.isInteger(action[key]))
+        .map(key => `data-${key.replace('Id', '-id')}="${action[key]}"`)
+        .join(' ');
+
+    return `
+        <button
+            class="ai-insight-action-btn"
+            data-action-type="${action.type}"
+            ${ids}
+            style="
+                margin-top: 0.35rem;
+                padding: ${isMobile ? '0.2rem 0.5rem' : '0.25rem 0.65rem'};
+                background: transparent;
+                color: var(--accent-color);
+                border: 1px solid var(--accent-color);
+                border-radius: 999px;
+                cursor: pointer;
+                font-size: ${isMobile ? '0.7rem' : '0.75rem'};
+                font-weight: 600;
+            "
+        >
+            <i class="fas fa-exchange-alt"></i> ${escapeHtml(action.label)} in planner
+        </button>
+    `;
+}
+
 /**
  * Render a category's insights as bullet points
- * @param {Array<string>} insights - Array of insight strings
+ * @param {Array<Object|string>} insights - Structured insights (older cached insights are strings)
  * @param {boolean} isMobile - Whether viewing on mobile device
  * @returns {string} HTML string
  */
@@ -181,8 +275,19 @@ function renderCategoryInsights(insights, isMobile = false) {
             padding: 0;
             margin: 0;
         ">
-            ${insights.map(insight => `
-                <li style="
+            ${insights.map(insight => {
+                const structured = typeof insight === 'object' && insight !== null;
+                const bulletColor = structured ? (SEVERITY_COLORS[insight.severity] || SEVERITY_COLORS.low) : 'var(--accent-color)';
+                const sources = structured && insight.metrics?.length > 0
+                    ? insight.metrics.map(metric => `${metric.field}: ${metric.value}`).join(' • ')
+                    : '';
+
+                return `
+                <li
+                    class="ai-insight-item"
+                    ${structured ? `data-insight-type="${escapeHtml(insight.type)}" data-severity="${escapeHtml(insight.severity)}"` : ''}
+                    ${sources ? `title="${escapeHtml(sources)}"` : ''}
+                    style="
                     margin-bottom: ${marginBottom};
                     padding-left: ${paddingLeft};
                     position: relative;
@@ -193,16 +298,25 @@ function renderCategoryInsights(insights, isMobile = false) {
                     <span style="
                         position: absolute;
                         left: 0;
-                        color: var(--accent-color);
+                        color: ${bulletColor};
                         font-weight: 700;
                     ">•</span>
-                    ${escapeHtml(insight)}
+                    ${structured ? renderInsightText(insight) : escapeHtml(insight)}
+                    ${structured ? renderInsightAction(insight.action, isMobile) : ''}
                 </li>
-            `).join('')}
+            `;
+            }).join('')}
         </ul>
     `;
 }
 
+/** Footer credit per backend insight provider (older cached insights have none) */
+const PROVIDER_LABELS = {
+    gemini: 'Powered by Gemini AI',
+    openai: 'Powered by AI',
+    rules: 'Rule-based insights'
+};
+
 /**
  * Render AI insights banner with tabbed categories
  * @param {Object} insights - Insights data from API
@@ -220,6 +334,7 @@ export function renderInsightBanner(insights, contextId, isMobile = false, optio
     }
 
     const timestamp = new Date(insights.timestamp).toLocaleTimeString();
+    const poweredBy = PROVIDER_LABELS[insights.provider] || PROVIDER_LABELS.gemini;
     const categoryKeys = Object.keys(insights.categories);
     const orderedCategories = preferredCategory && categoryKeys.includes(preferredCategory)
         ? [preferredCategory, ...categoryKeys.filter(key => key !== preferredCategory)]
@@ -370,7 +485,7 @@ export function renderInsightBanner(insights, contextId, isMobile = false, optio
                 border-top: 1px solid var(--border-color);
             ">
                 Generated: ${timestamp} • Refreshes at 5am & 5pm UTC •
-                <span style="opacity: 0.7;">Powered by Gemini AI</span>
+                <span style="opacity: 0.7;">${poweredBy}</span>
             </div>
         </div>
     `;
@@ -421,6 +536,29 @@ export function attachInsightBannerListeners(contextId, { onRetry, onRegenerate
         });
     }
 
+    // Referenced players open their player modal; actions apply in the planner
+    const banner = document.getElementById(`ai-insights-${contextId}`);
+    if (banner) {
+        banner.querySelectorAll('.ai-insight-player-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                showPlayerModal(parseInt(link.dataset.playerId));
+            });
+        });
+
+        banner.querySelectorAll('.ai-insight-action-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const toId = value => (value ? parseInt(value) : undefined);
+                applyInsightAction({
+                    type: btn.dataset.actionType,
+                    playerId: toId(btn.dataset.playerId),
+                    outId: toId(btn.dataset.outId),
+                    inId: toId(btn.dataset.inId)
+                });
+            });
+        });
+    }
+
     // Attach tab switching listeners
     const tabBtns = document.querySelectorAll(`.ai-insight-tab-btn[data-context="${contextId}"]`);
     if (tabBtns.length > 0) {
@@ -9,7 +9,6 @@ import {
     loadLeagueStandings,
     fplFixtures as getFixturesData,
     fplBootstrap as getBootstrapData,
-    loadEnrichedBootstrap,
     isGameweekLive,
     getActiveGW,
     startAutoRefresh,
@@ -137,6 +136,8 @@ import {
 
 import { loadAndRenderInsights } from './renderInsightBanner.js';
 import { buildMyTeamInsightsContext } from './aiManagerSnapshot.js';
+import { renderLiveFeedPanel, attachLiveFeedListeners } from './liveFeed/liveFeedPanel.js';
+import { renderCaptaincyPanel, attachCaptaincyListeners } from './myTeam/captaincyPanel.js';
 
 // ============================================================================
 // MY TEAM PAGE
@@ -157,7 +158,8 @@ let myTeamState = {
     autoRefreshStarted: false // Track if auto-refresh has been started
 };
 
-let teamDataRefreshCount = 0; // Track refresh cycles for periodic team data refresh
+let lastTeamDataRefresh = 0; // Timestamp of last periodic team data refresh
+const TEAM_DATA_REFRESH_INTERVAL = 6 * 60 * 1000;
 
 /**
  * Setup auto-refresh for Team page during live GW
@@ -173,23 +175,12 @@ function setupTeamAutoRefresh() {
         setTimeout(() => {
             const stillLive = isGameweekLive(getActiveGW());
             if (stillLive) {
-                teamDataRefreshCount = 0;
+                lastTeamDataRefresh = Date.now();
                 startAutoRefresh(async () => {
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/f0cf0c26-f8c1-4bff-8dcd-6a0e660bef29',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'renderMyTeam.js:174',message:'Team page auto-refresh callback started',data:{teamDataRefreshCount,cycleNumber:teamDataRefreshCount + 1},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
-                    // #endregion
-
-                    // Refresh enriched bootstrap every 2 min
-                    await loadEnrichedBootstrap(true);
-
-                    // #region agent log
-                    fetch('http://127.0.0.1:7242/ingest/f0cf0c26-f8c1-4bff-8dcd-6a0e660bef29',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'renderMyTeam.js:177',message:'Enriched bootstrap refreshed in team auto-refresh',data:{teamDataRefreshCount},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'E'})}).catch(()=>{});
-                    // #endregion
-
-                    // Refresh team data every 3rd cycle (every 6 min)
-                    teamDataRefreshCount++;
-                    if (teamDataRefreshCount >= 3) {
-                        teamDataRefreshCount = 0;
+                    // Live stats arrive via the event stream (or polling fallback) -
+                    // refresh team data at most every 6 min
+                    if (Date.now() - lastTeamDataRefresh >= TEAM_DATA_REFRESH_INTERVAL) {
+                        lastTeamDataRefresh = Date.now();
                         const teamId = localStorage.getItem('fplanner_team_id');
                         if (teamId) {
                             console.log('🔄 Refreshing team data...');
@@ -702,6 +693,11 @@ export async function renderMyTeam(teamData, subTab = 'overview') {
     }
     attachRiskTooltipListeners();
 
+    if (subTab === 'overview') {
+        attachLiveFeedListeners();
+        attachCaptaincyListeners();
+    }
+
     // Attach player modal listeners for desktop table rows
     if (!useMobile) {
         requestAnimationFrame(() => {
@@ -938,6 +934,8 @@ async function renderTeamOverviewTab(teamData) {
                     </div>
                     <div id="my-team-ai-insights-container" style="display: none; margin-top: 0.5rem;"></div>
                 </div>
+                ${renderLiveFeedPanel()}
+                ${renderCaptaincyPanel(teamData)}
                 ${bubbleFormationHTML}
                 ${renderCompactTeamList(allPlayers, gameweek, isLive)}
                 ${renderMatchSchedule(allPlayers, gameweek)}
@@ -954,8 +952,12 @@ async function renderTeamOverviewTab(teamData) {
                 ${renderTeamSummary(allPlayers, gameweek, picks.entry_history)}
             </div>
 
+            ${renderLiveFeedPanel()}
+
             ${problemPlayersSection}
 
+            ${renderCaptaincyPanel(teamData)}
+
             <div class="mb-8">
                 ${renderTeamTable(allPlayers, gameweek)}
             </div>
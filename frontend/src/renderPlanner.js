@@ -5,6 +5,7 @@
 
 import {
     loadMyTeam,
+    loadTransferHistory,
     getPlayerById,
     getAllPlayers,
     getActiveGW,
@@ -15,6 +16,8 @@ import {
 import { analyzePlayerRisks, hasHighRisk, hasMediumRisk } from './risk.js';
 import { getMyPlayerIdSet } from './utils/myPlayers.js';
 import { getFixtures, calculateFixtureDifficulty } from './fixtures.js';
+import { getFDRPerspective } from './fdr/model.js';
+import { renderCompareButton } from './compare/compareButton.js';
 import {
     getPositionShort,
     formatCurrency,
@@ -35,6 +38,8 @@ import { renderMetricIndicators } from './planner/indicators.js';
 import { renderCostSummary, getCurrentCostSummary } from './planner/costCalculator.js';
 import { attachPlannerListeners } from './planner/eventHandlers.js';
 import { getLeagueComparisonMetrics } from './planner/leagueComparison.js';
+import { renderSnapshotSection } from './planner/snapshots.js';
+import { buildTransferContext } from './transferHistory.js';
 import { getWishlistPlayers } from './wishlist/store.js';
 import { getGuillotinePlayers } from './guillotine/store.js';
 
@@ -105,6 +110,15 @@ export async function renderPlanner() {
         const value = teamData.picks.entry_history?.value || 1000;
         plannerState.initialize(myPlayers, picks, bank, value);
 
+        // Banked FTs and selling prices from transfer history (optional, loaded once per team)
+        if (!plannerState.getTransferContext()) {
+            const transfers = await loadTransferHistory(teamId).catch(err => {
+                console.warn('Planner transfer history unavailable:', err.message || err);
+                return [];
+            });
+            plannerState.setTransferContext(buildTransferContext(teamData, transfers));
+        }
+
         // Get current squad (with changes applied)
         const currentSquad = plannerState.getCurrentSquad();
         const currentPlayers = currentSquad.map(pick => {
@@ -155,6 +169,7 @@ export async function renderPlanner() {
                 ${renderPlannerHeader(gwNumber, highCount, mediumCount, lowCount)}
                 ${renderMetricIndicators(originalMetrics, projectedMetrics, leagueComparison)}
                 ${renderCostSummary(costSummary)}
+                ${renderSnapshotSection(gwNumber)}
                 ${renderGuillotineSection(guillotineEntries, gwNumber)}
                 ${renderWishlistSection(wishlistEntries, gwNumber)}
                 ${renderUnifiedFixtureTable(currentPlayers, riskPlayerMap, teamData.picks, gwNumber)}
@@ -232,8 +247,8 @@ function renderWishlistSection(entries = [], gwNumber = currentGW) {
 
     const rows = entries.map(({ player, addedAt }) => {
         const position = getPositionShort(player);
-        const nextFixtures = getFixtures(player.team, 5, false);
-        const avgFDR = calculateFixtureDifficulty(player.team, 5).toFixed(1);
+        const nextFixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
+        const avgFDR = calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type)).toFixed(1);
         const avgFDRValue = parseFloat(avgFDR);
         const addedDate = addedAt ? new Date(addedAt) : null;
         const addedText = addedDate
@@ -290,6 +305,7 @@ function renderWishlistSection(entries = [], gwNumber = currentGW) {
                         <div style="display: flex; align-items: center; gap: 0.3rem;">
                             <span style="font-size: 0.6rem; color: var(--text-secondary);">${position}</span>
                             <strong style="font-size: 0.75rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(player.web_name)}</strong>${badgeMarkup}
+                            ${renderCompareButton(player.id)}
                         </div>
                         <!-- Line 2: Team • Price • Own% • Form -->
                         <div style="font-size: 0.6rem; color: var(--text-secondary); white-space: nowrap;">
@@ -383,8 +399,8 @@ function renderGuillotineSection(entries = [], gwNumber = currentGW) {
 
     const rows = entries.map(({ player, addedAt }) => {
         const position = getPositionShort(player);
-        const nextFixtures = getFixtures(player.team, 5, false);
-        const avgFDR = calculateFixtureDifficulty(player.team, 5).toFixed(1);
+        const nextFixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
+        const avgFDR = calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type)).toFixed(1);
         const avgFDRValue = parseFloat(avgFDR);
         const addedDate = addedAt ? new Date(addedAt) : null;
         const addedText = addedDate
@@ -439,6 +455,7 @@ function renderGuillotineSection(entries = [], gwNumber = currentGW) {
                         <div style="display: flex; align-items: center; gap: 0.3rem;">
                             <span style="font-size: 0.6rem; color: var(--text-secondary);">${position}</span>
                             <strong style="font-size: 0.75rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(player.web_name)}</strong>${badgeMarkup}
+                            ${renderCompareButton(player.id)}
                         </div>
                         <!-- Line 2: Team • Price • Own% • Form -->
                         <div style="font-size: 0.6rem; color: var(--text-secondary); white-space: nowrap;">
@@ -530,6 +547,38 @@ function renderPlannerHeader(gwNumber, highCount, mediumCount, lowCount) {
                         ` : ''}
                     </p>
                 </div>
+                <div style="display: flex; gap: 0.35rem;">
+                    <button
+                        id="planner-threats-btn"
+                        style="
+                            padding: 0.4rem 0.75rem;
+                            background: var(--bg-secondary);
+                            color: var(--text-primary);
+                            border: 1px solid var(--border-color);
+                            border-radius: 6px;
+                            font-size: 0.75rem;
+                            font-weight: 600;
+                            cursor: pointer;
+                        "
+                    >
+                        <i class="fas fa-crosshairs" style="margin-right: 0.35rem;"></i>Threats
+                    </button>
+                    <button
+                        id="planner-ticker-btn"
+                        style="
+                            padding: 0.4rem 0.75rem;
+                            background: var(--bg-secondary);
+                            color: var(--text-primary);
+                            border: 1px solid var(--border-color);
+                            border-radius: 6px;
+                            font-size: 0.75rem;
+                            font-weight: 600;
+                            cursor: pointer;
+                        "
+                    >
+                        <i class="fas fa-th" style="margin-right: 0.35rem;"></i>Fixture Ticker
+                    </button>
+                </div>
             </div>
         </div>
     `;
@@ -545,8 +594,8 @@ function renderUnifiedFixtureTable(myPlayers, riskPlayerMap, picks, gwNumber) {
     // Sort by position then by fixture difficulty
     const sortedPlayers = [...myPlayers].sort((a, b) => {
         if (a.element_type !== b.element_type) return a.element_type - b.element_type;
-        const aFDR = calculateFixtureDifficulty(a.team, 5);
-        const bFDR = calculateFixtureDifficulty(b.team, 5);
+        const aFDR = calculateFixtureDifficulty(a.team, 5, getFDRPerspective(a.element_type));
+        const bFDR = calculateFixtureDifficulty(b.team, 5, getFDRPerspective(b.element_type));
         return aFDR - bFDR;
     });
 
@@ -579,8 +628,8 @@ function renderUnifiedFixtureTable(myPlayers, riskPlayerMap, picks, gwNumber) {
                             else if (severity === 'medium') borderColor = 'var(--warning-color)';
                             else if (severity === 'low') borderColor = '#eab308';
 
-                            const next5Fixtures = getFixtures(player.team, 5, false);
-                            const avgFDR = calculateFixtureDifficulty(player.team, 5);
+                            const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
+                            const avgFDR = calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type));
                             const formHeatmap = getFormHeatmap(player.form);
                             const formStyle = getHeatmapStyle(formHeatmap);
                             const rowBg = idx % 2 === 0 ? 'var(--bg-primary)' : 'var(--bg-secondary)';
@@ -603,6 +652,7 @@ function renderUnifiedFixtureTable(myPlayers, riskPlayerMap, picks, gwNumber) {
                                         <div style="display: flex; align-items: center; gap: 0.3rem;">
                                             <span style="font-size: 0.6rem; color: var(--text-secondary);">${getPositionShort(player)}</span>
                                             <strong style="font-size: 0.7rem;">${escapeHtml(player.web_name)}</strong>
+                                            ${renderCompareButton(player.id)}
                                             ${isModified ? `
                                                 <button
                                                     class="player-reset-btn"
@@ -734,7 +784,7 @@ function renderProblemPlayersTable(problemPlayers, picks, next5GWs, gwNumber) {
     `;
 
     problemPlayers.forEach(({ player, risks }, idx) => {
-        const next5Fixtures = getFixtures(player.team, 5, false);
+        const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
         const formHeatmap = getFormHeatmap(player.form);
         const formStyle = getHeatmapStyle(formHeatmap);
         const primaryRisk = risks[0];
@@ -809,8 +859,8 @@ function renderFixtureTicker(myPlayers, gwNumber) {
     // Sort by position then by fixture difficulty
     const sortedPlayers = [...myPlayers].sort((a, b) => {
         if (a.element_type !== b.element_type) return a.element_type - b.element_type;
-        const aFDR = calculateFixtureDifficulty(a.team, 5);
-        const bFDR = calculateFixtureDifficulty(b.team, 5);
+        const aFDR = calculateFixtureDifficulty(a.team, 5, getFDRPerspective(a.element_type));
+        const bFDR = calculateFixtureDifficulty(b.team, 5, getFDRPerspective(b.element_type));
         return aFDR - bFDR;
     });
 
@@ -851,8 +901,8 @@ function renderFixtureTicker(myPlayers, gwNumber) {
                         </thead>
                         <tbody>
                             ${sortedPlayers.map((player, idx) => {
-                                const next5Fixtures = getFixtures(player.team, 5, false);
-                                const avgFDR = calculateFixtureDifficulty(player.team, 5);
+                                const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
+                                const avgFDR = calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type));
                                 const rowBg = idx % 2 === 0 ? 'var(--bg-primary)' : 'var(--bg-secondary)';
                                 const fdrColor = avgFDR <= 2.5 ? '#22c55e' : avgFDR <= 3.5 ? '#eab308' : '#ef4444';
 
@@ -917,7 +967,7 @@ function renderTransferTargets(myPlayers, picks, gwNumber) {
         if (player.element_type < 2) return; // Skip GKs for now
 
         const form = parseFloat(player.form) || 0;
-        const avgFDR = calculateFixtureDifficulty(player.team, 5);
+        const avgFDR = calculateFixtureDifficulty(player.team, 5, getFDRPerspective(player.element_type));
         const ppm = calculatePPM(player);
 
         // Score based on form, fixtures, and value
@@ -993,7 +1043,7 @@ function renderTransferTargets(myPlayers, picks, gwNumber) {
                         </thead>
                         <tbody>
                             ${allTargets.map(({ player, avgFDR }, idx) => {
-                                const next5Fixtures = getFixtures(player.team, 5, false);
+                                const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
                                 const formHeatmap = getFormHeatmap(player.form);
                                 const formStyle = getHeatmapStyle(formHeatmap);
                                 const rowBg = idx % 2 === 0 ? 'var(--bg-primary)' : 'var(--bg-secondary)';
@@ -42,6 +42,13 @@ import {
 
 import { sharedState } from './sharedState.js';
 
+import {
+    isRivalFollowed,
+    toggleFollowedRival,
+    updateFollowedRivalPicks,
+    MAX_FOLLOWED_RIVALS
+} from './liveFeed/store.js';
+
 // State for rival team page
 let rivalTeamState = {
     teamData: null,
@@ -188,10 +195,61 @@ function renderRivalTeamView(teamData) {
 
     container.innerHTML = html;
 
+    // Keep followed rivals' picks current for the live feed
+    updateFollowedRivalPicks(teamData);
+
     // Attach event listeners for player rows and transfers
     requestAnimationFrame(() => {
         attachPlayerRowListeners(rivalTeamState);
         attachRivalTransferListeners();
+        attachFollowRivalListener(teamData);
+    });
+}
+
+/**
+ * Render the follow toggle (followed rivals' players appear in the live feed)
+ * @param {number} entryId - Rival entry ID
+ * @returns {string} HTML for button
+ */
+function renderFollowRivalButton(entryId) {
+    const followed = isRivalFollowed(entryId);
+    return `
+        <button
+            id="rival-follow-btn"
+            title="${followed ? 'Stop following in live feed' : 'Follow in live feed'}"
+            style="
+                background: ${followed ? 'var(--primary-color)' : 'var(--bg-tertiary)'};
+                color: ${followed ? 'white' : 'var(--text-secondary)'};
+                border: none;
+                border-radius: 0.3rem;
+                padding: 0.2rem 0.5rem;
+                font-size: 0.65rem;
+                font-weight: 600;
+                cursor: pointer;
+                white-space: nowrap;
+            "
+        >
+            <i class="fas ${followed ? 'fa-check' : 'fa-plus'}"></i> ${followed ? 'Following' : 'Follow'}
+        </button>
+    `;
+}
+
+/**
+ * Attach follow toggle listener
+ * @param {Object} teamData - Rival team data
+ */
+function attachFollowRivalListener(teamData) {
+    const button = document.getElementById('rival-follow-btn');
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+        const followed = toggleFollowedRival(teamData);
+        if (followed === null) {
+            button.title = `You can follow at most ${MAX_FOLLOWED_RIVALS} rivals`;
+            return;
+        }
+        button.outerHTML = renderFollowRivalButton(teamData.team.id);
+        attachFollowRivalListener(teamData);
     });
 }
 
@@ -260,6 +318,7 @@ function renderRivalCompactHeader(teamData, gwNumber) {
                         <div style="font-size: 0.95rem; font-weight: 700; color: var(--text-primary); line-height: 1.2; flex: 1;">
                             ${escapeHtml(team.name)}
                         </div>
+                        ${renderFollowRivalButton(team.id)}
                     </div>
 
                     <div style="font-size: 0.7rem; color: var(--text-secondary);">
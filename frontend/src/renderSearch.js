@@ -4,9 +4,11 @@
 // ============================================================================
 
 import { getAllPlayers } from './data.js';
-import { sortPlayers, calculatePPM, getTeamName } from './utils.js';
+import { sortPlayers, calculatePPM, getTeamName, escapeHtml, debounce } from './utils.js';
 import { renderPlayerTable, attachRiskTooltipListeners } from './renderHelpers.js';
 import { fplBootstrap } from './data.js';
+import { QUERY_ALIASES, getQueryFields, parseQuery, matchesQuery } from './search/query.js';
+import { getSavedScreens, saveScreen, deleteScreen, getScreenShareUrl } from './search/screenStore.js';
 
 // ============================================================================
 // STATE
@@ -16,6 +18,10 @@ let currentPositionFilter = 'all';
 let currentSearchQuery = '';
 let advancedFiltersExpanded = false;
 
+// Expression filter (e.g. "pos:MID price<=7.5 xgi90>0.45")
+let currentExpression = '';
+let currentExpressionAst = null;
+
 // Advanced filter state
 let filters = {
     priceMin: 0,
@@ -39,10 +45,15 @@ let filters = {
 
 /**
  * Render the Search page with advanced filters
+ * @param {string|null} [initialExpression=null] - Expression filter to apply (from a shared screen link)
  */
-export function renderSearch() {
+export function renderSearch(initialExpression = null) {
     const container = document.getElementById('app-container');
 
+    if (initialExpression !== null) {
+        setExpression(initialExpression);
+    }
+
     // Get all teams for team filter dropdown
     const teams = fplBootstrap ? fplBootstrap.teams.sort((a, b) => a.name.localeCompare(b.name)) : [];
 
@@ -73,6 +84,45 @@ export function renderSearch() {
                 >
             </div>
 
+            <!-- Expression Filter -->
+            <div style="margin-bottom: 1.5rem;">
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <input
+                        type="text"
+                        id="player-query-input"
+                        value="${escapeHtml(currentExpression)}"
+                        placeholder="Filter expression, e.g. pos:MID price<=7.5 xgi90>0.45 (fdr5<2.8 OR own<10) minutes%>70"
+                        spellcheck="false"
+                        autocomplete="off"
+                        style="
+                            flex: 1;
+                            min-width: 240px;
+                            padding: 0.75rem 1rem;
+                            border: 2px solid var(--border-color);
+                            border-radius: 8px;
+                            font-size: 0.9rem;
+                            font-family: monospace;
+                            background: var(--bg-secondary);
+                            color: var(--text-primary);
+                        "
+                    >
+                    <button id="save-screen-btn" class="btn-filter" title="Save this expression as a named screen">
+                        <i class="fas fa-save"></i> Save
+                    </button>
+                    <button id="share-screen-btn" class="btn-filter" title="Copy a link that opens Search with this expression">
+                        <i class="fas fa-link"></i> Share
+                    </button>
+                </div>
+                <div id="player-query-errors"></div>
+                <details style="margin-top: 0.5rem; font-size: 0.8rem; color: var(--text-secondary);">
+                    <summary style="cursor: pointer;">Expression syntax</summary>
+                    ${renderQueryHelp()}
+                </details>
+                <div id="saved-screens" style="margin-top: 0.75rem;">
+                    ${renderSavedScreens()}
+                </div>
+            </div>
+
             <!-- Position Filter Buttons -->
             <div style="display: flex; gap: 0.5rem; margin-bottom: 1.5rem; flex-wrap: wrap;">
                 <button class="position-filter-btn btn-filter-active" data-position="all">All</button>
@@ -321,6 +371,179 @@ export function renderSearch() {
     `;
 
     attachEventListeners();
+    renderQueryErrors();
+
+    if (currentExpression) {
+        updateSearchResults();
+    }
+}
+
+// ============================================================================
+// EXPRESSION FILTER
+// ============================================================================
+
+/**
+ * Parse an expression and make it the active filter
+ * An expression with errors filters nothing until it is fixed.
+ * @param {string} expression - Query text
+ * @returns {Array} Parse errors
+ */
+function setExpression(expression) {
+    currentExpression = expression.trim();
+    const { ast, errors } = parseQuery(currentExpression, getQueryFields(getAllPlayers()));
+    currentExpressionAst = ast;
+    return errors;
+}
+
+function renderQueryHelp() {
+    return `
+        <div style="margin-top: 0.5rem; line-height: 1.6;">
+            <div>Write conditions as <code>field&lt;op&gt;value</code> with <code>: = != &lt; &lt;= &gt; &gt;=</code>.
+            Conditions side by side must all match; use <code>OR</code> and parentheses to group,
+            e.g. <code>pos:DEF (team:ARS OR team:LIV) price&lt;5</code>.</div>
+            <div>Any player field works (<code>goals_scored&gt;5</code>, <code>status:a</code>, <code>github_season.saves_per_90&gt;3</code>), plus:</div>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.25rem 1rem; margin-top: 0.25rem;">
+                ${Object.entries(QUERY_ALIASES).map(([name, { description }]) => `
+                    <span><code>${escapeHtml(name)}</code> ${escapeHtml(description)}</span>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show parse errors under the expression input, with bad tokens highlighted
+ */
+function renderQueryErrors() {
+    const container = document.getElementById('player-query-errors');
+    const input = document.getElementById('player-query-input');
+    if (!container) return;
+
+    const { errors } = parseQuery(currentExpression, getQueryFields(getAllPlayers()));
+    if (input) {
+        input.style.borderColor = errors.length > 0 ? 'var(--danger-color)' : 'var(--border-color)';
+    }
+
+    if (errors.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let highlighted = '';
+    let cursor = 0;
+    errors.forEach(error => {
+        if (error.start < cursor) return;
+        highlighted += escapeHtml(currentExpression.slice(cursor, error.start));
+        highlighted += `<span style="color: var(--danger-color); text-decoration: underline wavy;">${escapeHtml(currentExpression.slice(error.start, error.end))}</span>`;
+        cursor = error.end;
+    });
+    highlighted += escapeHtml(currentExpression.slice(cursor));
+
+    container.innerHTML = `
+        <div style="margin-top: 0.5rem; font-size: 0.8rem;">
+            <div style="font-family: monospace; color: var(--text-primary); margin-bottom: 0.25rem;">${highlighted}</div>
+            ${errors.map(error => `
+                <div style="color: var(--danger-color);"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}</div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderSavedScreens() {
+    const screens = getSavedScreens();
+    if (screens.length === 0) return '';
+
+    return `
+        <div style="display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center;">
+            <strong style="color: var(--text-primary); font-size: 0.85rem;">Saved screens:</strong>
+            ${screens.map(screen => `
+                <span style="display: inline-flex; align-items: center; border: 1px solid var(--border-color); border-radius: 1rem; overflow: hidden;">
+                    <button class="load-screen-btn" data-name="${escapeHtml(screen.name)}" title="${escapeHtml(screen.query)}" style="
+                        padding: 0.25rem 0.75rem; background: ${screen.query === currentExpression ? 'var(--primary-color)' : 'var(--bg-secondary)'};
+                        color: ${screen.query === currentExpression ? 'white' : 'var(--text-primary)'};
+                        border: none; cursor: pointer; font-size: 0.8rem; font-weight: 600;
+                    ">${escapeHtml(screen.name)}</button>
+                    <button class="delete-screen-btn" data-name="${escapeHtml(screen.name)}" title="Delete screen" style="
+                        padding: 0.25rem 0.5rem; background: var(--bg-secondary); color: var(--text-secondary);
+                        border: none; border-left: 1px solid var(--border-color); cursor: pointer; font-size: 0.75rem;
+                    "><i class="fas fa-times"></i></button>
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
+function rerenderSavedScreens() {
+    const container = document.getElementById('saved-screens');
+    if (!container) return;
+    container.innerHTML = renderSavedScreens();
+    attachSavedScreenListeners();
+}
+
+function applyExpressionInput() {
+    const input = document.getElementById('player-query-input');
+    setExpression(input?.value || '');
+    renderQueryErrors();
+    updateSearchResults();
+    rerenderSavedScreens();
+}
+
+function handleSaveScreen() {
+    const input = document.getElementById('player-query-input');
+    const expression = (input?.value || '').trim();
+    if (!expression) {
+        alert('Write an expression to save first');
+        return;
+    }
+    if (setExpression(expression).length > 0) {
+        renderQueryErrors();
+        alert('Fix the highlighted errors before saving');
+        return;
+    }
+
+    const existing = getSavedScreens().find(screen => screen.query === expression);
+    const name = prompt('Name this screen:', existing?.name || '');
+    if (name && saveScreen(name, expression)) {
+        rerenderSavedScreens();
+    }
+}
+
+async function handleShareScreen() {
+    const input = document.getElementById('player-query-input');
+    const expression = (input?.value || '').trim();
+    if (!expression) {
+        alert('Write an expression to share first');
+        return;
+    }
+
+    const url = getScreenShareUrl(expression);
+    try {
+        await navigator.clipboard.writeText(url);
+        alert('Screen link copied to clipboard');
+    } catch (clipboardErr) {
+        prompt('Copy this screen link:', url);
+    }
+}
+
+function attachSavedScreenListeners() {
+    document.querySelectorAll('.load-screen-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const screen = getSavedScreens().find(s => s.name === btn.dataset.name);
+            const input = document.getElementById('player-query-input');
+            if (!screen || !input) return;
+            input.value = screen.query;
+            applyExpressionInput();
+        });
+    });
+
+    document.querySelectorAll('.delete-screen-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (confirm(`Delete screen "${btn.dataset.name}"?`)) {
+                deleteScreen(btn.dataset.name);
+                rerenderSavedScreens();
+            }
+        });
+    });
 }
 
 // ============================================================================
@@ -337,6 +560,19 @@ function attachEventListeners() {
         searchInput.addEventListener('input', () => window.performPlayerSearch());
     }
 
+    // Expression filter (applied as you type)
+    const queryInput = document.getElementById('player-query-input');
+    if (queryInput) {
+        queryInput.addEventListener('input', debounce(applyExpressionInput, 400));
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') applyExpressionInput();
+        });
+    }
+
+    document.getElementById('save-screen-btn')?.addEventListener('click', handleSaveScreen);
+    document.getElementById('share-screen-btn')?.addEventListener('click', handleShareScreen);
+    attachSavedScreenListeners();
+
     // Position buttons
     const positionButtons = document.querySelectorAll('.position-filter-btn');
     positionButtons.forEach(btn => {
@@ -436,6 +672,8 @@ function clearAllFilters() {
     // Reset state
     currentPositionFilter = 'all';
     currentSearchQuery = '';
+    currentExpression = '';
+    currentExpressionAst = null;
     filters = {
         priceMin: 0,
         priceMax: 200,
@@ -514,6 +752,11 @@ function updateSearchResults() {
         });
     }
 
+    // Filter by expression
+    if (currentExpressionAst) {
+        players = players.filter(p => matchesQuery(currentExpressionAst, p));
+    }
+
     // Apply advanced filters
     players = players.filter(p => {
         // Price range
@@ -636,6 +879,11 @@ function displayActiveFilters(totalPlayers, filteredCount) {
         badges.push(`Search: "${currentSearchQuery}"`);
     }
 
+    // Expression
+    if (currentExpressionAst) {
+        badges.push(`Expression: ${escapeHtml(currentExpression)}`);
+    }
+
     // Price range
     if (filters.priceMin > 0 || filters.priceMax < 200) {
         badges.push(`Price: £${(filters.priceMin/10).toFixed(1)}m - £${(filters.priceMax/10).toFixed(1)}m`);
@@ -3,9 +3,10 @@
 // Multi-gameweek transfer planner with validation and auto-suggestions
 // ============================================================================
 
-import { loadMyTeam, currentGW } from './data.js';
+import { loadMyTeam, loadTransferHistory, currentGW } from './data.js';
 import { attachRiskTooltipListeners } from './renderHelpers.js';
-import { loadPlansFromStorage } from './teamBuilderHelpers.js';
+import { loadPlansFromStorage, applyTransferContext } from './teamBuilderHelpers.js';
+import { buildTransferContext } from './transferHistory.js';
 import { showWarningToast } from './pullToRefresh.js';
 
 // Team Builder modules - State & Logic
@@ -14,8 +15,11 @@ import {
     handleNewPlan,
     handleSavePlan,
     handleDeletePlan,
+    handleSharePlan,
+    handleSyncKey,
     initializePlansFromStorage
 } from './teamBuilder/planManager.js';
+import { syncPlansWithServer } from './teamBuilder/planSync.js';
 import {
     handleRemoveTransfer,
     openPlayerSelectModal
@@ -24,7 +28,17 @@ import {
     handleLoadSuggestions,
     handleApplySuggestion
 } from './teamBuilder/suggestionEngine.js';
-import { handleChipChange } from './teamBuilder/chipManager.js';
+import {
+    handleChipChange,
+    handleEvaluateChips,
+    handleSaveChipSchedule
+} from './teamBuilder/chipManager.js';
+import {
+    handleToggleLock,
+    handleAddLockIn,
+    handleRunOptimizer,
+    handleApplyOptimizedPlan
+} from './teamBuilder/optimizerManager.js';
 
 // Team Builder modules - Renderers
 import {
@@ -40,6 +54,8 @@ import {
     renderAutoSuggestions
 } from './teamBuilder/transferRenderers.js';
 import { renderProjectedSquad } from './teamBuilder/squadRenderers.js';
+import { renderOptimizerPanel } from './teamBuilder/optimizerRenderers.js';
+import { renderChipPlannerPanel } from './teamBuilder/chipRenderers.js';
 
 // Team Builder modules - Modals & Horizon
 import {
@@ -99,17 +115,28 @@ export async function renderTeamBuilder() {
     try {
         const currentTeamData = await loadMyTeam(cachedTeamId);
 
+        // Transfer history drives banked FTs and selling prices (optional)
+        const transfers = await loadTransferHistory(cachedTeamId).catch(err => {
+            console.warn('Transfer history unavailable, assuming 1 FT and current prices:', err.message);
+            return [];
+        });
+        const transferContext = buildTransferContext(currentTeamData, transfers);
+
         // Initialize state with team data
         teamBuilderState.setTeamData(currentTeamData);
+        teamBuilderState.setTransferContext(transferContext);
 
-        // Load saved plans from storage
-        const loadedPlans = loadPlansFromStorage();
+        // Load saved plans from storage, merged with plans saved on other devices
+        const loadedPlans = await syncPlansWithServer(cachedTeamId, loadPlansFromStorage());
 
         // Filter plans to match current team (in case user switched teams)
-        const validPlans = loadedPlans.filter(plan => {
-            // Check if plan's snapshot matches current team structure
-            return plan.currentTeamSnapshot.picks.length === 15;
-        });
+        const validPlans = loadedPlans
+            .filter(plan => {
+                // Check if plan's snapshot matches current team structure
+                return plan.currentTeamSnapshot.picks.length === 15;
+            })
+            // Plans starting at the next deadline pick up the latest banked FTs and selling prices
+            .map(plan => plan.startGW === currentGW + 1 ? applyTransferContext(plan, transferContext) : plan);
 
         // Initialize plans in state using the planManager module
         initializePlansFromStorage(validPlans);
@@ -201,6 +228,12 @@ export function renderTeamBuilderContent() {
             <!-- Projected Squad -->
             ${renderProjectedSquad(activePlan, activeGameweek)}
 
+            <!-- Transfer Optimizer -->
+            ${renderOptimizerPanel(activePlan)}
+
+            <!-- Chip Planner -->
+            ${renderChipPlannerPanel(activePlan)}
+
             <!-- Action Buttons -->
             ${renderActionButtons(activePlan)}
         </div>
@@ -281,6 +314,52 @@ function attachEventListeners() {
         });
     });
 
+    // Optimizer: lock toggles (squad rows and lock chips)
+    document.querySelectorAll('.lock-player-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            handleToggleLock(e, renderTeamBuilderContent);
+        });
+    });
+
+    // Optimizer: lock in a searched player
+    const lockInBtn = document.getElementById('optimizer-lock-in-btn');
+    if (lockInBtn) {
+        lockInBtn.addEventListener('click', () => {
+            handleAddLockIn(renderTeamBuilderContent);
+        });
+    }
+
+    // Optimizer: run search
+    const runOptimizerBtn = document.getElementById('run-optimizer-btn');
+    if (runOptimizerBtn) {
+        runOptimizerBtn.addEventListener('click', (e) => {
+            handleRunOptimizer(e, renderTeamBuilderContent);
+        });
+    }
+
+    // Optimizer: apply result into plan
+    document.querySelectorAll('.apply-optimized-plan-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            handleApplyOptimizedPlan(e, renderTeamBuilderContent);
+        });
+    });
+
+    // Chip planner: evaluate chip gains per gameweek
+    const evaluateChipsBtn = document.getElementById('evaluate-chips-btn');
+    if (evaluateChipsBtn) {
+        evaluateChipsBtn.addEventListener('click', (e) => {
+            handleEvaluateChips(e, renderTeamBuilderContent);
+        });
+    }
+
+    // Chip planner: save recommended schedule into plan
+    const saveChipScheduleBtn = document.getElementById('save-chip-schedule-btn');
+    if (saveChipScheduleBtn) {
+        saveChipScheduleBtn.addEventListener('click', () => {
+            handleSaveChipSchedule(renderTeamBuilderContent);
+        });
+    }
+
     // Planning horizon select
     const horizonSelect = document.getElementById('planning-horizon-select');
     if (horizonSelect) {
@@ -297,6 +376,22 @@ function attachEventListeners() {
         });
     }
 
+    // Share plan button
+    const sharePlanBtn = document.getElementById('share-plan-btn');
+    if (sharePlanBtn) {
+        sharePlanBtn.addEventListener('click', (e) => {
+            handleSharePlan(e);
+        });
+    }
+
+    // Sync key button
+    const syncKeyBtn = document.getElementById('sync-key-btn');
+    if (syncKeyBtn) {
+        syncKeyBtn.addEventListener('click', () => {
+            handleSyncKey(renderTeamBuilderContent);
+        });
+    }
+
     // Delete plan button
     const deletePlanBtn = document.getElementById('delete-plan-btn');
     if (deletePlanBtn) {
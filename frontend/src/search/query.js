@@ -0,0 +1,323 @@
+// ============================================================================
+// PLAYER QUERY LANGUAGE
+// Parses expression filters such as
+//   pos:MID price<=7.5 xgi90>0.45 (fdr5<2.8 OR own<10) minutes%>70
+// against every bootstrap and GitHub-enriched player field.
+// Conditions next to each other are ANDed; OR and parentheses group them.
+// ============================================================================
+
+import { fplBootstrap } from '../data.js';
+import { calculatePPM, calculateMinutesPercentage } from '../utils.js';
+import { calculateFixtureDifficulty } from '../fixtures.js';
+import { getProjectedPoints } from '../projections.js';
+
+const COMPARISON_PATTERN = /^([a-z_][a-z0-9_.%]*)(<=|>=|!=|<|>|:|=)(.*)$/i;
+const FDR_FIELD_PATTERN = /^fdr(\d+)$/;
+const GITHUB_SOURCES = ['github_season', 'github_gw', 'github_transfers'];
+
+const POSITION_CODES = { GKP: 1, GK: 1, DEF: 2, MID: 3, FWD: 4 };
+
+function parseNumberValue(value) {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : null;
+}
+
+function parsePositionValue(value) {
+    return POSITION_CODES[value.toUpperCase()] ?? parseNumberValue(value);
+}
+
+function parseTeamValue(value) {
+    const needle = value.toLowerCase();
+    const team = (fplBootstrap?.teams || []).find(t =>
+        t.short_name.toLowerCase() === needle || t.name.toLowerCase() === needle
+    );
+    return team ? team.id : parseNumberValue(value);
+}
+
+/**
+ * Shorthand fields on top of the raw player keys
+ * `parse` turns the typed value into what `get` returns (e.g. MID -> 3).
+ */
+export const QUERY_ALIASES = {
+    pos: { description: 'Position (GKP/DEF/MID/FWD)', get: p => p.element_type, parse: parsePositionValue },
+    team: { description: 'Team short name (e.g. ARS)', get: p => p.team, parse: parseTeamValue },
+    price: { description: 'Price in £m', get: p => p.now_cost / 10 },
+    own: { description: 'Ownership %', get: p => parseFloat(p.selected_by_percent) || 0 },
+    pts: { description: 'Total points', get: p => p.total_points || 0 },
+    form: { description: 'Form', get: p => parseFloat(p.form) || 0 },
+    ppm: { description: 'Points per £m', get: p => calculatePPM(p) },
+    'minutes%': { description: 'Share of available minutes played', get: p => calculateMinutesPercentage(p) },
+    xg90: { description: 'xG per 90', get: p => parseFloat(p.expected_goals_per_90) || 0 },
+    xa90: { description: 'xA per 90', get: p => parseFloat(p.expected_assists_per_90) || 0 },
+    xgi90: { description: 'xGI per 90', get: p => parseFloat(p.expected_goal_involvements_per_90) || 0 },
+    xgc90: { description: 'xGC per 90', get: p => parseFloat(p.expected_goals_conceded_per_90) || 0 },
+    xpts: { description: 'Projected points (next gameweeks)', get: p => getProjectedPoints(p) },
+    fdrN: { description: 'Average FDR over the next N fixtures (e.g. fdr5)' }
+};
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+let fieldCache = { players: null, fields: null };
+
+/**
+ * Every raw field a query can reference
+ * Bootstrap keys are used as-is; GitHub-enriched keys are available both as
+ * `github_season.saves_per_90` and, when the bootstrap has no key of the same
+ * name, as plain `saves_per_90`.
+ * @param {Array} players - Enriched players (from getAllPlayers)
+ * @returns {Map<string, string[]>} Field name -> property path
+ */
+export function getQueryFields(players) {
+    if (fieldCache.players === players && fieldCache.fields) {
+        return fieldCache.fields;
+    }
+
+    const fields = new Map();
+    const githubFields = new Map();
+
+    (players || []).forEach(player => {
+        Object.entries(player).forEach(([key, value]) => {
+            if (GITHUB_SOURCES.includes(key)) {
+                Object.keys(value || {}).forEach(subKey => {
+                    fields.set(`${key}.${subKey}`, [key, subKey]);
+                    if (!githubFields.has(subKey)) githubFields.set(subKey, [key, subKey]);
+                });
+            } else if (value === null || typeof value !== 'object') {
+                fields.set(key, [key]);
+            }
+        });
+    });
+
+    githubFields.forEach((path, key) => {
+        if (!fields.has(key)) fields.set(key, path);
+    });
+
+    fieldCache = { players, fields };
+    return fields;
+}
+
+/**
+ * Resolve a field name to an accessor
+ * @param {string} name - Field as typed
+ * @param {Map<string, string[]>} fields - From getQueryFields
+ * @returns {{get: Function, parse?: Function}|null} Null for unknown fields
+ */
+function resolveField(name, fields) {
+    const lower = name.toLowerCase();
+
+    const alias = QUERY_ALIASES[lower];
+    if (alias?.get) return alias;
+
+    const fdrMatch = lower.match(FDR_FIELD_PATTERN);
+    if (fdrMatch) {
+        const count = parseInt(fdrMatch[1], 10);
+        if (count > 0) return { get: p => calculateFixtureDifficulty(p.team, count) };
+    }
+
+    const path = fields.get(name) || fields.get(lower);
+    if (path) {
+        return { get: p => path.reduce((value, key) => value?.[key], p) };
+    }
+
+    return null;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split a query into parentheses and words (double quotes keep spaces)
+ * @param {string} input - Query text
+ * @returns {Array<{type: string, text: string, start: number, end: number}>}
+ */
+export function tokenizeQuery(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, start: i, end: i + 1 });
+            i++;
+        } else {
+            const start = i;
+            let inQuotes = false;
+            while (i < input.length && (inQuotes || !/[\s()]/.test(input[i]))) {
+                if (input[i] === '"') inQuotes = !inQuotes;
+                i++;
+            }
+            const text = input.slice(start, i);
+            const upper = text.toUpperCase();
+            const type = upper === 'AND' ? 'and' : upper === 'OR' ? 'or' : 'word';
+            tokens.push({ type, text, start, end: i });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse one `field<op>value` word into a comparison node
+ */
+function parseComparison(token, fields, errors) {
+    const match = token.text.match(COMPARISON_PATTERN);
+    if (!match) {
+        errors.push({ ...token, message: `"${token.text}" is not a condition - use field<op>value, e.g. price<=7.5` });
+        return null;
+    }
+
+    const [, name, op, rawValue] = match;
+    const value = rawValue.replace(/^"(.*)"$/, '$1');
+    if (value === '') {
+        errors.push({ ...token, message: `"${name}${op}" is missing a value` });
+        return null;
+    }
+
+    const field = resolveField(name, fields);
+    if (!field) {
+        errors.push({ ...token, message: `Unknown field "${name}"` });
+        return null;
+    }
+
+    let target;
+    if (field.parse) {
+        target = field.parse(value);
+        if (target === null || target === undefined) {
+            errors.push({ ...token, message: `"${value}" is not a valid ${name}` });
+            return null;
+        }
+    } else {
+        target = parseNumberValue(value) ?? value.toLowerCase();
+    }
+
+    if (typeof target === 'string' && ['<', '<=', '>', '>='].includes(op)) {
+        errors.push({ ...token, message: `"${op}" needs a number, got "${value}"` });
+        return null;
+    }
+
+    return { type: 'comparison', field, op, value: target, text: token.text };
+}
+
+/**
+ * Parse a query into an expression tree
+ * @param {string} input - Query text
+ * @param {Map<string, string[]>} fields - From getQueryFields
+ * @returns {{ast: Object|null, errors: Array<{start: number, end: number, text: string, message: string}>}}
+ *   ast is null when the query is empty or has errors
+ * @example
+ * const { ast, errors } = parseQuery('pos:MID (price<=7.5 OR own<10)', getQueryFields(getAllPlayers()));
+ * const matches = players.filter(p => matchesQuery(ast, p));
+ */
+export function parseQuery(input, fields) {
+    const tokens = tokenizeQuery(input || '');
+    const errors = [];
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek()?.type === 'or') {
+            const orToken = next();
+            const right = parseAnd();
+            if (!children[children.length - 1] || !right) {
+                errors.push({ ...orToken, message: 'OR needs a condition on both sides' });
+            }
+            children.push(right);
+        }
+        const valid = children.filter(Boolean);
+        if (valid.length === 0) return null;
+        return valid.length === 1 ? valid[0] : { type: 'or', children: valid };
+    }
+
+    function parseAnd() {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+            if (peek().type === 'and') {
+                const andToken = next();
+                const nextToken = peek();
+                if (children.length === 0 || !nextToken || ['and', 'or', 'rparen'].includes(nextToken.type)) {
+                    errors.push({ ...andToken, message: 'AND needs a condition on both sides' });
+                }
+                continue;
+            }
+            const term = parseTerm();
+            if (term) children.push(term);
+        }
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseTerm() {
+        const token = next();
+        if (token.type === 'lparen') {
+            const node = parseOr();
+            if (peek()?.type === 'rparen') {
+                const closing = next();
+                if (!node) {
+                    errors.push({ ...token, end: closing.end, text: '()', message: 'Empty group' });
+                }
+            } else {
+                errors.push({ ...token, message: 'Missing closing )' });
+            }
+            return node;
+        }
+        return parseComparison(token, fields, errors);
+    }
+
+    let ast = parseOr();
+    // Only a stray ) stops parseOr early - report it and keep checking the rest
+    while (index < tokens.length) {
+        errors.push({ ...next(), message: 'Unmatched )' });
+        parseOr();
+    }
+
+    if (errors.length > 0) {
+        ast = null;
+    }
+
+    return { ast, errors: errors.sort((a, b) => a.start - b.start) };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function compare(actual, op, expected) {
+    if (actual === null || actual === undefined || actual === '') return false;
+
+    if (typeof expected === 'number') {
+        const number = typeof actual === 'number' ? actual : parseFloat(actual);
+        if (!Number.isFinite(number)) return false;
+        switch (op) {
+            case '<': return number < expected;
+            case '<=': return number <= expected;
+            case '>': return number > expected;
+            case '>=': return number >= expected;
+            case '!=': return number !== expected;
+            default: return number === expected;
+        }
+    }
+
+    const text = String(actual).toLowerCase();
+    return op === '!=' ? text !== expected : text === expected;
+}
+
+/**
+ * Whether a player matches a parsed query
+ * @param {Object|null} ast - From parseQuery (null matches everyone)
+ * @param {Object} player - Enriched player
+ * @returns {boolean}
+ */
+export function matchesQuery(ast, player) {
+    if (!ast) return true;
+    if (ast.type === 'and') return ast.children.every(child => matchesQuery(child, player));
+    if (ast.type === 'or') return ast.children.some(child => matchesQuery(child, player));
+    return compare(ast.field.get(player), ast.op, ast.value);
+}
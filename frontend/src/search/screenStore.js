@@ -0,0 +1,107 @@
+// ============================================================================
+// SAVED SCREENS STORE
+// Named Player Search queries kept in localStorage, plus share links that
+// open the Search page with a query (#search/q/<query>)
+// ============================================================================
+
+const STORAGE_KEY = 'fplanner_saved_screens';
+export const SCREEN_HASH_PREFIX = '#search/q/';
+
+let screensCache = loadFromStorage();
+
+function loadFromStorage() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return [];
+    }
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) return [];
+        return parsed.filter(screen =>
+            typeof screen === 'object' && screen !== null &&
+            typeof screen.name === 'string' && typeof screen.query === 'string'
+        );
+    } catch (err) {
+        console.warn('Failed to parse saved screens storage', err);
+        return [];
+    }
+}
+
+function persist() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+        return;
+    }
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(screensCache));
+    } catch (err) {
+        console.warn('Failed to persist saved screens', err);
+    }
+}
+
+/**
+ * Saved screens, oldest first
+ * @returns {Array<{name: string, query: string, savedAt: number}>}
+ */
+export function getSavedScreens() {
+    return [...screensCache];
+}
+
+/**
+ * Save a screen (replaces an existing screen with the same name)
+ * @param {string} name - Screen name
+ * @param {string} query - Query text
+ * @returns {boolean} True if saved
+ */
+export function saveScreen(name, query) {
+    const trimmedName = (name || '').trim();
+    const trimmedQuery = (query || '').trim();
+    if (!trimmedName || !trimmedQuery) return false;
+
+    const screen = { name: trimmedName, query: trimmedQuery, savedAt: Date.now() };
+    const index = screensCache.findIndex(s => s.name === trimmedName);
+    if (index >= 0) {
+        screensCache[index] = screen;
+    } else {
+        screensCache.push(screen);
+    }
+    persist();
+    return true;
+}
+
+/**
+ * Delete a saved screen
+ * @param {string} name - Screen name
+ */
+export function deleteScreen(name) {
+    const before = screensCache.length;
+    screensCache = screensCache.filter(s => s.name !== name);
+    if (screensCache.length !== before) {
+        persist();
+    }
+}
+
+/**
+ * Link that opens Player Search with a query applied
+ * @param {string} query - Query text
+ * @returns {string} Absolute URL
+ */
+export function getScreenShareUrl(query) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}${SCREEN_HASH_PREFIX}${encodeURIComponent(query.trim())}`;
+}
+
+/**
+ * Query carried by a share link's hash segment
+ * @param {string} segment - The part after #search/q/
+ * @returns {string|null} Decoded query, or null if malformed
+ */
+export function decodeScreenQuery(segment) {
+    if (!segment) return null;
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        console.warn('Invalid screen link', err);
+        return null;
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import { setChip, getAvailableChips } from '../teamBuilderHelpers.js';
+import { evaluateChipCalendar, recommendChipSchedule, applyChipSchedule } from '../chipPlanner.js';
 import { teamBuilderState } from './state.js';
 import { updateActivePlan } from './planManager.js';
 
@@ -101,3 +102,61 @@ export function isChipAvailable(chipName, plan) {
 
     return true;
 }
+
+/**
+ * Evaluate every remaining gameweek for each unused chip
+ * @param {Event} e - Click event from evaluate button
+ * @param {Function} renderCallback - Function to call with results
+ */
+export function handleEvaluateChips(e, renderCallback) {
+    const btn = e.currentTarget;
+    const activePlan = teamBuilderState.getActivePlan();
+    if (!activePlan) {
+        alert('No active plan selected');
+        return;
+    }
+
+    const chips = getTeamAvailableChips();
+    if (chips.length === 0) {
+        alert('All chips have been used this season');
+        return;
+    }
+
+    // Show loading state
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Evaluating...';
+    btn.disabled = true;
+
+    // Small delay so the loading state paints before the evaluation blocks the thread
+    setTimeout(() => {
+        const calendar = evaluateChipCalendar(activePlan, chips);
+        const recommendation = recommendChipSchedule(calendar, chips);
+
+        teamBuilderState.setChipEvaluation({ planId: activePlan.id, calendar, recommendation });
+
+        if (renderCallback) {
+            renderCallback();
+        }
+    }, 50);
+}
+
+/**
+ * Save the recommended chip schedule into the active plan
+ * @param {Function} renderCallback - Function to call after saving
+ */
+export function handleSaveChipSchedule(renderCallback) {
+    const activePlan = teamBuilderState.getActivePlan();
+    const evaluation = teamBuilderState.getChipEvaluation();
+
+    if (!activePlan || !evaluation || evaluation.planId !== activePlan.id) {
+        alert('Chip evaluation is out of date. Please evaluate chips again.');
+        return;
+    }
+
+    const result = applyChipSchedule(activePlan, evaluation.recommendation.schedule, getUsedChips());
+
+    if (result.success) {
+        updateActivePlan(result.updatedPlan, renderCallback);
+    } else {
+        alert(`Failed to save chip schedule: ${result.error}`);
+    }
+}
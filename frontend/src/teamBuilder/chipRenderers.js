@@ -0,0 +1,159 @@
+// ============================================================================
+// CHIP RENDERERS
+// Team Builder chip planner: per-gameweek chip gains and season schedule
+// ============================================================================
+
+import { formatDecimal } from '../utils.js';
+import { CHIP_NAMES } from '../chipPlanner.js';
+import { teamBuilderState } from './state.js';
+import { getTeamAvailableChips } from './chipManager.js';
+
+/**
+ * Background for a gain cell, scaled against the best gain for that chip
+ */
+function getGainStyle(gain, maxGain, isRecommended) {
+    if (isRecommended) {
+        return 'background: #8b5cf6; color: white; font-weight: 700;';
+    }
+    const intensity = maxGain > 0 ? Math.min(1, gain / maxGain) : 0;
+    return `background: rgba(34, 197, 94, ${(intensity * 0.35).toFixed(2)}); color: var(--text-primary);`;
+}
+
+/**
+ * Render chip planner panel
+ * @param {Object} plan - Active transfer plan
+ * @returns {string} HTML for chip planner panel
+ */
+export function renderChipPlannerPanel(plan) {
+    const chips = getTeamAvailableChips();
+    const stored = teamBuilderState.getChipEvaluation();
+    const evaluation = stored && stored.planId === plan.id ? stored : null;
+
+    return `
+        <div style="
+            background: var(--bg-primary);
+            border-radius: 12px;
+            padding: 1.5rem;
+            box-shadow: 0 2px 8px var(--shadow);
+            border-left: 4px solid #f59e0b;
+            margin-bottom: 2rem;
+        ">
+            <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem;">
+                <div>
+                    <h3 style="font-size: 1.125rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                        <i class="fas fa-microchip"></i> Chip Planner
+                    </h3>
+                    <p style="font-size: 0.875rem; color: var(--text-secondary); margin: 0.25rem 0 0 0;">
+                        ${chips.length > 0
+                            ? `Expected gain from ${chips.map(c => CHIP_NAMES[c] || c).join(', ')} in each remaining gameweek`
+                            : 'All chips have been used this season'}
+                    </p>
+                </div>
+                ${chips.length > 0 ? `
+                    <button
+                        id="evaluate-chips-btn"
+                        style="
+                            padding: 0.5rem 1rem;
+                            background: #f59e0b;
+                            color: white;
+                            border: none;
+                            border-radius: 6px;
+                            font-size: 0.875rem;
+                            font-weight: 600;
+                            cursor: pointer;
+                        "
+                    >
+                        <i class="fas fa-calculator"></i> ${evaluation ? 'Re-evaluate' : 'Evaluate Chips'}
+                    </button>
+                ` : ''}
+            </div>
+
+            ${evaluation ? renderChipCalendar(evaluation, chips, plan) : ''}
+        </div>
+    `;
+}
+
+/**
+ * Render recommendation summary and the gameweek x chip gain table
+ */
+function renderChipCalendar(evaluation, chips, plan) {
+    const { calendar, recommendation } = evaluation;
+    const schedule = recommendation.schedule;
+
+    const maxGain = {};
+    chips.forEach(chip => {
+        maxGain[chip] = Math.max(0, ...calendar.map(e => e.chips[chip]?.gain || 0));
+    });
+
+    const scheduledChips = Object.entries(schedule).sort((a, b) => a[1] - b[1]);
+    const isSaved = plan.chipSchedule &&
+        scheduledChips.every(([chip, gw]) => plan.chipSchedule[chip] === gw);
+
+    return `
+        <div style="margin-top: 1rem; padding: 1rem; background: var(--bg-secondary); border-radius: 8px; display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 0.75rem;">
+            <div style="font-size: 0.875rem; color: var(--text-primary);">
+                <strong>Recommended:</strong>
+                ${scheduledChips.length > 0
+                    ? scheduledChips.map(([chip, gw]) => `${CHIP_NAMES[chip] || chip} GW${gw}`).join(' • ')
+                    : 'No chip adds value in the remaining gameweeks'}
+                <span style="color: var(--text-secondary); margin-left: 0.5rem;">
+                    (+${formatDecimal(recommendation.totalGain)} xPts)
+                </span>
+            </div>
+            ${scheduledChips.length > 0 ? `
+                <button
+                    id="save-chip-schedule-btn"
+                    ${isSaved ? 'disabled' : ''}
+                    style="
+                        padding: 0.375rem 0.75rem;
+                        background: ${isSaved ? 'var(--bg-primary)' : 'var(--primary-color)'};
+                        color: ${isSaved ? 'var(--text-secondary)' : 'white'};
+                        border: ${isSaved ? '1px solid var(--border-color)' : 'none'};
+                        border-radius: 6px;
+                        font-size: 0.875rem;
+                        font-weight: 600;
+                        cursor: ${isSaved ? 'default' : 'pointer'};
+                    "
+                >
+                    <i class="fas ${isSaved ? 'fa-check' : 'fa-save'}"></i> ${isSaved ? 'Saved to Plan' : 'Save to Plan'}
+                </button>
+            ` : ''}
+        </div>
+
+        <div style="overflow-x: auto; margin-top: 1rem;">
+            <table style="width: 100%; font-size: 0.8rem; border-collapse: collapse;">
+                <thead style="background: var(--primary-color); color: white;">
+                    <tr>
+                        <th style="text-align: left; padding: 0.5rem;">GW</th>
+                        <th style="text-align: center; padding: 0.5rem;">Squad xPts</th>
+                        <th style="text-align: center; padding: 0.5rem;">DGW / BGW</th>
+                        ${chips.map(chip => `<th style="text-align: center; padding: 0.5rem;">${CHIP_NAMES[chip] || chip}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${calendar.map(entry => `
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <td style="padding: 0.5rem; font-weight: 600;">GW${entry.gameweek}</td>
+                            <td style="padding: 0.5rem; text-align: center;">${formatDecimal(entry.squadXPts)}</td>
+                            <td style="padding: 0.5rem; text-align: center;">
+                                ${entry.doublePlayers > 0 ? `<span style="color: #22c55e; font-weight: 600;">${entry.doublePlayers}×DGW</span>` : ''}
+                                ${entry.blankPlayers > 0 ? `<span style="color: #ef4444; font-weight: 600; margin-left: 0.25rem;">${entry.blankPlayers}×BGW</span>` : ''}
+                                ${entry.doublePlayers === 0 && entry.blankPlayers === 0 ? '—' : ''}
+                            </td>
+                            ${chips.map(chip => {
+                                const cell = entry.chips[chip];
+                                if (!cell) return '<td style="padding: 0.5rem; text-align: center;">—</td>';
+                                const isRecommended = schedule[chip] === entry.gameweek;
+                                return `
+                                    <td title="${cell.detail}" style="padding: 0.5rem; text-align: center; ${getGainStyle(cell.gain, maxGain[chip], isRecommended)}">
+                                        +${formatDecimal(cell.gain)}
+                                    </td>
+                                `;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
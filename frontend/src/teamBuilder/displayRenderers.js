@@ -329,6 +329,38 @@ export function renderActionButtons(plan) {
             >
                 <i class="fas fa-save"></i> Save Plan
             </button>
+            <button
+                id="share-plan-btn"
+                title="Copy a read-only link to this plan"
+                style="
+                    padding: 0.75rem 2rem;
+                    border: 2px solid var(--primary-color);
+                    background: transparent;
+                    color: var(--primary-color);
+                    font-weight: 600;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    transition: all 0.2s;
+                "
+            >
+                <i class="fas fa-share-alt"></i> Share
+            </button>
+            <button
+                id="sync-key-btn"
+                title="Use your saved plans on another device"
+                style="
+                    padding: 0.75rem 2rem;
+                    border: 2px solid var(--border-color);
+                    background: transparent;
+                    color: var(--text-secondary);
+                    font-weight: 600;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    transition: all 0.2s;
+                "
+            >
+                <i class="fas fa-key"></i> Sync Key
+            </button>
             <button
                 id="delete-plan-btn"
                 ${!canDelete ? 'disabled' : ''}
@@ -4,7 +4,8 @@
 // ============================================================================
 
 import { teamBuilderState } from './state.js';
-import { savePlansToStorage } from '../teamBuilderHelpers.js';
+import { savePlansToStorage, recalculateTransferCosts } from '../teamBuilderHelpers.js';
+import { queuePlanSync } from './planSync.js';
 
 /**
  * Handle planning horizon change
@@ -28,6 +29,7 @@ export function handlePlanningHorizonChange(e, renderCallback) {
             activePlan.gameweekPlans[gw] = {
                 transfers: [],
                 freeTransfers: 0,
+                freeTransfersAvailable: 1,
                 pointsHit: 0,
                 chipUsed: null
             };
@@ -42,6 +44,7 @@ export function handlePlanningHorizonChange(e, renderCallback) {
     }
 
     activePlan.planningHorizon = newHorizon;
+    recalculateTransferCosts(activePlan);
     activePlan.modified = new Date().toISOString();
 
     // Update plan in state
@@ -55,6 +58,7 @@ export function handlePlanningHorizonChange(e, renderCallback) {
 
     // Save to storage
     savePlansToStorage(teamBuilderState.getPlans());
+    queuePlanSync(activePlan, renderCallback);
 
     // Re-render
     if (renderCallback) {
@@ -0,0 +1,131 @@
+/**
+ * Optimizer Manager Module
+ * Handles running the transfer optimizer, player locks and applying results
+ */
+
+import { getAllPlayers } from '../data.js';
+import { getTeamShortName } from '../utils.js';
+import { applyTransferSequence } from '../teamBuilderHelpers.js';
+import { optimizeTransferPlan } from '../transferOptimizer.js';
+import { teamBuilderState } from './state.js';
+import { updateActivePlan } from './planManager.js';
+
+/**
+ * Label used for a player in the lock-in search box
+ * @param {Object} player - Player object
+ * @returns {string} e.g. "Salah (LIV)"
+ */
+export function getLockLabel(player) {
+    return `${player.web_name} (${getTeamShortName(player.team)})`;
+}
+
+/**
+ * Toggle a lock from a squad row button
+ * @param {Event} e - Click event from lock button
+ * @param {Function} renderCallback - Function to call after toggling
+ */
+export function handleToggleLock(e, renderCallback) {
+    const btn = e.currentTarget;
+    const playerId = parseInt(btn.dataset.player);
+    const type = btn.dataset.lock;
+
+    teamBuilderState.toggleLock(playerId, type);
+
+    if (renderCallback) {
+        renderCallback();
+    }
+}
+
+/**
+ * Lock in a player typed into the optimizer search box
+ * @param {Function} renderCallback - Function to call after locking
+ */
+export function handleAddLockIn(renderCallback) {
+    const input = document.getElementById('optimizer-lock-in-input');
+    if (!input || !input.value.trim()) return;
+
+    const label = input.value.trim();
+    const player = getAllPlayers().find(p => getLockLabel(p) === label);
+    if (!player) {
+        alert(`Player not found: ${label}`);
+        return;
+    }
+
+    const { lockedIn } = teamBuilderState.getLocks();
+    if (!lockedIn.includes(player.id)) {
+        teamBuilderState.toggleLock(player.id, 'in');
+    }
+
+    if (renderCallback) {
+        renderCallback();
+    }
+}
+
+/**
+ * Run the optimizer for the active plan
+ * @param {Event} e - Click event from run button
+ * @param {Function} renderCallback - Function to call with results
+ */
+export function handleRunOptimizer(e, renderCallback) {
+    const btn = e.currentTarget;
+    const activePlan = teamBuilderState.getActivePlan();
+    if (!activePlan) {
+        alert('No active plan selected');
+        return;
+    }
+
+    const topK = parseInt(document.getElementById('optimizer-top-k')?.value) || 3;
+    const maxTransfersPerGW = parseInt(document.getElementById('optimizer-max-transfers')?.value) || 2;
+
+    // Show loading state
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Optimizing...';
+    btn.disabled = true;
+
+    // Small delay so the loading state paints before the search blocks the thread
+    setTimeout(() => {
+        const results = optimizeTransferPlan(activePlan, {
+            topK,
+            maxTransfersPerGW,
+            ...teamBuilderState.getLocks()
+        });
+
+        teamBuilderState.setOptimizerResults({ planId: activePlan.id, results });
+
+        if (renderCallback) {
+            renderCallback();
+        }
+    }, 50);
+}
+
+/**
+ * Apply an optimizer result into the active plan's gameweek plans
+ * @param {Event} e - Click event from apply button
+ * @param {Function} renderCallback - Function to call after applying
+ */
+export function handleApplyOptimizedPlan(e, renderCallback) {
+    const index = parseInt(e.currentTarget.dataset.index);
+    const activePlan = teamBuilderState.getActivePlan();
+    const stored = teamBuilderState.getOptimizerResults();
+
+    if (!activePlan || !stored || stored.planId !== activePlan.id) {
+        alert('Optimizer results are out of date. Please run the optimizer again.');
+        return;
+    }
+
+    const result = stored.results[index];
+    if (!result) return;
+
+    const hasExistingTransfers = Object.values(activePlan.gameweekPlans).some(gw => gw.transfers.length > 0);
+    if (hasExistingTransfers && !confirm('This will replace all transfers in this plan. Continue?')) {
+        return;
+    }
+
+    const applied = applyTransferSequence(activePlan, result.transfersByGW);
+
+    if (applied.success) {
+        teamBuilderState.setOptimizerResults(null);
+        updateActivePlan(applied.updatedPlan, renderCallback);
+    } else {
+        alert(`Failed to apply plan: ${applied.error}`);
+    }
+}
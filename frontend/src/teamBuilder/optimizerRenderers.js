@@ -0,0 +1,224 @@
+// ============================================================================
+// OPTIMIZER RENDERERS
+// Team Builder transfer optimizer panel and player lock controls
+// ============================================================================
+
+import { getPlayerById, getAllPlayers } from '../data.js';
+import { escapeHtml, formatDecimal } from '../utils.js';
+import { teamBuilderState } from './state.js';
+import { getLockLabel } from './optimizerManager.js';
+
+/**
+ * Render lock in/out toggle buttons for a squad row
+ * @param {number} playerId - Player ID
+ * @returns {string} HTML for lock buttons
+ */
+export function renderLockButtons(playerId) {
+    const { lockedIn, lockedOut } = teamBuilderState.getLocks();
+    const isIn = lockedIn.includes(playerId);
+    const isOut = lockedOut.includes(playerId);
+
+    const buttonStyle = (active, color) => `
+        padding: 0.25rem 0.5rem;
+        border: 1px solid ${active ? color : 'var(--border-color)'};
+        background: ${active ? color : 'transparent'};
+        color: ${active ? 'white' : 'var(--text-secondary)'};
+        border-radius: 4px;
+        font-size: 0.75rem;
+        cursor: pointer;
+    `;
+
+    return `
+        <div style="display: flex; gap: 0.25rem; justify-content: center;">
+            <button class="lock-player-btn" data-player="${playerId}" data-lock="in" title="Keep (never sell)" style="${buttonStyle(isIn, '#22c55e')}">
+                <i class="fas fa-lock"></i>
+            </button>
+            <button class="lock-player-btn" data-player="${playerId}" data-lock="out" title="Must sell" style="${buttonStyle(isOut, '#ef4444')}">
+                <i class="fas fa-ban"></i>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Render optimizer panel (options, locks, results)
+ * @param {Object} plan - Active transfer plan
+ * @returns {string} HTML for optimizer panel
+ */
+export function renderOptimizerPanel(plan) {
+    const stored = teamBuilderState.getOptimizerResults();
+    const results = stored && stored.planId === plan.id ? stored.results : null;
+
+    return `
+        <div style="
+            background: var(--bg-primary);
+            border-radius: 12px;
+            padding: 1.5rem;
+            box-shadow: 0 2px 8px var(--shadow);
+            border-left: 4px solid #8b5cf6;
+            margin-bottom: 2rem;
+        ">
+            <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem;">
+                <div>
+                    <h3 style="font-size: 1.125rem; font-weight: 700; color: var(--text-primary); margin: 0;">
+                        <i class="fas fa-project-diagram"></i> Transfer Optimizer
+                    </h3>
+                    <p style="font-size: 0.875rem; color: var(--text-secondary); margin: 0.25rem 0 0 0;">
+                        Searches transfers across GW${plan.startGW}-${plan.startGW + plan.planningHorizon - 1} by projected points net of hits
+                    </p>
+                </div>
+                <div style="display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap;">
+                    <label style="font-size: 0.875rem; color: var(--text-secondary);">
+                        Max/GW
+                        <select id="optimizer-max-transfers" style="padding: 0.375rem; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary);">
+                            <option value="1">1</option>
+                            <option value="2" selected>2</option>
+                        </select>
+                    </label>
+                    <label style="font-size: 0.875rem; color: var(--text-secondary);">
+                        Results
+                        <select id="optimizer-top-k" style="padding: 0.375rem; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary);">
+                            <option value="1">1</option>
+                            <option value="3" selected>3</option>
+                            <option value="5">5</option>
+                        </select>
+                    </label>
+                    <button
+                        id="run-optimizer-btn"
+                        style="
+                            padding: 0.5rem 1rem;
+                            background: #8b5cf6;
+                            color: white;
+                            border: none;
+                            border-radius: 6px;
+                            font-size: 0.875rem;
+                            font-weight: 600;
+                            cursor: pointer;
+                        "
+                    >
+                        <i class="fas fa-play"></i> Optimize
+                    </button>
+                </div>
+            </div>
+
+            ${renderLockSummary()}
+
+            ${results ? renderOptimizerResults(results) : ''}
+        </div>
+    `;
+}
+
+/**
+ * Render current locks and the lock-in search box
+ */
+function renderLockSummary() {
+    const { lockedIn, lockedOut } = teamBuilderState.getLocks();
+
+    const chip = (id, type) => {
+        const player = getPlayerById(id);
+        if (!player) return '';
+        const color = type === 'in' ? '#22c55e' : '#ef4444';
+        return `
+            <button class="lock-player-btn" data-player="${id}" data-lock="${type}" title="Remove lock" style="
+                padding: 0.25rem 0.5rem;
+                border: 1px solid ${color};
+                background: transparent;
+                color: ${color};
+                border-radius: 999px;
+                font-size: 0.75rem;
+                cursor: pointer;
+            ">
+                ${type === 'in' ? 'IN' : 'OUT'}: ${escapeHtml(player.web_name)} <i class="fas fa-times"></i>
+            </button>
+        `;
+    };
+
+    return `
+        <div style="margin-top: 1rem; display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap;">
+            <input
+                id="optimizer-lock-in-input"
+                list="optimizer-player-list"
+                placeholder="Force a player in..."
+                style="padding: 0.375rem 0.75rem; border: 2px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-size: 0.875rem;"
+            />
+            <datalist id="optimizer-player-list">
+                ${getAllPlayers().filter(p => p.status !== 'u').map(p => `<option value="${escapeHtml(getLockLabel(p))}"></option>`).join('')}
+            </datalist>
+            <button id="optimizer-lock-in-btn" style="
+                padding: 0.375rem 0.75rem;
+                border: 2px solid var(--border-color);
+                background: var(--bg-secondary);
+                color: var(--text-primary);
+                border-radius: 6px;
+                font-size: 0.875rem;
+                cursor: pointer;
+            ">
+                <i class="fas fa-lock"></i> Lock In
+            </button>
+            ${lockedIn.map(id => chip(id, 'in')).join('')}
+            ${lockedOut.map(id => chip(id, 'out')).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render ranked optimizer results
+ * @param {Array} results - Ranked plans from optimizeTransferPlan
+ */
+function renderOptimizerResults(results) {
+    if (results.length === 0) {
+        return `
+            <div style="text-align: center; padding: 1.5rem; color: var(--text-secondary);">
+                <i class="fas fa-exclamation-circle" style="font-size: 1.5rem; margin-bottom: 0.5rem;"></i>
+                <p>No plan satisfies the current locks within budget and club limits.</p>
+            </div>
+        `;
+    }
+
+    return `
+        <div style="margin-top: 1rem; display: flex; flex-direction: column; gap: 0.75rem;">
+            ${results.map((result, idx) => `
+                <div style="padding: 1rem; background: var(--bg-secondary); border-radius: 8px;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+                        <div style="font-weight: 700; color: var(--text-primary);">
+                            #${result.rank} • ${formatDecimal(result.netPoints)} xPts
+                            <span style="font-size: 0.875rem; font-weight: 600; color: ${result.gainVsRoll >= 0 ? '#22c55e' : '#ef4444'}; margin-left: 0.5rem;">
+                                ${result.gainVsRoll >= 0 ? '+' : ''}${formatDecimal(result.gainVsRoll)} vs roll
+                            </span>
+                            ${result.pointsHit < 0 ? `
+                                <span style="font-size: 0.875rem; color: #ef4444; margin-left: 0.5rem;">${result.pointsHit} pts hits</span>
+                            ` : ''}
+                        </div>
+                        <button
+                            class="apply-optimized-plan-btn"
+                            data-index="${idx}"
+                            style="
+                                padding: 0.375rem 0.75rem;
+                                background: var(--primary-color);
+                                color: white;
+                                border: none;
+                                border-radius: 6px;
+                                font-size: 0.875rem;
+                                font-weight: 600;
+                                cursor: pointer;
+                            "
+                        >
+                            <i class="fas fa-check"></i> Apply
+                        </button>
+                    </div>
+                    ${result.gameweeks.map(gw => `
+                        <div style="font-size: 0.875rem; color: var(--text-secondary); padding: 0.125rem 0;">
+                            <strong style="color: var(--text-primary);">GW${gw.gameweek}:</strong>
+                            ${gw.transfers.length === 0 ? 'Roll transfer' : gw.transfers.map(t => {
+                                const out = getPlayerById(t.out);
+                                const inn = getPlayerById(t.in);
+                                return `${escapeHtml(out?.web_name || '?')} → ${escapeHtml(inn?.web_name || '?')}`;
+                            }).join(', ')}
+                            <span style="margin-left: 0.25rem;">(${formatDecimal(gw.xPts)} xPts${gw.pointsHit < 0 ? `, ${gw.pointsHit}` : ''})</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
@@ -9,6 +9,15 @@ import {
     deletePlanFromStorage
 } from '../teamBuilderHelpers.js';
 import { teamBuilderState } from './state.js';
+import {
+    queuePlanSync,
+    flushPlanSync,
+    removePlanFromServer,
+    getPlanShareUrl,
+    getPlanSyncKey,
+    setPlanSyncKey,
+    syncPlansWithServer
+} from './planSync.js';
 
 /**
  * Create a new transfer plan
@@ -28,7 +37,7 @@ export function handleNewPlan(renderCallback) {
     const horizon = activePlan ? activePlan.planningHorizon : 3;
 
     // Create new plan
-    const newPlan = createNewPlan(planName, currentTeamData, horizon);
+    const newPlan = createNewPlan(planName, currentTeamData, horizon, teamBuilderState.getTransferContext());
 
     // Add to state
     teamBuilderState.addPlan(newPlan);
@@ -36,6 +45,7 @@ export function handleNewPlan(renderCallback) {
 
     // Save to storage
     savePlansToStorage(teamBuilderState.getPlans());
+    queuePlanSync(newPlan, renderCallback);
 
     // Re-render
     if (renderCallback) {
@@ -52,10 +62,82 @@ export function handleNewPlan(renderCallback) {
 export function handleSavePlan() {
     const allPlans = teamBuilderState.getPlans();
     savePlansToStorage(allPlans);
+
+    const activePlanId = teamBuilderState.getActivePlanId();
+    if (activePlanId) {
+        flushPlanSync(activePlanId);
+    }
+
     alert('Plan saved successfully!');
     return true;
 }
 
+/**
+ * Copy a read-only share link for the active plan
+ * @param {Event} e - Click event from share button
+ * @returns {Promise<string|null>} Share URL or null on failure
+ */
+export async function handleSharePlan(e) {
+    const btn = e.currentTarget;
+    const activePlan = teamBuilderState.getActivePlan();
+    if (!activePlan) return null;
+
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sharing...';
+    btn.disabled = true;
+
+    try {
+        const url = await getPlanShareUrl(activePlan);
+
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Read-only link copied to clipboard');
+        } catch (clipboardErr) {
+            prompt('Copy this read-only link:', url);
+        }
+
+        return url;
+    } catch (err) {
+        console.error('Failed to share plan:', err);
+        alert('Failed to create share link. Please try again.');
+        return null;
+    } finally {
+        btn.innerHTML = originalHTML;
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Show this device's sync key, or enter one copied from another device
+ * Plans are only synced with the server on devices holding the team's key.
+ * @param {Function} renderCallback - Function to call after plans are re-synced
+ * @returns {Promise<boolean>} True if a new key was saved
+ */
+export async function handleSyncKey(renderCallback) {
+    const teamId = teamBuilderState.getTeamData()?.team?.id;
+    if (!teamId) return false;
+
+    const currentKey = getPlanSyncKey(teamId);
+    const message = currentKey
+        ? 'Sync key for this team\'s plans. Enter it on your other devices to see your plans there:'
+        : 'Enter the sync key shown on a device where this team\'s plans are saved:';
+    const enteredKey = prompt(message, currentKey || '')?.trim();
+    if (!enteredKey || enteredKey === currentKey) return false;
+
+    setPlanSyncKey(teamId, enteredKey);
+    const plans = await syncPlansWithServer(teamId, teamBuilderState.getPlans());
+    teamBuilderState.setPlans(plans);
+    if (!plans.some(p => p.id === teamBuilderState.getActivePlanId()) && plans.length > 0) {
+        teamBuilderState.setActivePlanId(plans[0].id);
+    }
+
+    if (renderCallback) {
+        renderCallback();
+    }
+
+    return true;
+}
+
 /**
  * Delete the currently active plan
  * @param {Function} renderCallback - Function to call after deletion
@@ -76,6 +158,7 @@ export function handleDeletePlan(renderCallback) {
     if (!confirmed) return false;
 
     // Delete from storage
+    removePlanFromServer(teamBuilderState.getActivePlan());
     deletePlanFromStorage(activePlanId);
 
     // Remove from state
@@ -106,6 +189,7 @@ export function updateActivePlan(updatedPlan, renderCallback) {
 
     // Save to storage
     savePlansToStorage(teamBuilderState.getPlans());
+    queuePlanSync(updatedPlan, renderCallback);
 
     // Re-render
     if (renderCallback) {
@@ -0,0 +1,339 @@
+/**
+ * Plan Sync Module
+ * Keeps localStorage plans in sync with the server plan store so plans follow
+ * the manager between devices. Each plan remembers the server version it was
+ * last synced at (plan.serverVersion) for optimistic concurrency, and is
+ * flagged plan.unsynced while it has local edits the server hasn't seen.
+ * Server requests carry the team's owner key, issued when the first plan
+ * was uploaded and copied to other devices as a "sync key".
+ */
+
+import {
+    loadServerPlans,
+    saveServerPlan,
+    deleteServerPlan,
+    createPlanShareToken
+} from '../data.js';
+import { savePlansToStorage } from '../teamBuilderHelpers.js';
+import { teamBuilderState } from './state.js';
+
+// Wait for edits to settle before uploading
+const SYNC_DELAY_MS = 1500;
+
+const SYNC_KEY_PREFIX = 'fplanner_plan_key_';
+
+const pendingSyncs = new Map(); // planId -> timeout ID
+const inFlightSyncs = new Map(); // planId -> Promise
+
+/**
+ * Strip local-only fields before sending a plan to the server
+ */
+function toServerPlan(plan) {
+    const { serverVersion, teamId, unsynced, ...serverPlan } = plan;
+    return serverPlan;
+}
+
+function fromServerRecord(record, teamId) {
+    return { ...record.plan, teamId: String(teamId), serverVersion: record.version };
+}
+
+function getTeamId() {
+    return teamBuilderState.getTeamData()?.team?.id || null;
+}
+
+/**
+ * Owner key this device uses for a team's plans
+ * @param {string|number} teamId - Team ID
+ * @returns {string|null} Key, or null if this device has none
+ */
+export function getPlanSyncKey(teamId) {
+    try {
+        return localStorage.getItem(`${SYNC_KEY_PREFIX}${teamId}`);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Remember a team's owner key on this device
+ * @param {string|number} teamId - Team ID
+ * @param {string} key - Owner key (issued by the server or copied from another device)
+ */
+export function setPlanSyncKey(teamId, key) {
+    try {
+        localStorage.setItem(`${SYNC_KEY_PREFIX}${teamId}`, key);
+    } catch (err) {
+        console.warn('Failed to save plan sync key:', err);
+    }
+}
+
+/**
+ * Save a plan, remembering the owner key if this save claimed the team
+ * @returns {Promise<Object>} Saved record
+ */
+async function uploadPlan(teamId, plan, version) {
+    const record = await saveServerPlan(teamId, toServerPlan(plan), version, getPlanSyncKey(teamId));
+    if (record.ownerKey) {
+        setPlanSyncKey(teamId, record.ownerKey);
+    }
+    return record;
+}
+
+/**
+ * Settle a version conflict: the manager keeps this device's copy (uploaded
+ * over the server's current version) or takes the server's copy
+ * @param {string|number} teamId - Team ID
+ * @param {Object} plan - Local plan
+ * @param {Object} current - Server copy {version, plan}
+ * @returns {Promise<{plan: Object, tookServerCopy: boolean}>} Plan to keep locally
+ *   (still unsynced if the upload failed)
+ */
+async function resolveConflict(teamId, plan, current) {
+    const keepLocal = confirm(`"${plan.name}" was changed on another device. Keep the version from this device?`);
+    if (!keepLocal) {
+        return { plan: fromServerRecord(current, teamId), tookServerCopy: true };
+    }
+
+    try {
+        const record = await uploadPlan(teamId, plan, current.version);
+        return {
+            plan: { ...toServerPlan(plan), teamId: String(teamId), serverVersion: record.version },
+            tookServerCopy: false
+        };
+    } catch (err) {
+        console.warn(`Failed to sync plan ${plan.id}:`, err.message);
+        return { plan, tookServerCopy: false };
+    }
+}
+
+/**
+ * Merge server plans into local plans
+ * Conflicts are decided by server versions only, never by device clocks.
+ * - Server copy wins when it is newer and the local copy has no unsynced edits
+ * - Unsynced local edits are kept: uploaded if the server copy hasn't moved
+ *   on, otherwise reported as a conflict
+ * - Local plans never uploaded are queued for upload
+ * - Local plans that were synced but are gone from the server were deleted
+ *   elsewhere (unless they have unsynced edits, which are uploaded again)
+ * - Local plans synced under a different team are left alone
+ * @param {Array} localPlans - Plans from localStorage
+ * @param {Array} serverRecords - Records from loadServerPlans()
+ * @param {string|number} teamId - Team ID the server records belong to
+ * @returns {{plans: Array, toUpload: Array<string>, conflicts: Array<Object>}} Merged plans,
+ *   IDs to upload and server records that conflict with unsynced local edits
+ */
+export function mergeServerPlans(localPlans, serverRecords, teamId) {
+    const serverById = new Map(serverRecords.map(record => [record.id, record]));
+    const plans = [];
+    const toUpload = [];
+    const conflicts = [];
+
+    localPlans.forEach(local => {
+        if (local.teamId && String(local.teamId) !== String(teamId)) {
+            plans.push(local);
+            return;
+        }
+
+        const record = serverById.get(local.id);
+
+        if (!record) {
+            if (!local.serverVersion) {
+                plans.push(local);
+                toUpload.push(local.id);
+            } else if (local.unsynced) {
+                // Deleted on another device after this one edited it: upload it as new
+                const { serverVersion, ...unsyncedPlan } = local;
+                plans.push(unsyncedPlan);
+                toUpload.push(local.id);
+            }
+            return;
+        }
+
+        serverById.delete(local.id);
+
+        if (!local.unsynced) {
+            plans.push(record.version !== local.serverVersion ? fromServerRecord(record, teamId) : local);
+        } else if (record.version === local.serverVersion) {
+            plans.push(local);
+            toUpload.push(local.id);
+        } else {
+            plans.push(local);
+            conflicts.push(record);
+        }
+    });
+
+    // Plans created on another device
+    serverById.forEach(record => {
+        plans.push(fromServerRecord(record, teamId));
+    });
+
+    return { plans, toUpload, conflicts };
+}
+
+/**
+ * Load server plans, merge with local plans and upload local-only changes
+ * Falls back to local plans when the server is unreachable or this device
+ * doesn't have the team's sync key.
+ * @param {string|number} teamId - Team ID
+ * @param {Array} localPlans - Plans from localStorage
+ * @returns {Promise<Array>} Merged plans
+ */
+export async function syncPlansWithServer(teamId, localPlans) {
+    let serverRecords;
+    try {
+        serverRecords = await loadServerPlans(teamId, getPlanSyncKey(teamId));
+    } catch (err) {
+        console.warn(err.isUnauthorized
+            ? 'Plan sync needs this team\'s sync key, using local plans'
+            : `Plan sync unavailable, using local plans: ${err.message}`);
+        return localPlans;
+    }
+
+    const { plans, toUpload, conflicts } = mergeServerPlans(localPlans, serverRecords, teamId);
+
+    for (const planId of toUpload) {
+        const index = plans.findIndex(p => p.id === planId);
+        try {
+            const record = await uploadPlan(teamId, plans[index], plans[index].serverVersion || null);
+            plans[index] = { ...toServerPlan(plans[index]), teamId: String(teamId), serverVersion: record.version };
+        } catch (err) {
+            if (err.isConflict && err.current) {
+                plans[index] = (await resolveConflict(teamId, plans[index], err.current)).plan;
+            } else {
+                console.warn(`Failed to upload plan ${planId}:`, err.message);
+            }
+        }
+    }
+
+    for (const record of conflicts) {
+        const index = plans.findIndex(p => p.id === record.id);
+        plans[index] = (await resolveConflict(teamId, plans[index], record)).plan;
+    }
+
+    savePlansToStorage(plans);
+    return plans;
+}
+
+/**
+ * Upload a plan now
+ * On a version conflict the manager chooses between this device's copy and the server's copy.
+ * @param {string} planId - Plan ID
+ * @param {Function} renderCallback - Called when the server copy replaces the local one
+ * @returns {Promise<void>}
+ */
+async function pushPlan(planId, renderCallback) {
+    const teamId = getTeamId();
+    const plan = teamBuilderState.getPlans().find(p => p.id === planId);
+    if (!teamId || !plan) return;
+    if (plan.teamId && plan.teamId !== String(teamId)) return;
+
+    const storeVersion = (serverVersion) => {
+        const current = teamBuilderState.getPlans().find(p => p.id === planId);
+        if (!current) return;
+        // Edits made during the upload stay unsynced until the next one
+        const { unsynced, ...synced } = current;
+        teamBuilderState.updatePlan({ ...(pendingSyncs.has(planId) ? current : synced), teamId: String(teamId), serverVersion });
+        savePlansToStorage(teamBuilderState.getPlans());
+    };
+
+    try {
+        const record = await uploadPlan(teamId, plan, plan.serverVersion || null);
+        storeVersion(record.version);
+    } catch (err) {
+        if (!err.isConflict || !err.current) {
+            console.warn(`Failed to sync plan ${planId}:`, err.message);
+            return;
+        }
+
+        const { plan: resolved, tookServerCopy } = await resolveConflict(teamId, plan, err.current);
+        if (tookServerCopy) {
+            teamBuilderState.updatePlan(resolved);
+            savePlansToStorage(teamBuilderState.getPlans());
+            if (renderCallback) {
+                renderCallback();
+            }
+        } else if (!resolved.unsynced) {
+            storeVersion(resolved.serverVersion);
+        }
+    }
+}
+
+/**
+ * Flag a plan's local edits and queue it for upload once edits settle
+ * @param {Object} plan - Plan that changed
+ * @param {Function} renderCallback - Called if a conflict replaces the local copy
+ */
+export function queuePlanSync(plan, renderCallback) {
+    if (!plan) return;
+
+    const current = teamBuilderState.getPlans().find(p => p.id === plan.id);
+    if (current && !current.unsynced) {
+        teamBuilderState.updatePlan({ ...current, unsynced: true });
+        savePlansToStorage(teamBuilderState.getPlans());
+    }
+
+    if (!getTeamId()) return;
+
+    clearTimeout(pendingSyncs.get(plan.id));
+    pendingSyncs.set(plan.id, setTimeout(() => {
+        pendingSyncs.delete(plan.id);
+        flushPlanSync(plan.id, renderCallback);
+    }, SYNC_DELAY_MS));
+}
+
+/**
+ * Upload a plan immediately (waits for any upload already running)
+ * @param {string} planId - Plan ID
+ * @param {Function} renderCallback - Called if a conflict replaces the local copy
+ * @returns {Promise<void>}
+ */
+export async function flushPlanSync(planId, renderCallback) {
+    clearTimeout(pendingSyncs.get(planId));
+    pendingSyncs.delete(planId);
+
+    const previous = inFlightSyncs.get(planId) || Promise.resolve();
+    const current = previous.then(() => pushPlan(planId, renderCallback));
+    inFlightSyncs.set(planId, current);
+
+    try {
+        await current;
+    } finally {
+        if (inFlightSyncs.get(planId) === current) {
+            inFlightSyncs.delete(planId);
+        }
+    }
+}
+
+/**
+ * Delete a plan from the server
+ * @param {Object} plan - Plan being deleted
+ */
+export function removePlanFromServer(plan) {
+    const teamId = getTeamId();
+    if (!teamId || !plan?.serverVersion || plan.teamId !== String(teamId)) return;
+
+    clearTimeout(pendingSyncs.get(plan.id));
+    pendingSyncs.delete(plan.id);
+
+    // Version is not checked: the manager chose to delete it on this device
+    deleteServerPlan(teamId, plan.id, null, getPlanSyncKey(teamId)).catch(err => {
+        console.warn(`Failed to delete plan ${plan.id} from server:`, err.message);
+    });
+}
+
+/**
+ * Get a read-only share link for a plan (uploads pending edits first)
+ * @param {Object} plan - Plan to share
+ * @returns {Promise<string>} Share URL
+ */
+export async function getPlanShareUrl(plan) {
+    const teamId = getTeamId();
+    if (!teamId) {
+        throw new Error('Team not loaded');
+    }
+
+    await flushPlanSync(plan.id);
+
+    const token = await createPlanShareToken(teamId, plan.id, getPlanSyncKey(teamId));
+    return `${window.location.origin}${window.location.pathname}#team-builder/plan/${token}`;
+}
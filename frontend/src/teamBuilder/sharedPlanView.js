@@ -0,0 +1,147 @@
+// ============================================================================
+// SHARED PLAN VIEW
+// Read-only view of a plan opened from a #team-builder/plan/{token} link
+// ============================================================================
+
+import { loadSharedPlan, getPlayerById } from '../data.js';
+import { escapeHtml, formatCurrency, getPositionShort, getTeamShortName } from '../utils.js';
+import { calculateProjectedSquad } from '../teamBuilderHelpers.js';
+import { CHIP_NAMES } from '../chipPlanner.js';
+
+/**
+ * Render a shared plan (read-only)
+ * @param {string} token - Share token from the URL
+ */
+export async function renderSharedPlan(token) {
+    const container = document.getElementById('app-container');
+
+    container.innerHTML = `
+        <div style="text-align: center; padding: 4rem 2rem; color: var(--text-secondary);">
+            <i class="fas fa-spinner fa-spin" style="font-size: 3rem; margin-bottom: 1rem;"></i>
+            <p>Loading shared plan...</p>
+        </div>
+    `;
+
+    try {
+        const { plan, updatedAt } = await loadSharedPlan(token);
+        container.innerHTML = renderSharedPlanContent(plan, updatedAt);
+    } catch (err) {
+        console.error('Failed to load shared plan:', err);
+        container.innerHTML = `
+            <div style="text-align: center; padding: 4rem 2rem;">
+                <h2 style="color: var(--text-primary); margin-bottom: 1rem;">Plan Not Found</h2>
+                <p style="color: var(--text-secondary); margin-bottom: 2rem;">
+                    ${err.status === 404 ? 'This link is invalid or the plan has been deleted.' : 'Failed to load the shared plan. Please try again.'}
+                </p>
+                <button
+                    onclick="window.location.hash = '#team-builder'"
+                    style="
+                        padding: 1rem 2rem;
+                        background: var(--primary-color);
+                        color: white;
+                        border: none;
+                        border-radius: 8px;
+                        font-size: 1rem;
+                        font-weight: 600;
+                        cursor: pointer;
+                    "
+                >
+                    <i class="fas fa-chess" style="margin-right: 0.5rem;"></i>Open Team Builder
+                </button>
+            </div>
+        `;
+    }
+}
+
+function renderPlayerName(playerId) {
+    const player = getPlayerById(playerId);
+    if (!player) return `Player ${playerId}`;
+    return `${escapeHtml(player.web_name)} <span style="color: var(--text-secondary); font-size: 0.75rem;">${getTeamShortName(player.team)}</span>`;
+}
+
+function renderSharedPlanContent(plan, updatedAt) {
+    const gameweeks = Object.keys(plan.gameweekPlans).map(Number).sort((a, b) => a - b);
+    const lastGW = gameweeks[gameweeks.length - 1];
+    const totalHits = gameweeks.reduce((sum, gw) => sum + (plan.gameweekPlans[gw].pointsHit || 0), 0);
+    const finalSquad = calculateProjectedSquad(plan, lastGW);
+    const updatedDate = new Date(updatedAt).toLocaleDateString('en-SG', { month: 'short', day: 'numeric' });
+
+    const squadPlayers = finalSquad.squad
+        .map(pick => getPlayerById(pick.element))
+        .filter(Boolean)
+        .sort((a, b) => a.element_type - b.element_type);
+
+    return `
+        <div style="max-width: 900px; margin: 0 auto; padding: 1.5rem;">
+            <div style="
+                background: var(--bg-primary);
+                border-radius: 12px;
+                padding: 1.5rem;
+                box-shadow: 0 2px 8px var(--shadow);
+                margin-bottom: 1.5rem;
+                border-left: 4px solid var(--primary-color);
+            ">
+                <div style="font-size: 0.75rem; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em;">
+                    <i class="fas fa-eye"></i> Shared plan (read-only)
+                </div>
+                <h2 style="font-size: 1.5rem; font-weight: 700; color: var(--text-primary); margin: 0.25rem 0;">
+                    ${escapeHtml(plan.name)}
+                </h2>
+                <p style="font-size: 0.875rem; color: var(--text-secondary); margin: 0;">
+                    GW${plan.startGW} → GW${lastGW} • Points hits: <strong style="color: ${totalHits < 0 ? '#ef4444' : 'var(--text-primary)'};">${totalHits}</strong>
+                    • Bank after GW${lastGW}: <strong>${formatCurrency(finalSquad.bank)}</strong>
+                    • Updated ${updatedDate}
+                </p>
+            </div>
+
+            ${gameweeks.map(gw => {
+                const gwPlan = plan.gameweekPlans[gw];
+                return `
+                    <div style="
+                        background: var(--bg-primary);
+                        border-radius: 12px;
+                        padding: 1rem 1.5rem;
+                        box-shadow: 0 2px 8px var(--shadow);
+                        margin-bottom: 1rem;
+                    ">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+                            <h3 style="font-size: 1rem; font-weight: 700; color: var(--text-primary); margin: 0;">GW${gw}</h3>
+                            <div style="display: flex; gap: 0.75rem; font-size: 0.875rem;">
+                                ${gwPlan.chipUsed ? `<span style="color: #8b5cf6; font-weight: 600;"><i class="fas fa-microchip"></i> ${CHIP_NAMES[gwPlan.chipUsed] || gwPlan.chipUsed}</span>` : ''}
+                                ${gwPlan.pointsHit < 0 ? `<span style="color: #ef4444; font-weight: 600;">${gwPlan.pointsHit} pts</span>` : ''}
+                            </div>
+                        </div>
+                        ${gwPlan.transfers.length === 0 ? `
+                            <p style="font-size: 0.875rem; color: var(--text-secondary); margin: 0;">No transfers</p>
+                        ` : gwPlan.transfers.map(transfer => `
+                            <div style="display: flex; align-items: center; gap: 0.75rem; padding: 0.375rem 0; font-size: 0.875rem;">
+                                <span style="color: #ef4444;"><i class="fas fa-arrow-down"></i> ${renderPlayerName(transfer.out)}</span>
+                                <i class="fas fa-long-arrow-alt-right" style="color: var(--text-secondary);"></i>
+                                <span style="color: #22c55e;"><i class="fas fa-arrow-up"></i> ${renderPlayerName(transfer.in)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('')}
+
+            <div style="
+                background: var(--bg-primary);
+                border-radius: 12px;
+                padding: 1rem 1.5rem;
+                box-shadow: 0 2px 8px var(--shadow);
+            ">
+                <h3 style="font-size: 1rem; font-weight: 700; color: var(--text-primary); margin: 0 0 0.75rem 0;">
+                    Squad after GW${lastGW}
+                </h3>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 0.5rem;">
+                    ${squadPlayers.map(player => `
+                        <div style="padding: 0.5rem; background: var(--bg-secondary); border-radius: 6px; font-size: 0.875rem;">
+                            <span style="font-size: 0.75rem; color: var(--text-secondary);">${getPositionShort(player)}</span>
+                            ${renderPlayerName(player.id)}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+}
@@ -15,6 +15,7 @@ import {
 import { calculateFixtureDifficulty } from '../fixtures.js';
 import { analyzePlayerRisks, hasHighRisk, renderRiskTooltip } from '../risk.js';
 import { calculateProjectedSquad, validateSquad } from '../teamBuilderHelpers.js';
+import { renderLockButtons } from './optimizerRenderers.js';
 
 /**
  * Render projected squad table with validation errors
@@ -88,6 +89,7 @@ export function renderProjectedSquad(plan, gameweek) {
                                 <th style="text-align: center; padding: 0.75rem 0.5rem;">Form</th>
                                 <th style="text-align: center; padding: 0.75rem 0.5rem;">PPM</th>
                                 <th style="text-align: center; padding: 0.75rem 0.5rem;">FDR (5)</th>
+                                <th style="text-align: center; padding: 0.75rem 0.5rem;">Lock</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -120,6 +122,7 @@ export function renderProjectedSquad(plan, gameweek) {
                                                 ${fdr.toFixed(1)}
                                             </span>
                                         </td>
+                                        <td style="padding: 0.75rem 0.5rem; text-align: center;">${renderLockButtons(player.id)}</td>
                                     </tr>
                                 `;
                             }).join('')}
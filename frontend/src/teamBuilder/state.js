@@ -15,6 +15,11 @@ class TeamBuilderState {
         this.planningHorizon = 3; // Default 3 GWs
         this.playerSearchModal = null;
         this.transferOutPlayerId = null; // For player selection modal
+        this.transferContext = null; // Banked FTs and selling prices from transfer history
+        this.lockedIn = new Set(); // Optimizer: players that must be in the squad
+        this.lockedOut = new Set(); // Optimizer: players that must not be in the squad
+        this.optimizerResults = null;
+        this.chipEvaluation = null; // Chip planner: { planId, calendar, recommendation }
     }
 
     /**
@@ -172,6 +177,85 @@ class TeamBuilderState {
         return this.playerSearchModal;
     }
 
+    /**
+     * Set transfer context (banked FTs and selling prices)
+     * @param {Object|null} context - Context from buildTransferContext
+     */
+    setTransferContext(context) {
+        this.transferContext = context;
+    }
+
+    /**
+     * Get transfer context
+     * @returns {Object|null}
+     */
+    getTransferContext() {
+        return this.transferContext;
+    }
+
+    /**
+     * Toggle an optimizer lock for a player
+     * @param {number} playerId - Player ID
+     * @param {'in'|'out'} type - Lock type
+     */
+    toggleLock(playerId, type) {
+        const target = type === 'in' ? this.lockedIn : this.lockedOut;
+        const other = type === 'in' ? this.lockedOut : this.lockedIn;
+
+        if (target.has(playerId)) {
+            target.delete(playerId);
+        } else {
+            target.add(playerId);
+            other.delete(playerId);
+        }
+
+        // Locks change the search space, so previous results are stale
+        this.optimizerResults = null;
+    }
+
+    /**
+     * Get optimizer locks
+     * @returns {{lockedIn: number[], lockedOut: number[]}}
+     */
+    getLocks() {
+        return {
+            lockedIn: [...this.lockedIn],
+            lockedOut: [...this.lockedOut]
+        };
+    }
+
+    /**
+     * Set optimizer results
+     * @param {Array|null} results - Ranked plans from optimizeTransferPlan
+     */
+    setOptimizerResults(results) {
+        this.optimizerResults = results;
+    }
+
+    /**
+     * Get optimizer results
+     * @returns {Array|null}
+     */
+    getOptimizerResults() {
+        return this.optimizerResults;
+    }
+
+    /**
+     * Set chip planner evaluation
+     * @param {Object|null} evaluation - { planId, calendar, recommendation }
+     */
+    setChipEvaluation(evaluation) {
+        this.chipEvaluation = evaluation;
+    }
+
+    /**
+     * Get chip planner evaluation
+     * @returns {Object|null}
+     */
+    getChipEvaluation() {
+        return this.chipEvaluation;
+    }
+
     /**
      * Reset all state
      */
@@ -183,6 +267,11 @@ class TeamBuilderState {
         this.planningHorizon = 3;
         this.playerSearchModal = null;
         this.transferOutPlayerId = null;
+        this.transferContext = null;
+        this.lockedIn = new Set();
+        this.lockedOut = new Set();
+        this.optimizerResults = null;
+        this.chipEvaluation = null;
     }
 }
 
@@ -39,7 +39,7 @@ export function renderGameweekContent(plan, gameweek) {
                     </h3>
                     <div style="display: flex; gap: 0.5rem; align-items: center;">
                         <span style="font-size: 0.875rem; color: var(--text-secondary);">
-                            Free Transfers: <strong>${gwPlan.freeTransfers}</strong>
+                            Free Transfers: <strong>${gwPlan.freeTransfersAvailable ?? 1}</strong>
                         </span>
                         ${gwPlan.pointsHit < 0 ? `
                             <span style="font-size: 0.875rem; color: #ef4444; font-weight: 600;">
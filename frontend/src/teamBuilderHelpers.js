@@ -7,6 +7,8 @@ import { getAllPlayers, currentGW } from './data.js';
 import { getPositionType, calculatePPM } from './utils.js';
 import { calculateFixtureDifficulty } from './fixtures.js';
 import { analyzePlayerRisks, hasHighRisk } from './risk.js';
+import { getProjectedPoints } from './projections.js';
+import { getNextFreeTransfers, getSellingPrice } from './transferHistory.js';
 
 // ============================================================================
 // CONSTANTS
@@ -19,10 +21,10 @@ const SQUAD_LIMITS = {
     FWD: { min: 1, max: 3 }
 };
 
-const MAX_PLAYERS_PER_TEAM = 3;
+export const MAX_PLAYERS_PER_TEAM = 3;
 const TOTAL_SQUAD_SIZE = 15;
 const BUDGET_LIMIT = 1000; // £100.0m in tenths
-const POINTS_HIT_PER_TRANSFER = -4;
+export const POINTS_HIT_PER_TRANSFER = -4;
 
 // ============================================================================
 // STATE MANAGEMENT
@@ -33,9 +35,10 @@ const POINTS_HIT_PER_TRANSFER = -4;
  * @param {string} name - Plan name (e.g., "Plan A")
  * @param {Object} currentTeam - Current team data from loadMyTeam()
  * @param {number} planningHorizon - Number of gameweeks to plan (default 3)
+ * @param {Object|null} transferContext - Banked FTs and selling prices from buildTransferContext()
  * @returns {Object} New plan object
  */
-export function createNewPlan(name, currentTeam, planningHorizon = 3) {
+export function createNewPlan(name, currentTeam, planningHorizon = 3, transferContext = null) {
     const startGW = currentGW + 1;
     const gameweekPlans = {};
 
@@ -44,19 +47,21 @@ export function createNewPlan(name, currentTeam, planningHorizon = 3) {
         const gw = startGW + i;
         gameweekPlans[gw] = {
             transfers: [], // Array of {out: playerId, in: playerId}
-            freeTransfers: i === 0 ? (currentTeam.picks.entry_history.event_transfers_cost === 0 ? 1 : 1) : 0, // Will be calculated
+            freeTransfers: 0, // FTs used this GW (calculated)
+            freeTransfersAvailable: 1, // FTs banked going into this GW (calculated)
             pointsHit: 0,
             chipUsed: null // null, 'wildcard', 'freehit', etc.
         };
     }
 
-    return {
+    const plan = {
         id: generatePlanId(),
         name,
         created: new Date().toISOString(),
         modified: new Date().toISOString(),
         planningHorizon,
         startGW,
+        initialFreeTransfers: 1,
         gameweekPlans,
         currentTeamSnapshot: {
             picks: currentTeam.picks.picks.map(p => ({ ...p })),
@@ -64,6 +69,38 @@ export function createNewPlan(name, currentTeam, planningHorizon = 3) {
             value: currentTeam.picks.entry_history.value
         }
     };
+
+    if (transferContext) {
+        return applyTransferContext(plan, transferContext);
+    }
+
+    recalculateTransferCosts(plan);
+    return plan;
+}
+
+/**
+ * Apply banked free transfers and selling prices to a plan's starting point
+ * @param {Object} plan - Transfer plan
+ * @param {Object} transferContext - Context from buildTransferContext()
+ * @returns {Object} Updated plan (costs recalculated for every gameweek)
+ */
+export function applyTransferContext(plan, transferContext) {
+    const updatedPlan = {
+        ...plan,
+        initialFreeTransfers: transferContext.freeTransfers,
+        currentTeamSnapshot: {
+            ...plan.currentTeamSnapshot,
+            picks: plan.currentTeamSnapshot.picks.map(pick => {
+                const player = getAllPlayers().find(p => p.id === pick.element);
+                return player
+                    ? { ...pick, selling_price: getSellingPrice(player, transferContext) }
+                    : { ...pick };
+            })
+        }
+    };
+
+    recalculateTransferCosts(updatedPlan);
+    return updatedPlan;
 }
 
 /**
@@ -92,6 +129,7 @@ export function calculateProjectedSquad(plan, targetGW) {
         gwPlan.transfers.forEach(transfer => {
             // Remove player out
             const outIdx = squad.findIndex(p => p.element === transfer.out);
+            const outPick = outIdx >= 0 ? squad[outIdx] : null;
             if (outIdx >= 0) {
                 squad.splice(outIdx, 1);
             }
@@ -111,7 +149,7 @@ export function calculateProjectedSquad(plan, targetGW) {
                 // Update bank
                 const playerOut = getAllPlayers().find(p => p.id === transfer.out);
                 if (playerOut) {
-                    bank += playerOut.now_cost; // Add back selling price
+                    bank += getPickSellingPrice(outPick, playerOut); // Add back selling price
                 }
                 bank -= playerIn.now_cost; // Deduct purchase price
             }
@@ -175,8 +213,8 @@ export function addTransfer(plan, gameweek, playerOutId, playerInId) {
         return { success: false, error: 'Invalid player selection' };
     }
 
-    // Check budget
-    const newBank = projected.bank + playerOut.now_cost - playerIn.now_cost;
+    // Check budget (sell at selling price, buy at current price)
+    const newBank = projected.bank + getPickSellingPrice(hasPlayerOut, playerOut) - playerIn.now_cost;
     if (newBank < 0) {
         const shortfall = Math.abs(newBank) / 10;
         return { success: false, error: `Insufficient funds (short £${shortfall.toFixed(1)}m)` };
@@ -227,42 +265,76 @@ export function removeTransfer(plan, gameweek, transferIndex) {
     return updatedPlan;
 }
 
+/**
+ * Selling price for a squad pick, falling back to current price
+ * @param {Object|null} pick - Squad pick (may carry selling_price)
+ * @param {Object} player - Player object
+ * @returns {number} Selling price (tenths)
+ */
+function getPickSellingPrice(pick, player) {
+    return pick && typeof pick.selling_price === 'number' ? pick.selling_price : player.now_cost;
+}
+
 /**
  * Recalculate free transfers and points hit for all gameweeks in plan
+ * Banked FTs start from plan.initialFreeTransfers and roll forward each GW.
  * @param {Object} plan - Transfer plan (mutated in place)
  */
-function recalculateTransferCosts(plan) {
-    let freeTransfersAvailable = 1; // Start with 1 FT
+export function recalculateTransferCosts(plan) {
+    let freeTransfersAvailable = plan.initialFreeTransfers || 1;
 
     const gameweeks = Object.keys(plan.gameweekPlans).sort((a, b) => a - b);
 
     gameweeks.forEach(gw => {
         const gwPlan = plan.gameweekPlans[gw];
         const transferCount = gwPlan.transfers.length;
+        gwPlan.freeTransfersAvailable = freeTransfersAvailable;
 
         // Check if chip is active (Wildcard or Free Hit = unlimited free transfers)
         if (gwPlan.chipUsed === 'wildcard' || gwPlan.chipUsed === 'freehit') {
             gwPlan.freeTransfers = transferCount;
             gwPlan.pointsHit = 0;
-            freeTransfersAvailable = 1; // Reset to 1 FT for next GW
-            return;
+        } else {
+            // Normal transfer logic
+            gwPlan.freeTransfers = Math.min(freeTransfersAvailable, transferCount);
+
+            const extraTransfers = Math.max(0, transferCount - freeTransfersAvailable);
+            gwPlan.pointsHit = extraTransfers * POINTS_HIT_PER_TRANSFER;
         }
 
-        // Normal transfer logic
-        gwPlan.freeTransfers = Math.min(freeTransfersAvailable, transferCount);
+        freeTransfersAvailable = getNextFreeTransfers(freeTransfersAvailable, transferCount, gwPlan.chipUsed);
+    });
+}
 
-        const extraTransfers = Math.max(0, transferCount - freeTransfersAvailable);
-        gwPlan.pointsHit = extraTransfers * POINTS_HIT_PER_TRANSFER;
+/**
+ * Replace every gameweek's transfers with a precomputed sequence (e.g. from the optimizer)
+ * @param {Object} plan - Transfer plan
+ * @param {Object} transfersByGW - Map of gameweek -> Array of {out, in}
+ * @returns {Object} { success: boolean, error?: string, updatedPlan?: Object }
+ */
+export function applyTransferSequence(plan, transfersByGW) {
+    const timestamp = new Date().toISOString();
+    const updatedPlan = { ...plan, gameweekPlans: { ...plan.gameweekPlans } };
+
+    Object.keys(updatedPlan.gameweekPlans).forEach(gw => {
+        updatedPlan.gameweekPlans[gw] = {
+            ...updatedPlan.gameweekPlans[gw],
+            transfers: (transfersByGW[gw] || []).map(t => ({ out: t.out, in: t.in, timestamp }))
+        };
+    });
 
-        // Calculate FT for next week
-        if (transferCount === 0) {
-            // Banked - can have max 2 FT
-            freeTransfersAvailable = Math.min(2, freeTransfersAvailable + 1);
-        } else {
-            // Used at least 1 transfer - reset to 1 FT for next week
-            freeTransfersAvailable = 1;
+    recalculateTransferCosts(updatedPlan);
+
+    for (const gw of Object.keys(updatedPlan.gameweekPlans)) {
+        const validation = validateSquad(updatedPlan, parseInt(gw));
+        if (!validation.valid) {
+            return { success: false, error: `GW${gw}: ${validation.errors[0]}` };
         }
-    });
+    }
+
+    updatedPlan.modified = timestamp;
+
+    return { success: true, updatedPlan };
 }
 
 /**
@@ -390,6 +462,8 @@ export function findSuggestedTransfers(plan, gameweek, maxSuggestions = 5) {
     const { squad, bank } = calculateProjectedSquad(plan, gameweek - 1);
     const allPlayers = getAllPlayers();
     const suggestions = [];
+    const horizon = plan.planningHorizon || 3;
+    const projectionWindow = { gameweek, horizon };
 
     // 1. Problem players (injuries, suspensions, rotation risk)
     squad.forEach(pick => {
@@ -399,7 +473,7 @@ export function findSuggestedTransfers(plan, gameweek, maxSuggestions = 5) {
         const risks = analyzePlayerRisks(player);
         if (hasHighRisk(risks)) {
             // Find replacements
-            const replacements = findBestReplacements(player, squad, bank, 3);
+            const replacements = findBestReplacements(player, squad, bank, 3, projectionWindow);
             replacements.forEach((rep, idx) => {
                 suggestions.push({
                     type: 'problem',
@@ -421,7 +495,7 @@ export function findSuggestedTransfers(plan, gameweek, maxSuggestions = 5) {
         const fdr = calculateFixtureDifficulty(player.team, 5);
         if (fdr >= 4.0) {
             // Poor fixtures - suggest better options
-            const replacements = findBestReplacements(player, squad, bank, 2);
+            const replacements = findBestReplacements(player, squad, bank, 2, projectionWindow);
             replacements.forEach(rep => {
                 const repFdr = calculateFixtureDifficulty(rep.player.team, 5);
                 if (repFdr < fdr - 0.5) {
@@ -447,7 +521,7 @@ export function findSuggestedTransfers(plan, gameweek, maxSuggestions = 5) {
         const playerForm = parseFloat(player.form) || 0;
 
         // Look for significantly better value options
-        const replacements = findBestReplacements(player, squad, bank, 2);
+        const replacements = findBestReplacements(player, squad, bank, 2, projectionWindow);
         replacements.forEach(rep => {
             const repPPM = calculatePPM(rep.player);
             const repForm = parseFloat(rep.player.form) || 0;
@@ -492,9 +566,10 @@ export function findSuggestedTransfers(plan, gameweek, maxSuggestions = 5) {
  * @param {Array} currentSquad - Current squad picks
  * @param {number} bank - Available bank
  * @param {number} limit - Max replacements to return
+ * @param {Object} [projectionWindow] - { gameweek, horizon } to project xPts over
  * @returns {Array} Array of { player, score, priceDiff }
  */
-function findBestReplacements(player, currentSquad, bank, limit = 5) {
+function findBestReplacements(player, currentSquad, bank, limit = 5, projectionWindow = {}) {
     const allPlayers = getAllPlayers();
     const maxBudget = player.now_cost + bank;
     const squadPlayerIds = new Set(currentSquad.map(p => p.element));
@@ -512,7 +587,7 @@ function findBestReplacements(player, currentSquad, bank, limit = 5) {
     // Score each candidate
     const scored = candidates.map(c => ({
         player: c,
-        score: scoreReplacement(c),
+        score: scoreReplacement(c, projectionWindow),
         priceDiff: c.now_cost - player.now_cost
     }));
 
@@ -525,14 +600,15 @@ function findBestReplacements(player, currentSquad, bank, limit = 5) {
 /**
  * Score a replacement candidate
  * @param {Object} player - Player to score
+ * @param {Object} [projectionWindow] - { gameweek, horizon } to project xPts over
  * @returns {number} Score (0-100)
  */
-function scoreReplacement(player) {
+function scoreReplacement(player, { gameweek, horizon = 3 } = {}) {
     let score = 0;
 
-    // Form (0-30)
-    const form = parseFloat(player.form) || 0;
-    score += Math.min(30, form * 5);
+    // Projected points per GW over the plan horizon (0-30)
+    const xPtsPerGW = getProjectedPoints(player, horizon, gameweek) / horizon;
+    score += Math.min(30, xPtsPerGW * 5);
 
     // Fixtures (0-25)
     const fdr = calculateFixtureDifficulty(player.team, 5);
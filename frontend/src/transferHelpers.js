@@ -19,7 +19,9 @@ import {
     calculateMinutesPercentage
 } from './utils.js';
 import { getFixtures, calculateFixtureDifficulty } from './fixtures.js';
+import { getFDRPerspective } from './fdr/model.js';
 import { renderRiskTooltip, analyzePlayerRisks } from './risk.js';
+import { getProjectedPoints } from './projections.js';
 
 // ============================================================================
 // PROBLEM PLAYER RENDERING
@@ -75,7 +77,7 @@ export function renderProblemPlayerRow(player, risks, idx, next5GWs, gameweek) {
     }
 
     // Get next 5 fixtures
-    const next5Fixtures = getFixtures(player.team, 5, false);
+    const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
 
     return `
         <tr style="background: ${rowBg};">
@@ -179,7 +181,7 @@ export function renderReplacementRow(rep, problemPlayer, problemIdx, repIdx, nex
     const diffColor = priceDiff < 0 ? '#22c55e' : '#ef4444';
 
     // Get next 5 fixtures
-    const next5Fixtures = getFixtures(player.team, 5, false);
+    const next5Fixtures = getFixtures(player.team, 5, false, getFDRPerspective(player.element_type));
 
     return `
         <tr
@@ -291,9 +293,9 @@ export function findReplacements(problemPlayer, picks, gameweek) {
 function scoreReplacement(candidate, problemPlayer) {
     let score = 0;
 
-    // 1. Expected points (0-35 points)
-    const epNext = parseFloat(candidate.ep_next) || 0;
-    score += Math.min(35, epNext * 7);
+    // 1. Projected points over next 5 GWs (0-35 points)
+    const xPts5 = getProjectedPoints(candidate, 5);
+    score += Math.min(35, xPts5 * 1.4);
 
     // 2. Underlying numbers (0-20 points)
     if (candidate.element_type >= 3) {
@@ -305,7 +307,7 @@ function scoreReplacement(candidate, problemPlayer) {
     }
 
     // 3. Fixture Difficulty (0-25 points)
-    const avgFDR = calculateFixtureDifficulty(candidate.team, 5);
+    const avgFDR = calculateFixtureDifficulty(candidate.team, 5, getFDRPerspective(candidate.element_type));
     score += Math.max(0, (5 - avgFDR) * 5); // Inverted: lower FDR = higher score
 
     // 4. Points Per Million (0-15 points)
@@ -0,0 +1,141 @@
+// ============================================================================
+// TRANSFER HISTORY MODULE
+// Free transfer banking and selling prices derived from a manager's
+// transfer history (/api/team/:teamId/transfers) and chip usage
+// ============================================================================
+
+import { getPlayerById } from './data.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Maximum free transfers that can be banked
+export const MAX_FREE_TRANSFERS = 5;
+
+// Chips that make the week's transfers free without consuming banked FTs
+const UNLIMITED_TRANSFER_CHIPS = ['wildcard', 'freehit'];
+
+// ============================================================================
+// FREE TRANSFERS
+// ============================================================================
+
+/**
+ * Free transfers available next gameweek after making transfers this gameweek
+ * Unused free transfers roll over (up to MAX_FREE_TRANSFERS) and one new free
+ * transfer is added every gameweek. Wildcard and Free Hit weeks keep the bank.
+ * @param {number} available - Free transfers available this gameweek
+ * @param {number} transferCount - Transfers made this gameweek
+ * @param {string|null} chipUsed - Chip played this gameweek
+ * @returns {number} Free transfers for the following gameweek
+ */
+export function getNextFreeTransfers(available, transferCount, chipUsed = null) {
+    const used = UNLIMITED_TRANSFER_CHIPS.includes(chipUsed) ? 0 : transferCount;
+    return Math.min(MAX_FREE_TRANSFERS, Math.max(0, available - used) + 1);
+}
+
+/**
+ * Replay a season of transfers to find the free transfers banked for the next deadline
+ * GW1 transfers are unlimited, so banking starts with 1 FT for GW2.
+ * @param {Array} transfers - Transfer history ({event, element_in, element_out, ...})
+ * @param {Array} chips - Chip history ({name, event})
+ * @param {number} lastGameweek - Last gameweek whose transfers are locked in
+ * @returns {number} Free transfers available for lastGameweek + 1
+ */
+export function calculateFreeTransfers(transfers = [], chips = [], lastGameweek = 0) {
+    if (!lastGameweek || lastGameweek < 1) return 1;
+
+    const transfersPerGW = {};
+    transfers.forEach(t => {
+        transfersPerGW[t.event] = (transfersPerGW[t.event] || 0) + 1;
+    });
+
+    const chipPerGW = {};
+    chips.forEach(c => {
+        chipPerGW[c.event] = c.name;
+    });
+
+    let available = 1;
+    for (let gw = 2; gw <= lastGameweek; gw++) {
+        available = getNextFreeTransfers(available, transfersPerGW[gw] || 0, chipPerGW[gw] || null);
+    }
+
+    return available;
+}
+
+// ============================================================================
+// SELLING PRICES
+// ============================================================================
+
+/**
+ * FPL selling price: keep the full drop, but only half of any rise (rounded down)
+ * @param {number} purchasePrice - Price paid (tenths)
+ * @param {number} currentPrice - Current price (tenths)
+ * @returns {number} Selling price (tenths)
+ */
+export function calculateSellingPrice(purchasePrice, currentPrice) {
+    if (currentPrice <= purchasePrice) return currentPrice;
+    return purchasePrice + Math.floor((currentPrice - purchasePrice) / 2);
+}
+
+/**
+ * Price paid for a player currently owned
+ * Uses the latest transfer in; players held since GW1 fall back to their start price.
+ * Free Hit transfers are skipped because the squad reverts afterwards.
+ * @param {Object} player - Player object
+ * @param {Array} transfers - Transfer history
+ * @param {Array} chips - Chip history
+ * @returns {number} Purchase price (tenths)
+ */
+export function getPurchasePrice(player, transfers = [], chips = []) {
+    const freeHitGWs = new Set(chips.filter(c => c.name === 'freehit').map(c => c.event));
+
+    const lastTransferIn = transfers
+        .filter(t => t.element_in === player.id && !freeHitGWs.has(t.event))
+        .sort((a, b) => (b.event - a.event) || (new Date(b.time) - new Date(a.time)))[0];
+
+    if (lastTransferIn) {
+        return lastTransferIn.element_in_cost;
+    }
+
+    return player.now_cost - (player.cost_change_start || 0);
+}
+
+/**
+ * Build a transfer context for a squad: banked FTs plus per-player selling prices
+ * @param {Object} teamData - Team data from loadMyTeam()
+ * @param {Array} transfers - Transfer history from loadTransferHistory()
+ * @returns {{freeTransfers: number, sellingPrices: Object, purchasePrices: Object}} Context
+ */
+export function buildTransferContext(teamData, transfers = []) {
+    const chips = teamData?.picks?.chips || teamData?.team?.chips || [];
+    const picks = teamData?.picks?.picks || [];
+    const sellingPrices = {};
+    const purchasePrices = {};
+
+    picks.forEach(pick => {
+        const player = getPlayerById(pick.element);
+        if (!player) return;
+
+        const purchasePrice = getPurchasePrice(player, transfers, chips);
+        purchasePrices[player.id] = purchasePrice;
+        sellingPrices[player.id] = calculateSellingPrice(purchasePrice, player.now_cost);
+    });
+
+    return {
+        freeTransfers: calculateFreeTransfers(transfers, chips, teamData?.gameweek || 0),
+        sellingPrices,
+        purchasePrices
+    };
+}
+
+/**
+ * Selling price for a player, falling back to current price when unknown
+ * @param {Object} player - Player object
+ * @param {Object|null} context - Transfer context from buildTransferContext
+ * @returns {number} Selling price (tenths)
+ */
+export function getSellingPrice(player, context) {
+    const price = context?.sellingPrices?.[player.id];
+    return price !== undefined ? price : player.now_cost;
+}
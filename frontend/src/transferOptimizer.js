@@ -0,0 +1,495 @@
+// ============================================================================
+// TRANSFER OPTIMIZER MODULE
+// Multi-gameweek transfer sequence search for Team Builder plans
+// ============================================================================
+
+import { getAllPlayers } from './data.js';
+import { getProjectedPointsForGameweek } from './projections.js';
+import { MAX_PLAYERS_PER_TEAM, POINTS_HIT_PER_TRANSFER } from './teamBuilderHelpers.js';
+import { getNextFreeTransfers } from './transferHistory.js';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} OptimizerOptions
+ * @property {number} [topK=3] - Number of distinct plans to return
+ * @property {number} [maxTransfersPerGW=2] - Max transfers per gameweek (1 or 2)
+ * @property {number} [maxHitsPerGW=1] - Max paid (-4) transfers per gameweek
+ * @property {number} [freeTransfers] - Free transfers available in the first gameweek (defaults to plan.initialFreeTransfers)
+ * @property {number[]} [lockedIn=[]] - Players who must be in the squad at the end (owned ones are never sold)
+ * @property {number[]} [lockedOut=[]] - Players who must not be in the squad at the end (never bought)
+ * @property {number} [beamWidth=25] - Search states kept per gameweek
+ * @property {number} [poolSizePerPosition=12] - Candidate buys considered per position
+ */
+
+/**
+ * @typedef {Object} OptimizedPlan
+ * @property {number} rank - 1-based rank
+ * @property {number} netPoints - Projected starting XI points minus hits
+ * @property {number} pointsHit - Total hit cost (negative)
+ * @property {number} gainVsRoll - Net points over making no transfers
+ * @property {Object} transfersByGW - Map of gameweek -> Array of {out, in}
+ * @property {Array<{gameweek: number, transfers: Array, xPts: number, pointsHit: number, freeTransfers: number}>} gameweeks
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_OPTIONS = {
+    topK: 3,
+    maxTransfersPerGW: 2,
+    maxHitsPerGW: 1,
+    lockedIn: [],
+    lockedOut: [],
+    beamWidth: 25,
+    poolSizePerPosition: 12
+};
+
+// Single moves kept per state before building pairs
+const MAX_SINGLE_MOVES = 15;
+const MAX_PAIR_SOURCE_MOVES = 10;
+
+// Minimum starters per position in a valid formation (GKP, DEF, MID, FWD)
+const FORMATION_MINIMUMS = { 1: 1, 2: 3, 3: 2, 4: 1 };
+const STARTING_XI_SIZE = 11;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Search transfer sequences across a plan's horizon
+ * Uses a beam search over gameweeks: each step expands every kept state with
+ * a roll, the best single transfers and the best transfer pairs, then keeps the
+ * states with the highest points so far plus the squad's remaining projection.
+ * Wildcard and Free Hit weeks rebuild the squad instead, with no hits.
+ * Transfers already in the plan are ignored; the search starts from the
+ * plan's current team snapshot.
+ * @param {Object} plan - Transfer plan from createNewPlan
+ * @param {OptimizerOptions} [options] - Search options
+ * @returns {OptimizedPlan[]} Top plans ranked by projected points net of hits
+ */
+export function optimizeTransferPlan(plan, options = {}) {
+    const opts = { freeTransfers: plan.initialFreeTransfers || 1, ...DEFAULT_OPTIONS, ...options };
+    const gameweeks = Object.keys(plan.gameweekPlans).map(Number).sort((a, b) => a - b);
+    if (gameweeks.length === 0) return [];
+
+    const lockedIn = new Set(opts.lockedIn);
+    const lockedOut = new Set(opts.lockedOut);
+    const initialSquad = plan.currentTeamSnapshot.picks.map(p => p.element);
+
+    const allPlayers = getAllPlayers();
+    const playersById = new Map(allPlayers.map(p => [p.id, p]));
+    const pool = buildCandidatePool(allPlayers, gameweeks, opts.poolSizePerPosition, lockedIn, lockedOut);
+    const projections = buildProjectionTable(
+        [...new Set([...initialSquad, ...pool.map(p => p.id)])],
+        playersById,
+        gameweeks
+    );
+
+    // Owned players sell at their selling price; anything bought during the plan sells at cost
+    const sellingPrices = new Map(plan.currentTeamSnapshot.picks
+        .filter(p => typeof p.selling_price === 'number')
+        .map(p => [p.element, p.selling_price]));
+
+    const context = { plan, gameweeks, playersById, pool, projections, sellingPrices, lockedIn, lockedOut, opts };
+
+    let beam = [{
+        squad: initialSquad,
+        bank: plan.currentTeamSnapshot.bank,
+        freeTransfers: opts.freeTransfers,
+        points: 0,
+        hits: 0,
+        history: []
+    }];
+
+    gameweeks.forEach((gw, index) => {
+        const chip = plan.gameweekPlans[gw].chipUsed;
+        const isLast = index === gameweeks.length - 1;
+        const children = [];
+
+        beam.forEach(state => {
+            const moveSets = isUnlimitedChip(chip)
+                ? generateChipMoveSets(state, index, chip, context)
+                : generateMoveSets(state, index, context);
+
+            moveSets.forEach(moves => {
+                const child = applyMoves(state, moves, context);
+                if (!child) return;
+
+                const paid = isUnlimitedChip(chip) ? 0 : Math.max(0, moves.length - state.freeTransfers);
+                const xPts = scoreGameweek(child.squad, gw, chip, context);
+                const pointsHit = paid * POINTS_HIT_PER_TRANSFER;
+
+                // Free Hit squads revert to the previous squad after the deadline
+                if (chip === 'freehit') {
+                    child.squad = state.squad;
+                    child.bank = state.bank;
+                }
+
+                child.points = state.points + xPts + pointsHit;
+                child.hits = state.hits + paid;
+                child.freeTransfers = getNextFreeTransfers(state.freeTransfers, moves.length, chip);
+                child.history = [...state.history, {
+                    gameweek: gw,
+                    transfers: moves.map(m => ({ out: m.out, in: m.in })),
+                    xPts,
+                    pointsHit,
+                    freeTransfers: state.freeTransfers
+                }];
+
+                if (isLast && !satisfiesLocks(child.squad, lockedIn, lockedOut)) return;
+                children.push(child);
+            });
+        });
+
+        beam = pruneBeam(children, index + 1, context);
+    });
+
+    const baseline = projectRoll(initialSquad, context);
+    return rankResults(beam, baseline, opts.topK);
+}
+
+// ============================================================================
+// SEARCH HELPERS
+// ============================================================================
+
+function isUnlimitedChip(chip) {
+    return chip === 'wildcard' || chip === 'freehit';
+}
+
+/**
+ * Best candidate buys per position over the horizon
+ * @returns {Array} Player objects
+ */
+function buildCandidatePool(allPlayers, gameweeks, sizePerPosition, lockedIn, lockedOut) {
+    const pool = [];
+
+    [1, 2, 3, 4].forEach(position => {
+        const ranked = allPlayers
+            .filter(p => p.element_type === position && p.status !== 'u' && !lockedOut.has(p.id))
+            .map(p => ({
+                player: p,
+                total: gameweeks.reduce((sum, gw) => sum + getProjectedPointsForGameweek(p, gw), 0)
+            }))
+            .sort((a, b) => b.total - a.total)
+            .slice(0, sizePerPosition)
+            .map(r => r.player);
+        pool.push(...ranked);
+    });
+
+    // Locked-in players are always candidates
+    lockedIn.forEach(id => {
+        const player = allPlayers.find(p => p.id === id);
+        if (player && !pool.includes(player)) pool.push(player);
+    });
+
+    return pool;
+}
+
+/**
+ * Precompute per-gameweek xPts and remaining-horizon sums
+ * @returns {Map<number, {byGW: Object, remaining: number[]}>} Keyed by player ID
+ */
+function buildProjectionTable(playerIds, playersById, gameweeks) {
+    const table = new Map();
+
+    playerIds.forEach(id => {
+        const player = playersById.get(id);
+        const byGW = {};
+        gameweeks.forEach(gw => {
+            byGW[gw] = player ? getProjectedPointsForGameweek(player, gw) : 0;
+        });
+
+        // remaining[i] = sum of xPts from gameweeks[i] to the end
+        const remaining = new Array(gameweeks.length + 1).fill(0);
+        for (let i = gameweeks.length - 1; i >= 0; i--) {
+            remaining[i] = remaining[i + 1] + byGW[gameweeks[i]];
+        }
+
+        table.set(id, { byGW, remaining });
+    });
+
+    return table;
+}
+
+function getSellPrice(playerId, { playersById, sellingPrices }) {
+    return sellingPrices.has(playerId) ? sellingPrices.get(playerId) : playersById.get(playerId).now_cost;
+}
+
+function countTeams(squad, playersById) {
+    const counts = {};
+    squad.forEach(id => {
+        const player = playersById.get(id);
+        if (player) counts[player.team] = (counts[player.team] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Affordable single transfers that gain points (or are forced by a lock)
+ * @param {number[]} squad - Current squad
+ * @param {number} bank - Money in the bank (tenths)
+ * @param {Function} getValue - Player ID -> projected value of owning them
+ * @param {Object} context - Search context
+ * @param {Set<number>} [frozen] - Players that can't be sold this gameweek
+ * @returns {Array<{out: number, in: number, gain: number, forced: boolean}>} Sorted, forced moves first
+ */
+function findSingleMoves(squad, bank, getValue, context, frozen = new Set()) {
+    const { playersById, pool, lockedIn, lockedOut } = context;
+    const owned = new Set(squad);
+    const teamCounts = countTeams(squad, playersById);
+    const singles = [];
+
+    squad.forEach(outId => {
+        if (lockedIn.has(outId) || frozen.has(outId)) return;
+        const playerOut = playersById.get(outId);
+        if (!playerOut) return;
+
+        pool.forEach(candidate => {
+            if (candidate.element_type !== playerOut.element_type || owned.has(candidate.id)) return;
+            if (bank + getSellPrice(outId, context) - candidate.now_cost < 0) return;
+
+            const clubCount = (teamCounts[candidate.team] || 0) - (candidate.team === playerOut.team ? 1 : 0);
+            if (clubCount >= MAX_PLAYERS_PER_TEAM) return;
+
+            const gain = getValue(candidate.id) - getValue(outId);
+            const forced = lockedOut.has(outId) || lockedIn.has(candidate.id);
+            if (gain <= 0 && !forced) return;
+
+            singles.push({ out: outId, in: candidate.id, gain, forced });
+        });
+    });
+
+    return singles.sort((a, b) => (b.forced - a.forced) || (b.gain - a.gain));
+}
+
+/**
+ * Candidate transfer sets for a state: roll, best singles and best pairs
+ * @returns {Array<Array<{out: number, in: number, gain: number}>>} Move sets
+ */
+function generateMoveSets(state, index, context) {
+    const { projections, opts } = context;
+    const getValue = id => projections.get(id).remaining[index];
+    const topSingles = findSingleMoves(state.squad, state.bank, getValue, context).slice(0, MAX_SINGLE_MOVES);
+
+    const maxCount = Math.min(opts.maxTransfersPerGW, state.freeTransfers + opts.maxHitsPerGW);
+    const moveSets = [[]];
+    if (maxCount >= 1) {
+        topSingles.forEach(move => moveSets.push([move]));
+    }
+
+    if (maxCount >= 2) {
+        const pairSource = topSingles.slice(0, MAX_PAIR_SOURCE_MOVES);
+        for (let i = 0; i < pairSource.length; i++) {
+            for (let j = i + 1; j < pairSource.length; j++) {
+                const a = pairSource[i];
+                const b = pairSource[j];
+                if (a.out === b.out || a.in === b.in) continue;
+                moveSets.push([a, b]);
+            }
+        }
+    }
+
+    return moveSets;
+}
+
+/**
+ * Candidate transfer sets for a Wildcard or Free Hit week
+ * Transfers are free, so the squad is rebuilt greedily: keep making the best
+ * affordable upgrade until none is left. A Wildcard values players over the
+ * rest of the horizon; a Free Hit only over its own gameweek (the squad
+ * reverts afterwards), and never has to honour locks.
+ * @returns {Array<Array<{out: number, in: number, gain: number}>>} Roll plus the rebuild
+ */
+function generateChipMoveSets(state, index, chip, context) {
+    const { gameweeks, projections, playersById } = context;
+    const gw = gameweeks[index];
+    const getValue = chip === 'freehit'
+        ? id => projections.get(id).byGW[gw]
+        : id => projections.get(id).remaining[index];
+
+    const moves = [];
+    const boughtIds = new Set();
+    let squad = state.squad;
+    let bank = state.bank;
+
+    while (moves.length < squad.length) {
+        const [best] = findSingleMoves(squad, bank, getValue, context, boughtIds)
+            .filter(move => chip !== 'freehit' || move.gain > 0);
+        if (!best) break;
+
+        moves.push(best);
+        boughtIds.add(best.in);
+        squad = squad.map(id => (id === best.out ? best.in : id));
+        bank += getSellPrice(best.out, context) - playersById.get(best.in).now_cost;
+    }
+
+    return moves.length > 0 ? [[], moves] : [[]];
+}
+
+/**
+ * Apply a move set to a state, enforcing budget and the per-club limit
+ * @returns {Object|null} New partial state or null if invalid
+ */
+function applyMoves(state, moves, context) {
+    const { playersById } = context;
+    let bank = state.bank;
+    let squad = state.squad;
+
+    if (moves.length > 0) {
+        const outs = new Set(moves.map(m => m.out));
+        squad = [...state.squad.filter(id => !outs.has(id)), ...moves.map(m => m.in)];
+
+        moves.forEach(m => {
+            bank += getSellPrice(m.out, context) - playersById.get(m.in).now_cost;
+        });
+        if (bank < 0) return null;
+
+        const teamCounts = countTeams(squad, playersById);
+        if (Object.values(teamCounts).some(count => count > MAX_PLAYERS_PER_TEAM)) return null;
+    }
+
+    return { squad, bank };
+}
+
+/**
+ * Projected points for a squad in one gameweek: best valid XI plus captain
+ * @param {number[]} squad - Player IDs
+ * @param {number} gw - Gameweek
+ * @param {string|null} chip - Chip played (benchboost/triplecaptain change scoring)
+ * @returns {number} Expected points
+ */
+function scoreGameweek(squad, gw, chip, { playersById, projections }) {
+    const entries = squad
+        .map(id => ({
+            position: playersById.get(id)?.element_type,
+            xPts: projections.get(id)?.byGW[gw] || 0
+        }))
+        .filter(e => e.position);
+
+    const { starters, bench } = selectStartingXI(entries);
+    const captain = starters.reduce((best, e) => Math.max(best, e.xPts), 0);
+    const captainMultiplier = chip === 'triplecaptain' ? 2 : 1;
+
+    let total = starters.reduce((sum, e) => sum + e.xPts, 0) + captain * captainMultiplier;
+    if (chip === 'benchboost') {
+        total += bench.reduce((sum, e) => sum + e.xPts, 0);
+    }
+    return total;
+}
+
+/**
+ * Pick the highest scoring XI that satisfies formation minimums
+ * @param {Array<{position: number, xPts: number}>} entries - Squad entries
+ * @returns {{starters: Array, bench: Array}} Split squad
+ */
+export function selectStartingXI(entries) {
+    const sorted = [...entries].sort((a, b) => b.xPts - a.xPts);
+    const starters = [];
+    const remaining = [];
+    const taken = { 1: 0, 2: 0, 3: 0, 4: 0 };
+
+    sorted.forEach(entry => {
+        if (taken[entry.position] < FORMATION_MINIMUMS[entry.position]) {
+            starters.push(entry);
+            taken[entry.position]++;
+        } else {
+            remaining.push(entry);
+        }
+    });
+
+    // Fill with best outfield players (only one goalkeeper may start)
+    const bench = [];
+    remaining.forEach(entry => {
+        if (starters.length < STARTING_XI_SIZE && entry.position !== 1) {
+            starters.push(entry);
+        } else {
+            bench.push(entry);
+        }
+    });
+
+    return { starters, bench };
+}
+
+function satisfiesLocks(squad, lockedIn, lockedOut) {
+    const owned = new Set(squad);
+    for (const id of lockedIn) {
+        if (!owned.has(id)) return false;
+    }
+    for (const id of lockedOut) {
+        if (owned.has(id)) return false;
+    }
+    return true;
+}
+
+/**
+ * Keep the best states, ranked by points so far plus the squad's remaining projection
+ */
+function pruneBeam(states, nextIndex, context) {
+    const { gameweeks, opts } = context;
+
+    // Collapse states that reached the same squad with the same FTs
+    const unique = new Map();
+    states.forEach(state => {
+        const key = `${[...state.squad].sort((a, b) => a - b).join(',')}|${state.freeTransfers}`;
+        const existing = unique.get(key);
+        if (!existing || state.points > existing.points ||
+            (state.points === existing.points && state.bank > existing.bank)) {
+            unique.set(key, state);
+        }
+    });
+
+    const scored = [...unique.values()].map(state => {
+        let lookahead = 0;
+        for (let i = nextIndex; i < gameweeks.length; i++) {
+            lookahead += scoreGameweek(state.squad, gameweeks[i], null, context);
+        }
+        return { state, score: state.points + lookahead };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, opts.beamWidth).map(s => s.state);
+}
+
+function projectRoll(squad, context) {
+    const { plan, gameweeks } = context;
+    return gameweeks.reduce(
+        (sum, gw) => sum + scoreGameweek(squad, gw, plan.gameweekPlans[gw].chipUsed, context),
+        0
+    );
+}
+
+function rankResults(states, baseline, topK) {
+    const seen = new Set();
+    const results = [];
+
+    [...states].sort((a, b) => b.points - a.points).forEach(state => {
+        if (results.length >= topK) return;
+
+        const signature = state.history
+            .map(h => `${h.gameweek}:${h.transfers.map(t => `${t.out}>${t.in}`).sort().join('+')}`)
+            .join('|');
+        if (seen.has(signature)) return;
+        seen.add(signature);
+
+        const transfersByGW = {};
+        state.history.forEach(h => {
+            transfersByGW[h.gameweek] = h.transfers;
+        });
+
+        results.push({
+            rank: results.length + 1,
+            netPoints: state.points,
+            pointsHit: state.hits * POINTS_HIT_PER_TRANSFER,
+            gainVsRoll: state.points - baseline,
+            transfersByGW,
+            gameweeks: state.history
+        });
+    });
+
+    return results;
+}
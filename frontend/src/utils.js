@@ -243,10 +243,11 @@ export function getHeatmapStyle(heatClass) {
 
 /**
  * Get fixture difficulty class
- * @param {number} difficulty - Difficulty rating (1-5)
+ * @param {number} difficulty - Difficulty rating (1-5, custom FDR values are rounded)
  * @returns {string} CSS class name
  */
 export function getDifficultyClass(difficulty) {
+    difficulty = Math.round(difficulty);
     if (difficulty === 1) return 'fixture-diff-1'; // Dark green (easiest)
     if (difficulty === 2) return 'fixture-diff-2'; // Light green
     if (difficulty === 3) return 'fixture-diff-3'; // Gray (average)
@@ -268,7 +269,7 @@ export function getDifficultyColor(difficulty) {
         4: '#fca5a5', // Light red
         5: '#991b1b'  // Dark red
     };
-    return classes[difficulty] || classes[3];
+    return classes[Math.round(difficulty)] || classes[3];
 }
 
 // ============================================================================
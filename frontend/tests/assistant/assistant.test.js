@@ -0,0 +1,164 @@
+/**
+ * AI Assistant Tests
+ * Per-team conversations, local tools and the tool-calling chat loop
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const players = [
+    { id: 1, web_name: 'Saka', first_name: 'Bukayo', second_name: 'Saka', team: 1, element_type: 3, now_cost: 100, form: '7.0', total_points: 90, selected_by_percent: '40.0', status: 'a', news: '' },
+    { id: 2, web_name: 'Ødegaard', first_name: 'Martin', second_name: 'Ødegaard', team: 1, element_type: 3, now_cost: 85, form: '4.0', total_points: 60, selected_by_percent: '10.0', status: 'd', news: '75% chance of playing' },
+    { id: 3, web_name: 'Mbeumo', first_name: 'Bryan', second_name: 'Mbeumo', team: 2, element_type: 3, now_cost: 80, form: '6.5', total_points: 80, selected_by_percent: '20.0', status: 'a', news: '' }
+];
+
+vi.mock('../../src/data.js', () => ({
+    getAllPlayers: () => players,
+    getPlayerById: (id) => players.find(p => p.id === id) || null,
+    fplBootstrap: { teams: [{ id: 1, name: 'Arsenal', short_name: 'ARS' }, { id: 2, name: 'Brentford', short_name: 'BRE' }] },
+    currentGW: 11,
+    getActiveGW: () => 11
+}));
+
+vi.mock('../../src/utils.js', () => ({
+    getPositionShort: () => 'MID',
+    getTeamShortName: (id) => (id === 1 ? 'ARS' : 'BRE'),
+    getTeamName: (id) => (id === 1 ? 'Arsenal' : 'Brentford')
+}));
+
+vi.mock('../../src/fixtures.js', () => ({
+    getFixtures: () => [{ fixtureId: 120, event: 12, opponent: 'CHE (H)', difficulty: 3 }]
+}));
+
+vi.mock('../../src/projections.js', () => ({
+    DEFAULT_PROJECTION_HORIZON: 5,
+    getProjectedPoints: (player, horizon) => player.total_points / 10 * (horizon / 5),
+    getProjectedPointsForGameweek: (player) => player.total_points / 20
+}));
+
+vi.mock('../../src/transferHelpers.js', () => ({
+    findReplacements: vi.fn((problemPlayer, picks) => players
+        .filter(p => p.id !== problemPlayer.id && p.now_cost <= problemPlayer.now_cost + picks.entry_history.bank)
+        .map(p => ({ player: p, score: 50, priceDiff: p.now_cost - problemPlayer.now_cost })))
+}));
+
+vi.mock('../../src/aiManagerSnapshot.js', () => ({
+    buildManagerSnapshot: () => ({ squad: [{ id: 2, name: 'Ødegaard' }] })
+}));
+
+import { sharedState } from '../../src/sharedState.js';
+import { getConversation, appendMessages, clearConversation } from '../../src/assistant/store.js';
+import { runAssistantTool } from '../../src/assistant/tools.js';
+import { askAssistant } from '../../src/assistant/chat.js';
+
+function jsonResponse(body) {
+    return { ok: true, json: async () => body };
+}
+
+describe('assistant store', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        clearConversation(100);
+        clearConversation(200);
+    });
+
+    it('keeps a separate, persisted conversation per team', () => {
+        appendMessages(100, [{ role: 'user', content: 'Captain?' }]);
+        appendMessages(200, [{ role: 'user', content: 'Wildcard?' }]);
+
+        expect(getConversation(100).map(m => m.content)).toEqual(['Captain?']);
+        expect(getConversation(200).map(m => m.content)).toEqual(['Wildcard?']);
+        expect(JSON.parse(localStorage.getItem('fplanner_assistant_100'))).toEqual([{ role: 'user', content: 'Captain?' }]);
+    });
+
+    it('trims old messages without orphaning tool results', () => {
+        for (let i = 0; i < 20; i++) {
+            appendMessages(100, [
+                { role: 'user', content: `Q${i}` },
+                { role: 'assistant', toolCalls: [{ id: 'call_1_1', name: 'lookup_player' }] },
+                { role: 'tool', name: 'lookup_player', content: {} },
+                { role: 'assistant', content: `A${i}` }
+            ]);
+        }
+
+        const conversation = getConversation(100);
+        expect(conversation.length).toBeLessThanOrEqual(60);
+        expect(conversation[0]).toEqual({ role: 'user', content: 'Q5' });
+    });
+});
+
+describe('assistant tools', () => {
+    beforeEach(() => {
+        sharedState.myTeamData = { picks: { picks: [{ element: 2 }], entry_history: { bank: 5 } } };
+    });
+
+    it('looks players up by accent-insensitive name', () => {
+        const { players: matches } = runAssistantTool('lookup_player', { name: 'odegaard' });
+
+        expect(matches).toEqual([expect.objectContaining({
+            id: 2, name: 'Ødegaard', team: 'ARS', price: 8.5, form: 4, ownership: 10, news: '75% chance of playing', projectedPoints: 6
+        })]);
+    });
+
+    it('looks fixtures up by team name', () => {
+        expect(runAssistantTool('lookup_fixtures', { team: 'bre' })).toEqual({
+            player: undefined,
+            team: 'Brentford',
+            fixtures: [{ fixtureId: 120, gameweek: 12, opponent: 'CHE (H)', difficulty: 3 }]
+        });
+        expect(runAssistantTool('lookup_fixtures', { team: 'Barcelona' }).error).toContain('No team');
+    });
+
+    it('finds replacements within the budget the assistant asked for', () => {
+        const withBank = runAssistantTool('find_replacements', { playerId: 2 });
+        expect(withBank.bank).toBe(0.5);
+        expect(withBank.replacements.map(r => [r.name, r.priceDiff])).toEqual([['Mbeumo', -0.5]]);
+
+        const withBudget = runAssistantTool('find_replacements', { playerId: 2, bank: 1.5 });
+        expect(withBudget.replacements.map(r => r.name)).toEqual(['Saka', 'Mbeumo']);
+
+        expect(runAssistantTool('find_replacements', { playerId: 1 }).error).toContain('not in the squad');
+        expect(runAssistantTool('search_web', {}).error).toContain('Unknown tool');
+    });
+});
+
+describe('askAssistant', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        clearConversation(100);
+        sharedState.myTeamData = { picks: { picks: [{ element: 2 }], entry_history: { bank: 5 } } };
+    });
+
+    it('runs requested tools locally and sends their results back until the reply', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({
+                type: 'tool_calls',
+                toolCalls: [{ id: 'call_1_1', name: 'projected_points', arguments: { playerIds: [1, 3], gameweek: 12 } }]
+            }))
+            .mockResolvedValueOnce(jsonResponse({ type: 'reply', reply: 'Captain Saka.', provider: 'rules' }));
+        const onToolCalls = vi.fn();
+
+        const reply = await askAssistant('Who should I captain in GW12?', { teamId: 100, onToolCalls });
+
+        expect(reply).toBe('Captain Saka.');
+        expect(onToolCalls).toHaveBeenCalledTimes(1);
+        const secondRequest = JSON.parse(global.fetch.mock.calls[1][1].body);
+        expect(secondRequest.gameweek).toBe(11);
+        expect(secondRequest.managerSnapshot.squad[0].id).toBe(2);
+        expect(secondRequest.messages.at(-1)).toEqual({
+            role: 'tool',
+            toolCallId: 'call_1_1',
+            name: 'projected_points',
+            content: { gameweek: 12, horizon: 1, players: [{ id: 1, name: 'Saka', xPts: 4.5 }, { id: 3, name: 'Mbeumo', xPts: 4 }] }
+        });
+        expect(getConversation(100).map(m => m.role)).toEqual(['user', 'assistant', 'tool', 'assistant']);
+    });
+
+    it('saves an apology when the backend is unreachable', async () => {
+        global.fetch = vi.fn().mockRejectedValue(new Error('Failed to fetch'));
+
+        const reply = await askAssistant('Hello', { teamId: 100 });
+
+        expect(reply).toContain('could not reach');
+        expect(getConversation(100).at(-1)).toMatchObject({ role: 'assistant', error: true });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Chip Planner Tests
+ * Tests season chip scheduling across gameweeks
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mocks = vi.hoisted(() => ({
+    players: [],
+    // Squad teams double in GW12; teams 3-12 blank in GW13
+    doubleTeams: new Set(),
+    blankTeams: new Set()
+}));
+
+vi.mock('../src/data.js', () => ({
+    getAllPlayers: () => mocks.players,
+    getPlayerById: (id) => mocks.players.find(p => p.id === id) || null,
+    currentGW: 10,
+    fplBootstrap: { teams: [], elements: [], events: [] },
+    fplFixtures: []
+}));
+
+vi.mock('../src/projections.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    getProjectedPoints: vi.fn(player => player.base * 5),
+    getProjectedPointsForGameweek: vi.fn((player, gameweek) => {
+        if (gameweek === 12 && mocks.doubleTeams.has(player.team)) return player.base * 2;
+        if (gameweek === 13 && mocks.blankTeams.has(player.team)) return 0;
+        return player.base;
+    })
+}));
+
+vi.mock('../src/fixtures.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    getDoubleGameweeks: (teamId) => (mocks.doubleTeams.has(teamId) ? [{ gameweek: 12, fixtures: 2 }] : []),
+    getBlankGameweeks: (teamId) => (mocks.blankTeams.has(teamId) ? [13] : [])
+}));
+
+import { recommendChipSchedule, evaluateChipCalendar } from '../src/chipPlanner.js';
+import { getProjectedPointsForGameweek } from '../src/projections.js';
+
+function entry(gameweek, gains) {
+    const chips = {};
+    Object.entries(gains).forEach(([chip, gain]) => {
+        chips[chip] = { gain, detail: '' };
+    });
+    return { gameweek, squadXPts: 50, doublePlayers: 0, blankPlayers: 0, chips };
+}
+
+describe('recommendChipSchedule()', () => {
+    it('picks the best gameweek for each chip', () => {
+        const calendar = [
+            entry(11, { benchboost: 8, triplecaptain: 6 }),
+            entry(12, { benchboost: 15, triplecaptain: 7 }),
+            entry(13, { benchboost: 9, triplecaptain: 12 })
+        ];
+
+        const result = recommendChipSchedule(calendar, ['benchboost', 'triplecaptain']);
+
+        expect(result.schedule).toEqual({ benchboost: 12, triplecaptain: 13 });
+        expect(result.totalGain).toBe(27);
+    });
+
+    it('never plays two chips in the same gameweek', () => {
+        const calendar = [
+            entry(11, { benchboost: 20, triplecaptain: 18 }),
+            entry(12, { benchboost: 10, triplecaptain: 5 })
+        ];
+
+        const result = recommendChipSchedule(calendar, ['benchboost', 'triplecaptain']);
+
+        // BB 20 + TC 5 = 25 loses to BB 10 + TC 18 = 28
+        expect(result.schedule).toEqual({ benchboost: 12, triplecaptain: 11 });
+        expect(result.totalGain).toBe(28);
+    });
+
+    it('leaves chips unscheduled when they add nothing', () => {
+        const calendar = [entry(11, { freehit: 0 })];
+
+        const result = recommendChipSchedule(calendar, ['freehit']);
+
+        expect(result.schedule).toEqual({});
+        expect(result.totalGain).toBe(0);
+    });
+});
+
+describe('evaluateChipCalendar()', () => {
+    // Squad (ids 1-15, one per club): 2 GKP, 5 DEF, 5 MID, 3 FWD; the XI
+    // projects 5 each with player 8 the best captain, the bench 1 each
+    const SQUAD_TYPES = [1, 1, 2, 2, 2, 2, 2, 3, 3, 3, 3, 3, 4, 4, 4];
+    const BENCH = [2, 7, 12, 15];
+
+    function player(id, elementType, base, team = id) {
+        return { id, element_type: elementType, team, base, now_cost: 50, status: 'a', chance_of_playing_next_round: null, web_name: `P${id}` };
+    }
+
+    function buildPlan() {
+        return {
+            startGW: 11,
+            planningHorizon: 3,
+            currentTeamSnapshot: {
+                picks: SQUAD_TYPES.map((type, index) => ({ element: index + 1, position: index + 1, selling_price: 50 })),
+                bank: 0
+            },
+            gameweekPlans: { 11: { transfers: [] }, 12: { transfers: [] }, 13: { transfers: [] } }
+        };
+    }
+
+    beforeEach(() => {
+        const squad = SQUAD_TYPES.map((type, index) => {
+            const id = index + 1;
+            const base = BENCH.includes(id) ? 1 : (id === 8 ? 8 : 5);
+            return player(id, type, base);
+        });
+        // Market: 4 players per position on clubs 21+, projecting 4 each
+        const market = [1, 2, 3, 4].flatMap(type =>
+            [0, 1, 2, 3].map(n => player(100 + type * 10 + n, type, 4, 21 + type * 4 + n))
+        );
+        // Weak midfielders ranked below the calendar pool
+        const weak = Array.from({ length: 45 }, (_, n) => player(300 + n, 3, 0.1, 40 + n));
+
+        mocks.players = [...squad, ...market, ...weak];
+        mocks.doubleTeams = new Set(squad.map(p => p.team));
+        mocks.blankTeams = new Set([3, 4, 5, 6, 8, 9, 10, 11]);
+        getProjectedPointsForGameweek.mockClear();
+    });
+
+    it('values bench boost and triple captain highest in the double gameweek', () => {
+        const calendar = evaluateChipCalendar(buildPlan(), ['benchboost', 'triplecaptain'], 13);
+        const byGW = Object.fromEntries(calendar.map(e => [e.gameweek, e]));
+
+        expect(calendar.map(e => e.gameweek)).toEqual([11, 12, 13]);
+        expect(byGW[11].chips.benchboost.gain).toBe(4);
+        expect(byGW[12].chips.benchboost.gain).toBe(8);
+        expect(byGW[11].chips.triplecaptain.gain).toBe(8);
+        expect(byGW[12].chips.triplecaptain.gain).toBe(16);
+        expect(byGW[12].doublePlayers).toBe(15);
+    });
+
+    it('moves bench players into the blank gameweek XI instead of boosting them', () => {
+        const calendar = evaluateChipCalendar(buildPlan(), ['benchboost', 'triplecaptain'], 13);
+        const gw13 = calendar.find(e => e.gameweek === 13);
+
+        // The outfield bench players start for blanking defenders and midfielders,
+        // leaving blankers and the backup goalkeeper on the bench; player 8
+        // blanks so the captain is a 5
+        expect(gw13.blankPlayers).toBe(8);
+        expect(gw13.chips.benchboost.gain).toBe(1);
+        expect(gw13.chips.triplecaptain.gain).toBe(5);
+    });
+
+    it('values free hit in the blank gameweek and schedules chips around it', () => {
+        const chips = ['benchboost', 'triplecaptain', 'freehit'];
+        const calendar = evaluateChipCalendar(buildPlan(), chips, 13);
+        const gain = gw => calendar.find(e => e.gameweek === gw).chips.freehit.gain;
+
+        expect(gain(11)).toBe(0);
+        expect(gain(13)).toBeGreaterThan(gain(12));
+
+        const { schedule } = recommendChipSchedule(calendar, chips);
+        expect(schedule.freehit).toBe(13);
+        expect([schedule.benchboost, schedule.triplecaptain]).toContain(12);
+    });
+
+    it('projects each pool player once per gameweek and skips players outside the pool', () => {
+        evaluateChipCalendar(buildPlan(), ['freehit', 'wildcard', 'benchboost'], 13);
+
+        const calls = getProjectedPointsForGameweek.mock.calls.map(([p, gw]) => `${p.id}-${gw}`);
+        expect(new Set(calls).size).toBe(calls.length);
+        expect(getProjectedPointsForGameweek.mock.calls.some(([p]) => p.id >= 340)).toBe(false);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Player Comparison Tests
+ * Per-90 stats, radar scaling, price trajectory and #compare route parsing
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils.js', () => ({
+    calculatePPM: (p) => p.total_points / (p.now_cost / 10),
+    calculateMinutesPercentage: (p) => (p.minutes / 900) * 100
+}));
+
+import {
+    getSeasonPer90,
+    getRecentPer90,
+    buildRadarData,
+    getPriceTrajectory
+} from '../../src/compare/compareMetrics.js';
+import { parseCompareSegment, getCompareHash } from '../../src/compare/store.js';
+
+describe('getSeasonPer90', () => {
+    test('scales season totals to 90 minutes, falling back to GitHub season data', () => {
+        const player = {
+            minutes: 450, total_points: 40, goals_scored: 2, expected_goals: '1.50',
+            github_season: { defensive_contribution: 30 }
+        };
+        const { minutes, stats } = getSeasonPer90(player);
+        expect(minutes).toBe(450);
+        expect(stats.total_points).toBe(8);
+        expect(stats.goals_scored).toBeCloseTo(0.4);
+        expect(stats.expected_goals).toBeCloseTo(0.3);
+        expect(stats.defensive_contribution).toBe(6);
+    });
+
+    test('returns zeros for players without minutes', () => {
+        expect(getSeasonPer90({ minutes: 0, total_points: 0 }).stats.total_points).toBe(0);
+    });
+});
+
+describe('getRecentPer90', () => {
+    test('uses the most recent appearances with minutes only', () => {
+        const history = [
+            { round: 1, minutes: 90, total_points: 15 },
+            { round: 2, minutes: 90, total_points: 2 },
+            { round: 3, minutes: 0, total_points: 0 },
+            { round: 4, minutes: 45, total_points: 4 }
+        ];
+        const recent = getRecentPer90(history, 2);
+        expect(recent.appearances).toBe(2);
+        expect(recent.minutes).toBe(135);
+        expect(recent.stats.total_points).toBeCloseTo(4);
+    });
+
+    test('handles missing history', () => {
+        expect(getRecentPer90(null)).toMatchObject({ minutes: 0, appearances: 0 });
+    });
+});
+
+describe('buildRadarData', () => {
+    test('scales axes to the best regular starter', () => {
+        const star = { minutes: 900, total_points: 100, now_cost: 100, form: '8.0', bonus: 10 };
+        const cameo = { minutes: 90, total_points: 20, now_cost: 45, form: '2.0', bonus: 3 };
+        const compared = { minutes: 450, total_points: 25, now_cost: 50, form: '4.0', bonus: 1 };
+
+        const { indicators, series } = buildRadarData([compared], [star, cameo, compared]);
+        const axis = Object.fromEntries(indicators.map(i => [i.name, i.max]));
+
+        // Cameo's 20 pts/90 is ignored - only regulars (and the compared players) set the scale
+        expect(axis['Pts/90']).toBe(10);
+        expect(axis.Form).toBe(8);
+        expect(axis['xG/90']).toBe(1);
+        expect(series).toHaveLength(1);
+        expect(series[0].values[0]).toBe(5);
+    });
+});
+
+describe('getPriceTrajectory', () => {
+    test('converts prices to £m and reports the change since the first gameweek', () => {
+        const trajectory = getPriceTrajectory([
+            { gameweek: 1, price: 75 },
+            { gameweek: 2, price: null },
+            { gameweek: 3, price: 76 }
+        ], 78);
+        expect(trajectory.points).toEqual([{ gameweek: 1, price: 7.5 }, { gameweek: 3, price: 7.6 }]);
+        expect(trajectory.start).toBe(7.5);
+        expect(trajectory.change).toBe(0.3);
+    });
+
+    test('has no change without history', () => {
+        expect(getPriceTrajectory(null, 60)).toEqual({ points: [], start: null, change: 0 });
+    });
+});
+
+describe('#compare route', () => {
+    test('parses unique IDs up to the limit', () => {
+        expect(parseCompareSegment('3,1,3,x,-2,7,9,11')).toEqual([3, 1, 7, 9]);
+        expect(parseCompareSegment('')).toEqual([]);
+        expect(getCompareHash([4, 5])).toBe('#compare/4,5');
+    });
+});
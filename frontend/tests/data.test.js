@@ -12,6 +12,10 @@ import {
     getPlayerById,
     getTeamById,
     refreshData,
+    applyLiveUpdate,
+    startAutoRefresh,
+    stopAutoRefresh,
+    isAutoRefreshActive,
     fplBootstrap,
     fplFixtures,
     githubData,
@@ -355,3 +359,104 @@ describe('Data Module - Caching Behavior', () => {
         expect(global.fetch).toHaveBeenCalledWith('/api/fpl-data?refresh=true');
     });
 });
+
+describe('Data Module - Live Stream Updates', () => {
+    beforeEach(() => {
+        global.fetch.mockReset();
+    });
+
+    it('should merge live stats and fixture changes in place', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({
+                bootstrap: {
+                    events: [{ id: 7, is_current: true, finished: false }],
+                    teams: [],
+                    elements: [{ id: 1, web_name: 'Salah' }, { id: 2, web_name: 'Saka' }]
+                },
+                fixtures: [{ id: 10, event: 7, started: false, finished: false, team_h_score: null }],
+                github: {},
+                meta: { bootstrap_age: 0 }
+            })
+        });
+        const data = await loadFPLData();
+
+        applyLiveUpdate({
+            gameweek: 7,
+            events: [{ type: 'goal', element: 1, count: 1 }],
+            elements: [{ id: 1, live_stats: { goals_scored: 1, total_points: 6, provisional_bonus: 3 } }],
+            fixtures: [{ id: 10, started: true, team_h_score: 1 }]
+        });
+
+        expect(data.bootstrap.elements[0].live_stats.total_points).toBe(6);
+        expect(data.bootstrap.elements[1].live_stats).toBeUndefined();
+        expect(data.fixtures[0]).toMatchObject({ id: 10, event: 7, started: true, team_h_score: 1 });
+    });
+
+    it('retries a dropped stream with backoff and polls only after repeated failures', async () => {
+        class FakeEventSource {
+            constructor(url) {
+                this.url = url;
+                this.listeners = {};
+                FakeEventSource.instances.push(this);
+            }
+            addEventListener(type, handler) {
+                this.listeners[type] = handler;
+            }
+            close() {
+                this.closed = true;
+            }
+        }
+        FakeEventSource.instances = [];
+        global.EventSource = FakeEventSource;
+
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({
+                bootstrap: {
+                    events: [{ id: 7, is_current: true, finished: false, deadline_time: '2020-01-01T11:00:00Z' }],
+                    teams: [],
+                    elements: []
+                },
+                fixtures: [],
+                github: {},
+                meta: { bootstrap_age: 0 }
+            })
+        });
+        await loadFPLData();
+        global.fetch.mockClear();
+        global.fetch.mockResolvedValue({ ok: false, status: 503, json: async () => ({}) });
+
+        vi.useFakeTimers();
+        try {
+            startAutoRefresh();
+            expect(FakeEventSource.instances).toHaveLength(1);
+
+            // Two drops: reconnect after 2s, then 4s, without polling
+            FakeEventSource.instances[0].onerror();
+            vi.advanceTimersByTime(2000);
+            FakeEventSource.instances[1].onerror();
+            vi.advanceTimersByTime(4000);
+            expect(FakeEventSource.instances).toHaveLength(3);
+            expect(global.fetch).not.toHaveBeenCalled();
+
+            // Third drop in a row: poll, and keep trying the stream
+            FakeEventSource.instances[2].onerror();
+            await vi.advanceTimersByTimeAsync(2 * 60 * 1000);
+            expect(global.fetch).toHaveBeenCalled();
+            await vi.advanceTimersByTimeAsync(3 * 60 * 1000);
+            expect(FakeEventSource.instances).toHaveLength(4);
+
+            // Stream is back: polling stops
+            FakeEventSource.instances[3].listeners.ready();
+            global.fetch.mockClear();
+            await vi.advanceTimersByTimeAsync(4 * 60 * 1000);
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(isAutoRefreshActive()).toBe(true);
+        } finally {
+            stopAutoRefresh();
+            vi.useRealTimers();
+            delete global.EventSource;
+        }
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../src/data.js', () => ({
+  currentGW: 4,
+  getActiveGW: () => 4,
+  fplBootstrap: {
+    teams: [
+      // Strong attack, weak defence
+      { id: 1, code: 3, short_name: 'ARS', strength_attack_home: 1350, strength_attack_away: 1330, strength_defence_home: 1050, strength_defence_away: 1030 },
+      // Weak attack, strong defence
+      { id: 2, code: 7, short_name: 'AVL', strength_attack_home: 1050, strength_attack_away: 1030, strength_defence_home: 1350, strength_defence_away: 1330 },
+      // Average
+      { id: 3, code: 91, short_name: 'BOU', strength_attack_home: 1200, strength_attack_away: 1180, strength_defence_home: 1200, strength_defence_away: 1180 }
+    ]
+  },
+  githubData: {
+    teamStats: [
+      { id: 1, code: 3, elo: 1900 },
+      { id: 2, code: 7, elo: 1700 },
+      { id: 3, code: 91, elo: 1800 }
+    ]
+  },
+  fplFixtures: [
+    { event: 5, team_h: 3, team_a: 1, team_h_difficulty: 4, team_a_difficulty: 2 },
+    { event: 6, team_h: 2, team_a: 3, team_h_difficulty: 3, team_a_difficulty: 3 }
+  ]
+}));
+
+import { buildTeamRatings, rateFixture, getFDRPerspective, FDR_PERSPECTIVES } from '../src/fdr/model.js';
+import { FDR_MODES, getFDRMode, setFDRMode } from '../src/fdr/store.js';
+import { getFixtures, calculateFixtureDifficulty } from '../src/fixtures.js';
+import { fplBootstrap, githubData } from '../src/data.js';
+
+describe('custom FDR model', () => {
+  test('rates attack and defence separately from opponent strengths', () => {
+    const ratings = buildTeamRatings(fplBootstrap.teams);
+
+    // Team 3 at home to team 1: weak defence to attack, strong attack to defend against
+    const fixture = rateFixture(ratings, 1, true);
+
+    expect(fixture.attack).toBeLessThan(3);
+    expect(fixture.defence).toBeGreaterThan(3);
+    expect(fixture.overall).toBeCloseTo((fixture.attack + fixture.defence) / 2, 2);
+  });
+
+  test('uses the opponent venue strength', () => {
+    const ratings = buildTeamRatings(fplBootstrap.teams);
+
+    const opponentAway = rateFixture(ratings, 1, true);
+    const opponentHome = rateFixture(ratings, 1, false);
+
+    expect(opponentHome.defence).toBeGreaterThan(opponentAway.defence);
+  });
+
+  test('blends in Elo when it is available', () => {
+    const strengthOnly = rateFixture(buildTeamRatings(fplBootstrap.teams), 2, true);
+    const withElo = rateFixture(buildTeamRatings(fplBootstrap.teams, githubData.teamStats), 2, true);
+
+    // Team 2 has the lowest Elo, so Elo makes attacking them easier
+    expect(withElo.attack).toBeLessThan(strengthOnly.attack);
+  });
+
+  test('keeps difficulty within 1-5 on a continuous scale', () => {
+    const ratings = buildTeamRatings(fplBootstrap.teams, githubData.teamStats);
+
+    for (const teamId of [1, 2, 3]) {
+      const { attack, defence } = rateFixture(ratings, teamId, false);
+      expect(attack).toBeGreaterThanOrEqual(1);
+      expect(attack).toBeLessThanOrEqual(5);
+      expect(defence).toBeGreaterThanOrEqual(1);
+      expect(defence).toBeLessThanOrEqual(5);
+    }
+  });
+
+  test('returns no ratings without bootstrap strengths', () => {
+    const ratings = buildTeamRatings([{ id: 1, short_name: 'ARS' }]);
+
+    expect(ratings.size).toBe(0);
+    expect(rateFixture(ratings, 1, true)).toBeNull();
+  });
+
+  test('maps positions to perspectives', () => {
+    expect(getFDRPerspective(1)).toBe(FDR_PERSPECTIVES.DEFENCE);
+    expect(getFDRPerspective(2)).toBe(FDR_PERSPECTIVES.DEFENCE);
+    expect(getFDRPerspective(3)).toBe(FDR_PERSPECTIVES.ATTACK);
+    expect(getFDRPerspective(4)).toBe(FDR_PERSPECTIVES.ATTACK);
+  });
+});
+
+describe('FDR mode', () => {
+  beforeEach(() => {
+    setFDRMode(FDR_MODES.OFFICIAL);
+  });
+
+  test('defaults to official FDR', () => {
+    const fixtures = getFixtures(3, 1, false);
+
+    expect(getFDRMode()).toBe(FDR_MODES.OFFICIAL);
+    expect(fixtures[0].difficulty).toBe(4);
+    expect(calculateFixtureDifficulty(3, 1)).toBe(4);
+  });
+
+  test('uses model difficulty by perspective in custom mode', () => {
+    setFDRMode(FDR_MODES.CUSTOM);
+
+    const attack = calculateFixtureDifficulty(3, 1, FDR_PERSPECTIVES.ATTACK);
+    const defence = calculateFixtureDifficulty(3, 1, FDR_PERSPECTIVES.DEFENCE);
+    const [fixture] = getFixtures(3, 1, false);
+
+    expect(attack).toBeLessThan(defence);
+    expect(fixture.officialDifficulty).toBe(4);
+    expect(fixture.difficulty).toBeCloseTo((attack + defence) / 2, 1);
+  });
+
+  test('persists the mode and notifies listeners', () => {
+    const listener = vi.fn();
+    window.addEventListener('fdr-mode-updated', listener);
+
+    setFDRMode(FDR_MODES.CUSTOM);
+
+    expect(window.localStorage.getItem('fplanner_fdr_mode')).toBe('custom');
+    expect(listener).toHaveBeenCalledTimes(1);
+    window.removeEventListener('fdr-mode-updated', listener);
+  });
+});
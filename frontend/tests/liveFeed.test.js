@@ -0,0 +1,133 @@
+/**
+ * Live Feed Tests
+ * Event detection from live stat changes and feed storage
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Squad: 1 GKP, 4 DEF, 4 MID, 2 FWD starting; bench GKP 12, DEF 13, MID 14, FWD 15
+const mocks = vi.hoisted(() => {
+    const types = [1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 1, 2, 3, 4];
+    const players = new Map(types.map((type, index) => [index + 1, {
+        id: index + 1,
+        web_name: `Player ${index + 1}`,
+        team: index + 1,
+        element_type: type,
+        live_stats: { minutes: 90, total_points: 2 }
+    }]));
+    const fixtures = types.map((type, index) => ({ id: index + 1, event: 7, team_h: index + 1, team_a: 100 + index, finished: true }));
+    return { types, players, fixtures };
+});
+
+vi.mock('../src/data.js', () => ({
+    getActiveGW: () => 7,
+    getPlayerById: (id) => mocks.players.get(id) || null,
+    fplFixtures: mocks.fixtures
+}));
+
+import { diffPlayerLiveState, getSquadAutoSubs } from '../src/liveFeed/feed.js';
+import { addFeedEvents, getFeedEvents, clearFeed } from '../src/liveFeed/store.js';
+import { sharedState } from '../src/sharedState.js';
+
+const defender = { id: 5, element_type: 2 };
+const forward = { id: 9, element_type: 4 };
+
+function state(overrides = {}) {
+    return {
+        minutes: 0,
+        goals: 0,
+        assists: 0,
+        goalsConceded: 0,
+        redCards: 0,
+        bonus: 0,
+        subbedOutFor: null,
+        ...overrides
+    };
+}
+
+describe('diffPlayerLiveState()', () => {
+    it('emits one event per new goal and assist', () => {
+        const events = diffPlayerLiveState(state({ goals: 1 }), state({ goals: 3, assists: 1 }), forward, 7);
+
+        expect(events.map(e => e.id)).toEqual([
+            '7-goal-9-2',
+            '7-goal-9-3',
+            '7-assist-9-1'
+        ]);
+        expect(events[1].detail).toBe('Goal #3');
+    });
+
+    it('flags clean sheet losses only for positions that score them', () => {
+        const prev = state();
+        const next = state({ goalsConceded: 1 });
+
+        expect(diffPlayerLiveState(prev, next, defender, 7).map(e => e.type)).toEqual(['clean_sheet_lost']);
+        expect(diffPlayerLiveState(prev, next, forward, 7)).toEqual([]);
+        // Already conceded - no second event
+        expect(diffPlayerLiveState(next, state({ goalsConceded: 2 }), defender, 7)).toEqual([]);
+    });
+
+    it('only flags a clean sheet loss while the player could still lose it', () => {
+        const conceded = { goalsConceded: 1 };
+
+        // Still on the pitch past 60 minutes
+        expect(diffPlayerLiveState(state({ minutes: 70 }), state({ minutes: 75, ...conceded }), defender, 7)
+            .map(e => e.type)).toEqual(['clean_sheet_lost']);
+        // Subbed off after 60 minutes - the clean sheet is banked
+        expect(diffPlayerLiveState(state({ minutes: 65 }), state({ minutes: 65, ...conceded }), defender, 7)).toEqual([]);
+    });
+
+    it('detects bonus changes, red cards and auto-subs', () => {
+        const events = diffPlayerLiveState(
+            state({ bonus: 1 }),
+            state({ bonus: 3, redCards: 1, subbedOutFor: 13 }),
+            defender,
+            7
+        );
+
+        expect(events.map(e => e.type)).toEqual(['bonus', 'red_card', 'auto_sub']);
+        expect(events[0].detail).toBe('Bonus 1 → 3');
+        expect(events[2].detail).toBe('Did not play - auto-subbed for Player 13');
+
+        // Same sub on the next update - no second event
+        expect(diffPlayerLiveState(state({ subbedOutFor: 13 }), state({ subbedOutFor: 13 }), defender, 7)).toEqual([]);
+    });
+});
+
+describe('getSquadAutoSubs()', () => {
+    const picks = mocks.types.map((type, index) => ({ element: index + 1, position: index + 1, is_captain: index === 0 }));
+
+    it('returns the live scoring engine auto-subs for the squad', () => {
+        sharedState.myTeamData = { picks: { picks, active_chip: null } };
+        mocks.players.get(2).live_stats = { minutes: 0, total_points: 0 };
+        // A benched player who did not play is not a starter to sub
+        mocks.players.get(14).live_stats = { minutes: 0, total_points: 0 };
+
+        expect(getSquadAutoSubs(7)).toEqual(new Map([[2, 13]]));
+    });
+
+    it('makes no subs with bench boost active', () => {
+        sharedState.myTeamData = { picks: { picks, active_chip: 'bboost' } };
+
+        expect(getSquadAutoSubs(7).size).toBe(0);
+    });
+});
+
+describe('live feed store', () => {
+    it('keeps newest events first and ignores duplicates', () => {
+        clearFeed();
+        addFeedEvents(7, [{ id: 'a', type: 'goal' }, { id: 'b', type: 'assist' }]);
+        const added = addFeedEvents(7, [{ id: 'b', type: 'assist' }, { id: 'c', type: 'bonus' }]);
+
+        expect(added.map(e => e.id)).toEqual(['c']);
+        expect(getFeedEvents(7).map(e => e.id)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('starts a fresh feed for a new gameweek', () => {
+        addFeedEvents(7, [{ id: 'x', type: 'goal' }]);
+        addFeedEvents(8, [{ id: 'y', type: 'goal' }]);
+
+        expect(getFeedEvents(7)).toEqual([]);
+        expect(getFeedEvents(8).map(e => e.id)).toEqual(['y']);
+    });
+});
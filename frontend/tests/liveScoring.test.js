@@ -0,0 +1,156 @@
+/**
+ * Live Scoring Tests
+ * Tests the shared live scoring engine (auto-subs, captaincy, chips, provisional bonus)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateLiveScore, calculateProvisionalBonus } from '../../shared/liveScoring.js';
+
+// Squad: 1 GK, 4 DEF, 4 MID, 2 FWD starting; bench GK, DEF, MID, FWD
+// Player ID = position, team = position (each player on their own team)
+const TYPES = [1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 1, 2, 3, 4];
+
+function buildSquad({ captain = 1, vice = 2 } = {}) {
+    return TYPES.map((type, index) => ({
+        element: index + 1,
+        position: index + 1,
+        is_captain: index + 1 === captain,
+        is_vice_captain: index + 1 === vice
+    }));
+}
+
+function buildContext(overrides = {}) {
+    const players = new Map(TYPES.map((type, index) => [index + 1, { team: index + 1, element_type: type }]));
+    const liveStats = new Map(TYPES.map((type, index) => [index + 1, { minutes: 90, total_points: 2, bonus: 0 }]));
+    // One finished fixture per team
+    const fixtures = TYPES.map((type, index) => ({ id: index + 1, event: 10, team_h: index + 1, team_a: 100 + index, finished: true }));
+
+    Object.entries(overrides).forEach(([id, stats]) => {
+        liveStats.set(Number(id), { ...liveStats.get(Number(id)), ...stats });
+    });
+
+    return { players, liveStats, fixtures };
+}
+
+describe('calculateLiveScore()', () => {
+    it('counts the starting XI with a doubled captain', () => {
+        const result = calculateLiveScore({ picks: buildSquad(), ...buildContext() });
+
+        expect(result.totalPoints).toBe(24); // 11 x 2 + captain bonus 2
+        expect(result.benchPoints).toBe(8);
+        expect(result.autoSubs).toEqual([]);
+    });
+
+    it('subs in bench order while keeping a valid formation', () => {
+        // DEF 2 did not play; first outfield bench player (DEF 13) comes on
+        const context = buildContext({ 2: { minutes: 0, total_points: 0 }, 13: { total_points: 6 } });
+        const result = calculateLiveScore({ picks: buildSquad(), ...context });
+
+        expect(result.autoSubs).toEqual([{ element_out: 2, element_in: 13 }]);
+        expect(result.totalPoints).toBe(28);
+    });
+
+    it('skips bench players who would break the formation', () => {
+        // 3-5-2: MID 13 starts at position 5, bench order is MID 14, FWD 15, DEF 5
+        const order = { 5: 15, 13: 5, 14: 13, 15: 14 };
+        const picks = buildSquad().map(p => order[p.element] ? { ...p, position: order[p.element] } : p);
+        const context = buildContext({ 2: { minutes: 0, total_points: 0 } });
+        context.players.set(13, { team: 13, element_type: 3 });
+
+        const result = calculateLiveScore({ picks, ...context });
+
+        expect(result.autoSubs).toEqual([{ element_out: 2, element_in: 5 }]);
+    });
+
+    it('does not sub players whose fixture has not finished', () => {
+        const context = buildContext({ 3: { minutes: 0, total_points: 0 } });
+        context.fixtures[2] = { ...context.fixtures[2], finished: false, started: false };
+
+        const result = calculateLiveScore({ picks: buildSquad(), ...context });
+
+        expect(result.autoSubs).toEqual([]);
+    });
+
+    it('waits for a pending bench player instead of subbing in a later one', () => {
+        // DEF 2 did not play; bench DEF 13 has not played yet, bench MID 14 has
+        const context = buildContext({ 2: { minutes: 0, total_points: 0 }, 13: { minutes: 0, total_points: 0 } });
+        context.fixtures[12] = { ...context.fixtures[12], finished: false, started: false };
+
+        const pending = calculateLiveScore({ picks: buildSquad(), ...context });
+        expect(pending.autoSubs).toEqual([]);
+
+        // Once DEF 13's match finishes without him, MID 14 comes on
+        context.fixtures[12] = { ...context.fixtures[12], finished: true };
+        const finished = calculateLiveScore({ picks: buildSquad(), ...context });
+        expect(finished.autoSubs).toEqual([{ element_out: 2, element_in: 14 }]);
+    });
+
+    it('only replaces a goalkeeper with the bench goalkeeper', () => {
+        const context = buildContext({ 1: { minutes: 0, total_points: 0 }, 12: { minutes: 0, total_points: 0 } });
+        const result = calculateLiveScore({ picks: buildSquad({ captain: 6, vice: 7 }), ...context });
+
+        expect(result.autoSubs).toEqual([]);
+    });
+
+    it('promotes the vice-captain with the triple captain multiplier', () => {
+        const context = buildContext({ 1: { minutes: 0, total_points: 0 }, 2: { total_points: 10 } });
+        const result = calculateLiveScore({ picks: buildSquad(), activeChip: '3xc', ...context });
+
+        expect(result.captainId).toBe(2);
+        expect(result.autoSubs).toEqual([{ element_out: 1, element_in: 12 }]);
+        // 9 others x 2 + VC 10 x 3 + sub GK 2
+        expect(result.totalPoints).toBe(50);
+    });
+
+    it('counts all 15 players with bench boost and makes no subs', () => {
+        const context = buildContext({ 4: { minutes: 0, total_points: 0 } });
+        const result = calculateLiveScore({ picks: buildSquad(), activeChip: 'bboost', ...context });
+
+        expect(result.autoSubs).toEqual([]);
+        expect(result.totalPoints).toBe(30); // 14 x 2 + captain bonus 2
+    });
+
+    it('adds provisional bonus until official bonus is awarded', () => {
+        const context = buildContext({ 3: { bonus: 2, total_points: 4 } });
+        const provisionalBonus = new Map([[2, 3], [3, 2]]);
+        const result = calculateLiveScore({ picks: buildSquad(), ...context, provisionalBonus });
+
+        expect(result.totalPoints).toBe(29); // 24 + 2 (official) + 3 (provisional)
+    });
+});
+
+describe('calculateProvisionalBonus()', () => {
+    const fixtures = [
+        { id: 1, event: 10, team_h: 1, team_a: 2, started: true },
+        { id: 2, event: 9, team_h: 1, team_a: 2, started: true, finished: true }
+    ];
+    const elementTeams = new Map([[1, 1], [2, 1], [3, 2], [4, 2], [5, 2]]);
+
+    it('awards 3/2/1 by BPS and shares tied awards', () => {
+        const live = [
+            { id: 1, stats: { minutes: 90, bps: 30 } },
+            { id: 2, stats: { minutes: 90, bps: 30 } },
+            { id: 3, stats: { minutes: 90, bps: 20 } },
+            { id: 4, stats: { minutes: 90, bps: 10 } }
+        ];
+
+        const bonus = calculateProvisionalBonus(live, fixtures, elementTeams, 10);
+
+        expect(bonus.get(1)).toBe(3);
+        expect(bonus.get(2)).toBe(3);
+        expect(bonus.get(3)).toBe(1);
+        expect(bonus.has(4)).toBe(false);
+    });
+
+    it('ignores other gameweeks and players without minutes', () => {
+        const live = [
+            { id: 1, stats: { minutes: 90, bps: 5 } },
+            { id: 5, stats: { minutes: 0, bps: 0 } }
+        ];
+
+        const bonus = calculateProvisionalBonus(live, fixtures, elementTeams, 10);
+
+        expect(bonus.get(1)).toBe(3);
+        expect(bonus.has(5)).toBe(false);
+    });
+});
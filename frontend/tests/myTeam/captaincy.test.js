@@ -0,0 +1,144 @@
+/**
+ * Captaincy Tests
+ * Option ranking, league captaincy EO and rank swing
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+
+const players = {
+    1: { id: 1, web_name: 'Keeper', team: 1, element_type: 1 },
+    2: { id: 2, web_name: 'Striker', team: 1, element_type: 4 },
+    3: { id: 3, web_name: 'Winger', team: 2, element_type: 3 },
+    4: { id: 4, web_name: 'Sub', team: 2, element_type: 3 }
+};
+
+vi.mock('../../src/data.js', () => ({
+    getPlayerById: (id) => players[id] || null,
+    fplFixtures: [],
+    getActiveGW: () => 10,
+    getAllPlayers: () => Object.values(players),
+    fplBootstrap: { teams: [] }
+}));
+
+vi.mock('../../src/fixtures.js', () => ({
+    isDoubleGameweek: () => true,
+    getMatchStatus: () => ''
+}));
+
+// Team 1 doubles, team 2 has a single fixture
+vi.mock('../../src/projections.js', () => ({
+    projectPlayer: (player) => ({
+        gameweeks: [{
+            xPts: { 1: 4, 2: 9, 3: 6, 4: 5 }[player.id],
+            fixtures: player.team === 1 ? [{}, {}] : [{}]
+        }]
+    }),
+    getPointsDistribution: (player) => ({
+        1: [0.2, 0, 0.5, 0, 0, 0, 0.3],
+        2: [0.1, 0, 0.3, 0, 0, 0, 0, 0, 0, 0, 0.6],
+        3: [0.1, 0, 0.5, 0, 0, 0, 0, 0, 0, 0, 0.4],
+        4: [1]
+    })[player.id]
+}));
+
+import {
+    buildCaptainOptions,
+    sortCaptainOptions,
+    summarizeDistribution,
+    getLeagueCaptaincyEO,
+    getTemplateCaptain,
+    getCaptainRankSwing,
+    CAPTAIN_SORTS
+} from '../../src/myTeam/captaincy.js';
+
+const picks = [
+    { element: 1, position: 1 },
+    { element: 2, position: 10 },
+    { element: 3, position: 11 },
+    { element: 4, position: 12 }
+];
+
+const rivalTeam = (captain, owned) => ({
+    picks: {
+        picks: owned.map(element => ({
+            element,
+            is_captain: element === captain,
+            multiplier: element === captain ? 2 : 1
+        }))
+    }
+});
+
+describe('captain options', () => {
+    test('summarises haul, blank, floor and ceiling', () => {
+        expect(summarizeDistribution([0.1, 0, 0.3, 0, 0, 0, 0, 0, 0, 0, 0.6])).toEqual({
+            haulProb: 0.6,
+            blankProb: 0.4,
+            floor: 0,
+            ceiling: 10
+        });
+    });
+
+    test('ranks starters only, best projection first, flagging doubles', () => {
+        const options = buildCaptainOptions(picks, 11);
+
+        expect(options.map(o => o.player.id)).toEqual([2, 3, 1]);
+        expect(options[0].isDouble).toBe(true);
+        expect(options[1].isDouble).toBe(false);
+    });
+
+    test('sorts by haul chance or by safety', () => {
+        const options = buildCaptainOptions(picks, 11);
+
+        expect(sortCaptainOptions(options, CAPTAIN_SORTS.HAUL).map(o => o.player.id)).toEqual([2, 3, 1]);
+        expect(sortCaptainOptions(options, CAPTAIN_SORTS.SAFE)[0].player.id).toBe(2);
+        expect(sortCaptainOptions(options, CAPTAIN_SORTS.SAFE).at(-1).player.id).toBe(1);
+    });
+});
+
+describe('league captaincy risk', () => {
+    const rivalTeamCache = new Map([
+        [201, rivalTeam(2, [2, 3])],
+        [202, rivalTeam(2, [2])],
+        [203, rivalTeam(3, [3])]
+    ]);
+    const standings = [
+        { entry: 201, rank: 1, total: 513 },
+        { entry: 100, rank: 2, total: 510 },
+        { entry: 202, rank: 3, total: 505 },
+        { entry: 203, rank: 4, total: 490 }
+    ];
+    const leagueState = {
+        teamId: 100,
+        activeLeagueTab: 55,
+        leagueStandingsCache: new Map([[55, { standings: { results: standings } }]]),
+        rivalTeamCache
+    };
+
+    test('weights effective ownership by captaincy', () => {
+        expect(getLeagueCaptaincyEO(2, leagueState)).toEqual({ eo: (4 / 3) * 100, owners: 2, captains: 2, total: 3 });
+        expect(getLeagueCaptaincyEO(3, leagueState).eo).toBeCloseTo(100);
+    });
+
+    test('finds the template captain', () => {
+        expect(getTemplateCaptain(rivalTeamCache)).toEqual({ playerId: 2, count: 2 });
+    });
+
+    test('a differential captain swings rank both ways', () => {
+        const [, winger] = buildCaptainOptions(picks, 11);
+        const swing = getCaptainRankSwing(winger, { standings, myEntryId: 100, rivalTeamCache }, 100);
+
+        // Winger: xPts 6, floor 0, ceiling 10 - the leader only starts the winger
+        expect(swing.currentRank).toBe(2);
+        expect(swing.haulChange).toBe(1);
+        expect(swing.blankChange).toBe(-1);
+    });
+
+    test('the template captain protects rank against rivals who also captain the player', () => {
+        const [striker] = buildCaptainOptions(picks, 11);
+        const swing = getCaptainRankSwing(striker, { standings, myEntryId: 100, rivalTeamCache }, 133);
+
+        // Both rivals around us captain the striker, so only the 203 gap moves
+        expect(swing.haulChange).toBe(0);
+        expect(swing.blankChange).toBe(0);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Head-to-Head Tests
+ * Live gap, players left, projected gap and differential swings
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+
+// Team 1 has finished, team 2 is at half time, team 3 has not kicked off
+const players = {
+    1: { id: 1, web_name: 'Keeper', team: 1, element_type: 1, live_stats: { minutes: 90, total_points: 6, bonus: 0 } },
+    2: { id: 2, web_name: 'Striker', team: 2, element_type: 4, live_stats: { minutes: 45, total_points: 5, bonus: 0 } },
+    3: { id: 3, web_name: 'Winger', team: 3, element_type: 3, live_stats: { minutes: 0, total_points: 0, bonus: 0 } },
+    4: { id: 4, web_name: 'Defender', team: 3, element_type: 2, live_stats: { minutes: 0, total_points: 0, bonus: 0 } }
+};
+
+vi.mock('../../src/data.js', () => ({
+    getPlayerById: (id) => players[id] || null,
+    fplFixtures: [
+        { id: 1, event: 10, team_h: 1, team_a: 4, started: true, finished: true, minutes: 90 },
+        { id: 2, event: 10, team_h: 2, team_a: 5, started: true, finished: false, minutes: 45 },
+        { id: 3, event: 10, team_h: 3, team_a: 6, started: false, finished: false, minutes: 0 }
+    ]
+}));
+
+vi.mock('../../src/projections.js', () => ({
+    getProjectedPointsForGameweek: (player) => ({ 1: 4, 2: 6, 3: 5, 4: 3 }[player.id])
+}));
+
+import { getRemainingFixtureShare, buildHeadToHead } from '../../src/myTeam/headToHead.js';
+
+function makeTeam(picks, activeChip = null, transferCost = 0) {
+    return { picks: { picks, active_chip: activeChip, entry_history: { points: 0, event_transfers_cost: transferCost } } };
+}
+
+describe('getRemainingFixtureShare', () => {
+    test('counts unplayed minutes across unfinished fixtures', () => {
+        expect(getRemainingFixtureShare([
+            { started: true, finished: true, minutes: 90 },
+            { started: true, finished: false, minutes: 45 },
+            { started: false, finished: false, minutes: 0 }
+        ])).toBe(1.5);
+        expect(getRemainingFixtureShare([])).toBe(0);
+    });
+});
+
+describe('buildHeadToHead', () => {
+    const me = makeTeam([
+        { element: 1, position: 1, is_captain: false, is_vice_captain: false },
+        { element: 2, position: 2, is_captain: true, is_vice_captain: false },
+        { element: 3, position: 3, is_captain: false, is_vice_captain: true }
+    ]);
+    const rival = makeTeam([
+        { element: 1, position: 1, is_captain: false, is_vice_captain: false },
+        { element: 2, position: 2, is_captain: false, is_vice_captain: true },
+        { element: 4, position: 3, is_captain: true, is_vice_captain: false }
+    ]);
+
+    test('applies captaincy to live points and projected points', () => {
+        const h2h = buildHeadToHead(me, rival, 10);
+
+        // Me: 6 + 5x2 + 0 = 16 live; left: Striker 3 x2 + Winger 5 = 11
+        expect(h2h.me.livePoints).toBe(16);
+        expect(h2h.me.playersLeft).toBe(2);
+        expect(h2h.me.projectedPoints).toBe(27);
+
+        // Rival: 6 + 5 + 0 = 11 live; left: Striker 3 + Defender 3x2 = 9
+        expect(h2h.rival.livePoints).toBe(11);
+        expect(h2h.rival.projectedPoints).toBe(20);
+
+        expect(h2h.liveGap).toBe(5);
+        expect(h2h.projectedGap).toBe(7);
+    });
+
+    test('ranks differentials by swing and cancels shared players', () => {
+        const { swings, liveGap, projectedGap } = buildHeadToHead(me, rival, 10);
+
+        expect(swings.map(row => row.player.id)).toEqual([4, 3, 2]);
+        expect(swings[0]).toMatchObject({ myMultiplier: 0, rivalMultiplier: 2, swing: -6, perGoal: -12 });
+        expect(swings[2]).toMatchObject({ netMultiplier: 1, remainingXPts: 3, swing: 3 });
+        expect(swings.find(row => row.player.id === 1)).toBeUndefined();
+
+        const total = swings.reduce((sum, row) => sum + row.swing, 0);
+        expect(liveGap + total).toBeCloseTo(projectedGap);
+    });
+
+    test('takes transfer hits off the live and projected gap', () => {
+        const h2h = buildHeadToHead(me, makeTeam(rival.picks.picks, null, 4), 10);
+
+        expect(h2h.rival.transferCost).toBe(4);
+        expect(h2h.rival.livePoints).toBe(7);
+        expect(h2h.rival.projectedPoints).toBe(16);
+        expect(h2h.liveGap).toBe(9);
+        expect(h2h.projectedGap).toBe(11);
+    });
+
+    test('triple captain counts three times', () => {
+        const h2h = buildHeadToHead(makeTeam(me.picks.picks, '3xc'), rival, 10);
+        expect(h2h.me.livePoints).toBe(21);
+        expect(h2h.me.chip).toBe('3xc');
+    });
+});
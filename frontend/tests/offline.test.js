@@ -0,0 +1,103 @@
+/**
+ * Offline Support Tests
+ * Offline mirror fallback in the data module and offline status formatting
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../src/offline/offlineStore.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        saveOfflineData: vi.fn(),
+        loadOfflineData: vi.fn()
+    };
+});
+
+import { loadFPLData, loadMyTeam } from '../src/data.js';
+import {
+    saveOfflineData,
+    loadOfflineData,
+    getOfflineStatus,
+    formatDataAge
+} from '../src/offline/offlineStore.js';
+
+global.fetch = vi.fn();
+
+const fplData = {
+    bootstrap: { events: [{ id: 1, finished: true }], teams: [], elements: [] },
+    fixtures: [],
+    github: {},
+    meta: { bootstrap_age: 1000, timestamp: '2025-01-01T12:00:00.000Z' }
+};
+
+describe('offline mirror fallback', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        global.fetch.mockReset();
+    });
+
+    it('mirrors successful responses', async () => {
+        global.fetch.mockResolvedValueOnce({ ok: true, json: async () => fplData });
+
+        await loadFPLData();
+
+        expect(saveOfflineData).toHaveBeenCalledWith('fpl-data', fplData);
+        expect(getOfflineStatus().fromMirror).toBe(false);
+    });
+
+    it('serves the mirrored copy when the network is unreachable', async () => {
+        global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        loadOfflineData.mockResolvedValueOnce({ data: fplData, savedAt: Date.now() });
+
+        const result = await loadFPLData();
+
+        expect(result).toEqual(fplData);
+        expect(loadOfflineData).toHaveBeenCalledWith('fpl-data');
+        expect(saveOfflineData).not.toHaveBeenCalled();
+        expect(getOfflineStatus()).toMatchObject({
+            offline: true,
+            fromMirror: true,
+            timestamp: Date.parse('2025-01-01T12:00:00.000Z')
+        });
+    });
+
+    it('treats the service worker cache fallback as offline data', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            headers: new Headers({ 'X-FPLanner-Offline': '1' }),
+            json: async () => fplData
+        });
+
+        await loadFPLData();
+
+        expect(saveOfflineData).not.toHaveBeenCalled();
+        expect(getOfflineStatus()).toMatchObject({ offline: true, fromMirror: true });
+    });
+
+    it('rethrows the network error when nothing was mirrored', async () => {
+        global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        loadOfflineData.mockResolvedValueOnce(null);
+
+        await expect(loadMyTeam(999, { forceRefresh: true })).rejects.toThrow('Failed to fetch');
+        expect(loadOfflineData).toHaveBeenCalledWith('team-999');
+    });
+
+    it('does not fall back on HTTP errors', async () => {
+        global.fetch.mockResolvedValueOnce({ ok: false, status: 404, json: async () => ({ message: 'Team not found' }) });
+
+        await expect(loadMyTeam(998, { forceRefresh: true })).rejects.toThrow('Team not found');
+        expect(loadOfflineData).not.toHaveBeenCalled();
+    });
+});
+
+describe('formatDataAge()', () => {
+    const now = Date.parse('2025-01-02T12:00:00.000Z');
+
+    it('formats minutes, hours and days', () => {
+        expect(formatDataAge(now - 30 * 1000, now)).toBe('just now');
+        expect(formatDataAge(now - 5 * 60 * 1000, now)).toBe('5m ago');
+        expect(formatDataAge(now - 3 * 60 * 60 * 1000, now)).toBe('3h ago');
+        expect(formatDataAge(now - 3 * 24 * 60 * 60 * 1000, now)).toBe('3d ago');
+    });
+});
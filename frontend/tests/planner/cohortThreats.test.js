@@ -0,0 +1,63 @@
+/**
+ * Cohort Threats Tests
+ * User exposure vs cohort effective ownership, per-return points swing
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/data.js', () => {
+    const players = {
+        1: { id: 1, web_name: 'Haaland', team: 1, element_type: 4 },
+        2: { id: 2, web_name: 'Salah', team: 2, element_type: 3 },
+        3: { id: 3, web_name: 'Gabriel', team: 3, element_type: 2 },
+        4: { id: 4, web_name: 'Bench Keeper', team: 4, element_type: 1 },
+        5: { id: 5, web_name: 'Niche', team: 5, element_type: 3 }
+    };
+    return { getPlayerById: (id) => players[id] || null };
+});
+
+import { buildThreatsAndDifferentials, getMyMultipliers } from '../../src/planner/cohortThreats.js';
+
+const picks = [
+    { element: 1, position: 9, multiplier: 2 },
+    { element: 3, position: 3, multiplier: 1 },
+    { element: 5, position: 10, multiplier: 1 },
+    { element: 4, position: 12, multiplier: 0 }
+];
+
+const bucket = {
+    sampleSize: 100,
+    players: [
+        { id: 2, ownership: 90, captaincy: 40, eo: 130 },
+        { id: 1, ownership: 95, captaincy: 50, eo: 145 },
+        { id: 3, ownership: 60, captaincy: 0, eo: 60 },
+        { id: 4, ownership: 30, captaincy: 0, eo: 20 }
+    ]
+};
+
+describe('cohort threats and differentials', () => {
+    it('reads multipliers from picks, defaulting by position', () => {
+        const multipliers = getMyMultipliers([{ element: 7, position: 2 }, { element: 8, position: 13 }]);
+
+        expect(multipliers.get(7)).toBe(1);
+        expect(multipliers.get(8)).toBe(0);
+    });
+
+    it('flags unowned high-EO players and benched template picks as threats', () => {
+        const { threats } = buildThreatsAndDifferentials(picks, bucket);
+
+        expect(threats.map(t => t.player.id)).toEqual([2, 4]);
+        // 130% EO midfielder: -1.3 x 5 points per goal
+        expect(threats[0].swing).toBe(-6.5);
+        expect(threats[1].swing).toBe(-2);
+    });
+
+    it('ranks differentials by points gained per return', () => {
+        const { differentials } = buildThreatsAndDifferentials(picks, bucket);
+
+        // Niche (0% EO, MID) +5, Gabriel (60% EO, DEF) +2.4, captained Haaland (145% EO, FWD) +2.2
+        expect(differentials.map(d => d.player.id)).toEqual([5, 3, 1]);
+        expect(differentials[0].swing).toBe(5);
+        expect(differentials[2].swing).toBe(2.2);
+    });
+});
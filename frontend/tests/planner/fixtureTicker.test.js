@@ -0,0 +1,102 @@
+/**
+ * Fixture Ticker Tests
+ * Grid building with blanks/doubles, window sorting and rotation pairs
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/data.js', () => ({
+    currentGW: 4,
+    getActiveGW: () => 4,
+    githubData: null,
+    fplBootstrap: {
+        teams: [
+            { id: 1, name: 'Arsenal', short_name: 'ARS' },
+            { id: 2, name: 'Aston Villa', short_name: 'AVL' },
+            { id: 3, name: 'Bournemouth', short_name: 'BOU' },
+            { id: 4, name: 'Brentford', short_name: 'BRE' }
+        ]
+    },
+    fplFixtures: [
+        // GW5
+        { event: 5, team_h: 1, team_a: 2, team_h_difficulty: 2, team_a_difficulty: 5 },
+        { event: 5, team_h: 3, team_a: 4, team_h_difficulty: 3, team_a_difficulty: 3 },
+        // GW6 - team 4 blanks, team 1 doubles
+        { event: 6, team_h: 2, team_a: 1, team_h_difficulty: 3, team_a_difficulty: 2 },
+        { event: 6, team_h: 1, team_a: 3, team_h_difficulty: 2, team_a_difficulty: 4 },
+        // GW7
+        { event: 7, team_h: 4, team_a: 1, team_h_difficulty: 5, team_a_difficulty: 2 },
+        { event: 7, team_h: 2, team_a: 3, team_h_difficulty: 5, team_a_difficulty: 2 }
+    ],
+    getAllPlayers: () => [
+        { id: 10, web_name: 'Keeper A', team: 2, element_type: 1, now_cost: 45, minutes: 540, status: 'a' },
+        { id: 11, web_name: 'Keeper B', team: 3, element_type: 1, now_cost: 40, minutes: 540, status: 'a' },
+        { id: 12, web_name: 'Keeper C', team: 4, element_type: 1, now_cost: 45, minutes: 540, status: 'a' },
+        { id: 13, web_name: 'Pricey', team: 1, element_type: 1, now_cost: 55, minutes: 540, status: 'a' },
+        { id: 14, web_name: 'Backup', team: 3, element_type: 1, now_cost: 40, minutes: 0, status: 'a' }
+    ]
+}));
+
+import {
+    buildFixtureTicker,
+    sortTickerRows,
+    findRotationPairs,
+    getDefaultTickerWindow,
+    getGameweekDifficulty,
+    TICKER_SORTS
+} from '../../src/planner/fixtureTicker.js';
+
+describe('fixture ticker', () => {
+    it('defaults to the gameweeks after the active one', () => {
+        expect(getDefaultTickerWindow(3)).toEqual({ startGW: 5, endGW: 7 });
+    });
+
+    it('builds a row per team with blanks and doubles', () => {
+        const { gameweeks, rows } = buildFixtureTicker({ startGW: 5, endGW: 7 });
+        const arsenal = rows.find(r => r.team.id === 1);
+        const brentford = rows.find(r => r.team.id === 4);
+
+        expect(gameweeks).toEqual([5, 6, 7]);
+        expect(rows).toHaveLength(4);
+        expect(arsenal.doubles).toEqual([6]);
+        expect(arsenal.cells[1].fixtures.map(f => f.opponentName)).toEqual(['AVL', 'BOU']);
+        expect(brentford.blanks).toEqual([6]);
+        expect(brentford.cells[1].difficulty.overall).toBe(5);
+    });
+
+    it('discounts doubles and sorts the easiest window first', () => {
+        const { rows } = buildFixtureTicker({ startGW: 5, endGW: 7 });
+        const sorted = sortTickerRows(rows, TICKER_SORTS.OVERALL);
+
+        // Arsenal: 2, (2+2)/2 - 1 = 1, 2
+        expect(sorted[0].team.id).toBe(1);
+        expect(sorted[0].totals.overall).toBeCloseTo(5 / 3);
+        expect(sortTickerRows(rows, TICKER_SORTS.NAME).map(r => r.team.short_name)).toEqual(['ARS', 'AVL', 'BOU', 'BRE']);
+    });
+
+    it('keeps discounted doubles on the FDR scale', () => {
+        const easyDouble = [{ overall: 1.5 }, { overall: 1.5 }];
+        const triple = [{ overall: 2 }, { overall: 2 }, { overall: 2 }];
+
+        expect(getGameweekDifficulty(easyDouble, 'overall')).toBe(1);
+        expect(getGameweekDifficulty(triple, 'overall')).toBe(1);
+        expect(getGameweekDifficulty([{ overall: 4 }, { overall: 3 }], 'overall')).toBe(2.5);
+    });
+
+    it('pairs budget players so one always has the easier fixture', () => {
+        const pairs = findRotationPairs({ elementType: 1, maxPrice: 45, startGW: 5, endGW: 7 });
+        const best = pairs[0];
+
+        // Arsenal's keeper is over budget and Bournemouth's backup has no minutes
+        expect(pairs.flatMap(p => p.players.map(pl => pl.id))).not.toContain(13);
+        expect(pairs.flatMap(p => p.players.map(pl => pl.id))).not.toContain(14);
+        expect(pairs).toHaveLength(3);
+
+        // Villa (5, 3, 5) + Bournemouth (3, 4, 2) cover each other's hard weeks;
+        // Bournemouth + Brentford (3, blank, 5) has nobody easy in GW6
+        expect(best.players.map(p => p.id).sort()).toEqual([10, 11]);
+        expect(best.schedule.map(s => s.difficulty)).toEqual([3, 3, 2]);
+        expect(best.schedule.map(s => s.playerId)).toEqual([11, 10, 11]);
+        expect(best.totalCost).toBe(85);
+    });
+});
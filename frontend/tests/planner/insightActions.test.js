@@ -0,0 +1,82 @@
+/**
+ * Planner Insight Action Tests
+ * Tests applying AI insight actions (transfer, sell, buy) to the planner
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/data.js', () => ({
+    getPlayerById: vi.fn(id => (id < 100 ? { id, web_name: `Player ${id}`, team: 1, element_type: 3, now_cost: 60 } : null))
+}));
+
+vi.mock('../../src/pullToRefresh.js', () => ({
+    showWarningToast: vi.fn()
+}));
+
+vi.mock('../../src/utils/myPlayers.js', () => ({
+    getMyPlayerIdSet: () => new Set()
+}));
+
+import { plannerState } from '../../src/planner/state.js';
+import { sharedState } from '../../src/sharedState.js';
+import { isWishlisted } from '../../src/wishlist/store.js';
+import { showWarningToast } from '../../src/pullToRefresh.js';
+import { applyInsightAction, isPlannerAction } from '../../src/planner/insightActions.js';
+
+const picks = [{ element: 1 }, { element: 2 }, { element: 3 }];
+
+describe('applyInsightAction', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        plannerState.clear();
+        sharedState.myTeamData = { picks: { picks, entry_history: { bank: 15, value: 1000 } } };
+        window.location.hash = '';
+        showWarningToast.mockClear();
+    });
+
+    it('only applies transfer, sell and buy actions', () => {
+        expect(isPlannerAction({ type: 'transfer', outId: 1 })).toBe(true);
+        expect(isPlannerAction({ type: 'captain', playerId: 1 })).toBe(false);
+        expect(applyInsightAction({ type: 'chip', chip: 'wildcard' })).toBe(false);
+        expect(applyInsightAction(null)).toBe(false);
+    });
+
+    it('adds a transfer to the planner, initializing it from the loaded team', () => {
+        expect(applyInsightAction({ type: 'transfer', label: 'Swap', outId: 2, inId: 20 })).toBe(true);
+
+        expect(plannerState.isInitialized()).toBe(true);
+        expect(plannerState.getChanges().map(c => [c.out, c.in])).toEqual([[2, 20]]);
+        expect(window.location.hash).toBe('#planner');
+    });
+
+    it('opens replacements for sells and transfers without a target', () => {
+        expect(applyInsightAction({ type: 'sell', label: 'Replace', playerId: 3 })).toBe(true);
+        expect(window.location.hash).toBe('#planner/replace/3');
+
+        expect(applyInsightAction({ type: 'transfer', label: 'Swap', outId: 1, inId: 2 })).toBe(true);
+        expect(window.location.hash).toBe('#planner/replace/1');
+        expect(plannerState.getChanges()).toEqual([]);
+    });
+
+    it('ignores players who are not in the squad', () => {
+        expect(applyInsightAction({ type: 'sell', label: 'Replace', playerId: 9 })).toBe(false);
+        expect(window.location.hash).toBe('');
+        expect(showWarningToast).toHaveBeenCalledWith('Player 9 is not in your planned squad');
+    });
+
+    it('warns when no team is loaded', () => {
+        sharedState.myTeamData = null;
+
+        expect(applyInsightAction({ type: 'sell', label: 'Replace', playerId: 1 })).toBe(false);
+        expect(showWarningToast).toHaveBeenCalledWith('Load your team before applying insight actions in the planner');
+    });
+
+    it('wishlists buy targets', () => {
+        expect(applyInsightAction({ type: 'buy', label: 'Buy', playerId: 40 })).toBe(true);
+        expect(isWishlisted(40)).toBe(true);
+        expect(window.location.hash).toBe('#planner');
+
+        expect(applyInsightAction({ type: 'buy', label: 'Buy', playerId: 400 })).toBe(false);
+        expect(showWarningToast).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Planner Metrics Tests
+ * Expected points follow the planner's gameweek
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/data.js', () => ({
+    getAllPlayers: () => [
+        { id: 1, team: 1, element_type: 3, form: '5.0', expected_goal_involvements_per_90: '0.5' },
+        { id: 2, team: 2, element_type: 4, form: '3.0', expected_goal_involvements_per_90: '0.3' }
+    ],
+    currentGW: 10
+}));
+
+vi.mock('../../src/myTeam/teamSummaryHelpers.js', () => ({
+    calculateSquadAverages: () => ({ avgPPM: 0, avgFDR: 0, avgOwnership: 0, avgMinPercent: 0 })
+}));
+
+vi.mock('../../src/projections.js', () => ({
+    DEFAULT_PROJECTION_HORIZON: 5,
+    getProjectedPoints: vi.fn((player, horizon, startGW) => startGW)
+}));
+
+import { calculateTeamMetrics } from '../../src/planner/metrics.js';
+import { getProjectedPoints } from '../../src/projections.js';
+
+describe('calculateTeamMetrics', () => {
+    it('projects expected points from the gameweek after the one given', () => {
+        const metrics = calculateTeamMetrics([{ element: 1 }, { element: 2 }], 14);
+
+        expect(getProjectedPoints).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), 5, 15);
+        expect(metrics.expectedPoints).toBe(30);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Planner State Tests
+ * Tests undo/redo history, snapshots and persistence per squad
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { plannerState } from '../../src/planner/state.js';
+
+const picks = [{ element: 1 }, { element: 2 }, { element: 3 }];
+const squad = picks.map(p => ({ id: p.element }));
+
+function initialize() {
+    plannerState.initialize(squad, picks, 10, 1000);
+}
+
+describe('PlannerState', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        plannerState.clear();
+        initialize();
+    });
+
+    describe('undo/redo', () => {
+        it('undoes and redoes replacements and resets', () => {
+            plannerState.addChange(1, 10);
+            plannerState.addChange(2, 20);
+            plannerState.removeChange(1);
+
+            expect(plannerState.getChanges().map(c => c.out)).toEqual([2]);
+
+            plannerState.undo();
+            expect(plannerState.getChanges().map(c => c.out)).toEqual([1, 2]);
+
+            plannerState.undo();
+            expect(plannerState.getChanges().map(c => c.out)).toEqual([1]);
+
+            plannerState.redo();
+            expect(plannerState.getChanges().map(c => c.out)).toEqual([1, 2]);
+        });
+
+        it('clears redo history after a new edit', () => {
+            plannerState.addChange(1, 10);
+            plannerState.undo();
+            expect(plannerState.canRedo()).toBe(true);
+
+            plannerState.addChange(2, 20);
+            expect(plannerState.canRedo()).toBe(false);
+        });
+
+        it('does not record history for no-op resets', () => {
+            plannerState.removeChange(3);
+            plannerState.resetAll();
+            expect(plannerState.canUndo()).toBe(false);
+        });
+    });
+
+    describe('snapshots', () => {
+        it('saves and reopens named snapshots', () => {
+            plannerState.addChange(1, 10);
+            const snapshot = plannerState.saveSnapshot('Keep midfield');
+            plannerState.resetAll();
+
+            expect(plannerState.loadSnapshot(snapshot.id)).toBe(true);
+            expect(plannerState.getChanges()).toEqual([expect.objectContaining({ out: 1, in: 10 })]);
+
+            // Opening a snapshot can be undone
+            plannerState.undo();
+            expect(plannerState.getChanges()).toEqual([]);
+        });
+
+        it('tracks snapshots selected for comparison', () => {
+            const a = plannerState.saveSnapshot('A');
+            const b = plannerState.saveSnapshot('B');
+
+            plannerState.toggleSnapshotCompare(b.id);
+            expect(plannerState.getComparedSnapshots().map(s => s.name)).toEqual(['B']);
+
+            plannerState.deleteSnapshot(b.id);
+            expect(plannerState.getComparedSnapshots()).toEqual([]);
+            expect(plannerState.getSnapshots().map(s => s.id)).toEqual([a.id]);
+        });
+    });
+
+    describe('persistence', () => {
+        it('restores changes, history and snapshots after reload', () => {
+            plannerState.addChange(1, 10);
+            plannerState.saveSnapshot('Saved');
+
+            // Simulate a page reload
+            plannerState.clear();
+            initialize();
+
+            expect(plannerState.getChanges()).toEqual([expect.objectContaining({ out: 1, in: 10 })]);
+            expect(plannerState.canUndo()).toBe(true);
+            expect(plannerState.getSnapshots().map(s => s.name)).toEqual(['Saved']);
+        });
+
+        it('keeps state separate per team signature', () => {
+            plannerState.addChange(1, 10);
+
+            plannerState.initialize([{ id: 4 }], [{ element: 4 }], 0, 1000);
+            expect(plannerState.getChanges()).toEqual([]);
+
+            initialize();
+            expect(plannerState.getChanges()).toHaveLength(1);
+        });
+    });
+});
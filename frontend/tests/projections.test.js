@@ -0,0 +1,141 @@
+import { describe, test, expect, vi } from 'vitest';
+
+// Mock data.js (must be before imports due to hoisting)
+vi.mock('../src/data.js', () => ({
+  currentGW: 4,
+  getNextGameweek: () => 5,
+  fplBootstrap: {
+    elements: [],
+    teams: [
+      { id: 1, short_name: 'ARS', strength_attack_home: 1350, strength_attack_away: 1300, strength_defence_home: 1350, strength_defence_away: 1300 },
+      { id: 2, short_name: 'AVL', strength_attack_home: 1150, strength_attack_away: 1100, strength_defence_home: 1150, strength_defence_away: 1100 },
+      { id: 3, short_name: 'BOU', strength_attack_home: 1050, strength_attack_away: 1000, strength_defence_home: 1050, strength_defence_away: 1000 }
+    ]
+  },
+  fplFixtures: [
+    { event: 5, team_h: 1, team_a: 3, team_h_difficulty: 2, team_a_difficulty: 5 },
+    { event: 6, team_h: 2, team_a: 1, team_h_difficulty: 4, team_a_difficulty: 3 },
+    // GW7: team 1 blank
+    { event: 7, team_h: 2, team_a: 3, team_h_difficulty: 2, team_a_difficulty: 3 },
+    // GW8: team 1 double
+    { event: 8, team_h: 1, team_a: 2, team_h_difficulty: 3, team_a_difficulty: 4 },
+    { event: 8, team_h: 3, team_a: 1, team_h_difficulty: 5, team_a_difficulty: 2 }
+  ]
+}));
+
+import {
+  projectPlayer,
+  getProjectedPoints,
+  getProjectedPointsForGameweek,
+  getCleanSheetProbability,
+  getPointsDistribution
+} from '../src/projections.js';
+
+const basePlayer = {
+  team: 1,
+  element_type: 3,
+  status: 'a',
+  chance_of_playing_next_round: null,
+  minutes: 360,
+  starts: 4,
+  expected_goals_per_90: '0.40',
+  expected_assists_per_90: '0.20',
+  bonus: 4,
+  yellow_cards: 0
+};
+
+// Projections are memoized by player ID, so every test player gets a fresh ID
+let nextId = 1;
+const makePlayer = (overrides = {}) => ({ id: nextId++, ...basePlayer, ...overrides });
+
+describe('projectPlayer', () => {
+  test('projects one entry per gameweek from the next gameweek', () => {
+    const projection = projectPlayer(makePlayer(), 4);
+
+    expect(projection.startGW).toBe(5);
+    expect(projection.gameweeks.map(g => g.gameweek)).toEqual([5, 6, 7, 8]);
+  });
+
+  test('scores blank gameweeks as zero and sums double gameweeks', () => {
+    const projection = projectPlayer(makePlayer(), 4);
+    const [gw5, , gw7, gw8] = projection.gameweeks;
+
+    expect(gw7.isBlank).toBe(true);
+    expect(gw7.xPts).toBe(0);
+    expect(gw8.isDouble).toBe(true);
+    expect(gw8.fixtures).toHaveLength(2);
+    expect(gw8.xPts).toBeGreaterThan(gw5.xPts);
+  });
+
+  test('total equals the sum of gameweek projections', () => {
+    const projection = projectPlayer(makePlayer(), 4);
+    const sum = projection.gameweeks.reduce((acc, g) => acc + g.xPts, 0);
+
+    expect(projection.total).toBeCloseTo(sum, 6);
+  });
+
+  test('ruled-out players score nothing next week but recover later', () => {
+    const injured = makePlayer({ status: 'i', chance_of_playing_next_round: 0 });
+    const projection = projectPlayer(injured, 2);
+
+    expect(projection.gameweeks[0].xPts).toBe(0);
+    expect(projection.gameweeks[1].xPts).toBeGreaterThan(0);
+  });
+
+  test('players who left the club are never projected', () => {
+    expect(getProjectedPoints(makePlayer({ status: 'u' }), 4)).toBe(0);
+  });
+
+  test('returns an empty projection for a missing player', () => {
+    expect(projectPlayer(null).total).toBe(0);
+  });
+});
+
+describe('getProjectedPointsForGameweek', () => {
+  test('matches the gameweek entry of a multi-week projection', () => {
+    const player = makePlayer();
+    const projection = projectPlayer(player, 4);
+
+    expect(getProjectedPointsForGameweek(player, 6)).toBeCloseTo(projection.gameweeks[1].xPts, 6);
+  });
+});
+
+describe('getCleanSheetProbability', () => {
+  test('strong defence at home against weak attack is more likely to keep a clean sheet', () => {
+    expect(getCleanSheetProbability(1, 3, true)).toBeGreaterThan(getCleanSheetProbability(3, 1, false));
+  });
+
+  test('returns a probability', () => {
+    const p = getCleanSheetProbability(2, 1, true);
+    expect(p).toBeGreaterThan(0);
+    expect(p).toBeLessThan(1);
+  });
+});
+
+describe('getPointsDistribution', () => {
+  const sum = (pmf) => pmf.reduce((a, b) => a + b, 0);
+
+  test('is a probability distribution', () => {
+    const pmf = getPointsDistribution(makePlayer(), 5);
+
+    expect(sum(pmf)).toBeCloseTo(1, 6);
+    pmf.forEach(p => expect(p).toBeGreaterThanOrEqual(0));
+  });
+
+  test('a blank gameweek always scores zero', () => {
+    expect(getPointsDistribution(makePlayer(), 7)).toEqual([1]);
+  });
+
+  test('a double gameweek raises the chance of a haul', () => {
+    const player = makePlayer();
+    const haul = (pmf) => sum(pmf.slice(10));
+
+    expect(haul(getPointsDistribution(player, 8))).toBeGreaterThan(haul(getPointsDistribution(player, 6)));
+  });
+
+  test('a ruled-out player scores zero', () => {
+    const injured = makePlayer({ status: 'i', chance_of_playing_next_round: 0 });
+
+    expect(getPointsDistribution(injured, 5)[0]).toBeCloseTo(1, 6);
+  });
+});
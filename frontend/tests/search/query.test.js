@@ -0,0 +1,103 @@
+/**
+ * Player Query Language Tests
+ * Tokenizing, parsing with inline errors, and matching players
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+
+vi.mock('../../src/data.js', () => ({
+    fplBootstrap: {
+        teams: [
+            { id: 1, name: 'Arsenal', short_name: 'ARS' },
+            { id: 2, name: 'Liverpool', short_name: 'LIV' }
+        ]
+    }
+}));
+
+vi.mock('../../src/fixtures.js', () => ({
+    calculateFixtureDifficulty: (teamId) => (teamId === 1 ? 2.4 : 3.6)
+}));
+
+vi.mock('../../src/projections.js', () => ({
+    getProjectedPoints: () => 20
+}));
+
+vi.mock('../../src/utils.js', () => ({
+    calculatePPM: (p) => p.total_points / (p.now_cost / 10),
+    calculateMinutesPercentage: (p) => (p.minutes / 900) * 100
+}));
+
+import { tokenizeQuery, getQueryFields, parseQuery, matchesQuery } from '../../src/search/query.js';
+
+const players = [
+    {
+        id: 1, web_name: 'Saka', team: 1, element_type: 3, now_cost: 100, total_points: 80,
+        selected_by_percent: '35.2', minutes: 810, status: 'a', expected_goal_involvements_per_90: '0.61',
+        github_season: { defensive_contribution_per_90: 2.1 }
+    },
+    {
+        id: 2, web_name: 'Budget Mid', team: 2, element_type: 3, now_cost: 55, total_points: 40,
+        selected_by_percent: '4.1', minutes: 450, status: 'd', expected_goal_involvements_per_90: '0.48',
+        github_season: { defensive_contribution_per_90: 6.3 }
+    },
+    {
+        id: 3, web_name: 'Centre Back', team: 2, element_type: 2, now_cost: 60, total_points: 50,
+        selected_by_percent: '12.0', minutes: 900, status: 'a', expected_goal_involvements_per_90: '0.10',
+        github_season: { defensive_contribution_per_90: 11.2 }
+    }
+];
+
+const fields = getQueryFields(players);
+
+function run(query) {
+    const { ast, errors } = parseQuery(query, fields);
+    expect(errors).toEqual([]);
+    return players.filter(p => matchesQuery(ast, p)).map(p => p.id);
+}
+
+describe('tokenizeQuery', () => {
+    test('splits words, parentheses and keywords, keeping quoted spaces', () => {
+        const tokens = tokenizeQuery('pos:MID (team:"Man Utd" OR own<10)');
+        expect(tokens.map(t => t.type)).toEqual(['word', 'lparen', 'word', 'or', 'word', 'rparen']);
+        expect(tokens[2]).toMatchObject({ text: 'team:"Man Utd"', start: 9 });
+    });
+});
+
+describe('parseQuery / matchesQuery', () => {
+    test('ANDs side-by-side conditions using aliases', () => {
+        expect(run('pos:MID price<=7.5 xgi90>0.45')).toEqual([2]);
+        expect(run('fdr5<2.8 minutes%>70')).toEqual([1]);
+    });
+
+    test('supports OR with parentheses and explicit AND', () => {
+        expect(run('pos:DEF OR own>30')).toEqual([1, 3]);
+        expect(run('(team:ARS OR team:LIV) AND own<10')).toEqual([2]);
+    });
+
+    test('reads raw bootstrap and GitHub-enriched fields', () => {
+        expect(run('status:a total_points>=50')).toEqual([1, 3]);
+        expect(run('defensive_contribution_per_90>6')).toEqual([2, 3]);
+        expect(run('github_season.defensive_contribution_per_90>10')).toEqual([3]);
+        expect(run('status!=a')).toEqual([2]);
+    });
+
+    test('an empty query matches everyone', () => {
+        expect(run('')).toEqual([1, 2, 3]);
+    });
+
+    test('reports bad tokens with their position', () => {
+        const { ast, errors } = parseQuery('pos:XYZ price<<7 shots>2 form', fields);
+        expect(ast).toBeNull();
+        expect(errors.map(e => e.start)).toEqual([0, 8, 17, 25]);
+        expect(errors[0].message).toContain('not a valid pos');
+        expect(errors[2].message).toBe('Unknown field "shots"');
+        expect(errors[3].message).toContain('is not a condition');
+    });
+
+    test('reports grouping mistakes', () => {
+        expect(parseQuery('(pos:MID', fields).errors[0].message).toBe('Missing closing )');
+        expect(parseQuery('pos:MID)', fields).errors[0].message).toBe('Unmatched )');
+        expect(parseQuery('pos:MID OR', fields).errors[0].message).toBe('OR needs a condition on both sides');
+        expect(parseQuery('status<a', fields).errors[0].message).toContain('needs a number');
+    });
+});
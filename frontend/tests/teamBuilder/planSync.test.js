@@ -0,0 +1,96 @@
+/**
+ * Plan Sync Tests
+ * Tests merging localStorage plans with server-stored plans
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeServerPlans } from '../../src/teamBuilder/planSync.js';
+
+const TEAM_ID = 123;
+
+function plan(id, extra = {}) {
+    return { id, name: id, modified: '2025-01-01T10:00:00.000Z', gameweekPlans: {}, ...extra };
+}
+
+function record(id, version, extra = {}) {
+    return {
+        id,
+        version,
+        plan: plan(id, { name: `${id} (server)` }),
+        updatedAt: '2025-01-01T12:00:00.000Z',
+        ...extra
+    };
+}
+
+describe('mergeServerPlans()', () => {
+    it('uploads plans that were never synced', () => {
+        const { plans, toUpload } = mergeServerPlans([plan('a')], [], TEAM_ID);
+
+        expect(plans.map(p => p.id)).toEqual(['a']);
+        expect(toUpload).toEqual(['a']);
+    });
+
+    it('adds plans created on another device', () => {
+        const { plans, toUpload } = mergeServerPlans([], [record('b', 3)], TEAM_ID);
+
+        expect(plans).toEqual([expect.objectContaining({ id: 'b', serverVersion: 3, teamId: '123' })]);
+        expect(toUpload).toEqual([]);
+    });
+
+    it('takes the server copy when it has a newer version', () => {
+        const { plans } = mergeServerPlans([plan('a', { serverVersion: 1 })], [record('a', 2)], TEAM_ID);
+
+        expect(plans[0].name).toBe('a (server)');
+        expect(plans[0].serverVersion).toBe(2);
+    });
+
+    it('keeps and uploads local edits made since the last sync', () => {
+        const local = plan('a', { serverVersion: 2, unsynced: true });
+        const { plans, toUpload, conflicts } = mergeServerPlans([local], [record('a', 2)], TEAM_ID);
+
+        expect(plans[0]).toBe(local);
+        expect(toUpload).toEqual(['a']);
+        expect(conflicts).toEqual([]);
+    });
+
+    it('keeps unsynced edits and reports a conflict when the server copy moved on', () => {
+        const local = plan('a', { serverVersion: 1, unsynced: true });
+        const server = record('a', 2);
+        const { plans, toUpload, conflicts } = mergeServerPlans([local], [server], TEAM_ID);
+
+        expect(plans[0]).toBe(local);
+        expect(toUpload).toEqual([]);
+        expect(conflicts).toEqual([server]);
+    });
+
+    it('ignores device clocks when nothing was edited locally', () => {
+        // Local timestamp is later than the server's, but there are no unsynced edits
+        const local = plan('a', { serverVersion: 2, modified: '2025-01-02T09:00:00.000Z' });
+        const { plans, toUpload } = mergeServerPlans([local], [record('a', 2)], TEAM_ID);
+
+        expect(plans[0]).toBe(local);
+        expect(toUpload).toEqual([]);
+    });
+
+    it('uploads unsynced edits again when the plan was deleted elsewhere', () => {
+        const local = plan('a', { serverVersion: 1, unsynced: true });
+        const { plans, toUpload } = mergeServerPlans([local], [], TEAM_ID);
+
+        expect(plans[0].serverVersion).toBeUndefined();
+        expect(toUpload).toEqual(['a']);
+    });
+
+    it('drops synced plans deleted on another device', () => {
+        const { plans } = mergeServerPlans([plan('a', { serverVersion: 1 })], [], TEAM_ID);
+
+        expect(plans).toEqual([]);
+    });
+
+    it('leaves plans synced under another team alone', () => {
+        const other = plan('a', { serverVersion: 1, teamId: '999' });
+        const { plans, toUpload } = mergeServerPlans([other], [], TEAM_ID);
+
+        expect(plans).toEqual([other]);
+        expect(toUpload).toEqual([]);
+    });
+});
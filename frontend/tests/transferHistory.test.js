@@ -0,0 +1,113 @@
+/**
+ * Transfer History Tests
+ * Tests free transfer banking and selling price rules
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/data.js', () => ({
+    getPlayerById: (id) => ({
+        1: { id: 1, now_cost: 80, cost_change_start: 5 },
+        2: { id: 2, now_cost: 60, cost_change_start: -2 },
+        3: { id: 3, now_cost: 105, cost_change_start: 0 }
+    })[id] || null
+}));
+
+import {
+    getNextFreeTransfers,
+    calculateFreeTransfers,
+    calculateSellingPrice,
+    getPurchasePrice,
+    buildTransferContext,
+    MAX_FREE_TRANSFERS
+} from '../src/transferHistory.js';
+
+describe('getNextFreeTransfers()', () => {
+    it('banks an extra free transfer when none are used', () => {
+        expect(getNextFreeTransfers(1, 0)).toBe(2);
+        expect(getNextFreeTransfers(3, 0)).toBe(4);
+    });
+
+    it('caps banked free transfers', () => {
+        expect(getNextFreeTransfers(MAX_FREE_TRANSFERS, 0)).toBe(MAX_FREE_TRANSFERS);
+    });
+
+    it('rolls over unused free transfers', () => {
+        expect(getNextFreeTransfers(3, 1)).toBe(3);
+        expect(getNextFreeTransfers(2, 4)).toBe(1);
+    });
+
+    it('keeps the bank through wildcard and free hit weeks', () => {
+        expect(getNextFreeTransfers(2, 10, 'wildcard')).toBe(3);
+        expect(getNextFreeTransfers(2, 10, 'freehit')).toBe(3);
+    });
+});
+
+describe('calculateFreeTransfers()', () => {
+    it('starts with 1 free transfer for GW2', () => {
+        expect(calculateFreeTransfers([], [], 1)).toBe(1);
+    });
+
+    it('replays transfers and chips across the season', () => {
+        const transfers = [
+            { event: 1, element_in: 1, element_out: 9 }, // GW1 transfers don't count
+            { event: 3, element_in: 2, element_out: 8 },
+            { event: 5, element_in: 3, element_out: 7 },
+            { event: 5, element_in: 4, element_out: 6 }
+        ];
+        const chips = [{ name: 'wildcard', event: 5 }];
+
+        // GW2: 1 -> 2, GW3: use 1 -> 2, GW4: 2 -> 3, GW5 wildcard: 3 -> 4
+        expect(calculateFreeTransfers(transfers, chips, 5)).toBe(4);
+    });
+});
+
+describe('calculateSellingPrice()', () => {
+    it('keeps half of any price rise, rounded down', () => {
+        expect(calculateSellingPrice(80, 83)).toBe(81);
+        expect(calculateSellingPrice(80, 84)).toBe(82);
+    });
+
+    it('passes on the full price drop', () => {
+        expect(calculateSellingPrice(80, 77)).toBe(77);
+    });
+});
+
+describe('getPurchasePrice()', () => {
+    const player = { id: 1, now_cost: 80, cost_change_start: 5 };
+
+    it('uses the latest transfer in', () => {
+        const transfers = [
+            { event: 2, element_in: 1, element_in_cost: 76 },
+            { event: 6, element_in: 1, element_in_cost: 78 }
+        ];
+        expect(getPurchasePrice(player, transfers)).toBe(78);
+    });
+
+    it('ignores free hit transfers', () => {
+        const transfers = [
+            { event: 2, element_in: 1, element_in_cost: 76 },
+            { event: 6, element_in: 1, element_in_cost: 78 }
+        ];
+        expect(getPurchasePrice(player, transfers, [{ name: 'freehit', event: 6 }])).toBe(76);
+    });
+
+    it('falls back to the start price for players held all season', () => {
+        expect(getPurchasePrice(player, [])).toBe(75);
+    });
+});
+
+describe('buildTransferContext()', () => {
+    it('builds banked FTs and selling prices for the squad', () => {
+        const teamData = {
+            gameweek: 3,
+            picks: { picks: [{ element: 1 }, { element: 2 }, { element: 3 }], chips: [] }
+        };
+        const transfers = [{ event: 2, element_in: 3, element_in_cost: 100, element_out: 9 }];
+
+        const context = buildTransferContext(teamData, transfers);
+
+        expect(context.freeTransfers).toBe(2);
+        expect(context.sellingPrices).toEqual({ 1: 77, 2: 60, 3: 102 });
+    });
+});
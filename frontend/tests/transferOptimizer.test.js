@@ -0,0 +1,186 @@
+/**
+ * Transfer Optimizer Tests
+ * Tests multi-gameweek transfer search, hits, locks and constraints
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock data is hoisted alongside vi.mock
+const { squadPlayers, mockPlayers } = vi.hoisted(() => {
+    // Squad: 2 GKP, 5 DEF, 5 MID, 3 FWD (IDs 1-15). Team 1 already has 3 players.
+    const squadPlayers = [
+        { id: 1, element_type: 1, team: 1, now_cost: 45, xp: 3 },
+        { id: 2, element_type: 1, team: 2, now_cost: 40, xp: 1 },
+        { id: 3, element_type: 2, team: 1, now_cost: 50, xp: 4 },
+        { id: 4, element_type: 2, team: 3, now_cost: 50, xp: 4 },
+        { id: 5, element_type: 2, team: 4, now_cost: 50, xp: 3 },
+        { id: 6, element_type: 2, team: 5, now_cost: 45, xp: 2 },
+        { id: 7, element_type: 2, team: 6, now_cost: 40, xp: 1 },
+        { id: 8, element_type: 3, team: 1, now_cost: 100, xp: 6 },
+        { id: 9, element_type: 3, team: 7, now_cost: 80, xp: 5 },
+        { id: 10, element_type: 3, team: 8, now_cost: 70, xp: 4 },
+        { id: 11, element_type: 3, team: 9, now_cost: 60, xp: 3 },
+        { id: 12, element_type: 3, team: 10, now_cost: 80, xp: 1 },
+        { id: 13, element_type: 4, team: 11, now_cost: 90, xp: 5 },
+        { id: 14, element_type: 4, team: 12, now_cost: 70, xp: 4 },
+        { id: 15, element_type: 4, team: 13, now_cost: 50, xp: 2 }
+    ];
+
+    const poolPlayers = [
+        // Big upgrade on player 12 at the same price
+        { id: 100, element_type: 3, team: 20, now_cost: 80, xp: 9 },
+        // Even better but would be a 4th team-1 player
+        { id: 101, element_type: 3, team: 1, now_cost: 75, xp: 12 },
+        // Too expensive for any swap with a £0.0m bank
+        { id: 102, element_type: 4, team: 14, now_cost: 150, xp: 15 },
+        // Small upgrade on player 7
+        { id: 103, element_type: 2, team: 15, now_cost: 40, xp: 2.5 }
+    ];
+
+    const mockPlayers = [...squadPlayers, ...poolPlayers].map(p => ({ status: 'a', web_name: `P${p.id}`, ...p }));
+
+    return { squadPlayers, mockPlayers };
+});
+
+vi.mock('../src/data.js', () => ({
+    currentGW: 4,
+    getAllPlayers: () => mockPlayers,
+    fplBootstrap: { elements: mockPlayers, teams: [] },
+    fplFixtures: []
+}));
+
+// Flat projection per player so results are deterministic
+vi.mock('../src/projections.js', () => ({
+    getProjectedPointsForGameweek: (player) => player.xp
+}));
+
+import { optimizeTransferPlan, selectStartingXI } from '../src/transferOptimizer.js';
+
+function makePlan(horizon = 3) {
+    const gameweekPlans = {};
+    for (let i = 0; i < horizon; i++) {
+        gameweekPlans[5 + i] = { transfers: [], freeTransfers: 0, pointsHit: 0, chipUsed: null };
+    }
+    return {
+        id: 'plan_test',
+        planningHorizon: horizon,
+        startGW: 5,
+        gameweekPlans,
+        currentTeamSnapshot: {
+            picks: squadPlayers.map((p, idx) => ({ element: p.id, position: idx + 1 })),
+            bank: 0,
+            value: 1000
+        }
+    };
+}
+
+const allTransfers = (result) => Object.values(result.transfersByGW).flat();
+
+function finalSquad(result) {
+    let squad = squadPlayers.map(p => p.id);
+    Object.keys(result.transfersByGW).sort((a, b) => a - b).forEach(gw => {
+        result.transfersByGW[gw].forEach(t => {
+            squad = squad.filter(id => id !== t.out).concat(t.in);
+        });
+    });
+    return squad.map(id => mockPlayers.find(p => p.id === id));
+}
+
+describe('selectStartingXI()', () => {
+    it('picks 11 starters with one goalkeeper and formation minimums', () => {
+        const entries = squadPlayers.map(p => ({ position: p.element_type, xPts: p.xp }));
+        const { starters, bench } = selectStartingXI(entries);
+
+        expect(starters).toHaveLength(11);
+        expect(bench).toHaveLength(4);
+        expect(starters.filter(e => e.position === 1)).toHaveLength(1);
+        expect(starters.filter(e => e.position === 2).length).toBeGreaterThanOrEqual(3);
+        expect(starters.filter(e => e.position === 4).length).toBeGreaterThanOrEqual(1);
+    });
+});
+
+describe('optimizeTransferPlan()', () => {
+    it('makes the best affordable upgrade in the first gameweek', () => {
+        const [best] = optimizeTransferPlan(makePlan());
+
+        expect(best.transfersByGW[5]).toContainEqual({ out: 12, in: 100 });
+        expect(best.gainVsRoll).toBeGreaterThan(0);
+    });
+
+    it('respects the 3-per-club limit and budget', () => {
+        const results = optimizeTransferPlan(makePlan(), { topK: 5 });
+
+        results.forEach(result => {
+            const squad = finalSquad(result);
+            expect(squad.filter(p => p.team === 1).length).toBeLessThanOrEqual(3);
+            expect(squad.map(p => p.id)).not.toContain(102);
+        });
+    });
+
+    it('returns distinct results ranked by net points', () => {
+        const results = optimizeTransferPlan(makePlan(), { topK: 3 });
+
+        expect(results.length).toBeGreaterThan(1);
+        for (let i = 1; i < results.length; i++) {
+            expect(results[i - 1].netPoints).toBeGreaterThanOrEqual(results[i].netPoints);
+        }
+        expect(results.map(r => r.rank)).toEqual(results.map((_, i) => i + 1));
+    });
+
+    it('charges -4 for transfers beyond free transfers', () => {
+        const results = optimizeTransferPlan(makePlan(1), { topK: 5, maxTransfersPerGW: 2, freeTransfers: 1 });
+        const double = results.find(r => r.transfersByGW[5].length === 2);
+
+        expect(double).toBeDefined();
+        expect(double.pointsHit).toBe(-4);
+    });
+
+    it('banks rolled free transfers up to five', () => {
+        const [roll] = optimizeTransferPlan(makePlan(6), { maxTransfersPerGW: 0, freeTransfers: 1 });
+
+        expect(roll.gameweeks.map(g => g.freeTransfers)).toEqual([1, 2, 3, 4, 5, 5]);
+    });
+
+    it('never sells locked-in players', () => {
+        const results = optimizeTransferPlan(makePlan(), { topK: 5, lockedIn: [12] });
+
+        results.forEach(result => {
+            expect(allTransfers(result).map(t => t.out)).not.toContain(12);
+        });
+    });
+
+    it('forces locked-out players out of the squad by the end', () => {
+        const results = optimizeTransferPlan(makePlan(), { lockedOut: [6] });
+
+        expect(results.length).toBeGreaterThan(0);
+        results.forEach(result => {
+            expect(finalSquad(result).map(p => p.id)).not.toContain(6);
+        });
+    });
+
+    it('returns no plans when a lock cannot be satisfied', () => {
+        // No affordable forward replacement exists for player 13
+        expect(optimizeTransferPlan(makePlan(), { lockedOut: [13] })).toEqual([]);
+    });
+
+    it('rebuilds the squad without hits in a wildcard week', () => {
+        const plan = makePlan(2);
+        plan.gameweekPlans[5].chipUsed = 'wildcard';
+        const [best] = optimizeTransferPlan(plan, { freeTransfers: 1, maxTransfersPerGW: 1, maxHitsPerGW: 0 });
+
+        // Selling player 8 frees a team-1 slot for player 101
+        expect(best.transfersByGW[5].map(t => `${t.out}>${t.in}`)).toEqual(expect.arrayContaining(['12>100', '8>101']));
+        expect(best.gameweeks.every(g => g.pointsHit === 0)).toBe(true);
+    });
+
+    it('reverts free hit transfers after the gameweek', () => {
+        const plan = makePlan(2);
+        plan.gameweekPlans[5].chipUsed = 'freehit';
+        const [best] = optimizeTransferPlan(plan, { freeTransfers: 1, maxTransfersPerGW: 1, maxHitsPerGW: 0 });
+
+        expect(best.transfersByGW[5].map(t => `${t.out}>${t.in}`)).toEqual(expect.arrayContaining(['12>100', '8>101']));
+        expect(best.gameweeks.every(g => g.pointsHit === 0)).toBe(true);
+        // Player 8 is back after the free hit, so the upgrade is made again
+        expect(best.transfersByGW[6]).toEqual([{ out: 8, in: 101 }]);
+    });
+});
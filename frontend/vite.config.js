@@ -1,9 +1,14 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
+import path from 'path';
 
 export default defineConfig({
   publicDir: 'public',
   server: {
     port: 5173,
+    fs: {
+      // Allow modules shared with the backend (../shared)
+      allow: [searchForWorkspaceRoot(process.cwd()), path.resolve(__dirname, '../shared')]
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3001',
@@ -0,0 +1,272 @@
+// ============================================================================
+// LIVE SCORING ENGINE
+// Shared by the backend team route and the frontend league standings.
+// Follows the official FPL rules: auto-subs in bench order with formation
+// limits, vice-captain promotion, chip multipliers and provisional bonus.
+// Pure functions only - no imports, so it runs in Node and the browser.
+// ============================================================================
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Minimum players per position in a starting XI (element_type -> count)
+export const MIN_FORMATION = { 1: 1, 2: 3, 3: 2, 4: 1 };
+
+const BENCH_BOOST_CHIPS = ['bboost', 'benchboost'];
+const TRIPLE_CAPTAIN_CHIPS = ['3xc', 'triplecaptain'];
+
+export const PLAYER_STATUS = {
+  PLAYED: 'played',           // Minutes > 0
+  PENDING: 'pending',         // No minutes yet, fixture still to finish
+  DID_NOT_PLAY: 'did_not_play' // No minutes and every fixture finished (or blank GW)
+};
+
+// ============================================================================
+// PROVISIONAL BONUS
+// ============================================================================
+
+/**
+ * Calculate provisional bonus points from BPS rankings per fixture
+ * Top 3 BPS in each fixture get 3/2/1 bonus points (ties share the higher award,
+ * and the next award is skipped, e.g. 3,3,1).
+ * Uses each element's `explain` fixture list when present so double gameweeks
+ * are ranked per fixture; otherwise falls back to the team's fixture.
+ * @param {Array} liveElements - Live data elements ({id, stats, explain?})
+ * @param {Array} fixtures - Fixtures (filtered to `gameweek` when provided)
+ * @param {Map<number, number>} elementTeams - Player ID -> team ID
+ * @param {number|null} gameweek - Gameweek to rank (null = all started fixtures)
+ * @returns {Map<number, number>} Player ID -> provisional bonus
+ */
+export function calculateProvisionalBonus(liveElements, fixtures, elementTeams, gameweek = null) {
+  const bonusMap = new Map();
+
+  if (!fixtures || !liveElements) return bonusMap;
+
+  const relevantFixtures = fixtures.filter(f =>
+    f.started && (gameweek === null || f.event === gameweek)
+  );
+  const relevantIds = new Set(relevantFixtures.map(f => f.id));
+
+  // Team -> fixture mapping for elements without an explain breakdown
+  const teamToFixture = new Map();
+  relevantFixtures.forEach(fixture => {
+    teamToFixture.set(fixture.team_h, fixture.id);
+    teamToFixture.set(fixture.team_a, fixture.id);
+  });
+
+  // fixtureId -> [{ id, bps }]
+  const fixturePlayerMap = new Map();
+  const addToFixture = (fixtureId, id, bps) => {
+    if (!fixturePlayerMap.has(fixtureId)) {
+      fixturePlayerMap.set(fixtureId, []);
+    }
+    fixturePlayerMap.get(fixtureId).push({ id, bps });
+  };
+
+  liveElements.forEach(el => {
+    if (Array.isArray(el.explain) && el.explain.length > 0) {
+      el.explain.forEach(entry => {
+        if (!relevantIds.has(entry.fixture)) return;
+        const bpsStat = (entry.stats || []).find(s => s.identifier === 'bps');
+        const minutesStat = (entry.stats || []).find(s => s.identifier === 'minutes');
+        if (!minutesStat || minutesStat.value === 0) return;
+        addToFixture(entry.fixture, el.id, bpsStat?.value || 0);
+      });
+      return;
+    }
+
+    const team = elementTeams?.get(el.id);
+    const fixtureId = team ? teamToFixture.get(team) : null;
+    if (!fixtureId) return;
+    if (!el.stats?.minutes) return;
+
+    addToFixture(fixtureId, el.id, el.stats.bps || 0);
+  });
+
+  fixturePlayerMap.forEach(players => {
+    players.sort((a, b) => b.bps - a.bps);
+
+    let rank = 0;
+    for (let i = 0; i < players.length; i++) {
+      // Ties share the rank of the first player with that BPS
+      if (i === 0 || players[i].bps !== players[i - 1].bps) {
+        rank = i;
+      }
+      const bonus = 3 - rank;
+      if (bonus <= 0) break;
+      bonusMap.set(players[i].id, (bonusMap.get(players[i].id) || 0) + bonus);
+    }
+  });
+
+  return bonusMap;
+}
+
+// ============================================================================
+// PLAYER STATUS
+// ============================================================================
+
+/**
+ * Whether a fixture's result is final for auto-sub purposes
+ */
+function isFixtureDone(fixture) {
+  return Boolean(fixture.finished || fixture.finished_provisional);
+}
+
+/**
+ * Work out whether a player has played, might still play, or did not play
+ * @param {Object|null} stats - Live stats ({minutes, ...})
+ * @param {Array} teamFixtures - The player's team fixtures this gameweek
+ * @returns {string} PLAYER_STATUS value
+ */
+export function getPlayerStatus(stats, teamFixtures = []) {
+  if ((stats?.minutes || 0) > 0) {
+    return PLAYER_STATUS.PLAYED;
+  }
+
+  const allDone = teamFixtures.every(isFixtureDone);
+  return allDone ? PLAYER_STATUS.DID_NOT_PLAY : PLAYER_STATUS.PENDING;
+}
+
+/**
+ * Check whether a starting XI still meets the minimum formation
+ * @param {Array<number>} elementTypes - element_type of each starter
+ * @returns {boolean} True if valid
+ */
+export function isValidFormation(elementTypes) {
+  const counts = {};
+  elementTypes.forEach(type => {
+    counts[type] = (counts[type] || 0) + 1;
+  });
+
+  return Object.entries(MIN_FORMATION).every(([type, min]) => (counts[type] || 0) >= min) &&
+    (counts[1] || 0) === 1;
+}
+
+// ============================================================================
+// LIVE SCORE
+// ============================================================================
+
+/**
+ * Calculate a team's live gameweek score
+ * @param {Object} params
+ * @param {Array} params.picks - Picks ({element, position, is_captain, is_vice_captain})
+ * @param {string|null} params.activeChip - Active chip ('bboost', '3xc', 'freehit', ...)
+ * @param {Map<number, Object>} params.liveStats - Player ID -> live stats ({minutes, total_points, bonus})
+ * @param {Map<number, Object>} params.players - Player ID -> {team, element_type}
+ * @param {Array} params.fixtures - Fixtures for the gameweek
+ * @param {Map<number, number>} params.provisionalBonus - Player ID -> provisional bonus
+ * @returns {Object} { totalPoints, benchPoints, captainId, captainMultiplier, autoSubs, playersLeft, players }
+ */
+export function calculateLiveScore({
+  picks = [],
+  activeChip = null,
+  liveStats = new Map(),
+  players = new Map(),
+  fixtures = [],
+  provisionalBonus = new Map()
+}) {
+  const isBenchBoost = BENCH_BOOST_CHIPS.includes(activeChip);
+  const captainMultiplier = TRIPLE_CAPTAIN_CHIPS.includes(activeChip) ? 3 : 2;
+
+  const fixturesByTeam = new Map();
+  fixtures.forEach(fixture => {
+    [fixture.team_h, fixture.team_a].forEach(team => {
+      if (!fixturesByTeam.has(team)) fixturesByTeam.set(team, []);
+      fixturesByTeam.get(team).push(fixture);
+    });
+  });
+
+  const entries = [...picks]
+    .sort((a, b) => a.position - b.position)
+    .map(pick => {
+      const stats = liveStats.get(pick.element) || null;
+      const info = players.get(pick.element) || {};
+      const teamFixtures = fixturesByTeam.get(info.team) || [];
+      // Provisional bonus only until the official bonus is added to total_points
+      const bonus = stats?.bonus ? 0 : (provisionalBonus.get(pick.element) || 0);
+
+      return {
+        element: pick.element,
+        position: pick.position,
+        elementType: info.element_type,
+        isCaptain: Boolean(pick.is_captain),
+        isViceCaptain: Boolean(pick.is_vice_captain),
+        basePoints: stats?.total_points || 0,
+        provisionalBonus: bonus,
+        points: (stats?.total_points || 0) + bonus,
+        status: getPlayerStatus(stats, teamFixtures),
+        fixturesLeft: teamFixtures.filter(f => !isFixtureDone(f)).length,
+        isStarter: pick.position <= 11,
+        subbedIn: false,
+        subbedOut: false,
+        multiplier: 0
+      };
+    });
+
+  const starters = entries.filter(e => e.isStarter);
+  const bench = entries.filter(e => !e.isStarter);
+  const autoSubs = [];
+
+  // Auto-subs: each starter who did not play is replaced by the first bench
+  // player (in bench order) who keeps the formation valid and did not miss
+  // out. If that player's match is still to finish, no sub is made yet - a
+  // later bench player can't jump ahead of them.
+  if (!isBenchBoost) {
+    starters.forEach(starter => {
+      if (starter.status !== PLAYER_STATUS.DID_NOT_PLAY) return;
+
+      const xiTypes = () => entries.filter(e => (e.isStarter && !e.subbedOut) || e.subbedIn).map(e => e.elementType);
+
+      const replacement = bench.find(sub => {
+        if (sub.subbedIn || sub.status === PLAYER_STATUS.DID_NOT_PLAY) return false;
+        // Goalkeepers can only be replaced by the bench goalkeeper
+        if ((starter.elementType === 1) !== (sub.elementType === 1)) return false;
+
+        const types = xiTypes();
+        types.splice(types.indexOf(starter.elementType), 1, sub.elementType);
+        return isValidFormation(types);
+      });
+
+      if (replacement && replacement.status === PLAYER_STATUS.PLAYED) {
+        starter.subbedOut = true;
+        replacement.subbedIn = true;
+        autoSubs.push({ element_out: starter.element, element_in: replacement.element });
+      }
+    });
+  }
+
+  // Counting players
+  entries.forEach(e => {
+    const counts = isBenchBoost || (e.isStarter && !e.subbedOut) || e.subbedIn;
+    e.multiplier = counts ? 1 : 0;
+  });
+
+  // Captaincy: vice-captain takes the armband if the captain did not play
+  const captain = entries.find(e => e.isCaptain);
+  const vice = entries.find(e => e.isViceCaptain);
+  let captainEntry = captain || null;
+  if (captain && captain.status === PLAYER_STATUS.DID_NOT_PLAY && vice && vice.multiplier > 0 &&
+      vice.status !== PLAYER_STATUS.DID_NOT_PLAY) {
+    captainEntry = vice;
+  }
+  if (captainEntry && captainEntry.multiplier > 0) {
+    captainEntry.multiplier = captainMultiplier;
+  }
+
+  const totalPoints = entries.reduce((sum, e) => sum + e.points * e.multiplier, 0);
+  const benchPoints = entries
+    .filter(e => e.multiplier === 0 && !e.isStarter)
+    .reduce((sum, e) => sum + e.points, 0);
+  const playersLeft = entries.filter(e => e.multiplier > 0 && e.fixturesLeft > 0).length;
+
+  return {
+    totalPoints,
+    benchPoints,
+    captainId: captainEntry ? captainEntry.element : null,
+    captainMultiplier,
+    autoSubs,
+    playersLeft,
+    players: entries
+  };
+}
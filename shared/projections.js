@@ -0,0 +1,470 @@
+// ============================================================================
+// PROJECTION ENGINE
+// Multi-gameweek expected points (xPts) model shared by the frontend planner,
+// team builder and replacement scoring and the backend team metrics.
+// Pure functions only - no imports, so it runs in Node and the browser.
+// Callers pass a context (team strengths, games played) and a fixture lookup
+// built from whatever data they hold.
+// ============================================================================
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} ProjectionContext
+ * @property {Map<number, Object>} teamsById - Bootstrap teams by ID
+ * @property {Object} averages - League average strength per field
+ * @property {number} gamesPlayed - Gameweeks played so far this season (>= 1)
+ */
+
+/**
+ * @typedef {Object} FixtureInfo
+ * @property {number} opponentId - Opponent team ID
+ * @property {boolean} isHome - True if the player's team is at home
+ */
+
+/**
+ * @typedef {Object} FixtureProjection
+ * @property {number} opponentId - Opponent team ID
+ * @property {boolean} isHome - True if home fixture
+ * @property {number} xPts - Expected points from this fixture
+ * @property {number} xG - Expected goals scored by the player
+ * @property {number} xA - Expected assists by the player
+ * @property {number} csProb - Probability of the player's team keeping a clean sheet
+ */
+
+/**
+ * @typedef {Object} GameweekProjection
+ * @property {number} gameweek - Gameweek number
+ * @property {number} xPts - Expected points (sum over all fixtures in the GW)
+ * @property {boolean} isBlank - True if the player's team has no fixture
+ * @property {boolean} isDouble - True if the player's team has 2+ fixtures
+ * @property {FixtureProjection[]} fixtures - Per-fixture breakdown
+ */
+
+/**
+ * @typedef {Object} PlayerProjection
+ * @property {number} playerId - Player ID
+ * @property {number} startGW - First projected gameweek
+ * @property {number} horizon - Number of gameweeks projected
+ * @property {number} total - Sum of xPts across the horizon
+ * @property {GameweekProjection[]} gameweeks - One entry per gameweek
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// FPL scoring rules keyed by element_type (1=GKP, 2=DEF, 3=MID, 4=FWD)
+const GOAL_POINTS = { 1: 10, 2: 6, 3: 5, 4: 4 };
+const CLEAN_SHEET_POINTS = { 1: 4, 2: 4, 3: 1, 4: 0 };
+const ASSIST_POINTS = 3;
+const APPEARANCE_POINTS_60 = 2;
+const APPEARANCE_POINTS_SUB = 1;
+const SAVES_PER_POINT = 3;
+const DEFCON_POINTS = 2;
+const DEFCON_THRESHOLD = { 2: 10, 3: 12, 4: 12 };
+
+// League average goals per team per match, scaled by relative team strength
+const LEAGUE_AVG_GOALS = 1.4;
+// Exponent applied to strength ratios (bootstrap strengths are compressed ~1000-1400)
+const STRENGTH_SENSITIVITY = 2;
+// Share of non-starts that still produce a substitute appearance
+const CAMEO_RATE = 0.35;
+// Gameweeks for a doubtful player to return to full availability
+const INJURY_RECOVERY_GWS = 3;
+
+// Goals or assists beyond this in one fixture are folded into the last bucket
+const MAX_RETURNS_PER_FIXTURE = 4;
+
+export const DEFAULT_PROJECTION_HORIZON = 5;
+
+// ============================================================================
+// MATH HELPERS
+// ============================================================================
+
+function clamp(value, min = 0, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Probability that a Poisson variable is at least k
+ * @param {number} k - Threshold
+ * @param {number} lambda - Poisson mean
+ * @returns {number} P(X >= k)
+ */
+function poissonAtLeast(k, lambda) {
+  if (lambda <= 0) return k <= 0 ? 1 : 0;
+  let term = Math.exp(-lambda);
+  let cumulative = term;
+  for (let i = 1; i < k; i++) {
+    term *= lambda / i;
+    cumulative += term;
+  }
+  return clamp(1 - cumulative);
+}
+
+/**
+ * Poisson probabilities for 0..max, with the tail folded into max
+ * @param {number} lambda - Poisson mean
+ * @param {number} max - Last bucket
+ * @returns {number[]} Probability per count
+ */
+function poissonPmf(lambda, max) {
+  const pmf = [];
+  let term = Math.exp(-Math.max(0, lambda));
+  let cumulative = 0;
+  for (let k = 0; k < max; k++) {
+    pmf.push(term);
+    cumulative += term;
+    term *= lambda / (k + 1);
+  }
+  pmf.push(clamp(1 - cumulative));
+  return pmf;
+}
+
+/**
+ * Distribution of the sum of two independent points distributions
+ * @param {number[]} a - Probability per points total
+ * @param {number[]} b - Probability per points total
+ * @returns {number[]} Probability per points total
+ */
+function convolve(a, b) {
+  const result = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((pa, i) => {
+    if (pa === 0) return;
+    b.forEach((pb, j) => {
+      result[i + j] += pa * pb;
+    });
+  });
+  return result;
+}
+
+/**
+ * Points distribution for a count distribution worth a fixed number of points each
+ * @param {number[]} countPmf - Probability per count
+ * @param {number} points - Points per count
+ * @returns {number[]} Probability per points total
+ */
+function scalePmf(countPmf, points) {
+  const result = new Array((countPmf.length - 1) * points + 1).fill(0);
+  countPmf.forEach((p, count) => {
+    result[count * points] += p;
+  });
+  return result;
+}
+
+// ============================================================================
+// TEAM STRENGTH
+// ============================================================================
+
+/**
+ * Build the context every projection needs
+ * @param {Array<Object>} teams - Bootstrap teams
+ * @param {number} gamesPlayed - Gameweeks played so far (the current gameweek)
+ * @returns {ProjectionContext} Context
+ */
+export function createProjectionContext(teams = [], gamesPlayed = 1) {
+  const avg = (key) => {
+    const values = teams.map(t => t[key]).filter(v => typeof v === 'number' && v > 0);
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  };
+
+  return {
+    teamsById: new Map(teams.map(t => [t.id, t])),
+    averages: {
+      attackHome: avg('strength_attack_home'),
+      attackAway: avg('strength_attack_away'),
+      defenceHome: avg('strength_defence_home'),
+      defenceAway: avg('strength_defence_away')
+    },
+    gamesPlayed: Math.max(1, gamesPlayed || 1)
+  };
+}
+
+/**
+ * Ratio of a team's strength field to the league average (1 = average)
+ * @param {Object|undefined} team - Team object
+ * @param {string} field - Strength field name
+ * @param {number|null} average - League average for that field
+ * @returns {number} Relative strength
+ */
+function relativeStrength(team, field, average) {
+  if (!team || !average || !team[field]) return 1;
+  return Math.pow(team[field] / average, STRENGTH_SENSITIVITY);
+}
+
+/**
+ * Expected goals a team concedes against an opponent
+ * @param {ProjectionContext} context - Projection context
+ * @param {number} teamId - Defending team ID
+ * @param {number} opponentId - Attacking team ID
+ * @param {boolean} isHome - True if the defending team is at home
+ * @returns {number} Expected goals conceded
+ */
+export function getExpectedGoalsConceded(context, teamId, opponentId, isHome) {
+  const { averages, teamsById } = context;
+  const team = teamsById.get(teamId);
+  const opponent = teamsById.get(opponentId);
+
+  const opponentAttack = isHome
+    ? relativeStrength(opponent, 'strength_attack_away', averages.attackAway)
+    : relativeStrength(opponent, 'strength_attack_home', averages.attackHome);
+  const ownDefence = isHome
+    ? relativeStrength(team, 'strength_defence_home', averages.defenceHome)
+    : relativeStrength(team, 'strength_defence_away', averages.defenceAway);
+
+  return LEAGUE_AVG_GOALS * opponentAttack / ownDefence;
+}
+
+/**
+ * Clean sheet probability for a team against an opponent (Poisson P(0 conceded))
+ * @param {ProjectionContext} context - Projection context
+ * @param {number} teamId - Team ID
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - True if team is at home
+ * @returns {number} Probability between 0 and 1
+ */
+export function getCleanSheetProbability(context, teamId, opponentId, isHome) {
+  return Math.exp(-getExpectedGoalsConceded(context, teamId, opponentId, isHome));
+}
+
+/**
+ * Multiplier on a player's attacking output from the opponent's defence
+ * @param {ProjectionContext} context - Projection context
+ * @param {number} opponentId - Opponent team ID
+ * @param {boolean} isHome - True if the player's team is at home
+ * @returns {number} Multiplier (>1 = weaker defence than average)
+ */
+function getAttackMultiplier(context, opponentId, isHome) {
+  const { averages, teamsById } = context;
+  const opponent = teamsById.get(opponentId);
+  const opponentDefence = isHome
+    ? relativeStrength(opponent, 'strength_defence_away', averages.defenceAway)
+    : relativeStrength(opponent, 'strength_defence_home', averages.defenceHome);
+  return 1 / opponentDefence;
+}
+
+// ============================================================================
+// MINUTES MODEL
+// ============================================================================
+
+/**
+ * Chance a player is available, ramping doubtful players back over a few GWs
+ * @param {Object} player - Player object
+ * @param {number} offset - Gameweeks ahead of the first projected GW (0 = next)
+ * @returns {number} Availability between 0 and 1
+ */
+export function getAvailability(player, offset) {
+  // Players who left the club never come back
+  if (player.status === 'u') return 0;
+
+  let availability;
+  if (player.chance_of_playing_next_round !== null && player.chance_of_playing_next_round !== undefined) {
+    availability = player.chance_of_playing_next_round / 100;
+  } else {
+    availability = ['i', 's', 'n'].includes(player.status) ? 0 : 1;
+  }
+
+  if (offset === 0) return availability;
+  return clamp(availability + (1 - availability) * (offset / INJURY_RECOVERY_GWS));
+}
+
+/**
+ * Minutes profile derived from season starts and minutes
+ * @param {Object} player - Player object
+ * @param {number} gamesPlayed - Gameweeks played so far this season
+ * @returns {{startProb: number, cameoProb: number, minutesPer90: number}} Minutes likelihood
+ */
+export function getMinutesProfile(player, gamesPlayed) {
+  const games = Math.max(1, gamesPlayed || 1);
+  const minutes = player.minutes || 0;
+  const minutesShare = clamp(minutes / (games * 90));
+
+  const startProb = player.starts !== undefined && player.starts !== null
+    ? clamp(player.starts / games)
+    : minutesShare;
+  const cameoProb = minutes > 0 ? (1 - startProb) * CAMEO_RATE : 0;
+
+  return {
+    startProb,
+    cameoProb,
+    minutesPer90: minutesShare
+  };
+}
+
+/**
+ * Season rate per 90 minutes for a counting stat
+ * @param {Object} player - Player object
+ * @param {string} field - Season total field (e.g. 'bonus')
+ * @returns {number} Rate per 90
+ */
+function per90(player, field) {
+  const minutes = player.minutes || 0;
+  if (minutes < 90) return 0;
+  return (parseFloat(player[field]) || 0) / minutes * 90;
+}
+
+// ============================================================================
+// PROJECTION
+// ============================================================================
+
+/**
+ * Project a single fixture for a player
+ * @param {ProjectionContext} context - Projection context
+ * @param {Object} player - Player object
+ * @param {FixtureInfo} fixtureInfo - Fixture context
+ * @param {number} availability - Chance the player is available
+ * @returns {FixtureProjection} Fixture projection
+ */
+export function projectFixture(context, player, fixtureInfo, availability) {
+  const { opponentId, isHome } = fixtureInfo;
+  const position = player.element_type;
+  const { startProb, cameoProb, minutesPer90 } = getMinutesProfile(player, context.gamesPlayed);
+
+  // Scale minutes relative to a full 90 for per-90 rates
+  const playingShare = minutesPer90 * availability;
+  const attackMultiplier = getAttackMultiplier(context, opponentId, isHome);
+
+  const xG = (parseFloat(player.expected_goals_per_90) || 0) * playingShare * attackMultiplier;
+  const xA = (parseFloat(player.expected_assists_per_90) || 0) * playingShare * attackMultiplier;
+
+  const goalsConceded = getExpectedGoalsConceded(context, player.team, opponentId, isHome);
+  const csProb = Math.exp(-goalsConceded);
+
+  // Clean sheet and conceded penalty only apply to 60+ minute appearances
+  const sixtyProb = startProb * availability;
+
+  let xPts = 0;
+  xPts += sixtyProb * APPEARANCE_POINTS_60 + cameoProb * availability * APPEARANCE_POINTS_SUB;
+  xPts += xG * (GOAL_POINTS[position] || 0);
+  xPts += xA * ASSIST_POINTS;
+  xPts += sixtyProb * csProb * (CLEAN_SHEET_POINTS[position] || 0);
+
+  if (position === 1 || position === 2) {
+    // -1 per 2 goals conceded: E[floor(X/2)] ≈ λ/2 - 0.25 for a Poisson mean λ
+    xPts -= sixtyProb * Math.max(0, goalsConceded / 2 - 0.25);
+  }
+
+  if (position === 1) {
+    const savesPer90 = parseFloat(player.github_season?.saves_per_90) || per90(player, 'saves');
+    xPts += savesPer90 * playingShare / SAVES_PER_POINT;
+  }
+
+  const defconPer90 = parseFloat(player.github_season?.defensive_contribution_per_90) || 0;
+  if (DEFCON_THRESHOLD[position] && defconPer90 > 0) {
+    xPts += sixtyProb * DEFCON_POINTS * poissonAtLeast(DEFCON_THRESHOLD[position], defconPer90);
+  }
+
+  xPts += per90(player, 'bonus') * playingShare;
+  xPts -= per90(player, 'yellow_cards') * playingShare;
+
+  return {
+    opponentId,
+    isHome,
+    xPts,
+    xG,
+    xA,
+    csProb
+  };
+}
+
+/**
+ * Project a player's expected points for each of the next N gameweeks
+ * @param {ProjectionContext} context - Projection context
+ * @param {Object} player - Player object
+ * @param {function(number, number): FixtureInfo[]} getFixtures - (teamId, gameweek) => the team's fixtures
+ * @param {number} startGW - First gameweek
+ * @param {number} [horizon=5] - Number of gameweeks to project
+ * @returns {PlayerProjection} Per-gameweek projection
+ */
+export function projectPlayer(context, player, getFixtures, startGW, horizon = DEFAULT_PROJECTION_HORIZON) {
+  const gameweeks = [];
+
+  for (let offset = 0; offset < horizon; offset++) {
+    const gameweek = startGW + offset;
+    if (gameweek > 38) break;
+
+    const availability = getAvailability(player, offset);
+    const fixtures = getFixtures(player.team, gameweek)
+      .map(info => projectFixture(context, player, info, availability));
+
+    gameweeks.push({
+      gameweek,
+      xPts: fixtures.reduce((sum, f) => sum + f.xPts, 0),
+      isBlank: fixtures.length === 0,
+      isDouble: fixtures.length > 1,
+      fixtures
+    });
+  }
+
+  return {
+    playerId: player.id,
+    startGW,
+    horizon,
+    total: gameweeks.reduce((sum, gw) => sum + gw.xPts, 0),
+    gameweeks
+  };
+}
+
+// ============================================================================
+// POINTS DISTRIBUTION
+// ============================================================================
+
+/**
+ * Points distribution for one fixture
+ * Goals and assists are Poisson at the player's per-90 rate over a starter's
+ * share of 90 minutes; cameos score the substitute appearance point only.
+ * Bonus, saves, cards and goals conceded are left out, so tails are conservative.
+ * @param {ProjectionContext} context - Projection context
+ * @param {Object} player - Player object
+ * @param {FixtureInfo} fixtureInfo - Fixture context
+ * @param {number} availability - Chance the player is available
+ * @returns {number[]} Probability per points total
+ */
+function getFixturePointsDistribution(context, player, fixtureInfo, availability) {
+  const { opponentId, isHome } = fixtureInfo;
+  const position = player.element_type;
+  const { startProb, cameoProb, minutesPer90 } = getMinutesProfile(player, context.gamesPlayed);
+
+  const startMinutesShare = startProb > 0 ? clamp(minutesPer90 / startProb) : 0;
+  const attackMultiplier = getAttackMultiplier(context, opponentId, isHome);
+  const goalMean = (parseFloat(player.expected_goals_per_90) || 0) * startMinutesShare * attackMultiplier;
+  const assistMean = (parseFloat(player.expected_assists_per_90) || 0) * startMinutesShare * attackMultiplier;
+
+  let started = scalePmf([0, 1], APPEARANCE_POINTS_60);
+  started = convolve(started, scalePmf(poissonPmf(goalMean, MAX_RETURNS_PER_FIXTURE), GOAL_POINTS[position] || 0));
+  started = convolve(started, scalePmf(poissonPmf(assistMean, MAX_RETURNS_PER_FIXTURE), ASSIST_POINTS));
+
+  const cleanSheetPoints = CLEAN_SHEET_POINTS[position] || 0;
+  if (cleanSheetPoints > 0) {
+    const csProb = getCleanSheetProbability(context, player.team, opponentId, isHome);
+    const cleanSheet = new Array(cleanSheetPoints + 1).fill(0);
+    cleanSheet[0] = 1 - csProb;
+    cleanSheet[cleanSheetPoints] = csProb;
+    started = convolve(started, cleanSheet);
+  }
+
+  const startShare = startProb * availability;
+  const cameoShare = cameoProb * availability;
+  const pmf = started.map(p => p * startShare);
+  pmf[0] += 1 - startShare - cameoShare;
+  pmf[APPEARANCE_POINTS_SUB] += cameoShare;
+  return pmf;
+}
+
+/**
+ * Probability of each points total for a player in one gameweek
+ * Double gameweeks combine both fixtures; a blank is certain to score 0.
+ * @param {ProjectionContext} context - Projection context
+ * @param {Object} player - Player object
+ * @param {FixtureInfo[]} fixtures - The player's fixtures that gameweek
+ * @param {number} availability - Chance the player is available
+ * @returns {number[]} Probability indexed by points (before any captain multiplier)
+ */
+export function getPointsDistribution(context, player, fixtures, availability) {
+  return fixtures
+    .map(info => getFixturePointsDistribution(context, player, info, availability))
+    .reduce((total, pmf) => convolve(total, pmf), [1]);
+}